@@ -0,0 +1,259 @@
+// ============================================================================
+// HEKAX Phone - Recipient Timezones
+// Where a called party may be, from their North American area code and the
+// state/province on their lead. Calling-hour rules (TCPA: 8am-9pm at the
+// called party's location) are checked in every zone returned.
+// ============================================================================
+
+const EASTERN = "America/New_York";
+const CENTRAL = "America/Chicago";
+const MOUNTAIN = "America/Denver";
+const PACIFIC = "America/Los_Angeles";
+
+// Lead countries whose state field is a US state or Canadian province code
+const NORTH_AMERICA = ["", "US", "USA", "UNITED STATES", "CA", "CAN", "CANADA"];
+
+// Numbers we can't place (toll-free, new overlays): any continental US zone
+const UNKNOWN_NANP = [EASTERN, CENTRAL, MOUNTAIN, PACIFIC];
+
+// States and provinces, with every zone part of them observes
+const REGION_TIMEZONES = {
+  // United States
+  AL: [CENTRAL],
+  AK: ["America/Anchorage"],
+  AZ: ["America/Phoenix"],
+  AR: [CENTRAL],
+  CA: [PACIFIC],
+  CO: [MOUNTAIN],
+  CT: [EASTERN],
+  DE: [EASTERN],
+  DC: [EASTERN],
+  FL: [EASTERN, CENTRAL],
+  GA: [EASTERN],
+  HI: ["Pacific/Honolulu"],
+  ID: ["America/Boise", PACIFIC],
+  IL: [CENTRAL],
+  IN: ["America/Indiana/Indianapolis", CENTRAL],
+  IA: [CENTRAL],
+  KS: [CENTRAL, MOUNTAIN],
+  KY: [EASTERN, CENTRAL],
+  LA: [CENTRAL],
+  ME: [EASTERN],
+  MD: [EASTERN],
+  MA: [EASTERN],
+  MI: ["America/Detroit", CENTRAL],
+  MN: [CENTRAL],
+  MS: [CENTRAL],
+  MO: [CENTRAL],
+  MT: [MOUNTAIN],
+  NE: [CENTRAL, MOUNTAIN],
+  NV: [PACIFIC],
+  NH: [EASTERN],
+  NJ: [EASTERN],
+  NM: [MOUNTAIN],
+  NY: [EASTERN],
+  NC: [EASTERN],
+  ND: [CENTRAL, MOUNTAIN],
+  OH: [EASTERN],
+  OK: [CENTRAL],
+  OR: [PACIFIC, "America/Boise"],
+  PA: [EASTERN],
+  RI: [EASTERN],
+  SC: [EASTERN],
+  SD: [CENTRAL, MOUNTAIN],
+  TN: [CENTRAL, EASTERN],
+  TX: [CENTRAL, MOUNTAIN],
+  UT: [MOUNTAIN],
+  VT: [EASTERN],
+  VA: [EASTERN],
+  WA: [PACIFIC],
+  WV: [EASTERN],
+  WI: [CENTRAL],
+  WY: [MOUNTAIN],
+  PR: ["America/Puerto_Rico"],
+  VI: ["America/St_Thomas"],
+  GU: ["Pacific/Guam"],
+  AS: ["Pacific/Pago_Pago"],
+  MP: ["Pacific/Saipan"],
+  // Canada
+  AB: ["America/Edmonton"],
+  BC: ["America/Vancouver", "America/Edmonton"],
+  MB: ["America/Winnipeg"],
+  NB: ["America/Moncton"],
+  NL: ["America/St_Johns", "America/Goose_Bay"],
+  NS: ["America/Halifax"],
+  PE: ["America/Halifax"],
+  ON: ["America/Toronto", "America/Winnipeg"],
+  QC: ["America/Toronto"],
+  SK: ["America/Regina"],
+  NT: ["America/Yellowknife"],
+  NU: ["America/Iqaluit", "America/Winnipeg", "America/Edmonton"],
+  YT: ["America/Whitehorse"],
+};
+
+// Area codes by state/province
+const REGION_AREA_CODES = {
+  AL: "205 251 256 334 659 938",
+  AK: "907",
+  AZ: "480 520 602 623 928",
+  AR: "327 479 501 870",
+  CA: "209 213 279 310 323 341 350 369 408 415 424 442 510 530 559 562 619 626 628 650 657 661 669 707 714 738 747 760 805 818 820 831 840 858 909 916 925 949 951",
+  CO: "303 719 720 970 983",
+  CT: "203 475 860 959",
+  DE: "302",
+  DC: "202 771",
+  FL: "239 305 321 324 352 386 407 448 561 645 656 689 727 728 754 772 786 813 850 863 904 941 954",
+  GA: "229 404 470 478 678 706 762 770 912 943",
+  HI: "808",
+  ID: "208 986",
+  IL: "217 224 309 312 331 447 464 618 630 708 730 773 779 815 847 861 872",
+  IN: "219 260 317 463 574 765 812 930",
+  IA: "319 515 563 641 712",
+  KS: "316 620 785 913",
+  KY: "270 364 502 606 859",
+  LA: "225 318 337 504 985",
+  ME: "207",
+  MD: "227 240 301 410 443 667",
+  MA: "339 351 413 508 617 774 781 857 978",
+  MI: "231 248 269 313 517 586 616 679 734 810 906 947 989",
+  MN: "218 320 507 612 651 763 952",
+  MS: "228 601 662 769",
+  MO: "235 314 417 557 573 636 660 816 975",
+  MT: "406",
+  NE: "308 402 531",
+  NV: "702 725 775",
+  NH: "603",
+  NJ: "201 551 609 640 732 848 856 862 908 973",
+  NM: "505 575",
+  NY: "212 315 329 332 347 363 516 518 585 607 624 631 646 680 716 718 838 845 914 917 929 934",
+  NC: "252 336 472 704 743 828 910 919 980 984",
+  ND: "701",
+  OH: "216 220 234 283 326 330 380 419 436 440 513 567 614 740 937",
+  OK: "405 539 572 580 918",
+  OR: "458 503 541 971",
+  PA: "215 223 267 272 412 445 484 570 582 610 717 724 814 835 878",
+  RI: "401",
+  SC: "803 821 839 843 854 864",
+  SD: "605",
+  TN: "423 615 629 731 865 901 931",
+  TX: "210 214 254 281 325 346 361 409 430 432 469 512 621 682 713 726 737 806 817 830 832 903 915 936 940 945 956 972 979",
+  UT: "385 435 801",
+  VT: "802",
+  VA: "276 434 540 571 686 703 757 804 826 948",
+  WA: "206 253 360 425 509 564",
+  WV: "304 681",
+  WI: "262 274 353 414 534 608 715 920",
+  WY: "307",
+  PR: "787 939",
+  VI: "340",
+  GU: "671",
+  AS: "684",
+  MP: "670",
+  AB: "368 403 587 780 825",
+  BC: "236 250 257 604 672 778",
+  MB: "204 431 584",
+  NB: "428 506",
+  NL: "709 879",
+  NS: "782 902",
+  ON: "226 249 289 343 365 382 387 416 437 519 548 613 647 683 705 742 753 807 905 942",
+  QC: "263 354 367 418 438 450 468 514 579 581 819 873",
+  SK: "306 474 639",
+  YT: "867",
+};
+
+const codesOf = (region, except = []) => REGION_AREA_CODES[region].split(" ").filter((code) => !except.includes(code));
+const zonesFor = (codes, zones) => Object.fromEntries(codes.map((code) => [code, zones]));
+
+// Area codes that cover fewer zones than their state (or, like 867, span
+// several territories)
+const AREA_CODE_OVERRIDES = {
+  // Florida: only the panhandle (850) reaches into Central
+  ...zonesFor(codesOf("FL", ["850"]), [EASTERN]),
+  // Indiana: the northwest and southwest corners are on Central
+  260: ["America/Indiana/Indianapolis"],
+  317: ["America/Indiana/Indianapolis"],
+  463: ["America/Indiana/Indianapolis"],
+  574: ["America/Indiana/Indianapolis", CENTRAL],
+  765: ["America/Indiana/Indianapolis"],
+  930: ["America/Indiana/Indianapolis", CENTRAL],
+  // Kentucky: the east is on Eastern
+  502: [EASTERN],
+  606: [EASTERN],
+  859: [EASTERN],
+  // Michigan: only the Upper Peninsula (906) borders Central
+  ...zonesFor(codesOf("MI", ["906"]), ["America/Detroit"]),
+  // Tennessee: East Tennessee
+  423: [EASTERN],
+  865: [EASTERN],
+  615: [CENTRAL],
+  629: [CENTRAL],
+  731: [CENTRAL],
+  901: [CENTRAL],
+  // Texas: El Paso is on Mountain, the rest on Central (432 reaches both)
+  ...zonesFor(codesOf("TX", ["915", "432"]), [CENTRAL]),
+  915: [MOUNTAIN],
+  // Kansas and Nebraska: Mountain only in the west
+  316: [CENTRAL],
+  913: [CENTRAL],
+  402: [CENTRAL],
+  531: [CENTRAL],
+  // Oregon: Portland and Salem
+  503: [PACIFIC],
+  971: [PACIFIC],
+  // Canada
+  250: ["America/Vancouver", "America/Edmonton"],
+  236: ["America/Vancouver"],
+  257: ["America/Vancouver"],
+  604: ["America/Vancouver"],
+  672: ["America/Vancouver"],
+  778: ["America/Vancouver"],
+  ...zonesFor(codesOf("ON", ["807"]), ["America/Toronto"]),
+  867: ["America/Whitehorse", "America/Yellowknife", "America/Iqaluit", "America/Winnipeg", "America/Edmonton"],
+};
+
+const AREA_CODE_TIMEZONES = {};
+for (const [region, codes] of Object.entries(REGION_AREA_CODES)) {
+  for (const code of codes.split(" ")) {
+    AREA_CODE_TIMEZONES[code] = AREA_CODE_OVERRIDES[code] || REGION_TIMEZONES[region];
+  }
+}
+
+/**
+ * Zones a North American (+1) number may ring in, or null for other countries
+ */
+function timezonesForPhone(phone) {
+  const value = String(phone || "").trim();
+  const digits = value.replace(/\D/g, "");
+  let national = null;
+  if (digits.length === 11 && digits[0] === "1") national = digits.slice(1);
+  else if (digits.length === 10 && !value.startsWith("+")) national = digits;
+  if (!national) return null;
+
+  return AREA_CODE_TIMEZONES[national.slice(0, 3)] || UNKNOWN_NANP;
+}
+
+/**
+ * Zones of a US state or Canadian province code ("TX", "on"), or null
+ * (also for states in other countries)
+ */
+function timezonesForRegion(state, country) {
+  if (!NORTH_AMERICA.includes(String(country || "").trim().toUpperCase())) return null;
+  return REGION_TIMEZONES[String(state || "").trim().toUpperCase()] || null;
+}
+
+/**
+ * Every zone a called party may be in: their number's area code and the
+ * state on their lead together, or the fallback when neither is known
+ * @param {object} recipient - { phone, state?, country? }
+ * @param {string} fallback - Timezone to use for numbers outside North America
+ */
+function recipientTimezones({ phone, state, country } = {}, fallback) {
+  const zones = [...(timezonesForPhone(phone) || []), ...(timezonesForRegion(state, country) || [])];
+  return zones.length > 0 ? [...new Set(zones)] : [fallback];
+}
+
+module.exports = {
+  timezonesForPhone,
+  timezonesForRegion,
+  recipientTimezones,
+};
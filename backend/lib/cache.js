@@ -155,6 +155,9 @@ const cacheKeys = {
   phoneNumber: (number) => `phone:${number}`,
   callStats: (orgId, date) => `org:${orgId}:calls:${date}`,
   leadCount: (orgId) => `org:${orgId}:leads:count`,
+  knowledgeIndex: (orgId) => `org:${orgId}:knowledge-index`,
+  credentials: (orgId) => `org:${orgId}:credentials`,
+  leadImport: (orgId, importId) => `org:${orgId}:lead-import:${importId}`,
 };
 
 module.exports = { cache, cacheKeys };
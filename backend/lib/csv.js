@@ -0,0 +1,72 @@
+// ============================================================================
+// HEKAX Phone - CSV Parsing
+// RFC 4180 parser for uploaded spreadsheets (quoted fields, escaped quotes,
+// embedded newlines, CRLF)
+// ============================================================================
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.delimiter - Field separator (auto-detects "," / ";" / tab when omitted)
+ * @returns {string[][]}
+ */
+function parseCSV(text, { delimiter } = {}) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Guess the delimiter from the header line
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map((sep) => ({ sep, count: header.split(sep).length - 1 }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.sep : ",";
+}
+
+module.exports = {
+  parseCSV,
+  detectDelimiter,
+};
@@ -0,0 +1,321 @@
+// ============================================================================
+// HEKAX Phone - iCalendar (RFC 5545) Builder and Parser
+// VEVENTs for subscription feeds, emailed invites and CalDAV calendars
+// ============================================================================
+
+const { isValidTimezone, zonedTimeToUtc } = require("./timezone");
+
+const PRODID = "-//HEKAX Phone//Calendar//EN";
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * UTC DATE-TIME: 20261020T140000Z
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    // First line holds 75 octets, continuations 74 plus the leading space
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * VEVENT lines for an event
+ * @param {Object} event
+ * @param {string} event.uid - Stable identifier (updates/cancellations reuse it)
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.status] - CONFIRMED | TENTATIVE | CANCELLED
+ * @param {number} [event.sequence] - Revision number
+ * @param {{name?: string, email: string}} [event.organizer]
+ * @param {Array<{name?: string, email: string}>} [event.attendees]
+ * @param {Date} [event.updatedAt]
+ */
+function buildEvent(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+
+  if (event.organizer?.email) {
+    const cn = event.organizer.name ? `;CN="${event.organizer.name.replace(/"/g, "")}"` : "";
+    lines.push(`ORGANIZER${cn}:mailto:${event.organizer.email}`);
+  }
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    const cn = attendee.name ? `;CN="${attendee.name.replace(/"/g, "")}"` : "";
+    lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document
+ * @param {Array<Object>} events - See buildEvent
+ * @param {Object} [options]
+ * @param {string|null} [options.method] - PUBLISH (feeds, add-to-calendar) | REQUEST | CANCEL,
+ *   or null for objects stored on a CalDAV server (which must not have one)
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ */
+function buildCalendar(events, { method = "PUBLISH", name } = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Content lines with folding undone
+ */
+function unfoldLines(text) {
+  return String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean);
+}
+
+/**
+ * "DTSTART;TZID=America/Chicago:20261020T090000" → { name, params, value }
+ * (a colon inside a quoted parameter value doesn't end the parameters)
+ */
+function parseLine(line) {
+  let quoted = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+function unescapeText(value) {
+  return String(value ?? "").replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+}
+
+/**
+ * DATE or DATE-TIME value as an instant. Floating times, and TZIDs that
+ * aren't IANA names, are read in the fallback timezone.
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+function parseDateValue(value, params = {}, timezone = "UTC") {
+  const zone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : timezone;
+
+  const dateOnly = String(value).match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    return { date: zonedTimeToUtc(`${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}`, 0, zone), allDay: true };
+  }
+
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/);
+  if (!m) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = m;
+  const date = utc
+    ? new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+    : new Date(zonedTimeToUtc(`${year}-${month}-${day}`, +hour * 60 + +minute, zone).getTime() + +second * 1000);
+  return { date, allDay: false };
+}
+
+/**
+ * DURATION value ("PT1H30M", "P1D") in milliseconds, or null
+ */
+function parseDuration(value) {
+  const m = String(value || "").match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = m;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function finishEvent(event) {
+  if (!event.start) return null;
+
+  let end = event.end;
+  if (!end && event.duration !== null && event.duration !== undefined) {
+    end = new Date(event.start.getTime() + event.duration);
+  }
+  if (!end) {
+    // No end: all-day events last the day, timed ones are instants
+    end = event.allDay ? new Date(event.start.getTime() + 24 * 60 * 60 * 1000) : event.start;
+  }
+
+  const { duration, ...rest } = event;
+  return { ...rest, end };
+}
+
+/**
+ * Events and free/busy periods from a VCALENDAR document
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - For floating times and unknown TZIDs
+ * @returns {{events: Array<{uid, summary, description, location, status, transparent, start, end, allDay}>,
+ *   busy: Array<{start: Date, end: Date, type: string}>}}
+ */
+function parseCalendar(text, { timezone = "UTC" } = {}) {
+  const events = [];
+  const busy = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === "BEGIN") {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === "VEVENT") {
+        event = { uid: null, summary: "", allDay: false, transparent: false };
+      }
+      continue;
+    }
+    if (prop.name === "END") {
+      if (stack.pop() === "VEVENT" && event) {
+        const finished = finishEvent(event);
+        if (finished) events.push(finished);
+        event = null;
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+
+    // Properties of nested components (VALARM) don't describe the event
+    if (component === "VEVENT" && event) {
+      switch (prop.name) {
+        case "UID":
+          event.uid = prop.value;
+          break;
+        case "SUMMARY":
+          event.summary = unescapeText(prop.value);
+          break;
+        case "DESCRIPTION":
+          event.description = unescapeText(prop.value);
+          break;
+        case "LOCATION":
+          event.location = unescapeText(prop.value);
+          break;
+        case "STATUS":
+          event.status = prop.value.toUpperCase();
+          break;
+        case "TRANSP":
+          event.transparent = prop.value.toUpperCase() === "TRANSPARENT";
+          break;
+        case "DTSTART": {
+          const parsed = parseDateValue(prop.value, prop.params, timezone);
+          if (parsed) {
+            event.start = parsed.date;
+            event.allDay = parsed.allDay;
+          }
+          break;
+        }
+        case "DTEND":
+          event.end = parseDateValue(prop.value, prop.params, timezone)?.date;
+          break;
+        case "DURATION":
+          event.duration = parseDuration(prop.value);
+          break;
+      }
+    }
+
+    if (component === "VFREEBUSY" && prop.name === "FREEBUSY") {
+      const type = (prop.params.FBTYPE || "BUSY").toUpperCase();
+      if (type === "FREE") continue;
+
+      for (const period of prop.value.split(",")) {
+        const [startValue, endValue] = period.split("/");
+        const start = parseDateValue(startValue, {}, timezone)?.date;
+        if (!start || !endValue) continue;
+
+        const duration = parseDuration(endValue);
+        const end = duration !== null ? new Date(start.getTime() + duration) : parseDateValue(endValue, {}, timezone)?.date;
+        if (end) busy.push({ start, end, type });
+      }
+    }
+  }
+
+  return { events, busy };
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  unfoldLines,
+  parseLine,
+  unescapeText,
+  parseDateValue,
+  parseDuration,
+  parseCalendar,
+};
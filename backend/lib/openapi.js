@@ -0,0 +1,177 @@
+// ============================================================================
+// HEKAX Phone - OpenAPI Generator
+// Builds an OpenAPI 3 document from the public API route table
+// ============================================================================
+
+const ERROR_RESPONSES = {
+  400: "Invalid request",
+  401: "Missing, invalid or expired API key",
+  403: "API key lacks the required permission",
+  404: "Resource not found",
+  409: "Conflicts with the current state (e.g. a duplicate)",
+  422: "Refused (e.g. recipient is on the do-not-contact list)",
+  429: "Rate limit exceeded (see Retry-After)",
+  502: "Upstream provider failed",
+};
+
+/**
+ * Express path to OpenAPI path ("/calls/:id" → "/calls/{id}")
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * Names of the :params in an Express path
+ */
+function pathParams(path) {
+  return [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+}
+
+function queryParameter({ name, type = "string", description, enum: values }) {
+  return {
+    name,
+    in: "query",
+    required: false,
+    ...(description && { description }),
+    schema: { type, ...(values && { enum: values }) },
+  };
+}
+
+/**
+ * Success response for a route: a page envelope for list routes,
+ * { data } for everything else
+ */
+function successResponse(route) {
+  const data = route.paginated
+    ? { type: "array", items: { $ref: `#/components/schemas/${route.schema || "Object"}` } }
+    : { $ref: `#/components/schemas/${route.schema || "Object"}` };
+
+  return {
+    description: "OK",
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          properties: {
+            data,
+            ...(route.paginated && { pagination: { $ref: "#/components/schemas/Pagination" } }),
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * One OpenAPI operation from a route definition
+ * @param {object} route - { method, path, summary, tag, permission, query, body, paginated, status, schema, errors }
+ */
+function buildOperation(route) {
+  const parameters = [
+    ...pathParams(route.path).map((name) => ({ name, in: "path", required: true, schema: { type: "string" } })),
+    ...(route.query || []).map(queryParameter),
+    ...(route.paginated
+      ? [
+          queryParameter({ name: "limit", type: "integer", description: "Page size (1-100, default 50)" }),
+          queryParameter({ name: "cursor", description: "nextCursor from the previous page" }),
+        ]
+      : []),
+  ];
+
+  const errors = [
+    ...(route.body || route.query ? [400] : []),
+    ...(route.permission ? [401, 403] : []),
+    ...(pathParams(route.path).length > 0 ? [404] : []),
+    ...(route.permission ? [429] : []),
+    ...(route.errors || []),
+  ];
+
+  return {
+    operationId: route.operationId,
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    tags: [route.tag],
+    ...(route.permission
+      ? { security: [{ apiKey: [] }], "x-permission": route.permission }
+      : { security: [] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(route.body && {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: route.body } },
+      },
+    }),
+    responses: {
+      [route.status || 200]: successResponse(route),
+      ...Object.fromEntries([...new Set(errors)].sort().map((code) => [code, { $ref: `#/components/responses/${code}` }])),
+    },
+  };
+}
+
+/**
+ * Build the OpenAPI document for a route table
+ * @param {object[]} routes - Route definitions (see buildOperation)
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.version
+ * @param {string} options.serverUrl - Base URL the routes are mounted under
+ * @param {object} options.schemas - Component schemas referenced by route.schema
+ */
+function buildOpenApiDocument(routes, { title, version, serverUrl, schemas = {} } = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title, version },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(routes.map((r) => r.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description: "Organization API key (hk_live_...). Each operation lists its required permission in x-permission.",
+        },
+      },
+      schemas: {
+        Object: { type: "object" },
+        Error: {
+          type: "object",
+          required: ["error", "code"],
+          properties: {
+            error: { type: "string", description: "Human-readable message" },
+            code: { type: "string", description: "Stable machine-readable code" },
+          },
+        },
+        Pagination: {
+          type: "object",
+          properties: {
+            limit: { type: "integer" },
+            nextCursor: { type: "string", nullable: true, description: "Pass as ?cursor= for the next page; null on the last page" },
+          },
+        },
+        ...schemas,
+      },
+      responses: Object.fromEntries(
+        Object.entries(ERROR_RESPONSES).map(([code, description]) => [
+          code,
+          { description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        ])
+      ),
+    },
+  };
+}
+
+module.exports = {
+  toOpenApiPath,
+  pathParams,
+  buildOperation,
+  buildOpenApiDocument,
+};
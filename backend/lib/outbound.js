@@ -0,0 +1,160 @@
+// ============================================================================
+// HEKAX Phone - Outbound Requests to User-Supplied URLs
+// Webhooks and CalDAV servers are URLs our users type in. Every request
+// (and every redirect hop) is checked after DNS resolution so they can't be
+// pointed at loopback, private networks or cloud metadata endpoints. The
+// connection then goes to the addresses that were checked, so a hostname
+// re-resolving to a private address between check and connect (DNS
+// rebinding) can't slip through.
+//
+// ALLOW_PRIVATE_OUTBOUND_URLS=true lifts the address check for self-hosted
+// installs that talk to servers on their own network.
+// ============================================================================
+
+const dns = require("dns").promises;
+const net = require("net");
+const { Agent } = require("undici");
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function allowPrivate() {
+  return process.env.ALLOW_PRIVATE_OUTBOUND_URLS === "true";
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * reachable on the public internet
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Check a URL before requesting it: http(s) only (https in production) and
+ * every address the host resolves to must be public
+ * @returns {Promise<URL>}
+ * @throws {Error} With a message safe to show the user
+ */
+async function assertPublicUrl(value, options) {
+  return (await resolvePublicUrl(value, options)).url;
+}
+
+/**
+ * assertPublicUrl, also returning the addresses that were checked (null when
+ * private addresses are allowed)
+ * @returns {Promise<{url: URL, addresses: string[]|null}>}
+ */
+async function resolvePublicUrl(value, { requireHttps = process.env.NODE_ENV === "production" } = {}) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new Error("Invalid URL");
+  }
+
+  if (!["https:", "http:"].includes(url.protocol) || (requireHttps && url.protocol !== "https:")) {
+    throw new Error("URL must use https");
+  }
+  if (allowPrivate()) return { url, addresses: null };
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map((entry) => entry.address);
+    } catch {
+      throw new Error(`Could not resolve ${url.hostname}`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new Error(`${url.hostname} is not a public address`);
+  }
+  return { url, addresses };
+}
+
+/**
+ * dns.lookup stand-in that only ever answers with the checked addresses
+ */
+function pinnedLookup(addresses) {
+  const entries = addresses.map((address) => ({ address, family: net.isIP(address) }));
+  return (hostname, options, callback) => {
+    if (typeof options === "function") [options, callback] = [{}, options];
+    if (options?.all) callback(null, entries);
+    else callback(null, entries[0].address, entries[0].family);
+  };
+}
+
+/**
+ * fetch() dispatcher that connects to the checked addresses, not whatever
+ * the hostname resolves to by then (TLS still verifies the hostname)
+ */
+function pinnedDispatcher(addresses) {
+  return addresses ? new Agent({ connect: { lookup: pinnedLookup(addresses) } }) : undefined;
+}
+
+/**
+ * fetch() to a user-supplied URL. Redirects are followed by hand (up to
+ * maxRedirects) so each hop is checked too; canFollow can veto a hop.
+ * A redirect that isn't followed is returned as the response.
+ */
+async function publicFetch(value, options = {}, { maxRedirects = 0, canFollow = () => true, requireHttps } = {}) {
+  let { url, addresses } = await resolvePublicUrl(value, { requireHttps });
+  let init = { ...options, redirect: "manual" };
+
+  for (let hops = 0; ; hops++) {
+    const dispatcher = pinnedDispatcher(addresses);
+    const response = await fetch(url.href, { ...init, dispatcher });
+    // Closes once the response body has been read or cancelled
+    dispatcher?.close().catch(() => {});
+    const location = response.headers.get("location");
+
+    if (!REDIRECT_STATUSES.includes(response.status) || !location || hops >= maxRedirects) {
+      return response;
+    }
+
+    const next = new URL(location, url);
+    if (!canFollow(next, url)) {
+      throw new Error(`Redirected to another server (${next.host})`);
+    }
+    await response.body?.cancel();
+
+    ({ url, addresses } = await resolvePublicUrl(next.href, { requireHttps }));
+    if (response.status === 303) {
+      init = { ...init, method: "GET", body: undefined };
+    }
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicFetch,
+};
@@ -0,0 +1,120 @@
+// ============================================================================
+// HEKAX Phone - Timezone Utility
+// Wall-clock <-> instant conversion for IANA timezones (Intl only, no deps)
+// ============================================================================
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month is 1-12, weekday 0 = Sunday
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    year: parseInt(get("year"), 10),
+    month: parseInt(get("month"), 10),
+    day: parseInt(get("day"), 10),
+    hour: parseInt(get("hour"), 10),
+    minute: parseInt(get("minute"), 10),
+    second: parseInt(get("second"), 10),
+    weekday: WEEKDAYS.indexOf(get("weekday")),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (New York in winter = -300)
+ */
+function getOffsetMinutes(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant for a wall-clock time in a timezone. A time skipped by a DST jump
+ * (02:30 on spring-forward day) lands an hour early.
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes past local midnight
+ */
+function zonedTimeToUtc(localDate, minutes, timezone) {
+  const [, year, month, day] = localDate.match(DATE_PATTERN).map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Two passes settle the offset on either side of a DST change
+  let offset = getOffsetMinutes(new Date(guess), timezone);
+  offset = getOffsetMinutes(new Date(guess - offset * 60000), timezone);
+  return new Date(guess - offset * 60000);
+}
+
+/**
+ * "YYYY-MM-DD" of an instant in a timezone
+ */
+function toLocalDate(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+/**
+ * "YYYY-MM-DDTHH:mm:ss" wall-clock time of an instant in a timezone (no offset)
+ */
+function toLocalDateTime(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${toLocalDate(date, timezone)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Shift a "YYYY-MM-DD" date by whole days
+ */
+function addDays(localDate, days) {
+  const [, year, month, day] = localDate.match(DATE_PATTERN).map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Weekday of a "YYYY-MM-DD" date (0 = Sunday)
+ */
+function weekdayOf(localDate) {
+  const [, year, month, day] = localDate.match(DATE_PATTERN).map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isLocalDate(value) {
+  return typeof value === "string" && DATE_PATTERN.test(value);
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toLocalDate,
+  toLocalDateTime,
+  addDays,
+  weekdayOf,
+  isLocalDate,
+};
@@ -0,0 +1,139 @@
+// ============================================================================
+// HEKAX Phone - TOTP Utility
+// RFC 6238 time-based one-time passwords for authenticator apps
+// ============================================================================
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring spaces, dashes, padding and case
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 TOTP secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step counter for a timestamp
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226 dynamic truncation)
+ */
+function generateHotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+}
+
+/**
+ * Current TOTP code
+ */
+function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, timeStep(time));
+}
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * (allows for clock drift). Returns the matching step, or null.
+ */
+function verifyTotp(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(token) || token.length !== DIGITS) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for QR provisioning
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  PERIOD_SECONDS,
+  DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -11,6 +11,11 @@ const AUDITABLE_ACTIONS = {
   LOGIN: "user.login",
   LOGOUT: "user.logout",
   PASSWORD_CHANGE: "user.password_change",
+  MFA_ENABLE: "user.mfa_enable",
+  MFA_DISABLE: "user.mfa_disable",
+  MFA_VERIFY: "user.mfa_verify",
+  MFA_RECOVERY_USED: "user.mfa_recovery_used",
+  MFA_RECOVERY_REGENERATE: "user.mfa_recovery_regenerate",
   
   // Team
   TEAM_INVITE: "team.invite",
@@ -20,6 +25,7 @@ const AUDITABLE_ACTIONS = {
   // Organization
   ORG_UPDATE: "organization.update",
   ORG_SETTINGS: "organization.settings",
+  ORG_MFA_POLICY: "organization.mfa_policy",
   
   // Phone Numbers
   PHONE_ADD: "phone.add",
@@ -18,6 +18,7 @@ const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SEC
 // Token expiration times
 const ACCESS_TOKEN_EXPIRY = "1h"; // 1 hour
 const REFRESH_TOKEN_EXPIRY = "7d"; // 7 days
+const MFA_TOKEN_EXPIRY = "10m"; // Time to finish the second login step
 
 // Validate secrets on module load
 if (!JWT_SECRET) {
@@ -100,6 +101,44 @@ function createTokenPair(user, organizationId) {
   };
 }
 
+/**
+ * Create MFA challenge token, issued after the password check instead of a
+ * session. "verify" completes login with a code; "setup" lets a user whose
+ * organization requires MFA enroll before their first session.
+ * @param {Object} user - User object
+ * @param {"verify"|"setup"} purpose - What the token may be used for
+ * @returns {string} JWT challenge token
+ */
+function createMfaToken(user, purpose) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      purpose,
+      type: "mfa",
+    },
+    JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRY }
+  );
+}
+
+/**
+ * Verify MFA challenge token
+ * @param {string} token - JWT challenge token
+ * @param {"verify"|"setup"} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+function verifyMfaToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== "mfa" || decoded.purpose !== purpose) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Verify access token
  * @param {string} token - JWT token
@@ -234,6 +273,15 @@ const authMiddleware = async (req, res, next) => {
       return res.status(403).json({ error: "No organization access" });
     }
 
+    // Organization requires MFA: only /auth (me, logout, MFA setup) until enrolled
+    if (activeOrg.requireMfa && !user.mfaEnabled && req.baseUrl !== "/auth") {
+      return res.status(403).json({
+        error: "MFA required",
+        message: "Your organization requires multi-factor authentication. Set it up to continue.",
+        code: "MFA_SETUP_REQUIRED",
+      });
+    }
+
     // Attach to request
     req.user = {
       ...user,
@@ -454,8 +502,10 @@ module.exports = {
   createAccessToken,
   createRefreshToken,
   createTokenPair,
+  createMfaToken,
   verifyAccessToken,
   verifyRefreshToken,
+  verifyMfaToken,
 
   // Legacy
   createToken,
@@ -463,5 +513,6 @@ module.exports = {
   // Constants
   ACCESS_TOKEN_EXPIRY,
   REFRESH_TOKEN_EXPIRY,
+  MFA_TOKEN_EXPIRY,
   JWT_SECRET,
 };
@@ -120,6 +120,7 @@ setInterval(() => {
 
 /**
  * Create a custom rate limiter with better tracking
+ * max may be a function of the request (e.g. a per-API-key limit)
  */
 function createRateLimiter(options) {
   const {
@@ -135,6 +136,8 @@ function createRateLimiter(options) {
     const key = `ratelimit:${options.name || "default"}:${keyGenerator(req)}`;
     const now = Date.now();
 
+    const limit = typeof max === "function" ? max(req) : max;
+
     let data = rateLimitStore.get(key);
 
     if (!data || now > data.resetTime) {
@@ -149,11 +152,11 @@ function createRateLimiter(options) {
     rateLimitStore.set(key, data);
 
     // Set rate limit headers
-    res.setHeader("X-RateLimit-Limit", max);
-    res.setHeader("X-RateLimit-Remaining", Math.max(0, max - data.count));
+    res.setHeader("X-RateLimit-Limit", limit);
+    res.setHeader("X-RateLimit-Remaining", Math.max(0, limit - data.count));
     res.setHeader("X-RateLimit-Reset", Math.ceil(data.resetTime / 1000));
 
-    if (data.count > max) {
+    if (data.count > limit) {
       const retryAfter = Math.ceil((data.resetTime - now) / 1000);
       res.setHeader("Retry-After", retryAfter);
 
@@ -4,8 +4,9 @@
 // ============================================================================
 
 const express = require("express");
-const { authMiddleware } = require("../middleware/auth.middleware");
+const { authMiddleware, requireRole } = require("../middleware/auth.middleware");
 const analyticsService = require("../services/analytics.service");
+const { reprocessRange } = require("../services/call-analysis.service");
 const { cache } = require("../lib/cache");
 
 const router = express.Router();
@@ -220,4 +221,53 @@ router.get("/handle-time", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/languages
+ * Get caller language distribution
+ */
+router.get("/languages", authMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const languages = await analyticsService.getLanguageBreakdown(
+      req.organizationId,
+      startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      endDate ? new Date(endDate) : new Date()
+    );
+
+    res.json(languages);
+  } catch (err) {
+    console.error("❌ GET /api/analytics/languages error:", err);
+    res.status(500).json({ error: "Failed to get language breakdown" });
+  }
+});
+
+/**
+ * POST /api/analytics/reprocess
+ * Re-run post-call analysis for transcripts in a date range
+ * Body: { startDate, endDate, force } - force re-analyzes already analyzed calls
+ */
+router.post("/reprocess", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
+  try {
+    const { startDate, endDate, force } = req.body;
+
+    const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+
+    const result = await reprocessRange(req.organizationId, {
+      startDate: start,
+      endDate: end,
+      force: !!force,
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error("❌ POST /api/analytics/reprocess error:", err);
+    res.status(500).json({ error: "Failed to reprocess calls" });
+  }
+});
+
 module.exports = router;
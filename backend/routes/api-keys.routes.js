@@ -19,9 +19,27 @@ const PERMISSIONS = [
   { id: "leads:write", name: "Manage Leads", description: "Create and update leads" },
   { id: "transcripts:read", name: "Read Transcripts", description: "View call transcripts" },
   { id: "analytics:read", name: "Read Analytics", description: "Access analytics data" },
+  { id: "bookings:read", name: "Read Bookings", description: "View calendar bookings" },
+  { id: "sms:send", name: "Send SMS", description: "Send outbound text messages" },
   { id: "webhooks:manage", name: "Manage Webhooks", description: "Configure webhooks" },
 ];
 
+// Public API rate limit (requests per minute per key)
+const DEFAULT_RATE_LIMIT = 120;
+const MAX_RATE_LIMIT = 1000;
+
+/**
+ * Validate a rateLimit input: null clears it back to the default
+ */
+function parseRateLimit(value) {
+  if (value === null || value === "") return { value: null };
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+    return { error: `rateLimit must be between 1 and ${MAX_RATE_LIMIT} requests per minute` };
+  }
+  return { value: limit };
+}
+
 /**
  * GET /api/api-keys
  * List all API keys for organization
@@ -52,6 +70,7 @@ router.get("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
         name: true,
         keyPrefix: true,
         permissions: true,
+        rateLimit: true,
         lastUsedAt: true,
         expiresAt: true,
         createdAt: true,
@@ -62,6 +81,7 @@ router.get("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
       isEnterprise: true,
       apiKeys,
       availablePermissions: PERMISSIONS,
+      defaultRateLimit: DEFAULT_RATE_LIMIT,
     });
   } catch (err) {
     console.error("❌ GET /api/api-keys error:", err);
@@ -75,12 +95,17 @@ router.get("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
  */
 router.post("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
   try {
-    const { name, permissions = [], expiresInDays } = req.body;
+    const { name, permissions = [], expiresInDays, rateLimit } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: "Name required" });
     }
 
+    const limit = rateLimit !== undefined ? parseRateLimit(rateLimit) : { value: null };
+    if (limit.error) {
+      return res.status(400).json({ error: limit.error });
+    }
+
     const org = await prisma.organization.findUnique({
       where: { id: req.organizationId },
       select: { plan: true },
@@ -112,6 +137,7 @@ router.post("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
         keyHash: hash,
         keyPrefix,
         permissions: validPermissions,
+        rateLimit: limit.value,
         expiresAt,
         createdById: req.user.id,
         organizationId: req.organizationId,
@@ -138,6 +164,7 @@ router.post("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
       key, // Full key - show only once!
       keyPrefix: apiKey.keyPrefix,
       permissions: apiKey.permissions,
+      rateLimit: apiKey.rateLimit,
       expiresAt: apiKey.expiresAt,
       warning: "Save this key now - it won't be shown again!",
     });
@@ -149,12 +176,12 @@ router.post("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
 
 /**
  * PATCH /api/api-keys/:id
- * Update API key (name, permissions)
+ * Update API key (name, permissions, rateLimit)
  */
 router.patch("/:id", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, permissions } = req.body;
+    const { name, permissions, rateLimit } = req.body;
 
     const existing = await prisma.apiKey.findFirst({
       where: { 
@@ -175,6 +202,13 @@ router.patch("/:id", authMiddleware, requireRole("OWNER", "ADMIN"), async (req,
         PERMISSIONS.some(perm => perm.id === p)
       );
     }
+    if (rateLimit !== undefined) {
+      const limit = parseRateLimit(rateLimit);
+      if (limit.error) {
+        return res.status(400).json({ error: limit.error });
+      }
+      updateData.rateLimit = limit.value;
+    }
 
     const updated = await prisma.apiKey.update({
       where: { id },
@@ -188,7 +222,7 @@ router.patch("/:id", authMiddleware, requireRole("OWNER", "ADMIN"), async (req,
       action: "api_key.update",
       entityType: "api_key",
       entityId: id,
-      oldValues: { name: existing.name, permissions: existing.permissions },
+      oldValues: { name: existing.name, permissions: existing.permissions, rateLimit: existing.rateLimit },
       newValues: updateData,
       organizationId: req.organizationId,
     });
@@ -198,6 +232,7 @@ router.patch("/:id", authMiddleware, requireRole("OWNER", "ADMIN"), async (req,
       name: updated.name,
       keyPrefix: updated.keyPrefix,
       permissions: updated.permissions,
+      rateLimit: updated.rateLimit,
     });
   } catch (err) {
     console.error("❌ PATCH /api/api-keys/:id error:", err);
@@ -258,7 +293,7 @@ const apiKeyAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization || req.headers["x-api-key"];
     
     if (!authHeader) {
-      return res.status(401).json({ error: "API key required" });
+      return res.status(401).json({ error: "API key required", code: "unauthorized" });
     }
 
     const apiKey = authHeader.replace("Bearer ", "").replace("ApiKey ", "");
@@ -279,7 +314,7 @@ const apiKeyAuth = async (req, res, next) => {
     });
 
     if (!key) {
-      return res.status(401).json({ error: "Invalid or expired API key" });
+      return res.status(401).json({ error: "Invalid or expired API key", code: "unauthorized" });
     }
 
     // Update last used
@@ -296,7 +331,7 @@ const apiKeyAuth = async (req, res, next) => {
     next();
   } catch (error) {
     console.error("❌ API key auth error:", error);
-    return res.status(401).json({ error: "Authentication failed" });
+    return res.status(401).json({ error: "Authentication failed", code: "unauthorized" });
   }
 };
 
@@ -306,13 +341,14 @@ const apiKeyAuth = async (req, res, next) => {
 const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.apiKey) {
-      return res.status(401).json({ error: "API key required" });
+      return res.status(401).json({ error: "API key required", code: "unauthorized" });
     }
 
     const hasPermission = permissions.some(p => req.apiKey.permissions.includes(p));
     if (!hasPermission) {
       return res.status(403).json({ 
         error: "Insufficient permissions",
+        code: "forbidden",
         required: permissions,
         granted: req.apiKey.permissions,
       });
@@ -327,4 +363,5 @@ module.exports = {
   apiKeyAuth,
   requirePermission,
   PERMISSIONS,
+  DEFAULT_RATE_LIMIT,
 };
@@ -9,6 +9,8 @@ const prisma = require("../lib/prisma");
 const {
   authMiddleware,
   createTokenPair,
+  createMfaToken,
+  verifyMfaToken,
   handleRefreshToken,
 } = require("../middleware/auth.middleware");
 const {
@@ -23,7 +25,9 @@ const {
   validateBody,
   authSchemas,
 } = require("../middleware/validation.middleware");
+const { logAuthEvent, AUDITABLE_ACTIONS } = require("../middleware/audit.middleware");
 const twilioService = require("../services/twilio.service");
+const mfaService = require("../services/mfa.service");
 const { emailService } = require("../services/email");
 
 const router = express.Router();
@@ -41,6 +45,7 @@ function safeUserResponse(user, role) {
     status: user.status,
     avatar: user.avatar,
     emailVerified: user.emailVerified || false,
+    mfaEnabled: user.mfaEnabled || false,
     onboardingCompleted: user.organization?.onboardingCompleted || false,
     organizationCount: user.memberships?.length || 1,
   };
@@ -65,9 +70,85 @@ function safeOrgResponse(org) {
     monthlyAIMinutes: org.monthlyAIMinutes,
     usedCallMinutes: org.usedCallMinutes,
     usedAIMinutes: org.usedAIMinutes,
+    requireMfa: org.requireMfa || false,
   };
 }
 
+// ============================================================================
+// HELPER: Login session
+// ============================================================================
+
+/**
+ * Load a user with the relations login needs
+ */
+function findLoginUser(where) {
+  return prisma.user.findUnique({
+    where,
+    include: {
+      organization: true,
+      memberships: {
+        include: { organization: true },
+        orderBy: { isPrimary: "desc" },
+      },
+    },
+  });
+}
+
+/**
+ * Pick the organization a login lands in: current, then primary, then legacy
+ */
+function resolveActiveOrg(user) {
+  if (user.currentOrgId) {
+    const membership = user.memberships.find(
+      (m) => m.organizationId === user.currentOrgId
+    );
+    if (membership) {
+      return { activeOrg: membership.organization, userRole: membership.role };
+    }
+  }
+
+  if (user.memberships.length > 0) {
+    const primaryMembership =
+      user.memberships.find((m) => m.isPrimary) || user.memberships[0];
+    return { activeOrg: primaryMembership.organization, userRole: primaryMembership.role };
+  }
+
+  if (user.organization) {
+    return { activeOrg: user.organization, userRole: "OWNER" };
+  }
+
+  return { activeOrg: null, userRole: "AGENT" };
+}
+
+/**
+ * Record the login and respond with a token pair
+ */
+async function startSession(req, res, user, activeOrg, userRole, extra = {}) {
+  // Update last login and current org
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      lastLoginAt: new Date(),
+      lastLoginIp: req.ip,
+      currentOrgId: activeOrg.id,
+    },
+  });
+
+  // Create token pair
+  const tokens = createTokenPair(user, activeOrg.id);
+
+  console.log("✅ Login:", user.email, "| Org:", activeOrg.name);
+
+  res.json({
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: 3600,
+    user: safeUserResponse({ ...user, organization: activeOrg }, userRole),
+    organization: safeOrgResponse(activeOrg),
+    ...extra,
+  });
+}
+
 // ============================================================================
 // POST /auth/register
 // Creates a new organization + admin user + Twilio subaccount
@@ -233,16 +314,7 @@ router.post(
       const { email, password } = req.body;
       const normalizedEmail = email.toLowerCase().trim();
 
-      const user = await prisma.user.findUnique({
-        where: { email: normalizedEmail },
-        include: {
-          organization: true,
-          memberships: {
-            include: { organization: true },
-            orderBy: { isPrimary: "desc" },
-          },
-        },
-      });
+      const user = await findLoginUser({ email: normalizedEmail });
 
       if (!user) {
         // Record failed attempt (even for non-existent users to prevent enumeration)
@@ -276,61 +348,31 @@ router.post(
         return res.status(401).json({ error: "Invalid credentials" });
       }
 
-      // Clear failed login attempts on success
-      clearFailedLogins(normalizedEmail);
-
-      // Determine active organization
-      let activeOrg = null;
-      let userRole = "AGENT";
-
-      if (user.currentOrgId) {
-        const membership = user.memberships.find(
-          (m) => m.organizationId === user.currentOrgId
-        );
-        if (membership) {
-          activeOrg = membership.organization;
-          userRole = membership.role;
-        }
-      }
-
-      if (!activeOrg && user.memberships.length > 0) {
-        const primaryMembership =
-          user.memberships.find((m) => m.isPrimary) || user.memberships[0];
-        activeOrg = primaryMembership.organization;
-        userRole = primaryMembership.role;
-      }
-
-      if (!activeOrg && user.organization) {
-        activeOrg = user.organization;
-        userRole = "OWNER";
-      }
-
+      const { activeOrg, userRole } = resolveActiveOrg(user);
       if (!activeOrg) {
         return res.status(403).json({ error: "No organization access" });
       }
 
-      // Update last login and current org
-      await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          lastLoginAt: new Date(),
-          lastLoginIp: req.ip,
-          currentOrgId: activeOrg.id,
-        },
-      });
+      // Second factor: failed attempts keep counting until the code is verified
+      if (user.mfaEnabled) {
+        return res.json({
+          mfaRequired: true,
+          mfaToken: createMfaToken(user, "verify"),
+        });
+      }
 
-      // Create token pair
-      const tokens = createTokenPair(user, activeOrg.id);
+      // Clear failed login attempts on success
+      clearFailedLogins(normalizedEmail);
 
-      console.log("✅ Login:", user.email, "| Org:", activeOrg.name);
+      // Organization requires MFA: enroll before the first session
+      if (mfaService.needsEnrollment(user, activeOrg)) {
+        return res.json({
+          mfaSetupRequired: true,
+          mfaToken: createMfaToken(user, "setup"),
+        });
+      }
 
-      res.json({
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-        expiresIn: 3600,
-        user: safeUserResponse({ ...user, organization: activeOrg }, userRole),
-        organization: safeOrgResponse(activeOrg),
-      });
+      await startSession(req, res, user, activeOrg, userRole);
     } catch (error) {
       console.error("❌ Login error:", error);
       res.status(500).json({ error: "Login failed" });
@@ -376,6 +418,240 @@ router.get("/me", authMiddleware, (req, res) => {
   });
 });
 
+// ============================================================================
+// MFA: TOTP enrollment, login challenge and recovery codes
+// ============================================================================
+
+/**
+ * Reject with 423 while the email is locked out (shared with password attempts)
+ */
+function sendIfLocked(res, email) {
+  const remaining = getLockoutRemaining(email);
+  if (remaining > 0) {
+    res.status(423).json({
+      error: "Account temporarily locked",
+      message: `Too many failed attempts. Try again in ${Math.ceil(remaining / 60)} minutes.`,
+      retryAfter: remaining,
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Setup endpoints accept a signed-in user, or the "setup" challenge token
+ * that login hands out when the organization requires MFA
+ */
+async function mfaSetupAuth(req, res, next) {
+  const mfaToken = req.body?.mfaToken;
+  if (!mfaToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const decoded = verifyMfaToken(mfaToken, "setup");
+    const user = decoded && (await findLoginUser({ id: decoded.userId }));
+    if (!user || user.status === "SUSPENDED") {
+      return res.status(401).json({ error: "MFA session expired. Please sign in again.", code: "MFA_TOKEN_INVALID" });
+    }
+    req.user = user;
+    req.mfaPendingLogin = true;
+    next();
+  } catch (error) {
+    console.error("❌ MFA setup auth error:", error);
+    res.status(401).json({ error: "Authentication failed" });
+  }
+}
+
+// ============================================================================
+// POST /auth/mfa/verify
+// Second login step: { mfaToken, code } or { mfaToken, recoveryCode }
+// ============================================================================
+
+router.post("/mfa/verify", authLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "mfaToken and a code or recoveryCode are required" });
+    }
+
+    const decoded = verifyMfaToken(mfaToken, "verify");
+    const user = decoded && (await findLoginUser({ id: decoded.userId }));
+    if (!user || user.status === "SUSPENDED") {
+      return res.status(401).json({ error: "MFA session expired. Please sign in again.", code: "MFA_TOKEN_INVALID" });
+    }
+
+    if (sendIfLocked(res, user.email)) return;
+
+    const result = await mfaService.verify(user, { code, recoveryCode });
+    if (result.error) {
+      await logAuthEvent(AUDITABLE_ACTIONS.MFA_VERIFY, user, req, false);
+      recordFailedLogin(user.email);
+      if (sendIfLocked(res, user.email)) return;
+      return res.status(400).json({ error: result.error });
+    }
+
+    clearFailedLogins(user.email);
+    await logAuthEvent(
+      result.method === "recovery" ? AUDITABLE_ACTIONS.MFA_RECOVERY_USED : AUDITABLE_ACTIONS.MFA_VERIFY,
+      user,
+      req
+    );
+
+    const { activeOrg, userRole } = resolveActiveOrg(user);
+    if (!activeOrg) {
+      return res.status(403).json({ error: "No organization access" });
+    }
+
+    await startSession(
+      req,
+      res,
+      user,
+      activeOrg,
+      userRole,
+      result.method === "recovery" ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {}
+    );
+  } catch (error) {
+    console.error("❌ MFA verify error:", error);
+    res.status(500).json({ error: "MFA verification failed" });
+  }
+});
+
+// ============================================================================
+// GET /auth/mfa/status
+// ============================================================================
+
+router.get("/mfa/status", authMiddleware, (req, res) => {
+  res.json(mfaService.getStatus(req.user, req.user.organization));
+});
+
+// ============================================================================
+// POST /auth/mfa/setup
+// Start enrollment; returns the secret, otpauth URL and a QR code data URL
+// ============================================================================
+
+router.post("/mfa/setup", authLimiter, mfaSetupAuth, async (req, res) => {
+  try {
+    const { data, error } = await mfaService.beginEnrollment(req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error("❌ MFA setup error:", error);
+    res.status(500).json({ error: "Failed to start MFA setup" });
+  }
+});
+
+// ============================================================================
+// POST /auth/mfa/enable
+// Confirm enrollment with { code }; returns recovery codes (once).
+// With a setup challenge token this also completes the login.
+// ============================================================================
+
+router.post("/mfa/enable", authLimiter, mfaSetupAuth, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Verification code required" });
+    }
+
+    const { data, error } = await mfaService.confirmEnrollment(req.user, req.body.code);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await logAuthEvent(AUDITABLE_ACTIONS.MFA_ENABLE, req.user, req);
+
+    if (req.mfaPendingLogin) {
+      clearFailedLogins(req.user.email);
+      const { activeOrg, userRole } = resolveActiveOrg(req.user);
+      if (!activeOrg) {
+        return res.status(403).json({ error: "No organization access" });
+      }
+      return startSession(req, res, { ...req.user, mfaEnabled: true }, activeOrg, userRole, {
+        recoveryCodes: data.recoveryCodes,
+      });
+    }
+
+    res.json({ recoveryCodes: data.recoveryCodes });
+  } catch (error) {
+    console.error("❌ MFA enable error:", error);
+    res.status(500).json({ error: "Failed to enable MFA" });
+  }
+});
+
+// ============================================================================
+// POST /auth/mfa/disable
+// Requires { password } and { code } or { recoveryCode }
+// ============================================================================
+
+router.post("/mfa/disable", authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({ error: "MFA is not enabled" });
+    }
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "Password and a code or recoveryCode are required" });
+    }
+
+    const requiredBy = req.user.memberships.find((m) => m.organization.requireMfa);
+    if (requiredBy) {
+      return res.status(403).json({ error: `${requiredBy.organization.name} requires MFA for all members` });
+    }
+
+    if (sendIfLocked(res, req.user.email)) return;
+
+    const ok = await bcrypt.compare(password, req.user.passwordHash);
+    const result = ok ? await mfaService.verify(req.user, { code, recoveryCode }) : { error: "Invalid password" };
+    if (result.error) {
+      recordFailedLogin(req.user.email);
+      if (sendIfLocked(res, req.user.email)) return;
+      return res.status(400).json({ error: result.error });
+    }
+
+    await mfaService.disable(req.user);
+    await logAuthEvent(AUDITABLE_ACTIONS.MFA_DISABLE, req.user, req);
+
+    res.json({ message: "MFA disabled" });
+  } catch (error) {
+    console.error("❌ MFA disable error:", error);
+    res.status(500).json({ error: "Failed to disable MFA" });
+  }
+});
+
+// ============================================================================
+// POST /auth/mfa/recovery-codes
+// Replace recovery codes; requires a current { code }
+// ============================================================================
+
+router.post("/mfa/recovery-codes", authLimiter, authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Verification code required" });
+    }
+
+    if (sendIfLocked(res, req.user.email)) return;
+
+    const result = await mfaService.verify(req.user, { code: req.body.code });
+    if (result.error) {
+      recordFailedLogin(req.user.email);
+      if (sendIfLocked(res, req.user.email)) return;
+      return res.status(400).json({ error: result.error });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user);
+    await logAuthEvent(AUDITABLE_ACTIONS.MFA_RECOVERY_REGENERATE, req.user, req);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error("❌ MFA recovery codes error:", error);
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+});
+
 // ============================================================================
 // POST /auth/verify-email
 // Verify email using token or code
@@ -8,6 +8,7 @@ const prisma = require("../lib/prisma");
 const { encrypt, decrypt, maskValue } = require("../lib/encryption");
 const { authMiddleware, requireRole } = require("../middleware/auth.middleware");
 const { createAuditLog } = require("../middleware/audit.middleware");
+const { invalidateCredentials } = require("../services/credentials.service");
 
 const router = express.Router();
 
@@ -94,6 +95,123 @@ router.get("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res)
   }
 });
 
+/**
+ * POST /api/byo-keys/validate-all
+ * Validate all configured BYO keys
+ */
+router.post("/validate-all", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
+  try {
+    const org = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: {
+        byoOpenaiKey: true,
+        byoElevenlabsKey: true,
+        byoDeepgramKey: true,
+        byoTwilioAccountSid: true,
+        byoTwilioAuthToken: true,
+      },
+    });
+
+    const results = {
+      openai: { configured: false, valid: null },
+      elevenlabs: { configured: false, valid: null },
+      deepgram: { configured: false, valid: null },
+      twilio: { configured: false, valid: null },
+    };
+
+    // Test each configured key
+    for (const [provider, config] of Object.entries(PROVIDERS)) {
+      const encryptedKey = org[config.field];
+      if (encryptedKey) {
+        results[provider].configured = true;
+        try {
+          const apiKey = decrypt(encryptedKey);
+          const response = await fetch(config.testEndpoint, {
+            method: "GET",
+            headers: {
+              [config.testHeader]: `${config.testHeaderPrefix}${apiKey}`,
+            },
+          });
+          results[provider].valid = response.ok;
+        } catch {
+          results[provider].valid = false;
+        }
+      }
+    }
+
+    // Test Twilio
+    if (org.byoTwilioAccountSid && org.byoTwilioAuthToken) {
+      results.twilio.configured = true;
+      try {
+        const authToken = decrypt(org.byoTwilioAuthToken);
+        const credentials = Buffer.from(`${org.byoTwilioAccountSid}:${authToken}`).toString("base64");
+        const response = await fetch(
+          `https://api.twilio.com/2010-04-01/Accounts/${org.byoTwilioAccountSid}.json`,
+          { headers: { Authorization: `Basic ${credentials}` } }
+        );
+        results.twilio.valid = response.ok;
+      } catch {
+        results.twilio.valid = false;
+      }
+    }
+
+    // Update validation timestamp
+    const allValid = Object.values(results).every(r => !r.configured || r.valid);
+    if (allValid) {
+      await prisma.organization.update({
+        where: { id: req.organizationId },
+        data: { byoKeysValidatedAt: new Date() },
+      });
+    }
+
+    res.json({ results, allValid });
+  } catch (err) {
+    console.error("❌ POST /api/byo-keys/validate-all error:", err);
+    res.status(500).json({ error: "Failed to validate keys" });
+  }
+});
+
+/**
+ * POST /api/byo-keys/toggle
+ * Enable/disable BYO keys usage
+ */
+router.post("/toggle", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    const org = await prisma.organization.findUnique({
+      where: { id: req.organizationId },
+      select: { plan: true },
+    });
+
+    // BYO Keys available for all paid plans
+    if (org.plan === "TRIAL") {
+      return res.status(403).json({ error: "BYO Keys require a paid plan" });
+    }
+
+    await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: { byoKeysEnabled: !!enabled },
+    });
+    invalidateCredentials(req.organizationId);
+
+    await createAuditLog({
+      actorType: "user",
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      action: enabled ? "byo_keys.enabled" : "byo_keys.disabled",
+      entityType: "organization",
+      entityId: req.organizationId,
+      organizationId: req.organizationId,
+    });
+
+    res.json({ enabled: !!enabled });
+  } catch (err) {
+    console.error("❌ POST /api/byo-keys/toggle error:", err);
+    res.status(500).json({ error: "Failed to toggle BYO keys" });
+  }
+});
+
 /**
  * POST /api/byo-keys/:provider
  * Set a BYO key for a provider
@@ -131,6 +249,7 @@ router.post("/:provider", authMiddleware, requireRole("OWNER", "ADMIN"), async (
           byoKeysEnabled: true,
         },
       });
+      invalidateCredentials(req.organizationId);
 
       await createAuditLog({
         actorType: "user",
@@ -165,6 +284,7 @@ router.post("/:provider", authMiddleware, requireRole("OWNER", "ADMIN"), async (
         byoKeysEnabled: true,
       },
     });
+    invalidateCredentials(req.organizationId);
 
     await createAuditLog({
       actorType: "user",
@@ -216,6 +336,7 @@ router.delete("/:provider", authMiddleware, requireRole("OWNER", "ADMIN"), async
         },
       });
     }
+    invalidateCredentials(req.organizationId);
 
     await createAuditLog({
       actorType: "user",
@@ -307,120 +428,4 @@ router.post("/:provider/test", authMiddleware, requireRole("OWNER", "ADMIN"), as
   }
 });
 
-/**
- * POST /api/byo-keys/validate-all
- * Validate all configured BYO keys
- */
-router.post("/validate-all", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
-  try {
-    const org = await prisma.organization.findUnique({
-      where: { id: req.organizationId },
-      select: {
-        byoOpenaiKey: true,
-        byoElevenlabsKey: true,
-        byoDeepgramKey: true,
-        byoTwilioAccountSid: true,
-        byoTwilioAuthToken: true,
-      },
-    });
-
-    const results = {
-      openai: { configured: false, valid: null },
-      elevenlabs: { configured: false, valid: null },
-      deepgram: { configured: false, valid: null },
-      twilio: { configured: false, valid: null },
-    };
-
-    // Test each configured key
-    for (const [provider, config] of Object.entries(PROVIDERS)) {
-      const encryptedKey = org[config.field];
-      if (encryptedKey) {
-        results[provider].configured = true;
-        try {
-          const apiKey = decrypt(encryptedKey);
-          const response = await fetch(config.testEndpoint, {
-            method: "GET",
-            headers: {
-              [config.testHeader]: `${config.testHeaderPrefix}${apiKey}`,
-            },
-          });
-          results[provider].valid = response.ok;
-        } catch {
-          results[provider].valid = false;
-        }
-      }
-    }
-
-    // Test Twilio
-    if (org.byoTwilioAccountSid && org.byoTwilioAuthToken) {
-      results.twilio.configured = true;
-      try {
-        const authToken = decrypt(org.byoTwilioAuthToken);
-        const credentials = Buffer.from(`${org.byoTwilioAccountSid}:${authToken}`).toString("base64");
-        const response = await fetch(
-          `https://api.twilio.com/2010-04-01/Accounts/${org.byoTwilioAccountSid}.json`,
-          { headers: { Authorization: `Basic ${credentials}` } }
-        );
-        results.twilio.valid = response.ok;
-      } catch {
-        results.twilio.valid = false;
-      }
-    }
-
-    // Update validation timestamp
-    const allValid = Object.values(results).every(r => !r.configured || r.valid);
-    if (allValid) {
-      await prisma.organization.update({
-        where: { id: req.organizationId },
-        data: { byoKeysValidatedAt: new Date() },
-      });
-    }
-
-    res.json({ results, allValid });
-  } catch (err) {
-    console.error("❌ POST /api/byo-keys/validate-all error:", err);
-    res.status(500).json({ error: "Failed to validate keys" });
-  }
-});
-
-/**
- * POST /api/byo-keys/toggle
- * Enable/disable BYO keys usage
- */
-router.post("/toggle", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res) => {
-  try {
-    const { enabled } = req.body;
-
-    const org = await prisma.organization.findUnique({
-      where: { id: req.organizationId },
-      select: { plan: true },
-    });
-
-    // BYO Keys available for all paid plans
-    if (org.plan === "TRIAL") {
-      return res.status(403).json({ error: "BYO Keys require a paid plan" });
-    }
-
-    await prisma.organization.update({
-      where: { id: req.organizationId },
-      data: { byoKeysEnabled: !!enabled },
-    });
-
-    await createAuditLog({
-      actorType: "user",
-      actorId: req.user.id,
-      actorEmail: req.user.email,
-      action: enabled ? "byo_keys.enabled" : "byo_keys.disabled",
-      entityType: "organization",
-      entityId: req.organizationId,
-      organizationId: req.organizationId,
-    });
-
-    res.json({ enabled: !!enabled });
-  } catch (err) {
-    console.error("❌ POST /api/byo-keys/toggle error:", err);
-    res.status(500).json({ error: "Failed to toggle BYO keys" });
-  }
-});
-
 module.exports = router;
@@ -1,6 +1,7 @@
 // ============================================================================
 // HEKAX Phone - Calendar Integration Routes
-// OAuth flows and booking management for Google, Outlook, and Calendly
+// OAuth flows and booking management for Google, Outlook, and Calendly;
+// CalDAV connects with a username and app password
 // ============================================================================
 
 const express = require("express");
@@ -11,7 +12,14 @@ const { CalendarService, CalendarProvider } = require("../services/calendar");
 const GoogleCalendarProvider = require("../services/calendar/providers/google");
 const OutlookCalendarProvider = require("../services/calendar/providers/outlook");
 const CalendlyProvider = require("../services/calendar/providers/calendly");
+const CalDavCalendarProvider = require("../services/calendar/providers/caldav");
 const automationService = require("../services/automation.service");
+const bookingService = require("../services/booking.service");
+const calendarFeedService = require("../services/calendar-feed.service");
+const appointmentTypeService = require("../services/appointment-type.service");
+const { isLocalDate, isValidTimezone } = require("../lib/timezone");
+const { encrypt } = require("../lib/encryption");
+const { assertPublicUrl } = require("../lib/outbound");
 
 const router = express.Router();
 const calendarService = new CalendarService(prisma);
@@ -21,7 +29,8 @@ const oauthStates = new Map();
 
 // ============================================================================
 // GET /api/calendar/integrations
-// List connected calendar integrations
+// List connected calendar integrations (ownerId is set on team members'
+// personal calendars)
 // ============================================================================
 router.get("/integrations", authMiddleware, async (req, res) => {
   try {
@@ -34,10 +43,16 @@ router.get("/integrations", authMiddleware, async (req, res) => {
         calendarName: true,
         defaultDuration: true,
         businessHours: true,
+        serverUrl: true,
+        username: true,
+        ownerId: true,
         createdAt: true,
         connectedBy: {
           select: { id: true, name: true, email: true },
         },
+        owner: {
+          select: { id: true, name: true, email: true },
+        },
       },
     });
 
@@ -51,16 +66,27 @@ router.get("/integrations", authMiddleware, async (req, res) => {
 // ============================================================================
 // GET /api/calendar/connect/:provider
 // Start OAuth flow for a calendar provider
+// ?scope=personal connects the signed-in member's own calendar (any role);
+// the organization calendar needs an admin
 // ============================================================================
-router.get("/connect/:provider", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+router.get("/connect/:provider", authMiddleware, async (req, res) => {
   try {
     const { provider } = req.params;
+    const personal = req.query.scope === "personal";
     const validProviders = ["google", "outlook", "calendly"];
 
+    if (provider === "caldav") {
+      return res.status(400).json({ error: "CalDAV connects with a username and app password: POST /api/calendar/connect/caldav" });
+    }
+
     if (!validProviders.includes(provider)) {
       return res.status(400).json({ error: "Invalid provider" });
     }
 
+    if (!personal && !["OWNER", "ADMIN"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Only admins can connect the organization calendar" });
+    }
+
     // Check if OAuth credentials are configured
     const credentialCheck = {
       google: { id: process.env.GOOGLE_CLIENT_ID, secret: process.env.GOOGLE_CLIENT_SECRET },
@@ -82,7 +108,8 @@ router.get("/connect/:provider", authMiddleware, requireRole(["OWNER", "ADMIN"])
     const state = crypto.randomBytes(32).toString("hex");
     oauthStates.set(state, {
       organizationId: req.organizationId,
-      userId: req.userId,
+      userId: req.user.id,
+      ownerId: personal ? req.user.id : null,
       provider,
       createdAt: Date.now(),
     });
@@ -117,6 +144,100 @@ router.get("/connect/:provider", authMiddleware, requireRole(["OWNER", "ADMIN"])
   }
 });
 
+// ============================================================================
+// POST /api/calendar/connect/caldav
+// Connect a CalDAV calendar (Nextcloud, Fastmail, iCloud...):
+// { serverUrl, username, password, calendarUrl? } - the password should be an
+// app password. ?scope=personal works as for OAuth providers.
+// ============================================================================
+router.post("/connect/caldav", authMiddleware, async (req, res) => {
+  try {
+    const { serverUrl, username, password, calendarUrl } = req.body;
+    const personal = req.query.scope === "personal";
+
+    if (!personal && !["OWNER", "ADMIN"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Only admins can connect the organization calendar" });
+    }
+
+    // https in production, and never loopback/private/link-local addresses
+    let url;
+    try {
+      url = await assertPublicUrl(serverUrl);
+    } catch (urlError) {
+      return res.status(400).json({ error: `serverUrl is not allowed: ${urlError.message}` });
+    }
+
+    if (typeof username !== "string" || !username.trim() || typeof password !== "string" || !password) {
+      return res.status(400).json({ error: "username and password are required" });
+    }
+
+    let calendars;
+    try {
+      calendars = await CalDavCalendarProvider.discover({ serverUrl: url.href, username: username.trim(), password });
+    } catch (discoverError) {
+      console.log(`⚠️ CalDAV discovery failed for ${url.host}:`, discoverError.message);
+      return res.status(400).json({ error: `Could not connect to the CalDAV server: ${discoverError.message}` });
+    }
+
+    if (!calendars.length) {
+      return res.status(400).json({ error: "No event calendars found for this account" });
+    }
+
+    const calendar = calendarUrl ? calendars.find((c) => c.url === calendarUrl) : calendars[0];
+    if (!calendar) {
+      return res.status(400).json({ error: "calendarUrl is not one of this account's calendars", calendars });
+    }
+
+    const ownerId = personal ? req.user.id : null;
+    const data = {
+      accessToken: encrypt(password),
+      refreshToken: null,
+      tokenExpiresAt: null,
+      serverUrl: url.href,
+      username: username.trim(),
+      calendarId: calendar.url,
+      calendarName: calendar.name,
+      enabled: true,
+    };
+
+    // findFirst: ownerId is null for the organization calendar
+    const existing = await prisma.calendarIntegration.findFirst({
+      where: { organizationId: req.organizationId, provider: "CALDAV", ownerId },
+    });
+
+    const integration = existing
+      ? await prisma.calendarIntegration.update({ where: { id: existing.id }, data })
+      : await prisma.calendarIntegration.create({
+          data: {
+            ...data,
+            organizationId: req.organizationId,
+            provider: "CALDAV",
+            connectedById: req.user.id,
+            ownerId,
+          },
+        });
+
+    console.log(
+      `✅ Calendar connected: caldav (${url.host}) for org ${req.organizationId}${ownerId ? ` (user ${ownerId})` : ""}`
+    );
+
+    res.json({
+      integration: {
+        id: integration.id,
+        provider: integration.provider,
+        calendarName: integration.calendarName,
+        serverUrl: integration.serverUrl,
+        username: integration.username,
+        ownerId: integration.ownerId,
+      },
+      calendars,
+    });
+  } catch (error) {
+    console.error("❌ CalDAV connect error:", error);
+    res.status(500).json({ error: "Failed to connect CalDAV calendar" });
+  }
+});
+
 // ============================================================================
 // GET /api/calendar/callback/:provider
 // OAuth callback handler
@@ -157,31 +278,43 @@ router.get("/callback/:provider", async (req, res) => {
         break;
     }
 
-    // Save or update integration
-    await prisma.calendarIntegration.upsert({
+    // Save or update integration (findFirst: ownerId is null for the
+    // organization calendar, which a compound unique lookup can't match)
+    const existing = await prisma.calendarIntegration.findFirst({
       where: {
-        organizationId_provider: {
-          organizationId: stateData.organizationId,
-          provider: provider.toUpperCase(),
-        },
-      },
-      update: {
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-        tokenExpiresAt: tokens.expiresAt,
-        enabled: true,
-      },
-      create: {
         organizationId: stateData.organizationId,
         provider: provider.toUpperCase(),
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-        tokenExpiresAt: tokens.expiresAt,
-        connectedById: stateData.userId,
+        ownerId: stateData.ownerId,
       },
     });
 
-    console.log(`✅ Calendar connected: ${provider} for org ${stateData.organizationId}`);
+    if (existing) {
+      await prisma.calendarIntegration.update({
+        where: { id: existing.id },
+        data: {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          tokenExpiresAt: tokens.expiresAt,
+          enabled: true,
+        },
+      });
+    } else {
+      await prisma.calendarIntegration.create({
+        data: {
+          organizationId: stateData.organizationId,
+          provider: provider.toUpperCase(),
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          tokenExpiresAt: tokens.expiresAt,
+          connectedById: stateData.userId,
+          ownerId: stateData.ownerId,
+        },
+      });
+    }
+
+    console.log(
+      `✅ Calendar connected: ${provider} for org ${stateData.organizationId}${stateData.ownerId ? ` (user ${stateData.ownerId})` : ""}`
+    );
 
     res.redirect(`${process.env.FRONTEND_URL}/settings/integrations?success=${provider}`);
   } catch (error) {
@@ -192,9 +325,9 @@ router.get("/callback/:provider", async (req, res) => {
 
 // ============================================================================
 // DELETE /api/calendar/integrations/:id
-// Disconnect a calendar integration
+// Disconnect a calendar integration (admins, or the member who owns it)
 // ============================================================================
-router.delete("/integrations/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+router.delete("/integrations/:id", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -209,6 +342,10 @@ router.delete("/integrations/:id", authMiddleware, requireRole(["OWNER", "ADMIN"
       return res.status(404).json({ error: "Integration not found" });
     }
 
+    if (integration.ownerId !== req.user.id && !["OWNER", "ADMIN"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
     await prisma.calendarIntegration.delete({ where: { id } });
 
     console.log(`✅ Calendar disconnected: ${integration.provider} for org ${req.organizationId}`);
@@ -240,6 +377,17 @@ router.patch("/integrations/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]
       return res.status(404).json({ error: "Integration not found" });
     }
 
+    // A CalDAV calendar is a URL we send the password to: only the account's own
+    let calendarName;
+    if (calendarId !== undefined && integration.provider === "CALDAV") {
+      const provider = await calendarService.createProvider(req.organizationId, integration);
+      const calendar = (await provider.getCalendarsList()).find((c) => c.id === calendarId);
+      if (!calendar) {
+        return res.status(400).json({ error: "calendarId is not one of this account's calendars" });
+      }
+      calendarName = calendar.name;
+    }
+
     const updated = await prisma.calendarIntegration.update({
       where: { id },
       data: {
@@ -247,6 +395,7 @@ router.patch("/integrations/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]
         defaultDuration: defaultDuration !== undefined ? defaultDuration : undefined,
         businessHours: businessHours !== undefined ? businessHours : undefined,
         calendarId: calendarId !== undefined ? calendarId : undefined,
+        calendarName,
       },
     });
 
@@ -259,7 +408,7 @@ router.patch("/integrations/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]
 
 // ============================================================================
 // GET /api/calendar/availability
-// Check availability for a date
+// Check availability for a date (YYYY-MM-DD in the organization's timezone)
 // ============================================================================
 router.get("/availability", authMiddleware, async (req, res) => {
   try {
@@ -269,12 +418,15 @@ router.get("/availability", authMiddleware, async (req, res) => {
       return res.status(400).json({ error: "Date is required" });
     }
 
-    const targetDate = new Date(date);
+    if (!isLocalDate(date)) {
+      return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+    }
+
     const durationMinutes = parseInt(duration) || 30;
 
     const availability = await calendarService.checkAvailability(
       req.organizationId,
-      targetDate,
+      date,
       durationMinutes
     );
 
@@ -300,14 +452,30 @@ router.post("/book", authMiddleware, async (req, res) => {
       callerEmail,
       purpose,
       addVideoConference,
+      timezone,
+      staffId,
     } = req.body;
 
     if (!callerName || !purpose) {
       return res.status(400).json({ error: "Caller name and purpose are required" });
     }
 
-    // Parse date and time
-    const startTime = calendarService.parseDateTime(date, time);
+    if (staffId) {
+      const member = await prisma.userOrganization.findFirst({
+        where: { userId: staffId, organizationId: req.organizationId, status: "ACTIVE" },
+      });
+      if (!member) {
+        return res.status(400).json({ error: "staffId must be an active team member" });
+      }
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    // Parse date and time as wall-clock time in the given (or organization) timezone
+    const rules = await bookingService.loadBookingRules(req.organizationId);
+    const startTime = calendarService.parseDateTime(date, time, timezone || rules.timezone);
     const endTime = new Date(startTime.getTime() + (duration || 30) * 60000);
 
     const result = await calendarService.bookAppointment(req.organizationId, {
@@ -320,29 +488,334 @@ router.post("/book", authMiddleware, async (req, res) => {
       callerEmail,
       purpose,
       addVideoConference,
+      staffId,
+      bookedByAI: false,
     });
 
     // Emit automation event for appointment booked
-    automationService.emit(
-      automationService.EVENTS.APPOINTMENT_BOOKED,
+    if (result.success) {
+      automationService.emit(
+        automationService.EVENTS.APPOINTMENT_BOOKED,
+        req.organizationId,
+        {
+          ...result,
+          callerName,
+          callerPhone,
+          callerEmail,
+          purpose,
+          scheduledAt: startTime,
+        }
+      );
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("❌ Book appointment error:", error);
+    res.status(500).json({ error: "Failed to book appointment" });
+  }
+});
+
+// ============================================================================
+// GET /api/calendar/appointment-types
+// Bookable services with their staff
+// ============================================================================
+router.get("/appointment-types", authMiddleware, async (req, res) => {
+  try {
+    const appointmentTypes = await appointmentTypeService.listAppointmentTypes(req.organizationId);
+    res.json({ appointmentTypes });
+  } catch (error) {
+    console.error("❌ Get appointment types error:", error);
+    res.status(500).json({ error: "Failed to fetch appointment types" });
+  }
+});
+
+// ============================================================================
+// POST /api/calendar/appointment-types
+// Create an appointment type
+// ============================================================================
+router.post("/appointment-types", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const result = await appointmentTypeService.createAppointmentType(req.organizationId, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    let appointmentType = result.data;
+    if (Array.isArray(req.body.staff)) {
+      appointmentType = await appointmentTypeService.setAppointmentTypeStaff(
+        req.organizationId,
+        appointmentType.id,
+        req.body.staff
+      );
+    }
+
+    res.status(201).json({ appointmentType });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({ error: "An appointment type with this name already exists" });
+    }
+    console.error("❌ Create appointment type error:", error);
+    res.status(500).json({ error: "Failed to create appointment type" });
+  }
+});
+
+// ============================================================================
+// PUT /api/calendar/appointment-types/:id
+// Update an appointment type
+// ============================================================================
+router.put("/appointment-types/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const result = await appointmentTypeService.updateAppointmentType(req.organizationId, req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: "Appointment type not found" });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ appointmentType: result.data });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({ error: "An appointment type with this name already exists" });
+    }
+    console.error("❌ Update appointment type error:", error);
+    res.status(500).json({ error: "Failed to update appointment type" });
+  }
+});
+
+// ============================================================================
+// PUT /api/calendar/appointment-types/:id/staff
+// Replace the staff who take an appointment type
+// Body: { staff: [{ userId, priority? }] }
+// ============================================================================
+router.put("/appointment-types/:id/staff", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const { staff } = req.body;
+
+    if (!Array.isArray(staff) || staff.some((s) => !s || typeof s.userId !== "string")) {
+      return res.status(400).json({ error: "staff must be a list of { userId, priority }" });
+    }
+
+    const appointmentType = await appointmentTypeService.setAppointmentTypeStaff(
       req.organizationId,
-      {
-        ...result,
-        callerName,
-        callerPhone,
-        callerEmail,
-        purpose,
-        scheduledAt: startTime,
-      }
+      req.params.id,
+      staff
     );
+    if (!appointmentType) {
+      return res.status(404).json({ error: "Appointment type not found" });
+    }
+
+    res.json({ appointmentType });
+  } catch (error) {
+    console.error("❌ Set appointment type staff error:", error);
+    res.status(500).json({ error: "Failed to update staff" });
+  }
+});
+
+// ============================================================================
+// DELETE /api/calendar/appointment-types/:id
+// Existing bookings keep their details and lose the type link
+// ============================================================================
+router.delete("/appointment-types/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const deleted = await appointmentTypeService.deleteAppointmentType(req.organizationId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Appointment type not found" });
+    }
+
+    res.json({ message: "Appointment type deleted" });
+  } catch (error) {
+    console.error("❌ Delete appointment type error:", error);
+    res.status(500).json({ error: "Failed to delete appointment type" });
+  }
+});
+
+// ============================================================================
+// GET /api/calendar/appointment-types/:id/availability
+// Open slots across the type's staff for a date (YYYY-MM-DD)
+// ============================================================================
+router.get("/appointment-types/:id/availability", authMiddleware, async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!isLocalDate(date)) {
+      return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+    }
+
+    const appointmentType = await appointmentTypeService.getAppointmentType(req.organizationId, req.params.id);
+    if (!appointmentType) {
+      return res.status(404).json({ error: "Appointment type not found" });
+    }
+
+    const availability = await calendarService.getTypeAvailability(req.organizationId, appointmentType, date);
+    res.json(availability);
+  } catch (error) {
+    console.error("❌ Appointment type availability error:", error);
+    res.status(500).json({ error: "Failed to check availability" });
+  }
+});
+
+// ============================================================================
+// POST /api/calendar/appointment-types/:id/book
+// Book an appointment type; staff is assigned unless staffId is given
+// ============================================================================
+router.post("/appointment-types/:id/book", authMiddleware, async (req, res) => {
+  try {
+    const { date, time, timezone, callerName, callerPhone, callerEmail, purpose, intakeAnswers, staffId } = req.body;
+
+    if (!callerName || !date || !time) {
+      return res.status(400).json({ error: "Caller name, date and time are required" });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    if (intakeAnswers !== undefined && (typeof intakeAnswers !== "object" || Array.isArray(intakeAnswers))) {
+      return res.status(400).json({ error: "intakeAnswers must be an object of question → answer" });
+    }
+
+    const appointmentType = await appointmentTypeService.getAppointmentType(req.organizationId, req.params.id);
+    if (!appointmentType || !appointmentType.enabled) {
+      return res.status(404).json({ error: "Appointment type not found" });
+    }
+
+    if (staffId && !appointmentType.staff.some((s) => s.userId === staffId)) {
+      return res.status(400).json({ error: "staffId doesn't take this appointment type" });
+    }
+
+    const rules = await bookingService.loadBookingRules(req.organizationId);
+    const startTime = calendarService.parseDateTime(date, time, timezone || rules.timezone);
+
+    const result = await calendarService.bookAppointmentType(req.organizationId, appointmentType, {
+      title: `${appointmentType.name} with ${callerName}`,
+      startTime,
+      callerName,
+      callerPhone,
+      callerEmail,
+      purpose,
+      intakeAnswers,
+      staffId,
+      bookedByAI: false,
+    });
+
+    if (result.success) {
+      automationService.emit(
+        automationService.EVENTS.APPOINTMENT_BOOKED,
+        req.organizationId,
+        {
+          ...result,
+          callerName,
+          callerPhone,
+          callerEmail,
+          purpose: purpose || appointmentType.name,
+          appointmentType: appointmentType.name,
+          scheduledAt: startTime,
+        }
+      );
+    }
 
     res.json(result);
   } catch (error) {
-    console.error("❌ Book appointment error:", error);
+    console.error("❌ Book appointment type error:", error);
     res.status(500).json({ error: "Failed to book appointment" });
   }
 });
 
+// ============================================================================
+// GET /api/calendar/booking-settings
+// Booking rules and upcoming closures
+// ============================================================================
+router.get("/booking-settings", authMiddleware, async (req, res) => {
+  try {
+    const rules = await bookingService.loadBookingRules(req.organizationId);
+
+    res.json({
+      timezone: rules.timezone,
+      businessHours: rules.businessHours,
+      bookingBufferMinutes: rules.bufferMinutes,
+      bookingMinNoticeMinutes: rules.minNoticeMinutes,
+      bookingMaxDaysAhead: rules.maxDaysAhead,
+      bookingSlotInterval: rules.slotInterval,
+      closures: rules.closures,
+    });
+  } catch (error) {
+    console.error("❌ Get booking settings error:", error);
+    res.status(500).json({ error: "Failed to fetch booking settings" });
+  }
+});
+
+// ============================================================================
+// PUT /api/calendar/booking-settings
+// Update buffer, minimum notice, booking horizon and slot interval
+// ============================================================================
+router.put("/booking-settings", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const result = bookingService.validateBookingSettings(req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const org = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: result.data,
+      select: {
+        bookingBufferMinutes: true,
+        bookingMinNoticeMinutes: true,
+        bookingMaxDaysAhead: true,
+        bookingSlotInterval: true,
+      },
+    });
+
+    res.json(org);
+  } catch (error) {
+    console.error("❌ Update booking settings error:", error);
+    res.status(500).json({ error: "Failed to update booking settings" });
+  }
+});
+
+// ============================================================================
+// POST /api/calendar/closures
+// Add a holiday or closure (no slots are offered on these days)
+// ============================================================================
+router.post("/closures", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const result = bookingService.validateClosure(req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const closure = await prisma.businessClosure.create({
+      data: { ...result.data, organizationId: req.organizationId },
+    });
+
+    res.status(201).json({ closure });
+  } catch (error) {
+    console.error("❌ Create closure error:", error);
+    res.status(500).json({ error: "Failed to create closure" });
+  }
+});
+
+// ============================================================================
+// DELETE /api/calendar/closures/:id
+// ============================================================================
+router.delete("/closures/:id", authMiddleware, requireRole(["OWNER", "ADMIN"]), async (req, res) => {
+  try {
+    const deleted = await prisma.businessClosure.deleteMany({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({ error: "Closure not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Delete closure error:", error);
+    res.status(500).json({ error: "Failed to delete closure" });
+  }
+});
+
 // ============================================================================
 // GET /api/calendar/bookings
 // List bookings
@@ -400,25 +873,22 @@ router.patch("/bookings/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Booking not found" });
     }
 
+    // Cancelling also cancels the calendar event and fires APPOINTMENT_CANCELLED
+    if (status && status.toUpperCase() === "CANCELLED") {
+      const result = await calendarService.cancelBooking(req.organizationId, id, cancelReason, {
+        source: "dashboard",
+      });
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.json({ booking: result.booking });
+    }
+
     const updateData = {};
 
     if (status) {
       updateData.status = status.toUpperCase();
 
-      if (status.toUpperCase() === "CANCELLED") {
-        updateData.cancelledAt = new Date();
-        updateData.cancelReason = cancelReason;
-
-        // Cancel in external calendar if eventId exists
-        if (booking.eventId) {
-          try {
-            await calendarService.cancelAppointment(req.organizationId, booking.eventId, cancelReason);
-          } catch (calError) {
-            console.error("⚠️ Failed to cancel in calendar:", calError.message);
-          }
-        }
-      }
-
       if (status.toUpperCase() === "COMPLETED") {
         updateData.completedAt = new Date();
       }
@@ -434,21 +904,12 @@ router.patch("/bookings/:id", authMiddleware, async (req, res) => {
     });
 
     // Emit automation events based on status
-    if (status) {
-      const upperStatus = status.toUpperCase();
-      if (upperStatus === "CANCELLED") {
-        automationService.emit(
-          automationService.EVENTS.APPOINTMENT_CANCELLED,
-          req.organizationId,
-          { ...updated, cancelReason }
-        );
-      } else if (upperStatus === "NO_SHOW") {
-        automationService.emit(
-          automationService.EVENTS.APPOINTMENT_NO_SHOW,
-          req.organizationId,
-          updated
-        );
-      }
+    if (status && status.toUpperCase() === "NO_SHOW") {
+      automationService.emit(
+        automationService.EVENTS.APPOINTMENT_NO_SHOW,
+        req.organizationId,
+        updated
+      );
     }
 
     res.json({ booking: updated });
@@ -458,6 +919,135 @@ router.patch("/bookings/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================================================
+// POST /api/calendar/bookings/:id/reschedule
+// Move a booking: { date, time, timezone? } (read like POST /book)
+// ============================================================================
+router.post("/bookings/:id/reschedule", authMiddleware, async (req, res) => {
+  try {
+    const { date, time, timezone } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ error: "Date and time are required" });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    const rules = await bookingService.loadBookingRules(req.organizationId);
+    const startTime = calendarService.parseDateTime(date, time, timezone || rules.timezone);
+
+    const result = await calendarService.rescheduleBooking(req.organizationId, req.params.id, startTime, {
+      source: "dashboard",
+    });
+
+    if (result.error === "Booking not found") {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("❌ Reschedule booking error:", error);
+    res.status(500).json({ error: "Failed to reschedule booking" });
+  }
+});
+
+// ============================================================================
+// GET /api/calendar/feeds
+// ICS subscription URLs: your bookings, and the organization's (admins)
+// ============================================================================
+router.get("/feeds", authMiddleware, async (req, res) => {
+  try {
+    const isAdmin = ["OWNER", "ADMIN"].includes(req.userRole);
+
+    res.json({
+      personal: await calendarFeedService.getFeed(req.organizationId, req.user.id),
+      organization: isAdmin ? await calendarFeedService.getFeed(req.organizationId) : null,
+      canManageOrganization: isAdmin,
+    });
+  } catch (error) {
+    console.error("❌ Get calendar feeds error:", error);
+    res.status(500).json({ error: "Failed to fetch calendar feeds" });
+  }
+});
+
+// ============================================================================
+// POST /api/calendar/feeds
+// Create or rotate a feed URL: { scope: "personal" | "organization" }
+// ============================================================================
+router.post("/feeds", authMiddleware, async (req, res) => {
+  try {
+    const { scope } = req.body;
+
+    if (!["personal", "organization"].includes(scope)) {
+      return res.status(400).json({ error: "scope must be personal or organization" });
+    }
+    if (scope === "organization" && !["OWNER", "ADMIN"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Only admins can manage the organization feed" });
+    }
+
+    const feed = await calendarFeedService.createOrRotateFeed(
+      req.organizationId,
+      scope === "personal" ? req.user.id : null
+    );
+
+    res.status(201).json({ feed });
+  } catch (error) {
+    console.error("❌ Create calendar feed error:", error);
+    res.status(500).json({ error: "Failed to create calendar feed" });
+  }
+});
+
+// ============================================================================
+// DELETE /api/calendar/feeds/:scope
+// ============================================================================
+router.delete("/feeds/:scope", authMiddleware, async (req, res) => {
+  try {
+    const { scope } = req.params;
+
+    if (!["personal", "organization"].includes(scope)) {
+      return res.status(400).json({ error: "scope must be personal or organization" });
+    }
+    if (scope === "organization" && !["OWNER", "ADMIN"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Only admins can manage the organization feed" });
+    }
+
+    const deleted = await calendarFeedService.deleteFeed(
+      req.organizationId,
+      scope === "personal" ? req.user.id : null
+    );
+    if (!deleted) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Delete calendar feed error:", error);
+    res.status(500).json({ error: "Failed to delete calendar feed" });
+  }
+});
+
+// ============================================================================
+// GET /api/calendar/feeds/:token.ics
+// ICS subscription (public; the token in the URL is the credential)
+// ============================================================================
+router.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const result = await calendarFeedService.renderFeed(req.params.token);
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(result.data);
+  } catch (error) {
+    console.error("❌ Calendar feed error:", error);
+    res.status(500).json({ error: "Failed to render calendar feed" });
+  }
+});
+
 // ============================================================================
 // GET /api/calendar/upcoming
 // Get upcoming appointments from external calendar
@@ -502,8 +1092,9 @@ router.get("/calendars", authMiddleware, async (req, res) => {
 // ============================================================================
 router.get("/providers", authMiddleware, async (req, res) => {
   try {
+    // Organization calendars only; personal ones don't make a provider "connected"
     const integrations = await prisma.calendarIntegration.findMany({
-      where: { organizationId: req.organizationId },
+      where: { organizationId: req.organizationId, ownerId: null },
       select: { provider: true, enabled: true },
     });
 
@@ -537,6 +1128,15 @@ router.get("/providers", authMiddleware, async (req, res) => {
         enabled: connectedProviders.get("CALENDLY") || false,
         configured: !!process.env.CALENDLY_CLIENT_ID,
       },
+      {
+        id: "caldav",
+        name: "CalDAV",
+        description: "iCloud, Fastmail, Nextcloud and other CalDAV calendars",
+        icon: "caldav",
+        connected: connectedProviders.has("CALDAV"),
+        enabled: connectedProviders.get("CALDAV") || false,
+        configured: true, // Signs in with the account's app password, no platform credentials
+      },
     ];
 
     res.json({ providers });
@@ -4,56 +4,316 @@
 
 const express = require("express");
 const prisma = require("../lib/prisma");
-const { authMiddleware } = require("../middleware/auth.middleware");
+const { authMiddleware, requireManager } = require("../middleware/auth.middleware");
 const { getClientForOrganization } = require("../services/twilio.service");
+const callSearch = require("../services/call-search.service");
+const dispositionService = require("../services/disposition.service");
 
 const router = express.Router();
 
 /**
  * GET /api/calls
- * Get all calls for organization
+ * Search calls for organization (newest first)
+ * Query: q, from, to, callerName, transcript, summary, sentiment, handledBy (ai|human),
+ *        transferred, direction, status, minDuration, maxDuration (seconds),
+ *        period (today|this_week|this_month|7d|30d|90d) or startDate/endDate,
+ *        phoneNumberId, tags, limit, cursor
+ * Returns { calls, nextCursor }
  */
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { limit = 50, status } = req.query;
-
-    const where = {
-      organizationId: req.organizationId,
-      ...(status && status !== 'all' && { status: status.toUpperCase() }),
-    };
-
-    const calls = await prisma.callLog.findMany({
-      where,
-      orderBy: { createdAt: "desc" },
-      take: parseInt(limit, 10),
-      include: {
-        organization: {
-          select: { name: true },
-        },
+    const result = await callSearch.searchCalls(req.organizationId, req.query);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ GET /api/calls error:", err);
+    res.status(500).json({ error: "Failed to load calls" });
+  }
+});
+
+// ============================================================================
+// SAVED VIEWS
+// ============================================================================
+
+/**
+ * GET /api/calls/views
+ * Team views plus the user's private views
+ */
+router.get("/views", authMiddleware, async (req, res) => {
+  try {
+    const views = await callSearch.listViews(req.organizationId, req.user.id, "calls");
+    res.json({ views });
+  } catch (err) {
+    console.error("❌ GET /api/calls/views error:", err);
+    res.status(500).json({ error: "Failed to load saved views" });
+  }
+});
+
+/**
+ * POST /api/calls/views
+ * Save the current filters
+ * Body: { name, filters: { ...query params }, shared? }
+ */
+router.post("/views", authMiddleware, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    const filters = callSearch.cleanViewFilters(req.body.filters);
+
+    if (!name) {
+      return res.status(400).json({ error: "View name is required" });
+    }
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({ error: "A view needs at least one filter" });
+    }
+
+    const view = await prisma.savedView.create({
+      data: {
+        name: name.slice(0, 100),
+        page: "calls",
+        filters,
+        shared: req.body.shared !== false,
+        createdById: req.user.id,
+        organizationId: req.organizationId,
       },
+      include: { createdBy: { select: { id: true, name: true } } },
     });
 
-    const shaped = calls.map((call) => ({
-      id: call.id,
-      callSid: call.callSid,
-      direction: call.direction,
-      fromNumber: call.fromNumber,
-      toNumber: call.toNumber,
-      status: call.status,
-      duration: call.duration,
-      recordingUrl: call.recordingUrl,
-      createdAt: call.createdAt,
-      handledByAI: call.handledByAI,
-      organizationName: call.organization?.name || "Unknown",
-      sentiment: call.sentiment,
-      sentimentScore: call.sentimentScore,
-      transferredToHuman: call.transferredToHuman,
-    }));
-
-    res.json(shaped);
+    res.status(201).json(view);
   } catch (err) {
-    console.error("❌ GET /api/calls error:", err);
-    res.status(500).json({ error: "Failed to load calls" });
+    console.error("❌ POST /api/calls/views error:", err);
+    res.status(500).json({ error: "Failed to save view" });
+  }
+});
+
+/**
+ * Find a view the user may change (creator, or a manager for shared views)
+ */
+async function findEditableView(req) {
+  const view = await prisma.savedView.findFirst({
+    where: { id: req.params.viewId, organizationId: req.organizationId, page: "calls" },
+  });
+  if (!view) return { status: 404, error: "View not found" };
+
+  const isManager = ["OWNER", "ADMIN", "MANAGER"].includes(req.userRole);
+  if (view.createdById !== req.user.id && !(view.shared && isManager)) {
+    return { status: 403, error: "Only the creator or a manager can change this view" };
+  }
+  return { view };
+}
+
+/**
+ * PATCH /api/calls/views/:viewId
+ * Rename, re-share or replace a view's filters
+ */
+router.patch("/views/:viewId", authMiddleware, async (req, res) => {
+  try {
+    const { view, status, error } = await findEditableView(req);
+    if (!view) {
+      return res.status(status).json({ error });
+    }
+
+    const data = {};
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        return res.status(400).json({ error: "View name is required" });
+      }
+      data.name = name.slice(0, 100);
+    }
+    if (req.body.filters !== undefined) {
+      data.filters = callSearch.cleanViewFilters(req.body.filters);
+      if (Object.keys(data.filters).length === 0) {
+        return res.status(400).json({ error: "A view needs at least one filter" });
+      }
+    }
+    if (typeof req.body.shared === "boolean") data.shared = req.body.shared;
+
+    const updated = await prisma.savedView.update({
+      where: { id: view.id },
+      data,
+      include: { createdBy: { select: { id: true, name: true } } },
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("❌ PATCH /api/calls/views/:viewId error:", err);
+    res.status(500).json({ error: "Failed to update view" });
+  }
+});
+
+/**
+ * DELETE /api/calls/views/:viewId
+ */
+router.delete("/views/:viewId", authMiddleware, async (req, res) => {
+  try {
+    const { view, status, error } = await findEditableView(req);
+    if (!view) {
+      return res.status(status).json({ error });
+    }
+
+    await prisma.savedView.delete({ where: { id: view.id } });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ DELETE /api/calls/views/:viewId error:", err);
+    res.status(500).json({ error: "Failed to delete view" });
+  }
+});
+
+// ============================================================================
+// DISPOSITIONS & WRAP-UP
+// ============================================================================
+
+/**
+ * GET /api/calls/dispositions
+ * Disposition codes and whether the Softphone wrap-up form is on
+ */
+router.get("/dispositions", authMiddleware, async (req, res) => {
+  try {
+    const [dispositions, org] = await Promise.all([
+      dispositionService.getDispositions(req.organizationId),
+      prisma.organization.findUnique({
+        where: { id: req.organizationId },
+        select: { wrapUpEnabled: true },
+      }),
+    ]);
+
+    res.json({ ...dispositions, wrapUpEnabled: org?.wrapUpEnabled ?? true });
+  } catch (err) {
+    console.error("❌ GET /api/calls/dispositions error:", err);
+    res.status(500).json({ error: "Failed to load dispositions" });
+  }
+});
+
+/**
+ * PUT /api/calls/dispositions
+ * Replace disposition codes
+ * Body: { codes: [{ code?, label, description?, category?, enabled? }], wrapUpEnabled? }
+ */
+router.put("/dispositions", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { codes, error } = dispositionService.validateDispositions(req.body.codes);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const dispositions = await dispositionService.saveDispositions(req.organizationId, codes);
+
+    let wrapUpEnabled = req.body.wrapUpEnabled;
+    if (typeof wrapUpEnabled === "boolean") {
+      await prisma.organization.update({
+        where: { id: req.organizationId },
+        data: { wrapUpEnabled },
+      });
+    } else {
+      const org = await prisma.organization.findUnique({
+        where: { id: req.organizationId },
+        select: { wrapUpEnabled: true },
+      });
+      wrapUpEnabled = org?.wrapUpEnabled ?? true;
+    }
+
+    res.json({ ...dispositions, wrapUpEnabled });
+  } catch (err) {
+    console.error("❌ PUT /api/calls/dispositions error:", err);
+    res.status(500).json({ error: "Failed to save dispositions" });
+  }
+});
+
+/**
+ * Check a code against the organization's enabled dispositions
+ */
+async function isValidDisposition(organizationId, code) {
+  const { codes } = await dispositionService.getDispositions(organizationId);
+  return codes.some((c) => c.code === code && c.enabled !== false);
+}
+
+/**
+ * Find the logged call for a Softphone leg. Browser legs of inbound calls
+ * are child calls, so fall back to the parent call SID.
+ */
+async function findCallBySid(organizationId, callSid) {
+  const call = await prisma.callLog.findFirst({ where: { callSid, organizationId } });
+  if (call) return call;
+
+  try {
+    const client = await getClientForOrganization(organizationId);
+    const leg = await client.calls(callSid).fetch();
+    if (leg.parentCallSid) {
+      return prisma.callLog.findFirst({ where: { callSid: leg.parentCallSid, organizationId } });
+    }
+  } catch (err) {
+    console.warn("⚠️ Could not look up call leg:", err.message);
+  }
+  return null;
+}
+
+/**
+ * POST /api/calls/wrap-up
+ * Agent wrap-up after a Softphone call
+ * Body: { callSid, disposition, tags?, notes? }
+ */
+router.post("/wrap-up", authMiddleware, async (req, res) => {
+  try {
+    const { callSid, disposition, tags, notes } = req.body;
+
+    if (!callSid) {
+      return res.status(400).json({ error: "callSid is required" });
+    }
+    if (!disposition) {
+      return res.status(400).json({ error: "disposition is required" });
+    }
+    if (!(await isValidDisposition(req.organizationId, disposition))) {
+      return res.status(400).json({ error: "Unknown disposition code" });
+    }
+
+    const call = await findCallBySid(req.organizationId, callSid);
+    if (!call) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const updated = await dispositionService.setDisposition(
+      call,
+      { disposition, tags, notes },
+      { actorId: req.user.id }
+    );
+    console.log(`🏷️ Call ${call.callSid} wrapped up: ${disposition}`);
+
+    res.json(callSearch.shapeCall(updated));
+  } catch (err) {
+    console.error("❌ POST /api/calls/wrap-up error:", err);
+    res.status(500).json({ error: "Failed to save wrap-up" });
+  }
+});
+
+/**
+ * PATCH /api/calls/:id/disposition
+ * Change a call's disposition, tags or notes
+ * Body: { disposition?, tags?, notes? } - disposition null clears it
+ */
+router.patch("/:id/disposition", authMiddleware, async (req, res) => {
+  try {
+    const { disposition, tags, notes } = req.body;
+
+    if (disposition && !(await isValidDisposition(req.organizationId, disposition))) {
+      return res.status(400).json({ error: "Unknown disposition code" });
+    }
+
+    const call = await prisma.callLog.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!call) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const updated = await dispositionService.setDisposition(
+      call,
+      { disposition, tags, notes },
+      { actorId: req.user.id }
+    );
+
+    res.json(callSearch.shapeCall(updated));
+  } catch (err) {
+    console.error("❌ PATCH /api/calls/:id/disposition error:", err);
+    res.status(500).json({ error: "Failed to update call" });
   }
 });
 
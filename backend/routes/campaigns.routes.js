@@ -0,0 +1,271 @@
+// ============================================================================
+// HEKAX Phone - Outbound Campaign Routes
+// Create AI calling campaigns, manage their dial lists and start/pause them
+// ============================================================================
+
+const express = require("express");
+const prisma = require("../lib/prisma");
+const { authMiddleware, requireManager } = require("../middleware/auth.middleware");
+const campaignService = require("../services/campaign.service");
+
+const router = express.Router();
+
+// Editable campaign fields
+const CAMPAIGN_FIELDS = [
+  "name", "script", "greeting", "voicemailMessage", "phoneNumberId",
+  "timezone", "callingHoursStart", "callingHoursEnd", "callingDays",
+  "maxConcurrentCalls", "callsPerMinute", "maxAttempts", "retryDelayMinutes",
+];
+
+const CONTACT_STATUSES = ["PENDING", "DIALING", "COMPLETED", "FAILED", "SKIPPED"];
+
+function pickFields(body) {
+  return CAMPAIGN_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Validate campaign input, including that the caller ID number is the org's
+ * Returns { data } or { error }
+ */
+async function validateInput(organizationId, input) {
+  const result = campaignService.validateCampaign(input);
+  if (result.error || !result.data.phoneNumberId) return result;
+
+  const phoneNumber = await prisma.phoneNumber.findFirst({
+    where: { id: result.data.phoneNumberId, organizationId, status: "active" },
+    select: { id: true },
+  });
+  return phoneNumber ? result : { error: "Phone number not found" };
+}
+
+async function findCampaign(req) {
+  return prisma.callCampaign.findFirst({
+    where: { id: req.params.id, organizationId: req.organizationId },
+  });
+}
+
+/**
+ * GET /api/campaigns
+ * Campaigns with contact counts per status
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const campaigns = await campaignService.listCampaigns(req.organizationId);
+    res.json({ campaigns });
+  } catch (err) {
+    console.error("❌ GET /api/campaigns error:", err);
+    res.status(500).json({ error: "Failed to get campaigns" });
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Create a draft campaign
+ */
+router.post("/", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { data, error } = await validateInput(req.organizationId, pickFields(req.body));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const campaign = await prisma.callCampaign.create({
+      data: { ...data, organizationId: req.organizationId, createdById: req.user.id },
+    });
+    console.log(`📣 Campaign created: ${campaign.name}`);
+
+    res.status(201).json({ campaign: await campaignService.getCampaign(req.organizationId, campaign.id) });
+  } catch (err) {
+    console.error("❌ POST /api/campaigns error:", err);
+    res.status(500).json({ error: "Failed to create campaign" });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id
+ */
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaign(req.organizationId, req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    res.json({ campaign });
+  } catch (err) {
+    console.error("❌ GET /api/campaigns/:id error:", err);
+    res.status(500).json({ error: "Failed to get campaign" });
+  }
+});
+
+/**
+ * PATCH /api/campaigns/:id
+ * Update settings (changes apply from the next dial)
+ */
+router.patch("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    if (["COMPLETED", "CANCELLED"].includes(campaign.status)) {
+      return res.status(400).json({ error: `A ${campaign.status.toLowerCase()} campaign can't be edited` });
+    }
+
+    const { data, error } = await validateInput(req.organizationId, {
+      ...pickFields(campaign),
+      ...pickFields(req.body),
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await prisma.callCampaign.update({ where: { id: campaign.id }, data });
+    res.json({ campaign: await campaignService.getCampaign(req.organizationId, campaign.id) });
+  } catch (err) {
+    console.error("❌ PATCH /api/campaigns/:id error:", err);
+    res.status(500).json({ error: "Failed to update campaign" });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:id
+ * Delete a campaign that isn't running (its calls stay in the call log)
+ */
+router.delete("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    if (campaign.status === "RUNNING") {
+      return res.status(400).json({ error: "Pause the campaign before deleting it" });
+    }
+
+    await prisma.callCampaign.delete({ where: { id: campaign.id } });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ DELETE /api/campaigns/:id error:", err);
+    res.status(500).json({ error: "Failed to delete campaign" });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/start|pause|cancel
+ */
+async function changeStatus(req, res, action) {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    if (!campaignService.canTransition(campaign.status, action)) {
+      return res.status(400).json({ error: `Can't ${action} a ${campaign.status.toLowerCase()} campaign` });
+    }
+
+    if (action === "start") {
+      const pending = await prisma.callCampaignContact.count({
+        where: { campaignId: campaign.id, status: "PENDING" },
+      });
+      if (pending === 0) {
+        return res.status(400).json({ error: "Add leads to the campaign before starting it" });
+      }
+    }
+
+    await campaignService.transitionCampaign(campaign, action);
+    res.json({ campaign: await campaignService.getCampaign(req.organizationId, campaign.id) });
+  } catch (err) {
+    console.error(`❌ POST /api/campaigns/:id/${action} error:`, err);
+    res.status(500).json({ error: "Failed to update campaign" });
+  }
+}
+
+for (const action of Object.keys(campaignService.TRANSITIONS)) {
+  router.post(`/:id/${action}`, authMiddleware, requireManager, (req, res) => changeStatus(req, res, action));
+}
+
+// ============================================================================
+// CONTACTS
+// ============================================================================
+
+/**
+ * GET /api/campaigns/:id/contacts
+ * Dial list with attempt results (?status=PENDING&limit=200)
+ */
+router.get("/:id/contacts", authMiddleware, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CONTACT_STATUSES.join(", ")}` });
+    }
+
+    const contacts = await campaignService.listContacts(campaign.id, { status, limit: req.query.limit });
+    res.json({ contacts });
+  } catch (err) {
+    console.error("❌ GET /api/campaigns/:id/contacts error:", err);
+    res.status(500).json({ error: "Failed to get campaign contacts" });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/contacts
+ * Add leads by ID or by lead list filter
+ * Body: { leadIds: [...] } or { filter: { status, temperature, ... } }
+ */
+router.post("/:id/contacts", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { leadIds, filter } = req.body;
+    if (!Array.isArray(leadIds) && (!filter || typeof filter !== "object")) {
+      return res.status(400).json({ error: "leadIds or filter is required" });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    if (["COMPLETED", "CANCELLED"].includes(campaign.status)) {
+      return res.status(400).json({ error: `Can't add leads to a ${campaign.status.toLowerCase()} campaign` });
+    }
+
+    const result = await campaignService.addContacts(campaign, { leadIds, filter }, req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ POST /api/campaigns/:id/contacts error:", err);
+    res.status(500).json({ error: "Failed to add leads" });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:id/contacts/:contactId
+ * Remove a lead that hasn't been dialed yet
+ */
+router.delete("/:id/contacts/:contactId", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const { count } = await prisma.callCampaignContact.deleteMany({
+      where: { id: req.params.contactId, campaignId: campaign.id, status: "PENDING" },
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: "Pending contact not found" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ DELETE /api/campaigns/:id/contacts/:contactId error:", err);
+    res.status(500).json({ error: "Failed to remove contact" });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@
 // ============================================================================
 
 const express = require("express");
+const prisma = require("../lib/prisma");
 const { authMiddleware } = require("../middleware/auth.middleware");
 const multichannelService = require("../services/multichannel.service");
 
@@ -159,11 +160,22 @@ router.post(
         return res.status(400).json({ error: "content is required" });
       }
 
+      const conversation = await prisma.conversation.findFirst({
+        where: { id: req.params.conversationId, organizationId: req.organizationId },
+      });
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+      if (conversation.status === "CLOSED") {
+        return res.status(400).json({ error: "Conversation is closed" });
+      }
+
       const message = await multichannelService.sendMessage(
-        req.params.channelId,
-        req.params.conversationId,
+        conversation.channelId,
+        conversation.id,
         content,
-        contentType
+        contentType,
+        { userId: req.user.id }
       );
 
       res.status(201).json({ message });
@@ -174,6 +186,36 @@ router.post(
   }
 );
 
+/**
+ * GET /api/channels/attachments/:attachmentId
+ * Download a stored message attachment (MMS media)
+ */
+router.get("/attachments/:attachmentId", authMiddleware, async (req, res) => {
+  try {
+    const attachment = await multichannelService.getAttachment(
+      req.params.attachmentId,
+      req.organizationId
+    );
+
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+    if (!attachment.data) {
+      return res.status(404).json({ error: "Attachment was not downloaded" });
+    }
+
+    // Sender-supplied type: always download, never render or sniff it
+    res.setHeader("Content-Type", attachment.contentType);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Disposition", `attachment; filename="${attachment.id}"`);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.send(Buffer.from(attachment.data));
+  } catch (err) {
+    console.error("❌ GET /api/channels/attachments/:id error:", err);
+    res.status(500).json({ error: "Failed to get attachment" });
+  }
+});
+
 /**
  * POST /api/channels/conversations/:conversationId/close
  * Close a conversation
@@ -0,0 +1,156 @@
+// ============================================================================
+// HEKAX Phone - Do-Not-Contact Routes
+// Manage the organization's suppression list, its history and CSV import/export
+// ============================================================================
+
+const express = require("express");
+const prisma = require("../lib/prisma");
+const { authMiddleware, requireManager } = require("../middleware/auth.middleware");
+const suppressionService = require("../services/suppression.service");
+
+const router = express.Router();
+
+/**
+ * GET /api/do-not-contact
+ * Suppressed phone numbers and emails (?type=PHONE|EMAIL&q=&cursor=&limit=)
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+    if (type && !suppressionService.TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${suppressionService.TYPES.join(", ")}` });
+    }
+
+    const result = await suppressionService.listSuppressions(req.organizationId, {
+      type,
+      q: req.query.q,
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (err) {
+    console.error("❌ GET /api/do-not-contact error:", err);
+    res.status(500).json({ error: "Failed to get do-not-contact list" });
+  }
+});
+
+/**
+ * POST /api/do-not-contact
+ * Add a phone number or email
+ * Body: { value, type? (detected from value when omitted), reason? }
+ */
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { value, reason } = req.body;
+    if (!value || typeof value !== "string") {
+      return res.status(400).json({ error: "value is required" });
+    }
+    const type = req.body.type ? String(req.body.type).toUpperCase() : suppressionService.detectType(value);
+
+    const { data, created, error } = await suppressionService.suppress(req.organizationId, type, value, {
+      source: "MANUAL",
+      reason,
+      userId: req.user.id,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(created ? 201 : 200).json({ entry: data, created });
+  } catch (err) {
+    console.error("❌ POST /api/do-not-contact error:", err);
+    res.status(500).json({ error: "Failed to add to do-not-contact list" });
+  }
+});
+
+/**
+ * GET /api/do-not-contact/history
+ * Additions and removals, newest first (?value= for one number or email)
+ */
+router.get("/history", authMiddleware, async (req, res) => {
+  try {
+    const events = await suppressionService.listHistory(req.organizationId, {
+      value: req.query.value,
+      limit: req.query.limit,
+    });
+    res.json({ events });
+  } catch (err) {
+    console.error("❌ GET /api/do-not-contact/history error:", err);
+    res.status(500).json({ error: "Failed to get do-not-contact history" });
+  }
+});
+
+/**
+ * GET /api/do-not-contact/export
+ * Download the list as CSV
+ */
+router.get("/export", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const csv = await suppressionService.exportCSV(req.organizationId);
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", 'attachment; filename="do-not-contact.csv"');
+    res.send(csv);
+  } catch (err) {
+    console.error("❌ GET /api/do-not-contact/export error:", err);
+    res.status(500).json({ error: "Failed to export do-not-contact list" });
+  }
+});
+
+/**
+ * POST /api/do-not-contact/import
+ * Upload a CSV (Content-Type: text/csv) with phone/email columns, or a
+ * value column with an optional type column
+ */
+router.post(
+  "/import",
+  authMiddleware,
+  requireManager,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({ error: "Send the CSV file as the request body (Content-Type: text/csv)" });
+      }
+
+      const { entries, invalid } = suppressionService.parseImport(req.body);
+      if (entries.length === 0) {
+        return res.status(400).json({ error: "No valid phone numbers or emails found", invalid });
+      }
+
+      const result = await suppressionService.importEntries(req.organizationId, entries, req.user.id);
+      console.log(`✅ Do-not-contact import: ${result.added} added, ${result.alreadySuppressed} already listed`);
+
+      res.json({ ...result, invalid });
+    } catch (err) {
+      console.error("❌ POST /api/do-not-contact/import error:", err);
+      res.status(500).json({ error: "Failed to import do-not-contact list" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/do-not-contact/:id
+ * Remove an entry (?reason= is kept in the history)
+ */
+router.delete("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const entry = await prisma.suppression.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!entry) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    await suppressionService.unsuppress(req.organizationId, entry.type, entry.value, {
+      source: "MANUAL",
+      reason: req.query.reason,
+      userId: req.user.id,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ DELETE /api/do-not-contact/:id error:", err);
+    res.status(500).json({ error: "Failed to remove entry" });
+  }
+});
+
+module.exports = router;
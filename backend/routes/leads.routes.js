@@ -3,36 +3,373 @@
 // ============================================================================
 
 const express = require("express");
+const crypto = require("crypto");
 const prisma = require("../lib/prisma");
-const { authMiddleware } = require("../middleware/auth.middleware");
+const { cache, cacheKeys } = require("../lib/cache");
+const { authMiddleware, requireManager } = require("../middleware/auth.middleware");
+const { apiKeyAuth, requirePermission } = require("./api-keys.routes");
 const automationService = require("../services/automation.service");
+const leadService = require("../services/lead.service");
+const leadScoring = require("../services/lead-scoring.service");
+const suppressionService = require("../services/suppression.service");
 
 const router = express.Router();
 
+const MAX_BULK_LEADS = 500;
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_TTL = 30 * 60; // seconds a parsed upload waits for its mapping
+
+/**
+ * Check that a user belongs to the organization (for assignment)
+ */
+async function isMember(organizationId, userId) {
+  const membership = await prisma.userOrganization.findFirst({
+    where: { organizationId, userId, status: "ACTIVE" },
+    select: { id: true },
+  });
+  return !!membership;
+}
+
 /**
  * GET /api/leads
- * Get all leads for organization
+ * List leads with filters and cursor pagination
+ * Query: status, temperature, urgency, source (comma-separated), assignedTo (id|me|unassigned),
+ *        minScore, maxScore, q, limit, cursor
  */
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { status, urgency, limit = 50 } = req.query;
+    const result = await leadService.listLeads(req.organizationId, req.query, req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ GET /api/leads error:", err);
+    res.status(500).json({ error: "Failed to load leads" });
+  }
+});
+
+/**
+ * POST /api/leads
+ * Create a lead by hand
+ * Returns 409 with the existing leads when the phone/email is already known,
+ * unless allowDuplicate is set
+ */
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { allowDuplicate, assignedToId, ...input } = req.body;
+    const { data, error } = leadService.validateLeadInput({ source: "manual", ...input });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (assignedToId) {
+      if (!(await isMember(req.organizationId, assignedToId))) {
+        return res.status(400).json({ error: "Assignee is not a member of this organization" });
+      }
+      data.assignedToId = assignedToId;
+      data.assignedAt = new Date();
+    }
+
+    if (!allowDuplicate) {
+      const duplicates = await leadService.findDuplicates(req.organizationId, data);
+      if (duplicates.length > 0) {
+        return res.status(409).json({ error: "A lead with this phone or email already exists", duplicates });
+      }
+    }
+
+    const lead = await leadService.createLead(req.organizationId, data, { actorId: req.user.id });
+    console.log("✅ Lead created manually:", lead.id);
+
+    res.status(201).json(lead);
+  } catch (err) {
+    console.error("❌ POST /api/leads error:", err);
+    res.status(500).json({ error: "Failed to create lead" });
+  }
+});
+
+/**
+ * POST /api/leads/form
+ * Web form submissions (API key with leads:write)
+ * Known phone/email adds the submission to the existing lead instead
+ */
+router.post("/form", apiKeyAuth, requirePermission("leads:write"), async (req, res) => {
+  try {
+    const { message, ...input } = req.body;
+    const { data, error } = leadService.validateLeadInput({
+      ...input,
+      reason: input.reason || message,
+      source: "web_form",
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [existing] = await leadService.findDuplicates(req.organizationId, data);
+    if (existing) {
+      await leadService.logActivity(existing, "form_submitted", "Submitted a web form", {
+        data: { reason: data.reason, campaign: data.campaign || null },
+      });
+      return res.json({ lead: existing, created: false });
+    }
+
+    const lead = await leadService.createLead(req.organizationId, data, { title: "Lead created from web form" });
+    res.status(201).json({ lead, created: true });
+  } catch (err) {
+    console.error("❌ POST /api/leads/form error:", err);
+    res.status(500).json({ error: "Failed to submit form" });
+  }
+});
+
+/**
+ * POST /api/leads/import/preview
+ * Upload a CSV (Content-Type: text/csv) and get its headers, sample rows and a
+ * suggested column mapping. The parsed file is kept for 30 minutes under importId.
+ */
+router.post(
+  "/import/preview",
+  authMiddleware,
+  requireManager,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({ error: "Send the CSV file as the request body (Content-Type: text/csv)" });
+      }
+
+      const { headers, rows, suggestedMapping } = leadService.prepareImport(req.body);
+      if (headers.length === 0 || rows.length === 0) {
+        return res.status(400).json({ error: "CSV needs a header row and at least one data row" });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `CSV can have at most ${MAX_IMPORT_ROWS} rows` });
+      }
+
+      const importId = crypto.randomUUID();
+      cache.set(cacheKeys.leadImport(req.organizationId, importId), { headers, rows }, IMPORT_TTL);
+
+      res.json({
+        importId,
+        headers,
+        rowCount: rows.length,
+        sample: rows.slice(0, 5),
+        suggestedMapping,
+        fields: leadService.IMPORT_FIELDS,
+      });
+    } catch (err) {
+      console.error("❌ POST /api/leads/import/preview error:", err);
+      res.status(500).json({ error: "Failed to read CSV" });
+    }
+  }
+);
+
+/**
+ * POST /api/leads/import
+ * Import a previewed CSV
+ * Body: { importId, mapping: { field: columnIndex }, duplicates: "skip" | "update" }
+ */
+router.post("/import", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { importId, mapping, duplicates = "skip" } = req.body;
+
+    const upload = importId && cache.get(cacheKeys.leadImport(req.organizationId, importId));
+    if (!upload) {
+      return res.status(404).json({ error: "Import not found or expired - upload the file again" });
+    }
+    if (!mapping || typeof mapping !== "object") {
+      return res.status(400).json({ error: "mapping is required" });
+    }
+
+    const columns = {};
+    for (const [field, index] of Object.entries(mapping)) {
+      const column = parseInt(index, 10);
+      if (!leadService.IMPORT_FIELDS.includes(field)) {
+        return res.status(400).json({ error: `Unknown field: ${field}` });
+      }
+      if (isNaN(column) || column < 0 || column >= upload.headers.length) {
+        return res.status(400).json({ error: `Invalid column for ${field}` });
+      }
+      columns[field] = column;
+    }
+    if (columns.phone === undefined) {
+      return res.status(400).json({ error: "Map a column to phone" });
+    }
+    if (!["skip", "update"].includes(duplicates)) {
+      return res.status(400).json({ error: "duplicates must be skip or update" });
+    }
+
+    cache.delete(cacheKeys.leadImport(req.organizationId, importId));
+
+    const result = await leadService.importLeads(req.organizationId, upload.rows, columns, {
+      duplicates,
+      actorId: req.user.id,
+    });
+    console.log(`✅ Lead import: ${result.created} created, ${result.updated} updated, ${result.skipped} skipped`);
+
+    res.json(result);
+  } catch (err) {
+    console.error("❌ POST /api/leads/import error:", err);
+    res.status(500).json({ error: "Failed to import leads" });
+  }
+});
+
+/**
+ * POST /api/leads/bulk
+ * Bulk status / assignment update
+ * Body: { ids: [], status?, assignedToId? (null to unassign) }
+ */
+router.post("/bulk", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { ids, status, assignedToId } = req.body;
 
-    const where = {
-      organizationId: req.organizationId,
-      ...(status && status !== 'all' && { status: status.toUpperCase() }),
-      ...(urgency && { urgency: urgency.toUpperCase() }),
-    };
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_LEADS) {
+      return res.status(400).json({ error: `ids must be a list of 1-${MAX_BULK_LEADS} lead IDs` });
+    }
+    if (status === undefined && assignedToId === undefined) {
+      return res.status(400).json({ error: "Nothing to update - set status and/or assignedToId" });
+    }
+
+    const { data, error } = leadService.validateLeadInput({ status }, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (assignedToId !== undefined) {
+      if (assignedToId && !(await isMember(req.organizationId, assignedToId))) {
+        return res.status(400).json({ error: "Assignee is not a member of this organization" });
+      }
+      data.assignedToId = assignedToId || null;
+      data.assignedAt = assignedToId ? new Date() : null;
+    }
 
     const leads = await prisma.lead.findMany({
-      where,
-      orderBy: { createdAt: "desc" },
-      take: parseInt(limit, 10),
+      where: { id: { in: ids }, organizationId: req.organizationId },
+    });
+
+    await prisma.lead.updateMany({
+      where: { id: { in: leads.map((l) => l.id) }, organizationId: req.organizationId },
+      data,
     });
 
-    res.json(leads);
+    for (const lead of leads) {
+      const updated = { ...lead, ...data };
+      if (data.status && data.status !== lead.status) {
+        await leadService.logActivity(lead, "status_changed", `Status changed to ${data.status}`, {
+          actorId: req.user.id,
+          data: { from: lead.status, to: data.status },
+        });
+        automationService.emit(
+          automationService.EVENTS.LEAD_STATUS_CHANGED,
+          req.organizationId,
+          { ...updated, previousStatus: lead.status }
+        );
+      }
+      if (data.assignedToId !== undefined && data.assignedToId !== lead.assignedToId) {
+        await leadService.logActivity(lead, "assigned", data.assignedToId ? "Lead assigned" : "Lead unassigned", {
+          actorId: req.user.id,
+          data: { from: lead.assignedToId, to: data.assignedToId },
+        });
+        if (data.assignedToId) {
+          automationService.emit(
+            automationService.EVENTS.LEAD_ASSIGNED,
+            req.organizationId,
+            { ...updated, assignedBy: req.user.id }
+          );
+        }
+      }
+    }
+
+    res.json({ updated: leads.length });
   } catch (err) {
-    console.error("❌ GET /api/leads error:", err);
-    res.status(500).json({ error: "Failed to load leads" });
+    console.error("❌ POST /api/leads/bulk error:", err);
+    res.status(500).json({ error: "Failed to update leads" });
+  }
+});
+
+/**
+ * POST /api/leads/merge
+ * Merge duplicates into one lead
+ * Body: { targetId, sourceIds: [] } - sources are deleted after their data moves to the target
+ */
+router.post("/merge", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+
+    if (!targetId || !Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({ error: "targetId and sourceIds are required" });
+    }
+    if (sourceIds.includes(targetId)) {
+      return res.status(400).json({ error: "A lead can't be merged into itself" });
+    }
+
+    const leads = await prisma.lead.findMany({
+      where: { id: { in: [targetId, ...sourceIds] }, organizationId: req.organizationId },
+    });
+    const target = leads.find((l) => l.id === targetId);
+    const sources = leads.filter((l) => l.id !== targetId);
+    if (!target || sources.length !== new Set(sourceIds).size) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const merged = await leadService.mergeLeads(req.organizationId, target, sources, req.user.id);
+    console.log(`✅ Merged ${sources.length} leads into ${targetId}`);
+
+    res.json(merged);
+  } catch (err) {
+    console.error("❌ POST /api/leads/merge error:", err);
+    res.status(500).json({ error: "Failed to merge leads" });
+  }
+});
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * GET /api/leads/scoring
+ * Scoring rules, temperature thresholds and the signal catalog
+ */
+router.get("/scoring", authMiddleware, async (req, res) => {
+  try {
+    const model = await leadScoring.getScoringModel(req.organizationId);
+    res.json({ ...model, signals: leadScoring.listSignals() });
+  } catch (err) {
+    console.error("❌ GET /api/leads/scoring error:", err);
+    res.status(500).json({ error: "Failed to get scoring rules" });
+  }
+});
+
+/**
+ * PUT /api/leads/scoring
+ * Replace scoring rules
+ * Body: { rules: [{ signal, weight, threshold?, decayDays?, maxPoints?, enabled? }], hotScore, warmScore }
+ */
+router.put("/scoring", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { data, error } = leadScoring.validateScoringModel(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const model = await leadScoring.saveScoringModel(req.organizationId, data);
+    console.log(`✅ Lead scoring rules saved (${data.rules.length} rules)`);
+
+    res.json({ ...model, signals: leadScoring.listSignals() });
+  } catch (err) {
+    console.error("❌ PUT /api/leads/scoring error:", err);
+    res.status(500).json({ error: "Failed to save scoring rules" });
+  }
+});
+
+/**
+ * POST /api/leads/scoring/rescore
+ * Recompute every lead's score with the current rules
+ */
+router.post("/scoring/rescore", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const result = await leadScoring.rescoreOrganization(req.organizationId);
+    console.log(`📊 Rescored ${result.scored} leads (${result.updated} changed)`);
+
+    res.json(result);
+  } catch (err) {
+    console.error("❌ POST /api/leads/scoring/rescore error:", err);
+    res.status(500).json({ error: "Failed to rescore leads" });
   }
 });
 
@@ -49,6 +386,9 @@ router.get("/:id", authMiddleware, async (req, res) => {
         id,
         organizationId: req.organizationId,
       },
+      include: {
+        assignedTo: { select: { id: true, name: true, email: true } },
+      },
     });
 
     if (!lead) {
@@ -69,7 +409,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
 router.patch("/:id", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, urgency, notes, assignedToId } = req.body;
+    const { assignedToId, ...input } = req.body;
 
     // Verify lead belongs to org
     const lead = await prisma.lead.findFirst({
@@ -83,18 +423,62 @@ router.patch("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Lead not found" });
     }
 
+    const { data, error } = leadService.validateLeadInput(input, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (assignedToId !== undefined) {
+      if (assignedToId && !(await isMember(req.organizationId, assignedToId))) {
+        return res.status(400).json({ error: "Assignee is not a member of this organization" });
+      }
+      data.assignedToId = assignedToId || null;
+      if (data.assignedToId !== lead.assignedToId) {
+        data.assignedAt = assignedToId ? new Date() : null;
+      }
+    }
+    if (data.status && ["WON", "LOST", "UNQUALIFIED"].includes(data.status) && !lead.closedAt) {
+      data.closedAt = new Date();
+    }
+
     const oldStatus = lead.status;
 
     const updated = await prisma.lead.update({
       where: { id },
-      data: {
-        ...(status && { status }),
-        ...(urgency && { urgency }),
-        ...(notes !== undefined && { notes }),
-        ...(assignedToId !== undefined && { assignedToId }),
-      },
+      data,
     });
 
+    // Activity timeline
+    const changedFields = Object.keys(data).filter(
+      (field) => !["status", "assignedToId", "assignedAt", "closedAt"].includes(field)
+    );
+    if (changedFields.length > 0) {
+      await leadService.logActivity(lead, "updated", "Lead details updated", {
+        actorId: req.user.id,
+        data: { fields: changedFields },
+      });
+    }
+    if (data.status && data.status !== oldStatus) {
+      await leadService.logActivity(lead, "status_changed", `Status changed to ${data.status}`, {
+        actorId: req.user.id,
+        data: { from: oldStatus, to: data.status },
+      });
+    }
+    if (data.doNotCall !== undefined && data.doNotCall !== lead.doNotCall && updated.phone) {
+      // The do-not-contact list is the source of truth for every lead with this number
+      const change = data.doNotCall ? suppressionService.suppress : suppressionService.unsuppress;
+      await change(req.organizationId, "PHONE", updated.phone, {
+        source: "MANUAL",
+        reason: `Lead ${data.doNotCall ? "marked" : "unmarked"} do not call`,
+        userId: req.user.id,
+      });
+    }
+    if (data.assignedToId !== undefined && data.assignedToId !== lead.assignedToId) {
+      await leadService.logActivity(lead, "assigned", data.assignedToId ? "Lead assigned" : "Lead unassigned", {
+        actorId: req.user.id,
+        data: { from: lead.assignedToId, to: data.assignedToId },
+      });
+    }
+
     // Emit automation events
     automationService.emit(
       automationService.EVENTS.LEAD_UPDATED,
@@ -103,7 +487,7 @@ router.patch("/:id", authMiddleware, async (req, res) => {
     );
 
     // Check for status change
-    if (status && status !== oldStatus) {
+    if (data.status && data.status !== oldStatus) {
       automationService.emit(
         automationService.EVENTS.LEAD_STATUS_CHANGED,
         req.organizationId,
@@ -112,11 +496,11 @@ router.patch("/:id", authMiddleware, async (req, res) => {
     }
 
     // Check for assignment
-    if (assignedToId && assignedToId !== lead.assignedToId) {
+    if (data.assignedToId && data.assignedToId !== lead.assignedToId) {
       automationService.emit(
         automationService.EVENTS.LEAD_ASSIGNED,
         req.organizationId,
-        { ...updated, assignedBy: req.userId }
+        { ...updated, assignedBy: req.user.id }
       );
     }
 
@@ -127,4 +511,198 @@ router.patch("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/leads/:id
+ * Delete a lead (its notes and activity go with it)
+ */
+router.delete("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { count } = await prisma.lead.deleteMany({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    console.log("🗑️ Lead deleted:", req.params.id);
+    res.json({ message: "Lead deleted" });
+  } catch (err) {
+    console.error("❌ DELETE /api/leads/:id error:", err);
+    res.status(500).json({ error: "Failed to delete lead" });
+  }
+});
+
+/**
+ * GET /api/leads/:id/duplicates
+ * Other leads sharing this lead's phone or email
+ */
+router.get("/:id/duplicates", authMiddleware, async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    res.json(await leadService.findDuplicates(req.organizationId, lead, lead.id));
+  } catch (err) {
+    console.error("❌ GET /api/leads/:id/duplicates error:", err);
+    res.status(500).json({ error: "Failed to find duplicates" });
+  }
+});
+
+/**
+ * GET /api/leads/:id/timeline
+ * Calls, SMS, emails, bookings, tasks, notes and status changes, newest first
+ */
+router.get("/:id/timeline", authMiddleware, async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json(await leadService.getTimeline(lead, { limit }));
+  } catch (err) {
+    console.error("❌ GET /api/leads/:id/timeline error:", err);
+    res.status(500).json({ error: "Failed to load timeline" });
+  }
+});
+
+// ============================================================================
+// NOTES
+// ============================================================================
+
+/**
+ * GET /api/leads/:id/notes
+ * Threaded notes
+ */
+router.get("/:id/notes", authMiddleware, async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+      select: { id: true },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    res.json(await leadService.getNoteThreads(lead.id));
+  } catch (err) {
+    console.error("❌ GET /api/leads/:id/notes error:", err);
+    res.status(500).json({ error: "Failed to load notes" });
+  }
+});
+
+/**
+ * POST /api/leads/:id/notes
+ * Add a note, or a reply when parentId is set
+ */
+router.post("/:id/notes", authMiddleware, async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ error: "Note body is required" });
+    }
+
+    const lead = await prisma.lead.findFirst({
+      where: { id: req.params.id, organizationId: req.organizationId },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    if (parentId) {
+      const parent = await prisma.leadNote.findFirst({ where: { id: parentId, leadId: lead.id } });
+      if (!parent) {
+        return res.status(400).json({ error: "Parent note not found" });
+      }
+    }
+
+    const note = await prisma.leadNote.create({
+      data: {
+        body: String(body).trim(),
+        parentId: parentId || null,
+        authorId: req.user.id,
+        leadId: lead.id,
+        organizationId: req.organizationId,
+      },
+      include: { author: { select: { id: true, name: true } } },
+    });
+
+    await leadService.logActivity(lead, "note", parentId ? "Replied to a note" : "Note added", {
+      actorId: req.user.id,
+      data: { noteId: note.id, preview: note.body.slice(0, 140) },
+    });
+
+    res.status(201).json({ ...note, replies: [] });
+  } catch (err) {
+    console.error("❌ POST /api/leads/:id/notes error:", err);
+    res.status(500).json({ error: "Failed to add note" });
+  }
+});
+
+/**
+ * PATCH /api/leads/:id/notes/:noteId
+ * Edit a note (author only)
+ */
+router.patch("/:id/notes/:noteId", authMiddleware, async (req, res) => {
+  try {
+    const { body } = req.body;
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ error: "Note body is required" });
+    }
+
+    const note = await prisma.leadNote.findFirst({
+      where: { id: req.params.noteId, leadId: req.params.id, organizationId: req.organizationId },
+    });
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    if (note.authorId !== req.user.id) {
+      return res.status(403).json({ error: "Only the author can edit a note" });
+    }
+
+    const updated = await prisma.leadNote.update({
+      where: { id: note.id },
+      data: { body: String(body).trim() },
+      include: { author: { select: { id: true, name: true } } },
+    });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("❌ PATCH /api/leads/:id/notes/:noteId error:", err);
+    res.status(500).json({ error: "Failed to update note" });
+  }
+});
+
+/**
+ * DELETE /api/leads/:id/notes/:noteId
+ * Delete a note and its replies (author or manager)
+ */
+router.delete("/:id/notes/:noteId", authMiddleware, async (req, res) => {
+  try {
+    const note = await prisma.leadNote.findFirst({
+      where: { id: req.params.noteId, leadId: req.params.id, organizationId: req.organizationId },
+    });
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    if (note.authorId !== req.user.id && !["OWNER", "ADMIN", "MANAGER"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Only the author or a manager can delete a note" });
+    }
+
+    await prisma.leadNote.delete({ where: { id: note.id } });
+    res.json({ message: "Note deleted" });
+  } catch (err) {
+    console.error("❌ DELETE /api/leads/:id/notes/:noteId error:", err);
+    res.status(500).json({ error: "Failed to delete note" });
+  }
+});
+
 module.exports = router;
@@ -5,9 +5,16 @@
 const express = require("express");
 const prisma = require("../lib/prisma");
 const { authMiddleware, requireRole } = require("../middleware/auth.middleware");
+const { createAuditLog, AUDITABLE_ACTIONS } = require("../middleware/audit.middleware");
+const { SUPPORTED_LANGUAGES } = require("../services/language.service");
+const { selectableProviders } = require("../services/tts");
+const { isValidTimezone } = require("../lib/timezone");
 
 const router = express.Router();
 
+// Models the receptionist may run on (must support function calling)
+const AI_MODELS = ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"];
+
 /**
  * GET /api/organization
  * Get current organization details
@@ -38,6 +45,14 @@ router.get("/", authMiddleware, async (req, res) => {
       voiceProvider: org.voiceProvider,
       personality: org.personality,
       language: org.language,
+      autoDetectLanguage: org.autoDetectLanguage,
+      supportedLanguages: org.supportedLanguages,
+      languageVoices: org.languageVoices,
+      aiModel: org.aiModel,
+      aiTemperature: org.aiTemperature,
+      maxTurns: org.maxTurns,
+      maxCallDuration: org.maxCallDuration,
+      systemPrompt: org.systemPrompt,
       // Branding
       logoUrl: org.logoUrl,
       primaryColor: org.primaryColor,
@@ -51,6 +66,8 @@ router.get("/", authMiddleware, async (req, res) => {
       afterHoursGreeting: org.afterHoursGreeting,
       // Integrations
       slackWebhookUrl: org.slackWebhookUrl,
+      // Security
+      requireMfa: org.requireMfa,
       // Usage
       monthlyCallMinutes: org.monthlyCallMinutes,
       monthlyAIMinutes: org.monthlyAIMinutes,
@@ -78,7 +95,8 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
       "name", "greeting", "aiEnabled", "voiceId", "personality", "language",
       "timezone", "primaryColor", "secondaryColor", "logoUrl", "slackWebhookUrl",
       "businessHours", "afterHoursMode", "afterHoursGreeting", "onboardingCompleted",
-      "industry",
+      "industry", "aiModel", "aiTemperature", "maxTurns", "maxCallDuration", "systemPrompt",
+      "autoDetectLanguage", "supportedLanguages", "languageVoices", "voiceProvider",
     ];
 
     // SECURITY: pendingPhoneNumber can only be set during onboarding
@@ -90,6 +108,7 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
       greeting,
       aiEnabled,
       voiceId,
+      voiceProvider,
       personality,
       language,
       timezone,
@@ -102,6 +121,14 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
       afterHoursGreeting,
       onboardingCompleted,
       industry,
+      aiModel,
+      aiTemperature,
+      maxTurns,
+      maxCallDuration,
+      systemPrompt,
+      autoDetectLanguage,
+      supportedLanguages,
+      languageVoices,
       pendingPhoneNumber,
       // Aliases from onboarding
       aiGreeting,
@@ -119,10 +146,20 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
     if (aiEnabled !== undefined) updateData.aiEnabled = aiEnabled;
     if (voiceId !== undefined) updateData.voiceId = voiceId;
     if (aiVoiceId !== undefined) updateData.voiceId = aiVoiceId;
+    if (voiceProvider !== undefined) {
+      if (!selectableProviders().includes(voiceProvider)) {
+        return res.status(400).json({ error: `voiceProvider must be one of: ${selectableProviders().join(", ")}` });
+      }
+      updateData.voiceProvider = voiceProvider;
+    }
     if (personality !== undefined) updateData.personality = personality;
     if (aiPersonality !== undefined) updateData.personality = aiPersonality;
-    if (language !== undefined) updateData.language = language;
-    if (timezone !== undefined) updateData.timezone = timezone;
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+      }
+      updateData.timezone = timezone;
+    }
     if (primaryColor !== undefined) updateData.primaryColor = primaryColor;
     if (secondaryColor !== undefined) updateData.secondaryColor = secondaryColor;
     if (logoUrl !== undefined) updateData.logoUrl = logoUrl;
@@ -134,6 +171,65 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
     if (onboardingCompleted !== undefined) updateData.onboardingCompleted = onboardingCompleted;
     if (industry !== undefined) updateData.industry = industry;
 
+    // AI limits - reject out-of-range values instead of silently clamping
+    if (aiModel !== undefined) {
+      if (!AI_MODELS.includes(aiModel)) {
+        return res.status(400).json({ error: `aiModel must be one of: ${AI_MODELS.join(", ")}` });
+      }
+      updateData.aiModel = aiModel;
+    }
+    if (aiTemperature !== undefined) {
+      const value = Number(aiTemperature);
+      if (!Number.isFinite(value) || value < 0 || value > 1.5) {
+        return res.status(400).json({ error: "aiTemperature must be between 0 and 1.5" });
+      }
+      updateData.aiTemperature = value;
+    }
+    if (maxTurns !== undefined) {
+      const value = Number(maxTurns);
+      if (!Number.isInteger(value) || value < 5 || value > 100) {
+        return res.status(400).json({ error: "maxTurns must be between 5 and 100" });
+      }
+      updateData.maxTurns = value;
+    }
+    if (maxCallDuration !== undefined) {
+      const value = Number(maxCallDuration);
+      if (!Number.isInteger(value) || value < 60 || value > 3600) {
+        return res.status(400).json({ error: "maxCallDuration must be between 60 and 3600 seconds" });
+      }
+      updateData.maxCallDuration = value;
+    }
+    if (systemPrompt !== undefined) {
+      if (systemPrompt && systemPrompt.length > 8000) {
+        return res.status(400).json({ error: "systemPrompt must be 8000 characters or less" });
+      }
+      updateData.systemPrompt = systemPrompt || null;
+    }
+
+    // Languages - base code (before any region) must be one we can serve
+    const isSupportedLanguage = (code) =>
+      typeof code === "string" && SUPPORTED_LANGUAGES.includes(code.toLowerCase().split(/[-_]/)[0]);
+
+    if (language !== undefined) {
+      if (!isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `language must be one of: ${SUPPORTED_LANGUAGES.join(", ")}` });
+      }
+      updateData.language = language;
+    }
+    if (autoDetectLanguage !== undefined) updateData.autoDetectLanguage = !!autoDetectLanguage;
+    if (supportedLanguages !== undefined) {
+      if (!Array.isArray(supportedLanguages) || !supportedLanguages.every(isSupportedLanguage)) {
+        return res.status(400).json({ error: `supportedLanguages must only contain: ${SUPPORTED_LANGUAGES.join(", ")}` });
+      }
+      updateData.supportedLanguages = supportedLanguages;
+    }
+    if (languageVoices !== undefined) {
+      if (languageVoices !== null && (typeof languageVoices !== "object" || Array.isArray(languageVoices))) {
+        return res.status(400).json({ error: "languageVoices must be an object of language to voice" });
+      }
+      updateData.languageVoices = languageVoices || {};
+    }
+
     // SECURITY: Only allow pendingPhoneNumber during initial onboarding
     if (pendingPhoneNumber !== undefined && allowPendingPhone) {
       // Validate it looks like a phone number
@@ -155,7 +251,17 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
       greeting: updated.greeting,
       aiEnabled: updated.aiEnabled,
       voiceId: updated.voiceId,
+      voiceProvider: updated.voiceProvider,
       personality: updated.personality,
+      language: updated.language,
+      autoDetectLanguage: updated.autoDetectLanguage,
+      supportedLanguages: updated.supportedLanguages,
+      languageVoices: updated.languageVoices,
+      aiModel: updated.aiModel,
+      aiTemperature: updated.aiTemperature,
+      maxTurns: updated.maxTurns,
+      maxCallDuration: updated.maxCallDuration,
+      systemPrompt: updated.systemPrompt,
       slackWebhookUrl: updated.slackWebhookUrl,
       primaryColor: updated.primaryColor,
       logoUrl: updated.logoUrl,
@@ -168,4 +274,51 @@ router.patch("/", authMiddleware, requireRole("OWNER", "ADMIN"), async (req, res
   }
 });
 
+/**
+ * PUT /api/organization/mfa-policy
+ * Require MFA for every member (owner only). Members who haven't enrolled
+ * are asked to set it up at their next request or login.
+ * Body: { requireMfa: boolean }
+ */
+router.put("/mfa-policy", authMiddleware, requireRole("OWNER"), async (req, res) => {
+  try {
+    const { requireMfa } = req.body;
+
+    if (typeof requireMfa !== "boolean") {
+      return res.status(400).json({ error: "requireMfa must be a boolean" });
+    }
+
+    // Don't let the owner lock themselves out
+    if (requireMfa && !req.user.mfaEnabled) {
+      return res.status(400).json({ error: "Enable MFA on your own account first" });
+    }
+
+    const updated = await prisma.organization.update({
+      where: { id: req.organizationId },
+      data: { requireMfa },
+    });
+
+    const unenrolled = await prisma.userOrganization.count({
+      where: { organizationId: req.organizationId, user: { mfaEnabled: false } },
+    });
+
+    await createAuditLog({
+      actorType: "user",
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      action: AUDITABLE_ACTIONS.ORG_MFA_POLICY,
+      entityType: "organization",
+      entityId: req.organizationId,
+      oldValues: { requireMfa: req.user.organization.requireMfa },
+      newValues: { requireMfa },
+      organizationId: req.organizationId,
+    });
+
+    res.json({ requireMfa: updated.requireMfa, unenrolledMembers: unenrolled });
+  } catch (err) {
+    console.error("❌ PUT /api/organization/mfa-policy error:", err);
+    res.status(500).json({ error: "Failed to update MFA policy" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,169 @@
+// ============================================================================
+// HEKAX Phone - Call Queue Routes
+// API endpoints for call queues and agent availability
+// ============================================================================
+
+const express = require("express");
+const { authMiddleware, requireManager } = require("../middleware/auth.middleware");
+const queueService = require("../services/queue.service");
+
+const router = express.Router();
+
+/**
+ * GET /api/queues
+ * Get all call queues for organization
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const queues = await queueService.getQueues(req.organizationId);
+    res.json({ queues });
+  } catch (err) {
+    console.error("❌ GET /api/queues error:", err);
+    res.status(500).json({ error: "Failed to get queues" });
+  }
+});
+
+/**
+ * GET /api/queues/live
+ * Current depth, wait times and staffed agents per queue
+ */
+router.get("/live", authMiddleware, async (req, res) => {
+  try {
+    const queues = await queueService.getLiveQueues(req.organizationId);
+    res.json({ queues });
+  } catch (err) {
+    console.error("❌ GET /api/queues/live error:", err);
+    res.status(500).json({ error: "Failed to get live queue stats" });
+  }
+});
+
+/**
+ * GET /api/queues/agents
+ * Agent availability for the organization
+ */
+router.get("/agents", authMiddleware, async (req, res) => {
+  try {
+    const agents = await queueService.getAgents(req.organizationId);
+    res.json({ agents, statuses: queueService.AGENT_STATUSES });
+  } catch (err) {
+    console.error("❌ GET /api/queues/agents error:", err);
+    res.status(500).json({ error: "Failed to get agents" });
+  }
+});
+
+/**
+ * PUT /api/queues/agent-status
+ * Set your own availability (managers may set another agent's via userId)
+ */
+router.put("/agent-status", authMiddleware, async (req, res) => {
+  try {
+    const { status, userId } = req.body;
+
+    if (!queueService.AGENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${queueService.AGENT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const targetUserId = userId || req.user.id;
+    if (targetUserId !== req.user.id && !["OWNER", "ADMIN", "MANAGER"].includes(req.userRole)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const membership = await queueService.setAgentStatus(req.organizationId, targetUserId, status);
+    res.json({
+      userId: targetUserId,
+      status: membership.agentStatus,
+      statusChangedAt: membership.agentStatusAt,
+    });
+  } catch (err) {
+    console.error("❌ PUT /api/queues/agent-status error:", err);
+    res.status(500).json({ error: "Failed to update agent status" });
+  }
+});
+
+/**
+ * POST /api/queues
+ * Create a call queue
+ */
+router.post("/", authMiddleware, requireManager, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: "Queue name is required" });
+    }
+
+    const queue = await queueService.saveQueue(req.organizationId, req.body);
+    res.status(201).json({ queue });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "A queue with this name already exists" });
+    }
+    console.error("❌ POST /api/queues error:", err);
+    res.status(500).json({ error: "Failed to create queue" });
+  }
+});
+
+/**
+ * PUT /api/queues/:id
+ * Update a call queue
+ */
+router.put("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const queue = await queueService.saveQueue(req.organizationId, {
+      ...req.body,
+      id: req.params.id,
+    });
+
+    if (!queue) {
+      return res.status(404).json({ error: "Queue not found" });
+    }
+
+    res.json({ queue });
+  } catch (err) {
+    if (err.code === "P2002") {
+      return res.status(409).json({ error: "A queue with this name already exists" });
+    }
+    console.error("❌ PUT /api/queues/:id error:", err);
+    res.status(500).json({ error: "Failed to update queue" });
+  }
+});
+
+/**
+ * PUT /api/queues/:id/members
+ * Replace the agents assigned to a queue
+ */
+router.put("/:id/members", authMiddleware, requireManager, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds)) {
+      return res.status(400).json({ error: "userIds must be an array" });
+    }
+
+    const queue = await queueService.setQueueMembers(req.params.id, req.organizationId, userIds);
+    if (!queue) {
+      return res.status(404).json({ error: "Queue not found" });
+    }
+
+    res.json({ queue });
+  } catch (err) {
+    console.error("❌ PUT /api/queues/:id/members error:", err);
+    res.status(500).json({ error: "Failed to update queue members" });
+  }
+});
+
+/**
+ * DELETE /api/queues/:id
+ * Delete a call queue
+ */
+router.delete("/:id", authMiddleware, requireManager, async (req, res) => {
+  try {
+    await queueService.deleteQueue(req.params.id, req.organizationId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ DELETE /api/queues/:id error:", err);
+    res.status(500).json({ error: "Failed to delete queue" });
+  }
+});
+
+module.exports = router;
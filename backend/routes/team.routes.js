@@ -30,6 +30,7 @@ router.get("/", authMiddleware, async (req, res) => {
             phone: true,
             avatar: true,
             lastLoginAt: true,
+            mfaEnabled: true,
             createdAt: true,
           },
         },
@@ -48,6 +49,7 @@ router.get("/", authMiddleware, async (req, res) => {
       phone: m.user.phone,
       avatar: m.user.avatar,
       lastLoginAt: m.user.lastLoginAt,
+      mfaEnabled: m.user.mfaEnabled,
       createdAt: m.user.createdAt,
     }));
 
@@ -12,6 +12,13 @@ const {
 } = require("../middleware/twilio.middleware");
 const { webhookLimiter } = require("../middleware/security.middleware");
 const { spamFilter } = require("../services/spam-filter.service");
+const routingService = require("../services/routing.service");
+const queueService = require("../services/queue.service");
+const { enqueueAnalysis } = require("../services/call-analysis.service");
+const campaignService = require("../services/campaign.service");
+const suppressionService = require("../services/suppression.service");
+const multichannelService = require("../services/multichannel.service");
+const appointmentSmsService = require("../services/appointment-sms.service");
 
 const router = express.Router();
 
@@ -34,6 +41,15 @@ try {
 // Apply rate limiting to all Twilio routes
 router.use(webhookLimiter);
 
+/**
+ * Host for the AI media stream WebSocket
+ */
+function streamHost(req) {
+  return process.env.PUBLIC_BASE_URL
+    ? process.env.PUBLIC_BASE_URL.replace("https://", "").replace("http://", "")
+    : req.headers.host;
+}
+
 // ============================================================================
 // POST /twilio/voice/incoming
 // Handle incoming calls - routes to correct organization based on called number
@@ -44,7 +60,7 @@ router.post(
   validateTwilioWebhookFlexible,
   logTwilioWebhook,
   async (req, res) => {
-    const twiml = new VoiceResponse();
+    let twiml = new VoiceResponse();
     const calledNumber = req.body.To;
     const callerNumber = req.body.From;
 
@@ -106,50 +122,55 @@ router.post(
         org?.aiEnabled ??
         process.env.AI_RECEPTIONIST_ENABLED === "true";
 
-      // Determine client identity for this organization
-      // Format: {slug}-web (matches token generation and AI transfer)
-      const clientIdentity = org?.slug
-        ? `${org.slug}-web`
-        : "default-web";
-
-      console.log("📞 Routing to:", { orgId: org?.id, aiEnabled, clientIdentity });
-
-      if (aiEnabled) {
-        // Note: Twilio doesn't support recording for <Connect><Stream> calls
-        // The AI receptionist creates its own transcript from the conversation
-        // For call recordings, we would need to use Twilio's Recordings API post-call
-        // or use a different architecture (dial to conference with recording)
-
-        twiml.say(
-          { voice: "Polly.Amy" },
-          "Please hold while I connect you to our assistant."
-        );
-        twiml.pause({ length: 1 });
-
-        const connect = twiml.connect();
-        const wsHost = process.env.PUBLIC_BASE_URL
-          ? process.env.PUBLIC_BASE_URL.replace("https://", "").replace(
-              "http://",
-              ""
-            )
-          : req.headers.host;
-
-        const stream = connect.stream({
-          url: `wss://${wsHost}/media-stream`,
+      // Run the routing engine (VIP, CallRoute rules, business hours)
+      let decision = org
+        ? await routingService.routeCall(org.id, callerNumber, calledNumber, {
+            aiEnabled: phoneRecord?.routeToAI ?? org.aiEnabled,
+          })
+        : {
+            action: aiEnabled ? "ai" : "client",
+            reason: "Phone number not found - fallback routing",
+          };
+
+      // Register the caller in the queue; a missing/disabled queue goes to voicemail
+      if (decision.action === "queue" && org && req.body.CallSid) {
+        const queuedCall = await queueService.enqueueCall(org.id, decision.queueId, {
+          callSid: req.body.CallSid,
+          fromNumber: callerNumber,
+          toNumber: calledNumber,
+          maxWaitTime: decision.maxWaitTime,
         });
 
-        stream.parameter({ name: "callerNumber", value: callerNumber });
-        stream.parameter({ name: "calledNumber", value: calledNumber });
-        stream.parameter({ name: "direction", value: "inbound" });
-        stream.parameter({ name: "organizationId", value: org?.id || "" });
-      } else {
-        const dial = twiml.dial({
-          record: "record-from-answer-dual",
-          recordingStatusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/recording/callback`,
-          recordingStatusCallbackEvent: "completed",
-        });
-        dial.client(clientIdentity);
+        decision = queuedCall
+          ? { ...decision, queuedCall }
+          : { ...decision, action: "voicemail", reason: `${decision.reason} (queue unavailable - voicemail)` };
       }
+
+      console.log("📞 Routing decision:", {
+        orgId: org?.id,
+        action: decision.action,
+        reason: decision.reason,
+      });
+
+      if (req.body.CallSid) {
+        try {
+          await routingService.recordRoutingDecision(req.body.CallSid, decision, {
+            organizationId: org?.id || null,
+            phoneNumberId: phoneRecord?.id || null,
+            fromNumber: callerNumber,
+            toNumber: calledNumber,
+          });
+        } catch (logErr) {
+          console.error("⚠️ Failed to record routing decision:", logErr.message);
+        }
+      }
+
+      twiml = routingService.buildRoutingTwiml(decision, {
+        organization: org,
+        callerNumber,
+        calledNumber,
+        wsHost: streamHost(req),
+      });
     } catch (err) {
       console.error("❌ Inbound call routing error:", err);
       twiml.say(
@@ -193,6 +214,13 @@ router.post(
           select: { id: true, twilioNumber: true },
         });
 
+        if (org && (await suppressionService.isSuppressed(org.id, { phone: to }))) {
+          console.log(`🚫 Outbound call to ${to} blocked: on do-not-contact list`);
+          twiml.say("This number is on your organization's do not contact list. The call was not placed.");
+          twiml.hangup();
+          return res.type("text/xml").send(twiml.toString());
+        }
+
         if (org?.twilioNumber) {
           callerNumber = org.twilioNumber;
           console.log("📤 Using org caller ID:", {
@@ -258,7 +286,9 @@ router.post(
         organizationId = phoneRecord?.organizationId;
       } else if (AccountSid) {
         const org = await prisma.organization.findFirst({
-          where: { twilioSubAccountSid: AccountSid },
+          where: {
+            OR: [{ twilioSubAccountSid: AccountSid }, { byoTwilioAccountSid: AccountSid }],
+          },
           select: { id: true },
         });
         organizationId = org?.id;
@@ -295,6 +325,11 @@ router.post(
 
       console.log("📡 Call logged for org:", organizationId);
 
+      // Caller hung up while queued/ringing an agent
+      if (["COMPLETED", "BUSY", "NO_ANSWER", "FAILED", "CANCELED"].includes(CallStatus.toUpperCase())) {
+        await queueService.handleCallEnded(CallSid);
+      }
+
       // Emit automation events
       if (automationService && organizationId) {
         const eventData = {
@@ -332,10 +367,114 @@ router.post(
       console.error("❌ Call status DB error:", err);
     }
 
+    // Outbound campaign attempt finished - record the result on the contact and lead
+    const { campaignContactId } = req.query;
+    if (campaignContactId && ["completed", "busy", "no-answer", "failed", "canceled"].includes(CallStatus)) {
+      try {
+        await campaignService.handleCallResult(campaignContactId, {
+          callStatus: CallStatus,
+          answeredBy: req.body.AnsweredBy,
+        });
+      } catch (err) {
+        console.error("❌ Campaign call result error:", err);
+      }
+    }
+
     res.sendStatus(200);
   }
 );
 
+// ============================================================================
+// POST /twilio/queue/wait
+// Hold music and position/ETA announcements while a caller is queued
+// ============================================================================
+
+router.post(
+  "/queue/wait",
+  validateTwilioWebhookFlexible,
+  async (req, res) => {
+    const { queuedCallId } = req.query;
+
+    let twimlString;
+    try {
+      twimlString = await queueService.handleWait(queuedCallId);
+    } catch (err) {
+      console.error("❌ Queue wait error:", err);
+      const twiml = new VoiceResponse();
+      twiml.play(queueService.DEFAULT_HOLD_MUSIC_URL);
+      twimlString = twiml.toString();
+    }
+
+    res.type("text/xml");
+    res.send(twimlString);
+  }
+);
+
+// ============================================================================
+// POST /twilio/queue/result
+// Caller left the queue (max wait, hangup, redirected to agent)
+// ============================================================================
+
+router.post(
+  "/queue/result",
+  validateTwilioWebhookFlexible,
+  async (req, res) => {
+    const { queuedCallId } = req.query;
+    const { QueueResult, From, To } = req.body;
+    console.log("📥 Queue result:", { queuedCallId, QueueResult });
+
+    let twimlString;
+    try {
+      twimlString = await queueService.handleQueueResult(queuedCallId, {
+        queueResult: QueueResult,
+        from: From,
+        to: To,
+      });
+    } catch (err) {
+      console.error("❌ Queue result error:", err);
+      const twiml = new VoiceResponse();
+      twiml.say({ voice: "Polly.Amy" }, "We're sorry, please try your call again.");
+      twimlString = twiml.toString();
+    }
+
+    res.type("text/xml");
+    res.send(twimlString);
+  }
+);
+
+// ============================================================================
+// POST /twilio/queue/agent-result
+// Agent answered or missed a queued caller
+// ============================================================================
+
+router.post(
+  "/queue/agent-result",
+  validateTwilioWebhookFlexible,
+  async (req, res) => {
+    const { queuedCallId } = req.query;
+    const { DialCallStatus, DialCallDuration, From, To } = req.body;
+    console.log("📥 Queue agent result:", { queuedCallId, DialCallStatus });
+
+    let twimlString;
+    try {
+      twimlString = await queueService.handleAgentResult(queuedCallId, {
+        dialCallStatus: DialCallStatus,
+        dialCallDuration: DialCallDuration,
+        from: From,
+        to: To,
+      });
+    } catch (err) {
+      console.error("❌ Queue agent result error:", err);
+      const twiml = new VoiceResponse();
+      twiml.hangup();
+      twimlString = twiml.toString();
+    }
+
+    res.type("text/xml");
+    res.send(twimlString);
+  }
+);
+
 // ============================================================================
 // POST /twilio/recording/callback
 // Handle recording completion
@@ -350,7 +489,7 @@ router.post(
 
     try {
       // Use upsert to handle case where call log might not exist yet
-      await prisma.callLog.upsert({
+      const call = await prisma.callLog.upsert({
         where: { callSid: CallSid },
         update: {
           recordingUrl: RecordingUrl,
@@ -373,6 +512,11 @@ router.post(
         },
       });
       console.log("✅ Recording saved to DB");
+
+      // Human-handled calls have no live transcript - transcribe the recording
+      if (!call.handledByAI) {
+        enqueueAnalysis(CallSid, { transcribe: true });
+      }
     } catch (err) {
       console.error("❌ Recording callback DB error:", err);
     }
@@ -465,10 +609,70 @@ router.post(
   }
 );
 
+// ============================================================================
+// POST /twilio/campaign/answer
+// Outbound campaign call answered - AI receptionist for a person,
+// voicemail drop for a machine (synchronous AMD result in AnsweredBy)
+// ============================================================================
+
+router.post(
+  "/campaign/answer",
+  validateTwilioWebhookFlexible,
+  logTwilioWebhook,
+  async (req, res) => {
+    const { CallSid, AnsweredBy, From } = req.body;
+    console.log("📣 Campaign call answered:", { CallSid, AnsweredBy });
+
+    let twimlString;
+    try {
+      twimlString = await campaignService.handleAnswer(
+        req.query.contactId,
+        { callSid: CallSid, answeredBy: AnsweredBy, fromNumber: From },
+        { wsHost: streamHost(req) }
+      );
+    } catch (err) {
+      console.error("❌ Campaign answer error:", err);
+      const twiml = new VoiceResponse();
+      twiml.hangup();
+      twimlString = twiml.toString();
+    }
+
+    res.type("text/xml");
+    res.send(twimlString);
+  }
+);
+
+// ============================================================================
+// GET /twilio/campaign/voicemail
+// Voicemail drop audio for a campaign call (<Play> from /campaign/answer).
+// Twilio fetches it without a signature, so the URL is HMAC-signed over the
+// contact id; only contacts being dialed have audio.
+// ============================================================================
+
+router.get("/campaign/voicemail", async (req, res) => {
+  if (!campaignService.isValidVoicemailSignature(req.query.contactId, req.query.sig)) {
+    return res.status(403).end();
+  }
+
+  try {
+    const result = await campaignService.voicemailAudio(req.query.contactId);
+    if (!result) {
+      return res.status(404).end();
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.type(result.contentType);
+    res.send(result.audio);
+  } catch (err) {
+    console.error("❌ Campaign voicemail audio error:", err.message);
+    res.status(500).end();
+  }
+});
+
 // ============================================================================
 // POST /twilio/amd/callback
-// Handle Answering Machine Detection results
-// Used for outbound calls to detect voicemail vs human
+// Handle asynchronous Answering Machine Detection results
+// (campaign calls use synchronous AMD - see /campaign/answer)
 // ============================================================================
 
 router.post(
@@ -488,10 +692,8 @@ router.post(
         },
       });
 
-      // If voicemail detected, leave a message
       if (AnsweredBy && AnsweredBy.startsWith("machine")) {
-        console.log("📨 Voicemail detected - will leave message");
-        // The message is handled by the main voice webhook based on AMD result
+        console.log("📨 Voicemail detected");
       }
     } catch (err) {
       console.error("❌ AMD callback error:", err);
@@ -538,18 +740,38 @@ router.post(
 
     const MessagingResponse = twilio.twiml.MessagingResponse;
     const twiml = new MessagingResponse();
+    let org = null;
+    let replied = false;
 
     try {
       // Find organization by phone number
-      const org = await prisma.organization.findFirst({
-        where: { twilioNumber: To },
+      const phoneRecord = await prisma.phoneNumber.findFirst({
+        where: { number: To },
+        select: { organizationId: true },
+      });
+      org = await prisma.organization.findFirst({
+        where: phoneRecord ? { id: phoneRecord.organizationId } : { twilioNumber: To },
       });
 
-      if (org) {
-        // Check for appointment confirmation
+      // STOP / START / HELP (required by carriers) - updates the do-not-contact list
+      const keywordReply = org && (await suppressionService.handleSmsKeyword(org, From, Body));
+
+      if (keywordReply) {
+        // Opting out doesn't cancel appointments - say so while we still can text
+        const note =
+          suppressionService.parseKeyword(Body) === "STOP" && (await appointmentSmsService.optOutNote(org, From));
+        twiml.message(note ? `${keywordReply} ${note}` : keywordReply);
+        replied = true;
+      } else if (org) {
+        // RESCHEDULE / CANCEL APPT, or a reply within that exchange
+        const appointmentReply = await appointmentSmsService.handleAppointmentSms(org, From, Body);
         const upperBody = Body?.toUpperCase()?.trim();
-        if (upperBody === "CONFIRM" || upperBody === "YES") {
-          // Find pending booking for this number
+
+        if (appointmentReply) {
+          twiml.message(appointmentReply);
+          replied = true;
+        } else if (upperBody === "CONFIRM" || upperBody === "YES") {
+          // Appointment confirmation - find pending booking for this number
           const booking = await prisma.calendarBooking.findFirst({
             where: {
               callerPhone: From,
@@ -565,18 +787,33 @@ router.post(
               data: { status: "CONFIRMED" },
             });
             twiml.message("Your appointment has been confirmed. Thank you!");
+            replied = true;
           }
-        } else if (upperBody === "STOP" || upperBody === "UNSUBSCRIBE") {
-          // Handle opt-out (required by law)
-          twiml.message("You have been unsubscribed and will not receive further messages.");
         }
       }
     } catch (err) {
       console.error("❌ Incoming SMS processing error:", err);
     }
 
+    // Confirm STOP / HELP even when we couldn't tell whose number this is
+    if (!replied && !org) {
+      const fallbackReply = suppressionService.unmatchedKeywordReply(Body);
+      if (fallbackReply) {
+        twiml.message(fallbackReply);
+        replied = true;
+      }
+    }
+
     res.type("text/xml");
     res.send(twiml.toString());
+
+    // Add to the SMS inbox after responding - the channel AI can take a few seconds.
+    // No AI reply when a keyword or confirmation reply was already sent.
+    if (org) {
+      multichannelService.handleIncomingSms(org, req.body, { aiReply: !replied }).catch((err) => {
+        console.error("❌ SMS inbox error:", err);
+      });
+    }
   }
 );
 
@@ -592,7 +829,15 @@ router.post(
     const { MessageSid, MessageStatus, To, ErrorCode } = req.body;
     console.log("📱 SMS Status:", { MessageSid, MessageStatus, To, ErrorCode });
 
-    // Could log SMS delivery status to database if needed
+    try {
+      // Inbox messages track delivery (DELIVERED / FAILED)
+      if (MessageSid && MessageStatus) {
+        await multichannelService.updateMessageStatus(MessageSid, MessageStatus, ErrorCode);
+      }
+    } catch (err) {
+      console.error("❌ SMS status update error:", err);
+    }
+
     res.sendStatus(200);
   }
 );
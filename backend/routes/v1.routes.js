@@ -0,0 +1,729 @@
+// ============================================================================
+// HEKAX Phone - Public API v1
+// Versioned REST API for integrators, authenticated with organization API keys
+// ============================================================================
+//
+// Every endpoint is declared once in ROUTES: the table registers the Express
+// handlers and generates the OpenAPI document served at /v1/openapi.json.
+//
+// Responses:  { data }                       single resource
+//             { data: [...], pagination }    lists (cursor pagination)
+//             { error, code }                errors
+
+const express = require("express");
+const prisma = require("../lib/prisma");
+const { cache } = require("../lib/cache");
+const { buildOpenApiDocument } = require("../lib/openapi");
+const { createRateLimiter } = require("../middleware/security.middleware");
+const { apiKeyAuth, requirePermission, DEFAULT_RATE_LIMIT } = require("./api-keys.routes");
+const callSearch = require("../services/call-search.service");
+const leadService = require("../services/lead.service");
+const campaignService = require("../services/campaign.service");
+const analyticsService = require("../services/analytics.service");
+const { sendSMS } = require("../services/sms.service");
+const webhookService = require("../services/webhook.service");
+
+const router = express.Router();
+
+const API_VERSION = "1.0.0";
+const MAX_PAGE_SIZE = 100;
+const MAX_SMS_LENGTH = 1600;
+const ANALYTICS_CACHE_TTL = 300;
+
+const BOOKING_STATUSES = ["PENDING", "CONFIRMED", "CANCELLED", "COMPLETED", "NO_SHOW"];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: message, code, ...extra });
+}
+
+function pageLimit(query) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+}
+
+function sendPage(res, data, { limit, nextCursor }) {
+  return res.json({ data, pagination: { limit, nextCursor } });
+}
+
+/**
+ * Cursor-paginate a Prisma model (ordering must end with id for a stable cursor)
+ */
+async function paginate(model, args, query) {
+  const limit = pageLimit(query);
+  const rows = await model.findMany({
+    ...args,
+    take: limit + 1,
+    ...(query.cursor && { cursor: { id: String(query.cursor) }, skip: 1 }),
+  });
+
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+
+  return { rows, limit, nextCursor: hasMore ? rows[rows.length - 1].id : null };
+}
+
+/**
+ * Parse optional startDate/endDate query params into a Prisma range
+ * Returns { range } (undefined when neither is set) or { error }
+ */
+function dateRange(query) {
+  const range = {};
+  for (const [param, op] of [["startDate", "gte"], ["endDate", "lte"]]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) return { error: `${param} must be an ISO 8601 date` };
+    range[op] = date;
+  }
+  return { range: Object.keys(range).length > 0 ? range : undefined };
+}
+
+/**
+ * Find a call by id or Twilio CallSid
+ */
+function findCall(organizationId, id) {
+  return prisma.callLog.findFirst({
+    where: { organizationId, OR: [{ id }, { callSid: id }] },
+    include: {
+      organization: { select: { name: true } },
+      lead: { select: { id: true, name: true } },
+      transcript: { select: { summary: true } },
+    },
+  });
+}
+
+const TRANSCRIPT_SELECT = {
+  id: true,
+  callSid: true,
+  fullText: true,
+  messages: true,
+  summary: true,
+  sentiment: true,
+  sentimentScore: true,
+  keywords: true,
+  topics: true,
+  actionItems: true,
+  primaryIntent: true,
+  language: true,
+  source: true,
+  createdAt: true,
+};
+
+// Shaped call (see call-search shapeCall) without the internal organization name
+const publicCall = ({ organizationName, ...call }) => call;
+
+const DATE_QUERY = [
+  { name: "startDate", description: "ISO 8601 date (inclusive)" },
+  { name: "endDate", description: "ISO 8601 date (inclusive)" },
+];
+
+// ============================================================================
+// ROUTE TABLE
+// ============================================================================
+
+const ROUTES = [
+  // --------------------------------------------------------------------------
+  // Calls
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/calls",
+    operationId: "listCalls",
+    tag: "Calls",
+    summary: "List calls, newest first",
+    permission: "calls:read",
+    paginated: true,
+    schema: "Call",
+    query: [
+      { name: "q", description: "Search numbers, caller name, summary, transcript and tags" },
+      { name: "direction", description: "Comma-separated: INBOUND, OUTBOUND" },
+      { name: "status", description: "Comma-separated call statuses" },
+      { name: "sentiment", description: "Comma-separated: positive, neutral, negative" },
+      { name: "tags", description: "Comma-separated tags" },
+      { name: "disposition", description: "Comma-separated disposition codes, or none" },
+      ...DATE_QUERY,
+    ],
+    handler: async (req, res) => {
+      const { error } = dateRange(req.query);
+      if (error) return sendError(res, 400, "bad_request", error);
+
+      const limit = pageLimit(req.query);
+      const { calls, nextCursor } = await callSearch.searchCalls(req.organizationId, { ...req.query, limit });
+      sendPage(res, calls.map(publicCall), { limit, nextCursor });
+    },
+  },
+  {
+    method: "get",
+    path: "/calls/:id",
+    operationId: "getCall",
+    tag: "Calls",
+    summary: "Get a call by id or Twilio CallSid",
+    permission: "calls:read",
+    schema: "Call",
+    handler: async (req, res) => {
+      const call = await findCall(req.organizationId, req.params.id);
+      if (!call) return sendError(res, 404, "not_found", "Call not found");
+      res.json({ data: publicCall(callSearch.shapeCall(call)) });
+    },
+  },
+  {
+    method: "get",
+    path: "/calls/:id/transcript",
+    operationId: "getCallTranscript",
+    tag: "Transcripts",
+    summary: "Get the transcript of a call",
+    permission: "transcripts:read",
+    schema: "Transcript",
+    handler: async (req, res) => {
+      const call = await findCall(req.organizationId, req.params.id);
+      if (!call) return sendError(res, 404, "not_found", "Call not found");
+
+      const transcript = await prisma.transcript.findUnique({
+        where: { callSid: call.callSid },
+        select: TRANSCRIPT_SELECT,
+      });
+      if (!transcript) return sendError(res, 404, "not_found", "This call has no transcript");
+
+      res.json({ data: transcript });
+    },
+  },
+  {
+    method: "post",
+    path: "/calls",
+    operationId: "queueCall",
+    tag: "Calls",
+    summary: "Add a lead to an outbound campaign (the campaign dialer places the call)",
+    description:
+      "Only adds the lead to the campaign and returns 202 with the campaign contact; no call is placed by this request. " +
+      "The campaign's script, calling hours and pacing apply, and the dialer calls the lead while the campaign is RUNNING. " +
+      "Numbers on the do-not-contact list are refused.",
+    permission: "calls:write",
+    status: 202,
+    errors: [409, 422],
+    schema: "CampaignContact",
+    body: {
+      type: "object",
+      required: ["campaignId", "leadId"],
+      properties: {
+        campaignId: { type: "string" },
+        leadId: { type: "string" },
+      },
+    },
+    handler: async (req, res) => {
+      const { campaignId, leadId } = req.body || {};
+      if (!campaignId || !leadId) {
+        return sendError(res, 400, "bad_request", "campaignId and leadId are required");
+      }
+
+      const [campaign, lead] = await Promise.all([
+        prisma.callCampaign.findFirst({ where: { id: String(campaignId), organizationId: req.organizationId } }),
+        prisma.lead.findFirst({ where: { id: String(leadId), organizationId: req.organizationId }, select: { id: true } }),
+      ]);
+      if (!campaign) return sendError(res, 404, "not_found", "Campaign not found");
+      if (!lead) return sendError(res, 404, "not_found", "Lead not found");
+      if (["COMPLETED", "CANCELLED"].includes(campaign.status)) {
+        return sendError(res, 409, "conflict", `Campaign is ${campaign.status.toLowerCase()}`);
+      }
+
+      const result = await campaignService.addContacts(campaign, { leadIds: [lead.id] });
+      if (result.doNotCall > 0) {
+        return sendError(res, 422, "do_not_contact", "Lead is on the do-not-contact list");
+      }
+      if (result.alreadyAdded > 0) {
+        return sendError(res, 409, "conflict", "Lead is already in this campaign");
+      }
+
+      const contact = await prisma.callCampaignContact.findFirst({
+        where: { campaignId: campaign.id, leadId: lead.id },
+      });
+      if (!contact) {
+        return sendError(res, 422, "invalid_phone", "Lead has no phone number to call");
+      }
+
+      console.log(`📣 API key ${req.apiKey.keyPrefix} queued lead ${lead.id} in campaign "${campaign.name}"`);
+      res.status(202).json({ data: contact });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Transcripts
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/transcripts",
+    operationId: "listTranscripts",
+    tag: "Transcripts",
+    summary: "List call transcripts, newest first",
+    permission: "transcripts:read",
+    paginated: true,
+    schema: "Transcript",
+    query: DATE_QUERY,
+    handler: async (req, res) => {
+      const { range, error } = dateRange(req.query);
+      if (error) return sendError(res, 400, "bad_request", error);
+
+      const { rows, limit, nextCursor } = await paginate(
+        prisma.transcript,
+        {
+          where: { organizationId: req.organizationId, ...(range && { createdAt: range }) },
+          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+          select: TRANSCRIPT_SELECT,
+        },
+        req.query
+      );
+      sendPage(res, rows, { limit, nextCursor });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Leads
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/leads",
+    operationId: "listLeads",
+    tag: "Leads",
+    summary: "List leads, newest first",
+    permission: "leads:read",
+    paginated: true,
+    schema: "Lead",
+    query: [
+      { name: "q", description: "Search name, email, company, phone and notes" },
+      { name: "status", description: "Comma-separated lead statuses" },
+      { name: "temperature", description: "Comma-separated: HOT, WARM, COLD" },
+      { name: "source", description: "Comma-separated lead sources" },
+      { name: "minScore", type: "integer" },
+      { name: "maxScore", type: "integer" },
+      { name: "assignedTo", description: 'User id, or "unassigned"' },
+    ],
+    handler: async (req, res) => {
+      const limit = pageLimit(req.query);
+      // API keys act for the organization, not a user, so there's no "me"
+      if (req.query.assignedTo === "me") {
+        return sendError(res, 400, "bad_request", 'assignedTo must be a user id or "unassigned"');
+      }
+      const { leads, nextCursor } = await leadService.listLeads(req.organizationId, { ...req.query, limit });
+      sendPage(res, leads, { limit, nextCursor });
+    },
+  },
+  {
+    method: "get",
+    path: "/leads/:id",
+    operationId: "getLead",
+    tag: "Leads",
+    summary: "Get a lead",
+    permission: "leads:read",
+    schema: "Lead",
+    handler: async (req, res) => {
+      const lead = await prisma.lead.findFirst({
+        where: { id: req.params.id, organizationId: req.organizationId },
+        include: { assignedTo: { select: { id: true, name: true, email: true } } },
+      });
+      if (!lead) return sendError(res, 404, "not_found", "Lead not found");
+      res.json({ data: lead });
+    },
+  },
+  {
+    method: "post",
+    path: "/leads",
+    operationId: "createLead",
+    tag: "Leads",
+    summary: "Create a lead",
+    description: "Returns 409 with the matching leads when the phone or email is already known, unless allowDuplicate is true.",
+    permission: "leads:write",
+    status: 201,
+    errors: [409],
+    schema: "Lead",
+    body: {
+      type: "object",
+      required: ["phone"],
+      properties: {
+        phone: { type: "string" },
+        name: { type: "string" },
+        email: { type: "string" },
+        company: { type: "string" },
+        reason: { type: "string" },
+        status: { type: "string" },
+        urgency: { type: "string" },
+        notes: { type: "string" },
+        campaign: { type: "string" },
+        customFields: { type: "object" },
+        allowDuplicate: { type: "boolean" },
+      },
+    },
+    handler: async (req, res) => {
+      // Do-not-call is managed through the do-not-contact list, not on create
+      const { allowDuplicate, assignedToId, doNotCall, source, ...input } = req.body || {};
+      const { data, error } = leadService.validateLeadInput({ ...input, source: "api" });
+      if (error) return sendError(res, 400, "bad_request", error);
+
+      if (!allowDuplicate) {
+        const duplicates = await leadService.findDuplicates(req.organizationId, data);
+        if (duplicates.length > 0) {
+          return sendError(res, 409, "conflict", "A lead with this phone or email already exists", {
+            duplicates: duplicates.map((d) => d.id),
+          });
+        }
+      }
+
+      const lead = await leadService.createLead(req.organizationId, data, { title: "Lead created via API" });
+      res.status(201).json({ data: lead });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Bookings
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/bookings",
+    operationId: "listBookings",
+    tag: "Bookings",
+    summary: "List bookings by appointment time",
+    permission: "bookings:read",
+    paginated: true,
+    schema: "Booking",
+    query: [
+      { name: "status", description: "Comma-separated booking statuses" },
+      { name: "startDate", description: "Appointments at or after (ISO 8601)" },
+      { name: "endDate", description: "Appointments at or before (ISO 8601)" },
+    ],
+    handler: async (req, res) => {
+      const { range, error } = dateRange(req.query);
+      if (error) return sendError(res, 400, "bad_request", error);
+
+      const statuses = req.query.status
+        ? String(req.query.status).split(",").map((s) => s.trim().toUpperCase())
+        : [];
+      const invalid = statuses.filter((s) => !BOOKING_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return sendError(res, 400, "bad_request", `status must be one of: ${BOOKING_STATUSES.join(", ")}`);
+      }
+
+      const { rows, limit, nextCursor } = await paginate(
+        prisma.calendarBooking,
+        {
+          where: {
+            organizationId: req.organizationId,
+            ...(statuses.length > 0 && { status: { in: statuses } }),
+            ...(range && { scheduledAt: range }),
+          },
+          orderBy: [{ scheduledAt: "asc" }, { id: "asc" }],
+        },
+        req.query
+      );
+      sendPage(res, rows, { limit, nextCursor });
+    },
+  },
+  {
+    method: "get",
+    path: "/bookings/:id",
+    operationId: "getBooking",
+    tag: "Bookings",
+    summary: "Get a booking",
+    permission: "bookings:read",
+    schema: "Booking",
+    handler: async (req, res) => {
+      const booking = await prisma.calendarBooking.findFirst({
+        where: { id: req.params.id, organizationId: req.organizationId },
+      });
+      if (!booking) return sendError(res, 404, "not_found", "Booking not found");
+      res.json({ data: booking });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Analytics
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/analytics",
+    operationId: "getAnalytics",
+    tag: "Analytics",
+    summary: "Call, sentiment, AI and lead conversion analytics (default: last 30 days)",
+    permission: "analytics:read",
+    query: DATE_QUERY,
+    handler: async (req, res) => {
+      const { range, error } = dateRange(req.query);
+      if (error) return sendError(res, 400, "bad_request", error);
+      if (range?.gte && range?.lte && range.gte > range.lte) {
+        return sendError(res, 400, "bad_request", "startDate must be before endDate");
+      }
+
+      // Same cache key as the dashboard
+      const { startDate, endDate } = req.query;
+      const cacheKey = `analytics:${req.organizationId}:${startDate || "default"}:${endDate || "default"}:day`;
+      const analytics = await cache.getOrSet(
+        cacheKey,
+        () => analyticsService.getAnalytics(req.organizationId, { startDate: range?.gte, endDate: range?.lte }),
+        ANALYTICS_CACHE_TTL
+      );
+      res.json({ data: analytics });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Messaging
+  // --------------------------------------------------------------------------
+  {
+    method: "post",
+    path: "/sms",
+    operationId: "sendSms",
+    tag: "Messaging",
+    summary: "Send an SMS from the organization's number",
+    description: "Numbers on the do-not-contact list are refused with 422 do_not_contact.",
+    permission: "sms:send",
+    status: 201,
+    errors: [422, 502],
+    schema: "SmsMessage",
+    body: {
+      type: "object",
+      required: ["to", "body"],
+      properties: {
+        to: { type: "string", description: "E.164 or US 10-digit number" },
+        body: { type: "string", maxLength: MAX_SMS_LENGTH },
+      },
+    },
+    handler: async (req, res) => {
+      const { to, body } = req.body || {};
+      const phone = leadService.normalizePhone(to);
+      const text = String(body || "").trim();
+      if (!phone) return sendError(res, 400, "bad_request", "to must be a valid phone number");
+      if (!text) return sendError(res, 400, "bad_request", "body is required");
+      if (text.length > MAX_SMS_LENGTH) {
+        return sendError(res, 400, "bad_request", `body can be at most ${MAX_SMS_LENGTH} characters`);
+      }
+
+      const result = await sendSMS(req.organizationId, phone, text);
+      if (result.suppressed) {
+        return sendError(res, 422, "do_not_contact", "Recipient is on the do-not-contact list");
+      }
+      if (!result.success) {
+        return sendError(res, 502, "send_failed", result.error || "Failed to send SMS");
+      }
+
+      res.status(201).json({ data: { messageSid: result.messageSid, status: result.status, to: phone } });
+    },
+  },
+
+  // --------------------------------------------------------------------------
+  // Webhooks
+  // --------------------------------------------------------------------------
+  {
+    method: "get",
+    path: "/webhooks",
+    operationId: "listWebhooks",
+    tag: "Webhooks",
+    summary: "List webhook subscriptions",
+    permission: "webhooks:manage",
+    schema: "WebhookSubscriptionList",
+    handler: async (req, res) => {
+      const subscriptions = await webhookService.listSubscriptions(req.organizationId);
+      res.json({ data: subscriptions });
+    },
+  },
+  {
+    method: "post",
+    path: "/webhooks",
+    operationId: "createWebhook",
+    tag: "Webhooks",
+    summary: "Subscribe a URL to events",
+    description:
+      "Deliveries are POSTed as { id, event, createdAt, organizationId, data } with an X-HEKAX-Signature header " +
+      "(hex HMAC-SHA256 of the body with the subscription secret). The secret is only returned here.",
+    permission: "webhooks:manage",
+    status: 201,
+    schema: "WebhookSubscription",
+    body: {
+      type: "object",
+      required: ["url", "events"],
+      properties: {
+        url: { type: "string", format: "uri" },
+        events: { type: "array", items: { type: "string" }, description: 'Event types, or ["*"] for all' },
+        description: { type: "string" },
+      },
+    },
+    handler: async (req, res) => {
+      const { data, secret, error } = await webhookService.createSubscription(req.organizationId, req.body || {});
+      if (error) return sendError(res, 400, "bad_request", error);
+      res.status(201).json({ data: { ...data, secret } });
+    },
+  },
+  {
+    method: "delete",
+    path: "/webhooks/:id",
+    operationId: "deleteWebhook",
+    tag: "Webhooks",
+    summary: "Delete a webhook subscription",
+    permission: "webhooks:manage",
+    handler: async (req, res) => {
+      const subscription = await webhookService.getSubscription(req.organizationId, req.params.id);
+      if (!subscription) return sendError(res, 404, "not_found", "Webhook subscription not found");
+
+      await webhookService.deleteSubscription(subscription);
+      res.json({ data: { id: subscription.id, deleted: true } });
+    },
+  },
+];
+
+// Component schemas referenced by ROUTES (key fields; responses may include more)
+const SCHEMAS = {
+  Call: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      callSid: { type: "string" },
+      direction: { type: "string", enum: ["INBOUND", "OUTBOUND"] },
+      fromNumber: { type: "string" },
+      toNumber: { type: "string" },
+      status: { type: "string" },
+      duration: { type: "integer", description: "Seconds" },
+      recordingUrl: { type: "string", nullable: true },
+      handledByAI: { type: "boolean" },
+      callerName: { type: "string", nullable: true },
+      leadId: { type: "string", nullable: true },
+      summary: { type: "string", nullable: true },
+      sentiment: { type: "string", nullable: true },
+      tags: { type: "array", items: { type: "string" } },
+      disposition: { type: "string", nullable: true },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  Transcript: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      callSid: { type: "string" },
+      fullText: { type: "string" },
+      messages: { type: "array", items: { type: "object" } },
+      summary: { type: "string", nullable: true },
+      sentiment: { type: "string", nullable: true },
+      topics: { type: "array", items: { type: "string" } },
+      language: { type: "string", nullable: true },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  Lead: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      phone: { type: "string" },
+      email: { type: "string", nullable: true },
+      company: { type: "string", nullable: true },
+      reason: { type: "string" },
+      status: { type: "string" },
+      urgency: { type: "string" },
+      score: { type: "integer" },
+      temperature: { type: "string", nullable: true },
+      source: { type: "string" },
+      doNotCall: { type: "boolean" },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  Booking: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      callerName: { type: "string" },
+      callerPhone: { type: "string" },
+      callerEmail: { type: "string", nullable: true },
+      purpose: { type: "string", nullable: true },
+      scheduledAt: { type: "string", format: "date-time" },
+      duration: { type: "integer", description: "Minutes" },
+      timezone: { type: "string" },
+      status: { type: "string", enum: BOOKING_STATUSES },
+      meetLink: { type: "string", nullable: true },
+      callSid: { type: "string", nullable: true },
+    },
+  },
+  CampaignContact: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      campaignId: { type: "string" },
+      leadId: { type: "string" },
+      phone: { type: "string" },
+      status: { type: "string" },
+      attempts: { type: "integer" },
+    },
+  },
+  WebhookSubscription: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string" } },
+      description: { type: "string", nullable: true },
+      enabled: { type: "boolean" },
+      secret: { type: "string", description: "Only present when the subscription is created" },
+      lastDeliveryAt: { type: "string", format: "date-time", nullable: true },
+    },
+  },
+  WebhookSubscriptionList: {
+    type: "array",
+    items: { $ref: "#/components/schemas/WebhookSubscription" },
+  },
+  SmsMessage: {
+    type: "object",
+    properties: {
+      messageSid: { type: "string" },
+      status: { type: "string" },
+      to: { type: "string" },
+    },
+  },
+};
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/**
+ * GET /v1/openapi.json
+ * OpenAPI 3 document for this API (no key needed)
+ */
+router.get("/openapi.json", (req, res) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  res.json(
+    buildOpenApiDocument(ROUTES, {
+      title: "HEKAX Phone API",
+      version: API_VERSION,
+      serverUrl: `${baseUrl}/v1`,
+      schemas: SCHEMAS,
+    })
+  );
+});
+
+// Per-key rate limit (ApiKey.rateLimit requests per minute)
+const keyLimiter = createRateLimiter({
+  name: "api-v1",
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimit || DEFAULT_RATE_LIMIT,
+  keyGenerator: (req) => req.apiKey.id,
+  handler: (req, res) => {
+    const retryAfter = Number(res.getHeader("Retry-After"));
+    console.log(`⚠️ API rate limit exceeded for key ${req.apiKey.keyPrefix}`);
+    return sendError(res, 429, "rate_limited", `Rate limit exceeded. Try again in ${retryAfter} seconds.`, {
+      retryAfter,
+    });
+  },
+});
+
+router.use(apiKeyAuth, keyLimiter);
+
+for (const route of ROUTES) {
+  router[route.method](route.path, requirePermission(route.permission), async (req, res) => {
+    try {
+      await route.handler(req, res);
+    } catch (err) {
+      console.error(`❌ ${route.method.toUpperCase()} /v1${route.path} error:`, err);
+      sendError(res, 500, "internal_error", "Something went wrong");
+    }
+  });
+}
+
+router.use((req, res) => sendError(res, 404, "not_found", `No endpoint ${req.method} /v1${req.path}`));
+
+module.exports = router;
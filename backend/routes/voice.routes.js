@@ -1,11 +1,12 @@
 // ============================================================================
 // HEKAX Phone - Voice Preview Routes
-// Generate voice previews using OpenAI TTS
+// Generate voice previews with the same TTS engine callers hear
 // ============================================================================
 
 const express = require("express");
-const OpenAI = require("openai");
+const prisma = require("../lib/prisma");
 const { authMiddleware } = require("../middleware/auth.middleware");
+const { resolveTTSProvider, listTTSProviders, TTSProvider, AudioFormat } = require("../services/tts");
 
 const router = express.Router();
 
@@ -13,57 +14,84 @@ const router = express.Router();
 const voiceCache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
+/**
+ * Organization fields needed to pick a TTS provider
+ */
+function getVoiceOrganization(organizationId) {
+  return prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: {
+      voiceProvider: true,
+      byoKeysEnabled: true,
+      byoOpenaiKey: true,
+      byoElevenlabsKey: true,
+    },
+  });
+}
+
+/**
+ * GET /api/voice/providers
+ * List TTS providers, their voices and whether they can be used
+ */
+router.get("/providers", authMiddleware, async (req, res) => {
+  try {
+    const org = await getVoiceOrganization(req.organizationId);
+
+    res.json({
+      current: org?.voiceProvider || TTSProvider.OPENAI,
+      providers: listTTSProviders(org),
+    });
+  } catch (err) {
+    console.error("❌ GET /api/voice/providers error:", err);
+    res.status(500).json({ error: "Failed to get voice providers" });
+  }
+});
+
 /**
  * POST /api/voice/preview
- * Generate a voice preview using OpenAI TTS
+ * Generate a voice preview with the organization's TTS provider
+ * (or the provider in the body, so unsaved settings can be previewed)
  */
 router.post("/preview", authMiddleware, async (req, res) => {
   try {
-    const { voiceId, text } = req.body;
-    console.log("🎙️ Voice preview request:", { voiceId, text: text?.substring(0, 50) });
+    const { voiceId, text, provider } = req.body;
+    console.log("🎙️ Voice preview request:", { voiceId, provider, text: text?.substring(0, 50) });
 
     if (!voiceId) {
       return res.status(400).json({ error: "Voice ID required" });
     }
+    if (provider && !Object.values(TTSProvider).includes(provider)) {
+      return res.status(400).json({ error: "Invalid voice provider" });
+    }
 
     const previewText = text || "Hi, thank you for calling. How may I help you today?";
 
+    const org = await getVoiceOrganization(req.organizationId);
+    const tts = resolveTTSProvider(org, { provider });
+
     // Check cache
-    const cacheKey = `${voiceId}-${previewText}`;
+    const cacheKey = `${tts.name}-${voiceId}-${previewText}`;
     const cached = voiceCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
       console.log("✅ Returning cached voice preview for:", voiceId);
       return res.json({ audioUrl: cached.audioUrl });
     }
 
-    // Validate voice ID (OpenAI voices - includes all available TTS voices)
-    const validVoices = ["alloy", "echo", "fable", "onyx", "nova", "shimmer", "sage"];
-    if (!validVoices.includes(voiceId)) {
-      console.error("❌ Invalid voice ID:", voiceId);
+    if (!tts.isValidVoice(voiceId)) {
+      console.error("❌ Invalid voice ID:", voiceId, "for", tts.name);
       return res.status(400).json({ error: "Invalid voice ID" });
     }
 
-    const { OPENAI_API_KEY } = process.env;
-    if (!OPENAI_API_KEY) {
-      console.error("❌ OpenAI API key not configured");
-      return res.status(500).json({ error: "OpenAI not configured" });
-    }
-
-    console.log("🔄 Generating voice preview with OpenAI TTS...");
-    const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-    // Generate speech
-    const mp3 = await openai.audio.speech.create({
-      model: "tts-1",
+    console.log(`🔄 Generating voice preview with ${tts.label} TTS...`);
+    const { audio, contentType } = await tts.synthesize(previewText, {
       voice: voiceId,
-      input: previewText,
+      format: AudioFormat.MP3,
     });
 
     // Convert to base64 data URL
-    const buffer = Buffer.from(await mp3.arrayBuffer());
-    const audioUrl = `data:audio/mpeg;base64,${buffer.toString("base64")}`;
+    const audioUrl = `data:${contentType};base64,${audio.toString("base64")}`;
 
-    console.log("✅ Voice preview generated, size:", buffer.length, "bytes");
+    console.log("✅ Voice preview generated, size:", audio.length, "bytes");
 
     // Cache the result
     voiceCache.set(cacheKey, {
@@ -87,17 +115,17 @@ router.post("/preview", authMiddleware, async (req, res) => {
     console.error("❌ Full error:", err);
 
     // Return more specific error messages
-    if (err.message?.includes("API key") || err.message?.includes("Incorrect API key")) {
-      return res.status(500).json({ error: "OpenAI API key invalid or missing" });
+    if (err.message?.includes("API key") || err.message?.includes("Incorrect API key") || err.message?.includes("(401)")) {
+      return res.status(500).json({ error: "Voice provider API key invalid or missing" });
     }
-    if (err.message?.includes("rate limit") || err.code === "rate_limit_exceeded") {
+    if (err.message?.includes("rate limit") || err.code === "rate_limit_exceeded" || err.message?.includes("(429)")) {
       return res.status(429).json({ error: "Rate limit exceeded, try again later" });
     }
     if (err.message?.includes("insufficient_quota") || err.code === "insufficient_quota") {
-      return res.status(402).json({ error: "OpenAI quota exceeded" });
+      return res.status(402).json({ error: "Voice provider quota exceeded" });
     }
     if (err.code === "ENOTFOUND" || err.code === "ECONNREFUSED") {
-      return res.status(503).json({ error: "Cannot connect to OpenAI service" });
+      return res.status(503).json({ error: "Cannot connect to voice provider" });
     }
 
     res.status(500).json({ error: "Failed to generate voice preview" });
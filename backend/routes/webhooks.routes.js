@@ -0,0 +1,233 @@
+// ============================================================================
+// HEKAX Phone - Webhook Subscription Routes
+// Manage signed event webhooks, their delivery log, redelivery and test pings
+// ============================================================================
+
+const express = require("express");
+const { authMiddleware, requireRole } = require("../middleware/auth.middleware");
+const { createAuditLog } = require("../middleware/audit.middleware");
+const webhookService = require("../services/webhook.service");
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ["PENDING", "RETRYING", "SUCCEEDED", "DEAD"];
+
+router.use(authMiddleware, requireRole("OWNER", "ADMIN"));
+
+/**
+ * Load the subscription in :id for this organization (404 when missing)
+ */
+async function loadSubscription(req, res) {
+  const subscription = await webhookService.getSubscription(req.organizationId, req.params.id);
+  if (!subscription) {
+    res.status(404).json({ error: "Webhook subscription not found" });
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * GET /api/webhooks
+ * Subscriptions and the events they can choose from
+ */
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions(req.organizationId);
+    res.json({
+      subscriptions,
+      availableEvents: webhookService.availableEvents(),
+      maxAttempts: webhookService.MAX_ATTEMPTS,
+    });
+  } catch (err) {
+    console.error("❌ GET /api/webhooks error:", err);
+    res.status(500).json({ error: "Failed to get webhook subscriptions" });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a subscription. The signing secret is only returned here.
+ * Body: { url, events: [...] | ["*"], description? }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { data, secret, error } = await webhookService.createSubscription(req.organizationId, req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await createAuditLog({
+      actorType: "user",
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      action: "webhook.create",
+      entityType: "webhook_subscription",
+      entityId: data.id,
+      newValues: { url: data.url, events: data.events },
+      organizationId: req.organizationId,
+    });
+
+    res.status(201).json({ subscription: data, secret });
+  } catch (err) {
+    console.error("❌ POST /api/webhooks error:", err);
+    res.status(500).json({ error: "Failed to create webhook subscription" });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * One delivery with its request and response bodies
+ */
+router.get("/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.organizationId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json({ delivery });
+  } catch (err) {
+    console.error("❌ GET /api/webhooks/deliveries/:deliveryId error:", err);
+    res.status(500).json({ error: "Failed to get delivery" });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again (logged as a new delivery with the same event id)
+ */
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.organizationId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const redelivery = await webhookService.redeliver(delivery);
+    res.json({ delivery: redelivery });
+  } catch (err) {
+    console.error("❌ POST /api/webhooks/deliveries/:deliveryId/redeliver error:", err);
+    res.status(500).json({ error: "Failed to redeliver" });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update url, events, description or enabled
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const { data, error } = await webhookService.updateSubscription(subscription, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ subscription: data });
+  } catch (err) {
+    console.error("❌ PATCH /api/webhooks/:id error:", err);
+    res.status(500).json({ error: "Failed to update webhook subscription" });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription and its delivery log
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await webhookService.deleteSubscription(subscription);
+
+    await createAuditLog({
+      actorType: "user",
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      action: "webhook.delete",
+      entityType: "webhook_subscription",
+      entityId: subscription.id,
+      oldValues: { url: subscription.url, events: subscription.events },
+      organizationId: req.organizationId,
+    });
+
+    res.json({ message: "Webhook subscription deleted" });
+  } catch (err) {
+    console.error("❌ DELETE /api/webhooks/:id error:", err);
+    res.status(500).json({ error: "Failed to delete webhook subscription" });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret (returned once)
+ */
+router.post("/:id/rotate-secret", async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const secret = await webhookService.rotateSecret(subscription);
+
+    await createAuditLog({
+      actorType: "user",
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      action: "webhook.rotate_secret",
+      entityType: "webhook_subscription",
+      entityId: subscription.id,
+      organizationId: req.organizationId,
+    });
+
+    res.json({ secret });
+  } catch (err) {
+    console.error("❌ POST /api/webhooks/:id/rotate-secret error:", err);
+    res.status(500).json({ error: "Failed to rotate secret" });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook:ping event and return the delivery result
+ */
+router.post("/:id/test", async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const delivery = await webhookService.sendTestPing(subscription);
+    res.json({ delivery });
+  } catch (err) {
+    console.error("❌ POST /api/webhooks/:id/test error:", err);
+    res.status(500).json({ error: "Failed to send test ping" });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first (?status=&cursor=&limit=)
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+    }
+
+    const result = await webhookService.listDeliveries(subscription.id, {
+      status,
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (err) {
+    console.error("❌ GET /api/webhooks/:id/deliveries error:", err);
+    res.status(500).json({ error: "Failed to get deliveries" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// ============================================================================
+// Backfill voiceProvider for organizations created before TTS engines
+// The column used to default to "elevenlabs" while every call spoke with an
+// OpenAI voice. Run once after `prisma db push`:
+//   node scripts/backfill-voice-provider.js
+// ============================================================================
+
+const { PrismaClient } = require("@prisma/client");
+const OpenAITTSProvider = require("../services/tts/providers/openai");
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const openaiVoices = new OpenAITTSProvider().voices.map((voice) => voice.id);
+
+  // Orgs on the old default whose voice is an OpenAI one (or unset). Orgs
+  // that picked an ElevenLabs voice since have an ElevenLabs voiceId.
+  const result = await prisma.organization.updateMany({
+    where: {
+      voiceProvider: "elevenlabs",
+      OR: [{ voiceId: null }, { voiceId: { in: openaiVoices } }],
+    },
+    data: { voiceProvider: "openai" },
+  });
+
+  console.log(`✅ Moved ${result.count} organizations back to OpenAI voices`);
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Error:", e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
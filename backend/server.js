@@ -303,6 +303,22 @@ try {
   const routingRoutes = require("./routes/routing.routes");
   app.use("/api/routing", routingRoutes);
 
+  // Call queue routes
+  const queuesRoutes = require("./routes/queues.routes");
+  app.use("/api/queues", queuesRoutes);
+
+  // Outbound AI calling campaigns
+  const campaignsRoutes = require("./routes/campaigns.routes");
+  app.use("/api/campaigns", campaignsRoutes);
+
+  // Do-not-contact registry
+  const doNotContactRoutes = require("./routes/do-not-contact.routes");
+  app.use("/api/do-not-contact", doNotContactRoutes);
+
+  // Webhook subscriptions
+  const webhooksRoutes = require("./routes/webhooks.routes");
+  app.use("/api/webhooks", webhooksRoutes);
+
   // Analytics routes
   const analyticsRoutes = require("./routes/analytics.routes");
   app.use("/api/analytics", analyticsRoutes);
@@ -328,6 +344,15 @@ try {
   console.error("❌ API routes error:", err);
 }
 
+// Public API (organization API keys)
+try {
+  const v1Routes = require("./routes/v1.routes");
+  app.use("/v1", v1Routes);
+  console.log("✅ Public API v1 routes loaded");
+} catch (err) {
+  console.error("❌ Public API v1 routes error:", err);
+}
+
 // Twilio routes
 try {
   const twilioRoutes = require("./routes/twilio.routes");
@@ -352,9 +377,12 @@ app.get("/token", authMiddleware, async (req, res) => {
     // This allows transfers to find the registered client
     const org = await prisma.organization.findUnique({
       where: { id: req.organizationId },
-      select: { slug: true }
+      select: { id: true, slug: true }
     });
-    const identity = org?.slug ? `${org.slug}-web` : `${req.organizationId}-web`;
+    // ?scope=agent: this user's own identity, rung by call queues
+    const identity = req.query.scope === "agent"
+      ? require("./services/queue.service").agentClientIdentity(org || { id: req.organizationId }, req.user.id)
+      : org?.slug ? `${org.slug}-web` : `${req.organizationId}-web`;
 
     const result = await twilioService.generateAccessToken(
       req.organizationId,
@@ -364,6 +392,11 @@ app.get("/token", authMiddleware, async (req, res) => {
   } catch (err) {
     console.error("❌ Token generation error:", err);
 
+    // Only the organization identity has a fallback
+    if (req.query.scope === "agent") {
+      return res.status(500).json({ error: "Failed to generate agent token" });
+    }
+
     const {
       TWILIO_ACCOUNT_SID,
       TWILIO_API_KEY,
@@ -409,6 +442,7 @@ app.get("/token", authMiddleware, async (req, res) => {
 // ============================================================================
 
 const { verifyAccessToken } = require("./middleware/auth.middleware");
+const realtimeService = require("./services/realtime.service");
 
 // Handle WebSocket upgrade with authentication
 server.on("upgrade", async (request, socket, head) => {
@@ -449,6 +483,12 @@ server.on("upgrade", async (request, socket, head) => {
 
 // WebSocket connection handler
 wss.on("connection", (ws, req) => {
+  // Authenticated dashboard clients get live call/queue updates
+  if (req.organizationId) {
+    realtimeService.registerConnection(req.organizationId, ws);
+    return;
+  }
+
   console.log("🎙️ New Media Stream WebSocket connected");
 
   let streamSid = null;
@@ -474,14 +514,34 @@ wss.on("connection", (ws, req) => {
           const fromNumber = custom.callerNumber || custom.from || null;
           const toNumber = custom.calledNumber || custom.to || null;
 
-          // Find organization by phone number
+          // Find organization (routing passes its id; fall back to the called number)
           let organization = null;
-          if (toNumber) {
-            organization = await prisma.organization.findFirst({
-              where: { twilioNumber: toNumber },
+          if (custom.organizationId) {
+            organization = await prisma.organization.findUnique({
+              where: { id: custom.organizationId },
             });
-            console.log("🏢 Organization:", organization?.name || "Default");
           }
+          if (!organization && toNumber) {
+            const phoneRecord = await prisma.phoneNumber.findFirst({
+              where: { number: toNumber },
+              include: { organization: true },
+            });
+            organization =
+              phoneRecord?.organization ||
+              (await prisma.organization.findFirst({
+                where: { twilioNumber: toNumber },
+              }));
+          }
+          console.log("🏢 Organization:", organization?.name || "Default");
+
+          // The matched route's AI overrides (personality, instructions)
+          const callRoute =
+            organization && custom.callRouteId
+              ? await prisma.callRoute.findFirst({
+                  where: { id: custom.callRouteId, organizationId: organization.id },
+                  select: { aiPersonality: true, aiSystemPrompt: true },
+                })
+              : null;
 
           // Initialize AI Receptionist
           if (AIReceptionist) {
@@ -494,6 +554,7 @@ wss.on("connection", (ws, req) => {
               toNumber,
               customParameters: custom,
               organization,
+              callRoute,
             });
             await aiReceptionist.initialize();
           }
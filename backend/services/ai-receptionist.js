@@ -4,27 +4,27 @@
 // ============================================================================
 
 require("dotenv").config();
-const OpenAI = require("openai");
 const WebSocket = require("ws");
 const twilio = require("twilio");
 const EventEmitter = require("events");
 const { CalendarService } = require("./calendar");
 const { CRMService } = require("./crm");
 const { emit: emitAutomation, EVENTS: AutomationEvents } = require("./automation.service");
-
-// ============================================================================
-// VOICE OPTIONS (OpenAI TTS)
-// ============================================================================
-const VOICE_OPTIONS = {
-  nova: { name: "Nova", description: "Calm & professional" },
-  sage: { name: "Sage", description: "Warm & wise" },
-  alloy: { name: "Alloy", description: "Neutral & balanced" },
-  echo: { name: "Echo", description: "Friendly & warm" },
-  onyx: { name: "Onyx", description: "Deep & authoritative" },
-  shimmer: { name: "Shimmer", description: "Soft & gentle" },
-};
-
-const DEFAULT_VOICE = "nova";
+const trainingService = require("./training.service");
+const languageService = require("./language.service");
+const { resolveTTSProvider, AudioFormat, SentenceSegmenter, splitSentences } = require("./tts");
+const {
+  resolveCredentials,
+  createOpenAIClient,
+  createByoTwilioClient,
+} = require("./credentials.service");
+const { enqueueAnalysis } = require("./call-analysis.service");
+const dispositionService = require("./disposition.service");
+const leadService = require("./lead.service");
+const campaignService = require("./campaign.service");
+const bookingService = require("./booking.service");
+const appointmentTypeService = require("./appointment-type.service");
+const { isValidTimezone } = require("../lib/timezone");
 
 // ============================================================================
 // HOLD MUSIC URL (royalty-free)
@@ -35,9 +35,8 @@ const HOLD_MUSIC_URL = "http://com.twilio.sounds.music.s3.amazonaws.com/MARKOVIC
 // DEEPGRAM CONFIGURATION
 // ============================================================================
 const DEEPGRAM_URL = "wss://api.deepgram.com/v1/listen";
+// model/language are set per call (see languageService.getDeepgramLanguageOptions)
 const DEEPGRAM_OPTIONS = {
-  model: "nova-2",
-  language: "en-US",
   smart_format: true,
   encoding: "mulaw",
   sample_rate: 8000,
@@ -49,6 +48,54 @@ const DEEPGRAM_OPTIONS = {
   endpointing: 300,
 };
 
+// ============================================================================
+// AI SETTINGS (Organization config, clamped to safe ranges)
+// ============================================================================
+const AI_SETTINGS_DEFAULTS = {
+  model: "gpt-4o-mini",
+  temperature: 0.7,
+  maxTurns: 20,
+  maxCallDuration: 600,
+  personality: "professional",
+};
+
+// Start wrapping up when this close to a limit
+const WRAP_UP_TURNS = 2;
+const WRAP_UP_SECONDS = 60;
+
+// Tone guidance per personality preset (anything else is used as free text)
+const PERSONALITY_STYLES = {
+  professional: "Polished and efficient - courteous, clear and to the point",
+  formal: "Formal and respectful - no slang, address callers politely",
+  friendly: "Warm and casual - upbeat, approachable, like a helpful neighbor",
+  empathetic: "Calm and caring - acknowledge feelings before solving problems",
+  enthusiastic: "Energetic and positive - genuinely excited to help",
+  helpful: "Patient and thorough - make sure the caller leaves with what they need",
+};
+
+/**
+ * Resolve the AI configuration for a call
+ * The matched route's personality and instructions win over the organization's
+ * (the personality also arrives as a stream parameter)
+ */
+function resolveAISettings(organization, customParameters = {}, callRoute = null) {
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+  return {
+    model: organization?.aiModel || AI_SETTINGS_DEFAULTS.model,
+    temperature: clamp(organization?.aiTemperature, 0, 2, AI_SETTINGS_DEFAULTS.temperature),
+    maxTurns: clamp(organization?.maxTurns, 1, 200, AI_SETTINGS_DEFAULTS.maxTurns),
+    maxCallDuration: clamp(organization?.maxCallDuration, 60, 7200, AI_SETTINGS_DEFAULTS.maxCallDuration),
+    personality:
+      callRoute?.aiPersonality ||
+      customParameters.aiPersonality ||
+      organization?.personality ||
+      AI_SETTINGS_DEFAULTS.personality,
+    systemPrompt: callRoute?.aiSystemPrompt || organization?.systemPrompt || null,
+  };
+}
+
 // ============================================================================
 // CONVERSATION STATES (State Machine)
 // ============================================================================
@@ -90,12 +137,41 @@ const AI_FUNCTIONS = [
       required: ["reason"],
     },
   },
+  {
+    name: "check_availability",
+    description: "Find open appointment times. Use before booking and offer the caller these times instead of suggesting your own.",
+    parameters: {
+      type: "object",
+      properties: {
+        appointment_type: {
+          type: "string",
+          description: "Name of the appointment type the caller wants (from APPOINTMENT TYPES)",
+        },
+        date: {
+          type: "string",
+          description: "Earliest date the caller wants (e.g., 'tomorrow', 'next Monday', '2024-01-15'); omit for the soonest times",
+        },
+        timezone: {
+          type: "string",
+          description: "Caller's IANA timezone if they are in a different zone than ours (e.g., 'America/Chicago')",
+        },
+      },
+    },
+  },
   {
     name: "book_appointment",
-    description: "Book an appointment for the caller. Use when caller wants to schedule a meeting or appointment.",
+    description: "Book an appointment for the caller at a time they chose from check_availability. Use when caller wants to schedule a meeting or appointment.",
     parameters: {
       type: "object",
       properties: {
+        appointment_type: {
+          type: "string",
+          description: "Name of the appointment type (from APPOINTMENT TYPES)",
+        },
+        intake_answers: {
+          type: "object",
+          description: "Caller's answers to the type's intake questions, keyed by the question exactly as written",
+        },
         date: {
           type: "string",
           description: "Preferred date (e.g., 'tomorrow', 'next Monday', '2024-01-15')",
@@ -112,10 +188,64 @@ const AI_FUNCTIONS = [
           type: "number",
           description: "Duration in minutes (default: 30)",
         },
+        timezone: {
+          type: "string",
+          description: "Caller's IANA timezone if they give the time in a different zone than ours (e.g., 'America/Chicago')",
+        },
       },
       required: ["purpose"],
     },
   },
+  {
+    name: "find_appointments",
+    description: "List the caller's upcoming appointments. Use before rescheduling or cancelling one.",
+    parameters: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "reschedule_appointment",
+    description: "Move one of the caller's upcoming appointments. Call without a time first to get open times to offer.",
+    parameters: {
+      type: "object",
+      properties: {
+        appointment_id: {
+          type: "string",
+          description: "ID from find_appointments; omit when the caller has only one appointment",
+        },
+        date: {
+          type: "string",
+          description: "New date (e.g., 'tomorrow', 'next Monday', '2024-01-15')",
+        },
+        time: {
+          type: "string",
+          description: "New time the caller chose from the offered times (e.g., '2pm', '14:00')",
+        },
+        timezone: {
+          type: "string",
+          description: "Caller's IANA timezone if they give the time in a different zone than ours (e.g., 'America/Chicago')",
+        },
+      },
+    },
+  },
+  {
+    name: "cancel_appointment",
+    description: "Cancel one of the caller's upcoming appointments after they confirm which one.",
+    parameters: {
+      type: "object",
+      properties: {
+        appointment_id: {
+          type: "string",
+          description: "ID from find_appointments; omit when the caller has only one appointment",
+        },
+        reason: {
+          type: "string",
+          description: "Why the caller is cancelling, if they said",
+        },
+      },
+    },
+  },
   {
     name: "lookup_customer",
     description: "Look up customer information by phone number or name. Use to personalize the conversation.",
@@ -170,6 +300,19 @@ const AI_FUNCTIONS = [
       required: ["reason"],
     },
   },
+  {
+    name: "do_not_call",
+    description: "Stop calling this person. Only for outbound campaign calls, when they ask not to be called again.",
+    parameters: {
+      type: "object",
+      properties: {
+        reason: {
+          type: "string",
+          description: "What the person said",
+        },
+      },
+    },
+  },
   {
     name: "collect_info",
     description: "Mark that specific information has been collected from the caller.",
@@ -200,6 +343,7 @@ class AIReceptionist extends EventEmitter {
     toNumber,
     customParameters,
     organization,
+    callRoute,
   }) {
     super();
 
@@ -211,14 +355,34 @@ class AIReceptionist extends EventEmitter {
     this.toNumber = toNumber;
     this.organization = organization || null;
     this.orgName = organization?.name || "our company";
-    this.greeting = organization?.greeting || `Thank you for calling ${this.orgName}. How may I help you today?`;
+    this.customGreeting = organization?.greeting || null;
     this.customParameters = customParameters || {};
 
-    // Voice selection
-    this.voiceId = organization?.voiceId || DEFAULT_VOICE;
-    if (!VOICE_OPTIONS[this.voiceId]) {
-      this.voiceId = DEFAULT_VOICE;
-    }
+    // Outbound campaign calls (see campaign.service) - loaded in initialize()
+    this.direction = this.customParameters.direction === "outbound" ? "OUTBOUND" : "INBOUND";
+    this.campaign = null;
+    this.campaignLead = null;
+
+    // AI settings (model, temperature, limits, personality, custom prompt)
+    this.aiSettings = resolveAISettings(organization, this.customParameters, callRoute);
+
+    // Provider credentials (org BYO keys when enabled, platform keys otherwise)
+    this.credentials = resolveCredentials(organization);
+
+    // Voice selection (TTS engine from org voiceProvider + BYO keys)
+    this.tts = resolveTTSProvider(organization, { credentials: this.credentials });
+    this.voiceId = this.tts.resolveVoice(organization?.voiceId);
+
+    // =========================================================================
+    // LANGUAGE (org default, optionally switched by auto-detection)
+    // =========================================================================
+    this.language = languageService.normalizeLanguage(organization?.language);
+    this.autoDetectLanguage = !!organization?.autoDetectLanguage;
+    this.allowedLanguages = languageService.resolveAllowedLanguages(organization);
+    this.languageVoices = organization?.languageVoices || {};
+    this.languageDetected = false;
+    this.awaitingLanguageDetection = this.autoDetectLanguage;
+    this.applyLanguageVoice();
 
     // =========================================================================
     // STATE MANAGEMENT
@@ -227,9 +391,14 @@ class AIReceptionist extends EventEmitter {
     this.previousState = null;
     this.cleanedUp = false;
     this.transferredToHuman = false;
+    this.appointmentBooked = false;
     this.turnCount = 0;
-    this.maxTurns = 50;
+    this.maxTurns = this.aiSettings.maxTurns;
+    this.maxCallDuration = this.aiSettings.maxCallDuration;
     this.callStartTime = Date.now();
+    this.durationTimer = null;
+    this.durationLimitReached = false;
+    this.wrappingUp = false;
 
     // =========================================================================
     // BARGE-IN CONTROL
@@ -244,6 +413,15 @@ class AIReceptionist extends EventEmitter {
     this.interruptedText = "";
     this.speechStartedDuringSpeaking = false;
 
+    // =========================================================================
+    // STREAMING SPEECH + LATENCY (STT final → first audio byte)
+    // =========================================================================
+    this.activeSpeech = null;
+    this.speechId = 0;
+    this.turnStartedAt = null;
+    this.turnEntry = null;
+    this.responseLatencies = [];
+
     // =========================================================================
     // DEEPGRAM STREAMING STT
     // =========================================================================
@@ -252,6 +430,7 @@ class AIReceptionist extends EventEmitter {
     this.currentUtterance = "";
     this.lastFinalTranscript = "";
     this.transcriptBuffer = [];
+    this.reportedLanguage = null;
 
     // =========================================================================
     // CONVERSATION TRACKING
@@ -276,6 +455,14 @@ class AIReceptionist extends EventEmitter {
       customerRecord: null,
     };
 
+    // =========================================================================
+    // AI TRAINING (FAQs, scripts, custom responses, knowledge base)
+    // =========================================================================
+    this.trainingData = { scripts: [], responses: [] };
+    this.appointmentTypes = [];
+    this.callerBookings = null;
+    this.turnPassages = [];
+
     // =========================================================================
     // ORCHESTRATION
     // =========================================================================
@@ -286,8 +473,8 @@ class AIReceptionist extends EventEmitter {
     // =========================================================================
     // API CLIENTS
     // =========================================================================
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    this.twilioClient = twilio(
+    this.openai = createOpenAIClient(this.credentials);
+    this.twilioClient = createByoTwilioClient(this.credentials) || twilio(
       process.env.TWILIO_ACCOUNT_SID,
       process.env.TWILIO_AUTH_TOKEN
     );
@@ -312,18 +499,26 @@ class AIReceptionist extends EventEmitter {
   // ===========================================================================
   async initialize() {
     console.log("🤖 Initializing AI Receptionist v3.0 for:", this.orgName);
-    console.log("🎤 Voice:", this.voiceId, "| Barge-in: ENABLED | Functions: ENABLED");
+    console.log(`🎤 Voice: ${this.tts.name}/${this.voiceId}`, "| Barge-in: ENABLED | Functions: ENABLED");
+    console.log(
+      `🌐 Language: ${languageService.getLanguageName(this.language)}` +
+      (this.autoDetectLanguage ? ` | Auto-detect: ${this.allowedLanguages.join(", ")}` : "")
+    );
+    console.log(
+      `⚙️ AI settings: ${this.aiSettings.model} (temp ${this.aiSettings.temperature}) | ` +
+      `personality: ${this.aiSettings.personality} | limits: ${this.maxTurns} turns, ${this.maxCallDuration}s`
+    );
     this.setState(ConversationState.GREETING);
+    this.startDurationTimer();
 
     try {
       // Emit CALL_STARTED automation event
       if (this.organization?.id) {
-        emitAutomation(AutomationEvents.CALL_STARTED, {
-          organizationId: this.organization.id,
+        emitAutomation(AutomationEvents.CALL_STARTED, this.organization.id, {
           callSid: this.callSid,
           fromNumber: this.fromNumber,
           toNumber: this.toNumber,
-          direction: "INBOUND",
+          direction: this.direction,
           handledByAI: true,
         });
       }
@@ -331,13 +526,21 @@ class AIReceptionist extends EventEmitter {
       // Connect to Deepgram streaming STT
       await this.connectToDeepgram();
 
-      // Look up customer by phone number
-      await this.lookupCustomerByPhone();
+      // Look up customer by phone number and load the org's AI training
+      await Promise.all([
+        this.lookupCustomerByPhone(),
+        this.loadTrainingData(),
+        this.loadCampaign(),
+        this.loadAppointmentTypes(),
+      ]);
 
       // Personalized greeting if returning customer
-      let greetingText = this.greeting;
+      let greetingText = this.customGreeting || languageService.getPhrase(this.language, "greeting", this.orgName);
       if (this.callerInfo.isReturningCustomer && this.callerInfo.name) {
-        greetingText = `Welcome back, ${this.callerInfo.name}! Thank you for calling ${this.orgName}. How can I help you today?`;
+        greetingText = languageService.getPhrase(this.language, "welcomeBack", this.callerInfo.name, this.orgName);
+      }
+      if (this.campaign) {
+        greetingText = this.getCampaignGreeting();
       }
 
       // Small delay for audio stream to stabilize, then greet
@@ -347,10 +550,98 @@ class AIReceptionist extends EventEmitter {
       }, 800);
     } catch (error) {
       console.error("❌ Initialization error:", error.message);
-      await this.speak("Thank you for calling. Please hold.");
+      await this.speak(languageService.getPhrase(this.language, "hold"));
     }
   }
 
+  // ===========================================================================
+  // OUTBOUND CAMPAIGN
+  // ===========================================================================
+  async loadCampaign() {
+    const { campaignContactId } = this.customParameters;
+    if (!campaignContactId || !this.organization?.id) return;
+
+    try {
+      const contact = await this.prisma.callCampaignContact.findFirst({
+        where: { id: campaignContactId, campaign: { organizationId: this.organization.id } },
+        include: { campaign: true, lead: true },
+      });
+      if (!contact) return;
+
+      this.campaign = contact.campaign;
+      this.campaignLead = contact.lead;
+      console.log(`📣 Campaign call: ${this.campaign.name} → ${contact.lead.name}`);
+    } catch (err) {
+      console.error("⚠️ Campaign load error:", err.message);
+    }
+  }
+
+  getCampaignGreeting() {
+    if (this.campaign.greeting) {
+      return campaignService.renderCampaignText(this.campaign.greeting, {
+        lead: this.campaignLead,
+        organization: { name: this.orgName },
+      });
+    }
+
+    const name = this.campaignLead?.name;
+    const firstName = name && name !== "Unknown" ? ` ${name.split(" ")[0]}` : "";
+    return `Hi${firstName}, this is the virtual assistant calling from ${this.orgName}. Do you have a moment?`;
+  }
+
+  // ===========================================================================
+  // AI TRAINING DATA
+  // ===========================================================================
+  async loadTrainingData() {
+    if (!this.organization?.id) return;
+
+    try {
+      // Warm the FAQ/knowledge index so the first turn doesn't pay for the build
+      const [trainingData, knowledgeIndex] = await Promise.all([
+        trainingService.getActiveTrainingData(this.organization.id),
+        trainingService.getKnowledgeIndex(this.organization.id),
+      ]);
+      this.trainingData = trainingData;
+      console.log(
+        `📚 Training loaded: ${trainingData.scripts.length} scripts, ` +
+        `${trainingData.responses.length} custom responses, ${knowledgeIndex.size} knowledge passages`
+      );
+    } catch (error) {
+      console.error("❌ Training data load error:", error.message);
+    }
+  }
+
+  // ===========================================================================
+  // APPOINTMENT TYPES
+  // ===========================================================================
+  async loadAppointmentTypes() {
+    if (!this.organization?.id) return;
+
+    try {
+      this.appointmentTypes = await appointmentTypeService.listAppointmentTypes(this.organization.id, {
+        enabledOnly: true,
+      });
+    } catch (error) {
+      console.error("❌ Appointment types load error:", error.message);
+    }
+  }
+
+  getAppointmentTypePrompt() {
+    if (!this.appointmentTypes.length) return "";
+
+    const locale = this.getFormatRules(this.getBookingTimezone()).locale;
+    const lines = this.appointmentTypes.map((type) => {
+      const price = appointmentTypeService.formatPrice(type, locale);
+      const details = [`${type.duration} min`, price].filter(Boolean).join(", ");
+      const questions = type.intakeQuestions.length
+        ? ` Ask before booking: ${type.intakeQuestions.map((q) => `"${q}"`).join(" ")}`
+        : "";
+      return `- ${type.name} (${details})${type.description ? `: ${type.description}` : ""}.${questions}`;
+    });
+
+    return `\n\nAPPOINTMENT TYPES (pass the name as appointment_type, answers to the questions as intake_answers):\n${lines.join("\n")}`;
+  }
+
   // ===========================================================================
   // CUSTOMER LOOKUP (CRM Integration)
   // ===========================================================================
@@ -398,42 +689,47 @@ class AIReceptionist extends EventEmitter {
   // ===========================================================================
   async connectToDeepgram() {
     return new Promise((resolve, reject) => {
-      const apiKey = process.env.DEEPGRAM_API_KEY;
+      const apiKey = this.credentials.deepgram?.apiKey;
       if (!apiKey) {
-        console.error("❌ DEEPGRAM_API_KEY not found in environment");
+        console.error("❌ No Deepgram API key (BYO or DEEPGRAM_API_KEY)");
         reject(new Error("Missing Deepgram API key"));
         return;
       }
 
-      const params = new URLSearchParams(DEEPGRAM_OPTIONS).toString();
+      const languageOptions = languageService.getDeepgramLanguageOptions(this.language, {
+        autoDetect: this.awaitingLanguageDetection,
+      });
+      const params = new URLSearchParams({ ...DEEPGRAM_OPTIONS, ...languageOptions }).toString();
       const url = `${DEEPGRAM_URL}?${params}`;
 
-      console.log("🎙️ Connecting to Deepgram...");
+      console.log(`🎙️ Connecting to Deepgram (${languageOptions.model}, ${languageOptions.language})...`);
 
-      this.deepgramWs = new WebSocket(url, {
+      const ws = new WebSocket(url, {
         headers: {
           Authorization: `Token ${apiKey}`,
         },
       });
+      this.deepgramWs = ws;
 
-      this.deepgramWs.on("open", () => {
+      ws.on("open", () => {
         console.log("✅ Deepgram connected");
         this.deepgramReady = true;
         resolve();
       });
 
-      this.deepgramWs.on("message", (data) => {
+      ws.on("message", (data) => {
         this.handleDeepgramMessage(data);
       });
 
-      this.deepgramWs.on("error", (error) => {
+      // Ignore events from a connection replaced by a language switch
+      ws.on("error", (error) => {
         console.error("❌ Deepgram error:", error.message);
-        this.deepgramReady = false;
+        if (this.deepgramWs === ws) this.deepgramReady = false;
       });
 
-      this.deepgramWs.on("close", (code, reason) => {
+      ws.on("close", (code, reason) => {
         console.log("📴 Deepgram disconnected:", code, reason?.toString());
-        this.deepgramReady = false;
+        if (this.deepgramWs === ws) this.deepgramReady = false;
       });
 
       setTimeout(() => {
@@ -493,6 +789,9 @@ class AIReceptionist extends EventEmitter {
         }
 
         if (isFinal) {
+          if (alt.languages?.length) {
+            this.reportedLanguage = alt.languages[0];
+          }
           this.currentUtterance += (this.currentUtterance ? " " : "") + transcript;
           console.log(`📝 Interim: "${this.currentUtterance}"`);
 
@@ -524,6 +823,12 @@ class AIReceptionist extends EventEmitter {
       }));
     }
 
+    // Drop any sentences still being synthesized or queued
+    if (this.activeSpeech) {
+      this.activeSpeech.cancelled = true;
+      this.activeSpeech = null;
+    }
+
     // Reset state
     this.isSpeaking = false;
     this.currentAudioChunks = [];
@@ -551,24 +856,93 @@ class AIReceptionist extends EventEmitter {
       return;
     }
 
+    if (this.wrappingUp) {
+      console.log("⚠️ Call wrapping up, ignoring");
+      return;
+    }
+
     // If this was a barge-in, include the interrupted context
     if (this.bargeInTriggered) {
       console.log("🔄 Processing barge-in input");
       this.bargeInTriggered = false;
     }
 
+    if (this.awaitingLanguageDetection) {
+      await this.detectCallerLanguage(text);
+    }
+
     console.log("🎤 Caller:", text);
-    this.transcript.push({
+    this.turnStartedAt = Date.now();
+    this.turnEntry = {
       role: "user",
       content: text,
       timestamp: new Date().toISOString(),
       wasBargeIn: this.speechStartedDuringSpeaking,
-    });
+    };
+    this.transcript.push(this.turnEntry);
 
     this.speechStartedDuringSpeaking = false;
     await this.processUserInput(text);
   }
 
+  // ===========================================================================
+  // LANGUAGE DETECTION - First utterance decides STT, LLM and TTS language
+  // ===========================================================================
+  async detectCallerLanguage(text) {
+    this.awaitingLanguageDetection = false;
+
+    // Prefer the language Deepgram heard; fall back to the transcript's words
+    const reported = this.reportedLanguage && languageService.normalizeLanguage(this.reportedLanguage);
+    const detected = reported && this.allowedLanguages.includes(reported)
+      ? reported
+      : languageService.detectLanguage(text, this.allowedLanguages)?.language;
+
+    if (detected && detected !== this.language) {
+      await this.switchLanguage(detected);
+    } else {
+      // Lock STT to the known language - multilingual mode is less accurate
+      console.log(`🌐 Caller language: ${languageService.getLanguageName(this.language)}`);
+      await this.reconnectDeepgram();
+    }
+    this.languageDetected = !!detected;
+  }
+
+  async switchLanguage(language) {
+    const previous = this.language;
+    this.language = language;
+    this.applyLanguageVoice();
+    console.log(`🌐 Switching language: ${previous} → ${language} (voice: ${this.voiceId})`);
+    await this.reconnectDeepgram();
+  }
+
+  /**
+   * Use the organization's voice for this language, if one is configured
+   */
+  applyLanguageVoice() {
+    const voice = this.languageVoices[this.language];
+    if (voice && this.tts.isValidVoice(voice)) {
+      this.voiceId = voice;
+    }
+  }
+
+  async reconnectDeepgram() {
+    const previous = this.deepgramWs;
+    this.deepgramReady = false;
+    if (previous) {
+      try {
+        previous.removeAllListeners("message");
+        previous.send(JSON.stringify({ type: "CloseStream" }));
+        previous.close();
+      } catch (e) {}
+    }
+
+    try {
+      await this.connectToDeepgram();
+    } catch (err) {
+      console.error("❌ Deepgram reconnect error:", err.message);
+    }
+  }
+
   // ===========================================================================
   // AUDIO HANDLING - Send to Deepgram (Always, even during speech for barge-in)
   // ===========================================================================
@@ -592,8 +966,8 @@ class AIReceptionist extends EventEmitter {
     this.turnCount++;
 
     if (this.turnCount > this.maxTurns) {
-      await this.speak("Thank you for your time. I'll make sure your information is passed to our team. Have a great day!");
       this.isProcessing = false;
+      await this.endCallGracefully("turn");
       return;
     }
 
@@ -604,41 +978,25 @@ class AIReceptionist extends EventEmitter {
       // Analyze sentiment
       this.analyzeSentiment(userText);
 
-      // Generate AI response with function calling
-      console.log("🧠 Generating response with functions...");
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: this.getSystemPrompt() },
-          ...this.conversationHistory,
-        ],
-        tools: AI_FUNCTIONS.map(fn => ({
-          type: "function",
-          function: fn,
-        })),
-        tool_choice: "auto",
-        max_tokens: 300,
-        temperature: 0.7,
-      });
-
-      const message = response.choices[0].message;
-
-      // Handle function calls
-      if (message.tool_calls && message.tool_calls.length > 0) {
-        await this.handleFunctionCalls(message.tool_calls, userText);
-      } else {
-        // Regular text response
-        const reply = message.content || "I apologize, could you please repeat that?";
-        console.log("🤖 AI reply:", reply);
+      // Custom responses answer directly without the LLM
+      const customResponse = trainingService.matchCustomResponse(
+        this.trainingData.responses,
+        userText
+      );
+      if (customResponse) {
+        console.log(`📚 Custom response matched (${customResponse.matchType}):`, customResponse.triggerPhrase);
 
-        this.conversationHistory.push({ role: "assistant", content: reply });
+        this.conversationHistory.push({ role: "assistant", content: customResponse.response });
         this.transcript.push({
           role: "assistant",
-          content: reply,
+          content: customResponse.response,
           timestamp: new Date().toISOString(),
+          sources: [{ type: "custom_response", id: customResponse.id, title: customResponse.triggerPhrase }],
         });
 
-        await this.speak(reply);
+        await this.speak(customResponse.response);
+      } else {
+        await this.generateResponse(userText);
       }
 
       // Process any buffered transcripts from barge-in
@@ -650,13 +1008,120 @@ class AIReceptionist extends EventEmitter {
 
     } catch (error) {
       console.error("❌ Process error:", error.message);
-      await this.speak("I apologize, could you please repeat that?");
+      await this.speak(languageService.getPhrase(this.language, "repeat"));
     } finally {
       this.isProcessing = false;
       if (this.state === ConversationState.PROCESSING) {
         this.setState(ConversationState.LISTENING);
       }
     }
+
+    // Duration limit hit mid-turn - wrap up now that the answer is out
+    if (this.durationLimitReached) {
+      await this.endCallGracefully("duration");
+    }
+  }
+
+  // ===========================================================================
+  // LLM RESPONSE (training-aware prompt + function calling)
+  // ===========================================================================
+  async generateResponse(userText) {
+    // Retrieve the FAQ/knowledge passages relevant to this turn
+    this.turnPassages = await trainingService.retrieveRelevant(this.organization?.id, userText);
+
+    // Stream the AI response (speaking sentence by sentence) with function calling
+    console.log("🧠 Generating response with functions...");
+    const { content, toolCalls, interrupted } = await this.streamResponse({
+      model: this.aiSettings.model,
+      messages: [
+        { role: "system", content: this.getSystemPrompt() },
+        ...this.conversationHistory,
+      ],
+      tools: AI_FUNCTIONS
+        .filter(fn => fn.name !== "do_not_call" || this.campaign)
+        .map(fn => ({
+          type: "function",
+          function: fn,
+        })),
+      tool_choice: "auto",
+      max_tokens: 300,
+      temperature: this.aiSettings.temperature,
+    });
+
+    // Handle function calls
+    if (toolCalls.length > 0) {
+      await this.handleFunctionCalls(toolCalls, userText);
+      return;
+    }
+
+    // Regular text response (already spoken while streaming)
+    if (!content) {
+      const fallback = languageService.getPhrase(this.language, "repeat");
+      this.conversationHistory.push({ role: "assistant", content: fallback });
+      await this.speak(fallback);
+      return;
+    }
+
+    console.log("🤖 AI reply:", content, interrupted ? "(interrupted)" : "");
+    this.conversationHistory.push({ role: "assistant", content });
+    this.transcript.push({
+      role: "assistant",
+      content,
+      timestamp: new Date().toISOString(),
+      sources: trainingService.toSourceEntries(this.turnPassages),
+      ...(interrupted && { interrupted: true }),
+    });
+  }
+
+  /**
+   * Stream a chat completion, speaking each sentence as soon as it's complete
+   * Stops generating if the caller barges in
+   * @returns {{ content: string, toolCalls: object[], interrupted: boolean }}
+   */
+  async streamResponse(params) {
+    const stream = await this.openai.chat.completions.create({ ...params, stream: true });
+    const segmenter = new SentenceSegmenter();
+    const toolCalls = [];
+    let content = "";
+    let speech = null;
+
+    const say = (sentence) => {
+      if (!speech) speech = this.startSpeech();
+      this.queueSpeech(speech, sentence);
+    };
+
+    for await (const chunk of stream) {
+      // Breaking out aborts the HTTP request
+      if (speech?.cancelled) break;
+
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        segmenter.push(delta.content).forEach(say);
+      }
+
+      // Tool call names/arguments arrive in fragments keyed by index
+      for (const part of delta.tool_calls || []) {
+        if (!toolCalls[part.index]) {
+          toolCalls[part.index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+        }
+        const call = toolCalls[part.index];
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    }
+
+    if (!speech?.cancelled) {
+      segmenter.flush().forEach(say);
+    }
+    const completed = speech ? await this.finishSpeech(speech) : true;
+
+    return {
+      content: content.trim(),
+      toolCalls: toolCalls.filter(Boolean),
+      interrupted: !completed,
+    };
   }
 
   // ===========================================================================
@@ -684,13 +1149,33 @@ class AIReceptionist extends EventEmitter {
           responseText = "I'll connect you with a team member right away. Please hold.";
           break;
 
+        case "check_availability":
+          result = await this.executeCheckAvailability(args);
+          responseText = result.message;
+          break;
+
         case "book_appointment":
           result = await this.executeBookAppointment(args);
           responseText = result.success
-            ? `I've noted your appointment request for ${args.purpose}. ${result.message}`
+            ? `I've noted your appointment request for ${args.purpose || args.appointment_type}. ${result.message}`
             : `I'd be happy to help schedule that. ${result.message}`;
           break;
 
+        case "find_appointments":
+          result = await this.executeFindAppointments();
+          responseText = result.message;
+          break;
+
+        case "reschedule_appointment":
+          result = await this.executeRescheduleAppointment(args);
+          responseText = result.message;
+          break;
+
+        case "cancel_appointment":
+          result = await this.executeCancelAppointment(args);
+          responseText = result.message;
+          break;
+
         case "lookup_customer":
           result = await this.executeLookupCustomer(args);
           responseText = result.found
@@ -708,6 +1193,11 @@ class AIReceptionist extends EventEmitter {
           responseText = "Thank you for calling. Have a wonderful day!";
           break;
 
+        case "do_not_call":
+          result = await this.executeDoNotCall(args);
+          responseText = "I understand, we won't call you again. Have a good day!";
+          break;
+
         case "collect_info":
           result = this.executeCollectInfo(args);
           responseText = null; // Silent action, AI should provide its own response
@@ -730,18 +1220,22 @@ class AIReceptionist extends EventEmitter {
         content: JSON.stringify(result),
       });
 
-      // Get AI's follow-up response after function execution
-      const followUp = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      // Get AI's follow-up response after function execution (streamed)
+      const followUp = await this.streamResponse({
+        model: this.aiSettings.model,
         messages: [
           { role: "system", content: this.getSystemPrompt() },
           ...this.conversationHistory,
         ],
         max_tokens: 150,
-        temperature: 0.7,
+        temperature: this.aiSettings.temperature,
       });
 
-      const followUpText = followUp.choices[0].message.content || responseText;
+      // Fall back to the canned line if the model said nothing
+      if (!followUp.content && responseText) {
+        await this.speak(responseText);
+      }
+      const followUpText = followUp.content || responseText;
 
       if (followUpText) {
         console.log("🤖 AI follow-up:", followUpText);
@@ -751,9 +1245,8 @@ class AIReceptionist extends EventEmitter {
           content: followUpText,
           timestamp: new Date().toISOString(),
           functionCalled: functionName,
+          ...(followUp.interrupted && { interrupted: true }),
         });
-
-        await this.speak(followUpText);
       }
 
       // Handle state changes
@@ -765,6 +1258,11 @@ class AIReceptionist extends EventEmitter {
       if (functionName === "end_call") {
         return;
       }
+
+      if (functionName === "do_not_call") {
+        await this.hangUp();
+        return;
+      }
     }
   }
 
@@ -781,8 +1279,7 @@ class AIReceptionist extends EventEmitter {
 
     // Emit CALL_TRANSFERRED automation event
     if (this.organization?.id) {
-      emitAutomation(AutomationEvents.CALL_TRANSFERRED, {
-        organizationId: this.organization.id,
+      emitAutomation(AutomationEvents.CALL_TRANSFERRED, this.organization.id, {
         callSid: this.callSid,
         fromNumber: this.fromNumber,
         reason: args.reason,
@@ -795,64 +1292,179 @@ class AIReceptionist extends EventEmitter {
     return { success: true, message: "Initiating transfer" };
   }
 
+  async executeCheckAvailability(args) {
+    console.log("📅 Executing check availability:", args);
+
+    const appointmentType = await this.resolveAppointmentType(args.appointment_type);
+    if (appointmentType === false) {
+      return this.unknownAppointmentType(args.appointment_type);
+    }
+
+    if (!this.organization?.id) {
+      return { success: false, message: "Someone from our team will reach out to find a time that works." };
+    }
+
+    try {
+      const timezone = this.getBookingTimezone(args.timezone);
+      const now = new Date();
+      const requested = args.date ? this.calendarService.parseDateTime(args.date, "0:00", timezone) : now;
+      const from = requested > now ? requested : now;
+
+      const slots = appointmentType
+        ? await this.calendarService.findNextTypeAvailable(this.organization.id, appointmentType, from)
+        : await this.calendarService.findNextAvailable(
+            await this.calendarService.getProvider(this.organization.id),
+            from,
+            args.duration || 30
+          );
+
+      const rules = this.getFormatRules(timezone);
+      const options = slots.map((slot) => bookingService.formatDateTime(slot.start, rules));
+      const forType = appointmentType ? ` for ${appointmentType.name}` : "";
+
+      return {
+        success: true,
+        appointmentType: appointmentType?.name,
+        slots: options,
+        message: options.length
+          ? `The next available times${forType} are ${options.join(", or ")}. Which works best?`
+          : `I don't see any openings${forType} in the next two weeks. Someone from our team will reach out.`,
+      };
+    } catch (error) {
+      console.error("⚠️ Availability check error:", error.message);
+      return { success: false, message: "I can't see the calendar right now. Someone from our team will confirm a time." };
+    }
+  }
+
+  /**
+   * Appointment type the caller asked for: the type, null when none was named,
+   * or false when the name doesn't match any of ours
+   */
+  async resolveAppointmentType(name) {
+    if (!name || !this.organization?.id) return null;
+
+    const type = await appointmentTypeService.findAppointmentType(this.organization.id, name);
+    if (type) return type;
+    return this.appointmentTypes.length ? false : null;
+  }
+
+  unknownAppointmentType(name) {
+    const names = this.appointmentTypes.map((t) => t.name);
+    return {
+      success: false,
+      appointmentTypes: names,
+      message: `We don't offer "${name}". We can book ${names.join(", or ")}. Which would you like?`,
+    };
+  }
+
   async executeBookAppointment(args) {
     console.log("📅 Executing book appointment:", args);
     this.setState(ConversationState.BOOKING_APPOINTMENT);
 
     this.callerInfo.appointmentDate = args.date;
     this.callerInfo.appointmentTime = args.time;
-    this.callerInfo.reason = args.purpose;
+    this.callerInfo.reason = args.purpose || args.appointment_type;
+
+    const appointmentType = await this.resolveAppointmentType(args.appointment_type);
+    if (appointmentType === false) {
+      this.setState(ConversationState.LISTENING);
+      return this.unknownAppointmentType(args.appointment_type);
+    }
 
     // Try to book via calendar integration
     if (this.organization?.id) {
       try {
-        // Parse the natural language date/time
-        const startTime = this.calendarService.parseDateTime(args.date, args.time);
-        const duration = args.duration || 30;
-        const endTime = new Date(startTime.getTime() + duration * 60000);
-
-        const calendarResult = await this.calendarService.bookAppointment(this.organization.id, {
-          title: `Call with ${this.callerInfo.name || "Caller"}`,
-          startTime,
-          endTime,
-          duration,
-          callerName: this.callerInfo.name || "Unknown Caller",
-          callerPhone: this.callerInfo.phone,
-          callerEmail: this.callerInfo.email,
-          purpose: args.purpose,
-          callSid: this.callSid,
-        });
+        if (!args.time) {
+          // No time agreed yet: offer real openings rather than guessing one
+          const availability = await this.executeCheckAvailability(args);
+          if (availability.success) {
+            this.setState(ConversationState.LISTENING);
+            return { ...availability, success: false, needsTime: true };
+          }
+        } else {
+          // Parse the natural language date/time as the caller said it
+          const timezone = this.getBookingTimezone(args.timezone);
+          const startTime = this.calendarService.parseDateTime(args.date, args.time, timezone);
+          const duration = appointmentType?.duration || args.duration || 30;
+          const endTime = new Date(startTime.getTime() + duration * 60000);
+
+          const appointment = {
+            title: `${appointmentType?.name || "Call"} with ${this.callerInfo.name || "Caller"}`,
+            startTime,
+            endTime,
+            duration,
+            callerName: this.callerInfo.name || "Unknown Caller",
+            callerPhone: this.callerInfo.phone,
+            callerEmail: this.callerInfo.email,
+            purpose: args.purpose,
+            callSid: this.callSid,
+          };
 
-        if (calendarResult.success) {
-          console.log("✅ Calendar booking created:", calendarResult.eventId);
+          const calendarResult = appointmentType
+            ? await this.calendarService.bookAppointmentType(this.organization.id, appointmentType, {
+                ...appointment,
+                intakeAnswers: args.intake_answers,
+              })
+            : await this.calendarService.bookAppointment(this.organization.id, appointment);
 
-          // Emit APPOINTMENT_BOOKED automation event
-          if (this.organization?.id) {
-            emitAutomation(AutomationEvents.APPOINTMENT_BOOKED, {
-              organizationId: this.organization.id,
+          if (calendarResult.success) {
+            console.log("✅ Calendar booking created:", calendarResult.eventId);
+            this.appointmentBooked = true;
+
+            // Emit APPOINTMENT_BOOKED automation event
+            if (this.organization?.id) {
+              emitAutomation(AutomationEvents.APPOINTMENT_BOOKED, this.organization.id, {
+                eventId: calendarResult.eventId,
+                eventLink: calendarResult.eventLink,
+                callerName: this.callerInfo.name,
+                callerPhone: this.callerInfo.phone,
+                purpose: args.purpose || appointmentType?.name,
+                appointmentType: appointmentType?.name,
+                staffId: calendarResult.staffId,
+                date: args.date,
+                time: args.time,
+                startTime: startTime.toISOString(),
+                timezone: calendarResult.timezone,
+                duration,
+                callSid: this.callSid,
+              });
+            }
+
+            this.setState(ConversationState.LISTENING);
+            const confirmed = bookingService.formatDateTime(startTime, this.getFormatRules(timezone));
+            const withStaff = calendarResult.staffName ? ` with ${calendarResult.staffName}` : "";
+            return {
+              success: true,
               eventId: calendarResult.eventId,
               eventLink: calendarResult.eventLink,
-              callerName: this.callerInfo.name,
-              callerPhone: this.callerInfo.phone,
-              purpose: args.purpose,
-              date: args.date,
-              time: args.time,
-              duration: args.duration || 30,
-              callSid: this.callSid,
-            });
+              message: `Your appointment${withStaff} is confirmed for ${confirmed}.`,
+            };
+          } else if (calendarResult.missingIntake) {
+            // Ask the type's remaining intake questions, then book again
+            this.setState(ConversationState.LISTENING);
+            return {
+              success: false,
+              missingIntake: calendarResult.missingIntake,
+              message: `Before I book that: ${calendarResult.missingIntake.join(" ")}`,
+            };
+          } else if (calendarResult.unavailable) {
+            // Offer the next open times instead of queueing an unbookable request
+            console.log("📅 Requested time unavailable:", calendarResult.error);
+            this.setState(ConversationState.LISTENING);
+            const rules = this.getFormatRules(timezone);
+            const options = calendarResult.alternatives.map((slot) => bookingService.formatDateTime(slot.start, rules));
+            return {
+              success: false,
+              unavailable: true,
+              reason: calendarResult.error,
+              alternatives: options,
+              message: options.length
+                ? `${calendarResult.error}. The next available times are ${options.join(", or ")}. Which works best?`
+                : `${calendarResult.error}, and I don't see any openings in the next two weeks. Someone from our team will reach out.`,
+            };
+          } else if (calendarResult.needsManualBooking) {
+            console.log("⚠️ Calendar booking needs manual action:", calendarResult.error);
           }
-
-          this.setState(ConversationState.LISTENING);
-          return {
-            success: true,
-            eventId: calendarResult.eventId,
-            eventLink: calendarResult.eventLink,
-            message: args.date && args.time
-              ? `Your appointment is confirmed for ${args.date} at ${args.time}.`
-              : `Your appointment has been scheduled. ${calendarResult.message || ""}`,
-          };
-        } else if (calendarResult.needsManualBooking) {
-          console.log("⚠️ Calendar booking needs manual action:", calendarResult.error);
         }
       } catch (calError) {
         console.error("⚠️ Calendar booking error:", calError.message);
@@ -880,6 +1492,163 @@ class AIReceptionist extends EventEmitter {
     };
   }
 
+  // ===========================================================================
+  // CHANGE APPOINTMENTS
+  // Callers can only reschedule or cancel bookings made from their own number
+  // ===========================================================================
+
+  async getCallerBookings() {
+    if (!this.callerBookings) {
+      this.callerBookings = this.organization?.id
+        ? await this.calendarService.findUpcomingBookings(this.organization.id, this.callerInfo.phone)
+        : [];
+    }
+    return this.callerBookings;
+  }
+
+  /**
+   * The caller's booking by id, or their only booking when no id is given
+   */
+  async resolveCallerBooking(appointmentId) {
+    const bookings = await this.getCallerBookings();
+    if (appointmentId) return bookings.find((b) => b.id === appointmentId) || null;
+    return bookings.length === 1 ? bookings[0] : null;
+  }
+
+  describeBooking(booking) {
+    const when = bookingService.formatDateTime(new Date(booking.scheduledAt), this.getFormatRules(booking.timezone));
+    return booking.appointmentType ? `${booking.appointmentType.name} on ${when}` : when;
+  }
+
+  async executeFindAppointments() {
+    console.log("📅 Executing find appointments");
+
+    try {
+      const bookings = await this.getCallerBookings();
+      if (!bookings.length) {
+        return { success: true, appointments: [], message: "I don't see any upcoming appointments for this number." };
+      }
+
+      const appointments = bookings.map((b) => ({ id: b.id, when: this.describeBooking(b) }));
+      return {
+        success: true,
+        appointments,
+        message:
+          appointments.length === 1
+            ? `I see your appointment for ${appointments[0].when}. What would you like to do with it?`
+            : `I see ${appointments.length} upcoming appointments: ${appointments.map((a) => a.when).join(", and ")}. Which one?`,
+      };
+    } catch (error) {
+      console.error("⚠️ Find appointments error:", error.message);
+      return { success: false, message: "I can't look up appointments right now. Someone from our team will follow up." };
+    }
+  }
+
+  async executeRescheduleAppointment(args) {
+    console.log("📅 Executing reschedule appointment:", args);
+
+    try {
+      const booking = await this.resolveCallerBooking(args.appointment_id);
+      if (!booking) {
+        return { ...(await this.executeFindAppointments()), success: false, needsAppointment: true };
+      }
+
+      const timezone = this.getBookingTimezone(args.timezone || booking.timezone);
+      const rules = this.getFormatRules(timezone);
+
+      if (!args.time) {
+        // No time agreed yet: offer real openings for this booking
+        const now = new Date();
+        const requested = args.date ? this.calendarService.parseDateTime(args.date, "0:00", timezone) : now;
+        const slots = await this.calendarService.findRescheduleOptions(
+          this.organization.id,
+          booking,
+          requested > now ? requested : now
+        );
+        const options = slots.map((slot) => bookingService.formatDateTime(slot.start, rules));
+        return {
+          success: false,
+          needsTime: true,
+          slots: options,
+          message: options.length
+            ? `I can move it to ${options.join(", or ")}. Which works best?`
+            : "I don't see any openings in the next two weeks. Someone from our team will reach out.",
+        };
+      }
+
+      const startTime = this.calendarService.parseDateTime(args.date, args.time, timezone);
+      const result = await this.calendarService.rescheduleBooking(this.organization.id, booking.id, startTime, {
+        source: "ai",
+      });
+
+      if (result.success) {
+        this.callerBookings = null;
+        return {
+          success: true,
+          message: `Done. Your appointment is now ${bookingService.formatDateTime(startTime, rules)}.`,
+        };
+      }
+
+      if (result.unavailable) {
+        const options = result.alternatives.map((slot) => bookingService.formatDateTime(slot.start, rules));
+        return {
+          success: false,
+          unavailable: true,
+          alternatives: options,
+          message: options.length
+            ? `${result.error}. I can move it to ${options.join(", or ")}. Which works best?`
+            : `${result.error}, and I don't see any openings in the next two weeks. Someone from our team will reach out.`,
+        };
+      }
+
+      return { success: false, message: `${result.error}. Someone from our team will follow up.` };
+    } catch (error) {
+      console.error("⚠️ Reschedule error:", error.message);
+      return { success: false, message: "I couldn't change that right now. Someone from our team will follow up." };
+    }
+  }
+
+  async executeCancelAppointment(args) {
+    console.log("📅 Executing cancel appointment:", args);
+
+    try {
+      const booking = await this.resolveCallerBooking(args.appointment_id);
+      if (!booking) {
+        return { ...(await this.executeFindAppointments()), success: false, needsAppointment: true };
+      }
+
+      const result = await this.calendarService.cancelBooking(
+        this.organization.id,
+        booking.id,
+        args.reason || "Cancelled by caller",
+        { source: "ai" }
+      );
+
+      if (!result.success) {
+        return { success: false, message: `${result.error}. Someone from our team will follow up.` };
+      }
+
+      this.callerBookings = null;
+      return { success: true, message: `Your appointment for ${this.describeBooking(booking)} is cancelled.` };
+    } catch (error) {
+      console.error("⚠️ Cancel error:", error.message);
+      return { success: false, message: "I couldn't cancel that right now. Someone from our team will follow up." };
+    }
+  }
+
+  /**
+   * Timezone a caller's date/time is spoken in: theirs if they named one,
+   * otherwise the organization's
+   */
+  getBookingTimezone(callerTimezone) {
+    if (callerTimezone && isValidTimezone(callerTimezone)) return callerTimezone;
+    return bookingService.buildBookingRules(this.organization || {}).timezone;
+  }
+
+  getFormatRules(timezone) {
+    return { ...bookingService.buildBookingRules(this.organization || {}), timezone };
+  }
+
   async executeLookupCustomer(args) {
     console.log("🔍 Executing customer lookup:", args);
     this.setState(ConversationState.LOOKING_UP_CUSTOMER);
@@ -933,10 +1702,6 @@ class AIReceptionist extends EventEmitter {
       },
     });
 
-    // TODO: Actually send webhook to configured URL
-    // const webhookUrl = this.organization?.webhookUrl;
-    // if (webhookUrl) await this.sendWebhookRequest(webhookUrl, event);
-
     return { success: true, queued: true };
   }
 
@@ -958,6 +1723,23 @@ class AIReceptionist extends EventEmitter {
     return { success: true, message: "Call ending" };
   }
 
+  async executeDoNotCall(args) {
+    console.log("🚫 Executing do not call:", args);
+    this.setState(ConversationState.ENDING);
+
+    if (!this.organization?.id || !this.callerInfo.phone) {
+      return { success: false };
+    }
+
+    try {
+      await campaignService.optOut(this.organization.id, this.callerInfo.phone);
+      return { success: true, message: "Number added to the do-not-call list" };
+    } catch (err) {
+      console.error("❌ Do not call error:", err.message);
+      return { success: false };
+    }
+  }
+
   executeCollectInfo(args) {
     console.log("📝 Collecting info:", args);
 
@@ -1054,25 +1836,9 @@ class AIReceptionist extends EventEmitter {
   async speak(text) {
     try {
       console.log("🔊 Speaking:", text.substring(0, 60) + (text.length > 60 ? "..." : ""));
-      this.isSpeaking = true;
-      this.bargeInTriggered = false;
-      this.setState(ConversationState.SPEAKING);
-
-      // Reset utterance tracking
-      this.currentUtterance = "";
-
-      const audioBuffer = await this.textToSpeech(text);
-      if (audioBuffer && !this.bargeInTriggered) {
-        await this.sendAudioToTwilio(audioBuffer);
-      }
-
-      // Only mark as done speaking if we weren't interrupted
-      if (!this.bargeInTriggered) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-        this.isSpeaking = false;
-        this.setState(ConversationState.LISTENING);
-        console.log("🎤 Listening...");
-      }
+      const speech = this.startSpeech();
+      splitSentences(text).forEach((sentence) => this.queueSpeech(speech, sentence));
+      await this.finishSpeech(speech);
     } catch (error) {
       console.error("❌ Speak error:", error);
       this.isSpeaking = false;
@@ -1080,67 +1846,102 @@ class AIReceptionist extends EventEmitter {
     }
   }
 
-  async textToSpeech(text) {
-    try {
-      const mp3Response = await this.openai.audio.speech.create({
-        model: "tts-1",
-        voice: this.voiceId,
-        input: text,
-        response_format: "pcm",
-        speed: 1.0,
-      });
-
-      const arrayBuffer = await mp3Response.arrayBuffer();
-      const pcmBuffer = Buffer.from(arrayBuffer);
-      return this.pcmToMulaw(pcmBuffer);
-    } catch (error) {
-      console.error("❌ TTS error:", error.message);
-      return null;
+  // ===========================================================================
+  // SPEECH PIPELINE - Sentences synthesize in parallel, play in order
+  // ===========================================================================
+  startSpeech() {
+    if (this.activeSpeech) {
+      this.activeSpeech.cancelled = true;
     }
+
+    this.isSpeaking = true;
+    this.bargeInTriggered = false;
+    this.setState(ConversationState.SPEAKING);
+
+    // Reset utterance tracking
+    this.currentUtterance = "";
+
+    const speech = { id: ++this.speechId, cancelled: false, playback: Promise.resolve() };
+    this.activeSpeech = speech;
+    return speech;
   }
 
-  pcmToMulaw(pcmBuffer) {
-    const inputSamples = new Int16Array(
-      pcmBuffer.buffer,
-      pcmBuffer.byteOffset,
-      Math.floor(pcmBuffer.length / 2)
-    );
-    const outputLength = Math.floor(inputSamples.length / 3);
-    const mulawOutput = Buffer.alloc(outputLength);
+  queueSpeech(speech, sentence) {
+    if (speech.cancelled) return;
 
-    for (let i = 0; i < outputLength; i++) {
-      const sample = inputSamples[i * 3];
-      mulawOutput[i] = this.linearToMulaw(sample);
-    }
+    // Start synthesis now so it overlaps with playback of earlier sentences
+    const audioPromise = this.textToSpeech(sentence);
+
+    speech.playback = speech.playback.then(async () => {
+      const audio = await audioPromise;
+      if (!audio || speech.cancelled) return;
 
-    return mulawOutput;
+      this.recordTurnLatency();
+      await this.sendAudioToTwilio(audio, speech);
+    });
   }
 
-  linearToMulaw(sample) {
-    const MULAW_MAX = 0x1FFF;
-    const MULAW_BIAS = 33;
+  /**
+   * Wait for queued sentences to play out
+   * @returns {Promise<boolean>} false if the caller barged in
+   */
+  async finishSpeech(speech) {
+    await speech.playback;
+    if (speech.cancelled) return false;
 
-    const sign = sample < 0 ? 0x80 : 0;
-    if (sample < 0) sample = -sample;
+    // Send mark to know when audio finished
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({
+        event: "mark",
+        streamSid: this.streamSid,
+        mark: { name: `end-${++this.audioMarkId}` },
+      }));
+    }
 
-    sample = Math.min(sample, MULAW_MAX);
-    sample += MULAW_BIAS;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (speech.cancelled || this.activeSpeech !== speech) return !speech.cancelled;
 
-    let exponent = 7;
-    for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; exponent--, expMask >>= 1) {}
+    this.activeSpeech = null;
+    this.isSpeaking = false;
+    this.setState(ConversationState.LISTENING);
+    console.log("🎤 Listening...");
+    return true;
+  }
 
-    const mantissa = (sample >> (exponent + 3)) & 0x0F;
-    const mulawByte = ~(sign | (exponent << 4) | mantissa);
+  /**
+   * Time from the caller's final transcript to our first audio byte
+   */
+  recordTurnLatency() {
+    if (!this.turnStartedAt) return;
+
+    const latencyMs = Date.now() - this.turnStartedAt;
+    this.turnStartedAt = null;
+    this.responseLatencies.push(latencyMs);
+    if (this.turnEntry) {
+      this.turnEntry.responseLatencyMs = latencyMs;
+    }
+    console.log(`⏱️ Response latency: ${latencyMs}ms`);
+  }
 
-    return mulawByte & 0xFF;
+  async textToSpeech(text) {
+    try {
+      const { audio } = await this.tts.synthesize(text, {
+        voice: this.voiceId,
+        format: AudioFormat.MULAW_8000,
+      });
+      return audio;
+    } catch (error) {
+      console.error(`❌ TTS error (${this.tts.name}):`, error.message);
+      return null;
+    }
   }
 
-  async sendAudioToTwilio(audioBuffer) {
+  async sendAudioToTwilio(audioBuffer, speech) {
     const chunkSize = 160;
 
     for (let i = 0; i < audioBuffer.length; i += chunkSize) {
       // Check for barge-in during audio sending
-      if (this.bargeInTriggered) {
+      if (speech?.cancelled || this.bargeInTriggered) {
         console.log("⚡ Barge-in during audio send, stopping");
         break;
       }
@@ -1155,16 +1956,6 @@ class AIReceptionist extends EventEmitter {
       }
       await new Promise(resolve => setTimeout(resolve, 18));
     }
-
-    // Send mark to know when audio finished
-    if (this.ws.readyState === WebSocket.OPEN && !this.bargeInTriggered) {
-      const markId = `end-${++this.audioMarkId}`;
-      this.ws.send(JSON.stringify({
-        event: "mark",
-        streamSid: this.streamSid,
-        mark: { name: markId },
-      }));
-    }
   }
 
   handleMark(mark) {
@@ -1177,6 +1968,91 @@ class AIReceptionist extends EventEmitter {
     }
   }
 
+  // ===========================================================================
+  // CALL LIMITS (max turns / max duration)
+  // ===========================================================================
+  startDurationTimer() {
+    this.durationTimer = setTimeout(() => {
+      this.durationLimitReached = true;
+      console.log(`⏱️ Max call duration reached (${this.maxCallDuration}s)`);
+
+      // Mid-turn calls wrap up when processUserInput finishes
+      if (!this.isProcessing) {
+        this.endCallGracefully("duration");
+      }
+    }, this.maxCallDuration * 1000);
+  }
+
+  /**
+   * Prompt addition telling the model to start wrapping up near a limit
+   */
+  getLimitContext() {
+    const turnsLeft = this.maxTurns - this.turnCount;
+    const secondsLeft = this.maxCallDuration - (Date.now() - this.callStartTime) / 1000;
+
+    const nearTurnLimit = turnsLeft <= WRAP_UP_TURNS;
+    const nearTimeLimit = secondsLeft <= WRAP_UP_SECONDS;
+    if (!nearTurnLimit && !nearTimeLimit) return "";
+
+    const limit = nearTurnLimit && nearTimeLimit
+      ? "its time and turn limits"
+      : nearTurnLimit
+        ? `its limit of ${this.maxTurns} exchanges`
+        : "its time limit";
+
+    return `
+
+CALL ENDING SOON:
+- This call is about to reach ${limit}. Start wrapping up now.
+- Confirm the caller's name and callback details if you don't have them.
+- Let them know the team will follow up, and don't start new topics.`;
+  }
+
+  /**
+   * Speak a closing script and hang up (turn or duration limit reached)
+   */
+  async endCallGracefully(reason) {
+    if (this.wrappingUp || this.transferredToHuman || this.cleanedUp) return;
+    this.wrappingUp = true;
+    this.setState(ConversationState.ENDING);
+    console.log(`👋 Wrapping up call (${reason} limit)`);
+
+    this.webhookQueue.push({
+      type: "follow_up_required",
+      data: {
+        reason: `Call ended at ${reason} limit`,
+        caller: this.callerInfo,
+        callSid: this.callSid,
+      },
+    });
+
+    const closing = languageService.getPhrase(this.language, "wrapUp", this.callerInfo.name, this.orgName);
+
+    this.transcript.push({
+      role: "assistant",
+      content: closing,
+      timestamp: new Date().toISOString(),
+    });
+
+    await this.speak(closing);
+    this.setState(ConversationState.ENDING);
+    await this.hangUp();
+  }
+
+  /**
+   * Hang up once the last audio frames have played out
+   */
+  async hangUp() {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      await this.twilioClient.calls(this.callSid).update({
+        twiml: "<Response><Hangup/></Response>",
+      });
+    } catch (err) {
+      console.error("❌ Hangup error:", err.message);
+    }
+  }
+
   // ===========================================================================
   // SYSTEM PROMPT
   // ===========================================================================
@@ -1194,7 +2070,7 @@ class AIReceptionist extends EventEmitter {
     return `You are the professional AI receptionist for ${this.orgName}.
 
 VOICE PERSONA:
-- Warm, confident, and genuinely helpful
+- ${PERSONALITY_STYLES[this.aiSettings.personality.toLowerCase()] || this.aiSettings.personality}
 - Speak naturally like a skilled human receptionist
 - Use conversational language, not robotic phrases
 - Show empathy and understanding
@@ -1207,7 +2083,11 @@ IMPORTANT: BARGE-IN IS ENABLED
 
 AVAILABLE FUNCTIONS:
 - transfer_to_human: Use when caller wants to speak with a person/agent/representative
+- check_availability: Use to find open appointment times to offer the caller
 - book_appointment: Use when caller wants to schedule a meeting
+- find_appointments: Use to look up the caller's upcoming appointments
+- reschedule_appointment: Use to move one of the caller's appointments to a new time
+- cancel_appointment: Use to cancel one of the caller's appointments
 - lookup_customer: Use to find customer info in our system
 - send_webhook: Use to notify external systems of events
 - end_call: Use when conversation is complete
@@ -1216,14 +2096,17 @@ AVAILABLE FUNCTIONS:
 FUNCTION USAGE GUIDELINES:
 1. Call collect_info to save any info the caller provides (name, email, company, reason)
 2. If caller asks for human/agent/representative → call transfer_to_human
-3. If caller wants to schedule → call book_appointment
-4. Always use functions instead of just responding when an action is needed
+3. If caller wants to schedule → call check_availability, offer those times, then call book_appointment with the one they pick
+4. If caller wants to change or cancel an appointment → call find_appointments, then reschedule_appointment (without a time to get options) or cancel_appointment once they confirm
+5. Always use functions instead of just responding when an action is needed
 
 CUSTOMER CONTEXT:
 ${customerContext}
 
 ${sentimentContext}
 
+CURRENT TIME: ${bookingService.formatDateTime(new Date(), this.getFormatRules(this.getBookingTimezone()))} (${this.getBookingTimezone()})
+
 CURRENT CALLER INFO:
 - Phone: ${this.callerInfo.phone || "Unknown"}
 - Name: ${this.callerInfo.name || "Not yet provided"}
@@ -1234,12 +2117,27 @@ CURRENT CALLER INFO:
 - Turn Count: ${this.turnCount}
 - Call Duration: ${Math.round((Date.now() - this.callStartTime) / 1000)}s
 
+LANGUAGE:
+- Always respond in ${languageService.getLanguageName(this.language)}, even if instructions or knowledge below are in another language
+
 CONVERSATION GUIDELINES:
 1. If you don't have their name, ask for it naturally
 2. Understand their reason for calling
 3. Use functions to take actions (don't just acknowledge)
 4. Be concise - phone conversations should be efficient
-5. If they ask for something you can't do, offer to transfer to a human`;
+5. If they ask for something you can't do, offer to transfer to a human${
+      this.campaign
+        ? `\n\n${campaignService.buildCampaignPrompt(this.campaign, {
+            lead: this.campaignLead,
+            organization: { name: this.orgName },
+          })}`
+        : ""
+    }${this.getAppointmentTypePrompt()}${this.getLimitContext()}${
+      this.aiSettings.systemPrompt ? `\n\nBUSINESS INSTRUCTIONS:\n${this.aiSettings.systemPrompt}` : ""
+    }${trainingService.buildTrainingPrompt({
+      scripts: this.trainingData.scripts,
+      passages: this.turnPassages,
+    })}`;
   }
 
   // ===========================================================================
@@ -1250,7 +2148,7 @@ CONVERSATION GUIDELINES:
 
     try {
       const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+        model: this.aiSettings.model,
         messages: [
           {
             role: "system",
@@ -1275,6 +2173,11 @@ CONVERSATION GUIDELINES:
     this.setState(ConversationState.ENDED);
     console.log("🧹 Cleaning up call:", this.callSid);
 
+    if (this.durationTimer) {
+      clearTimeout(this.durationTimer);
+      this.durationTimer = null;
+    }
+
     // Close Deepgram connection
     if (this.deepgramWs) {
       try {
@@ -1289,6 +2192,16 @@ CONVERSATION GUIDELINES:
     // Process webhook queue (includes CRM sync)
     await this.processWebhookQueue();
 
+    // Response latency (caller stops talking → first audio byte)
+    const latencyStats = this.responseLatencies.length > 0
+      ? {
+          avgResponseLatencyMs: Math.round(
+            this.responseLatencies.reduce((sum, ms) => sum + ms, 0) / this.responseLatencies.length
+          ),
+          maxResponseLatencyMs: Math.max(...this.responseLatencies),
+        }
+      : {};
+
     // Save call log
     let savedCallLog = null;
     try {
@@ -1300,10 +2213,13 @@ CONVERSATION GUIDELINES:
           duration: callDuration,
           organizationId: this.organization?.id,
           status: "COMPLETED",
+          language: this.language,
+          languageDetected: this.languageDetected,
+          ...latencyStats,
         },
         create: {
           callSid: this.callSid,
-          direction: "INBOUND",
+          direction: this.direction,
           fromNumber: this.callerInfo.phone || "Unknown",
           toNumber: this.toNumber || "Unknown",
           status: "COMPLETED",
@@ -1311,6 +2227,10 @@ CONVERSATION GUIDELINES:
           handledByAI: true,
           transferredToHuman: this.transferredToHuman,
           organizationId: this.organization?.id,
+          campaignId: this.campaign?.id || null,
+          language: this.language,
+          languageDetected: this.languageDetected,
+          ...latencyStats,
         },
       });
       console.log("✅ Call log saved");
@@ -1332,6 +2252,7 @@ CONVERSATION GUIDELINES:
             fullText: this.transcript.map(t => `${t.role}: ${t.content}`).join("\n"),
             messages: this.transcript,
             summary,
+            language: this.language,
             organizationId: this.organization?.id,
           },
         });
@@ -1366,9 +2287,10 @@ CONVERSATION GUIDELINES:
             });
             console.log("✅ Lead updated:", this.callerInfo.name || existingLead.name);
           } else {
-            // Create new lead
-            savedLead = await this.prisma.lead.create({
-              data: {
+            // Create new lead (suppression check, activity log, LEAD_CREATED)
+            savedLead = await leadService.createLead(
+              this.organization?.id || null,
+              {
                 callSid: this.callSid,
                 name: this.callerInfo.name || "Unknown Caller",
                 phone: this.callerInfo.phone || "Unknown",
@@ -1382,20 +2304,10 @@ CONVERSATION GUIDELINES:
                 urgency: this.callerInfo.urgency || "MEDIUM",
                 referralSource: this.callerInfo.referralSource,
                 status: this.callerInfo.wantsHumanAgent ? "CONTACTED" : "NEW",
-                organizationId: this.organization?.id,
               },
-            });
+              { title: "Lead captured on AI call" }
+            );
             console.log("✅ Lead created:", this.callerInfo.name || "Unknown");
-
-            // Emit LEAD_CREATED automation event
-            if (this.organization?.id) {
-              emitAutomation(AutomationEvents.LEAD_CREATED, {
-                organizationId: this.organization.id,
-                lead: savedLead,
-                source: "ai_call",
-                callSid: this.callSid,
-              });
-            }
           }
         }
       } catch (err) {
@@ -1403,6 +2315,11 @@ CONVERSATION GUIDELINES:
       }
     }
 
+    // Disposition from what happened on the call
+    if (savedCallLog && !savedCallLog.disposition && this.organization?.id) {
+      savedCallLog = await this.setAutoDisposition(savedCallLog, savedLead);
+    }
+
     // =========================================================================
     // CRM SYNC - Automatically sync to connected CRMs
     // =========================================================================
@@ -1441,13 +2358,13 @@ CONVERSATION GUIDELINES:
 
     // Emit CALL_COMPLETED automation event
     if (this.organization?.id) {
-      emitAutomation(AutomationEvents.CALL_COMPLETED, {
-        organizationId: this.organization.id,
+      emitAutomation(AutomationEvents.CALL_COMPLETED, this.organization.id, {
         call: savedCallLog,
         callSid: this.callSid,
         duration: callDuration,
         handledByAI: true,
         transferredToHuman: this.transferredToHuman,
+        disposition: savedCallLog?.disposition || null,
         lead: savedLead,
         transcript: savedTranscript,
         sentiment: this.callerInfo.sentiment,
@@ -1455,9 +2372,37 @@ CONVERSATION GUIDELINES:
       });
     }
 
+    // Post-call analysis (intent, topics, entities, sentiment) runs in the background
+    if (savedTranscript) {
+      enqueueAnalysis(this.callSid);
+    }
+
     console.log("🧹 Cleanup complete");
   }
 
+  /**
+   * Pick the org's disposition code for this call (booked, transferred, ...)
+   */
+  async setAutoDisposition(callLog, lead) {
+    try {
+      const { codes } = await dispositionService.getDispositions(this.organization.id);
+      const disposition = dispositionService.autoDisposition({
+        appointmentBooked: this.appointmentBooked,
+        transferred: this.transferredToHuman,
+        callbackRequested: !!this.callerInfo.preferredCallbackTime,
+        leadCaptured: !!lead,
+      }, codes);
+
+      if (!disposition) return callLog;
+
+      console.log("🏷️ Disposition:", disposition);
+      return await dispositionService.setDisposition(callLog, { disposition });
+    } catch (err) {
+      console.error("⚠️ Auto-disposition error:", err.message);
+      return callLog;
+    }
+  }
+
   async processWebhookQueue() {
     if (this.webhookQueue.length === 0) return;
     if (!this.organization?.id) return;
@@ -1474,6 +2419,12 @@ CONVERSATION GUIDELINES:
           event.type,
           event.data
         );
+
+        // Webhook subscriptions (and automation rules) see it as receptionist:event
+        emitAutomation(AutomationEvents.RECEPTIONIST_EVENT, this.organization.id, {
+          type: event.type,
+          ...event.data,
+        });
       } catch (error) {
         console.error("❌ Webhook error:", error.message);
       }
@@ -1484,4 +2435,4 @@ CONVERSATION GUIDELINES:
   }
 }
 
-module.exports = { AIReceptionist, VOICE_OPTIONS, DEFAULT_VOICE, ConversationState };
+module.exports = { AIReceptionist, ConversationState, resolveAISettings, AI_SETTINGS_DEFAULTS };
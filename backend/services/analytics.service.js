@@ -4,6 +4,8 @@
 // ============================================================================
 
 const prisma = require("../lib/prisma");
+const { normalizeLanguage, getLanguageName } = require("./language.service");
+const dispositionService = require("./disposition.service");
 
 /**
  * Get comprehensive analytics for an organization
@@ -24,6 +26,7 @@ async function getAnalytics(organizationId, options = {}) {
     leadConversion,
     callOutcomes,
     avgHandleTime,
+    languages,
   ] = await Promise.all([
     getCallMetrics(organizationId, startDate, endDate),
     getSentimentAnalysis(organizationId, startDate, endDate),
@@ -33,6 +36,7 @@ async function getAnalytics(organizationId, options = {}) {
     getLeadConversion(organizationId, startDate, endDate),
     getCallOutcomes(organizationId, startDate, endDate),
     getAverageHandleTime(organizationId, startDate, endDate),
+    getLanguageBreakdown(organizationId, startDate, endDate),
   ]);
 
   return {
@@ -45,6 +49,7 @@ async function getAnalytics(organizationId, options = {}) {
     leadConversion,
     callOutcomes,
     avgHandleTime,
+    languages,
   };
 }
 
@@ -287,6 +292,7 @@ async function getAIPerformance(organizationId, startDate, endDate) {
       transferReason: true,
       aiConfidence: true,
       sentiment: true,
+      avgResponseLatencyMs: true,
     },
   });
 
@@ -316,6 +322,18 @@ async function getAIPerformance(organizationId, startDate, endDate) {
     (c) => c.status === "COMPLETED" && c.sentiment?.toLowerCase() === "positive"
   ).length;
 
+  // Response latency (per-call averages, streamed LLM → TTS)
+  const latencies = calls
+    .map((c) => c.avgResponseLatencyMs)
+    .filter((ms) => ms !== null && ms !== undefined)
+    .sort((a, b) => a - b);
+  const avgResponseLatency = latencies.length > 0
+    ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+    : 0;
+  const p95ResponseLatency = latencies.length > 0
+    ? latencies[Math.min(latencies.length - 1, Math.ceil(latencies.length * 0.95) - 1)]
+    : 0;
+
   return {
     totalAICalls,
     resolutionRate: totalAICalls > 0
@@ -334,6 +352,8 @@ async function getAIPerformance(organizationId, startDate, endDate) {
     transferReasons: Object.entries(transferReasons)
       .map(([reason, count]) => ({ reason, count }))
       .sort((a, b) => b.count - a.count),
+    avgResponseLatency,
+    p95ResponseLatency,
   };
 }
 
@@ -390,22 +410,77 @@ async function getLeadConversion(organizationId, startDate, endDate) {
 }
 
 /**
- * Get call outcome distribution
+ * Get call outcomes: Twilio status and disposition code breakdowns
  */
 async function getCallOutcomes(organizationId, startDate, endDate) {
+  const where = {
+    organizationId,
+    createdAt: { gte: startDate, lte: endDate },
+  };
+
+  const [byStatus, byDisposition, { codes }] = await Promise.all([
+    prisma.callLog.groupBy({ by: ["status"], where, _count: true }),
+    prisma.callLog.groupBy({ by: ["disposition"], where, _count: true }),
+    dispositionService.getDispositions(organizationId),
+  ]);
+
+  const labels = Object.fromEntries(codes.map((c) => [c.code, c]));
+
+  return {
+    byStatus: byStatus.map((c) => ({
+      status: c.status,
+      count: c._count,
+    })),
+    byDisposition: byDisposition
+      .map((c) => ({
+        disposition: c.disposition,
+        label: c.disposition ? labels[c.disposition]?.label || c.disposition : "No disposition",
+        category: labels[c.disposition]?.category || null,
+        count: c._count,
+      }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * Get caller language distribution (AI-handled calls)
+ */
+async function getLanguageBreakdown(organizationId, startDate, endDate) {
   const calls = await prisma.callLog.groupBy({
-    by: ["status"],
+    by: ["language", "languageDetected"],
     where: {
       organizationId,
+      handledByAI: true,
+      language: { not: null },
       createdAt: { gte: startDate, lte: endDate },
     },
     _count: true,
   });
 
-  return calls.map((c) => ({
-    status: c.status,
-    count: c._count,
-  }));
+  const byLanguage = {};
+  let totalCalls = 0;
+  let detectedCalls = 0;
+
+  calls.forEach((c) => {
+    const code = normalizeLanguage(c.language);
+    if (!byLanguage[code]) {
+      byLanguage[code] = { language: code, name: getLanguageName(code), count: 0, detected: 0 };
+    }
+    byLanguage[code].count += c._count;
+    totalCalls += c._count;
+    if (c.languageDetected) {
+      byLanguage[code].detected += c._count;
+      detectedCalls += c._count;
+    }
+  });
+
+  return {
+    totalCalls,
+    detectedCalls,
+    languages: Object.values(byLanguage)
+      .map((l) => ({ ...l, percentage: totalCalls > 0 ? Math.round((l.count / totalCalls) * 100) : 0 }))
+      .sort((a, b) => b.count - a.count),
+  };
 }
 
 /**
@@ -533,4 +608,5 @@ module.exports = {
   getCallOutcomes,
   getAverageHandleTime,
   getCommonQueries,
+  getLanguageBreakdown,
 };
@@ -0,0 +1,317 @@
+// ============================================================================
+// HEKAX Phone - Appointment Changes by SMS
+// RESCHEDULE or CANCEL APPT starts a short guided exchange: pick the booking,
+// pick a new time (or confirm the cancellation)
+//
+// A bare CANCEL is a carrier opt-out keyword, so it stays with the STOP
+// handling in suppression.service and never reaches this module.
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const { buildBookingRules, formatDateTime, parseDateTime } = require("./booking.service");
+const { CalendarService } = require("./calendar");
+
+const calendarService = new CalendarService(prisma);
+
+// How long a guided exchange waits for the next reply
+const SESSION_MINUTES = 30;
+
+const STEPS = {
+  SELECT_BOOKING: "SELECT_BOOKING",
+  SELECT_TIME: "SELECT_TIME",
+  CONFIRM_CANCEL: "CONFIRM_CANCEL",
+};
+
+const START_WORDS = {
+  RESCHEDULE: ["RESCHEDULE", "RESCHEDULE APPT", "RESCHEDULE APPOINTMENT"],
+  CANCEL: ["CANCEL APPT", "CANCEL APPOINTMENT"],
+};
+
+const EXIT_WORDS = ["EXIT", "NEVERMIND", "NEVER MIND", "KEEP"];
+
+const DATE_PATTERN =
+  /^(today|tomorrow|((next|this) )?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)|\d{4}-\d{2}-\d{2})$/i;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Upper-case words only: "  Cancel appt. " → "CANCEL APPT"
+ */
+function normalize(body) {
+  return String(body || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9\s-]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * "RESCHEDULE" | "CANCEL" when the text starts an exchange, otherwise null
+ */
+function parseStart(body) {
+  const text = normalize(body);
+  return Object.keys(START_WORDS).find((action) => START_WORDS[action].includes(text)) || null;
+}
+
+/**
+ * 1-based choice from a numbered list, or null
+ */
+function parseChoice(body, count) {
+  const match = normalize(body).match(/^#?(\d{1,2})$/);
+  if (!match) return null;
+  const choice = parseInt(match[1], 10);
+  return choice >= 1 && choice <= count ? choice : null;
+}
+
+function isDate(body) {
+  return DATE_PATTERN.test(String(body || "").trim());
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * A booking time in the organization's language, in the booking's timezone
+ */
+function formatWhen(org, date, booking) {
+  const rules = buildBookingRules(org);
+  return formatDateTime(new Date(date), { ...rules, timezone: booking.timezone || rules.timezone });
+}
+
+function callUs(org) {
+  return org.twilioNumber ? `call ${org.twilioNumber}` : "give us a call";
+}
+
+function numbered(items) {
+  return items.map((item, i) => `${i + 1}) ${item}`).join(" ");
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+async function getSession(organizationId, phone) {
+  const session = await prisma.appointmentSmsSession.findUnique({
+    where: { organizationId_phone: { organizationId, phone } },
+  });
+  if (!session) return null;
+
+  if (session.expiresAt < new Date()) {
+    await endSession(organizationId, phone);
+    return null;
+  }
+  return session;
+}
+
+async function saveSession(organizationId, phone, data) {
+  const expiresAt = new Date(Date.now() + SESSION_MINUTES * 60000);
+  return prisma.appointmentSmsSession.upsert({
+    where: { organizationId_phone: { organizationId, phone } },
+    update: { bookingId: null, options: null, ...data, expiresAt },
+    create: { organizationId, phone, ...data, expiresAt },
+  });
+}
+
+async function endSession(organizationId, phone) {
+  await prisma.appointmentSmsSession.deleteMany({ where: { organizationId, phone } });
+}
+
+// ============================================================================
+// STEPS
+// ============================================================================
+
+async function findActiveBooking(organizationId, bookingId) {
+  if (!bookingId) return null;
+  return prisma.calendarBooking.findFirst({
+    where: { id: bookingId, organizationId, status: { in: ["PENDING", "CONFIRMED"] } },
+  });
+}
+
+/**
+ * Offer open times for the booking and wait for a choice
+ */
+async function offerTimes(org, phone, booking, from = new Date(), intro = null) {
+  const slots = await calendarService.findRescheduleOptions(org.id, booking, from);
+
+  if (!slots.length) {
+    await endSession(org.id, phone);
+    return `We don't have any openings in the next two weeks. Please ${callUs(org)} to reschedule.`;
+  }
+
+  await saveSession(org.id, phone, {
+    action: "RESCHEDULE",
+    step: STEPS.SELECT_TIME,
+    bookingId: booking.id,
+    options: slots.map((slot) => slot.start.toISOString()),
+  });
+
+  const choices = numbered(slots.map((slot) => formatWhen(org, slot.start, booking)));
+  return (
+    `${intro || `Your appointment is ${formatWhen(org, booking.scheduledAt, booking)}.`} ` +
+    `Reply with a number to move it to: ${choices}. Or reply a day (e.g. FRIDAY) for other times, or EXIT.`
+  );
+}
+
+/**
+ * Continue with the chosen booking
+ */
+async function bookingChosen(org, phone, action, booking) {
+  if (action === "RESCHEDULE") {
+    return offerTimes(org, phone, booking);
+  }
+
+  await saveSession(org.id, phone, { action, step: STEPS.CONFIRM_CANCEL, bookingId: booking.id });
+  return `Cancel your appointment on ${formatWhen(org, booking.scheduledAt, booking)}? Reply YES to cancel or NO to keep it.`;
+}
+
+async function continueWithBooking(org, phone, action, bookingId) {
+  const booking = await findActiveBooking(org.id, bookingId);
+  if (!booking) {
+    await endSession(org.id, phone);
+    return `That appointment is no longer active. Please ${callUs(org)} if you need help.`;
+  }
+  return bookingChosen(org, phone, action, booking);
+}
+
+/**
+ * RESCHEDULE / CANCEL APPT: find the caller's upcoming bookings
+ */
+async function startExchange(org, phone, action) {
+  const bookings = await calendarService.findUpcomingBookings(org.id, phone);
+
+  if (!bookings.length) {
+    await endSession(org.id, phone);
+    return `We couldn't find an upcoming appointment for this number. Please ${callUs(org)} for help.`;
+  }
+
+  if (bookings.length === 1) {
+    return bookingChosen(org, phone, action, bookings[0]);
+  }
+
+  await saveSession(org.id, phone, {
+    action,
+    step: STEPS.SELECT_BOOKING,
+    options: bookings.map((b) => b.id),
+  });
+
+  const choices = numbered(
+    bookings.map((b) => `${formatWhen(org, b.scheduledAt, b)}${b.appointmentType ? ` (${b.appointmentType.name})` : ""}`)
+  );
+  const verb = action === "RESCHEDULE" ? "reschedule" : "cancel";
+  return `Which appointment would you like to ${verb}? ${choices}. Reply with its number, or EXIT.`;
+}
+
+async function handleTimeStep(org, phone, session, booking, body) {
+  const options = session.options || [];
+
+  if (isDate(body)) {
+    const from = parseDateTime(body, "0:00", booking.timezone);
+    return offerTimes(org, phone, booking, from > new Date() ? from : new Date());
+  }
+
+  const choice = parseChoice(body, options.length);
+  if (!choice) {
+    return `Reply with a number (1-${options.length}), a day (e.g. FRIDAY) for other times, or EXIT.`;
+  }
+
+  const result = await calendarService.rescheduleBooking(org.id, booking.id, new Date(options[choice - 1]), {
+    source: "sms",
+  });
+
+  if (result.success) {
+    await endSession(org.id, phone);
+    return `Done! Your appointment is now ${formatWhen(org, result.booking.scheduledAt, booking)}.`;
+  }
+
+  if (result.unavailable) {
+    return offerTimes(org, phone, booking, new Date(), "Sorry, that time was just taken.");
+  }
+
+  await endSession(org.id, phone);
+  return `We couldn't move your appointment. Please ${callUs(org)} to reschedule.`;
+}
+
+async function handleCancelStep(org, phone, booking, body) {
+  const text = normalize(body);
+
+  if (text === "NO") {
+    await endSession(org.id, phone);
+    return `OK, your appointment on ${formatWhen(org, booking.scheduledAt, booking)} is still booked.`;
+  }
+  if (text !== "YES") {
+    return "Reply YES to cancel your appointment or NO to keep it.";
+  }
+
+  const result = await calendarService.cancelBooking(org.id, booking.id, "Cancelled by text message", {
+    source: "sms",
+  });
+  await endSession(org.id, phone);
+
+  return result.success
+    ? `Your appointment on ${formatWhen(org, booking.scheduledAt, booking)} has been cancelled.`
+    : `We couldn't cancel your appointment. Please ${callUs(org)}.`;
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Handle an inbound SMS that starts or continues an appointment exchange
+ * @returns {Promise<string|null>} Reply to send, or null when the text isn't part of one
+ */
+async function handleAppointmentSms(org, phone, body) {
+  const action = parseStart(body);
+  if (action) {
+    return startExchange(org, phone, action);
+  }
+
+  const session = await getSession(org.id, phone);
+  if (!session) return null;
+
+  if (EXIT_WORDS.includes(normalize(body))) {
+    await endSession(org.id, phone);
+    return "OK, your appointment is unchanged.";
+  }
+
+  if (session.step === STEPS.SELECT_BOOKING) {
+    const options = session.options || [];
+    const choice = parseChoice(body, options.length);
+    if (!choice) {
+      return `Reply with the number of the appointment (1-${options.length}), or EXIT.`;
+    }
+    return continueWithBooking(org, phone, session.action, options[choice - 1]);
+  }
+
+  const booking = await findActiveBooking(org.id, session.bookingId);
+  if (!booking) {
+    await endSession(org.id, phone);
+    return `That appointment is no longer active. Please ${callUs(org)} if you need help.`;
+  }
+
+  return session.step === STEPS.SELECT_TIME
+    ? handleTimeStep(org, phone, session, booking, body)
+    : handleCancelStep(org, phone, booking, body);
+}
+
+/**
+ * Added to the STOP reply when the number still has appointments: opting out
+ * doesn't cancel them, and we can't text about them afterwards
+ */
+async function optOutNote(org, phone) {
+  const [next] = await calendarService.findUpcomingBookings(org.id, phone, 1);
+  if (!next) return null;
+  return `Your appointment on ${formatWhen(org, next.scheduledAt, next)} is still booked; ${callUs(org)} to change it.`;
+}
+
+module.exports = {
+  SESSION_MINUTES,
+  parseStart,
+  parseChoice,
+  isDate,
+  handleAppointmentSms,
+  optOutNote,
+};
@@ -0,0 +1,390 @@
+// ============================================================================
+// HEKAX Phone - Appointment Types
+// Bookable services (duration, buffer, price, intake questions), the staff
+// who take them and how a free staff member is picked
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const { generateSlots } = require("./booking.service");
+
+const ASSIGNMENT_MODES = ["ROUND_ROBIN", "PRIORITY"];
+
+// Longest a staff member stays held by a booking that never finishes
+const STAFF_HOLD_MS = 2 * 60 * 1000;
+
+const LIMITS = {
+  duration: [5, 480],
+  bufferMinutes: [0, 240],
+  intakeQuestions: 10,
+};
+
+const STAFF_SELECT = {
+  userId: true,
+  priority: true,
+  lastAssignedAt: true,
+  user: { select: { id: true, name: true, email: true } },
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isWholeNumberIn(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate an appointment type
+ * Returns { data } or { error }; with partial, missing fields are left out
+ */
+function validateAppointmentType(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name) return { error: "name is required" };
+    if (name.length > 100) return { error: "name must be 100 characters or less" };
+    data.name = name;
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== "string") {
+      return { error: "description must be a string" };
+    }
+    data.description = input.description?.trim() || null;
+  }
+
+  if (input.duration !== undefined || !partial) {
+    const duration = Number(input.duration ?? 30);
+    if (!isWholeNumberIn(duration, LIMITS.duration)) {
+      return { error: `duration must be a whole number between ${LIMITS.duration[0]} and ${LIMITS.duration[1]}` };
+    }
+    data.duration = duration;
+  }
+
+  if (input.bufferMinutes !== undefined) {
+    const buffer = input.bufferMinutes === null ? null : Number(input.bufferMinutes);
+    if (buffer !== null && !isWholeNumberIn(buffer, LIMITS.bufferMinutes)) {
+      return {
+        error: `bufferMinutes must be empty or a whole number between ${LIMITS.bufferMinutes[0]} and ${LIMITS.bufferMinutes[1]}`,
+      };
+    }
+    data.bufferMinutes = buffer;
+  }
+
+  if (input.priceCents !== undefined) {
+    const price = input.priceCents === null ? null : Number(input.priceCents);
+    if (price !== null && (!Number.isInteger(price) || price < 0)) {
+      return { error: "priceCents must be empty or a whole number of cents" };
+    }
+    data.priceCents = price;
+  }
+
+  if (input.currency !== undefined) {
+    if (typeof input.currency !== "string" || !/^[a-z]{3}$/i.test(input.currency)) {
+      return { error: "currency must be a 3-letter code" };
+    }
+    data.currency = input.currency.toLowerCase();
+  }
+
+  if (input.intakeQuestions !== undefined) {
+    if (!Array.isArray(input.intakeQuestions) || input.intakeQuestions.some((q) => typeof q !== "string")) {
+      return { error: "intakeQuestions must be a list of questions" };
+    }
+    const questions = input.intakeQuestions.map((q) => q.trim()).filter(Boolean);
+    if (questions.length > LIMITS.intakeQuestions) {
+      return { error: `At most ${LIMITS.intakeQuestions} intake questions are allowed` };
+    }
+    if (questions.some((q) => q.length > 200)) {
+      return { error: "Intake questions must be 200 characters or less" };
+    }
+    data.intakeQuestions = questions;
+  }
+
+  if (input.assignmentMode !== undefined) {
+    if (!ASSIGNMENT_MODES.includes(input.assignmentMode)) {
+      return { error: `assignmentMode must be one of: ${ASSIGNMENT_MODES.join(", ")}` };
+    }
+    data.assignmentMode = input.assignmentMode;
+  }
+
+  if (input.enabled !== undefined) {
+    data.enabled = Boolean(input.enabled);
+  }
+
+  return { data };
+}
+
+/**
+ * Required intake questions the caller hasn't answered
+ * @param {Object} answers - { question: answer }
+ */
+function missingIntakeAnswers(type, answers = {}) {
+  const answered = Object.fromEntries(
+    Object.entries(answers || {}).map(([question, answer]) => [question.trim().toLowerCase(), String(answer ?? "").trim()])
+  );
+  return type.intakeQuestions.filter((question) => !answered[question.trim().toLowerCase()]);
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+function formatAppointmentType(type) {
+  return {
+    id: type.id,
+    name: type.name,
+    description: type.description,
+    duration: type.duration,
+    bufferMinutes: type.bufferMinutes,
+    priceCents: type.priceCents,
+    currency: type.currency,
+    intakeQuestions: type.intakeQuestions,
+    assignmentMode: type.assignmentMode,
+    enabled: type.enabled,
+    staff: (type.staff || []).map((s) => ({
+      userId: s.userId,
+      name: s.user?.name,
+      email: s.user?.email,
+      priority: s.priority,
+      lastAssignedAt: s.lastAssignedAt,
+    })),
+    createdAt: type.createdAt,
+    updatedAt: type.updatedAt,
+  };
+}
+
+async function listAppointmentTypes(organizationId, { enabledOnly = false } = {}) {
+  const types = await prisma.appointmentType.findMany({
+    where: { organizationId, ...(enabledOnly && { enabled: true }) },
+    include: { staff: { select: STAFF_SELECT, orderBy: { priority: "asc" } } },
+    orderBy: { name: "asc" },
+  });
+  return types.map(formatAppointmentType);
+}
+
+async function getAppointmentType(organizationId, id) {
+  const type = await prisma.appointmentType.findFirst({
+    where: { id, organizationId },
+    include: { staff: { select: STAFF_SELECT, orderBy: { priority: "asc" } } },
+  });
+  return type ? formatAppointmentType(type) : null;
+}
+
+/**
+ * Enabled type by id or name, as a caller might say it ("haircut" → "Haircut & Style")
+ */
+async function findAppointmentType(organizationId, nameOrId) {
+  if (!nameOrId) return null;
+
+  const types = await listAppointmentTypes(organizationId, { enabledOnly: true });
+  const wanted = String(nameOrId).trim().toLowerCase();
+
+  return (
+    types.find((t) => t.id === nameOrId) ||
+    types.find((t) => t.name.toLowerCase() === wanted) ||
+    types.find((t) => t.name.toLowerCase().includes(wanted) || wanted.includes(t.name.toLowerCase())) ||
+    null
+  );
+}
+
+/**
+ * Returns { data } or { error }
+ */
+async function createAppointmentType(organizationId, input) {
+  const { data, error } = validateAppointmentType(input);
+  if (error) return { error };
+
+  const type = await prisma.appointmentType.create({
+    data: { ...data, organizationId },
+  });
+
+  console.log(`📋 Appointment type created: ${type.name} (org ${organizationId})`);
+  return { data: await getAppointmentType(organizationId, type.id) };
+}
+
+/**
+ * Returns { data }, { error } or null when the type doesn't exist
+ */
+async function updateAppointmentType(organizationId, id, input) {
+  const existing = await prisma.appointmentType.findFirst({ where: { id, organizationId } });
+  if (!existing) return null;
+
+  const { data, error } = validateAppointmentType(input, { partial: true });
+  if (error) return { error };
+
+  await prisma.appointmentType.update({ where: { id }, data });
+  return { data: await getAppointmentType(organizationId, id) };
+}
+
+async function deleteAppointmentType(organizationId, id) {
+  const result = await prisma.appointmentType.deleteMany({ where: { id, organizationId } });
+  return result.count > 0;
+}
+
+/**
+ * Replace the staff who take a type, keeping round-robin history for members
+ * who stay on it. Only active members of the organization are kept.
+ * @param {Array<{userId: string, priority?: number}>} staff
+ */
+async function setAppointmentTypeStaff(organizationId, id, staff = []) {
+  const type = await prisma.appointmentType.findFirst({ where: { id, organizationId } });
+  if (!type) return null;
+
+  const memberships = await prisma.userOrganization.findMany({
+    where: { organizationId, userId: { in: staff.map((s) => s.userId) }, status: "ACTIVE" },
+    select: { userId: true },
+  });
+  const activeIds = new Set(memberships.map((m) => m.userId));
+  const kept = staff.filter((s) => activeIds.has(s.userId));
+
+  await prisma.$transaction([
+    prisma.appointmentTypeStaff.deleteMany({
+      where: { appointmentTypeId: id, userId: { notIn: kept.map((s) => s.userId) } },
+    }),
+    ...kept.map((s, index) =>
+      prisma.appointmentTypeStaff.upsert({
+        where: { appointmentTypeId_userId: { appointmentTypeId: id, userId: s.userId } },
+        update: { priority: Number.isInteger(s.priority) ? s.priority : index },
+        create: { appointmentTypeId: id, userId: s.userId, priority: Number.isInteger(s.priority) ? s.priority : index },
+      })
+    ),
+  ]);
+
+  return getAppointmentType(organizationId, id);
+}
+
+// ============================================================================
+// AVAILABILITY & ASSIGNMENT
+// ============================================================================
+
+/**
+ * Staff on a type who are still active members of the organization
+ */
+async function getEligibleStaff(organizationId, type) {
+  if (!type.staff.length) return [];
+
+  const memberships = await prisma.userOrganization.findMany({
+    where: { organizationId, userId: { in: type.staff.map((s) => s.userId) }, status: "ACTIVE" },
+    select: { userId: true },
+  });
+  const activeIds = new Set(memberships.map((m) => m.userId));
+  return type.staff.filter((s) => activeIds.has(s.userId));
+}
+
+/**
+ * Organization booking rules with the type's own buffer
+ */
+function getTypeRules(type, rules) {
+  return type.bufferMinutes === null || type.bufferMinutes === undefined
+    ? rules
+    : { ...rules, bufferMinutes: type.bufferMinutes };
+}
+
+/**
+ * Combine each staff member's free slots into one list
+ * @param {Array<{userId: string, busy: Array<{start, end}>}>} staffBusy
+ * @returns {Array<{start: Date, end: Date, formatted: string, staffIds: string[]}>}
+ */
+function mergeStaffSlots(localDate, type, staffBusy, rules, now = new Date()) {
+  const typeRules = getTypeRules(type, rules);
+  const byStart = new Map();
+
+  for (const { userId, busy } of staffBusy) {
+    for (const slot of generateSlots(localDate, type.duration, busy, typeRules, now)) {
+      const key = slot.start.getTime();
+      if (!byStart.has(key)) {
+        byStart.set(key, { ...slot, staffIds: [] });
+      }
+      byStart.get(key).staffIds.push(userId);
+    }
+  }
+
+  return [...byStart.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Free staff in the order they should take the booking
+ * ROUND_ROBIN: longest since their last assignment (never assigned first)
+ * PRIORITY: lowest priority number
+ */
+function rankStaff(type, freeUserIds) {
+  const candidates = type.staff.filter((s) => freeUserIds.includes(s.userId));
+
+  const lastAssigned = (s) => (s.lastAssignedAt ? new Date(s.lastAssignedAt).getTime() : 0);
+  const sorted = [...candidates].sort((a, b) =>
+    type.assignmentMode === "PRIORITY"
+      ? a.priority - b.priority || lastAssigned(a) - lastAssigned(b)
+      : lastAssigned(a) - lastAssigned(b) || a.priority - b.priority
+  );
+  return sorted.map((s) => s.userId);
+}
+
+/**
+ * Who takes the booking among the free staff, or null
+ */
+function pickStaff(type, freeUserIds) {
+  return rankStaff(type, freeUserIds)[0] || null;
+}
+
+async function markAssigned(appointmentTypeId, userId) {
+  await prisma.appointmentTypeStaff.updateMany({
+    where: { appointmentTypeId, userId },
+    data: { lastAssignedAt: new Date() },
+  });
+}
+
+/**
+ * Hold a staff member while their booking is made; false when another
+ * booking holds them
+ */
+async function holdStaff(organizationId, userId, now = new Date()) {
+  const { count } = await prisma.userOrganization.updateMany({
+    where: {
+      organizationId,
+      userId,
+      OR: [{ bookingHoldUntil: null }, { bookingHoldUntil: { lt: now } }],
+    },
+    data: { bookingHoldUntil: new Date(now.getTime() + STAFF_HOLD_MS) },
+  });
+  return count > 0;
+}
+
+async function releaseStaff(organizationId, userId) {
+  await prisma.userOrganization.updateMany({
+    where: { organizationId, userId },
+    data: { bookingHoldUntil: null },
+  });
+}
+
+/**
+ * "$45.00" or null when the type has no price
+ */
+function formatPrice(type, locale = "en-US") {
+  if (type.priceCents === null || type.priceCents === undefined) return null;
+  return new Intl.NumberFormat(locale, { style: "currency", currency: type.currency.toUpperCase() }).format(
+    type.priceCents / 100
+  );
+}
+
+module.exports = {
+  ASSIGNMENT_MODES,
+  validateAppointmentType,
+  missingIntakeAnswers,
+  listAppointmentTypes,
+  getAppointmentType,
+  findAppointmentType,
+  createAppointmentType,
+  updateAppointmentType,
+  deleteAppointmentType,
+  setAppointmentTypeStaff,
+  getEligibleStaff,
+  getTypeRules,
+  mergeStaffSlots,
+  rankStaff,
+  pickStaff,
+  markAssigned,
+  holdStaff,
+  releaseStaff,
+  formatPrice,
+};
@@ -20,6 +20,8 @@ const EVENTS = {
   CALL_COMPLETED: "call:completed",
   CALL_MISSED: "call:missed",
   CALL_TRANSFERRED: "call:transferred",
+  CALL_DISPOSITIONED: "call:dispositioned",
+  CAMPAIGN_CALL_COMPLETED: "campaign:callCompleted",
 
   // Lead events
   LEAD_CREATED: "lead:created",
@@ -31,6 +33,7 @@ const EVENTS = {
   APPOINTMENT_BOOKED: "appointment:booked",
   APPOINTMENT_REMINDER: "appointment:reminder",
   APPOINTMENT_CANCELLED: "appointment:cancelled",
+  APPOINTMENT_RESCHEDULED: "appointment:rescheduled",
   APPOINTMENT_NO_SHOW: "appointment:noShow",
 
   // Feedback events
@@ -49,6 +52,9 @@ const EVENTS = {
   // Channel events
   MESSAGE_RECEIVED: "message:received",
   CONVERSATION_STARTED: "conversation:started",
+
+  // AI receptionist send_webhook / follow-up events ({ type, caller, callSid, ... })
+  RECEPTIONIST_EVENT: "receptionist:event",
 };
 
 // ============================================================================
@@ -266,7 +272,8 @@ async function sendSmsAction(organizationId, action, eventData) {
   const phone = getNestedValue(eventData, action.phoneField) || eventData.phone;
   const message = interpolateTemplate(action.message, eventData);
 
-  await smsService.sendSMS(organizationId, phone, message);
+  const result = await smsService.sendSMS(organizationId, phone, message);
+  if (result.suppressed) return { sent: false, phone, suppressed: true };
   return { sent: true, phone };
 }
 
@@ -280,12 +287,21 @@ async function sendEmailAction(organizationId, action, eventData) {
   const subject = interpolateTemplate(action.subject, eventData);
   const body = interpolateTemplate(action.body, eventData);
 
+  const { isSuppressed } = require("./suppression.service");
+  if (await isSuppressed(organizationId, { email })) {
+    return { sent: false, email, suppressed: true };
+  }
+
   await emailService.sendEmail({
     to: email,
     subject,
     html: body,
   });
 
+  // Lead timeline
+  const { recordMessage } = require("./lead.service");
+  await recordMessage(organizationId, { email }, "email", `Email sent: ${subject}`, { subject });
+
   return { sent: true, email };
 }
 
@@ -585,6 +601,9 @@ async function emit(eventType, organizationId, eventData) {
   // Also emit to event bus for real-time listeners
   automationBus.emit(eventType, { organizationId, ...eventData });
 
+  // Webhook subscriptions (delivered in the background)
+  require("./webhook.service").dispatch(organizationId, eventType, eventData);
+
   return results;
 }
 
@@ -0,0 +1,360 @@
+// ============================================================================
+// HEKAX Phone - Booking Rules
+// Slot generation in the organization's timezone from its business hours,
+// closures, buffers, minimum notice and booking horizon
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const tz = require("../lib/timezone");
+
+const DEFAULT_TIMEZONE = "America/New_York";
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Used when the organization hasn't set business hours (Mon-Fri 9-5)
+const DEFAULT_BUSINESS_HOURS = {
+  mon: { enabled: true, start: "09:00", end: "17:00" },
+  tue: { enabled: true, start: "09:00", end: "17:00" },
+  wed: { enabled: true, start: "09:00", end: "17:00" },
+  thu: { enabled: true, start: "09:00", end: "17:00" },
+  fri: { enabled: true, start: "09:00", end: "17:00" },
+  sat: { enabled: false, start: "09:00", end: "17:00" },
+  sun: { enabled: false, start: "09:00", end: "17:00" },
+};
+
+// Organization columns (minutes / days) and their allowed ranges
+const RULE_LIMITS = {
+  bookingBufferMinutes: [0, 240],
+  bookingMinNoticeMinutes: [0, 14 * 24 * 60],
+  bookingMaxDaysAhead: [1, 365],
+  bookingSlotInterval: [5, 240],
+};
+
+const DAY_NAMES = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+};
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * "09:30" → 570
+ */
+function parseTime(value) {
+  const [hours, minutes] = String(value).split(":").map((n) => parseInt(n, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Booking rules from an organization record and its closures
+ */
+function buildBookingRules(org = {}, closures = []) {
+  return {
+    timezone: org.timezone && tz.isValidTimezone(org.timezone) ? org.timezone : DEFAULT_TIMEZONE,
+    locale: org.language || "en-US",
+    businessHours: org.businessHours || DEFAULT_BUSINESS_HOURS,
+    bufferMinutes: org.bookingBufferMinutes ?? 0,
+    minNoticeMinutes: org.bookingMinNoticeMinutes ?? 60,
+    maxDaysAhead: org.bookingMaxDaysAhead ?? 60,
+    slotInterval: org.bookingSlotInterval ?? 30,
+    closures: closures.map((c) => ({ id: c.id, name: c.name, startDate: c.startDate, endDate: c.endDate })),
+  };
+}
+
+/**
+ * Load an organization's booking rules (closures from today on)
+ */
+async function loadBookingRules(organizationId) {
+  const org = await prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: {
+      timezone: true,
+      language: true,
+      businessHours: true,
+      bookingBufferMinutes: true,
+      bookingMinNoticeMinutes: true,
+      bookingMaxDaysAhead: true,
+      bookingSlotInterval: true,
+    },
+  });
+
+  const today = tz.toLocalDate(new Date(), org?.timezone || DEFAULT_TIMEZONE);
+  const closures = await prisma.businessClosure.findMany({
+    where: { organizationId, endDate: { gte: today } },
+    orderBy: { startDate: "asc" },
+  });
+
+  return buildBookingRules(org || {}, closures);
+}
+
+/**
+ * Closure covering a local date, if any
+ */
+function findClosure(localDate, rules) {
+  return rules.closures.find((c) => c.startDate <= localDate && localDate <= c.endDate) || null;
+}
+
+/**
+ * Opening and closing minutes for a local date, or null when closed
+ */
+function getOpeningHours(localDate, rules) {
+  if (findClosure(localDate, rules)) return null;
+
+  const day = rules.businessHours[DAY_KEYS[tz.weekdayOf(localDate)]];
+  if (!day || !day.enabled) return null;
+
+  const open = parseTime(day.start);
+  const close = parseTime(day.end);
+  return close > open ? { open, close } : null;
+}
+
+/**
+ * Accept a Date or "YYYY-MM-DD" and return the local date in the rules' timezone
+ */
+function resolveLocalDate(date, rules) {
+  if (tz.isLocalDate(date)) return date;
+  return tz.toLocalDate(date instanceof Date ? date : new Date(date), rules.timezone);
+}
+
+/**
+ * First and last instant of a local day (for provider free/busy queries)
+ */
+function getDayRange(localDate, rules) {
+  return {
+    start: tz.zonedTimeToUtc(localDate, 0, rules.timezone),
+    end: new Date(tz.zonedTimeToUtc(tz.addDays(localDate, 1), 0, rules.timezone).getTime() - 1),
+  };
+}
+
+// ============================================================================
+// SLOTS
+// ============================================================================
+
+/**
+ * Why a start time can't be booked, or null if it can
+ * @param {Date} start - Requested start
+ * @param {number} duration - Minutes
+ * @param {Array<{start, end}>} busySlots - Existing events
+ */
+function checkSlot(start, duration, rules, busySlots = [], now = new Date()) {
+  const end = new Date(start.getTime() + duration * 60000);
+  const localDate = tz.toLocalDate(start, rules.timezone);
+
+  const closure = findClosure(localDate, rules);
+  if (closure) {
+    return `We're closed on ${formatDate(start, rules)} (${closure.name})`;
+  }
+
+  const hours = getOpeningHours(localDate, rules);
+  const parts = tz.getZonedParts(start, rules.timezone);
+  const startMinutes = parts.hour * 60 + parts.minute;
+  if (!hours || startMinutes < hours.open || startMinutes + duration > hours.close) {
+    return "That time is outside business hours";
+  }
+
+  if (start.getTime() < now.getTime() + rules.minNoticeMinutes * 60000) {
+    return "That time is too soon to book";
+  }
+
+  const lastDate = tz.addDays(tz.toLocalDate(now, rules.timezone), rules.maxDaysAhead);
+  if (localDate > lastDate) {
+    return `Appointments can only be booked up to ${rules.maxDaysAhead} days ahead`;
+  }
+
+  const buffer = rules.bufferMinutes * 60000;
+  const conflict = busySlots.some((busy) => {
+    const busyStart = new Date(busy.start).getTime();
+    const busyEnd = new Date(busy.end).getTime();
+    return start.getTime() < busyEnd + buffer && end.getTime() > busyStart - buffer;
+  });
+  if (conflict) {
+    return "That time is already booked";
+  }
+
+  return null;
+}
+
+/**
+ * Bookable slots on a local date
+ * @returns {Array<{start: Date, end: Date, formatted: string}>}
+ */
+function generateSlots(localDate, duration, busySlots, rules, now = new Date()) {
+  const hours = getOpeningHours(localDate, rules);
+  if (!hours) return [];
+
+  const slots = [];
+  for (let minutes = hours.open; minutes + duration <= hours.close; minutes += rules.slotInterval) {
+    const start = tz.zonedTimeToUtc(localDate, minutes, rules.timezone);
+    if (checkSlot(start, duration, rules, busySlots, now)) continue;
+
+    const end = new Date(start.getTime() + duration * 60000);
+    slots.push({ start, end, formatted: formatTimeSlot(start, end, rules) });
+  }
+  return slots;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatTime(date, rules) {
+  return date.toLocaleTimeString(rules.locale, { timeZone: rules.timezone, hour: "numeric", minute: "2-digit" });
+}
+
+function formatDate(date, rules) {
+  return date.toLocaleDateString(rules.locale, {
+    timeZone: rules.timezone,
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * "9:00 AM - 9:30 AM" in the rules' timezone and locale
+ */
+function formatTimeSlot(start, end, rules) {
+  return `${formatTime(start, rules)} - ${formatTime(end, rules)}`;
+}
+
+/**
+ * "Tuesday, October 20 at 2:00 PM" for confirmations
+ */
+function formatDateTime(date, rules) {
+  return `${formatDate(date, rules)} at ${formatTime(date, rules)}`;
+}
+
+/**
+ * iCalendar UID for a booking (shared by emailed invites and ICS feeds so
+ * calendar apps treat them as the same event)
+ */
+function bookingUid(bookingId) {
+  return `${bookingId}@hekaxphone.com`;
+}
+
+// ============================================================================
+// NATURAL LANGUAGE PARSING
+// ============================================================================
+
+/**
+ * Resolve a spoken date and time ("next tuesday", "2:30 pm") to an instant,
+ * reading both as wall-clock time in `timezone`
+ */
+function parseDateTime(dateStr, timeStr, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const today = tz.toLocalDate(now, timezone);
+  const todayWeekday = tz.weekdayOf(today);
+  let localDate = today;
+
+  // Parse date
+  const dateLower = (dateStr || "").toLowerCase().trim();
+  const dayName = dateLower.replace(/^(next|this) /, "");
+
+  if (dateLower === "tomorrow") {
+    localDate = tz.addDays(today, 1);
+  } else if (tz.isLocalDate(dateLower)) {
+    localDate = dateLower;
+  } else if (DAY_NAMES[dayName] !== undefined) {
+    let daysUntil = DAY_NAMES[dayName] - todayWeekday;
+    if (daysUntil <= 0) daysUntil += 7;
+    localDate = tz.addDays(today, daysUntil);
+  }
+
+  // Parse time
+  const timeLower = (timeStr || "").toLowerCase().trim();
+  let hours = 9; // Default to 9 AM
+  let minutes = 0;
+
+  if (timeLower === "morning") {
+    hours = 9;
+  } else if (timeLower === "noon") {
+    hours = 12;
+  } else if (timeLower === "afternoon") {
+    hours = 14;
+  } else if (timeLower === "evening") {
+    hours = 17;
+  } else {
+    const match = timeLower.match(/^(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+    if (match) {
+      hours = parseInt(match[1], 10);
+      minutes = match[2] ? parseInt(match[2], 10) : 0;
+      const meridiem = match[3]?.[0];
+      if (meridiem === "p" && hours < 12) hours += 12;
+      if (meridiem === "a" && hours === 12) hours = 0;
+    }
+  }
+
+  return tz.zonedTimeToUtc(localDate, hours * 60 + minutes, timezone);
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Validate booking rule updates
+ * Returns { data } or { error }
+ */
+function validateBookingSettings(input = {}) {
+  const data = {};
+
+  for (const [field, [min, max]] of Object.entries(RULE_LIMITS)) {
+    if (input[field] === undefined) continue;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    data[field] = value;
+  }
+
+  return { data };
+}
+
+/**
+ * Validate a closure: { name, startDate, endDate? } with YYYY-MM-DD dates
+ */
+function validateClosure(input = {}) {
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  const startDate = input.startDate;
+  const endDate = input.endDate || input.startDate;
+
+  if (!name) {
+    return { error: "name is required" };
+  }
+  if (name.length > 100) {
+    return { error: "name must be 100 characters or less" };
+  }
+  if (!tz.isLocalDate(startDate) || !tz.isLocalDate(endDate)) {
+    return { error: "startDate and endDate must be YYYY-MM-DD" };
+  }
+  if (endDate < startDate) {
+    return { error: "endDate must be on or after startDate" };
+  }
+
+  return { data: { name, startDate, endDate } };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_BUSINESS_HOURS,
+  RULE_LIMITS,
+  buildBookingRules,
+  loadBookingRules,
+  findClosure,
+  getOpeningHours,
+  resolveLocalDate,
+  getDayRange,
+  checkSlot,
+  generateSlots,
+  formatTimeSlot,
+  formatDateTime,
+  bookingUid,
+  parseDateTime,
+  validateBookingSettings,
+  validateClosure,
+};
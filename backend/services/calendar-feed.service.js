@@ -0,0 +1,148 @@
+// ============================================================================
+// HEKAX Phone - Calendar Feed Service
+// Secret ICS subscription URLs for the organization's or a team member's bookings
+// ============================================================================
+
+const crypto = require("crypto");
+const prisma = require("../lib/prisma");
+const { buildCalendar } = require("../lib/ics");
+const { bookingUid } = require("./booking.service");
+
+// Window of bookings published in a feed
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+const ICS_STATUS = {
+  PENDING: "TENTATIVE",
+  CONFIRMED: "CONFIRMED",
+  COMPLETED: "CONFIRMED",
+  NO_SHOW: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+};
+
+function feedUrl(token) {
+  return `${process.env.PUBLIC_BASE_URL || ""}/api/calendar/feeds/${token}.ics`;
+}
+
+function formatFeed(feed) {
+  return feed
+    ? {
+        id: feed.id,
+        url: feedUrl(feed.token),
+        lastAccessedAt: feed.lastAccessedAt,
+        createdAt: feed.createdAt,
+      }
+    : null;
+}
+
+/**
+ * Organization feed (null userId) or a member's feed
+ */
+async function getFeed(organizationId, userId = null) {
+  const feed = await prisma.calendarFeed.findFirst({ where: { organizationId, userId } });
+  return formatFeed(feed);
+}
+
+/**
+ * Create the feed, or replace its token so the old URL stops working
+ */
+async function createOrRotateFeed(organizationId, userId = null) {
+  const token = crypto.randomBytes(24).toString("hex");
+  const existing = await prisma.calendarFeed.findFirst({ where: { organizationId, userId } });
+
+  const feed = existing
+    ? await prisma.calendarFeed.update({ where: { id: existing.id }, data: { token, lastAccessedAt: null } })
+    : await prisma.calendarFeed.create({ data: { organizationId, userId, token } });
+
+  console.log(`📅 Calendar feed ${existing ? "rotated" : "created"} for org ${organizationId}${userId ? ` user ${userId}` : ""}`);
+  return formatFeed(feed);
+}
+
+async function deleteFeed(organizationId, userId = null) {
+  const result = await prisma.calendarFeed.deleteMany({ where: { organizationId, userId } });
+  return result.count > 0;
+}
+
+/**
+ * VEVENT for a booking
+ */
+function bookingToEvent(booking) {
+  const lines = [
+    `Caller: ${booking.callerName}`,
+    `Phone: ${booking.callerPhone || "Not provided"}`,
+    booking.callerEmail && `Email: ${booking.callerEmail}`,
+    booking.purpose && `Purpose: ${booking.purpose}`,
+    booking.staff?.name && `Staff: ${booking.staff.name}`,
+    booking.bookedByAI && "Booked by the AI receptionist",
+  ].filter(Boolean);
+
+  return {
+    uid: bookingUid(booking.id),
+    start: booking.scheduledAt,
+    end: new Date(booking.scheduledAt.getTime() + booking.duration * 60000),
+    summary: `${booking.purpose || "Appointment"} - ${booking.callerName}`,
+    description: lines.join("\n"),
+    location: booking.meetLink || "Phone Call",
+    status: ICS_STATUS[booking.status] || "CONFIRMED",
+    updatedAt: booking.updatedAt,
+  };
+}
+
+/**
+ * ICS document for a feed token
+ * Returns { data } or { error }
+ */
+async function renderFeed(token) {
+  const feed = await prisma.calendarFeed.findUnique({
+    where: { token },
+    include: {
+      organization: { select: { name: true } },
+      user: { select: { name: true } },
+    },
+  });
+
+  if (!feed) {
+    return { error: "Feed not found" };
+  }
+
+  // A member's feed stops working once they leave the organization
+  if (feed.userId) {
+    const membership = await prisma.userOrganization.findFirst({
+      where: { userId: feed.userId, organizationId: feed.organizationId, status: "ACTIVE" },
+    });
+    if (!membership) {
+      return { error: "Feed not found" };
+    }
+  }
+
+  const now = Date.now();
+  const bookings = await prisma.calendarBooking.findMany({
+    where: {
+      organizationId: feed.organizationId,
+      ...(feed.userId && { staffId: feed.userId }),
+      scheduledAt: {
+        gte: new Date(now - FEED_PAST_DAYS * 24 * 60 * 60 * 1000),
+        lte: new Date(now + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000),
+      },
+    },
+    include: { staff: { select: { name: true } } },
+    orderBy: { scheduledAt: "asc" },
+  });
+
+  await prisma.calendarFeed.update({
+    where: { id: feed.id },
+    data: { lastAccessedAt: new Date() },
+  });
+
+  const name = feed.user ? `${feed.organization.name} - ${feed.user.name}` : feed.organization.name;
+  return { data: buildCalendar(bookings.map(bookingToEvent), { name }) };
+}
+
+module.exports = {
+  feedUrl,
+  getFeed,
+  createOrRotateFeed,
+  deleteFeed,
+  bookingToEvent,
+  renderFeed,
+};
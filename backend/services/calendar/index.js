@@ -1,11 +1,21 @@
 // ============================================================================
 // HEKAX Phone - Calendar Service
-// Unified calendar integration for Google, Outlook, and Calendly
+// Unified calendar integration for Google, Outlook, Calendly, CalDAV and the
+// built-in calendar (used when nothing is connected), plus team members'
+// personal calendars for appointment types
 // ============================================================================
 
 const GoogleCalendarProvider = require("./providers/google");
 const OutlookCalendarProvider = require("./providers/outlook");
 const CalendlyProvider = require("./providers/calendly");
+const CalDavCalendarProvider = require("./providers/caldav");
+const NativeCalendarProvider = require("./providers/native");
+const bookingService = require("../booking.service");
+const appointmentTypeService = require("../appointment-type.service");
+const { toLocalDate, addDays } = require("../../lib/timezone");
+const { buildCalendar } = require("../../lib/ics");
+const { emailService } = require("../email");
+const automationService = require("../automation.service");
 
 // ============================================================================
 // CALENDAR PROVIDER TYPES
@@ -14,49 +24,91 @@ const CalendarProvider = {
   GOOGLE: "google",
   OUTLOOK: "outlook",
   CALENDLY: "calendly",
+  CALDAV: "caldav",
+  NATIVE: "native",
 };
 
+const PROVIDER_CLASSES = {
+  [CalendarProvider.GOOGLE]: GoogleCalendarProvider,
+  [CalendarProvider.OUTLOOK]: OutlookCalendarProvider,
+  [CalendarProvider.CALENDLY]: CalendlyProvider,
+  [CalendarProvider.CALDAV]: CalDavCalendarProvider,
+  [CalendarProvider.NATIVE]: NativeCalendarProvider,
+};
+
+// Bookings that hold their staff member's time
+const ACTIVE_BOOKING_STATUSES = ["PENDING", "CONFIRMED"];
+
+/**
+ * Whether a calendar event is the booking being moved (so it doesn't block itself)
+ * @param {{bookingId: string, eventId?: string}|null} ignore
+ */
+function isIgnoredEvent(event, ignore) {
+  return Boolean(ignore) && (event.id === ignore.bookingId || (Boolean(ignore.eventId) && event.id === ignore.eventId));
+}
+
 // ============================================================================
 // UNIFIED CALENDAR SERVICE
 // ============================================================================
 class CalendarService {
   constructor(prisma) {
     this.prisma = prisma;
-    this.providers = {
-      [CalendarProvider.GOOGLE]: new GoogleCalendarProvider(),
-      [CalendarProvider.OUTLOOK]: new OutlookCalendarProvider(),
-      [CalendarProvider.CALENDLY]: new CalendlyProvider(),
-    };
   }
 
   // ===========================================================================
   // GET PROVIDER FOR ORGANIZATION
+  // A fresh instance per call: organizations and staff calendars hold
+  // different credentials
   // ===========================================================================
-  async getProvider(organizationId) {
+  async getProvider(organizationId, bookingRules = null) {
     const settings = await this.prisma.calendarIntegration.findFirst({
       where: {
         organizationId,
+        ownerId: null,
         enabled: true,
       },
     });
 
-    if (!settings) {
-      return null;
-    }
+    // Nothing connected: book into the built-in calendar
+    return this.createProvider(organizationId, settings, bookingRules);
+  }
 
-    const provider = this.providers[settings.provider];
-    if (!provider) {
+  /**
+   * A team member's personal calendar, or null if they haven't connected one
+   */
+  async getStaffProvider(organizationId, userId, bookingRules = null) {
+    const settings = await this.prisma.calendarIntegration.findFirst({
+      where: {
+        organizationId,
+        ownerId: userId,
+        enabled: true,
+      },
+    });
+
+    return settings ? this.createProvider(organizationId, settings, bookingRules) : null;
+  }
+
+  async createProvider(organizationId, settings, bookingRules = null) {
+    // Stored as the CalendarProviderType enum (GOOGLE, OUTLOOK, CALENDLY, CALDAV)
+    const key = settings ? settings.provider.toLowerCase() : CalendarProvider.NATIVE;
+    const ProviderClass = PROVIDER_CLASSES[key];
+    if (!ProviderClass) {
       throw new Error(`Unknown calendar provider: ${settings.provider}`);
     }
 
-    // Initialize provider with credentials
+    // Initialize provider with credentials and the organization's booking rules
+    const provider = new ProviderClass();
     await provider.initialize({
-      accessToken: settings.accessToken,
-      refreshToken: settings.refreshToken,
-      expiresAt: settings.tokenExpiresAt,
-      calendarId: settings.calendarId,
+      integrationId: settings?.id,
+      accessToken: settings?.accessToken,
+      refreshToken: settings?.refreshToken,
+      expiresAt: settings?.tokenExpiresAt,
+      calendarId: settings?.calendarId,
+      serverUrl: settings?.serverUrl,
+      username: settings?.username,
       organizationId,
       prisma: this.prisma,
+      bookingRules: bookingRules || (await bookingService.loadBookingRules(organizationId)),
     });
 
     return provider;
@@ -64,6 +116,7 @@ class CalendarService {
 
   // ===========================================================================
   // CHECK AVAILABILITY
+  // date: "YYYY-MM-DD" in the organization's timezone (or a Date on that day)
   // ===========================================================================
   async checkAvailability(organizationId, date, duration = 30) {
     const provider = await this.getProvider(organizationId);
@@ -90,8 +143,8 @@ class CalendarService {
   // ===========================================================================
   // BOOK APPOINTMENT
   // ===========================================================================
-  async bookAppointment(organizationId, appointment) {
-    const provider = await this.getProvider(organizationId);
+  async bookAppointment(organizationId, appointment, bookingRules = null) {
+    const provider = await this.getProvider(organizationId, bookingRules);
     if (!provider) {
       return {
         success: false,
@@ -101,28 +154,274 @@ class CalendarService {
     }
 
     try {
-      const result = await provider.createEvent({
-        title: appointment.title || `Call with ${appointment.callerName}`,
-        description: this.formatDescription(appointment),
-        startTime: appointment.startTime,
-        endTime: appointment.endTime || this.addMinutes(appointment.startTime, appointment.duration || 30),
-        attendees: appointment.attendees || [],
-        location: appointment.location || "Phone Call",
-        callerPhone: appointment.callerPhone,
-        callerName: appointment.callerName,
-        callerEmail: appointment.callerEmail,
-        purpose: appointment.purpose,
+      const duration = appointment.duration || 30;
+
+      // Hold the requested time to the booking rules and existing events
+      const reason = await this.checkSlot(provider, appointment.startTime, duration);
+      if (reason) {
+        return {
+          success: false,
+          unavailable: true,
+          error: reason,
+          alternatives: await this.findNextAvailable(provider, appointment.startTime, duration),
+          timezone: provider.timezone,
+        };
+      }
+
+      return await this.createBooking(organizationId, provider, { ...appointment, duration });
+    } catch (error) {
+      console.error("❌ Calendar booking error:", error.message);
+      return {
+        success: false,
+        error: error.message,
+        needsManualBooking: true,
+      };
+    }
+  }
+
+  /**
+   * Create the event, log the booking and email the caller a confirmation
+   */
+  async createBooking(organizationId, provider, appointment) {
+    const result = await provider.createEvent({
+      title: appointment.title || `Call with ${appointment.callerName}`,
+      description: this.formatDescription(appointment),
+      startTime: appointment.startTime,
+      endTime: appointment.endTime || this.addMinutes(appointment.startTime, appointment.duration),
+      attendees: appointment.attendees || [],
+      location: appointment.location || "Phone Call",
+      callerPhone: appointment.callerPhone,
+      callerName: appointment.callerName,
+      callerEmail: appointment.callerEmail,
+      purpose: appointment.purpose,
+      callSid: appointment.callSid,
+      staffId: appointment.staffId,
+      bookedByAI: appointment.bookedByAI,
+      appointmentTypeId: appointment.appointmentTypeId,
+      intakeAnswers: appointment.intakeAnswers,
+    });
+
+    // Log the booking (the built-in calendar's event already is one)
+    const booking = result.bookingId
+      ? { id: result.bookingId }
+      : await this.logBooking(
+          organizationId,
+          { ...appointment, timezone: provider.timezone, calendarIntegrationId: provider.integrationId },
+          result
+        );
+
+    // Calendly only returns a scheduling link until the invitee confirms
+    if (appointment.callerEmail && booking && !result.needsInviteeAction) {
+      await this.sendConfirmation(organizationId, booking.id, appointment, provider.timezone);
+    }
+
+    return {
+      success: true,
+      eventId: result.eventId,
+      eventLink: result.eventLink,
+      confirmedTime: result.confirmedTime,
+      timezone: provider.timezone,
+      bookingId: booking?.id,
+    };
+  }
+
+  // ===========================================================================
+  // APPOINTMENT TYPES
+  // Availability is combined across the type's staff: each member is busy
+  // during their personal calendar's events and their own bookings. Types
+  // without staff book on the organization calendar.
+  // ===========================================================================
+
+  /**
+   * Events on a staff member's personal calendar plus their active bookings
+   */
+  async getStaffBusy(organizationId, userId, startDate, endDate, bookingRules, ignore = null) {
+    const busy = [];
+
+    const provider = await this.getStaffProvider(organizationId, userId, bookingRules);
+    if (provider) {
+      const events = await provider.getEvents(startDate, endDate);
+      busy.push(...events.filter((event) => !event.isAllDay && !isIgnoredEvent(event, ignore)));
+    }
+
+    const bookings = await this.prisma.calendarBooking.findMany({
+      where: {
+        organizationId,
+        staffId: userId,
+        ...(ignore && { id: { not: ignore.bookingId } }),
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        scheduledAt: { gte: new Date(startDate.getTime() - 24 * 60 * 60 * 1000), lte: endDate },
+      },
+      select: { scheduledAt: true, duration: true },
+    });
+    for (const booking of bookings) {
+      busy.push({
+        start: booking.scheduledAt,
+        end: new Date(booking.scheduledAt.getTime() + booking.duration * 60000),
       });
+    }
+
+    return busy;
+  }
+
+  /**
+   * Busy time for each eligible staff member; members whose calendar can't
+   * be read are left out rather than failing the whole lookup
+   */
+  async getStaffBusyList(organizationId, staff, startDate, endDate, bookingRules) {
+    const list = [];
+    for (const member of staff) {
+      try {
+        list.push({
+          userId: member.userId,
+          busy: await this.getStaffBusy(organizationId, member.userId, startDate, endDate, bookingRules),
+        });
+      } catch (error) {
+        console.error(`⚠️ Staff calendar error (${member.userId}):`, error.message);
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Open slots for an appointment type on a local date
+   * @returns {{available: boolean, slots: Array<{start, end, formatted, staffIds}>, date: string, timezone: string}}
+   */
+  async getTypeAvailability(organizationId, type, date) {
+    const rules = await bookingService.loadBookingRules(organizationId);
+    const typeRules = appointmentTypeService.getTypeRules(type, rules);
+    const staff = await appointmentTypeService.getEligibleStaff(organizationId, type);
+
+    if (!staff.length) {
+      const provider = await this.getProvider(organizationId, typeRules);
+      const availability = await provider.getAvailableSlots(date, type.duration);
+      return { ...availability, timezone: rules.timezone };
+    }
+
+    const localDate = bookingService.resolveLocalDate(date, rules);
+    const { start, end } = bookingService.getDayRange(localDate, rules);
+    const staffBusy = await this.getStaffBusyList(organizationId, staff, start, end, typeRules);
+    const slots = appointmentTypeService.mergeStaffSlots(localDate, type, staffBusy, rules);
+
+    return {
+      available: slots.length > 0,
+      slots,
+      date: localDate,
+      timezone: rules.timezone,
+    };
+  }
+
+  /**
+   * Next open slots for a type on or after a time, searching up to two weeks ahead
+   */
+  async findNextTypeAvailable(organizationId, type, from, limit = 3) {
+    const rules = await bookingService.loadBookingRules(organizationId);
+    const firstDate = toLocalDate(from, rules.timezone);
+    const slots = [];
+
+    for (let day = 0; day < 14 && slots.length < limit; day++) {
+      const localDate = addDays(firstDate, day);
+      if (!bookingService.getOpeningHours(localDate, rules)) continue;
+
+      try {
+        const availability = await this.getTypeAvailability(organizationId, type, localDate);
+        for (const slot of availability.slots || []) {
+          if (slot.start >= from && slots.length < limit) {
+            slots.push({ ...slot, formatted: bookingService.formatDateTime(slot.start, rules) });
+          }
+        }
+      } catch (error) {
+        console.error("⚠️ Calendar alternative search error:", error.message);
+        break;
+      }
+    }
 
-      // Log the booking
-      await this.logBooking(organizationId, appointment, result);
+    return slots;
+  }
 
+  /**
+   * Book an appointment type: checks intake answers, picks a free staff
+   * member (round-robin or priority) and books on their calendar, or the
+   * organization calendar when they haven't connected one
+   * @param {Object} type - From appointmentTypeService (with staff)
+   * @param {Object} appointment - As bookAppointment, plus intakeAnswers and an optional staffId
+   */
+  async bookAppointmentType(organizationId, type, appointment) {
+    const missing = appointmentTypeService.missingIntakeAnswers(type, appointment.intakeAnswers);
+    if (missing.length) {
       return {
-        success: true,
-        eventId: result.eventId,
-        eventLink: result.eventLink,
-        confirmedTime: result.confirmedTime,
+        success: false,
+        error: `Please answer: ${missing.join(" ")}`,
+        missingIntake: missing,
       };
+    }
+
+    const typed = {
+      ...appointment,
+      duration: type.duration,
+      endTime: this.addMinutes(appointment.startTime, type.duration),
+      purpose: appointment.purpose || type.name,
+      appointmentTypeId: type.id,
+      appointmentType: type.name,
+    };
+
+    const rules = await bookingService.loadBookingRules(organizationId);
+    const typeRules = appointmentTypeService.getTypeRules(type, rules);
+    const staff = await appointmentTypeService.getEligibleStaff(organizationId, type);
+
+    if (!staff.length) {
+      return this.bookAppointment(organizationId, typed, typeRules);
+    }
+
+    try {
+      const startTime = appointment.startTime;
+      const unavailable = async (error) => ({
+        success: false,
+        unavailable: true,
+        error,
+        alternatives: await this.findNextTypeAvailable(organizationId, type, startTime),
+        timezone: rules.timezone,
+      });
+
+      const ruleError = bookingService.checkSlot(startTime, type.duration, typeRules);
+      if (ruleError) return unavailable(ruleError);
+
+      // Who is free at the requested time
+      const candidates = appointment.staffId ? staff.filter((s) => s.userId === appointment.staffId) : staff;
+      const padding = (typeRules.bufferMinutes + type.duration) * 60000;
+      const windowStart = new Date(startTime.getTime() - padding);
+      const windowEnd = new Date(startTime.getTime() + padding);
+      const staffBusy = await this.getStaffBusyList(organizationId, candidates, windowStart, windowEnd, typeRules);
+      const freeIds = staffBusy
+        .filter(({ busy }) => !bookingService.checkSlot(startTime, type.duration, typeRules, busy))
+        .map(({ userId }) => userId);
+
+      // Hold each pick before booking: a concurrent caller who chose the same
+      // member moves on to the next, and the time is checked again under the hold
+      for (const staffId of appointmentTypeService.rankStaff(type, freeIds)) {
+        if (!(await appointmentTypeService.holdStaff(organizationId, staffId))) continue;
+
+        try {
+          const busy = await this.getStaffBusy(organizationId, staffId, windowStart, windowEnd, typeRules);
+          if (bookingService.checkSlot(startTime, type.duration, typeRules, busy)) continue;
+
+          const provider =
+            (await this.getStaffProvider(organizationId, staffId, typeRules)) ||
+            (await this.getProvider(organizationId, typeRules));
+
+          const result = await this.createBooking(organizationId, provider, { ...typed, staffId });
+          await appointmentTypeService.markAssigned(type.id, staffId);
+
+          const member = type.staff.find((s) => s.userId === staffId);
+          console.log(`📋 ${type.name} assigned to ${member?.name || staffId} (${type.assignmentMode})`);
+
+          return { ...result, staffId, staffName: member?.name };
+        } finally {
+          await appointmentTypeService.releaseStaff(organizationId, staffId);
+        }
+      }
+
+      return unavailable("That time is already booked");
     } catch (error) {
       console.error("❌ Calendar booking error:", error.message);
       return {
@@ -133,11 +432,288 @@ class CalendarService {
     }
   }
 
+  // ===========================================================================
+  // SLOT CHECKS
+  // ===========================================================================
+
+  /**
+   * Why a start time can't be booked on the provider's calendar, or null
+   */
+  async checkSlot(provider, startTime, duration, ignore = null) {
+    const rules = provider.getBusinessHours();
+    const ruleError = bookingService.checkSlot(startTime, duration, rules);
+    if (ruleError) return ruleError;
+
+    const padding = (rules.bufferMinutes + duration) * 60000;
+    const events = await provider.getEvents(
+      new Date(startTime.getTime() - padding),
+      new Date(startTime.getTime() + padding)
+    );
+    const busySlots = events.filter((event) => !event.isAllDay && !isIgnoredEvent(event, ignore));
+    return bookingService.checkSlot(startTime, duration, rules, busySlots);
+  }
+
+  /**
+   * Next bookable slots on or after a time, searching up to two weeks ahead
+   */
+  async findNextAvailable(provider, from, duration = 30, limit = 3) {
+    const rules = provider.getBusinessHours();
+    const firstDate = toLocalDate(from, rules.timezone);
+    const slots = [];
+
+    for (let day = 0; day < 14 && slots.length < limit; day++) {
+      const localDate = addDays(firstDate, day);
+      if (!bookingService.getOpeningHours(localDate, rules)) continue;
+
+      try {
+        const availability = await provider.getAvailableSlots(localDate, duration);
+        for (const slot of availability.slots || []) {
+          if (slot.start >= from && slots.length < limit) {
+            slots.push({ ...slot, formatted: bookingService.formatDateTime(slot.start, rules) });
+          }
+        }
+      } catch (error) {
+        console.error("⚠️ Calendar alternative search error:", error.message);
+        break;
+      }
+    }
+
+    return slots;
+  }
+
+  // ===========================================================================
+  // CHANGE BOOKINGS
+  // Caller-initiated reschedules and cancellations (phone, SMS, dashboard):
+  // sync the calendar event, update the booking and fire automation events
+  // ===========================================================================
+
+  /**
+   * A caller's active bookings from now on, soonest first
+   */
+  async findUpcomingBookings(organizationId, phone, limit = 5) {
+    const digits = String(phone || "").replace(/\D/g, "");
+    if (digits.length < 7) return [];
+
+    return this.prisma.calendarBooking.findMany({
+      where: {
+        organizationId,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        scheduledAt: { gte: new Date() },
+        OR: [{ callerPhone: phone }, { callerPhone: { endsWith: digits.slice(-10) } }],
+      },
+      include: { appointmentType: { select: { name: true } } },
+      orderBy: { scheduledAt: "asc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Open times to move a booking to, on or after a time. Staff bookings stay
+   * with the same staff member.
+   */
+  async findRescheduleOptions(organizationId, booking, from = new Date(), limit = 3) {
+    if (booking.appointmentTypeId && booking.staffId) {
+      const type = await appointmentTypeService.getAppointmentType(organizationId, booking.appointmentTypeId);
+      if (type) {
+        const staff = [{ userId: booking.staffId, priority: 0, lastAssignedAt: null }];
+        return this.findNextTypeAvailable(organizationId, { ...type, duration: booking.duration, staff }, from, limit);
+      }
+    }
+
+    const provider = await this.getBookingProvider(organizationId, booking.calendarIntegrationId);
+    return this.findNextAvailable(provider, from, booking.duration, limit);
+  }
+
+  /**
+   * Why a booking can't move to a time, or null. The booking's own event
+   * doesn't count as busy. Staff bookings check only that staff member.
+   */
+  async checkReschedule(organizationId, booking, provider, startTime) {
+    const ignore = { bookingId: booking.id, eventId: booking.eventId };
+
+    if (!booking.staffId) {
+      return this.checkSlot(provider, startTime, booking.duration, ignore);
+    }
+
+    const type = booking.appointmentTypeId
+      ? await appointmentTypeService.getAppointmentType(organizationId, booking.appointmentTypeId)
+      : null;
+    const rules = await bookingService.loadBookingRules(organizationId);
+    const typeRules = type ? appointmentTypeService.getTypeRules(type, rules) : rules;
+
+    const ruleError = bookingService.checkSlot(startTime, booking.duration, typeRules);
+    if (ruleError) return ruleError;
+
+    const padding = (typeRules.bufferMinutes + booking.duration) * 60000;
+    const busy = await this.getStaffBusy(
+      organizationId,
+      booking.staffId,
+      new Date(startTime.getTime() - padding),
+      new Date(startTime.getTime() + padding),
+      typeRules,
+      ignore
+    );
+    return bookingService.checkSlot(startTime, booking.duration, typeRules, busy);
+  }
+
+  /**
+   * Move a booking to a new start time
+   * @param {string} source - Who asked: "ai" | "sms" | "dashboard"
+   * @returns {{success, booking?, previousTime?, timezone?, unavailable?, alternatives?, error?}}
+   */
+  async rescheduleBooking(organizationId, bookingId, startTime, { source } = {}) {
+    const booking = await this.prisma.calendarBooking.findFirst({
+      where: { id: bookingId, organizationId },
+    });
+    if (!booking) {
+      return { success: false, error: "Booking not found" };
+    }
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return { success: false, error: `This appointment is ${booking.status.toLowerCase().replace("_", " ")}` };
+    }
+
+    try {
+      const provider = await this.getBookingProvider(organizationId, booking.calendarIntegrationId);
+
+      const reason = await this.checkReschedule(organizationId, booking, provider, startTime);
+      if (reason) {
+        return {
+          success: false,
+          unavailable: true,
+          error: reason,
+          alternatives: await this.findRescheduleOptions(organizationId, booking, startTime),
+          timezone: booking.timezone,
+        };
+      }
+
+      // Claim the move first: a cancel or another reschedule since we read
+      // the booking wins, and its calendar event is left alone
+      const { count } = await this.prisma.calendarBooking.updateMany({
+        where: { id: booking.id, status: { in: ACTIVE_BOOKING_STATUSES }, scheduledAt: booking.scheduledAt },
+        data: { scheduledAt: startTime, reminderSent: false },
+      });
+      if (count === 0) {
+        return { success: false, error: "This appointment was just changed. Please check it and try again." };
+      }
+
+      // Bookings on the built-in calendar have no external event to move
+      const endTime = this.addMinutes(startTime, booking.duration);
+      if (booking.eventId) {
+        let result;
+        try {
+          result = await provider.updateEvent(booking.eventId, { startTime, endTime, duration: booking.duration });
+        } catch (error) {
+          await this.prisma.calendarBooking.updateMany({
+            where: { id: booking.id, scheduledAt: startTime },
+            data: { scheduledAt: booking.scheduledAt, reminderSent: booking.reminderSent },
+          });
+          throw error;
+        }
+        if (result.eventLink && result.eventLink !== booking.eventLink) {
+          await this.prisma.calendarBooking.update({ where: { id: booking.id }, data: { eventLink: result.eventLink } });
+        }
+      }
+
+      const updated = await this.prisma.calendarBooking.findUnique({ where: { id: booking.id } });
+
+      console.log(`📅 Booking ${booking.id} rescheduled: ${booking.scheduledAt.toISOString()} → ${startTime.toISOString()}`);
+
+      automationService.emit(automationService.EVENTS.APPOINTMENT_RESCHEDULED, organizationId, {
+        ...updated,
+        bookingId: updated.id,
+        previousTime: booking.scheduledAt,
+        source,
+      });
+
+      // A new invite with the same UID moves the event in the caller's calendar
+      if (updated.callerEmail) {
+        await this.sendConfirmation(
+          organizationId,
+          updated.id,
+          {
+            startTime,
+            endTime,
+            duration: updated.duration,
+            callerName: updated.callerName,
+            callerEmail: updated.callerEmail,
+            purpose: updated.purpose,
+          },
+          updated.timezone,
+          { sequence: Math.floor(Date.now() / 1000) }
+        );
+      }
+
+      return { success: true, booking: updated, previousTime: booking.scheduledAt, timezone: updated.timezone };
+    } catch (error) {
+      console.error("❌ Calendar reschedule error:", error.message);
+      return { success: false, error: error.message, needsManualBooking: true };
+    }
+  }
+
+  /**
+   * Cancel a booking and its calendar event
+   * @param {string} source - Who asked: "ai" | "sms" | "dashboard"
+   */
+  async cancelBooking(organizationId, bookingId, reason, { source } = {}) {
+    const booking = await this.prisma.calendarBooking.findFirst({
+      where: { id: bookingId, organizationId },
+    });
+    if (!booking) {
+      return { success: false, error: "Booking not found" };
+    }
+    if (booking.status === "CANCELLED") {
+      return { success: false, error: "This appointment is already cancelled" };
+    }
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return { success: false, error: "Only upcoming appointments can be cancelled" };
+    }
+
+    // Conditional so a concurrent cancel (or completion) doesn't cancel twice
+    const { count } = await this.prisma.calendarBooking.updateMany({
+      where: { id: booking.id, status: { in: ACTIVE_BOOKING_STATUSES } },
+      data: { status: "CANCELLED", cancelledAt: new Date(), cancelReason: reason },
+    });
+    if (count === 0) {
+      return { success: false, error: "This appointment is no longer upcoming" };
+    }
+
+    // Cancel in the external calendar; the booking is cancelled either way
+    if (booking.eventId) {
+      const result = await this.cancelAppointment(organizationId, booking.eventId, reason, booking.calendarIntegrationId);
+      if (!result.success) {
+        console.error("⚠️ Failed to cancel in calendar:", result.error);
+      }
+    }
+
+    const updated = await this.prisma.calendarBooking.findUnique({ where: { id: booking.id } });
+
+    automationService.emit(automationService.EVENTS.APPOINTMENT_CANCELLED, organizationId, {
+      ...updated,
+      bookingId: updated.id,
+      cancelReason: reason,
+      source,
+    });
+
+    return { success: true, booking: updated };
+  }
+
+  /**
+   * Calendar a booking was made on (a staff calendar or the organization's)
+   */
+  async getBookingProvider(organizationId, integrationId) {
+    if (!integrationId) return this.getProvider(organizationId);
+
+    const settings = await this.prisma.calendarIntegration.findFirst({
+      where: { id: integrationId, organizationId },
+    });
+    return settings ? this.createProvider(organizationId, settings) : this.getProvider(organizationId);
+  }
+
   // ===========================================================================
   // CANCEL APPOINTMENT
   // ===========================================================================
-  async cancelAppointment(organizationId, eventId, reason) {
-    const provider = await this.getProvider(organizationId);
+  async cancelAppointment(organizationId, eventId, reason, integrationId = null) {
+    const provider = await this.getBookingProvider(organizationId, integrationId);
     if (!provider) {
       return { success: false, error: "No calendar connected" };
     }
@@ -154,8 +730,8 @@ class CalendarService {
   // ===========================================================================
   // RESCHEDULE APPOINTMENT
   // ===========================================================================
-  async rescheduleAppointment(organizationId, eventId, newTime) {
-    const provider = await this.getProvider(organizationId);
+  async rescheduleAppointment(organizationId, eventId, newTime, integrationId = null) {
+    const provider = await this.getBookingProvider(organizationId, integrationId);
     if (!provider) {
       return { success: false, error: "No calendar connected" };
     }
@@ -197,67 +773,10 @@ class CalendarService {
 
   // ===========================================================================
   // PARSE NATURAL LANGUAGE DATE/TIME
+  // Read as wall-clock time in the caller's or organization's timezone
   // ===========================================================================
-  parseDateTime(dateStr, timeStr) {
-    const now = new Date();
-    let targetDate = new Date();
-
-    // Parse date
-    const dateLower = (dateStr || "").toLowerCase().trim();
-
-    if (dateLower === "today") {
-      // Keep today
-    } else if (dateLower === "tomorrow") {
-      targetDate.setDate(targetDate.getDate() + 1);
-    } else if (dateLower.startsWith("next ")) {
-      const dayName = dateLower.replace("next ", "");
-      const days = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
-      const targetDay = days.indexOf(dayName);
-      if (targetDay !== -1) {
-        const currentDay = now.getDay();
-        let daysUntil = targetDay - currentDay;
-        if (daysUntil <= 0) daysUntil += 7;
-        targetDate.setDate(targetDate.getDate() + daysUntil);
-      }
-    } else if (dateLower.match(/^\d{4}-\d{2}-\d{2}$/)) {
-      targetDate = new Date(dateLower);
-    } else if (dateLower.match(/^(monday|tuesday|wednesday|thursday|friday|saturday|sunday)$/)) {
-      const days = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
-      const targetDay = days.indexOf(dateLower);
-      if (targetDay !== -1) {
-        const currentDay = now.getDay();
-        let daysUntil = targetDay - currentDay;
-        if (daysUntil <= 0) daysUntil += 7;
-        targetDate.setDate(targetDate.getDate() + daysUntil);
-      }
-    }
-
-    // Parse time
-    const timeLower = (timeStr || "").toLowerCase().trim();
-    let hours = 9; // Default to 9 AM
-    let minutes = 0;
-
-    if (timeLower === "morning") {
-      hours = 9;
-    } else if (timeLower === "afternoon") {
-      hours = 14;
-    } else if (timeLower === "evening") {
-      hours = 17;
-    } else if (timeLower.match(/^(\d{1,2})(:\d{2})?\s*(am|pm)?$/i)) {
-      const match = timeLower.match(/^(\d{1,2})(:\d{2})?\s*(am|pm)?$/i);
-      hours = parseInt(match[1]);
-      minutes = match[2] ? parseInt(match[2].slice(1)) : 0;
-      if (match[3]?.toLowerCase() === "pm" && hours < 12) hours += 12;
-      if (match[3]?.toLowerCase() === "am" && hours === 12) hours = 0;
-    } else if (timeLower.match(/^(\d{1,2}):(\d{2})$/)) {
-      const match = timeLower.match(/^(\d{1,2}):(\d{2})$/);
-      hours = parseInt(match[1]);
-      minutes = parseInt(match[2]);
-    }
-
-    targetDate.setHours(hours, minutes, 0, 0);
-
-    return targetDate;
+  parseDateTime(dateStr, timeStr, timezone) {
+    return bookingService.parseDateTime(dateStr, timeStr, timezone);
   }
 
   // ===========================================================================
@@ -272,6 +791,8 @@ class CalendarService {
       `Email: ${appointment.callerEmail || "Not provided"}`,
       ``,
       `Purpose: ${appointment.purpose || "Not specified"}`,
+      ...(appointment.appointmentType ? [`Appointment type: ${appointment.appointmentType}`] : []),
+      ...Object.entries(appointment.intakeAnswers || {}).map(([question, answer]) => `${question} ${answer}`),
       ``,
       `---`,
       `Booked via HEKAX Phone AI Receptionist`,
@@ -285,7 +806,7 @@ class CalendarService {
 
   async logBooking(organizationId, appointment, result) {
     try {
-      await this.prisma.calendarBooking.create({
+      return await this.prisma.calendarBooking.create({
         data: {
           organizationId,
           eventId: result.eventId,
@@ -295,12 +816,61 @@ class CalendarService {
           purpose: appointment.purpose,
           scheduledAt: appointment.startTime,
           duration: appointment.duration || 30,
+          timezone: appointment.timezone,
           status: "CONFIRMED",
           callSid: appointment.callSid,
+          bookedByAI: appointment.bookedByAI ?? true,
+          staffId: appointment.staffId,
+          appointmentTypeId: appointment.appointmentTypeId,
+          intakeAnswers: appointment.intakeAnswers,
+          calendarIntegrationId: appointment.calendarIntegrationId,
         },
       });
     } catch (error) {
       console.error("⚠️ Failed to log booking:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Email the caller a confirmation with an .ics invite (UID matches the
+   * booking in ICS feeds, so calendars treat them as the same event)
+   * @param {number} [options.sequence] - Higher than the last invite when the time changed
+   */
+  async sendConfirmation(organizationId, bookingId, appointment, timezone, { sequence } = {}) {
+    try {
+      const org = await this.prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { name: true, language: true, timezone: true },
+      });
+      const rules = bookingService.buildBookingRules(org);
+      const start = appointment.startTime;
+      const end = appointment.endTime || this.addMinutes(start, appointment.duration);
+
+      const ics = buildCalendar([
+        {
+          uid: bookingService.bookingUid(bookingId),
+          start,
+          end,
+          sequence,
+          summary: `Appointment with ${org.name}`,
+          description: appointment.purpose,
+          location: appointment.location || "Phone Call",
+          attendees: [{ name: appointment.callerName, email: appointment.callerEmail }],
+        },
+      ]);
+
+      await emailService.sendAppointmentConfirmation({
+        to: appointment.callerEmail,
+        callerName: appointment.callerName,
+        orgName: org.name,
+        when: bookingService.formatDateTime(start, { ...rules, timezone: timezone || rules.timezone }),
+        duration: appointment.duration,
+        purpose: appointment.purpose,
+        ics,
+      });
+    } catch (error) {
+      console.error("⚠️ Failed to send booking confirmation:", error.message);
     }
   }
 }
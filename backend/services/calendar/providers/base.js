@@ -3,14 +3,19 @@
 // Abstract class for all calendar integrations
 // ============================================================================
 
+const bookingService = require("../../booking.service");
+
 class BaseCalendarProvider {
   constructor() {
     this.accessToken = null;
     this.refreshToken = null;
     this.expiresAt = null;
     this.calendarId = null;
+    this.integrationId = null;
     this.organizationId = null;
     this.prisma = null;
+    this.bookingRules = bookingService.buildBookingRules();
+    this.timezone = this.bookingRules.timezone;
     this.initialized = false;
   }
 
@@ -22,8 +27,11 @@ class BaseCalendarProvider {
     this.refreshToken = config.refreshToken;
     this.expiresAt = config.expiresAt;
     this.calendarId = config.calendarId;
+    this.integrationId = config.integrationId || null;
     this.organizationId = config.organizationId;
     this.prisma = config.prisma;
+    this.bookingRules = config.bookingRules || bookingService.buildBookingRules();
+    this.timezone = this.bookingRules.timezone;
     this.initialized = true;
 
     // Check if token needs refresh
@@ -52,9 +60,9 @@ class BaseCalendarProvider {
     this.refreshToken = refreshToken;
     this.expiresAt = expiresAt;
 
-    // Update in database
+    // Update in database (only this integration: staff calendars hold their own tokens)
     await this.prisma.calendarIntegration.updateMany({
-      where: { organizationId: this.organizationId },
+      where: { id: this.integrationId, organizationId: this.organizationId },
       data: {
         accessToken,
         refreshToken,
@@ -69,7 +77,7 @@ class BaseCalendarProvider {
 
   /**
    * Get available time slots for a given date
-   * @param {Date} date - The date to check
+   * @param {Date|string} date - The day to check ("YYYY-MM-DD" in the organization's timezone)
    * @param {number} duration - Appointment duration in minutes
    * @returns {Promise<{available: boolean, slots: Array<{start: Date, end: Date}>}>}
    */
@@ -141,68 +149,31 @@ class BaseCalendarProvider {
   // ===========================================================================
 
   /**
-   * Get business hours for availability calculation
-   * Default: 9 AM - 5 PM, Monday - Friday
+   * Booking rules for availability calculation (organization business hours,
+   * closures, buffer, notice and horizon in the organization's timezone)
    */
   getBusinessHours() {
-    return {
-      start: 9, // 9 AM
-      end: 17, // 5 PM
-      days: [1, 2, 3, 4, 5], // Monday - Friday
-      timezone: "America/New_York",
-    };
+    return this.bookingRules;
   }
 
   /**
-   * Generate time slots for a given date
+   * Local date and the UTC bounds of that day in the organization's timezone
+   * @returns {{localDate: string, start: Date, end: Date}}
    */
-  generateTimeSlots(date, duration, busySlots = []) {
-    const businessHours = this.getBusinessHours();
-    const slots = [];
-
-    // Check if this is a business day
-    const dayOfWeek = date.getDay();
-    if (!businessHours.days.includes(dayOfWeek)) {
-      return slots;
-    }
-
-    // Generate slots every 30 minutes
-    const slotInterval = 30;
-    let currentTime = new Date(date);
-    currentTime.setHours(businessHours.start, 0, 0, 0);
-
-    const endTime = new Date(date);
-    endTime.setHours(businessHours.end, 0, 0, 0);
-
-    while (currentTime < endTime) {
-      const slotEnd = new Date(currentTime.getTime() + duration * 60000);
-
-      // Check if slot conflicts with any busy time
-      const isAvailable = !busySlots.some((busy) => {
-        const busyStart = new Date(busy.start);
-        const busyEnd = new Date(busy.end);
-        return currentTime < busyEnd && slotEnd > busyStart;
-      });
-
-      if (isAvailable && slotEnd <= endTime) {
-        slots.push({
-          start: new Date(currentTime),
-          end: slotEnd,
-          formatted: this.formatTimeSlot(currentTime, slotEnd),
-        });
-      }
-
-      currentTime.setMinutes(currentTime.getMinutes() + slotInterval);
-    }
+  getDayRange(date) {
+    const localDate = bookingService.resolveLocalDate(date, this.bookingRules);
+    return { localDate, ...bookingService.getDayRange(localDate, this.bookingRules) };
+  }
 
-    return slots;
+  /**
+   * Generate bookable time slots for a local date
+   */
+  generateTimeSlots(localDate, duration, busySlots = []) {
+    return bookingService.generateSlots(localDate, duration, busySlots, this.bookingRules);
   }
 
   formatTimeSlot(start, end) {
-    const options = { hour: "numeric", minute: "2-digit", hour12: true };
-    const startStr = start.toLocaleTimeString("en-US", options);
-    const endStr = end.toLocaleTimeString("en-US", options);
-    return `${startStr} - ${endStr}`;
+    return bookingService.formatTimeSlot(start, end, this.bookingRules);
   }
 }
 
@@ -0,0 +1,481 @@
+// ============================================================================
+// HEKAX Phone - CalDAV Calendar Provider
+// Nextcloud, Fastmail, iCloud and other CalDAV (RFC 4791) servers. Signs in
+// with a username and app password (stored encrypted) instead of OAuth
+// ============================================================================
+
+const crypto = require("crypto");
+const BaseCalendarProvider = require("./base");
+const { buildCalendar, formatDateTime, escapeText, foldLine, unfoldLines, parseCalendar } = require("../../../lib/ics");
+const { publicFetch } = require("../../../lib/outbound");
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+const NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"';
+
+// ============================================================================
+// XML
+// Just enough to read multistatus responses: elements are matched by local
+// name, whatever prefix the server picked
+// ============================================================================
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  const cdata = String(value).match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+
+  return String(value).replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Inner XML of every element with a local name ("" when self-closing)
+ */
+function elements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`,
+    "gi"
+  );
+  return [...String(xml || "").matchAll(pattern)].map((match) => match[1] || "");
+}
+
+function firstElement(xml, name) {
+  return elements(xml, name)[0] ?? null;
+}
+
+function hasElement(xml, name) {
+  return new RegExp(`<(?:[\\w-]+:)?${name}[\\s/>]`, "i").test(String(xml || ""));
+}
+
+function firstHref(xml) {
+  const href = firstElement(xml, "href");
+  return href ? decodeXml(href.trim()) : null;
+}
+
+/**
+ * Responses of a 207 Multi-Status body with their successful properties
+ * @returns {Array<{href: string, props: string}>}
+ */
+function parseMultistatus(xml) {
+  return elements(xml, "response").map((response) => {
+    const props = elements(response, "propstat")
+      .filter((propstat) => /\s200\s/.test(firstElement(propstat, "status") || ""))
+      .map((propstat) => firstElement(propstat, "prop") || "")
+      .join("");
+    return { href: firstHref(response), props };
+  });
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * Whether a URL the server handed us (href or redirect) belongs to the account
+ * at serverUrl: the same origin, or over https another host under the same
+ * parent domain (iCloud moves accounts from caldav.icloud.com to
+ * pNN-caldav.icloud.com)
+ */
+function isSameServer(value, serverUrl) {
+  const url = new URL(value);
+  const server = new URL(serverUrl);
+  if (url.origin === server.origin) return true;
+  if (url.protocol !== "https:" || server.protocol !== "https:" || url.port !== server.port) return false;
+
+  const labels = server.hostname.split(".");
+  if (labels.length < 3 || /^[\d.]+$/.test(server.hostname)) return false;
+  return url.hostname.endsWith(`.${labels.slice(1).join(".")}`);
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+class CalDavCalendarProvider extends BaseCalendarProvider {
+  constructor() {
+    super();
+    this.serverUrl = null;
+    this.username = null;
+    this.password = null;
+  }
+
+  async initialize(config) {
+    await super.initialize(config);
+
+    // Lazy require - encryption exits the process without ENCRYPTION_KEY
+    const { decrypt } = require("../../../lib/encryption");
+
+    this.serverUrl = config.serverUrl;
+    this.username = config.username;
+    this.password = decrypt(config.accessToken);
+  }
+
+  // No OAuth: app passwords don't expire
+  isTokenExpired() {
+    return false;
+  }
+
+  async refreshAccessToken() {}
+
+  // ===========================================================================
+  // HTTP
+  // ===========================================================================
+
+  /**
+   * WebDAV request with basic auth. Only goes to public addresses on the
+   * account's own server (redirects included); error messages reach the
+   * user, so they never carry the response body.
+   * @returns {Promise<{status: number, text: string, url: string, etag: string|null}>}
+   */
+  static async davRequest(url, credentials, { method = "GET", depth, body, headers = {}, allow = [] } = {}) {
+    const { username, password, serverUrl } = credentials;
+    if (!isSameServer(url, serverUrl)) {
+      throw new Error(`The server pointed to another host (${new URL(url).host})`);
+    }
+
+    const response = await publicFetch(
+      url,
+      {
+        method,
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`,
+          ...(body && { "Content-Type": method === "PUT" ? "text/calendar; charset=utf-8" : "application/xml; charset=utf-8" }),
+          ...(depth !== undefined && { Depth: String(depth) }),
+          ...headers,
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      },
+      { maxRedirects: MAX_REDIRECTS, canFollow: (next) => isSameServer(next.href, serverUrl) }
+    );
+
+    const text = await response.text();
+
+    if (response.status === 401) {
+      throw new Error("CalDAV sign-in failed - check the username and app password");
+    }
+    if (!response.ok && !allow.includes(response.status)) {
+      throw new Error(`CalDAV ${method} failed (HTTP ${response.status})`);
+    }
+
+    return { status: response.status, text, url: response.url || url, etag: response.headers.get("etag") };
+  }
+
+  static async propfind(url, credentials, depth, props) {
+    const body = `<?xml version="1.0" encoding="utf-8"?><d:propfind ${NAMESPACES}><d:prop>${props}</d:prop></d:propfind>`;
+    const response = await CalDavCalendarProvider.davRequest(url, credentials, { method: "PROPFIND", depth, body });
+    return parseMultistatus(response.text).map((entry) => ({
+      ...entry,
+      url: entry.href ? new URL(entry.href, response.url).href : response.url,
+    }));
+  }
+
+  request(url, options) {
+    return CalDavCalendarProvider.davRequest(
+      url,
+      { username: this.username, password: this.password, serverUrl: this.serverUrl },
+      options
+    );
+  }
+
+  eventUrl(eventId) {
+    return new URL(`${encodeURIComponent(eventId)}.ics`, withTrailingSlash(this.calendarId)).href;
+  }
+
+  // ===========================================================================
+  // DISCOVERY
+  // Server URL → principal → calendar home → calendars (RFC 4791 / RFC 6764).
+  // A calendar's own URL works too.
+  // ===========================================================================
+  static async discover({ serverUrl, username, password }) {
+    const credentials = { username, password, serverUrl };
+    const url = new URL(serverUrl);
+    const props = "<d:resourcetype/><d:displayname/><d:current-user-principal/><c:calendar-home-set/>";
+
+    // A bare host: try the well-known location first, then the root itself
+    let self;
+    if (url.pathname === "/") {
+      try {
+        [self] = await CalDavCalendarProvider.propfind(new URL("/.well-known/caldav", url).href, credentials, 0, props);
+      } catch (error) {
+        if (/sign-in failed/.test(error.message)) throw error;
+      }
+    }
+    if (!self) {
+      [self] = await CalDavCalendarProvider.propfind(url.href, credentials, 0, props);
+    }
+    if (!self) {
+      throw new Error("No CalDAV account found at this URL");
+    }
+
+    if (hasElement(firstElement(self.props, "resourcetype"), "calendar")) {
+      const name = decodeXml(firstElement(self.props, "displayname") || "").trim();
+      return [{ url: withTrailingSlash(self.url), name: name || "Calendar" }];
+    }
+
+    let homeHref = firstHref(firstElement(self.props, "calendar-home-set"));
+    let base = self.url;
+
+    if (!homeHref) {
+      const principalHref = firstHref(firstElement(self.props, "current-user-principal"));
+      if (!principalHref) {
+        throw new Error("No CalDAV account found at this URL");
+      }
+
+      const [principal] = await CalDavCalendarProvider.propfind(
+        new URL(principalHref, self.url).href,
+        credentials,
+        0,
+        "<c:calendar-home-set/>"
+      );
+      homeHref = firstHref(firstElement(principal?.props, "calendar-home-set"));
+      base = principal?.url;
+    }
+
+    if (!homeHref) {
+      throw new Error("This CalDAV account has no calendars");
+    }
+
+    const entries = await CalDavCalendarProvider.propfind(
+      new URL(homeHref, base).href,
+      credentials,
+      1,
+      "<d:resourcetype/><d:displayname/><c:supported-calendar-component-set/>"
+    );
+
+    // Calendars that hold events (not task lists or the home collection itself)
+    return entries
+      .filter((entry) => hasElement(firstElement(entry.props, "resourcetype"), "calendar"))
+      .filter((entry) => {
+        const components = firstElement(entry.props, "supported-calendar-component-set");
+        return !components || /name=["']VEVENT["']/i.test(components);
+      })
+      .map((entry) => ({
+        url: withTrailingSlash(entry.url),
+        name:
+          decodeXml(firstElement(entry.props, "displayname") || "").trim() ||
+          decodeURIComponent(entry.url.replace(/\/$/, "").split("/").pop()),
+      }));
+  }
+
+  // ===========================================================================
+  // GET AVAILABLE SLOTS
+  // free-busy-query REPORT; servers without it fall back to the events
+  // ===========================================================================
+  async getAvailableSlots(date, duration = 30) {
+    const { localDate, start, end } = this.getDayRange(date);
+
+    let busySlots;
+    try {
+      busySlots = await this.getFreeBusy(start, end);
+    } catch (error) {
+      console.warn("⚠️ CalDAV free-busy query failed, reading events:", error.message);
+      busySlots = (await this.getEvents(start, end)).filter((event) => !event.isAllDay);
+    }
+
+    const slots = this.generateTimeSlots(localDate, duration, busySlots);
+
+    return {
+      available: slots.length > 0,
+      slots,
+      date: localDate,
+    };
+  }
+
+  async getFreeBusy(startDate, endDate) {
+    const body =
+      `<?xml version="1.0" encoding="utf-8"?><c:free-busy-query ${NAMESPACES}>` +
+      `<c:time-range start="${formatDateTime(startDate)}" end="${formatDateTime(endDate)}"/>` +
+      "</c:free-busy-query>";
+
+    const response = await this.request(this.calendarId, { method: "REPORT", depth: 1, body });
+    return parseCalendar(response.text, { timezone: this.timezone }).busy;
+  }
+
+  // ===========================================================================
+  // CREATE EVENT
+  // One VEVENT per resource, named after its UID
+  // ===========================================================================
+  async createEvent(event) {
+    const startTime = event.startTime instanceof Date ? event.startTime : new Date(event.startTime);
+    const endTime = event.endTime instanceof Date ? event.endTime : new Date(event.endTime);
+    const uid = crypto.randomUUID();
+
+    // No ATTENDEEs: scheduling servers would email their own invites on top
+    // of our confirmation. The caller's details are in the description.
+    const body = buildCalendar(
+      [
+        {
+          uid,
+          start: startTime,
+          end: endTime,
+          summary: event.title,
+          description: event.description,
+          location: event.location || "Phone Call",
+        },
+      ],
+      { method: null }
+    );
+
+    await this.request(this.eventUrl(uid), { method: "PUT", body, headers: { "If-None-Match": "*" } });
+
+    console.log("✅ CalDAV event created:", uid);
+
+    return {
+      eventId: uid,
+      eventLink: null,
+      confirmedTime: startTime,
+    };
+  }
+
+  // ===========================================================================
+  // UPDATE EVENT
+  // Rewrites the stored object's times so anything the calendar app added
+  // (alarms, notes) is kept; If-Match guards against concurrent edits
+  // ===========================================================================
+  async updateEvent(eventId, updates) {
+    const url = this.eventUrl(eventId);
+    const current = await this.request(url);
+
+    let startTime = null;
+    let endTime = null;
+    if (updates.startTime) {
+      startTime = updates.startTime instanceof Date ? updates.startTime : new Date(updates.startTime);
+      endTime = updates.endTime
+        ? new Date(updates.endTime)
+        : new Date(startTime.getTime() + (updates.duration || 30) * 60000);
+    }
+
+    const replacements = {
+      DTSTAMP: `DTSTAMP:${formatDateTime(new Date())}`,
+      ...(startTime && { DTSTART: `DTSTART:${formatDateTime(startTime)}`, DTEND: `DTEND:${formatDateTime(endTime)}` }),
+      ...(updates.title && { SUMMARY: `SUMMARY:${escapeText(updates.title)}` }),
+      ...(updates.description && { DESCRIPTION: `DESCRIPTION:${escapeText(updates.description)}` }),
+    };
+
+    const lines = [];
+    const stack = [];
+    const written = new Set();
+
+    for (const line of unfoldLines(current.text)) {
+      const name = line.split(/[;:]/)[0].toUpperCase();
+      const value = line.slice(line.indexOf(":") + 1).toUpperCase();
+      const inEvent = stack[stack.length - 1] === "VEVENT";
+
+      if (name === "BEGIN") stack.push(value);
+
+      if (name === "END" && value === "VEVENT" && inEvent) {
+        // Properties the object didn't have yet
+        for (const [key, replacement] of Object.entries(replacements)) {
+          if (!written.has(key)) lines.push(replacement);
+        }
+        if (!written.has("SEQUENCE")) lines.push("SEQUENCE:1");
+      }
+      if (name === "END") stack.pop();
+
+      if (!inEvent || name === "BEGIN" || name === "END") {
+        lines.push(line);
+      } else if (name === "SEQUENCE") {
+        lines.push(`SEQUENCE:${(parseInt(line.split(":")[1], 10) || 0) + 1}`);
+        written.add(name);
+      } else if (name === "DURATION" && startTime) {
+        // Replaced by DTEND
+      } else if (replacements[name]) {
+        lines.push(replacements[name]);
+        written.add(name);
+      } else {
+        lines.push(line);
+      }
+    }
+
+    const body = lines.map(foldLine).join("\r\n") + "\r\n";
+    await this.request(url, {
+      method: "PUT",
+      body,
+      headers: current.etag ? { "If-Match": current.etag } : {},
+    });
+
+    console.log("✅ CalDAV event updated:", eventId);
+
+    return {
+      eventId,
+      eventLink: null,
+      confirmedTime: startTime,
+    };
+  }
+
+  // ===========================================================================
+  // DELETE EVENT
+  // ===========================================================================
+  async deleteEvent(eventId, reason) {
+    // Already gone from the calendar is fine
+    await this.request(this.eventUrl(eventId), { method: "DELETE", allow: [404] });
+
+    console.log("✅ CalDAV event deleted:", eventId, reason ? `(${reason})` : "");
+  }
+
+  // ===========================================================================
+  // GET EVENTS
+  // calendar-query REPORT with recurring events expanded by the server
+  // ===========================================================================
+  async getEvents(startDate, endDate) {
+    const start = formatDateTime(startDate);
+    const end = formatDateTime(endDate);
+    const body =
+      `<?xml version="1.0" encoding="utf-8"?><c:calendar-query ${NAMESPACES}>` +
+      `<d:prop><d:getetag/><c:calendar-data><c:expand start="${start}" end="${end}"/></c:calendar-data></d:prop>` +
+      `<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">` +
+      `<c:time-range start="${start}" end="${end}"/>` +
+      "</c:comp-filter></c:comp-filter></c:filter></c:calendar-query>";
+
+    const response = await this.request(this.calendarId, { method: "REPORT", depth: 1, body });
+
+    const events = parseMultistatus(response.text).flatMap(
+      (entry) => parseCalendar(decodeXml(firstElement(entry.props, "calendar-data") || ""), { timezone: this.timezone }).events
+    );
+
+    // Cancelled and "free" (transparent) events don't block time
+    return events
+      .filter((event) => event.status !== "CANCELLED" && !event.transparent)
+      .filter((event) => event.start < endDate && event.end > startDate)
+      .sort((a, b) => a.start - b.start)
+      .map((event) => ({
+        id: event.uid,
+        title: event.summary,
+        description: event.description,
+        start: event.start,
+        end: event.end,
+        link: null,
+        attendees: [],
+        location: event.location,
+        isAllDay: event.allDay,
+      }));
+  }
+
+  // ===========================================================================
+  // GET CALENDARS LIST
+  // ===========================================================================
+  async getCalendarsList() {
+    const calendars = await CalDavCalendarProvider.discover({
+      serverUrl: this.serverUrl,
+      username: this.username,
+      password: this.password,
+    });
+
+    return calendars.map((cal) => ({
+      id: cal.url,
+      name: cal.name,
+      isDefaultCalendar: cal.url === this.calendarId,
+      canEdit: true,
+    }));
+  }
+}
+
+module.exports = CalDavCalendarProvider;
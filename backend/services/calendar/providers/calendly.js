@@ -4,6 +4,7 @@
 // ============================================================================
 
 const BaseCalendarProvider = require("./base");
+const bookingService = require("../../booking.service");
 
 class CalendlyProvider extends BaseCalendarProvider {
   constructor() {
@@ -182,11 +183,10 @@ class CalendlyProvider extends BaseCalendarProvider {
       this.eventTypeUri = matchingType.uri;
     }
 
-    // Get start and end of day
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Get start and end of the day in the organization's timezone
+    // (Calendly rejects a start time in the past)
+    const { localDate, start: dayStart, end: endOfDay } = this.getDayRange(date);
+    const startOfDay = new Date(Math.max(dayStart.getTime(), Date.now()));
 
     // Use Calendly's availability endpoint
     const params = new URLSearchParams({
@@ -198,21 +198,25 @@ class CalendlyProvider extends BaseCalendarProvider {
     try {
       const response = await this.apiRequest(`/event_type_available_times?${params.toString()}`);
 
-      const slots = (response.collection || []).map((slot) => {
-        const start = new Date(slot.start_time);
-        const end = new Date(start.getTime() + duration * 60000);
-        return {
-          start,
-          end,
-          formatted: this.formatTimeSlot(start, end),
-          status: slot.status,
-        };
-      });
+      // Calendly applies its own availability; also hold slots to the
+      // organization's business hours, closures and notice rules
+      const slots = (response.collection || [])
+        .map((slot) => {
+          const start = new Date(slot.start_time);
+          const end = new Date(start.getTime() + duration * 60000);
+          return {
+            start,
+            end,
+            formatted: this.formatTimeSlot(start, end),
+            status: slot.status,
+          };
+        })
+        .filter((slot) => !bookingService.checkSlot(slot.start, duration, this.bookingRules));
 
       return {
         available: slots.length > 0,
         slots,
-        date: date.toISOString().split("T")[0],
+        date: localDate,
         schedulingUrl: this.getSchedulingUrl(),
       };
     } catch (error) {
@@ -126,11 +126,8 @@ class GoogleCalendarProvider extends BaseCalendarProvider {
   async getAvailableSlots(date, duration = 30) {
     const calendarId = this.calendarId || "primary";
 
-    // Get start and end of day
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Get start and end of the day in the organization's timezone
+    const { localDate, start: startOfDay, end: endOfDay } = this.getDayRange(date);
 
     // Fetch busy times using freebusy API
     const freebusyResponse = await this.apiRequest("/freeBusy", {
@@ -145,12 +142,12 @@ class GoogleCalendarProvider extends BaseCalendarProvider {
     const busySlots = freebusyResponse.calendars?.[calendarId]?.busy || [];
 
     // Generate available slots
-    const slots = this.generateTimeSlots(date, duration, busySlots);
+    const slots = this.generateTimeSlots(localDate, duration, busySlots);
 
     return {
       available: slots.length > 0,
       slots,
-      date: date.toISOString().split("T")[0],
+      date: localDate,
     };
   }
 
@@ -168,11 +165,11 @@ class GoogleCalendarProvider extends BaseCalendarProvider {
       description: event.description,
       start: {
         dateTime: startTime.toISOString(),
-        timeZone: "America/New_York",
+        timeZone: this.timezone,
       },
       end: {
         dateTime: endTime.toISOString(),
-        timeZone: "America/New_York",
+        timeZone: this.timezone,
       },
       attendees: event.attendees?.map((email) => ({ email })) || [],
       reminders: {
@@ -238,11 +235,11 @@ class GoogleCalendarProvider extends BaseCalendarProvider {
 
       patchData.start = {
         dateTime: startTime.toISOString(),
-        timeZone: "America/New_York",
+        timeZone: this.timezone,
       };
       patchData.end = {
         dateTime: endTime.toISOString(),
-        timeZone: "America/New_York",
+        timeZone: this.timezone,
       };
     }
 
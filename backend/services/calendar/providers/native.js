@@ -0,0 +1,189 @@
+// ============================================================================
+// HEKAX Phone - Built-in Calendar Provider
+// Bookings live in CalendarBooking; used when no external calendar is connected
+// ============================================================================
+
+const BaseCalendarProvider = require("./base");
+
+// Bookings that hold their time slot
+const ACTIVE_STATUSES = ["PENDING", "CONFIRMED"];
+
+// Longest booking we expect, so range queries catch events that started earlier
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+class NativeCalendarProvider extends BaseCalendarProvider {
+  constructor() {
+    super();
+    this.isNative = true;
+  }
+
+  // No OAuth: the calendar is our own table
+  isTokenExpired() {
+    return false;
+  }
+
+  async refreshAccessToken() {}
+
+  // ===========================================================================
+  // GET AVAILABLE SLOTS
+  // ===========================================================================
+  async getAvailableSlots(date, duration = 30) {
+    const { localDate, start, end } = this.getDayRange(date);
+    const busySlots = await this.getEvents(start, end);
+    const slots = this.generateTimeSlots(localDate, duration, busySlots);
+
+    return {
+      available: slots.length > 0,
+      slots,
+      date: localDate,
+    };
+  }
+
+  // ===========================================================================
+  // CREATE EVENT
+  // The booking row is the event
+  // ===========================================================================
+  async createEvent(event) {
+    const startTime = event.startTime instanceof Date ? event.startTime : new Date(event.startTime);
+    const endTime = event.endTime instanceof Date ? event.endTime : new Date(event.endTime);
+
+    const booking = await this.prisma.calendarBooking.create({
+      data: {
+        organizationId: this.organizationId,
+        callerName: event.callerName || "Unknown Caller",
+        callerPhone: event.callerPhone || "",
+        callerEmail: event.callerEmail,
+        purpose: event.purpose,
+        scheduledAt: startTime,
+        duration: Math.round((endTime - startTime) / 60000),
+        timezone: this.timezone,
+        status: "CONFIRMED",
+        callSid: event.callSid,
+        bookedByAI: event.bookedByAI ?? true,
+        staffId: event.staffId,
+        appointmentTypeId: event.appointmentTypeId,
+        intakeAnswers: event.intakeAnswers,
+      },
+    });
+
+    console.log("✅ Built-in calendar booking created:", booking.id);
+
+    return {
+      eventId: booking.id,
+      eventLink: null,
+      confirmedTime: startTime,
+      bookingId: booking.id,
+    };
+  }
+
+  // ===========================================================================
+  // UPDATE EVENT
+  // ===========================================================================
+  async updateEvent(eventId, updates) {
+    const booking = await this.findBooking(eventId);
+    const data = {};
+
+    if (updates.startTime) {
+      data.scheduledAt = new Date(updates.startTime);
+      if (updates.endTime) {
+        data.duration = Math.round((new Date(updates.endTime) - data.scheduledAt) / 60000);
+      }
+      data.reminderSent = false;
+    }
+    if (updates.purpose !== undefined) data.purpose = updates.purpose;
+
+    const updated = await this.prisma.calendarBooking.update({
+      where: { id: booking.id },
+      data,
+    });
+
+    return {
+      eventId: updated.id,
+      eventLink: null,
+      confirmedTime: updated.scheduledAt,
+    };
+  }
+
+  // ===========================================================================
+  // DELETE EVENT
+  // Cancels the booking; the row is kept for history
+  // ===========================================================================
+  async deleteEvent(eventId, reason) {
+    const booking = await this.findBooking(eventId);
+    if (booking.status === "CANCELLED") return;
+
+    await this.prisma.calendarBooking.update({
+      where: { id: booking.id },
+      data: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        cancelReason: reason,
+      },
+    });
+
+    console.log("✅ Built-in calendar booking cancelled:", eventId, reason ? `(${reason})` : "");
+  }
+
+  // ===========================================================================
+  // GET EVENTS
+  // Active bookings overlapping the range
+  // ===========================================================================
+  async getEvents(startDate, endDate) {
+    const bookings = await this.prisma.calendarBooking.findMany({
+      where: {
+        organizationId: this.organizationId,
+        status: { in: ACTIVE_STATUSES },
+        scheduledAt: {
+          gte: new Date(startDate.getTime() - MAX_DURATION_MS),
+          lte: endDate,
+        },
+      },
+      orderBy: { scheduledAt: "asc" },
+    });
+
+    return bookings
+      .map((booking) => ({
+        id: booking.id,
+        title: `Call with ${booking.callerName}`,
+        description: booking.purpose,
+        start: booking.scheduledAt,
+        end: new Date(booking.scheduledAt.getTime() + booking.duration * 60000),
+        link: null,
+        attendees: booking.callerEmail ? [booking.callerEmail] : [],
+        location: "Phone Call",
+        status: booking.status,
+        staffId: booking.staffId,
+      }))
+      .filter((event) => event.end > startDate);
+  }
+
+  // ===========================================================================
+  // CALENDARS
+  // ===========================================================================
+  async getCalendarsList() {
+    return [{ id: "native", name: "HEKAX Calendar", primary: true }];
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+  async findBooking(eventId) {
+    const booking = await this.prisma.calendarBooking.findFirst({
+      where: { id: eventId, organizationId: this.organizationId },
+    });
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+    return booking;
+  }
+
+  static getAuthUrl() {
+    throw new Error("The built-in calendar doesn't use OAuth");
+  }
+
+  static async exchangeCode() {
+    throw new Error("The built-in calendar doesn't use OAuth");
+  }
+}
+
+module.exports = NativeCalendarProvider;
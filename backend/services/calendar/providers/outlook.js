@@ -4,6 +4,7 @@
 // ============================================================================
 
 const BaseCalendarProvider = require("./base");
+const { toLocalDateTime } = require("../../../lib/timezone");
 
 class OutlookCalendarProvider extends BaseCalendarProvider {
   constructor() {
@@ -137,11 +138,8 @@ class OutlookCalendarProvider extends BaseCalendarProvider {
   // GET AVAILABLE SLOTS
   // ===========================================================================
   async getAvailableSlots(date, duration = 30) {
-    // Get start and end of day in ISO format
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Get start and end of the day in the organization's timezone
+    const { localDate, start: startOfDay, end: endOfDay } = this.getDayRange(date);
 
     // Use Microsoft's findMeetingTimes or manually check calendar
     const scheduleResponse = await this.apiRequest("/me/calendar/getSchedule", {
@@ -149,12 +147,12 @@ class OutlookCalendarProvider extends BaseCalendarProvider {
       body: JSON.stringify({
         schedules: ["me"],
         startTime: {
-          dateTime: startOfDay.toISOString(),
-          timeZone: "America/New_York",
+          dateTime: startOfDay.toISOString().slice(0, -1),
+          timeZone: "UTC",
         },
         endTime: {
-          dateTime: endOfDay.toISOString(),
-          timeZone: "America/New_York",
+          dateTime: endOfDay.toISOString().slice(0, -1),
+          timeZone: "UTC",
         },
         availabilityViewInterval: 30,
       }),
@@ -167,20 +165,21 @@ class OutlookCalendarProvider extends BaseCalendarProvider {
 
     if (schedule?.scheduleItems) {
       for (const item of schedule.scheduleItems) {
+        // Returned in the requested timezone (UTC) without an offset
         busySlots.push({
-          start: item.start.dateTime,
-          end: item.end.dateTime,
+          start: new Date(item.start.dateTime + "Z"),
+          end: new Date(item.end.dateTime + "Z"),
         });
       }
     }
 
     // Generate available slots
-    const slots = this.generateTimeSlots(date, duration, busySlots);
+    const slots = this.generateTimeSlots(localDate, duration, busySlots);
 
     return {
       available: slots.length > 0,
       slots,
-      date: date.toISOString().split("T")[0],
+      date: localDate,
     };
   }
 
@@ -198,12 +197,12 @@ class OutlookCalendarProvider extends BaseCalendarProvider {
         content: event.description,
       },
       start: {
-        dateTime: startTime.toISOString().slice(0, -1), // Remove Z for local time
-        timeZone: "America/New_York",
+        dateTime: toLocalDateTime(startTime, this.timezone), // Wall-clock time in timeZone
+        timeZone: this.timezone,
       },
       end: {
-        dateTime: endTime.toISOString().slice(0, -1),
-        timeZone: "America/New_York",
+        dateTime: toLocalDateTime(endTime, this.timezone),
+        timeZone: this.timezone,
       },
       location: {
         displayName: event.location || "Phone Call",
@@ -267,12 +266,12 @@ class OutlookCalendarProvider extends BaseCalendarProvider {
       const endTime = new Date(startTime.getTime() + duration * 60000);
 
       patchData.start = {
-        dateTime: startTime.toISOString().slice(0, -1),
-        timeZone: "America/New_York",
+        dateTime: toLocalDateTime(startTime, this.timezone),
+        timeZone: this.timezone,
       };
       patchData.end = {
-        dateTime: endTime.toISOString().slice(0, -1),
-        timeZone: "America/New_York",
+        dateTime: toLocalDateTime(endTime, this.timezone),
+        timeZone: this.timezone,
       };
     }
 
@@ -0,0 +1,401 @@
+// ============================================================================
+// HEKAX Phone - Call Analysis Service
+// Post-call job: transcribes human-handled recordings and extracts intent,
+// topics, entities, action items and sentiment into Transcript / CallLog
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const { getCredentials, createOpenAIClient } = require("./credentials.service");
+
+const ANALYSIS_MODEL = "gpt-4o-mini";
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+// Failed jobs are retried by the sweep after 15 min, then 30, then 60,
+// and given up on after this many attempts
+const MAX_ANALYSIS_ATTEMPTS = 4;
+const RETRY_BASE_MS = 15 * 60 * 1000;
+
+// Fixed intent labels so analytics can aggregate across calls
+const INTENTS = [
+  "appointment_booking",
+  "appointment_change",
+  "pricing_inquiry",
+  "service_inquiry",
+  "sales_inquiry",
+  "support_request",
+  "billing_question",
+  "order_status",
+  "complaint",
+  "hours_location",
+  "callback_request",
+  "general_inquiry",
+  "other",
+];
+
+const ENTITY_TYPES = ["people", "organizations", "phoneNumbers", "emails", "dates", "locations", "products"];
+
+const ANALYSIS_PROMPT = `You analyze business phone call transcripts. Respond with JSON only:
+{
+  "summary": "2-3 sentences: who called, why, outcome",
+  "sentimentScore": number from -1 (very negative) to 1 (very positive) for the caller's overall sentiment,
+  "primaryIntent": one of ${INTENTS.join(", ")},
+  "intentConfidence": number from 0 to 1,
+  "topics": up to 5 short lowercase topics (e.g. "teeth cleaning", "parking"),
+  "keywords": up to 10 lowercase keywords,
+  "entities": { ${ENTITY_TYPES.map((t) => `"${t}": []`).join(", ")} },
+  "actionItems": [{ "task": "what needs doing", "owner": "business" or "caller", "dueDate": "YYYY-MM-DD" or null }]
+}
+Only include entities and action items actually stated in the call.`;
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Sentiment label for a -1..1 score
+ */
+function sentimentLabel(score) {
+  if (score >= 0.25) return "positive";
+  if (score <= -0.25) return "negative";
+  return "neutral";
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function cleanList(values, limit) {
+  if (!Array.isArray(values)) return [];
+  return values
+    .filter((v) => typeof v === "string" && v.trim())
+    .map((v) => v.trim().toLowerCase())
+    .filter((v, i, all) => all.indexOf(v) === i)
+    .slice(0, limit);
+}
+
+/**
+ * Validate the model's JSON into Transcript fields
+ */
+function normalizeAnalysis(raw = {}) {
+  const score = Number(raw.sentimentScore);
+  const sentimentScore = Number.isFinite(score) ? Math.round(clamp(score, -1, 1) * 100) / 100 : 0;
+  const confidence = Number(raw.intentConfidence);
+
+  const entities = {};
+  for (const type of ENTITY_TYPES) {
+    const values = Array.isArray(raw.entities?.[type])
+      ? raw.entities[type].filter((v) => typeof v === "string" && v.trim()).map((v) => v.trim())
+      : [];
+    if (values.length > 0) entities[type] = [...new Set(values)].slice(0, 10);
+  }
+
+  const actionItems = (Array.isArray(raw.actionItems) ? raw.actionItems : [])
+    .filter((item) => typeof item?.task === "string" && item.task.trim())
+    .slice(0, 10)
+    .map((item) => ({
+      task: item.task.trim(),
+      owner: item.owner === "caller" ? "caller" : "business",
+      dueDate: /^\d{4}-\d{2}-\d{2}$/.test(item.dueDate || "") ? item.dueDate : null,
+    }));
+
+  return {
+    summary: typeof raw.summary === "string" && raw.summary.trim() ? raw.summary.trim() : null,
+    sentiment: sentimentLabel(sentimentScore),
+    sentimentScore,
+    primaryIntent: INTENTS.includes(raw.primaryIntent) ? raw.primaryIntent : "other",
+    intentConfidence: Number.isFinite(confidence) ? Math.round(clamp(confidence, 0, 1) * 100) / 100 : null,
+    topics: cleanList(raw.topics, 5),
+    keywords: cleanList(raw.keywords, 10),
+    entities,
+    actionItems,
+  };
+}
+
+/**
+ * Run the analysis prompt over transcript text
+ */
+async function analyzeText(openai, text) {
+  const response = await openai.chat.completions.create({
+    model: ANALYSIS_MODEL,
+    response_format: { type: "json_object" },
+    temperature: 0,
+    messages: [
+      { role: "system", content: ANALYSIS_PROMPT },
+      { role: "user", content: text.slice(-MAX_TRANSCRIPT_CHARS) },
+    ],
+  });
+  return normalizeAnalysis(JSON.parse(response.choices[0].message.content || "{}"));
+}
+
+/**
+ * Analyze a call's transcript and store the results on Transcript and CallLog
+ */
+async function analyzeCall(callSid) {
+  const transcript = await prisma.transcript.findUnique({ where: { callSid } });
+  if (!transcript?.fullText?.trim()) {
+    console.log(`ℹ️ No transcript to analyze for ${callSid}`);
+    return null;
+  }
+
+  const credentials = await getCredentials(transcript.organizationId);
+  const analysis = await analyzeText(createOpenAIClient(credentials), transcript.fullText);
+  const { summary, ...fields } = analysis;
+
+  await prisma.transcript.update({
+    where: { callSid },
+    data: {
+      ...fields,
+      // Keep the receptionist's own summary; recordings don't have one
+      ...(!transcript.summary && summary && { summary }),
+      analyzedAt: new Date(),
+    },
+  });
+
+  await prisma.callLog.update({
+    where: { callSid },
+    data: {
+      sentiment: fields.sentiment,
+      sentimentScore: fields.sentimentScore,
+      topics: fields.topics,
+    },
+  });
+
+  console.log(`🔎 Call analyzed: ${callSid} (${fields.primaryIntent}, ${fields.sentiment})`);
+  return analysis;
+}
+
+// ============================================================================
+// RECORDING TRANSCRIPTION (human-handled calls)
+// ============================================================================
+
+/**
+ * Turn Deepgram multichannel utterances into transcript messages
+ * Dual-channel recordings put the parent call leg on channel 0
+ */
+function utterancesToMessages(utterances, direction) {
+  const callerChannel = direction === "OUTBOUND" ? 1 : 0;
+  return (utterances || [])
+    .filter((u) => u.transcript?.trim())
+    .sort((a, b) => a.start - b.start)
+    .map((u) => ({
+      role: u.channel === callerChannel ? "user" : "agent",
+      content: u.transcript.trim(),
+      offsetSeconds: Math.round(u.start * 10) / 10,
+    }));
+}
+
+/**
+ * Transcribe a call recording with Deepgram and save it as the call's Transcript
+ */
+async function transcribeRecording(callSid) {
+  const call = await prisma.callLog.findUnique({
+    where: { callSid },
+    select: {
+      recordingUrl: true,
+      direction: true,
+      organizationId: true,
+      transcript: { select: { id: true, analyzedAt: true } },
+    },
+  });
+  if (!call?.recordingUrl) return null;
+  if (call.transcript) return call.transcript;
+
+  const credentials = await getCredentials(call.organizationId);
+  if (!credentials.deepgram) {
+    console.warn("⚠️ No Deepgram key, skipping recording transcription");
+    return null;
+  }
+
+  // Recordings may require auth when Twilio media auth is enforced
+  const headers = {};
+  if (credentials.twilio) {
+    const basic = Buffer.from(`${credentials.twilio.accountSid}:${credentials.twilio.authToken}`).toString("base64");
+    headers.Authorization = `Basic ${basic}`;
+  }
+  const audio = await fetch(`${call.recordingUrl}.wav`, { headers });
+  if (!audio.ok) {
+    throw new Error(`Recording download failed: ${audio.status}`);
+  }
+
+  const params = new URLSearchParams({
+    model: "nova-2",
+    smart_format: "true",
+    multichannel: "true",
+    utterances: "true",
+    detect_language: "true",
+  });
+  const response = await fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Token ${credentials.deepgram.apiKey}`,
+      "Content-Type": "audio/wav",
+    },
+    body: Buffer.from(await audio.arrayBuffer()),
+  });
+  if (!response.ok) {
+    throw new Error(`Deepgram transcription failed: ${response.status}`);
+  }
+
+  const result = await response.json();
+  const messages = utterancesToMessages(result.results?.utterances, call.direction);
+  if (messages.length === 0) {
+    console.log(`ℹ️ Recording for ${callSid} has no speech`);
+    return null;
+  }
+
+  const transcript = await prisma.transcript.create({
+    data: {
+      callSid,
+      source: "recording",
+      fullText: messages.map((m) => `${m.role}: ${m.content}`).join("\n"),
+      messages,
+      language: result.results?.channels?.[0]?.detected_language || null,
+      organizationId: call.organizationId,
+    },
+  });
+  console.log(`📝 Recording transcribed: ${callSid} (${messages.length} utterances)`);
+  return transcript;
+}
+
+// ============================================================================
+// JOB QUEUE
+// In-process and sequential so analysis never competes with live calls;
+// the scheduler sweeps up anything missed (e.g. across restarts)
+// ============================================================================
+const queue = [];
+const queued = new Set();
+let processing = false;
+
+async function runJob({ type, callSid }) {
+  if (type === "recording") {
+    const transcript = await transcribeRecording(callSid);
+    // Nothing to analyze, or an AI-handled part of the call was already analyzed
+    if (!transcript || transcript.analyzedAt) return;
+  }
+  await analyzeCall(callSid);
+}
+
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await runJob(job);
+    } catch (err) {
+      console.error(`❌ Call analysis failed for ${job.callSid}:`, err.message);
+      await recordFailure(job.callSid).catch((e) => console.error("⚠️ Analysis retry bookkeeping failed:", e.message));
+    } finally {
+      queued.delete(job.callSid);
+    }
+  }
+
+  processing = false;
+}
+
+/**
+ * When a call that has failed this many times may be tried again (null: never)
+ */
+function nextAnalysisAttemptAt(attempts, now = Date.now()) {
+  if (attempts >= MAX_ANALYSIS_ATTEMPTS) return null;
+  return new Date(now + RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Count a failed attempt on the call and schedule the retry
+ */
+async function recordFailure(callSid) {
+  const call = await prisma.callLog.update({
+    where: { callSid },
+    data: { analysisAttempts: { increment: 1 } },
+    select: { analysisAttempts: true },
+  });
+  const retryAt = nextAnalysisAttemptAt(call.analysisAttempts);
+
+  await prisma.callLog.update({ where: { callSid }, data: { analysisRetryAt: retryAt } });
+  if (!retryAt) {
+    console.warn(`⚠️ Giving up on analysis for ${callSid} after ${call.analysisAttempts} attempts`);
+  }
+}
+
+/**
+ * Queue a call for analysis
+ * @param {string} callSid
+ * @param {object} options
+ * @param {boolean} options.transcribe - Transcribe the recording first (human-handled calls)
+ */
+function enqueueAnalysis(callSid, { transcribe = false } = {}) {
+  if (!callSid || queued.has(callSid)) return false;
+  queued.add(callSid);
+  queue.push({ type: transcribe ? "recording" : "transcript", callSid });
+  setImmediate(processQueue);
+  return true;
+}
+
+/**
+ * Queue every transcript of an organization in a date range for (re)analysis
+ * Already analyzed transcripts are skipped unless force is set
+ */
+async function reprocessRange(organizationId, { startDate, endDate, force = false }) {
+  const transcripts = await prisma.transcript.findMany({
+    where: {
+      organizationId,
+      createdAt: { gte: startDate, lte: endDate },
+      ...(!force && { analyzedAt: null }),
+    },
+    select: { callSid: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const count = transcripts.filter((t) => enqueueAnalysis(t.callSid)).length;
+  console.log(`🔁 Queued ${count} transcripts for analysis (${organizationId})`);
+  return { queued: count };
+}
+
+/**
+ * Scheduler sweep: analyze recent transcripts that never got analyzed and
+ * retry recordings whose transcription failed, each once its retry is due
+ */
+async function analyzePendingCalls() {
+  const now = new Date();
+  const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const due = {
+    analysisAttempts: { lt: MAX_ANALYSIS_ATTEMPTS },
+    OR: [{ analysisRetryAt: null }, { analysisRetryAt: { lte: now } }],
+  };
+
+  const [transcripts, recordings] = await Promise.all([
+    prisma.transcript.findMany({
+      where: { analyzedAt: null, createdAt: { gte: since }, call: due },
+      select: { callSid: true },
+      take: 100,
+    }),
+    prisma.callLog.findMany({
+      where: {
+        ...due,
+        analysisAttempts: { gt: 0, lt: MAX_ANALYSIS_ATTEMPTS },
+        recordingUrl: { not: null },
+        transcript: null,
+        createdAt: { gte: since },
+      },
+      select: { callSid: true },
+      take: 100,
+    }),
+  ]);
+
+  transcripts.forEach((t) => enqueueAnalysis(t.callSid));
+  recordings.forEach((c) => enqueueAnalysis(c.callSid, { transcribe: true }));
+}
+
+module.exports = {
+  INTENTS,
+  MAX_ANALYSIS_ATTEMPTS,
+  sentimentLabel,
+  normalizeAnalysis,
+  utterancesToMessages,
+  nextAnalysisAttemptAt,
+  analyzeCall,
+  transcribeRecording,
+  enqueueAnalysis,
+  reprocessRange,
+  analyzePendingCalls,
+};
@@ -0,0 +1,250 @@
+// ============================================================================
+// HEKAX Phone - Call Search Service
+// Server-side call log filtering, cursor pagination and saved views
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const tz = require("../lib/timezone");
+
+const CALL_STATUSES = ["QUEUED", "RINGING", "IN_PROGRESS", "COMPLETED", "BUSY", "NO_ANSWER", "FAILED", "CANCELLED", "VOICEMAIL"];
+const CALL_DIRECTIONS = ["INBOUND", "OUTBOUND"];
+const SENTIMENTS = ["positive", "neutral", "negative"];
+
+// Relative date ranges, so a saved view like "this week" stays current
+const PERIODS = ["today", "this_week", "this_month", "7d", "30d", "90d"];
+
+// Query params a saved view may store
+const FILTER_PARAMS = [
+  "q", "from", "to", "callerName", "transcript", "summary",
+  "sentiment", "handledBy", "transferred", "direction", "status",
+  "minDuration", "maxDuration", "period", "startDate", "endDate",
+  "phoneNumberId", "tags", "disposition",
+];
+
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_TIMEZONE = "America/New_York";
+
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const contains = (value) => ({ contains: String(value).trim(), mode: "insensitive" });
+
+/**
+ * Start of a relative period; calendar periods begin at local midnight in
+ * the organization's timezone
+ */
+function periodStart(period, now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const today = tz.toLocalDate(now, timezone);
+  switch (period) {
+    case "today":
+      return tz.zonedTimeToUtc(today, 0, timezone);
+    case "this_week": // Monday
+      return tz.zonedTimeToUtc(tz.addDays(today, -((tz.weekdayOf(today) + 6) % 7)), 0, timezone);
+    case "this_month":
+      return tz.zonedTimeToUtc(`${today.slice(0, 8)}01`, 0, timezone);
+    case "7d":
+    case "30d":
+    case "90d":
+      return new Date(now.getTime() - parseInt(period, 10) * 24 * 60 * 60 * 1000);
+    default:
+      return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Translate list query params into a Prisma where clause
+ * @param {string} organizationId
+ * @param {object} query - See FILTER_PARAMS; lists are comma-separated
+ * @param {Date} now - Reference time for relative periods
+ * @param {string} timezone - Organization timezone for calendar periods
+ */
+function buildCallWhere(organizationId, query = {}, now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const where = { organizationId };
+  const and = [];
+
+  const search = String(query.q || query.search || "").trim();
+  if (search) {
+    const digits = search.replace(/\D/g, "");
+    and.push({
+      OR: [
+        ...(digits.length >= 3 ? [{ fromNumber: { contains: digits } }, { toNumber: { contains: digits } }] : []),
+        { lead: { name: contains(search) } },
+        { transcript: { summary: contains(search) } },
+        { transcript: { fullText: contains(search) } },
+        { tags: { has: search.toLowerCase() } },
+      ],
+    });
+  }
+
+  if (query.from) where.fromNumber = { contains: String(query.from).trim() };
+  if (query.to) where.toNumber = { contains: String(query.to).trim() };
+  if (query.callerName) where.lead = { name: contains(query.callerName) };
+
+  const transcript = {
+    ...(query.transcript && { fullText: contains(query.transcript) }),
+    ...(query.summary && { summary: contains(query.summary) }),
+  };
+  if (Object.keys(transcript).length > 0) where.transcript = transcript;
+
+  if (query.sentiment) {
+    where.sentiment = { in: splitList(query.sentiment).map((v) => v.toLowerCase()).filter((v) => SENTIMENTS.includes(v)) };
+  }
+
+  if (query.handledBy === "ai") where.handledByAI = true;
+  else if (query.handledBy === "human") where.handledByAI = false;
+
+  if (query.transferred === "true") where.transferredToHuman = true;
+  else if (query.transferred === "false") where.transferredToHuman = false;
+
+  for (const [param, allowed] of [["direction", CALL_DIRECTIONS], ["status", CALL_STATUSES]]) {
+    if (!query[param] || query[param] === "all") continue;
+    where[param] = { in: splitList(query[param]).map((v) => v.toUpperCase()).filter((v) => allowed.includes(v)) };
+  }
+
+  const minDuration = parseInt(query.minDuration, 10);
+  const maxDuration = parseInt(query.maxDuration, 10);
+  if (!isNaN(minDuration) || !isNaN(maxDuration)) {
+    where.duration = {
+      ...(!isNaN(minDuration) && { gte: minDuration }),
+      ...(!isNaN(maxDuration) && { lte: maxDuration }),
+    };
+  }
+
+  // A relative period wins over explicit dates
+  const start = periodStart(query.period, now, timezone) || parseDate(query.startDate);
+  const end = query.period ? null : parseDate(query.endDate);
+  if (start || end) {
+    where.createdAt = {
+      ...(start && { gte: start }),
+      ...(end && { lte: end }),
+    };
+  }
+
+  if (query.phoneNumberId) where.phoneNumberId = query.phoneNumberId;
+
+  if (query.tags) {
+    where.tags = { hasSome: splitList(query.tags).map((t) => t.toLowerCase()) };
+  }
+
+  if (query.disposition) {
+    where.disposition = query.disposition === "none" ? null : { in: splitList(query.disposition) };
+  }
+
+  if (and.length > 0) where.AND = and;
+
+  return where;
+}
+
+/**
+ * Flatten a call row for the list
+ */
+function shapeCall(call) {
+  return {
+    id: call.id,
+    callSid: call.callSid,
+    direction: call.direction,
+    fromNumber: call.fromNumber,
+    toNumber: call.toNumber,
+    status: call.status,
+    duration: call.duration,
+    recordingUrl: call.recordingUrl,
+    createdAt: call.createdAt,
+    handledByAI: call.handledByAI,
+    organizationName: call.organization?.name || "Unknown",
+    callerName: call.lead?.name || null,
+    leadId: call.lead?.id || null,
+    summary: call.transcript?.summary || null,
+    sentiment: call.sentiment,
+    sentimentScore: call.sentimentScore,
+    transferredToHuman: call.transferredToHuman,
+    tags: call.tags || [],
+    disposition: call.disposition || null,
+    dispositionNotes: call.dispositionNotes || null,
+    phoneNumberId: call.phoneNumberId,
+    routeAction: call.routeAction,
+    routeReason: call.routeReason,
+  };
+}
+
+/**
+ * Search calls newest first with cursor pagination
+ * Returns { calls, nextCursor } - pass nextCursor back as ?cursor= for the next page
+ */
+async function searchCalls(organizationId, query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const org = query.period
+    ? await prisma.organization.findUnique({ where: { id: organizationId }, select: { timezone: true } })
+    : null;
+
+  const calls = await prisma.callLog.findMany({
+    where: buildCallWhere(organizationId, query, new Date(), org?.timezone || DEFAULT_TIMEZONE),
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 }),
+    include: {
+      organization: { select: { name: true } },
+      lead: { select: { id: true, name: true } },
+      transcript: { select: { summary: true } },
+    },
+  });
+
+  const hasMore = calls.length > limit;
+  if (hasMore) calls.pop();
+
+  return { calls: calls.map(shapeCall), nextCursor: hasMore ? calls[calls.length - 1].id : null };
+}
+
+// ============================================================================
+// SAVED VIEWS
+// ============================================================================
+
+/**
+ * Keep only known, non-empty filter params (values stored as strings)
+ */
+function cleanViewFilters(filters = {}) {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) return {};
+
+  return FILTER_PARAMS.reduce((clean, param) => {
+    const value = filters[param];
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      clean[param] = String(value).trim();
+    }
+    return clean;
+  }, {});
+}
+
+/**
+ * Views on a page visible to the user: the team's shared views plus their own
+ */
+async function listViews(organizationId, userId, page = "calls") {
+  return prisma.savedView.findMany({
+    where: {
+      organizationId,
+      page,
+      OR: [{ shared: true }, { createdById: userId }],
+    },
+    orderBy: { name: "asc" },
+    include: { createdBy: { select: { id: true, name: true } } },
+  });
+}
+
+module.exports = {
+  PERIODS,
+  FILTER_PARAMS,
+  periodStart,
+  buildCallWhere,
+  shapeCall,
+  searchCalls,
+  cleanViewFilters,
+  listViews,
+};
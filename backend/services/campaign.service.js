@@ -0,0 +1,827 @@
+// ============================================================================
+// HEKAX Phone - Outbound Campaign Service
+// Dials a campaign's leads within calling hours (in each lead's own
+// timezone) and pacing limits; a person gets the AI receptionist with the
+// campaign script, a machine gets a voicemail drop in the org's voice
+// ============================================================================
+
+const crypto = require("crypto");
+const twilio = require("twilio");
+const prisma = require("../lib/prisma");
+const automationService = require("./automation.service");
+const { getClientForOrganization } = require("./twilio.service");
+const { getCredentials, createByoTwilioClient } = require("./credentials.service");
+const { buildLeadWhere, logActivity } = require("./lead.service");
+const suppressionService = require("./suppression.service");
+const languageService = require("./language.service");
+const { resolveTTSProvider, AudioFormat } = require("./tts");
+const { recipientTimezones } = require("../lib/area-codes");
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Outbound calls may only be placed between these local times
+const EARLIEST_CALL = "08:00";
+const LATEST_CALL = "21:00";
+
+const MAX_CONTACTS = 5000;
+
+// A call still "dialing" after this long lost its status callback
+const STALE_DIAL_MINUTES = 30;
+
+// Due contacts looked at per run - some may be outside their local hours
+const DUE_BATCH_SIZE = 200;
+
+// Ranges for the numeric settings
+const LIMITS = {
+  maxConcurrentCalls: [1, 10],
+  callsPerMinute: [1, 30],
+  maxAttempts: [1, 5],
+  retryDelayMinutes: [5, 1440],
+};
+
+// Status changes a manager can make: action → { from, to }
+const TRANSITIONS = {
+  start: { from: ["DRAFT", "PAUSED"], to: "RUNNING" },
+  pause: { from: ["RUNNING"], to: "PAUSED" },
+  cancel: { from: ["DRAFT", "RUNNING", "PAUSED"], to: "CANCELLED" },
+};
+
+const OUTCOME_LABELS = {
+  answered: "Answered",
+  voicemail: "Voicemail left",
+  machine: "Answering machine",
+  no_answer: "No answer",
+  busy: "Busy",
+  failed: "Call failed",
+  fax: "Fax machine",
+  do_not_call: "Skipped (do not call)",
+  opted_out: "Opted out",
+  cancelled: "Cancelled",
+};
+
+// Outcomes that end a contact's attempts
+const FINAL_OUTCOMES = ["answered", "voicemail", "fax", "opted_out"];
+
+// ============================================================================
+// CALLING WINDOW & PACING (pure)
+// ============================================================================
+
+/**
+ * "09:30" → 570
+ */
+function parseTime(value) {
+  const [hours, minutes] = String(value).split(":").map((n) => parseInt(n, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Weekday (0 = Sunday) and minutes past midnight in a timezone
+ */
+function localTime(now, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    day: WEEKDAYS.indexOf(get("weekday")),
+    minutes: parseInt(get("hour"), 10) * 60 + parseInt(get("minute"), 10),
+  };
+}
+
+/**
+ * Whether the campaign's days and hours hold right now in every one of the
+ * given timezones (the campaign's own by default)
+ */
+function isWithinCallingHours(campaign, now = new Date(), timezones = [campaign.timezone]) {
+  return timezones.every((timezone) => {
+    const { day, minutes } = localTime(now, timezone);
+    return (
+      campaign.callingDays.includes(day) &&
+      minutes >= parseTime(campaign.callingHoursStart) &&
+      minutes < parseTime(campaign.callingHoursEnd)
+    );
+  });
+}
+
+/**
+ * Whether a contact may be dialed now: calling hours are the called party's
+ * local time (area code and lead state; the campaign timezone for numbers
+ * outside North America)
+ * @param {object} contact - { phone, lead?: { state, country } }
+ */
+function isContactCallable(campaign, contact, now = new Date()) {
+  const timezones = recipientTimezones(
+    { phone: contact.phone, state: contact.lead?.state, country: contact.lead?.country },
+    campaign.timezone
+  );
+  return isWithinCallingHours(campaign, now, timezones);
+}
+
+/**
+ * How many calls may be placed now
+ * @param {object} campaign - { maxConcurrentCalls, callsPerMinute }
+ * @param {object} load - { inFlight, dialedLastMinute }
+ */
+function dialCapacity(campaign, { inFlight = 0, dialedLastMinute = 0 } = {}) {
+  return Math.max(
+    0,
+    Math.min(campaign.maxConcurrentCalls - inFlight, campaign.callsPerMinute - dialedLastMinute)
+  );
+}
+
+/**
+ * Twilio AnsweredBy → human, machine, fax or unknown
+ */
+function classifyAnsweredBy(answeredBy) {
+  const value = String(answeredBy || "").toLowerCase();
+  if (value === "human") return "human";
+  if (value.startsWith("machine")) return "machine";
+  if (value === "fax") return "fax";
+  return "unknown";
+}
+
+/**
+ * Contact update after a call attempt ends
+ * Busy, no answer, failed and machines without a voicemail drop are retried
+ * until maxAttempts; contact.attempts already counts this attempt.
+ * @returns {object} { status, outcome, nextAttemptAt }
+ */
+function resolveAttempt(contact, campaign, { callStatus, answeredBy } = {}, now = new Date()) {
+  const status = String(callStatus || "").toLowerCase();
+
+  let outcome;
+  if (status === "completed") {
+    const answer = classifyAnsweredBy(answeredBy);
+    if (answer === "machine") outcome = campaign.voicemailMessage ? "voicemail" : "machine";
+    else if (answer === "fax") outcome = "fax";
+    else outcome = "answered"; // AMD "unknown" is treated as a person
+  } else {
+    outcome = { busy: "busy", "no-answer": "no_answer", canceled: "no_answer" }[status] || "failed";
+  }
+
+  if (FINAL_OUTCOMES.includes(outcome)) {
+    return { status: outcome === "fax" ? "FAILED" : "COMPLETED", outcome, nextAttemptAt: null };
+  }
+
+  if (contact.attempts < campaign.maxAttempts) {
+    return {
+      status: "PENDING",
+      outcome,
+      nextAttemptAt: new Date(now.getTime() + campaign.retryDelayMinutes * 60 * 1000),
+    };
+  }
+
+  return { status: "FAILED", outcome, nextAttemptAt: null };
+}
+
+/**
+ * Whether a manager action applies to a campaign in this status
+ */
+function canTransition(status, action) {
+  return !!TRANSITIONS[action]?.from.includes(status);
+}
+
+// ============================================================================
+// VALIDATION & SCRIPTS (pure)
+// ============================================================================
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate a full campaign (for updates, merge the input over the saved campaign first)
+ * Returns { data } or { error }
+ */
+function validateCampaign(input = {}) {
+  const text = (value, max) => (value ? String(value).trim().slice(0, max) : null);
+
+  const data = {
+    name: text(input.name, 100),
+    script: text(input.script, 5000),
+    greeting: text(input.greeting, 500),
+    voicemailMessage: text(input.voicemailMessage, 1000),
+    phoneNumberId: input.phoneNumberId || null,
+    timezone: input.timezone || "America/New_York",
+    callingHoursStart: input.callingHoursStart || "09:00",
+    callingHoursEnd: input.callingHoursEnd || "20:00",
+  };
+
+  if (!data.name) return { error: "Campaign name is required" };
+  if (!data.script) return { error: "A script for the AI is required" };
+  if (!isValidTimezone(data.timezone)) return { error: `Unknown timezone "${data.timezone}"` };
+
+  for (const field of ["callingHoursStart", "callingHoursEnd"]) {
+    if (!TIME_PATTERN.test(data[field])) return { error: `${field} must be HH:MM` };
+  }
+  const start = parseTime(data.callingHoursStart);
+  const end = parseTime(data.callingHoursEnd);
+  if (end <= start) return { error: "Calling hours must end after they start" };
+  if (start < parseTime(EARLIEST_CALL) || end > parseTime(LATEST_CALL)) {
+    return { error: `Calling hours must fall between ${EARLIEST_CALL} and ${LATEST_CALL}` };
+  }
+
+  const days = input.callingDays ?? [1, 2, 3, 4, 5];
+  if (!Array.isArray(days) || days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { error: "callingDays must list weekdays 0-6 (0 = Sunday)" };
+  }
+  data.callingDays = [...new Set(days)].sort();
+
+  const defaults = { maxConcurrentCalls: 2, callsPerMinute: 5, maxAttempts: 2, retryDelayMinutes: 60 };
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    const value = input[field] === undefined || input[field] === "" ? defaults[field] : Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    data[field] = value;
+  }
+
+  return { data };
+}
+
+/**
+ * Fill {{lead.name}}, {{firstName}} and {{organization.name}} into campaign text
+ */
+function renderCampaignText(template, { lead, organization } = {}) {
+  const name = lead?.name && lead.name !== "Unknown" ? lead.name : "";
+  return automationService.interpolateTemplate(template, {
+    lead: { ...lead, name },
+    firstName: name.split(" ")[0],
+    organization,
+  });
+}
+
+/**
+ * Prompt section for an AI call placed by a campaign
+ */
+function buildCampaignPrompt(campaign, { lead, organization } = {}) {
+  const who = lead?.name && lead.name !== "Unknown" ? lead.name : "this person";
+
+  return `OUTBOUND CAMPAIGN CALL:
+- You placed this call to ${who} on behalf of ${organization?.name || "the business"}. They did not call you.
+- Say who you are and why you're calling early on, and respect their time.
+- If now is a bad time, offer to call back and save the time with collect_info.
+- If they ask not to be called again, apologize, call do_not_call and say goodbye.
+
+CAMPAIGN SCRIPT:
+${renderCampaignText(campaign.script, { lead, organization })}`;
+}
+
+// ============================================================================
+// CAMPAIGNS & CONTACTS
+// ============================================================================
+
+/**
+ * Contact counts per status for each campaign: { [campaignId]: { PENDING, ..., total } }
+ */
+async function getStats(campaignIds) {
+  const groups = await prisma.callCampaignContact.groupBy({
+    by: ["campaignId", "status"],
+    where: { campaignId: { in: campaignIds } },
+    _count: { _all: true },
+  });
+
+  const stats = {};
+  for (const id of campaignIds) {
+    stats[id] = { PENDING: 0, DIALING: 0, COMPLETED: 0, FAILED: 0, SKIPPED: 0, total: 0 };
+  }
+  for (const group of groups) {
+    stats[group.campaignId][group.status] = group._count._all;
+    stats[group.campaignId].total += group._count._all;
+  }
+  return stats;
+}
+
+const CAMPAIGN_INCLUDE = {
+  phoneNumber: { select: { id: true, number: true, friendlyName: true } },
+  createdBy: { select: { id: true, name: true } },
+};
+
+async function listCampaigns(organizationId) {
+  const campaigns = await prisma.callCampaign.findMany({
+    where: { organizationId },
+    orderBy: { createdAt: "desc" },
+    include: CAMPAIGN_INCLUDE,
+  });
+
+  const stats = await getStats(campaigns.map((c) => c.id));
+  return campaigns.map((c) => ({ ...c, stats: stats[c.id] }));
+}
+
+async function getCampaign(organizationId, id) {
+  const campaign = await prisma.callCampaign.findFirst({
+    where: { id, organizationId },
+    include: CAMPAIGN_INCLUDE,
+  });
+  if (!campaign) return null;
+
+  const stats = await getStats([campaign.id]);
+  return { ...campaign, stats: stats[campaign.id] };
+}
+
+async function listContacts(campaignId, { status, limit = 200 } = {}) {
+  return prisma.callCampaignContact.findMany({
+    where: { campaignId, ...(status && { status }) },
+    orderBy: { createdAt: "asc" },
+    take: Math.min(parseInt(limit, 10) || 200, 1000),
+    include: { lead: { select: { id: true, name: true, company: true, status: true, doNotCall: true } } },
+  });
+}
+
+/**
+ * Add leads to a campaign by ID or by lead filter (see lead.service buildLeadWhere)
+ * Do-not-call leads, suppressed numbers and leads without a phone number are left out.
+ * @returns {object} { added, doNotCall, alreadyAdded }
+ */
+async function addContacts(campaign, { leadIds, filter } = {}, userId = null) {
+  const where = Array.isArray(leadIds)
+    ? { id: { in: leadIds }, organizationId: campaign.organizationId }
+    : buildLeadWhere(campaign.organizationId, filter || {}, userId);
+
+  const leads = await prisma.lead.findMany({
+    where,
+    select: { id: true, phone: true, doNotCall: true },
+    take: MAX_CONTACTS,
+  });
+
+  const suppressed = await prisma.suppression.findMany({
+    where: {
+      organizationId: campaign.organizationId,
+      type: "PHONE",
+      value: { in: leads.map((l) => l.phone).filter(Boolean) },
+    },
+    select: { value: true },
+  });
+  const blocked = new Set(suppressed.map((s) => s.value));
+  const isBlocked = (l) => l.doNotCall || blocked.has(l.phone);
+
+  const eligible = leads.filter((l) => !isBlocked(l) && l.phone && l.phone !== "Unknown");
+  const { count } = await prisma.callCampaignContact.createMany({
+    data: eligible.map((l) => ({ campaignId: campaign.id, leadId: l.id, phone: l.phone })),
+    skipDuplicates: true,
+  });
+
+  return {
+    added: count,
+    doNotCall: leads.filter(isBlocked).length,
+    alreadyAdded: eligible.length - count,
+  };
+}
+
+/**
+ * Apply a start/pause/cancel action (check canTransition first)
+ */
+async function transitionCampaign(campaign, action) {
+  const { to } = TRANSITIONS[action];
+
+  const updated = await prisma.callCampaign.update({
+    where: { id: campaign.id },
+    data: {
+      status: to,
+      ...(to === "RUNNING" && !campaign.startedAt && { startedAt: new Date() }),
+      ...(to === "CANCELLED" && { completedAt: new Date() }),
+    },
+  });
+
+  if (to === "CANCELLED") {
+    await prisma.callCampaignContact.updateMany({
+      where: { campaignId: campaign.id, status: "PENDING" },
+      data: { status: "SKIPPED", outcome: "cancelled" },
+    });
+  }
+
+  console.log(`📣 Campaign "${campaign.name}" ${action}: ${campaign.status} → ${to}`);
+  return updated;
+}
+
+// ============================================================================
+// DO NOT CALL
+// ============================================================================
+
+/**
+ * Whether a number must not be dialed for an organization
+ * (a lead flagged do-not-call, or the number is on the do-not-contact list)
+ */
+async function isDoNotCall(organizationId, phone) {
+  const blocked = await prisma.lead.count({
+    where: { organizationId, phone, doNotCall: true },
+  });
+  if (blocked > 0) return true;
+  return suppressionService.isSuppressed(organizationId, { phone });
+}
+
+/**
+ * Caller asked not to be called again: add them to the do-not-contact list,
+ * which flags their leads and drops pending attempts
+ */
+async function optOut(organizationId, phone) {
+  const { error } = await suppressionService.suppress(organizationId, "PHONE", phone, {
+    source: "CALL",
+    reason: "Asked not to be called during a campaign call",
+  });
+  if (error) {
+    console.log(`⚠️ Opt-out for ${phone} not recorded: ${error}`);
+    return;
+  }
+  console.log(`🚫 ${phone} opted out of calls`);
+}
+
+// ============================================================================
+// DIALER
+// ============================================================================
+
+/**
+ * Twilio client and caller ID for a campaign (BYO account when enabled)
+ */
+async function resolveDialer(campaign) {
+  const [org, credentials] = await Promise.all([
+    prisma.organization.findUnique({
+      where: { id: campaign.organizationId },
+      select: { twilioNumber: true },
+    }),
+    getCredentials(campaign.organizationId),
+  ]);
+
+  const byoClient = createByoTwilioClient(credentials);
+  const from =
+    campaign.phoneNumber?.number ||
+    (byoClient && credentials.twilio.phoneNumber) ||
+    org?.twilioNumber;
+
+  if (!from) throw new Error("Organization has no phone number configured");
+
+  return {
+    client: byoClient || (await getClientForOrganization(campaign.organizationId)),
+    from,
+  };
+}
+
+/**
+ * Place one call. The contact is claimed first so overlapping runs can't
+ * dial it twice.
+ */
+async function placeCall(campaign, contact) {
+  const claimed = await prisma.callCampaignContact.updateMany({
+    where: { id: contact.id, status: "PENDING" },
+    data: {
+      status: "DIALING",
+      attempts: { increment: 1 },
+      lastAttemptAt: new Date(),
+      nextAttemptAt: null,
+      lastError: null,
+    },
+  });
+  if (claimed.count === 0) return false;
+
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  try {
+    const { client, from } = await resolveDialer(campaign);
+    const call = await client.calls.create({
+      to: contact.phone,
+      from,
+      url: `${baseUrl}/twilio/campaign/answer?contactId=${contact.id}`,
+      machineDetection: "DetectMessageEnd", // Wait for the beep so the voicemail drop is complete
+      statusCallback: `${baseUrl}/twilio/call/status?campaignContactId=${contact.id}`,
+      timeout: 30,
+    });
+
+    await prisma.callCampaignContact.update({
+      where: { id: contact.id },
+      data: { lastCallSid: call.sid },
+    });
+    await prisma.callLog.upsert({
+      where: { callSid: call.sid },
+      update: { campaignId: campaign.id },
+      create: {
+        callSid: call.sid,
+        direction: "OUTBOUND",
+        fromNumber: from,
+        toNumber: contact.phone,
+        status: "QUEUED",
+        organizationId: campaign.organizationId,
+        phoneNumberId: campaign.phoneNumberId,
+        campaignId: campaign.id,
+      },
+    });
+
+    console.log(`📤 Campaign "${campaign.name}" dialing ${contact.phone}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Campaign dial error (${contact.phone}):`, err.message);
+    await handleCallResult(contact.id, { callStatus: "failed", error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Dial the next due contacts of one running campaign
+ * @returns {number} Calls placed
+ */
+async function dialCampaign(campaign, now = new Date()) {
+  // Attempts whose status callback never arrived
+  const stale = await prisma.callCampaignContact.findMany({
+    where: {
+      campaignId: campaign.id,
+      status: "DIALING",
+      lastAttemptAt: { lt: new Date(now.getTime() - STALE_DIAL_MINUTES * 60 * 1000) },
+    },
+    select: { id: true },
+  });
+  for (const contact of stale) {
+    await handleCallResult(contact.id, { callStatus: "failed", error: "No call result received" });
+  }
+
+  const [total, remaining] = await Promise.all([
+    prisma.callCampaignContact.count({ where: { campaignId: campaign.id } }),
+    prisma.callCampaignContact.count({
+      where: { campaignId: campaign.id, status: { in: ["PENDING", "DIALING"] } },
+    }),
+  ]);
+  // Started before any contacts were added: wait for them
+  if (total === 0) return 0;
+
+  if (remaining === 0) {
+    await prisma.callCampaign.update({
+      where: { id: campaign.id },
+      data: { status: "COMPLETED", completedAt: now },
+    });
+    console.log(`✅ Campaign "${campaign.name}" completed`);
+    return 0;
+  }
+
+  const [inFlight, dialedLastMinute] = await Promise.all([
+    prisma.callCampaignContact.count({ where: { campaignId: campaign.id, status: "DIALING" } }),
+    prisma.callCampaignContact.count({
+      where: { campaignId: campaign.id, lastAttemptAt: { gte: new Date(now.getTime() - 60 * 1000) } },
+    }),
+  ]);
+  const capacity = dialCapacity(campaign, { inFlight, dialedLastMinute });
+  if (capacity === 0) return 0;
+
+  const due = await prisma.callCampaignContact.findMany({
+    where: {
+      campaignId: campaign.id,
+      status: "PENDING",
+      OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: now } }],
+    },
+    orderBy: [{ attempts: "asc" }, { createdAt: "asc" }],
+    take: DUE_BATCH_SIZE,
+    include: { lead: { select: { state: true, country: true } } },
+  });
+
+  let placed = 0;
+  for (const contact of due) {
+    if (placed >= capacity) break;
+    if (!isContactCallable(campaign, contact, now)) continue;
+
+    // Checked before every dial - a lead may have opted out since it was added
+    if (await isDoNotCall(campaign.organizationId, contact.phone)) {
+      await prisma.callCampaignContact.update({
+        where: { id: contact.id },
+        data: { status: "SKIPPED", outcome: "do_not_call" },
+      });
+      continue;
+    }
+    if (await placeCall(campaign, contact)) placed++;
+  }
+
+  return placed;
+}
+
+/**
+ * Scheduler job: dial every running campaign
+ */
+async function runDialer() {
+  const campaigns = await prisma.callCampaign.findMany({
+    where: { status: "RUNNING" },
+    include: { phoneNumber: { select: { number: true } } },
+  });
+
+  for (const campaign of campaigns) {
+    try {
+      const placed = await dialCampaign(campaign);
+      if (placed > 0) console.log(`📣 Campaign "${campaign.name}": ${placed} calls placed`);
+    } catch (err) {
+      console.error(`❌ Campaign "${campaign.name}" dialer error:`, err.message);
+    }
+  }
+}
+
+// ============================================================================
+// CALL HANDLING (Twilio webhooks)
+// ============================================================================
+
+/**
+ * TwiML for an answered campaign call (synchronous AMD result in answeredBy)
+ * @param {string} contactId
+ * @param {object} call - { callSid, answeredBy, fromNumber }
+ * @param {object} options - { wsHost }
+ */
+async function handleAnswer(contactId, { callSid, answeredBy, fromNumber }, { wsHost }) {
+  const twiml = new VoiceResponse();
+
+  const contact = await prisma.callCampaignContact.findUnique({
+    where: { id: contactId || "" },
+    include: {
+      lead: true,
+      campaign: { include: { organization: { select: { id: true, name: true } } } },
+    },
+  });
+  if (!contact || contact.campaign.status === "CANCELLED") {
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  const { campaign, lead } = contact;
+  if (callSid && answeredBy) {
+    await prisma.callLog.updateMany({ where: { callSid }, data: { answeredBy } });
+  }
+
+  const answer = classifyAnsweredBy(answeredBy);
+  if (answer === "machine" || answer === "fax") {
+    if (answer === "machine" && campaign.voicemailMessage) {
+      // Spoken by the org's TTS engine and voice, like the AI receptionist
+      twiml.play(voicemailUrl(contact.id));
+    }
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  // A person - hand the call to the AI receptionist with the campaign script
+  const stream = twiml.connect().stream({ url: `wss://${wsHost}/media-stream` });
+  stream.parameter({ name: "callerNumber", value: contact.phone });
+  stream.parameter({ name: "calledNumber", value: fromNumber || "" });
+  stream.parameter({ name: "direction", value: "outbound" });
+  stream.parameter({ name: "organizationId", value: campaign.organizationId });
+  stream.parameter({ name: "campaignId", value: campaign.id });
+  stream.parameter({ name: "campaignContactId", value: contact.id });
+
+  return twiml.toString();
+}
+
+/**
+ * Signature over a contact id for the voicemail audio URL - Twilio fetches
+ * <Play> media unsigned, so the URL carries its own proof
+ */
+function voicemailSignature(contactId) {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(`campaign-voicemail:${contactId}`)
+    .digest("hex");
+}
+
+/**
+ * Signed voicemail audio URL for a contact
+ */
+function voicemailUrl(contactId) {
+  const query = new URLSearchParams({ contactId, sig: voicemailSignature(contactId) });
+  return `${process.env.PUBLIC_BASE_URL}/twilio/campaign/voicemail?${query}`;
+}
+
+/**
+ * Whether a voicemail audio request was signed for this contact
+ */
+function isValidVoicemailSignature(contactId, signature) {
+  if (!process.env.JWT_SECRET || !contactId || typeof signature !== "string") return false;
+
+  const expected = Buffer.from(voicemailSignature(contactId));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Voicemail drop audio for a contact being dialed, in the organization's TTS
+ * engine, voice and language (the voice set for the org language, if any)
+ * @returns {Promise<{audio: Buffer, contentType: string}|null>}
+ */
+async function voicemailAudio(contactId) {
+  const contact = await prisma.callCampaignContact.findUnique({
+    where: { id: contactId || "" },
+    include: {
+      lead: true,
+      campaign: {
+        include: {
+          organization: {
+            select: { id: true, name: true, voiceProvider: true, voiceId: true, language: true, languageVoices: true },
+          },
+        },
+      },
+    },
+  });
+  if (!contact || contact.status !== "DIALING" || !contact.campaign.voicemailMessage) return null;
+
+  const { campaign, lead } = contact;
+  const { organization } = campaign;
+
+  const tts = resolveTTSProvider(organization, { credentials: await getCredentials(organization.id) });
+  const languageVoice = (organization.languageVoices || {})[languageService.normalizeLanguage(organization.language)];
+  const voice = languageVoice && tts.isValidVoice(languageVoice) ? languageVoice : tts.resolveVoice(organization.voiceId);
+
+  const text = renderCampaignText(campaign.voicemailMessage, {
+    lead,
+    organization: { id: organization.id, name: organization.name },
+  });
+  return tts.synthesize(text, { voice, format: AudioFormat.MP3 });
+}
+
+/**
+ * Record how a dial attempt ended and write the result back to the lead
+ * @param {string} contactId
+ * @param {object} result - { callStatus, answeredBy?, error? }
+ */
+async function handleCallResult(contactId, { callStatus, answeredBy, error } = {}) {
+  const contact = await prisma.callCampaignContact.findUnique({
+    where: { id: contactId || "" },
+    include: { campaign: true, lead: true },
+  });
+  if (!contact || contact.status !== "DIALING") return null;
+
+  // Twilio doesn't always repeat AnsweredBy on the status callback
+  if (!answeredBy && contact.lastCallSid) {
+    const call = await prisma.callLog.findUnique({
+      where: { callSid: contact.lastCallSid },
+      select: { answeredBy: true },
+    });
+    answeredBy = call?.answeredBy;
+  }
+
+  const result = resolveAttempt(contact, contact.campaign, { callStatus, answeredBy });
+  if (result.outcome === "answered" && contact.lead.doNotCall) {
+    result.outcome = "opted_out";
+  }
+
+  const updated = await prisma.callCampaignContact.update({
+    where: { id: contact.id },
+    data: { ...result, ...(error && { lastError: String(error).slice(0, 500) }) },
+  });
+
+  await logActivity(contact.lead, "campaign_call", `${contact.campaign.name}: ${OUTCOME_LABELS[result.outcome]}`, {
+    data: {
+      campaignId: contact.campaignId,
+      callSid: contact.lastCallSid,
+      outcome: result.outcome,
+      attempt: contact.attempts,
+    },
+  });
+
+  if (["answered", "voicemail"].includes(result.outcome) && contact.lead.status === "NEW") {
+    await prisma.lead.update({
+      where: { id: contact.lead.id },
+      data: { status: "CONTACTED" },
+    });
+  }
+
+  automationService.emit(automationService.EVENTS.CAMPAIGN_CALL_COMPLETED, contact.campaign.organizationId, {
+    campaign: { id: contact.campaign.id, name: contact.campaign.name },
+    lead: contact.lead,
+    callSid: contact.lastCallSid,
+    outcome: result.outcome,
+    attempts: contact.attempts,
+    willRetry: result.status === "PENDING",
+  });
+
+  return updated;
+}
+
+module.exports = {
+  TRANSITIONS,
+  OUTCOME_LABELS,
+  parseTime,
+  localTime,
+  isWithinCallingHours,
+  isContactCallable,
+  dialCapacity,
+  classifyAnsweredBy,
+  resolveAttempt,
+  canTransition,
+  validateCampaign,
+  renderCampaignText,
+  buildCampaignPrompt,
+  listCampaigns,
+  getCampaign,
+  listContacts,
+  addContacts,
+  transitionCampaign,
+  isDoNotCall,
+  optOut,
+  dialCampaign,
+  runDialer,
+  handleAnswer,
+  voicemailUrl,
+  isValidVoicemailSignature,
+  voicemailAudio,
+  handleCallResult,
+};
@@ -0,0 +1,130 @@
+// ============================================================================
+// HEKAX Phone - Credentials Service
+// Resolves provider credentials per organization: BYO keys when enabled,
+// platform keys otherwise
+// ============================================================================
+
+const OpenAI = require("openai");
+const twilio = require("twilio");
+const prisma = require("../lib/prisma");
+const { cache, cacheKeys } = require("../lib/cache");
+
+const CREDENTIALS_TTL = 300; // seconds
+
+// Organization columns the resolver needs
+const CREDENTIAL_FIELDS = {
+  byoKeysEnabled: true,
+  byoOpenaiKey: true,
+  byoDeepgramKey: true,
+  byoElevenlabsKey: true,
+  byoTwilioAccountSid: true,
+  byoTwilioAuthToken: true,
+  byoTwilioNumber: true,
+};
+
+/**
+ * Decrypt a stored BYO secret (null if it can't be decrypted)
+ */
+function decryptSecret(value) {
+  // Lazy require - encryption exits the process without ENCRYPTION_KEY
+  const { decrypt } = require("../lib/encryption");
+  return decrypt(value);
+}
+
+/**
+ * Resolve every provider credential for an organization row
+ * Each entry is { ..., byo: boolean } or null when nothing is configured
+ */
+function resolveCredentials(organization) {
+  const byoEnabled = !!organization?.byoKeysEnabled;
+
+  const apiKey = (field, platformKey, label) => {
+    if (byoEnabled && organization[field]) {
+      const key = decryptSecret(organization[field]);
+      if (key) return { apiKey: key, byo: true };
+      console.warn(`⚠️ BYO ${label} key could not be decrypted, using platform key`);
+    }
+    return platformKey ? { apiKey: platformKey, byo: false } : null;
+  };
+
+  let twilioCredentials = null;
+  if (byoEnabled && organization.byoTwilioAccountSid && organization.byoTwilioAuthToken) {
+    const authToken = decryptSecret(organization.byoTwilioAuthToken);
+    if (authToken) {
+      twilioCredentials = {
+        accountSid: organization.byoTwilioAccountSid,
+        authToken,
+        phoneNumber: organization.byoTwilioNumber || null,
+        byo: true,
+      };
+    } else {
+      console.warn("⚠️ BYO Twilio token could not be decrypted, using platform account");
+    }
+  }
+  if (!twilioCredentials && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    twilioCredentials = {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      phoneNumber: null,
+      byo: false,
+    };
+  }
+
+  return {
+    openai: apiKey("byoOpenaiKey", process.env.OPENAI_API_KEY, "OpenAI"),
+    deepgram: apiKey("byoDeepgramKey", process.env.DEEPGRAM_API_KEY, "Deepgram"),
+    elevenlabs: apiKey("byoElevenlabsKey", process.env.ELEVENLABS_API_KEY, "ElevenLabs"),
+    twilio: twilioCredentials,
+  };
+}
+
+/**
+ * Load and resolve credentials by organization ID (cached briefly)
+ */
+async function getCredentials(organizationId) {
+  if (!organizationId) return resolveCredentials(null);
+
+  const key = cacheKeys.credentials(organizationId);
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const organization = await prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: CREDENTIAL_FIELDS,
+  });
+  const credentials = resolveCredentials(organization);
+  cache.set(key, credentials, CREDENTIALS_TTL);
+  return credentials;
+}
+
+/**
+ * Drop cached credentials after BYO keys change
+ */
+function invalidateCredentials(organizationId) {
+  cache.delete(cacheKeys.credentials(organizationId));
+}
+
+// ============================================================================
+// CLIENT FACTORIES
+// ============================================================================
+function createOpenAIClient(credentials) {
+  return new OpenAI({ apiKey: credentials?.openai?.apiKey || process.env.OPENAI_API_KEY });
+}
+
+/**
+ * Twilio client for BYO credentials, or null to use the platform client
+ * (which may be the organization's subaccount - see twilio.service)
+ */
+function createByoTwilioClient(credentials) {
+  if (!credentials?.twilio?.byo) return null;
+  return twilio(credentials.twilio.accountSid, credentials.twilio.authToken);
+}
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  resolveCredentials,
+  getCredentials,
+  invalidateCredentials,
+  createOpenAIClient,
+  createByoTwilioClient,
+};
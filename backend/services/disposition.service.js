@@ -0,0 +1,192 @@
+// ============================================================================
+// HEKAX Phone - Disposition Service
+// Org-defined call outcome codes, free-form call tags and agent wrap-up
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const automationService = require("./automation.service");
+
+const CATEGORIES = ["positive", "neutral", "negative"];
+const MAX_CODES = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Used until an organization saves its own codes
+const DEFAULT_DISPOSITIONS = [
+  { code: "appointment_booked", label: "Appointment booked", category: "positive" },
+  { code: "lead_captured", label: "Lead captured", category: "positive" },
+  { code: "sale", label: "Sale", category: "positive" },
+  { code: "question_answered", label: "Question answered", category: "neutral" },
+  { code: "callback_requested", label: "Callback requested", category: "neutral" },
+  { code: "transferred", label: "Transferred to staff", category: "neutral" },
+  { code: "left_voicemail", label: "Left voicemail", category: "neutral" },
+  { code: "not_interested", label: "Not interested", category: "negative" },
+  { code: "wrong_number", label: "Wrong number", category: "negative" },
+  { code: "spam", label: "Spam", category: "negative" },
+];
+
+// ============================================================================
+// CODES & TAGS (pure)
+// ============================================================================
+
+/**
+ * "Left Voicemail!" → "left_voicemail"
+ */
+function toCode(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 50);
+}
+
+/**
+ * Lowercase, trimmed, de-duplicated tags (accepts an array or "a, b")
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const clean = list
+    .map((tag) => String(tag).trim().toLowerCase().replace(/,/g, "").slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(clean)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Validate an editor payload
+ * Returns { codes } or { error }
+ */
+function validateDispositions(input) {
+  if (!Array.isArray(input)) return { error: "codes must be an array" };
+  if (input.length > MAX_CODES) return { error: `At most ${MAX_CODES} disposition codes are allowed` };
+
+  const codes = [];
+  const seen = new Set();
+  for (const [index, item] of input.entries()) {
+    const label = String(item?.label || "").trim();
+    const code = toCode(item?.code || label);
+    if (!label || !code) return { error: `Code ${index + 1}: label is required` };
+    if (seen.has(code)) return { error: `Duplicate code "${code}"` };
+    seen.add(code);
+
+    codes.push({
+      code,
+      label: label.slice(0, 100),
+      description: item.description ? String(item.description).trim().slice(0, 500) : null,
+      category: CATEGORIES.includes(item.category) ? item.category : "neutral",
+      enabled: item.enabled !== false,
+      position: index,
+    });
+  }
+
+  return { codes };
+}
+
+/**
+ * Pick a disposition for an AI-handled call from what happened on it.
+ * Only codes the organization has enabled are returned.
+ * @param {object} outcome - { appointmentBooked, transferred, leadCaptured, callbackRequested }
+ * @param {object[]} codes - Enabled disposition codes
+ * @returns {string|null}
+ */
+function autoDisposition(outcome = {}, codes = []) {
+  const available = new Set(codes.filter((c) => c.enabled !== false).map((c) => c.code));
+  const candidates = [
+    outcome.appointmentBooked && "appointment_booked",
+    outcome.transferred && "transferred",
+    outcome.callbackRequested && "callback_requested",
+    outcome.leadCaptured && "lead_captured",
+    "question_answered",
+  ].filter(Boolean);
+
+  return candidates.find((code) => available.has(code)) || null;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Organization's disposition codes (defaults until codes are saved)
+ */
+async function getDispositions(organizationId) {
+  const codes = await prisma.dispositionCode.findMany({
+    where: { organizationId },
+    orderBy: { position: "asc" },
+  });
+
+  return {
+    codes: codes.length > 0 ? codes : DEFAULT_DISPOSITIONS.map((c) => ({ ...c, enabled: true })),
+    isDefault: codes.length === 0,
+  };
+}
+
+/**
+ * Replace an organization's codes (input from validateDispositions).
+ * Calls keep the code they were given even if it's later removed.
+ */
+async function saveDispositions(organizationId, codes) {
+  await prisma.$transaction([
+    prisma.dispositionCode.deleteMany({ where: { organizationId } }),
+    prisma.dispositionCode.createMany({
+      data: codes.map((code) => ({ ...code, organizationId })),
+    }),
+  ]);
+
+  return getDispositions(organizationId);
+}
+
+// ============================================================================
+// WRAP-UP
+// ============================================================================
+
+/**
+ * Set a call's disposition, tags and notes, then fire CALL_DISPOSITIONED
+ * @param {object} call - CallLog
+ * @param {object} wrapUp - { disposition, tags, notes } (omitted fields are left as-is)
+ * @param {object} options
+ * @param {string|null} options.actorId - Agent user ID (null for the AI)
+ */
+async function setDisposition(call, { disposition, tags, notes } = {}, { actorId = null } = {}) {
+  const data = {};
+  if (disposition !== undefined) {
+    data.disposition = disposition || null;
+    data.dispositionSetBy = actorId;
+    data.dispositionAt = new Date();
+  }
+  if (tags !== undefined) data.tags = normalizeTags(tags);
+  if (notes !== undefined) data.dispositionNotes = notes ? String(notes).trim() : null;
+
+  const updated = await prisma.callLog.update({
+    where: { id: call.id },
+    data: {
+      ...data,
+      ...(actorId && !call.handledById && { handledById: actorId }),
+    },
+  });
+
+  if (updated.organizationId && data.disposition) {
+    automationService.emit(automationService.EVENTS.CALL_DISPOSITIONED, updated.organizationId, {
+      call: updated,
+      callSid: updated.callSid,
+      disposition: updated.disposition,
+      tags: updated.tags,
+      handledByAI: updated.handledByAI,
+      setBy: actorId ? "agent" : "ai",
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_DISPOSITIONS,
+  toCode,
+  normalizeTags,
+  validateDispositions,
+  autoDisposition,
+  getDispositions,
+  saveDispositions,
+  setDisposition,
+};
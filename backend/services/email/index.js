@@ -60,6 +60,17 @@ const EMAIL_CONFIG = {
 // EMAIL TEMPLATES
 // ============================================================================
 
+/**
+ * Escape caller-supplied text for HTML bodies
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Generate base email template with header/footer
  */
@@ -495,8 +506,124 @@ Questions? Contact ${EMAIL_CONFIG.supportEmail}
 - The HEKAX Phone Team
     `.trim(),
   }),
+
+  /**
+   * Appointment Confirmation (sent to the caller with an .ics invite)
+   */
+  appointmentConfirmation: ({ callerName, orgName, when, duration, purpose }) => ({
+    subject: `Your appointment with ${orgName} is confirmed`,
+    html: baseTemplate(`
+      <h2>You're booked!</h2>
+      <p>Hi ${escapeHtml(callerName)},</p>
+      <p>Your appointment with <strong>${escapeHtml(orgName)}</strong> is confirmed.</p>
+
+      <div class="highlight-box">
+        <p style="margin: 0; font-weight: 600; color: #1f2937;">${escapeHtml(when)}</p>
+        <p style="margin: 8px 0 0; font-size: 14px;">${duration} minutes${purpose ? ` · ${escapeHtml(purpose)}` : ""}</p>
+      </div>
+
+      <p>Open the attached invite to add it to your calendar.</p>
+      <p class="small-text">Need to change it? Reply to this email or give us a call.</p>
+    `, `${orgName} · ${when}`),
+    text: `
+You're booked!
+
+Hi ${callerName},
+
+Your appointment with ${orgName} is confirmed.
+
+${when} (${duration} minutes)${purpose ? `\n${purpose}` : ""}
+
+Open the attached invite to add it to your calendar. Need to change it? Reply to this email or give us a call.
+    `.trim(),
+  }),
 };
 
+/**
+ * RFC 2047 encoded-word for non-ASCII header text (ASCII is left as is)
+ */
+function encodeHeaderWord(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Address header value; a line break would start a new header, so it's refused
+ * "Name <email>" keeps the name, quoted or encoded
+ */
+function formatAddress(value) {
+  const address = String(value || "");
+  if (/[\r\n]/.test(address)) {
+    throw new Error("Email address contains a line break");
+  }
+
+  const match = address.match(/^(.+?)\s*<([^<>]+)>$/);
+  if (!match) return address.trim();
+
+  const name = match[1].trim().replace(/^"(.*)"$/, "$1");
+  const encoded = encodeHeaderWord(name);
+  const display = encoded === name ? `"${name.replace(/["\\]/g, "\\$&")}"` : encoded;
+  return `${display} <${match[2].trim()}>`;
+}
+
+/**
+ * Content-Type / Content-Disposition parameters for an attachment filename
+ * (quoted ASCII fallback plus the RFC 2231 UTF-8 form)
+ */
+function filenameParams(param, filename) {
+  const name = String(filename || "attachment").replace(/[\r\n]/g, " ");
+  const fallback = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `${param}="${fallback}"; ${param}*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, escape)}`;
+}
+
+/**
+ * Raw MIME message with attachments (SES SendEmail has no attachment support)
+ */
+function buildRawMessage({ from, to, replyTo, subject, html, text, attachments }) {
+  const boundary = `hekax-${crypto.randomBytes(12).toString("hex")}`;
+  const alternative = `${boundary}-alt`;
+  const encode = (value) => Buffer.from(value).toString("base64").replace(/.{76}/g, "$&\r\n");
+  const contentType = (type) =>
+    /^[\w.+-]+\/[\w.+-]+(; *[\w.-]+=[\w.+-]+)*$/.test(type || "") ? type : "application/octet-stream";
+
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${(Array.isArray(to) ? to : [to]).map(formatAddress).join(", ")}`,
+    `Reply-To: ${formatAddress(replyTo)}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    `Content-Type: multipart/alternative; boundary="${alternative}"`,
+    "",
+    `--${alternative}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encode(text || subject),
+    `--${alternative}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encode(html),
+    `--${alternative}--`,
+  ];
+
+  for (const attachment of attachments) {
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${contentType(attachment.contentType)}; ${filenameParams("name", attachment.filename)}`,
+      `Content-Disposition: attachment; ${filenameParams("filename", attachment.filename)}`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      encode(attachment.content)
+    );
+  }
+  lines.push(`--${boundary}--`, "");
+
+  return lines.join("\r\n");
+}
+
 // ============================================================================
 // EMAIL SERVICE CLASS
 // ============================================================================
@@ -533,8 +660,9 @@ class EmailService {
 
   /**
    * Send an email
+   * @param {Array<{filename: string, content: string|Buffer, contentType: string}>} [attachments]
    */
-  async send({ to, subject, html, text, replyTo }) {
+  async send({ to, subject, html, text, replyTo, attachments = [] }) {
     if (!this.isConfigured) {
       console.warn("⚠️ Email not configured, skipping:", subject);
       console.log("📧 Would send to:", to);
@@ -554,6 +682,13 @@ class EmailService {
 
       if (resend) {
         // Use Resend
+        if (attachments.length) {
+          emailData.attachments = attachments.map((a) => ({
+            filename: a.filename,
+            content: Buffer.from(a.content),
+            contentType: a.contentType,
+          }));
+        }
         const result = await resend.emails.send(emailData);
         console.log("✅ Email sent via Resend:", to, "|", subject);
         return { success: true, id: result.id, provider: "Resend" };
@@ -566,9 +701,33 @@ class EmailService {
           subject,
           html,
           text,
+          ...(attachments.length && {
+            attachments: attachments.map((a) => ({
+              filename: a.filename,
+              content: Buffer.from(a.content).toString("base64"),
+              type: a.contentType,
+              disposition: "attachment",
+            })),
+          }),
         });
         console.log("✅ Email sent via SendGrid:", to, "|", subject);
         return { success: true, provider: "SendGrid" };
+      } else if (sesClient && attachments.length) {
+        // AWS SES with attachments needs a raw MIME message
+        const { SendRawEmailCommand } = require("@aws-sdk/client-ses");
+
+        const raw = buildRawMessage({
+          from: EMAIL_CONFIG.from,
+          to,
+          replyTo: replyTo || EMAIL_CONFIG.replyTo,
+          subject,
+          html,
+          text,
+          attachments,
+        });
+        const result = await sesClient.send(new SendRawEmailCommand({ RawMessage: { Data: Buffer.from(raw) } }));
+        console.log("✅ Email sent via AWS SES:", to, "|", subject, "| MessageId:", result.MessageId);
+        return { success: true, id: result.MessageId, provider: "AWS SES" };
       } else if (sesClient) {
         // Use AWS SES
         const { SendEmailCommand } = require("@aws-sdk/client-ses");
@@ -689,6 +848,19 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a booking confirmation to the caller with an .ics invite attached
+   */
+  async sendAppointmentConfirmation({ to, callerName, orgName, when, duration, purpose, ics }) {
+    const template = templates.appointmentConfirmation({ callerName, orgName, when, duration, purpose });
+
+    return this.send({
+      to,
+      ...template,
+      attachments: [{ filename: "invite.ics", content: ics, contentType: "text/calendar; charset=utf-8; method=PUBLISH" }],
+    });
+  }
+
   /**
    * Send trial ending email
    */
@@ -713,4 +885,5 @@ module.exports = {
   emailService: new EmailService(),
   templates,
   EMAIL_CONFIG,
+  buildRawMessage,
 };
@@ -19,6 +19,7 @@ async function submitFeedback(organizationId, userId, data) {
     correctedResponse,
     category, // 'accuracy', 'tone', 'completeness', 'relevance', 'other'
     notes,
+    sourceEntries, // FAQ/knowledge entries the answer came from
   } = data;
 
   const feedback = await prisma.aIFeedback.create({
@@ -34,6 +35,7 @@ async function submitFeedback(organizationId, userId, data) {
       correctedResponse,
       category,
       notes,
+      sourceEntries: Array.isArray(sourceEntries) ? sourceEntries : undefined,
       status: "PENDING",
     },
   });
@@ -0,0 +1,179 @@
+// ============================================================================
+// HEKAX Phone - Language Service
+// Supported caller languages, localized phrases and spoken-language detection
+// ============================================================================
+
+// ============================================================================
+// SUPPORTED LANGUAGES
+// ============================================================================
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: {
+    name: "English",
+    deepgram: "en-US",
+    phrases: {
+      greeting: (org) => `Thank you for calling ${org}. How may I help you today?`,
+      welcomeBack: (name, org) => `Welcome back, ${name}! Thank you for calling ${org}. How can I help you today?`,
+      hold: "Thank you for calling. Please hold.",
+      repeat: "I apologize, could you please repeat that?",
+      wrapUp: (name, org) =>
+        `I'm sorry${name ? `, ${name}` : ""}, I need to wrap up our call now. I've noted everything you've told me, and someone from ${org} will follow up with you shortly. Thank you for calling, goodbye!`,
+    },
+  },
+  es: {
+    name: "Spanish",
+    deepgram: "es",
+    phrases: {
+      greeting: (org) => `Gracias por llamar a ${org}. ¿En qué puedo ayudarle hoy?`,
+      welcomeBack: (name, org) => `¡Bienvenido de nuevo, ${name}! Gracias por llamar a ${org}. ¿En qué puedo ayudarle hoy?`,
+      hold: "Gracias por llamar. Por favor, espere.",
+      repeat: "Disculpe, ¿podría repetir eso, por favor?",
+      wrapUp: (name, org) =>
+        `Lo siento${name ? `, ${name}` : ""}, tengo que terminar la llamada. He anotado todo lo que me ha dicho y alguien de ${org} se pondrá en contacto con usted pronto. Gracias por llamar, ¡adiós!`,
+    },
+  },
+  fr: {
+    name: "French",
+    deepgram: "fr",
+    phrases: {
+      greeting: (org) => `Merci d'avoir appelé ${org}. Comment puis-je vous aider aujourd'hui ?`,
+      welcomeBack: (name, org) => `Bon retour, ${name} ! Merci d'avoir appelé ${org}. Comment puis-je vous aider aujourd'hui ?`,
+      hold: "Merci de votre appel. Veuillez patienter.",
+      repeat: "Excusez-moi, pourriez-vous répéter, s'il vous plaît ?",
+      wrapUp: (name, org) =>
+        `Je suis désolé${name ? `, ${name}` : ""}, je dois terminer notre appel. J'ai bien noté tout ce que vous m'avez dit et quelqu'un de ${org} vous recontactera très bientôt. Merci de votre appel, au revoir !`,
+    },
+  },
+  de: {
+    name: "German",
+    deepgram: "de",
+    phrases: {
+      greeting: (org) => `Vielen Dank für Ihren Anruf bei ${org}. Wie kann ich Ihnen heute helfen?`,
+      welcomeBack: (name, org) => `Willkommen zurück, ${name}! Vielen Dank für Ihren Anruf bei ${org}. Wie kann ich Ihnen heute helfen?`,
+      hold: "Vielen Dank für Ihren Anruf. Bitte bleiben Sie dran.",
+      repeat: "Entschuldigung, könnten Sie das bitte wiederholen?",
+      wrapUp: (name, org) =>
+        `Es tut mir leid${name ? `, ${name}` : ""}, ich muss unser Gespräch jetzt beenden. Ich habe alles notiert, und jemand von ${org} meldet sich in Kürze bei Ihnen. Vielen Dank für Ihren Anruf, auf Wiederhören!`,
+    },
+  },
+  pt: {
+    name: "Portuguese",
+    deepgram: "pt",
+    phrases: {
+      greeting: (org) => `Obrigado por ligar para ${org}. Como posso ajudar hoje?`,
+      welcomeBack: (name, org) => `Bem-vindo de volta, ${name}! Obrigado por ligar para ${org}. Como posso ajudar hoje?`,
+      hold: "Obrigado por ligar. Por favor, aguarde.",
+      repeat: "Desculpe, poderia repetir, por favor?",
+      wrapUp: (name, org) =>
+        `Desculpe${name ? `, ${name}` : ""}, preciso encerrar a nossa ligação agora. Anotei tudo o que você me disse e alguém da ${org} entrará em contato em breve. Obrigado por ligar, tchau!`,
+    },
+  },
+  it: {
+    name: "Italian",
+    deepgram: "it",
+    phrases: {
+      greeting: (org) => `Grazie per aver chiamato ${org}. Come posso aiutarla oggi?`,
+      welcomeBack: (name, org) => `Bentornato, ${name}! Grazie per aver chiamato ${org}. Come posso aiutarla oggi?`,
+      hold: "Grazie per aver chiamato. Resti in linea, per favore.",
+      repeat: "Mi scusi, potrebbe ripetere, per favore?",
+      wrapUp: (name, org) =>
+        `Mi dispiace${name ? `, ${name}` : ""}, devo concludere la nostra chiamata. Ho preso nota di tutto e qualcuno di ${org} la ricontatterà a breve. Grazie per aver chiamato, arrivederci!`,
+    },
+  },
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Common function words per language, used to guess the language of a transcript
+const LANGUAGE_MARKERS = {
+  en: ["the", "and", "is", "are", "you", "i", "my", "to", "of", "for", "with", "have", "can", "what", "this", "hello", "please", "would", "like", "need"],
+  es: ["el", "la", "los", "las", "y", "es", "de", "que", "en", "por", "para", "con", "mi", "quiero", "necesito", "hola", "gracias", "una", "cita", "usted", "estoy", "como", "puedo"],
+  fr: ["le", "la", "les", "et", "est", "de", "que", "je", "vous", "pour", "avec", "mon", "ma", "bonjour", "merci", "voudrais", "un", "une", "rendez", "suis", "pas", "des"],
+  de: ["der", "die", "das", "und", "ist", "ich", "sie", "nicht", "mit", "für", "ein", "eine", "guten", "tag", "danke", "bitte", "möchte", "termin", "haben", "mein"],
+  pt: ["o", "a", "os", "as", "e", "de", "que", "em", "para", "com", "eu", "meu", "minha", "olá", "obrigado", "obrigada", "gostaria", "preciso", "uma", "não", "você"],
+  it: ["il", "lo", "la", "gli", "e", "di", "che", "per", "con", "io", "mio", "mia", "buongiorno", "grazie", "vorrei", "un", "una", "sono", "non", "appuntamento"],
+};
+
+/**
+ * Map any locale ("es-MX", "fr_CA", "EN") to a supported base language
+ */
+function normalizeLanguage(language) {
+  const base = String(language || "").toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+function getLanguageName(language) {
+  return LANGUAGES[normalizeLanguage(language)].name;
+}
+
+/**
+ * Localized receptionist phrase, falling back to English
+ */
+function getPhrase(language, key, ...args) {
+  const phrase = LANGUAGES[normalizeLanguage(language)].phrases[key] || LANGUAGES.en.phrases[key];
+  return typeof phrase === "function" ? phrase(...args) : phrase;
+}
+
+/**
+ * Deepgram streaming parameters for a call
+ * Auto-detect uses multilingual mode until the caller's language is known
+ */
+function getDeepgramLanguageOptions(language, { autoDetect = false } = {}) {
+  if (autoDetect) {
+    return { model: "nova-3", language: "multi" };
+  }
+  return { model: "nova-2", language: LANGUAGES[normalizeLanguage(language)].deepgram };
+}
+
+/**
+ * Guess the language of a transcript from its function words
+ * Returns { language, confidence } or null when there isn't enough signal
+ */
+function detectLanguage(text, candidates = SUPPORTED_LANGUAGES) {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s']/gu, " ")
+    .split(/[\s']+/)
+    .filter(Boolean);
+  if (words.length < 2) return null;
+
+  const scores = candidates
+    .filter((lang) => LANGUAGE_MARKERS[lang])
+    .map((lang) => {
+      const markers = new Set(LANGUAGE_MARKERS[lang]);
+      return { language: lang, hits: words.filter((w) => markers.has(w)).length };
+    })
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.hits === 0 || best.hits === runnerUp?.hits) return null;
+
+  return {
+    language: best.language,
+    confidence: Math.round((best.hits / words.length) * 100) / 100,
+  };
+}
+
+/**
+ * Restrict detection to the organization's allowed languages
+ * (empty list means every supported language)
+ */
+function resolveAllowedLanguages(organization) {
+  const allowed = (organization?.supportedLanguages || [])
+    .map(normalizeLanguage)
+    .filter((lang, i, all) => all.indexOf(lang) === i);
+  return allowed.length > 0 ? allowed : SUPPORTED_LANGUAGES;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  getLanguageName,
+  getPhrase,
+  getDeepgramLanguageOptions,
+  detectLanguage,
+  resolveAllowedLanguages,
+};
@@ -0,0 +1,420 @@
+// ============================================================================
+// HEKAX Phone - Lead Scoring Service
+// Per-organization scoring rules (signal → weight, decay, cap). Scores are
+// recomputed from scratch on every run, so re-running never inflates them.
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULES = 50;
+const BATCH_SIZE = 200;
+const OPEN_STATUSES = ["NEW", "CONTACTED", "QUALIFIED"];
+
+// ============================================================================
+// SIGNALS
+// Each extractor returns one entry per occurrence: the Date it happened, or
+// null for standing facts about the lead (which never decay)
+// ============================================================================
+
+const isSentiment = (call, label) => String(call.sentiment || "").toLowerCase() === label;
+
+const SIGNALS = {
+  inbound_call: {
+    label: "Inbound call",
+    description: "Each call from the lead",
+    extract: ({ calls }) => calls.filter((c) => c.direction === "INBOUND").map((c) => c.createdAt),
+  },
+  long_call: {
+    label: "Long call",
+    description: "Calls lasting at least the threshold",
+    threshold: { unit: "seconds", default: 180 },
+    extract: ({ calls }, threshold) => calls.filter((c) => c.duration >= threshold).map((c) => c.createdAt),
+  },
+  positive_sentiment: {
+    label: "Positive sentiment",
+    description: "Calls analyzed as positive",
+    extract: ({ calls }) => calls.filter((c) => isSentiment(c, "positive")).map((c) => c.createdAt),
+  },
+  negative_sentiment: {
+    label: "Negative sentiment",
+    description: "Calls analyzed as negative",
+    extract: ({ calls }) => calls.filter((c) => isSentiment(c, "negative")).map((c) => c.createdAt),
+  },
+  high_ai_confidence: {
+    label: "High AI confidence",
+    description: "AI-handled calls at or above the confidence threshold",
+    threshold: { unit: "confidence (0-1)", default: 0.8 },
+    extract: ({ calls }, threshold) =>
+      calls.filter((c) => c.aiConfidence != null && c.aiConfidence >= threshold).map((c) => c.createdAt),
+  },
+  appointment_booked: {
+    label: "Appointment booked",
+    description: "Bookings that were not cancelled",
+    extract: ({ lead, bookings }) => {
+      const booked = bookings.filter((b) => b.status !== "CANCELLED").map((b) => b.createdAt);
+      if (booked.length === 0 && lead.appointmentDate) return [lead.createdAt];
+      return booked;
+    },
+  },
+  no_show: {
+    label: "No-show",
+    description: "Appointments the lead missed",
+    extract: ({ bookings }) => bookings.filter((b) => b.status === "NO_SHOW").map((b) => b.scheduledAt),
+  },
+  has_email: {
+    label: "Has email",
+    description: "An email address is on file",
+    extract: ({ lead }) => (lead.email ? [null] : []),
+  },
+  has_company: {
+    label: "Has company",
+    description: "A company name is on file",
+    extract: ({ lead }) => (lead.company ? [null] : []),
+  },
+  high_urgency: {
+    label: "High urgency",
+    description: "Urgency is HIGH or CRITICAL",
+    extract: ({ lead }) => (["HIGH", "CRITICAL"].includes(lead.urgency) ? [null] : []),
+  },
+  high_value: {
+    label: "High estimated value",
+    description: "Estimated value at or above the threshold",
+    threshold: { unit: "amount", default: 1000 },
+    extract: ({ lead }, threshold) => (lead.estimatedValue != null && lead.estimatedValue >= threshold ? [null] : []),
+  },
+  vip: {
+    label: "VIP",
+    description: "Lead is marked VIP",
+    extract: ({ lead }) => (lead.isVIP ? [null] : []),
+  },
+};
+
+// Used until an organization saves its own rules
+const DEFAULT_RULES = [
+  { signal: "appointment_booked", weight: 20, maxPoints: 20 },
+  { signal: "long_call", weight: 15, threshold: 180, decayDays: 30, maxPoints: 30 },
+  { signal: "positive_sentiment", weight: 15, decayDays: 30, maxPoints: 30 },
+  { signal: "negative_sentiment", weight: -10, decayDays: 30, maxPoints: 20 },
+  { signal: "inbound_call", weight: 5, decayDays: 14, maxPoints: 15 },
+  { signal: "high_ai_confidence", weight: 5, threshold: 0.8, maxPoints: 5 },
+  { signal: "no_show", weight: -15, decayDays: 30, maxPoints: 30 },
+  { signal: "high_urgency", weight: 15 },
+  { signal: "high_value", weight: 15, threshold: 1000 },
+  { signal: "has_email", weight: 10 },
+  { signal: "has_company", weight: 10 },
+];
+
+const DEFAULT_HOT_SCORE = 70;
+const DEFAULT_WARM_SCORE = 40;
+
+// ============================================================================
+// SCORING (pure)
+// ============================================================================
+
+/**
+ * Weight of an occurrence after exponential decay (decayDays is the half-life)
+ */
+function decayFactor(at, decayDays, now) {
+  if (!at || !decayDays) return 1;
+  const ageDays = Math.max(0, (now.getTime() - new Date(at).getTime()) / DAY_MS);
+  return Math.pow(0.5, ageDays / decayDays);
+}
+
+/**
+ * Score a lead against a rule set
+ * @param {object[]} rules - [{ signal, weight, threshold?, decayDays?, maxPoints?, enabled? }]
+ * @param {object} context - { lead, calls, bookings }
+ * @param {object} options
+ * @param {Date} options.now - Reference time for decay
+ * @returns {{ score: number, breakdown: object[] }}
+ */
+function computeScore(rules, context, { now = new Date() } = {}) {
+  const ctx = { calls: [], bookings: [], ...context };
+  const breakdown = [];
+  let total = 0;
+
+  for (const rule of rules) {
+    const signal = SIGNALS[rule.signal];
+    if (!signal || rule.enabled === false || !rule.weight) continue;
+
+    const threshold = rule.threshold ?? signal.threshold?.default;
+    const occurrences = signal.extract(ctx, threshold);
+    if (occurrences.length === 0) continue;
+
+    let raw = occurrences.reduce((sum, at) => sum + rule.weight * decayFactor(at, rule.decayDays, now), 0);
+    if (rule.maxPoints) {
+      raw = Math.sign(raw) * Math.min(Math.abs(raw), rule.maxPoints);
+    }
+
+    const points = Math.round(raw);
+    if (points === 0) continue;
+
+    total += points;
+    breakdown.push({ signal: rule.signal, label: signal.label, count: occurrences.length, points });
+  }
+
+  return { score: Math.min(100, Math.max(0, total)), breakdown };
+}
+
+function temperatureFor(score, { hotScore = DEFAULT_HOT_SCORE, warmScore = DEFAULT_WARM_SCORE } = {}) {
+  if (score >= hotScore) return "HOT";
+  if (score >= warmScore) return "WARM";
+  return "COLD";
+}
+
+/**
+ * Human-readable breakdown: "+20 appointment booked, -10 negative sentiment"
+ */
+function explainScore(breakdown = []) {
+  return breakdown
+    .map((item) => {
+      const sign = item.points > 0 ? "+" : "";
+      const count = item.count > 1 ? ` (×${item.count})` : "";
+      return `${sign}${item.points} ${item.label.toLowerCase()}${count}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Validate an editor payload
+ * Returns { data: { rules, hotScore, warmScore } } or { error }
+ */
+function validateScoringModel(input = {}) {
+  const { rules, hotScore = DEFAULT_HOT_SCORE, warmScore = DEFAULT_WARM_SCORE } = input;
+
+  if (!Array.isArray(rules)) return { error: "rules must be an array" };
+  if (rules.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules are allowed` };
+
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  const optional = (value) => value === undefined || value === null || value === "";
+
+  const cleaned = [];
+  for (const [index, rule] of rules.entries()) {
+    const at = `Rule ${index + 1}`;
+    if (!rule || !SIGNALS[rule.signal]) return { error: `${at}: unknown signal` };
+    if (!isInt(rule.weight, -100, 100)) return { error: `${at}: weight must be an integer between -100 and 100` };
+    if (!optional(rule.threshold) && !(typeof rule.threshold === "number" && rule.threshold >= 0)) {
+      return { error: `${at}: threshold must be a positive number` };
+    }
+    if (!optional(rule.decayDays) && !isInt(rule.decayDays, 1, 365)) {
+      return { error: `${at}: decayDays must be between 1 and 365` };
+    }
+    if (!optional(rule.maxPoints) && !isInt(rule.maxPoints, 1, 100)) {
+      return { error: `${at}: maxPoints must be between 1 and 100` };
+    }
+
+    cleaned.push({
+      signal: rule.signal,
+      weight: rule.weight,
+      threshold: optional(rule.threshold) ? null : rule.threshold,
+      decayDays: optional(rule.decayDays) ? null : rule.decayDays,
+      maxPoints: optional(rule.maxPoints) ? null : rule.maxPoints,
+      enabled: rule.enabled !== false,
+      position: index,
+    });
+  }
+
+  if (!isInt(hotScore, 1, 100) || !isInt(warmScore, 0, 100) || warmScore >= hotScore) {
+    return { error: "Thresholds must satisfy 0 <= warmScore < hotScore <= 100" };
+  }
+
+  return { data: { rules: cleaned, hotScore, warmScore } };
+}
+
+/**
+ * Signal catalog for the editor
+ */
+function listSignals() {
+  return Object.entries(SIGNALS).map(([key, signal]) => ({
+    key,
+    label: signal.label,
+    description: signal.description,
+    threshold: signal.threshold || null,
+  }));
+}
+
+// ============================================================================
+// MODEL STORAGE
+// ============================================================================
+
+/**
+ * Organization's scoring model (defaults until rules are saved)
+ */
+async function getScoringModel(organizationId) {
+  const [org, rules] = await Promise.all([
+    prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { leadHotScore: true, leadWarmScore: true },
+    }),
+    prisma.leadScoringRule.findMany({
+      where: { organizationId },
+      orderBy: { position: "asc" },
+    }),
+  ]);
+
+  return {
+    rules: rules.length > 0 ? rules : DEFAULT_RULES,
+    isDefault: rules.length === 0,
+    hotScore: org?.leadHotScore ?? DEFAULT_HOT_SCORE,
+    warmScore: org?.leadWarmScore ?? DEFAULT_WARM_SCORE,
+  };
+}
+
+/**
+ * Replace an organization's rules and thresholds (input from validateScoringModel)
+ */
+async function saveScoringModel(organizationId, { rules, hotScore, warmScore }) {
+  await prisma.$transaction([
+    prisma.leadScoringRule.deleteMany({ where: { organizationId } }),
+    prisma.leadScoringRule.createMany({
+      data: rules.map((rule) => ({ ...rule, organizationId })),
+    }),
+    prisma.organization.update({
+      where: { id: organizationId },
+      data: { leadHotScore: hotScore, leadWarmScore: warmScore },
+    }),
+  ]);
+
+  return getScoringModel(organizationId);
+}
+
+// ============================================================================
+// RESCORING
+// ============================================================================
+
+/**
+ * Load calls and bookings for a batch of leads and group them per lead
+ */
+async function loadContexts(organizationId, leads) {
+  const phones = [...new Set(leads.map((l) => l.phone).filter(Boolean))];
+  const emails = [...new Set(leads.map((l) => l.email).filter(Boolean))];
+  const callSids = leads.map((l) => l.callSid).filter(Boolean);
+
+  const [calls, bookings] = await Promise.all([
+    prisma.callLog.findMany({
+      where: {
+        organizationId,
+        OR: [{ callSid: { in: callSids } }, { fromNumber: { in: phones } }, { toNumber: { in: phones } }],
+      },
+      select: {
+        callSid: true,
+        direction: true,
+        fromNumber: true,
+        toNumber: true,
+        duration: true,
+        sentiment: true,
+        aiConfidence: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.calendarBooking.findMany({
+      where: {
+        organizationId,
+        OR: [{ callerPhone: { in: phones } }, { callerEmail: { in: emails } }],
+      },
+      select: { callerPhone: true, callerEmail: true, status: true, scheduledAt: true, createdAt: true },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  return leads.map((lead) => ({
+    lead,
+    calls: calls.filter(
+      (c) => c.callSid === lead.callSid || c.fromNumber === lead.phone || c.toNumber === lead.phone
+    ),
+    bookings: bookings.filter(
+      (b) =>
+        b.callerPhone === lead.phone ||
+        (lead.email && b.callerEmail && b.callerEmail.toLowerCase() === lead.email)
+    ),
+  }));
+}
+
+/**
+ * Recompute scores for an organization's leads, writing only those that changed
+ * @param {string} organizationId
+ * @param {object} options
+ * @param {boolean} options.openOnly - Skip won/lost/closed leads
+ * @returns {{ scored: number, updated: number }}
+ */
+async function rescoreOrganization(organizationId, { openOnly = false, now = new Date() } = {}) {
+  const model = await getScoringModel(organizationId);
+  const where = { organizationId, ...(openOnly && { status: { in: OPEN_STATUSES } }) };
+  const result = { scored: 0, updated: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const leads = await prisma.lead.findMany({
+      where,
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (leads.length === 0) break;
+
+    for (const context of await loadContexts(organizationId, leads)) {
+      const { lead } = context;
+      const { score, breakdown } = computeScore(model.rules, context, { now });
+      const temperature = temperatureFor(score, model);
+      result.scored++;
+
+      if (
+        score === lead.score &&
+        temperature === lead.temperature &&
+        JSON.stringify(breakdown) === JSON.stringify(lead.scoreBreakdown)
+      ) {
+        continue;
+      }
+
+      await prisma.lead.update({
+        where: { id: lead.id },
+        data: { score, temperature, scoreBreakdown: breakdown },
+      });
+      result.updated++;
+    }
+
+    cursor = leads[leads.length - 1].id;
+  }
+
+  return result;
+}
+
+/**
+ * Scheduled job: rescore open leads in every organization
+ */
+async function rescoreOpenLeads() {
+  const orgs = await prisma.organization.findMany({
+    where: { leads: { some: { status: { in: OPEN_STATUSES } } } },
+    select: { id: true },
+  });
+
+  let scored = 0;
+  let updated = 0;
+  for (const org of orgs) {
+    try {
+      const result = await rescoreOrganization(org.id, { openOnly: true });
+      scored += result.scored;
+      updated += result.updated;
+    } catch (err) {
+      console.error(`❌ Lead scoring failed for org ${org.id}:`, err.message);
+    }
+  }
+
+  console.log(`📊 Scored ${scored} leads (${updated} changed)`);
+}
+
+module.exports = {
+  SIGNALS,
+  DEFAULT_RULES,
+  computeScore,
+  temperatureFor,
+  explainScore,
+  validateScoringModel,
+  listSignals,
+  getScoringModel,
+  saveScoringModel,
+  rescoreOrganization,
+  rescoreOpenLeads,
+};
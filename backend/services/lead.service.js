@@ -0,0 +1,643 @@
+// ============================================================================
+// HEKAX Phone - Lead Service
+// Lead validation, filtering, dedupe/merge, activity timeline and CSV import
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const { parseCSV } = require("../lib/csv");
+
+const LEAD_STATUSES = ["NEW", "CONTACTED", "QUALIFIED", "PROPOSAL", "NEGOTIATION", "WON", "LOST", "UNQUALIFIED"];
+const LEAD_URGENCIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const LEAD_TEMPERATURES = ["HOT", "WARM", "COLD"];
+
+// Where a lead came from (calls use "phone")
+const LEAD_SOURCES = ["phone", "manual", "web_form", "import", "sms", "chat", "api"];
+
+// Free-text fields a user, form or import may set
+const TEXT_FIELDS = [
+  "name", "email", "company", "jobTitle", "website",
+  "address", "city", "state", "country", "postalCode",
+  "reason", "serviceInterest", "preferredCallbackTime", "referralSource", "notes",
+  "stage", "lostReason", "currency", "campaign", "medium",
+];
+
+// Columns a CSV import can be mapped to
+const IMPORT_FIELDS = [
+  ...TEXT_FIELDS.filter((f) => f !== "lostReason"),
+  "phone", "status", "urgency", "temperature", "score", "estimatedValue",
+];
+
+const MAX_PAGE_SIZE = 200;
+
+// ============================================================================
+// NORMALIZATION & VALIDATION
+// ============================================================================
+
+/**
+ * Normalize a phone number to E.164 where possible (US numbers get +1)
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+  const raw = String(phone).trim();
+  const digits = raw.replace(/\D/g, "");
+  if (digits.length < 7) return null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return raw.startsWith("+") || digits.length > 11 ? `+${digits}` : digits;
+}
+
+function normalizeEmail(email) {
+  const value = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+/**
+ * Validate create/update input into Prisma data
+ * Returns { data } or { error }
+ * @param {object} input
+ * @param {object} options
+ * @param {boolean} options.partial - Update (only given fields) rather than create
+ */
+function validateLeadInput(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (input[field] === undefined) continue;
+    const value = input[field] === null ? null : String(input[field]).trim();
+    data[field] = value || null;
+  }
+
+  if (input.email !== undefined && input.email !== null && String(input.email).trim()) {
+    data.email = normalizeEmail(input.email);
+    if (!data.email) return { error: "Invalid email address" };
+  }
+
+  if (input.phone !== undefined) {
+    data.phone = normalizePhone(input.phone);
+    if (!data.phone) return { error: "Invalid phone number" };
+  }
+
+  for (const [field, allowed] of [["status", LEAD_STATUSES], ["urgency", LEAD_URGENCIES], ["temperature", LEAD_TEMPERATURES]]) {
+    if (input[field] === undefined || input[field] === null || input[field] === "") continue;
+    const value = String(input[field]).trim().toUpperCase();
+    if (!allowed.includes(value)) {
+      return { error: `${field} must be one of: ${allowed.join(", ")}` };
+    }
+    data[field] = value;
+  }
+
+  if (input.score !== undefined && input.score !== "") {
+    const score = parseInt(input.score, 10);
+    if (isNaN(score) || score < 0 || score > 100) return { error: "score must be between 0 and 100" };
+    data.score = score;
+  }
+
+  for (const field of ["estimatedValue", "actualValue"]) {
+    if (input[field] === undefined || input[field] === "") continue;
+    const value = input[field] === null ? null : parseFloat(input[field]);
+    if (value !== null && isNaN(value)) return { error: `${field} must be a number` };
+    data[field] = value;
+  }
+
+  if (input.isVIP !== undefined) data.isVIP = !!input.isVIP;
+  if (input.doNotCall !== undefined) {
+    data.doNotCall = !!input.doNotCall;
+    data.doNotCallAt = data.doNotCall ? new Date() : null;
+  }
+  if (input.customFields !== undefined && typeof input.customFields === "object") {
+    data.customFields = input.customFields;
+  }
+
+  if (input.source !== undefined) {
+    if (!LEAD_SOURCES.includes(input.source)) {
+      return { error: `source must be one of: ${LEAD_SOURCES.join(", ")}` };
+    }
+    data.source = input.source;
+  }
+
+  if (!partial) {
+    if (!data.phone) return { error: "Phone number is required" };
+    data.name = data.name || "Unknown";
+    data.reason = data.reason || "Not specified";
+  } else if (data.name === null || data.reason === null) {
+    return { error: "name and reason can't be empty" };
+  }
+
+  return { data };
+}
+
+// ============================================================================
+// LISTING
+// ============================================================================
+
+const splitList = (value) => String(value).split(",").map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Build a Prisma where clause from list query parameters
+ * status/temperature/urgency/source accept comma-separated lists;
+ * assignedTo accepts a user id, "me" or "unassigned"
+ */
+function buildLeadWhere(organizationId, query = {}, userId = null) {
+  const where = { organizationId };
+
+  for (const [param, allowed] of [["status", LEAD_STATUSES], ["temperature", LEAD_TEMPERATURES], ["urgency", LEAD_URGENCIES]]) {
+    if (!query[param] || query[param] === "all") continue;
+    where[param] = { in: splitList(query[param]).map((v) => v.toUpperCase()).filter((v) => allowed.includes(v)) };
+  }
+
+  if (query.source) {
+    where.source = { in: splitList(query.source) };
+  }
+
+  if (query.assignedTo) {
+    where.assignedToId =
+      query.assignedTo === "unassigned" ? null : query.assignedTo === "me" ? userId : query.assignedTo;
+  }
+
+  const minScore = parseInt(query.minScore, 10);
+  const maxScore = parseInt(query.maxScore, 10);
+  if (!isNaN(minScore) || !isNaN(maxScore)) {
+    where.score = {
+      ...(!isNaN(minScore) && { gte: minScore }),
+      ...(!isNaN(maxScore) && { lte: maxScore }),
+    };
+  }
+
+  const search = String(query.q || query.search || "").trim();
+  if (search) {
+    const contains = { contains: search, mode: "insensitive" };
+    const digits = search.replace(/\D/g, "");
+    where.OR = [
+      { name: contains },
+      { email: contains },
+      { company: contains },
+      { reason: contains },
+      { serviceInterest: contains },
+      { notes: contains },
+      ...(digits.length >= 3 ? [{ phone: { contains: digits } }] : []),
+    ];
+  }
+
+  return where;
+}
+
+/**
+ * List leads newest first with cursor pagination
+ * Returns { leads, nextCursor } - pass nextCursor back as ?cursor= for the next page
+ */
+async function listLeads(organizationId, query = {}, userId = null) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const leads = await prisma.lead.findMany({
+    where: buildLeadWhere(organizationId, query, userId),
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 }),
+    include: {
+      assignedTo: { select: { id: true, name: true, email: true } },
+    },
+  });
+
+  const hasMore = leads.length > limit;
+  if (hasMore) leads.pop();
+
+  return { leads, nextCursor: hasMore ? leads[leads.length - 1].id : null };
+}
+
+// ============================================================================
+// DUPLICATES & MERGE
+// ============================================================================
+
+/**
+ * Leads in the organization sharing a phone number or email
+ */
+async function findDuplicates(organizationId, { phone, email }, excludeId = null) {
+  const or = [
+    ...(normalizePhone(phone) ? [{ phone: normalizePhone(phone) }] : []),
+    ...(normalizeEmail(email) ? [{ email: { equals: normalizeEmail(email), mode: "insensitive" } }] : []),
+  ];
+  if (or.length === 0) return [];
+
+  return prisma.lead.findMany({
+    where: {
+      organizationId,
+      OR: or,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Combine duplicate leads into the target's fields
+ * Empty target fields are filled from the sources; notes are concatenated,
+ * the highest score and urgency win and the earliest createdAt is kept
+ */
+function mergeLeadFields(target, sources) {
+  const data = {};
+  const fillable = [...TEXT_FIELDS.filter((f) => f !== "notes"), "phone", "assignedToId", "estimatedValue", "callSid"];
+
+  for (const field of fillable) {
+    if (target[field]) continue;
+    const source = sources.find((s) => s[field]);
+    if (source) data[field] = source[field];
+  }
+  if (target.name === "Unknown" || target.name === "Unknown Caller") {
+    const named = sources.find((s) => s.name && !s.name.startsWith("Unknown"));
+    if (named) data.name = named.name;
+  }
+
+  const notes = [target, ...sources].map((l) => l.notes).filter(Boolean);
+  if (notes.length > 1) data.notes = notes.join("\n\n");
+
+  const all = [target, ...sources];
+  data.score = Math.max(...all.map((l) => l.score || 0));
+  data.isVIP = all.some((l) => l.isVIP);
+  // A do-not-call request on any duplicate still applies
+  const blocked = all.find((l) => l.doNotCall);
+  if (blocked) {
+    data.doNotCall = true;
+    data.doNotCallAt = blocked.doNotCallAt || null;
+  }
+  data.urgency = all
+    .map((l) => l.urgency)
+    .filter(Boolean)
+    .sort((a, b) => LEAD_URGENCIES.indexOf(b) - LEAD_URGENCIES.indexOf(a))[0] || target.urgency;
+  data.createdAt = new Date(Math.min(...all.map((l) => new Date(l.createdAt).getTime())));
+
+  return data;
+}
+
+/**
+ * Merge source leads into the target and delete them
+ * Notes, activities, tasks, sequence enrollments and campaign contacts move
+ * to the target
+ */
+async function mergeLeads(organizationId, target, sources, actorId = null) {
+  const sourceIds = sources.map((s) => s.id);
+  const data = mergeLeadFields(target, sources);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.leadNote.updateMany({ where: { leadId: { in: sourceIds } }, data: { leadId: target.id } });
+    await tx.leadActivity.updateMany({ where: { leadId: { in: sourceIds } }, data: { leadId: target.id } });
+    await tx.task.updateMany({
+      where: { organizationId, relatedLeadId: { in: sourceIds } },
+      data: { relatedLeadId: target.id },
+    });
+    await tx.sequenceEnrollment.updateMany({
+      where: { organizationId, leadId: { in: sourceIds } },
+      data: { leadId: target.id },
+    });
+    await moveCampaignContacts(tx, target.id, sourceIds);
+
+    // Delete first - a source's callSid may move to the target (unique)
+    await tx.lead.deleteMany({ where: { id: { in: sourceIds }, organizationId } });
+    const merged = await tx.lead.update({ where: { id: target.id }, data });
+
+    await tx.leadActivity.create({
+      data: {
+        type: "merged",
+        title: `Merged ${sources.length} duplicate lead${sources.length === 1 ? "" : "s"}`,
+        data: { mergedLeads: sources.map(({ id, name, phone, email }) => ({ id, name, phone, email })) },
+        actorId,
+        leadId: target.id,
+        organizationId,
+      },
+    });
+
+    return merged;
+  });
+}
+
+/**
+ * Move campaign contacts to the merge target. A lead is in a campaign once,
+ * so where several of the merged leads were, the contact with the most
+ * attempts is kept (the target's on a tie) and the others are dropped.
+ */
+async function moveCampaignContacts(tx, targetId, sourceIds) {
+  const contacts = await tx.callCampaignContact.findMany({
+    where: { leadId: { in: [targetId, ...sourceIds] } },
+    select: { id: true, campaignId: true, leadId: true, attempts: true },
+  });
+
+  const keep = new Map();
+  for (const contact of contacts) {
+    const current = keep.get(contact.campaignId);
+    const better =
+      !current ||
+      contact.attempts > current.attempts ||
+      (contact.attempts === current.attempts && contact.leadId === targetId);
+    if (better) keep.set(contact.campaignId, contact);
+  }
+
+  const keptIds = new Set([...keep.values()].map((c) => c.id));
+  const dropIds = contacts.filter((c) => !keptIds.has(c.id)).map((c) => c.id);
+  if (dropIds.length > 0) {
+    await tx.callCampaignContact.deleteMany({ where: { id: { in: dropIds } } });
+  }
+  await tx.callCampaignContact.updateMany({
+    where: { id: { in: [...keptIds] }, leadId: { in: sourceIds } },
+    data: { leadId: targetId },
+  });
+}
+
+// ============================================================================
+// ACTIVITY TIMELINE
+// ============================================================================
+
+/**
+ * Record an activity on a lead (never throws - history is best effort)
+ */
+async function logActivity(lead, type, title, { data, actorId } = {}) {
+  try {
+    return await prisma.leadActivity.create({
+      data: {
+        type,
+        title,
+        data: data || undefined,
+        actorId: actorId || null,
+        leadId: lead.id,
+        organizationId: lead.organizationId,
+      },
+    });
+  } catch (err) {
+    console.error("⚠️ Lead activity log error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Create a lead, log it and fire LEAD_CREATED
+ * A number on the do-not-contact list makes the lead do-not-call.
+ */
+async function createLead(
+  organizationId,
+  data,
+  { actorId = null, title = "Lead created", activityType = "created" } = {}
+) {
+  const automationService = require("./automation.service");
+  // Lazy require - suppression.service uses this module's normalizers
+  const { isSuppressed } = require("./suppression.service");
+
+  const blocked = !data.doNotCall && data.phone && (await isSuppressed(organizationId, { phone: data.phone }));
+  const lead = await prisma.lead.create({
+    data: { ...data, ...(blocked && { doNotCall: true, doNotCallAt: new Date() }), organizationId },
+  });
+  await logActivity(lead, activityType, title, { actorId, data: { source: lead.source } });
+
+  automationService.emit(automationService.EVENTS.LEAD_CREATED, organizationId, lead);
+  return lead;
+}
+
+/**
+ * Record an outbound SMS/email on the lead it was sent to, if any
+ */
+async function recordMessage(organizationId, { phone, email }, type, title, data) {
+  if (!organizationId) return;
+  try {
+    const [lead] = await findDuplicates(organizationId, { phone, email });
+    if (lead) await logActivity(lead, type, title, { data });
+  } catch (err) {
+    console.error("⚠️ Lead message log error:", err.message);
+  }
+}
+
+/**
+ * Merge activities, calls, bookings and tasks into one newest-first timeline
+ */
+function toTimelineEntries({ activities = [], calls = [], bookings = [], tasks = [] }) {
+  const entries = [
+    ...activities.map((a) => ({
+      id: a.id,
+      type: a.type,
+      title: a.title,
+      at: a.createdAt,
+      actorId: a.actorId,
+      data: a.data || null,
+    })),
+    ...calls.map((c) => ({
+      id: c.id,
+      type: "call",
+      title: `${c.direction === "OUTBOUND" ? "Outbound" : "Inbound"} call${c.handledByAI ? " (AI)" : ""}`,
+      at: c.createdAt,
+      data: {
+        callSid: c.callSid,
+        status: c.status,
+        duration: c.duration,
+        sentiment: c.sentiment,
+        summary: c.transcript?.summary || null,
+      },
+    })),
+    ...bookings.map((b) => ({
+      id: b.id,
+      type: "booking",
+      title: `Appointment ${b.status.toLowerCase()}${b.purpose ? `: ${b.purpose}` : ""}`,
+      at: b.createdAt,
+      data: { scheduledAt: b.scheduledAt, duration: b.duration, status: b.status },
+    })),
+    ...tasks.flatMap((t) => [
+      {
+        id: t.id,
+        type: "task",
+        title: `Task created: ${t.title}`,
+        at: t.createdAt,
+        data: { status: t.status, priority: t.priority, dueAt: t.dueAt, assignedToId: t.assignedToId },
+      },
+      ...(t.completedAt
+        ? [{ id: `${t.id}:completed`, type: "task_completed", title: `Task completed: ${t.title}`, at: t.completedAt, data: null }]
+        : []),
+    ]),
+  ];
+
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+/**
+ * Full activity timeline for a lead
+ */
+async function getTimeline(lead, { limit = 100 } = {}) {
+  const { organizationId } = lead;
+  const contact = [
+    ...(lead.phone ? [{ callerPhone: lead.phone }] : []),
+    ...(lead.email ? [{ callerEmail: { equals: lead.email, mode: "insensitive" } }] : []),
+  ];
+
+  const [activities, calls, bookings, tasks] = await Promise.all([
+    prisma.leadActivity.findMany({
+      where: { leadId: lead.id },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    }),
+    prisma.callLog.findMany({
+      where: {
+        organizationId,
+        OR: [
+          ...(lead.callSid ? [{ callSid: lead.callSid }] : []),
+          ...(lead.phone ? [{ fromNumber: lead.phone }, { toNumber: lead.phone }] : []),
+        ],
+      },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+      include: { transcript: { select: { summary: true } } },
+    }),
+    contact.length > 0
+      ? prisma.calendarBooking.findMany({
+          where: { organizationId, OR: contact },
+          orderBy: { createdAt: "desc" },
+          take: limit,
+        })
+      : [],
+    prisma.task.findMany({
+      where: { organizationId, relatedLeadId: lead.id },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    }),
+  ]);
+
+  return toTimelineEntries({ activities, calls, bookings, tasks }).slice(0, limit);
+}
+
+// ============================================================================
+// NOTES
+// ============================================================================
+
+/**
+ * Notes for a lead as threads (top-level notes newest first, replies oldest first)
+ */
+async function getNoteThreads(leadId) {
+  const notes = await prisma.leadNote.findMany({
+    where: { leadId },
+    orderBy: { createdAt: "asc" },
+    include: { author: { select: { id: true, name: true } } },
+  });
+
+  const byId = new Map(notes.map((n) => [n.id, { ...n, replies: [] }]));
+  const threads = [];
+  for (const note of byId.values()) {
+    const parent = note.parentId && byId.get(note.parentId);
+    if (parent) parent.replies.push(note);
+    else threads.push(note);
+  }
+  return threads.reverse();
+}
+
+// ============================================================================
+// CSV IMPORT
+// ============================================================================
+
+const HEADER_ALIASES = {
+  name: ["name", "full name", "contact", "contact name"],
+  phone: ["phone", "phone number", "mobile", "cell", "telephone", "tel"],
+  email: ["email", "email address", "e-mail"],
+  company: ["company", "organization", "business", "account"],
+  jobTitle: ["job title", "title", "position", "role"],
+  reason: ["reason", "inquiry", "message", "description"],
+  notes: ["notes", "note", "comments"],
+  status: ["status", "lead status"],
+  source: ["source"],
+};
+
+/**
+ * Parse an uploaded CSV into headers, rows and a suggested column mapping
+ */
+function prepareImport(csvText) {
+  const [headers = [], ...rows] = parseCSV(csvText);
+  const suggestedMapping = {};
+
+  headers.forEach((header, index) => {
+    const key = header.trim().toLowerCase();
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (field === "source" || suggestedMapping[field] !== undefined) continue;
+      if (aliases.includes(key)) suggestedMapping[field] = index;
+    }
+  });
+
+  return { headers: headers.map((h) => h.trim()), rows, suggestedMapping };
+}
+
+/**
+ * Turn one CSV row into lead input using a { field: columnIndex } mapping
+ */
+function mapImportRow(row, mapping) {
+  const input = {};
+  for (const [field, index] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) continue;
+    const value = row[index];
+    if (value !== undefined && String(value).trim() !== "") input[field] = String(value).trim();
+  }
+  return input;
+}
+
+/**
+ * Import mapped rows, deduping by phone/email against existing leads and
+ * earlier rows in the same file
+ * @param {object} options
+ * @param {string} options.duplicates - "skip" (default) or "update" existing leads
+ */
+async function importLeads(organizationId, rows, mapping, { duplicates = "skip", actorId = null } = {}) {
+  const result = { created: 0, updated: 0, skipped: 0, errors: [] };
+  const seen = new Set();
+
+  for (let i = 0; i < rows.length; i++) {
+    const rowNumber = i + 2; // 1-based, after the header row
+    const input = mapImportRow(rows[i], mapping);
+    const { data, error } = validateLeadInput({ ...input, source: "import" });
+    if (error) {
+      result.errors.push({ row: rowNumber, error });
+      continue;
+    }
+
+    const keys = [data.phone, data.email].filter(Boolean);
+    if (keys.some((k) => seen.has(k))) {
+      result.skipped++;
+      continue;
+    }
+    keys.forEach((k) => seen.add(k));
+
+    try {
+      const [existing] = await findDuplicates(organizationId, data);
+      if (existing) {
+        if (duplicates !== "update") {
+          result.skipped++;
+          continue;
+        }
+        const { data: updates } = validateLeadInput(input, { partial: true });
+        await prisma.lead.update({ where: { id: existing.id }, data: updates });
+        await logActivity(existing, "imported", "Updated from CSV import", { actorId });
+        result.updated++;
+      } else {
+        await createLead(organizationId, data, { actorId, title: "Imported from CSV", activityType: "imported" });
+        result.created++;
+      }
+    } catch (err) {
+      result.errors.push({ row: rowNumber, error: err.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  LEAD_URGENCIES,
+  LEAD_TEMPERATURES,
+  LEAD_SOURCES,
+  IMPORT_FIELDS,
+  normalizePhone,
+  normalizeEmail,
+  validateLeadInput,
+  buildLeadWhere,
+  listLeads,
+  findDuplicates,
+  mergeLeadFields,
+  mergeLeads,
+  logActivity,
+  createLead,
+  recordMessage,
+  toTimelineEntries,
+  getTimeline,
+  getNoteThreads,
+  prepareImport,
+  mapImportRow,
+  importLeads,
+};
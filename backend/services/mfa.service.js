@@ -0,0 +1,213 @@
+// ============================================================================
+// HEKAX Phone - Multi-Factor Authentication
+// TOTP enrollment, verification and one-time recovery codes
+// ============================================================================
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const prisma = require("../lib/prisma");
+const { encrypt, decrypt } = require("../lib/encryption");
+const totp = require("../lib/totp");
+
+const ISSUER = "HEKAX Phone";
+const RECOVERY_CODE_COUNT = 10;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Generate one-time recovery codes (shown to the user once, stored hashed)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code; case, spaces and dashes don't matter
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || "").toLowerCase().replace(/[\s-]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * MFA status for the settings page (never includes the secret)
+ */
+function getStatus(user, organization) {
+  return {
+    enabled: user.mfaEnabled,
+    enabledAt: user.mfaEnabledAt,
+    recoveryCodesRemaining: user.mfaEnabled ? (user.mfaRecoveryCodes || []).length : 0,
+    required: !!organization?.requireMfa,
+  };
+}
+
+/**
+ * Whether the organization policy blocks this user until they enroll
+ */
+function needsEnrollment(user, organization) {
+  return !!organization?.requireMfa && !user.mfaEnabled;
+}
+
+// ============================================================================
+// ENROLLMENT
+// ============================================================================
+
+/**
+ * Start enrollment: store a pending secret and return provisioning details
+ */
+async function beginEnrollment(user) {
+  if (user.mfaEnabled) {
+    return { error: "MFA is already enabled" };
+  }
+
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaSecret: encrypt(secret), mfaLastUsedStep: null },
+  });
+
+  return { data: { secret, otpauthUrl, qrCode } };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @returns {Promise<{data?: {recoveryCodes: string[]}, error?: string}>}
+ */
+async function confirmEnrollment(user, code) {
+  if (user.mfaEnabled) {
+    return { error: "MFA is already enabled" };
+  }
+  if (!user.mfaSecret) {
+    return { error: "Start MFA setup first" };
+  }
+
+  const step = totp.verifyTotp(decrypt(user.mfaSecret), code);
+  if (step === null) {
+    return { error: "Invalid verification code" };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabled: true,
+      mfaEnabledAt: new Date(),
+      mfaLastUsedStep: step,
+      mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    },
+  });
+
+  console.log(`🔐 MFA enabled for ${user.email}`);
+  return { data: { recoveryCodes } };
+}
+
+/**
+ * Turn MFA off and forget the secret and recovery codes
+ */
+async function disable(user) {
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabled: false,
+      mfaEnabledAt: null,
+      mfaSecret: null,
+      mfaLastUsedStep: null,
+      mfaRecoveryCodes: [],
+    },
+  });
+  console.log(`🔓 MFA disabled for ${user.email}`);
+}
+
+/**
+ * Replace all recovery codes
+ */
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+  });
+  return recoveryCodes;
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Verify a second factor: an authenticator code, or a recovery code (used up)
+ * A TOTP code is accepted once; replaying it in the same window fails.
+ * @returns {Promise<{method?: "totp"|"recovery", error?: string}>}
+ */
+async function verify(user, { code, recoveryCode } = {}) {
+  if (!user.mfaEnabled || !user.mfaSecret) {
+    return { error: "MFA is not enabled" };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    let codes = user.mfaRecoveryCodes || [];
+
+    // Compare-and-set on the whole list: if another code was spent since we
+    // read it, re-read and try again instead of writing that code back
+    for (let attempt = 0; attempt < 3 && codes.includes(hash); attempt++) {
+      const remaining = codes.filter((h) => h !== hash);
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, mfaRecoveryCodes: { equals: codes } },
+        data: { mfaRecoveryCodes: { set: remaining } },
+      });
+      if (count > 0) {
+        console.log(`🔑 MFA recovery code used by ${user.email} (${remaining.length} left)`);
+        return { method: "recovery", recoveryCodesRemaining: remaining.length };
+      }
+
+      const fresh = await prisma.user.findUnique({
+        where: { id: user.id },
+        select: { mfaRecoveryCodes: true },
+      });
+      codes = fresh?.mfaRecoveryCodes || [];
+    }
+
+    return { error: "Invalid recovery code" };
+  }
+
+  const step = totp.verifyTotp(decrypt(user.mfaSecret), code);
+  if (step === null) {
+    return { error: "Invalid verification code" };
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }],
+    },
+    data: { mfaLastUsedStep: step },
+  });
+  if (count === 0) {
+    return { error: "Verification code already used" };
+  }
+
+  return { method: "totp" };
+}
+
+module.exports = {
+  ISSUER,
+  RECOVERY_CODE_COUNT,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getStatus,
+  needsEnrollment,
+  beginEnrollment,
+  confirmEnrollment,
+  disable,
+  regenerateRecoveryCodes,
+  verify,
+};
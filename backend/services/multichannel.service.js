@@ -1,9 +1,36 @@
 // ============================================================================
 // HEKAX Phone - Multi-Channel Service
-// WhatsApp and Webchat integration service
+// WhatsApp, Webchat and SMS integration service
 // ============================================================================
 
 const prisma = require("../lib/prisma");
+const trainingService = require("./training.service");
+const { getCredentials, createOpenAIClient, createByoTwilioClient } = require("./credentials.service");
+const { getClientForOrganization } = require("./twilio.service");
+const { sendSMS } = require("./sms.service");
+const { recordMessage } = require("./lead.service");
+
+// Conversations that are still open (new messages join them)
+const OPEN_STATUSES = ["ACTIVE", "TRANSFERRED", "PENDING"];
+
+// Delivery status order - callbacks can arrive out of order, so never step back
+const STATUS_RANK = { PENDING: 0, SENT: 1, DELIVERED: 2, READ: 3 };
+
+// Twilio message status -> ChannelMessage.status
+const TWILIO_STATUSES = {
+  accepted: "PENDING",
+  scheduled: "PENDING",
+  queued: "PENDING",
+  sending: "PENDING",
+  sent: "SENT",
+  delivered: "DELIVERED",
+  read: "READ",
+  undelivered: "FAILED",
+  failed: "FAILED",
+  canceled: "FAILED",
+};
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
 
 /**
  * Get all channel configurations for an organization
@@ -79,8 +106,10 @@ async function deleteChannel(channelId, organizationId) {
 
 /**
  * Handle incoming message from any channel
+ * The channel AI answers unless an agent has taken the conversation
+ * @param {object} options - { aiReply: false to only store the message }
  */
-async function handleIncomingMessage(channelId, message) {
+async function handleIncomingMessage(channelId, message, options = {}) {
   const channel = await prisma.channel.findUnique({
     where: { id: channelId },
     include: {
@@ -105,8 +134,9 @@ async function handleIncomingMessage(channelId, message) {
     where: {
       channelId,
       externalId: message.from,
-      status: "ACTIVE",
+      status: { in: OPEN_STATUSES },
     },
+    orderBy: { createdAt: "desc" },
   });
 
   if (!conversation) {
@@ -127,35 +157,51 @@ async function handleIncomingMessage(channelId, message) {
   }
 
   // Store incoming message
-  await prisma.channelMessage.create({
+  const inbound = await prisma.channelMessage.create({
     data: {
       conversationId: conversation.id,
       direction: "INBOUND",
       content: message.content,
       contentType: message.type || "text",
+      externalId: message.externalId,
       metadata: message.metadata || {},
+      ...(message.attachments?.length && { attachments: { create: message.attachments } }),
     },
   });
 
+  // Bump the conversation to the top of the inbox
+  await prisma.conversation.update({
+    where: { id: conversation.id },
+    data: { updatedAt: new Date() },
+  });
+
   // Generate AI response if enabled
   let aiResponse = null;
-  if (channel.aiEnabled) {
+  if (channel.aiEnabled && options.aiReply !== false && !conversation.assignedToId) {
     aiResponse = await generateAIResponse(channel, conversation, message);
 
     // Store AI response
-    await prisma.channelMessage.create({
+    const reply = await prisma.channelMessage.create({
       data: {
         conversationId: conversation.id,
         direction: "OUTBOUND",
         content: aiResponse.content,
         contentType: "text",
-        metadata: { aiGenerated: true },
+        status: channel.type === "WEBCHAT" ? "SENT" : "PENDING",
+        responseTimeMs: Date.now() - inbound.createdAt.getTime(),
+        metadata: { aiGenerated: true, sources: aiResponse.sources },
       },
     });
+
+    // Webchat replies go back in the HTTP response; other channels are sent
+    if (channel.type !== "WEBCHAT") {
+      await deliverMessage(channel, conversation, reply);
+    }
   }
 
   return {
     conversation,
+    message: inbound,
     aiResponse,
   };
 }
@@ -183,11 +229,16 @@ async function generateAIResponse(channel, conversation, message) {
     content: message.content,
   });
 
-  // Use OpenAI to generate response
-  const OpenAI = require("openai");
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  // Use OpenAI to generate response (org BYO key when enabled)
+  const credentials = await getCredentials(channel.organizationId);
+  const openai = createOpenAIClient(credentials);
 
-  const systemPrompt = buildSystemPrompt(channel, conversation);
+  // Ground the answer in the org's FAQs/knowledge base
+  const passages = await trainingService.retrieveRelevant(channel.organizationId, message.content);
+
+  const systemPrompt =
+    buildSystemPrompt(channel, conversation) +
+    trainingService.buildTrainingPrompt({ passages });
 
   const completion = await openai.chat.completions.create({
     model: "gpt-4o-mini",
@@ -199,6 +250,7 @@ async function generateAIResponse(channel, conversation, message) {
   return {
     content: completion.choices[0]?.message?.content || "I apologize, I couldn't process that message.",
     tokensUsed: completion.usage?.total_tokens || 0,
+    sources: trainingService.toSourceEntries(passages),
   };
 }
 
@@ -237,8 +289,10 @@ function buildSystemPrompt(channel, conversation) {
 
 /**
  * Send message to a channel
+ * An agent reply (options.userId) assigns the conversation to them, which
+ * keeps the channel AI from answering until it is closed
  */
-async function sendMessage(channelId, conversationId, content, contentType = "text") {
+async function sendMessage(channelId, conversationId, content, contentType = "text", options = {}) {
   const channel = await prisma.channel.findUnique({
     where: { id: channelId },
   });
@@ -247,6 +301,10 @@ async function sendMessage(channelId, conversationId, content, contentType = "te
     throw new Error("Channel not found");
   }
 
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+  });
+
   // Store outbound message
   const message = await prisma.channelMessage.create({
     data: {
@@ -255,14 +313,31 @@ async function sendMessage(channelId, conversationId, content, contentType = "te
       content,
       contentType,
       status: "PENDING",
+      ...(options.userId && { metadata: { sentBy: options.userId } }),
     },
   });
 
-  // Send via appropriate provider
+  if (options.userId && conversation && !conversation.assignedToId) {
+    await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { assignedToId: options.userId, updatedAt: new Date() },
+    });
+  }
+
+  return deliverMessage(channel, conversation, message);
+}
+
+/**
+ * Send a stored outbound message through its channel's provider and record the result
+ */
+async function deliverMessage(channel, conversation, message) {
   let result;
   switch (channel.type) {
     case "WHATSAPP":
-      result = await sendWhatsAppMessage(channel, content, conversationId);
+      result = await sendWhatsAppMessage(channel, message.content, conversation.id);
+      break;
+    case "SMS":
+      result = await sendSmsMessage(channel, conversation, message.content);
       break;
     case "WEBCHAT":
       result = { success: true }; // Webchat is real-time via WebSocket
@@ -272,15 +347,36 @@ async function sendMessage(channelId, conversationId, content, contentType = "te
   }
 
   // Update message status
-  await prisma.channelMessage.update({
+  return prisma.channelMessage.update({
     where: { id: message.id },
     data: {
       status: result.success ? "SENT" : "FAILED",
       externalId: result.messageId,
+      ...(result.error && { metadata: { ...(message.metadata || {}), error: result.error } }),
     },
   });
+}
+
+/**
+ * Send SMS from the number the customer last texted (the org's default number
+ * when they haven't texted in); the do-not-contact list applies
+ */
+async function sendSmsMessage(channel, conversation, content) {
+  if (!conversation?.participantPhone) {
+    return { success: false, error: "Conversation has no phone number" };
+  }
+
+  const lastInbound = await prisma.channelMessage.findFirst({
+    where: { conversationId: conversation.id, direction: "INBOUND" },
+    orderBy: { createdAt: "desc" },
+    select: { metadata: true },
+  });
 
-  return message;
+  const result = await sendSMS(channel.organizationId, conversation.participantPhone, content, {
+    statusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/sms/status`,
+    from: lastInbound?.metadata?.to || undefined,
+  });
+  return { success: result.success, messageId: result.messageSid, error: result.error };
 }
 
 /**
@@ -298,10 +394,11 @@ async function sendWhatsAppMessage(channel, content, conversationId) {
   try {
     const twilio = require("twilio");
     const config = channel.config;
-    const client = twilio(
-      config.twilioAccountSid || process.env.TWILIO_ACCOUNT_SID,
-      config.twilioAuthToken || process.env.TWILIO_AUTH_TOKEN
-    );
+    // Channel-specific account first, then the org's BYO account, then platform
+    const client = config.twilioAccountSid && config.twilioAuthToken
+      ? twilio(config.twilioAccountSid, config.twilioAuthToken)
+      : createByoTwilioClient(await getCredentials(channel.organizationId)) ||
+        twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
     const message = await client.messages.create({
       body: content,
@@ -316,6 +413,156 @@ async function sendWhatsAppMessage(channel, content, conversationId) {
   }
 }
 
+// ============================================================================
+// SMS INBOX
+// ============================================================================
+
+/**
+ * Media items on a Twilio inbound message webhook (NumMedia, MediaUrlN, MediaContentTypeN)
+ * @returns {Array} [{ url, contentType }]
+ */
+function parseMedia(body = {}) {
+  const count = Math.min(parseInt(body.NumMedia, 10) || 0, 10);
+  const media = [];
+  for (let i = 0; i < count; i++) {
+    if (body[`MediaUrl${i}`]) {
+      media.push({
+        url: body[`MediaUrl${i}`],
+        contentType: body[`MediaContentType${i}`] || "application/octet-stream",
+      });
+    }
+  }
+  return media;
+}
+
+/**
+ * ChannelMessage.contentType for a MIME type
+ */
+function mediaKind(mimeType) {
+  const [kind] = String(mimeType || "").split("/");
+  return ["image", "video", "audio"].includes(kind) ? kind : "file";
+}
+
+/**
+ * ChannelMessage.status for a Twilio status, or null when it would step back
+ */
+function nextMessageStatus(currentStatus, twilioStatus) {
+  const status = TWILIO_STATUSES[String(twilioStatus || "").toLowerCase()];
+  if (!status || status === currentStatus || currentStatus === "FAILED") return null;
+  if (status === "FAILED") return status;
+  return (STATUS_RANK[status] ?? 0) > (STATUS_RANK[currentStatus] ?? 0) ? status : null;
+}
+
+/**
+ * Download MMS media with the account that received it
+ * (Twilio media URLs may require HTTP auth)
+ */
+async function downloadMedia(organizationId, { url, contentType }) {
+  const attachment = { sourceUrl: url, contentType };
+  try {
+    const client =
+      createByoTwilioClient(await getCredentials(organizationId)) ||
+      (await getClientForOrganization(organizationId));
+    const auth = Buffer.from(`${client.username}:${client.password}`).toString("base64");
+
+    const response = await fetch(url, { headers: { Authorization: `Basic ${auth}` } });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = Buffer.from(await response.arrayBuffer());
+    attachment.size = data.length;
+    if (data.length <= MAX_ATTACHMENT_BYTES) attachment.data = data;
+  } catch (err) {
+    console.error(`❌ MMS media download failed (${url}):`, err.message);
+  }
+  return attachment;
+}
+
+/**
+ * Route an inbound text into the organization's SMS channel
+ * The channel is created on the first text (AI replies off until enabled).
+ * @param {object} org - Organization that owns the number
+ * @param {object} body - Twilio webhook body
+ * @param {object} options - { aiReply: false when a keyword reply was already sent }
+ */
+async function handleIncomingSms(org, body, options = {}) {
+  const { From, To, Body, MessageSid } = body;
+
+  const channel = await prisma.channel.upsert({
+    where: { organizationId_type: { organizationId: org.id, type: "SMS" } },
+    create: { organizationId: org.id, type: "SMS", name: "SMS", aiEnabled: false, config: {} },
+    update: {},
+  });
+  if (!channel.enabled) {
+    console.log(`ℹ️ SMS channel disabled for ${org.name} - message not stored`);
+    return null;
+  }
+
+  const media = parseMedia(body);
+  const attachments = await Promise.all(media.map((item) => downloadMedia(org.id, item)));
+
+  const lead = await prisma.lead.findFirst({
+    where: { organizationId: org.id, phone: From },
+    select: { name: true },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const result = await handleIncomingMessage(
+    channel.id,
+    {
+      from: From,
+      content: Body || "",
+      senderName: lead?.name,
+      type: media.length > 0 && !Body ? mediaKind(media[0].contentType) : "text",
+      externalId: MessageSid,
+      attachments,
+      metadata: { to: To },
+    },
+    options
+  );
+
+  // Lead timeline
+  await recordMessage(org.id, { phone: From }, "sms", "SMS received", {
+    messageSid: MessageSid,
+    body: (Body || "").slice(0, 320),
+    ...(media.length > 0 && { attachments: media.length }),
+  });
+
+  console.log(`💬 SMS from ${From} added to conversation ${result.conversation.id}`);
+  return result;
+}
+
+/**
+ * Apply a Twilio delivery status callback to the matching message
+ */
+async function updateMessageStatus(messageSid, twilioStatus, errorCode) {
+  const message = await prisma.channelMessage.findFirst({
+    where: { externalId: messageSid },
+  });
+  if (!message) return null;
+
+  const status = nextMessageStatus(message.status, twilioStatus);
+  if (!status) return message;
+
+  return prisma.channelMessage.update({
+    where: { id: message.id },
+    data: {
+      status,
+      ...(status === "FAILED" && errorCode && {
+        metadata: { ...(message.metadata || {}), errorCode: String(errorCode) },
+      }),
+    },
+  });
+}
+
+/**
+ * Stored attachment, checked against the organization
+ */
+async function getAttachment(attachmentId, organizationId) {
+  return prisma.channelAttachment.findFirst({
+    where: { id: attachmentId, message: { conversation: { organizationId } } },
+  });
+}
+
 /**
  * Get conversations for a channel
  */
@@ -368,6 +615,9 @@ async function getConversationMessages(conversationId, organizationId, options =
 
   const messages = await prisma.channelMessage.findMany({
     where,
+    include: {
+      attachments: { select: { id: true, contentType: true, size: true } },
+    },
     orderBy: { createdAt: "desc" },
     take: limit,
   });
@@ -507,6 +757,12 @@ module.exports = {
   deleteChannel,
   handleIncomingMessage,
   sendMessage,
+  handleIncomingSms,
+  updateMessageStatus,
+  getAttachment,
+  parseMedia,
+  mediaKind,
+  nextMessageStatus,
   getConversations,
   getConversationMessages,
   closeConversation,
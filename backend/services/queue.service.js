@@ -0,0 +1,986 @@
+// ============================================================================
+// HEKAX Phone - Call Queue Service
+// Named queues, hold music, position/ETA announcements,
+// longest-idle agent distribution and overflow
+// ============================================================================
+
+const twilio = require("twilio");
+const prisma = require("../lib/prisma");
+const tz = require("../lib/timezone");
+const realtimeService = require("./realtime.service");
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+// Royalty-free hold music (same track the AI transfer uses)
+const DEFAULT_HOLD_MUSIC_URL = "http://com.twilio.sounds.music.s3.amazonaws.com/MARKOVICHAMP-B8.mp3";
+
+// Fallback handle time for ETA when there's no history yet
+const DEFAULT_HANDLE_TIME = 180;
+
+const DEFAULT_TIMEZONE = "America/New_York";
+
+const AGENT_STATUSES = ["AVAILABLE", "BUSY", "AWAY", "OFFLINE"];
+
+// Unanswered agent rings before a caller goes to the overflow action
+const MAX_RING_ATTEMPTS = 3;
+
+// How long a caller holds while an agent redirect is in flight
+const CONNECTING_PAUSE = 2;
+
+// An agent who misses a ring sits out this long before being rung again
+const MISSED_RING_COOLDOWN_MS = 2 * 60 * 1000;
+
+// ============================================================================
+// QUEUE MANAGEMENT
+// ============================================================================
+
+/**
+ * Get all queues for an organization
+ */
+async function getQueues(organizationId) {
+  return prisma.callQueue.findMany({
+    where: { organizationId },
+    include: {
+      members: {
+        include: {
+          user: { select: { id: true, name: true, email: true, phone: true } },
+        },
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Create or update a queue
+ */
+async function saveQueue(organizationId, queueData) {
+  const {
+    id,
+    name,
+    greeting,
+    holdMusicUrl,
+    announcePosition,
+    announceWaitTime,
+    announceInterval,
+    ringTimeout,
+    maxWaitTime,
+    overflowAction,
+    overflowGreeting,
+    enabled,
+  } = queueData;
+
+  const data = {
+    name,
+    greeting,
+    holdMusicUrl,
+    announcePosition: announcePosition !== false,
+    announceWaitTime: announceWaitTime !== false,
+    announceInterval: announceInterval || 60,
+    ringTimeout: ringTimeout || 20,
+    maxWaitTime: maxWaitTime || 300,
+    overflowAction: overflowAction === "ai" ? "ai" : "voicemail",
+    overflowGreeting,
+    enabled: enabled !== false,
+  };
+
+  if (id) {
+    const existing = await prisma.callQueue.findFirst({
+      where: { id, organizationId },
+    });
+    if (!existing) return null;
+
+    return prisma.callQueue.update({
+      where: { id },
+      data,
+    });
+  }
+
+  return prisma.callQueue.create({
+    data: { ...data, organizationId },
+  });
+}
+
+/**
+ * Delete a queue
+ */
+async function deleteQueue(queueId, organizationId) {
+  return prisma.callQueue.deleteMany({
+    where: { id: queueId, organizationId },
+  });
+}
+
+/**
+ * Replace the agents that take calls from a queue
+ */
+async function setQueueMembers(queueId, organizationId, userIds = []) {
+  const queue = await prisma.callQueue.findFirst({
+    where: { id: queueId, organizationId },
+  });
+  if (!queue) return null;
+
+  // Only active members of this organization can be queue agents
+  const memberships = await prisma.userOrganization.findMany({
+    where: { organizationId, userId: { in: userIds }, status: "ACTIVE" },
+    select: { userId: true },
+  });
+
+  await prisma.$transaction([
+    prisma.callQueueMember.deleteMany({ where: { queueId } }),
+    prisma.callQueueMember.createMany({
+      data: memberships.map((m) => ({ queueId, userId: m.userId })),
+    }),
+  ]);
+
+  return getQueues(organizationId).then((queues) =>
+    queues.find((q) => q.id === queueId)
+  );
+}
+
+// ============================================================================
+// AGENT AVAILABILITY
+// ============================================================================
+
+/**
+ * Set an agent's availability for queue calls
+ */
+async function setAgentStatus(organizationId, userId, status) {
+  if (!AGENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid agent status: ${status}`);
+  }
+
+  // A status the agent picks stays until they change it
+  const membership = await prisma.userOrganization.update({
+    where: { userId_organizationId: { userId, organizationId } },
+    data: { agentStatus: status, agentStatusAt: new Date(), agentAwayUntil: null },
+  });
+
+  // A newly available agent can pick up waiting callers right away
+  if (status === "AVAILABLE") {
+    const queues = await prisma.callQueueMember.findMany({
+      where: { userId, queue: { organizationId } },
+      select: { queueId: true },
+    });
+    for (const { queueId } of queues) {
+      await dispatchQueue(queueId);
+    }
+  }
+
+  return membership;
+}
+
+/**
+ * Get agent availability for an organization
+ */
+async function getAgents(organizationId) {
+  const memberships = await prisma.userOrganization.findMany({
+    where: { organizationId, status: "ACTIVE" },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          phone: true,
+          queueMemberships: { select: { queueId: true } },
+        },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return memberships.map((m) => ({
+    id: m.user.id,
+    name: m.user.name,
+    phone: m.user.phone,
+    status: m.agentStatus,
+    statusChangedAt: m.agentStatusAt,
+    awayUntil: m.agentAwayUntil,
+    lastCallEndedAt: m.lastCallEndedAt,
+    queueIds: m.user.queueMemberships.map((qm) => qm.queueId),
+  }));
+}
+
+/**
+ * Pick the available queue agent who has been idle the longest
+ */
+async function findLongestIdleAgent(queue) {
+  const memberIds = queue.members.map((m) => m.userId);
+  if (memberIds.length === 0) return null;
+
+  const membership = await prisma.userOrganization.findFirst({
+    where: {
+      organizationId: queue.organizationId,
+      userId: { in: memberIds },
+      status: "ACTIVE",
+      agentStatus: "AVAILABLE",
+    },
+    orderBy: { lastCallEndedAt: { sort: "asc", nulls: "first" } },
+    include: {
+      user: { select: { id: true, name: true, phone: true } },
+    },
+  });
+
+  return membership?.user || null;
+}
+
+// ============================================================================
+// CALLER FLOW (Twilio <Enqueue>)
+// ============================================================================
+
+/**
+ * Twilio queue name for an org queue (max 64 chars)
+ */
+function twilioQueueName(organizationId, queueId) {
+  return `${organizationId}:${queueId}`;
+}
+
+/**
+ * Register a caller in a queue
+ * Returns null when the queue doesn't exist or is disabled
+ */
+async function enqueueCall(organizationId, queueId, { callSid, fromNumber, toNumber, maxWaitTime }) {
+  const queue = await prisma.callQueue.findFirst({
+    where: { id: queueId, organizationId, enabled: true },
+  });
+  if (!queue) return null;
+
+  const queuedCall = await prisma.queuedCall.upsert({
+    where: { callSid },
+    update: {
+      status: "WAITING",
+      queueId,
+      agentId: null,
+    },
+    create: {
+      callSid,
+      fromNumber: fromNumber || "Unknown",
+      toNumber,
+      maxWaitTime: maxWaitTime || queue.maxWaitTime,
+      queueId,
+      organizationId,
+    },
+  });
+
+  await publishQueueStats(queueId);
+  return queuedCall;
+}
+
+/**
+ * Append <Enqueue> for a queued call to a TwiML response
+ */
+function appendEnqueue(twiml, queuedCall) {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+
+  twiml.enqueue(
+    {
+      waitUrl: `${baseUrl}/twilio/queue/wait?queuedCallId=${queuedCall.id}`,
+      waitUrlMethod: "POST",
+      action: `${baseUrl}/twilio/queue/result?queuedCallId=${queuedCall.id}`,
+      method: "POST",
+    },
+    twilioQueueName(queuedCall.organizationId, queuedCall.queueId)
+  );
+
+  return twiml;
+}
+
+/**
+ * Build the wait TwiML Twilio plays while the caller is queued
+ * Called by Twilio each time the previous wait TwiML finishes
+ */
+async function handleWait(queuedCallId) {
+  const twiml = new VoiceResponse();
+
+  const queuedCall = await prisma.queuedCall.findUnique({
+    where: { id: queuedCallId },
+    include: { queue: true },
+  });
+
+  if (!queuedCall) {
+    twiml.leave();
+    return twiml.toString();
+  }
+
+  if (queuedCall.status === "CONNECTING") {
+    if (queuedCall.agentId) {
+      // An agent redirect is on its way - hold on without leaving the queue
+      twiml.pause({ length: CONNECTING_PAUSE });
+      return twiml.toString();
+    }
+    // Back from an announcement redirect (sweepQueues)
+    await prisma.queuedCall.updateMany({
+      where: { id: queuedCall.id, status: "CONNECTING", agentId: null },
+      data: { status: "WAITING" },
+    });
+    queuedCall.status = "WAITING";
+  }
+
+  // Overflow (handleQueueResult builds the TwiML) or the call is over
+  if (queuedCall.status !== "WAITING") {
+    twiml.leave();
+    return twiml.toString();
+  }
+
+  const { queue } = queuedCall;
+  const waited = secondsSince(queuedCall.enqueuedAt);
+
+  // Overflow once the max wait is used up
+  if (waited >= queuedCall.maxWaitTime) {
+    if (await claimOverflow(queuedCall, queue, ["WAITING"])) {
+      console.log(`⏱️ Queue wait exceeded for ${queuedCall.callSid} (${waited}s)`);
+      twiml.leave();
+    } else {
+      // An agent claimed the caller first
+      twiml.pause({ length: CONNECTING_PAUSE });
+    }
+    return twiml.toString();
+  }
+
+  // Try to hand the caller to an agent (redirects the call if one is free)
+  dispatchQueue(queue.id).catch((err) => {
+    console.error("❌ Queue dispatch error:", err.message);
+  });
+
+  const isFirstWait = !queuedCall.lastAnnouncedAt;
+  if (isFirstWait && queue.greeting) {
+    twiml.say({ voice: "Polly.Amy" }, queue.greeting);
+  }
+
+  if (isFirstWait || isAnnouncementDue(queue, queuedCall)) {
+    if (queue.announcePosition || queue.announceWaitTime) {
+      const { position, estimatedWaitSeconds } = await getCallerPosition(queuedCall);
+      const parts = [];
+
+      if (queue.announcePosition) {
+        parts.push(`You are caller number ${position} in line.`);
+      }
+      if (queue.announceWaitTime) {
+        parts.push(`Your estimated wait time is ${formatWait(estimatedWaitSeconds)}.`);
+      }
+      parts.push("Please stay on the line.");
+
+      twiml.say({ voice: "Polly.Amy" }, parts.join(" "));
+    }
+
+    await prisma.queuedCall.update({
+      where: { id: queuedCall.id },
+      data: { lastAnnouncedAt: new Date() },
+    });
+  }
+
+  // Twilio re-requests the wait URL when the track ends; sweepQueues pulls
+  // the caller out for announcements and overflow without waiting for that
+  twiml.play(queue.holdMusicUrl || DEFAULT_HOLD_MUSIC_URL);
+
+  publishQueueStats(queue.id).catch(() => {});
+  return twiml.toString();
+}
+
+/**
+ * Handle the <Enqueue> action callback (caller left the queue)
+ * QueueResult: bridged, leave, hangup, redirected, queue-full, error, system-error
+ */
+async function handleQueueResult(queuedCallId, { queueResult, from, to }) {
+  const twiml = new VoiceResponse();
+
+  const queuedCall = await prisma.queuedCall.findUnique({
+    where: { id: queuedCallId },
+    include: { queue: { include: { organization: true } } },
+  });
+
+  if (!queuedCall) {
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  // The caller was redirected to an agent - nothing left to do here
+  if (queueResult === "redirected" || queueResult === "bridged") {
+    return twiml.toString();
+  }
+
+  if (queueResult === "hangup") {
+    await handleCallEnded(queuedCall.callSid);
+    return twiml.toString();
+  }
+
+  // leave (max wait reached), queue-full, error → overflow. handleWait has
+  // already claimed the overflow for a <Leave>; anything else still waiting
+  // is claimed here.
+  const { queue } = queuedCall;
+  if (queuedCall.status !== "OVERFLOW" && !(await claimOverflow(queuedCall, queue, ["WAITING"]))) {
+    const current = await prisma.queuedCall.findUnique({
+      where: { id: queuedCall.id },
+      select: { status: true },
+    });
+    if (current?.status === "CONNECTING") {
+      // An agent was claimed at the same moment - keep holding for the redirect
+      return appendEnqueue(twiml, queuedCall).toString();
+    }
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  console.log(`↪️ Queue overflow (${queueResult}):`, queuedCall.callSid);
+  return buildOverflowTwiml(queuedCall, queue, { from, to });
+}
+
+/**
+ * Move a caller to OVERFLOW, only from the given statuses so a caller
+ * that's already being connected to an agent (or gone) is left alone
+ * @returns {Promise<boolean>} Whether this call made the change
+ */
+async function claimOverflow(queuedCall, queue, fromStatuses) {
+  const claimed = await prisma.queuedCall.updateMany({
+    where: { id: queuedCall.id, status: { in: fromStatuses } },
+    data: {
+      status: "OVERFLOW",
+      overflowAction: queue.overflowAction === "ai" ? "ai" : "voicemail",
+      endedAt: new Date(),
+      waitTime: secondsSince(queuedCall.enqueuedAt),
+    },
+  });
+  if (claimed.count === 0) return false;
+
+  await publishQueueStats(queue.id);
+  return true;
+}
+
+/**
+ * Voicemail or AI TwiML for a caller who overflowed
+ * @param {object} queue - Queue with its organization
+ */
+function buildOverflowTwiml(queuedCall, queue, { from, to } = {}) {
+  const overflowAction = queue.overflowAction === "ai" ? "ai" : "voicemail";
+  const routingService = require("./routing.service");
+  const wsHost = process.env.PUBLIC_BASE_URL
+    ? process.env.PUBLIC_BASE_URL.replace("https://", "").replace("http://", "")
+    : null;
+
+  return routingService
+    .buildRoutingTwiml(
+      overflowAction === "ai"
+        ? { action: "ai", reason: `Queue overflow: ${queue.name}` }
+        : { action: "voicemail", greeting: queue.overflowGreeting },
+      {
+        organization: queue.organization,
+        callerNumber: from || queuedCall.fromNumber,
+        calledNumber: to || queuedCall.toNumber,
+        wsHost,
+      }
+    )
+    .toString();
+}
+
+/**
+ * Whether a waiting caller is due for another position/ETA announcement
+ */
+function isAnnouncementDue(queue, queuedCall) {
+  if (!queue.announcePosition && !queue.announceWaitTime) return false;
+  if (!queuedCall.lastAnnouncedAt) return false;
+  return secondsSince(queuedCall.lastAnnouncedAt) >= queue.announceInterval;
+}
+
+/**
+ * Overflow and announce on schedule (scheduler, every few seconds)
+ * Twilio only re-requests the wait URL when the hold track ends, so callers
+ * past their max wait are redirected to the overflow action, and callers
+ * due an announcement are redirected back into the queue (the fresh wait
+ * request makes the announcement). Their place in line is kept: it comes
+ * from enqueuedAt, not Twilio's queue order.
+ */
+async function sweepQueues() {
+  const { getClientForOrganization } = require("./twilio.service");
+
+  await restoreAwayAgents();
+
+  const waiting = await prisma.queuedCall.findMany({
+    where: { status: "WAITING" },
+    include: { queue: { include: { organization: true } } },
+    orderBy: { enqueuedAt: "asc" },
+  });
+
+  for (const queuedCall of waiting) {
+    const { queue } = queuedCall;
+    try {
+      if (secondsSince(queuedCall.enqueuedAt) >= queuedCall.maxWaitTime) {
+        if (!(await claimOverflow(queuedCall, queue, ["WAITING"]))) continue;
+
+        console.log(`⏱️ Queue wait exceeded for ${queuedCall.callSid}, overflowing`);
+        const client = await getClientForOrganization(queuedCall.organizationId);
+        await client.calls(queuedCall.callSid).update({ twiml: buildOverflowTwiml(queuedCall, queue) });
+      } else if (isAnnouncementDue(queue, queuedCall)) {
+        // CONNECTING without an agent keeps dispatch off the caller while
+        // the redirect is in flight; handleWait sets it back to WAITING
+        const claimed = await prisma.queuedCall.updateMany({
+          where: { id: queuedCall.id, status: "WAITING" },
+          data: { status: "CONNECTING", agentId: null },
+        });
+        if (claimed.count === 0) continue;
+
+        try {
+          const client = await getClientForOrganization(queuedCall.organizationId);
+          await client.calls(queuedCall.callSid).update({
+            twiml: appendEnqueue(new VoiceResponse(), queuedCall).toString(),
+          });
+        } catch (err) {
+          await prisma.queuedCall.updateMany({
+            where: { id: queuedCall.id, status: "CONNECTING", agentId: null },
+            data: { status: "WAITING" },
+          });
+          throw err;
+        }
+      }
+    } catch (err) {
+      console.error(`❌ Queue sweep error for ${queuedCall.callSid}:`, err.message);
+    }
+  }
+
+  // Pick up anyone a missed dispatch left waiting
+  const queueIds = [...new Set(waiting.map((c) => c.queueId))];
+  for (const queueId of queueIds) {
+    await dispatchQueue(queueId).catch((err) => console.error("❌ Queue dispatch error:", err.message));
+  }
+}
+
+/**
+ * Agents whose missed-ring cool-down is over go back to AVAILABLE
+ */
+async function restoreAwayAgents(now = new Date()) {
+  const { count } = await prisma.userOrganization.updateMany({
+    where: { agentStatus: "AWAY", agentAwayUntil: { lte: now } },
+    data: { agentStatus: "AVAILABLE", agentStatusAt: now, agentAwayUntil: null },
+  });
+  if (count > 0) {
+    console.log(`🙋 ${count} agent(s) back from a missed-ring cool-down`);
+  }
+}
+
+// ============================================================================
+// DISTRIBUTION
+// ============================================================================
+
+/**
+ * Connect waiting callers to available agents (longest-idle first)
+ */
+async function dispatchQueue(queueId) {
+  const queue = await prisma.callQueue.findUnique({
+    where: { id: queueId },
+    include: { members: true, organization: { select: { id: true, slug: true } } },
+  });
+  if (!queue || !queue.enabled) return [];
+
+  const dispatched = [];
+
+  while (true) {
+    const nextCall = await prisma.queuedCall.findFirst({
+      where: { queueId, status: "WAITING" },
+      orderBy: { enqueuedAt: "asc" },
+    });
+    if (!nextCall) break;
+
+    const agent = await findLongestIdleAgent(queue);
+    if (!agent) break;
+
+    // Claim the caller - another dispatch may have got here first
+    const rungAt = new Date();
+    const claimed = await prisma.queuedCall.updateMany({
+      where: { id: nextCall.id, status: "WAITING" },
+      data: {
+        status: "CONNECTING",
+        agentId: agent.id,
+        agentRungAt: rungAt,
+        attempts: { increment: 1 },
+      },
+    });
+    if (claimed.count === 0) continue;
+
+    // Claim the agent too: only while still AVAILABLE (another queue, or the
+    // agent themselves, may have changed it). rungAt marks this BUSY as ours.
+    const busy = await prisma.userOrganization.updateMany({
+      where: { userId: agent.id, organizationId: queue.organizationId, agentStatus: "AVAILABLE" },
+      data: { agentStatus: "BUSY", agentStatusAt: rungAt },
+    });
+    if (busy.count === 0) {
+      await prisma.queuedCall.update({
+        where: { id: nextCall.id },
+        data: { status: "WAITING", agentId: null, agentRungAt: null, attempts: { decrement: 1 } },
+      });
+      continue;
+    }
+
+    try {
+      await connectToAgent(queue, nextCall, agent);
+      dispatched.push({ callSid: nextCall.callSid, agentId: agent.id });
+      console.log(`📲 Queue ${queue.name}: ${nextCall.callSid} → ${agent.name}`);
+    } catch (err) {
+      console.error("❌ Queue connect error:", err.message);
+      // Put the caller back and free the agent
+      await prisma.queuedCall.update({
+        where: { id: nextCall.id },
+        data: { status: "WAITING", agentId: null, agentRungAt: null, attempts: { decrement: 1 } },
+      });
+      await releaseAgent(queue.organizationId, agent.id, rungAt);
+      break;
+    }
+  }
+
+  if (dispatched.length > 0) {
+    await publishQueueStats(queueId);
+  }
+
+  return dispatched;
+}
+
+/**
+ * Redirect a queued caller to ring an agent
+ */
+async function connectToAgent(queue, queuedCall, agent) {
+  const { getClientForOrganization } = require("./twilio.service");
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+
+  const twiml = new VoiceResponse();
+  const dial = twiml.dial({
+    callerId: queuedCall.fromNumber,
+    timeout: queue.ringTimeout,
+    answerOnBridge: true,
+    record: "record-from-answer-dual",
+    recordingStatusCallback: `${baseUrl}/twilio/recording/callback`,
+    recordingStatusCallbackEvent: "completed",
+    action: `${baseUrl}/twilio/queue/agent-result?queuedCallId=${queuedCall.id}`,
+  });
+
+  if (agent.phone) {
+    dial.number(agent.phone);
+  } else {
+    dial.client(agentClientIdentity(queue.organization || { id: queue.organizationId }, agent.id));
+  }
+
+  const client = await getClientForOrganization(queue.organizationId);
+  await client.calls(queuedCall.callSid).update({ twiml: twiml.toString() });
+}
+
+/**
+ * Softphone identity that rings one agent's browser (the organization's
+ * shared "-web" identity rings everyone)
+ */
+function agentClientIdentity(organization, userId) {
+  return `${organization.slug || organization.id}-agent-${userId}`;
+}
+
+/**
+ * Handle the agent <Dial> action callback
+ * Answered → done; missed → the agent is set AWAY for MISSED_RING_COOLDOWN_MS
+ * (so they aren't rung straight back) and the caller returns to the queue,
+ * or overflows after MAX_RING_ATTEMPTS unanswered rings
+ */
+async function handleAgentResult(queuedCallId, { dialCallStatus, dialCallDuration, from, to } = {}) {
+  const twiml = new VoiceResponse();
+
+  const queuedCall = await prisma.queuedCall.findUnique({
+    where: { id: queuedCallId },
+    include: { queue: { include: { organization: true } } },
+  });
+
+  if (!queuedCall) {
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  const answered = dialCallStatus === "completed" || dialCallStatus === "answered";
+  const missed = dialCallStatus === "no-answer" || dialCallStatus === "busy";
+  if (queuedCall.agentId) {
+    await releaseAgent(
+      queuedCall.organizationId,
+      queuedCall.agentId,
+      queuedCall.agentRungAt,
+      missed ? "AWAY" : "AVAILABLE"
+    );
+  }
+
+  if (answered) {
+    const talkTime = parseInt(dialCallDuration, 10) || 0;
+    const connectedAt = new Date(Date.now() - talkTime * 1000);
+
+    await prisma.queuedCall.update({
+      where: { id: queuedCall.id },
+      data: {
+        status: "COMPLETED",
+        connectedAt,
+        endedAt: new Date(),
+        waitTime: Math.max(0, Math.round((connectedAt - queuedCall.enqueuedAt) / 1000)),
+      },
+    });
+
+    twiml.hangup();
+    await publishQueueStats(queuedCall.queueId);
+    await dispatchQueue(queuedCall.queueId);
+    return twiml.toString();
+  }
+
+  if (queuedCall.attempts >= MAX_RING_ATTEMPTS) {
+    if (await claimOverflow(queuedCall, queuedCall.queue, ["CONNECTING"])) {
+      console.log(`↪️ Queue overflow (${queuedCall.attempts} unanswered rings):`, queuedCall.callSid);
+      return buildOverflowTwiml(queuedCall, queuedCall.queue, { from, to });
+    }
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  // Agent didn't pick up - keep the caller's place in line
+  await prisma.queuedCall.update({
+    where: { id: queuedCall.id },
+    data: { status: "WAITING", agentId: null, agentRungAt: null },
+  });
+  appendEnqueue(twiml, queuedCall);
+
+  await publishQueueStats(queuedCall.queueId);
+  await dispatchQueue(queuedCall.queueId);
+
+  return twiml.toString();
+}
+
+/**
+ * Close out any queue state when a call ends (status callback)
+ */
+async function handleCallEnded(callSid) {
+  const queuedCall = await prisma.queuedCall.findUnique({ where: { callSid } });
+  if (!queuedCall || !["WAITING", "CONNECTING"].includes(queuedCall.status)) return;
+
+  await prisma.queuedCall.update({
+    where: { id: queuedCall.id },
+    data: {
+      status: "ABANDONED",
+      endedAt: new Date(),
+      waitTime: secondsSince(queuedCall.enqueuedAt),
+    },
+  });
+
+  if (queuedCall.agentId) {
+    await releaseAgent(queuedCall.organizationId, queuedCall.agentId, queuedCall.agentRungAt);
+  }
+
+  await publishQueueStats(queuedCall.queueId);
+}
+
+/**
+ * Agent finished (or missed) a queue call - back to available (or away
+ * until the missed-ring cool-down ends)
+ * Only undoes the BUSY the queue set at rungAt: an agent who has changed
+ * their status since (e.g. set themselves BUSY) keeps it.
+ */
+async function releaseAgent(organizationId, userId, rungAt, status = "AVAILABLE") {
+  if (!rungAt) return;
+
+  const now = new Date();
+  const awayUntil = status === "AWAY" ? new Date(now.getTime() + MISSED_RING_COOLDOWN_MS) : null;
+  const released = await prisma.userOrganization.updateMany({
+    where: { organizationId, userId, agentStatus: "BUSY", agentStatusAt: rungAt },
+    data: { agentStatus: status, agentStatusAt: now, agentAwayUntil: awayUntil, lastCallEndedAt: now },
+  });
+  if (released.count > 0 && awayUntil) {
+    console.log(`🙈 Agent ${userId} missed a queue call - AWAY until ${awayUntil.toISOString()}`);
+  }
+}
+
+// ============================================================================
+// LIVE STATS
+// ============================================================================
+
+/**
+ * Caller's 1-based position and estimated wait
+ */
+async function getCallerPosition(queuedCall) {
+  const [ahead, staffed, handleTime] = await Promise.all([
+    prisma.queuedCall.count({
+      where: {
+        queueId: queuedCall.queueId,
+        status: "WAITING",
+        enqueuedAt: { lt: queuedCall.enqueuedAt },
+      },
+    }),
+    countStaffedAgents(queuedCall.queueId),
+    getAverageHandleTime(queuedCall.queueId),
+  ]);
+
+  const position = ahead + 1;
+  const estimatedWaitSeconds = Math.ceil(position / Math.max(1, staffed)) * handleTime;
+
+  return { position, estimatedWaitSeconds };
+}
+
+/**
+ * Agents signed in to a queue (available or on a call)
+ */
+async function countStaffedAgents(queueId) {
+  const members = await prisma.callQueueMember.findMany({
+    where: { queueId },
+    select: { userId: true, queue: { select: { organizationId: true } } },
+  });
+  if (members.length === 0) return 0;
+
+  return prisma.userOrganization.count({
+    where: {
+      organizationId: members[0].queue.organizationId,
+      userId: { in: members.map((m) => m.userId) },
+      agentStatus: { in: ["AVAILABLE", "BUSY"] },
+    },
+  });
+}
+
+/**
+ * Average talk time of recently answered queue calls (seconds)
+ */
+async function getAverageHandleTime(queueId) {
+  const recent = await prisma.queuedCall.findMany({
+    where: {
+      queueId,
+      status: "COMPLETED",
+      connectedAt: { not: null },
+      endedAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    },
+    orderBy: { endedAt: "desc" },
+    take: 50,
+    select: { connectedAt: true, endedAt: true },
+  });
+
+  if (recent.length === 0) return DEFAULT_HANDLE_TIME;
+
+  const total = recent.reduce(
+    (sum, c) => sum + (c.endedAt.getTime() - c.connectedAt.getTime()) / 1000,
+    0
+  );
+  return Math.max(30, Math.round(total / recent.length));
+}
+
+/**
+ * Current depth, wait times and agents for a queue
+ */
+async function getQueueStats(queueId) {
+  const queue = await prisma.callQueue.findUnique({
+    where: { id: queueId },
+    include: {
+      members: { select: { userId: true } },
+      organization: { select: { timezone: true } },
+    },
+  });
+  if (!queue) return null;
+
+  // "Today" starts at midnight where the organization is, not the server
+  const timezone = queue.organization?.timezone || DEFAULT_TIMEZONE;
+  const todayStart = tz.zonedTimeToUtc(tz.toLocalDate(new Date(), timezone), 0, timezone);
+
+  const [waiting, connecting, answeredToday, agents] = await Promise.all([
+    prisma.queuedCall.findMany({
+      where: { queueId, status: "WAITING" },
+      orderBy: { enqueuedAt: "asc" },
+      select: { callSid: true, fromNumber: true, enqueuedAt: true },
+    }),
+    prisma.queuedCall.count({ where: { queueId, status: "CONNECTING" } }),
+    prisma.queuedCall.aggregate({
+      where: { queueId, status: "COMPLETED", endedAt: { gte: todayStart } },
+      _avg: { waitTime: true },
+      _count: true,
+    }),
+    prisma.userOrganization.groupBy({
+      by: ["agentStatus"],
+      where: {
+        organizationId: queue.organizationId,
+        userId: { in: queue.members.map((m) => m.userId) },
+      },
+      _count: true,
+    }),
+  ]);
+
+  const agentCounts = Object.fromEntries(agents.map((a) => [a.agentStatus, a._count]));
+  const calls = waiting.map((c, index) => ({
+    callSid: c.callSid,
+    fromNumber: c.fromNumber,
+    position: index + 1,
+    waitSeconds: secondsSince(c.enqueuedAt),
+  }));
+
+  return {
+    queueId: queue.id,
+    name: queue.name,
+    enabled: queue.enabled,
+    depth: calls.length,
+    connecting,
+    longestWaitSeconds: calls.length > 0 ? calls[0].waitSeconds : 0,
+    averageWaitSeconds: Math.round(answeredToday._avg.waitTime || 0),
+    answeredToday: answeredToday._count,
+    availableAgents: agentCounts.AVAILABLE || 0,
+    busyAgents: agentCounts.BUSY || 0,
+    totalAgents: queue.members.length,
+    maxWaitTime: queue.maxWaitTime,
+    calls,
+  };
+}
+
+/**
+ * Stats for every queue in an organization
+ */
+async function getLiveQueues(organizationId) {
+  const queues = await prisma.callQueue.findMany({
+    where: { organizationId },
+    select: { id: true },
+    orderBy: { name: "asc" },
+  });
+
+  const stats = await Promise.all(queues.map((q) => getQueueStats(q.id)));
+  return stats.filter(Boolean);
+}
+
+/**
+ * Push live queue stats to the organization's dashboards
+ */
+async function publishQueueStats(queueId) {
+  const stats = await getQueueStats(queueId);
+  if (!stats) return null;
+
+  const queue = await prisma.callQueue.findUnique({
+    where: { id: queueId },
+    select: { organizationId: true },
+  });
+  realtimeService.notifyQueueUpdate(queue.organizationId, stats);
+
+  return stats;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function secondsSince(date) {
+  return Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / 1000));
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return "less than a minute";
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? "about 1 minute" : `about ${minutes} minutes`;
+}
+
+module.exports = {
+  AGENT_STATUSES,
+  DEFAULT_HOLD_MUSIC_URL,
+  MAX_RING_ATTEMPTS,
+  MISSED_RING_COOLDOWN_MS,
+  getQueues,
+  saveQueue,
+  deleteQueue,
+  setQueueMembers,
+  setAgentStatus,
+  getAgents,
+  agentClientIdentity,
+  enqueueCall,
+  appendEnqueue,
+  handleWait,
+  handleQueueResult,
+  handleAgentResult,
+  handleCallEnded,
+  dispatchQueue,
+  sweepQueues,
+  getQueueStats,
+  getLiveQueues,
+  publishQueueStats,
+};
@@ -190,6 +190,17 @@ function notifyStatsUpdate(organizationId, stats) {
   });
 }
 
+/**
+ * Send call queue depth/agent update to dashboard
+ */
+function notifyQueueUpdate(organizationId, queueStats) {
+  broadcast(organizationId, {
+    type: "queue_update",
+    data: queueStats,
+    timestamp: new Date().toISOString(),
+  });
+}
+
 module.exports = {
   initializeRealtimeService,
   registerConnection,
@@ -201,6 +212,7 @@ module.exports = {
   notifyTransfer,
   notifyVoicemail,
   notifyStatsUpdate,
+  notifyQueueUpdate,
   getActiveCalls,
   getConnectionCount,
 };
@@ -0,0 +1,81 @@
+// ============================================================================
+// HEKAX Phone - BM25 Retrieval Backend
+// Lexical ranking, no external calls
+// ============================================================================
+
+const { tokenize, stopWordsFor } = require("../text");
+
+class BM25Backend {
+  /**
+   * @param {object} options - { k1, b, language } (null language: content in
+   *   several languages, so no stop words are dropped)
+   */
+  constructor({ k1 = 1.2, b = 0.75, language = "en" } = {}) {
+    this.name = "bm25";
+    this.k1 = k1;
+    this.b = b;
+    this.stopWords = stopWordsFor(language);
+    this.documents = [];
+    this.termFrequencies = [];
+    this.documentFrequency = new Map();
+    this.lengths = [];
+    this.avgLength = 0;
+  }
+
+  // ===========================================================================
+  // INDEXING
+  // ===========================================================================
+  async index(documents) {
+    this.documents = documents;
+    this.termFrequencies = [];
+    this.documentFrequency = new Map();
+    this.lengths = [];
+
+    for (const doc of documents) {
+      const terms = tokenize(doc.searchText || doc.text, this.stopWords);
+      const tf = new Map();
+      terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+
+      this.termFrequencies.push(tf);
+      this.lengths.push(terms.length);
+      for (const term of tf.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const total = this.lengths.reduce((sum, len) => sum + len, 0);
+    this.avgLength = documents.length > 0 ? total / documents.length : 0;
+  }
+
+  // ===========================================================================
+  // SEARCH
+  // ===========================================================================
+  async search(query, limit = 5) {
+    const queryTerms = [...new Set(tokenize(query, this.stopWords))];
+    if (queryTerms.length === 0 || this.documents.length === 0) return [];
+
+    const n = this.documents.length;
+    const results = [];
+
+    this.documents.forEach((doc, i) => {
+      const tf = this.termFrequencies[i];
+      const norm = 1 - this.b + this.b * (this.lengths[i] / (this.avgLength || 1));
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const freq = tf.get(term);
+        if (!freq) continue;
+
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        score += idf * ((freq * (this.k1 + 1)) / (freq + this.k1 * norm));
+      }
+
+      if (score > 0) results.push({ document: doc, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = BM25Backend;
@@ -0,0 +1,79 @@
+// ============================================================================
+// HEKAX Phone - Embedding Retrieval Backend
+// Semantic ranking with OpenAI embeddings held in a local in-memory index
+// ============================================================================
+
+const OpenAI = require("openai");
+
+const DEFAULT_MODEL = "text-embedding-3-small";
+const BATCH_SIZE = 100;
+
+class EmbeddingBackend {
+  /**
+   * @param {object} options - { apiKey, model, minScore }; apiKey is the
+   *   organization's resolved OpenAI key (credentials.service)
+   */
+  constructor({ apiKey, model = DEFAULT_MODEL, minScore = 0.25 } = {}) {
+    if (!apiKey) throw new Error("OpenAI API key required for embedding retrieval");
+
+    this.name = "embedding";
+    this.model = model;
+    this.minScore = minScore;
+    this.openai = new OpenAI({ apiKey });
+    this.documents = [];
+    this.vectors = [];
+  }
+
+  // ===========================================================================
+  // INDEXING
+  // ===========================================================================
+  async index(documents) {
+    this.documents = documents;
+    this.vectors = [];
+
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      const batch = documents.slice(i, i + BATCH_SIZE);
+      const vectors = await this.embed(batch.map((d) => d.searchText || d.text));
+      this.vectors.push(...vectors);
+    }
+  }
+
+  async embed(inputs) {
+    const response = await this.openai.embeddings.create({
+      model: this.model,
+      input: inputs,
+    });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((d) => d.embedding);
+  }
+
+  // ===========================================================================
+  // SEARCH
+  // ===========================================================================
+  async search(query, limit = 5) {
+    if (!query || this.documents.length === 0) return [];
+
+    const [queryVector] = await this.embed([query]);
+
+    return this.documents
+      .map((document, i) => ({ document, score: cosineSimilarity(queryVector, this.vectors[i]) }))
+      .filter((r) => r.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+module.exports = EmbeddingBackend;
@@ -0,0 +1,124 @@
+// ============================================================================
+// HEKAX Phone - Knowledge Retrieval
+// Chunks FAQs and knowledge base entries and ranks them per caller utterance
+// ============================================================================
+
+const BM25Backend = require("./backends/bm25");
+const EmbeddingBackend = require("./backends/embedding");
+const { chunkText } = require("./text");
+
+// ============================================================================
+// BACKEND TYPES
+// ============================================================================
+const RetrievalBackend = {
+  BM25: "bm25",
+  EMBEDDING: "embedding",
+};
+
+/**
+ * Create a ranking backend (defaults to BM25)
+ */
+function createBackend(type, options = {}) {
+  switch (type) {
+    case RetrievalBackend.EMBEDDING:
+      return new EmbeddingBackend(options);
+    case RetrievalBackend.BM25:
+    default:
+      return new BM25Backend(options);
+  }
+}
+
+/**
+ * Turn training rows into searchable passages
+ * FAQs stay whole (question + answer); knowledge entries are chunked
+ */
+function buildDocuments({ faqs = [], knowledgeBase = [] }, chunkOptions) {
+  const documents = [];
+
+  for (const faq of faqs) {
+    const keywords = (faq.keywords || []).join(" ");
+    documents.push({
+      id: `faq:${faq.id}`,
+      sourceType: "faq",
+      sourceId: faq.id,
+      title: faq.question,
+      text: `Q: ${faq.question}\nA: ${faq.answer}`,
+      // Question and keywords repeated so they outweigh the answer body
+      searchText: `${faq.question} ${faq.question} ${keywords} ${keywords} ${faq.answer}`,
+    });
+  }
+
+  for (const entry of knowledgeBase) {
+    chunkText(entry.content, chunkOptions).forEach((passage, i) => {
+      documents.push({
+        id: `knowledge:${entry.id}:${i}`,
+        sourceType: "knowledge",
+        sourceId: entry.id,
+        title: entry.title,
+        text: passage,
+        searchText: `${entry.title} ${entry.title} ${passage}`,
+      });
+    });
+  }
+
+  return documents;
+}
+
+// ============================================================================
+// KNOWLEDGE INDEX
+// ============================================================================
+class KnowledgeIndex {
+  constructor(backend) {
+    this.backend = backend || createBackend(RetrievalBackend.BM25);
+    this.size = 0;
+    this.builtAt = null;
+  }
+
+  async build(trainingData, chunkOptions) {
+    const documents = buildDocuments(trainingData, chunkOptions);
+    await this.backend.index(documents);
+    this.size = documents.length;
+    this.builtAt = new Date();
+    return this;
+  }
+
+  /**
+   * Top passages for a query: [{ id, sourceType, sourceId, title, text, score }]
+   */
+  async search(query, { limit = 4 } = {}) {
+    if (this.size === 0) return [];
+
+    const results = await this.backend.search(query, limit);
+    return results.map(({ document, score }) => ({
+      id: document.id,
+      sourceType: document.sourceType,
+      sourceId: document.sourceId,
+      title: document.title,
+      text: document.text,
+      score: Math.round(score * 1000) / 1000,
+    }));
+  }
+}
+
+/**
+ * Collapse passages to one source entry per FAQ/knowledge row
+ * (stored with AI answers so feedback can trace where an answer came from)
+ */
+function toSourceEntries(passages) {
+  const seen = new Map();
+  for (const p of passages) {
+    const key = `${p.sourceType}:${p.sourceId}`;
+    if (!seen.has(key)) {
+      seen.set(key, { type: p.sourceType, id: p.sourceId, title: p.title, score: p.score });
+    }
+  }
+  return [...seen.values()];
+}
+
+module.exports = {
+  RetrievalBackend,
+  createBackend,
+  buildDocuments,
+  KnowledgeIndex,
+  toSourceEntries,
+};
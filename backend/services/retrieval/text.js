@@ -0,0 +1,95 @@
+// ============================================================================
+// HEKAX Phone - Retrieval Text Utilities
+// Normalization, tokenization and chunking shared by retrieval backends
+// ============================================================================
+
+// Words too common to say anything about what the caller is asking (English
+// only - other languages keep every word)
+const STOP_WORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "is", "are", "was", "were", "be", "to", "of",
+  "in", "on", "at", "for", "with", "about", "do", "does", "did", "i", "you", "we",
+  "they", "it", "my", "your", "our", "me", "can", "could", "would", "will", "what",
+  "how", "when", "where", "who", "why", "there", "this", "that", "have", "has", "just",
+  "hi", "hello", "please", "thanks", "thank", "yes", "no", "so", "if", "im", "any",
+]);
+
+const NO_STOP_WORDS = new Set();
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * Letters and digits of any script are kept ("atención", "Montréal", "東京")
+ */
+function normalize(text) {
+  return String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Stop words for a language ("en", "en-US"); none for other or unknown languages
+ */
+function stopWordsFor(language) {
+  const base = String(language || "").toLowerCase().split(/[-_]/)[0];
+  return base === "en" ? STOP_WORDS : NO_STOP_WORDS;
+}
+
+/**
+ * Split text into meaningful terms (stop words removed)
+ * @param {Set<string>} [stopWords] - Defaults to the English list
+ */
+function tokenize(text, stopWords = STOP_WORDS) {
+  if (!text) return [];
+  return normalize(text)
+    .split(" ")
+    .filter((t) => t.length > 1 && !stopWords.has(t));
+}
+
+/**
+ * Split long content into overlapping passages on sentence boundaries
+ */
+function chunkText(text, { maxChars = 600, overlapChars = 120 } = {}) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (!clean) return [];
+  if (clean.length <= maxChars) return [clean];
+
+  const sentences = clean.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [clean];
+  const chunks = [];
+  let current = "";
+
+  for (const raw of sentences) {
+    const sentence = raw.trim();
+
+    if (current && current.length + sentence.length + 1 > maxChars) {
+      chunks.push(current);
+      // Carry the tail of the previous chunk so answers spanning a boundary survive
+      const tail = current.slice(-overlapChars);
+      const cut = tail.indexOf(" ");
+      current = cut >= 0 ? tail.slice(cut + 1) : "";
+    }
+
+    // A single sentence longer than a chunk gets hard-split
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars - overlapChars) {
+        chunks.push(sentence.slice(i, i + maxChars));
+      }
+      current = "";
+      continue;
+    }
+
+    current = current ? `${current} ${sentence}` : sentence;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalize,
+  stopWordsFor,
+  tokenize,
+  chunkText,
+};
@@ -3,19 +3,25 @@
 // Business hours, department routing, VIP handling
 // ============================================================================
 
+const twilio = require("twilio");
 const prisma = require("../lib/prisma");
 
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
 /**
  * Determine where to route an incoming call
  * Returns routing decision with context
+ *
+ * options.aiEnabled overrides org.aiEnabled (e.g. PhoneNumber.routeToAI)
  */
-async function routeCall(organizationId, fromNumber, toNumber) {
+async function routeCall(organizationId, fromNumber, toNumber, options = {}) {
   const org = await prisma.organization.findUnique({
     where: { id: organizationId },
     include: {
       callRoutes: {
         where: { enabled: true },
         orderBy: { priority: "asc" },
+        include: { queue: { select: { maxWaitTime: true } } },
       },
     },
   });
@@ -27,7 +33,7 @@ async function routeCall(organizationId, fromNumber, toNumber) {
     };
   }
 
-  const now = new Date();
+  const aiEnabled = options.aiEnabled ?? org.aiEnabled;
   const routingContext = {
     isBusinessHours: checkBusinessHours(org.businessHours, org.timezone),
     isVIP: false,
@@ -46,6 +52,7 @@ async function routeCall(organizationId, fromNumber, toNumber) {
       return {
         action: "transfer",
         target: vipCheck.preferredAgent,
+        agents: vipCheck.agent ? [vipCheck.agent] : [],
         reason: "VIP caller - routing to preferred agent",
         context: routingContext,
       };
@@ -96,7 +103,7 @@ async function routeCall(organizationId, fromNumber, toNumber) {
             return {
               action: "queue",
               queueId: route.queueId,
-              maxWaitTime: route.maxWaitTime || 300,
+              maxWaitTime: route.maxWaitTime || route.queue?.maxWaitTime || 300,
               reason: `Matched route: ${route.name}`,
               context: routingContext,
             };
@@ -128,20 +135,27 @@ async function routeCall(organizationId, fromNumber, toNumber) {
 
       case "ai":
       default:
-        return {
-          action: "ai",
-          reason: "Outside business hours - AI handling",
-          context: routingContext,
-        };
+        return aiOrTeam(aiEnabled, "Outside business hours - AI handling", routingContext);
     }
   }
 
   // 4. Default: AI receptionist
-  return {
-    action: "ai",
-    reason: "Default routing to AI",
-    context: routingContext,
-  };
+  return aiOrTeam(aiEnabled, "Default routing to AI", routingContext);
+}
+
+/**
+ * Fall back to ringing the team's web client when AI is turned off
+ */
+function aiOrTeam(aiEnabled, reason, context) {
+  if (aiEnabled === false) {
+    return {
+      action: "client",
+      reason: `${reason} (AI disabled - ringing team)`,
+      context,
+    };
+  }
+
+  return { action: "ai", reason, context };
 }
 
 /**
@@ -193,6 +207,11 @@ async function checkVIPCaller(organizationId, phoneNumber) {
       },
       isVIP: true,
     },
+    include: {
+      assignedTo: {
+        select: { id: true, name: true, phone: true },
+      },
+    },
   });
 
   if (vipLead) {
@@ -205,6 +224,7 @@ async function checkVIPCaller(organizationId, phoneNumber) {
         company: vipLead.company,
       },
       preferredAgent: vipLead.assignedToId,
+      agent: vipLead.assignedTo || null,
     };
   }
 
@@ -286,6 +306,150 @@ async function getDepartmentAgents(organizationId, department) {
   }));
 }
 
+/**
+ * Build the TwiML for a routing decision returned by routeCall()
+ */
+function buildRoutingTwiml(decision, { organization, callerNumber, calledNumber, wsHost }) {
+  const twiml = new VoiceResponse();
+  const clientIdentity = organization?.slug
+    ? `${organization.slug}-web`
+    : "default-web";
+
+  switch (decision.action) {
+    case "forward":
+      if (!decision.target) {
+        addVoicemail(twiml, organization, decision.greeting);
+        break;
+      }
+      dialTeam(twiml, callerNumber).number(decision.target);
+      break;
+
+    case "transfer":
+    case "department": {
+      const dial = dialTeam(twiml, callerNumber);
+      // Ring agents' phones and the org web client simultaneously
+      (decision.agents || [])
+        .filter((agent) => agent.phone)
+        .forEach((agent) => dial.number(agent.phone));
+      dial.client(clientIdentity);
+      break;
+    }
+
+    case "voicemail":
+      addVoicemail(twiml, organization, decision.greeting);
+      break;
+
+    case "queue":
+      // decision.queuedCall is set once the caller is registered (queue.service)
+      if (decision.queuedCall) {
+        require("./queue.service").appendEnqueue(twiml, decision.queuedCall);
+      } else {
+        addVoicemail(twiml, organization, decision.greeting);
+      }
+      break;
+
+    case "client":
+      dialTeam(twiml, callerNumber).client(clientIdentity);
+      break;
+
+    case "ai":
+    default: {
+      // Note: Twilio doesn't support recording for <Connect><Stream> calls
+      // The AI receptionist creates its own transcript from the conversation
+      twiml.say(
+        { voice: "Polly.Amy" },
+        "Please hold while I connect you to our assistant."
+      );
+      twiml.pause({ length: 1 });
+
+      const stream = twiml.connect().stream({
+        url: `wss://${wsHost}/media-stream`,
+      });
+
+      stream.parameter({ name: "callerNumber", value: callerNumber });
+      stream.parameter({ name: "calledNumber", value: calledNumber });
+      stream.parameter({ name: "direction", value: "inbound" });
+      stream.parameter({ name: "organizationId", value: organization?.id || "" });
+      if (decision.personality) {
+        stream.parameter({ name: "aiPersonality", value: decision.personality });
+      }
+      if (decision.context?.matchedRoute?.id) {
+        stream.parameter({ name: "callRouteId", value: decision.context.matchedRoute.id });
+      }
+    }
+  }
+
+  return twiml;
+}
+
+/**
+ * Dial a human with recording, falling back to voicemail on no answer
+ */
+function dialTeam(twiml, callerNumber) {
+  return twiml.dial({
+    callerId: callerNumber,
+    timeout: 30,
+    answerOnBridge: true,
+    record: "record-from-answer-dual",
+    recordingStatusCallback: `${process.env.PUBLIC_BASE_URL}/twilio/recording/callback`,
+    recordingStatusCallbackEvent: "completed",
+    action: `${process.env.PUBLIC_BASE_URL}/twilio/transfer/status`,
+  });
+}
+
+function addVoicemail(twiml, organization, greeting) {
+  const { appendVoicemailRecording } = require("./voicemail.service");
+  appendVoicemailRecording(twiml, organization, greeting);
+}
+
+/**
+ * Save the routing decision on the CallLog for auditing
+ */
+async function recordRoutingDecision(callSid, decision, { organizationId, phoneNumberId, fromNumber, toNumber }) {
+  const route = decision.context?.matchedRoute;
+  const routing = {
+    routeAction: decision.action,
+    routeReason: decision.reason,
+    routeTarget: getDecisionTarget(decision),
+    routingContext: {
+      isBusinessHours: decision.context?.isBusinessHours ?? null,
+      isVIP: decision.context?.isVIP ?? false,
+      personality: decision.personality || null,
+      maxWaitTime: decision.maxWaitTime || null,
+    },
+    callRouteId: route?.id || null,
+  };
+
+  return prisma.callLog.upsert({
+    where: { callSid },
+    update: { ...routing, organizationId },
+    create: {
+      callSid,
+      direction: "INBOUND",
+      fromNumber: fromNumber || "Unknown",
+      toNumber: toNumber || "Unknown",
+      status: "RINGING",
+      organizationId,
+      phoneNumberId,
+      ...routing,
+    },
+  });
+}
+
+function getDecisionTarget(decision) {
+  switch (decision.action) {
+    case "forward":
+    case "transfer":
+      return decision.target || null;
+    case "department":
+      return decision.department || null;
+    case "queue":
+      return decision.queueId || null;
+    default:
+      return null;
+  }
+}
+
 /**
  * Create or update a routing rule
  */
@@ -299,6 +463,7 @@ async function saveRoutingRule(organizationId, ruleData) {
     department,
     customGreeting,
     aiPersonality,
+    aiSystemPrompt,
     scheduleStart,
     scheduleEnd,
     daysOfWeek,
@@ -316,6 +481,7 @@ async function saveRoutingRule(organizationId, ruleData) {
     department,
     customGreeting,
     aiPersonality,
+    aiSystemPrompt,
     scheduleStart,
     scheduleEnd,
     daysOfWeek,
@@ -362,6 +528,8 @@ async function getRoutingRules(organizationId) {
 
 module.exports = {
   routeCall,
+  buildRoutingTwiml,
+  recordRoutingDecision,
   checkBusinessHours,
   checkVIPCaller,
   saveRoutingRule,
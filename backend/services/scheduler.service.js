@@ -5,6 +5,12 @@
 
 const prisma = require("../lib/prisma");
 const automationService = require("./automation.service");
+const { analyzePendingCalls } = require("./call-analysis.service");
+const { rescoreOpenLeads } = require("./lead-scoring.service");
+const { runDialer } = require("./campaign.service");
+const { isSuppressed } = require("./suppression.service");
+const { processRetries: retryWebhooks } = require("./webhook.service");
+const { sweepQueues } = require("./queue.service");
 
 // Store for scheduled jobs (in-memory for simplicity)
 const scheduledJobs = new Map();
@@ -14,12 +20,30 @@ const scheduledJobs = new Map();
 // ============================================================================
 
 const SCHEDULED_JOBS = {
+  // Run every 15 seconds (queue overflow and announcements)
+  queueTimers: {
+    interval: 15 * 1000,
+    handler: sweepQueues,
+  },
+
   // Run every minute
   appointmentReminders: {
     interval: 60 * 1000, // 1 minute
     handler: sendAppointmentReminders,
   },
 
+  // Run every minute
+  campaignDialer: {
+    interval: 60 * 1000,
+    handler: runDialer,
+  },
+
+  // Run every minute
+  webhookRetries: {
+    interval: 60 * 1000,
+    handler: retryWebhooks,
+  },
+
   // Run every 5 minutes
   sequenceProcessor: {
     interval: 5 * 60 * 1000,
@@ -62,6 +86,12 @@ const SCHEDULED_JOBS = {
     handler: processFeedbackQueue,
   },
 
+  // Run every 15 minutes
+  callAnalysis: {
+    interval: 15 * 60 * 1000,
+    handler: analyzePendingCalls,
+  },
+
   // Run every hour
   noShowDetection: {
     interval: 60 * 60 * 1000,
@@ -156,13 +186,7 @@ async function sendAppointmentReminders() {
       const smsService = require("./sms.service");
 
       // Send reminder SMS
-      await smsService.sendAppointmentReminder(
-        appointment.organizationId,
-        appointment.callerPhone,
-        appointment.callerName,
-        appointment.scheduledAt,
-        appointment.purpose
-      );
+      await smsService.sendAppointmentReminder(appointment.id);
 
       // Mark reminder as sent
       await prisma.calendarBooking.update({
@@ -213,6 +237,17 @@ async function processSequences() {
 
       const step = steps[currentStep];
 
+      // Leads on the do-not-contact list leave the sequence
+      const contact = step.type === "sms" ? { phone: enrollment.lead?.phone } : { email: enrollment.lead?.email };
+      if (["sms", "email"].includes(step.type) && (await isSuppressed(enrollment.organizationId, contact))) {
+        console.log(`🚫 Sequence enrollment ${enrollment.id} cancelled: lead is on do-not-contact list`);
+        await prisma.sequenceEnrollment.update({
+          where: { id: enrollment.id },
+          data: { status: "CANCELLED" },
+        });
+        continue;
+      }
+
       // Execute step action
       if (step.type === "sms" && enrollment.lead?.phone) {
         const smsService = require("./sms.service");
@@ -390,68 +425,10 @@ async function checkTrialExpirations() {
 }
 
 /**
- * Auto-score leads based on various factors
+ * Recompute lead scores from each organization's scoring rules
  */
 async function autoScoreLeads() {
-  // Get leads that need scoring (created/updated in last 24h)
-  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-  const leads = await prisma.lead.findMany({
-    where: {
-      updatedAt: { gte: yesterday },
-      status: { in: ["NEW", "CONTACTED", "QUALIFIED"] },
-    },
-    include: {
-      call: {
-        select: {
-          duration: true,
-          sentiment: true,
-          sentimentScore: true,
-          handledByAI: true,
-          aiConfidence: true,
-        },
-      },
-    },
-  });
-
-  for (const lead of leads) {
-    let score = lead.score || 0;
-    let temperature = lead.temperature;
-
-    // Score based on call data
-    if (lead.call) {
-      // Longer calls = more interest
-      if (lead.call.duration > 300) score += 20;
-      else if (lead.call.duration > 120) score += 10;
-
-      // Positive sentiment
-      if (lead.call.sentiment === "POSITIVE") score += 15;
-      else if (lead.call.sentiment === "NEGATIVE") score -= 10;
-
-      // High AI confidence
-      if (lead.call.aiConfidence && lead.call.aiConfidence > 0.8) score += 5;
-    }
-
-    // Score based on lead data
-    if (lead.email) score += 10;
-    if (lead.company) score += 10;
-    if (lead.appointmentDate) score += 20;
-    if (lead.urgency === "HIGH" || lead.urgency === "CRITICAL") score += 15;
-    if (lead.estimatedValue && lead.estimatedValue > 1000) score += 15;
-
-    // Determine temperature based on score
-    if (score >= 70) temperature = "HOT";
-    else if (score >= 40) temperature = "WARM";
-    else temperature = "COLD";
-
-    // Update lead
-    await prisma.lead.update({
-      where: { id: lead.id },
-      data: { score, temperature },
-    });
-  }
-
-  console.log(`📊 Scored ${leads.length} leads`);
+  await rescoreOpenLeads();
 }
 
 /**
@@ -706,4 +683,5 @@ module.exports = {
   processFeedbackQueue,
   detectNoShows,
   followUpStaleLeads,
+  analyzePendingCalls,
 };
@@ -6,12 +6,24 @@
 const twilio = require("twilio");
 const prisma = require("../lib/prisma");
 const { getClientForOrganization } = require("./twilio.service");
+const { getCredentials, createByoTwilioClient } = require("./credentials.service");
+const { recordMessage } = require("./lead.service");
+const { isSuppressed } = require("./suppression.service");
+const { buildBookingRules, formatDateTime } = require("./booking.service");
 
 /**
- * Send SMS using organization's Twilio subaccount
+ * Send SMS using the organization's BYO Twilio account or platform subaccount
+ * Numbers on the organization's do-not-contact list are never texted.
+ * @param {object} options - { statusCallback, from } (from: one of the org's
+ *   numbers, e.g. the one a customer texted; defaults to the org number)
  */
 async function sendSMS(organizationId, to, body, options = {}) {
   try {
+    if (await isSuppressed(organizationId, { phone: to })) {
+      console.log(`🚫 SMS to ${to} blocked: on do-not-contact list`);
+      return { success: false, suppressed: true, error: "Recipient is on the do-not-contact list" };
+    }
+
     const org = await prisma.organization.findUnique({
       where: { id: organizationId },
       select: {
@@ -22,35 +34,47 @@ async function sendSMS(organizationId, to, body, options = {}) {
       },
     });
 
-    if (!org?.twilioNumber) {
+    const credentials = await getCredentials(organizationId);
+    const byoClient = createByoTwilioClient(credentials);
+    const from = options.from || (byoClient && credentials.twilio.phoneNumber) || org?.twilioNumber;
+
+    if (!from) {
       throw new Error("Organization has no phone number configured");
     }
 
-    const client = await getClientForOrganization(organizationId);
+    const client = byoClient || (await getClientForOrganization(organizationId));
 
     const message = await client.messages.create({
       to,
-      from: org.twilioNumber,
+      from,
       body,
       ...(options.statusCallback && { statusCallback: options.statusCallback }),
     });
 
     console.log(`✅ SMS sent to ${to}: ${message.sid}`);
 
-    // Log SMS usage
-    await prisma.usageLog.create({
-      data: {
-        type: "sms",
-        quantity: 1,
-        unit: "messages",
-        unitCost: 0.0079, // Twilio SMS rate
-        totalCost: 0.0079,
-        periodStart: new Date(),
-        periodEnd: new Date(),
-        organizationId,
-      },
+    // Lead timeline
+    await recordMessage(organizationId, { phone: to }, "sms", "SMS sent", {
+      messageSid: message.sid,
+      body: body.slice(0, 320),
     });
 
+    // Log SMS usage (BYO Twilio messages are billed by Twilio directly)
+    if (!byoClient) {
+      await prisma.usageLog.create({
+        data: {
+          type: "sms",
+          quantity: 1,
+          unit: "messages",
+          unitCost: 0.0079, // Twilio SMS rate
+          totalCost: 0.0079,
+          periodStart: new Date(),
+          periodEnd: new Date(),
+          organizationId,
+        },
+      });
+    }
+
     return {
       success: true,
       messageSid: message.sid,
@@ -180,18 +204,14 @@ async function sendAppointmentReminder(bookingId) {
       return { success: false, error: "Appointment reminders disabled" };
     }
 
-    const appointmentDate = new Date(booking.scheduledAt);
-    const formattedDate = appointmentDate.toLocaleDateString("en-US", {
-      weekday: "long",
-      month: "long",
-      day: "numeric",
-    });
-    const formattedTime = appointmentDate.toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
+    // Format in the timezone the appointment was booked in
+    const rules = buildBookingRules(org);
+    const formatted = formatDateTime(new Date(booking.scheduledAt), {
+      ...rules,
+      timezone: booking.timezone || rules.timezone,
     });
 
-    const message = `Hi ${booking.callerName}, this is a reminder of your appointment with ${org.name} on ${formattedDate} at ${formattedTime}. Reply CONFIRM to confirm or call ${org.twilioNumber} to reschedule.`;
+    const message = `Hi ${booking.callerName}, this is a reminder of your appointment with ${org.name} on ${formatted}. Reply CONFIRM to confirm, RESCHEDULE to change the time or CANCEL APPT to cancel.`;
 
     return await sendSMS(org.id, booking.callerPhone, message);
   } catch (error) {
@@ -0,0 +1,409 @@
+// ============================================================================
+// HEKAX Phone - Do-Not-Contact Service
+// Per-organization suppression list for phone numbers and emails, filled from
+// SMS keywords, AI call opt-outs, manual entries and CSV imports
+// ============================================================================
+
+const prisma = require("../lib/prisma");
+const { parseCSV } = require("../lib/csv");
+const { normalizePhone, normalizeEmail } = require("./lead.service");
+
+const TYPES = ["PHONE", "EMAIL"];
+const SOURCES = ["SMS_KEYWORD", "CALL", "MANUAL", "IMPORT"];
+
+// Carrier-standard opt-out / opt-in / help keywords (whole message, any case)
+const KEYWORDS = {
+  STOP: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "OPTOUT"],
+  START: ["START", "UNSTOP", "SUBSCRIBE"],
+  HELP: ["HELP", "INFO"],
+};
+
+const MAX_IMPORT_ROWS = 10000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalize a value for its type (null when invalid)
+ */
+function normalizeValue(type, value) {
+  if (type === "PHONE") return normalizePhone(value);
+  if (type === "EMAIL") return normalizeEmail(value);
+  return null;
+}
+
+/**
+ * Guess the type of a bare value: anything with an @ is an email
+ */
+function detectType(value) {
+  return String(value || "").includes("@") ? "EMAIL" : "PHONE";
+}
+
+/**
+ * Match an inbound SMS against the keyword lists
+ * @returns {string|null} "STOP" | "START" | "HELP" | null
+ */
+function parseKeyword(body) {
+  const word = String(body || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+  if (!word) return null;
+
+  return Object.keys(KEYWORDS).find((keyword) => KEYWORDS[keyword].includes(word)) || null;
+}
+
+/**
+ * Reply text for a keyword
+ */
+function keywordReply(keyword, org = {}) {
+  const name = org.name || "us";
+  switch (keyword) {
+    case "STOP":
+      return `You have been unsubscribed from ${name} and will not receive further messages. Reply START to resubscribe.`;
+    case "START":
+      return `You have been resubscribed to messages from ${name}. Reply STOP to unsubscribe.`;
+    case "HELP":
+      return `${name}: for help call ${org.twilioNumber || "us"}. Msg & data rates may apply. Reply STOP to unsubscribe.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an uploaded CSV into suppression entries
+ * Accepts a "phone"/"email" column pair, a "value" column (with optional
+ * "type") or a single column of values. Header row required.
+ * @returns {object} { entries: [{ type, value, reason }], invalid }
+ */
+function parseImport(csvText) {
+  const [header = [], ...rows] = parseCSV(csvText);
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const find = (...names) => columns.findIndex((c) => names.includes(c));
+
+  const phoneCol = find("phone", "phone number", "number", "mobile");
+  const emailCol = find("email", "email address");
+  const valueCol = find("value", "contact");
+  const typeCol = find("type");
+  const reasonCol = find("reason", "note", "notes");
+
+  const entries = [];
+  let invalid = 0;
+  const add = (type, raw, reason) => {
+    if (!raw || !raw.trim()) return;
+    const value = normalizeValue(type, raw);
+    if (value) entries.push({ type, value, reason: reason || null });
+    else invalid++;
+  };
+
+  for (const row of rows.slice(0, MAX_IMPORT_ROWS)) {
+    const reason = reasonCol >= 0 ? row[reasonCol]?.trim() : null;
+
+    if (phoneCol >= 0 || emailCol >= 0) {
+      if (phoneCol >= 0) add("PHONE", row[phoneCol], reason);
+      if (emailCol >= 0) add("EMAIL", row[emailCol], reason);
+      continue;
+    }
+
+    const raw = row[valueCol >= 0 ? valueCol : 0];
+    const type = typeCol >= 0 && TYPES.includes(row[typeCol]?.trim().toUpperCase())
+      ? row[typeCol].trim().toUpperCase()
+      : detectType(raw);
+    add(type, raw, reason);
+  }
+
+  return { entries, invalid };
+}
+
+/**
+ * Format entries as CSV (re-importable with parseImport)
+ */
+function toCSV(entries) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = entries.map((e) =>
+    [e.type, e.value, e.source, e.reason, e.createdAt?.toISOString?.() || e.createdAt].map(escape).join(",")
+  );
+  return ["type,value,source,reason,createdAt", ...lines].join("\n") + "\n";
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Whether a phone number or email is on the organization's list
+ * @param {string} organizationId
+ * @param {object} contact - { phone, email }
+ */
+async function isSuppressed(organizationId, { phone, email } = {}) {
+  const values = [
+    ...(normalizePhone(phone) ? [{ type: "PHONE", value: normalizePhone(phone) }] : []),
+    ...(normalizeEmail(email) ? [{ type: "EMAIL", value: normalizeEmail(email) }] : []),
+  ];
+  if (!organizationId || values.length === 0) return false;
+
+  const count = await prisma.suppression.count({
+    where: { organizationId, OR: values },
+  });
+  return count > 0;
+}
+
+/**
+ * Suppressed entries, newest first (?type, ?q, cursor pagination)
+ */
+async function listSuppressions(organizationId, { type, q, cursor, limit } = {}) {
+  const take = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const entries = await prisma.suppression.findMany({
+    where: {
+      organizationId,
+      ...(type && { type }),
+      ...(q && { value: { contains: String(q).trim().toLowerCase() } }),
+    },
+    include: { createdBy: { select: { id: true, name: true } } },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: take + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const hasMore = entries.length > take;
+  const page = hasMore ? entries.slice(0, take) : entries;
+  return { entries: page, nextCursor: hasMore ? page[page.length - 1].id : null };
+}
+
+/**
+ * Additions and removals, newest first (optionally for one value)
+ */
+async function listHistory(organizationId, { value, limit } = {}) {
+  const take = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const normalized = value ? normalizeValue(detectType(value), value) : null;
+
+  return prisma.suppressionEvent.findMany({
+    where: { organizationId, ...(value && { value: normalized || value }) },
+    include: { user: { select: { id: true, name: true } } },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+// ============================================================================
+// CHANGES
+// ============================================================================
+
+/**
+ * Keep lead do-not-call flags and pending campaign dials in line with a phone entry.
+ * On removal only leads flagged since the entry was added (by it) are cleared;
+ * a lead marked do-not-call before that keeps its flag.
+ * @param {Date} [listedAt] - When the removed entry was added
+ */
+async function syncPhone(organizationId, phone, suppressed, listedAt = null) {
+  await prisma.lead.updateMany({
+    where: {
+      organizationId,
+      phone,
+      doNotCall: !suppressed,
+      ...(!suppressed && listedAt && { doNotCallAt: { gte: listedAt } }),
+    },
+    data: { doNotCall: suppressed, doNotCallAt: suppressed ? new Date() : null },
+  });
+
+  if (suppressed) {
+    await prisma.callCampaignContact.updateMany({
+      where: { phone, status: "PENDING", campaign: { organizationId } },
+      data: { status: "SKIPPED", outcome: "do_not_call" },
+    });
+  }
+}
+
+/**
+ * Add a phone number or email to the list
+ * Returns { data, created } or { error }
+ * @param {object} options - { source, reason, userId }
+ */
+async function suppress(organizationId, type, value, { source = "MANUAL", reason = null, userId = null } = {}) {
+  if (!TYPES.includes(type)) return { error: `type must be one of: ${TYPES.join(", ")}` };
+  if (!SOURCES.includes(source)) return { error: `source must be one of: ${SOURCES.join(", ")}` };
+
+  const normalized = normalizeValue(type, value);
+  if (!normalized) return { error: `Invalid ${type === "PHONE" ? "phone number" : "email"}` };
+
+  const existing = await prisma.suppression.findUnique({
+    where: { organizationId_type_value: { organizationId, type, value: normalized } },
+  });
+  if (existing) return { data: existing, created: false };
+
+  const reasonText = reason ? String(reason).slice(0, 500) : null;
+  const [entry] = await prisma.$transaction([
+    prisma.suppression.create({
+      data: { organizationId, type, value: normalized, source, reason: reasonText, createdById: userId },
+    }),
+    prisma.suppressionEvent.create({
+      data: { organizationId, type, value: normalized, action: "added", source, reason: reasonText, userId },
+    }),
+  ]);
+
+  if (type === "PHONE") await syncPhone(organizationId, normalized, true);
+
+  console.log(`🚫 Suppressed ${type.toLowerCase()} ${normalized} (${source})`);
+  return { data: entry, created: true };
+}
+
+/**
+ * Remove a phone number or email from the list
+ * Returns { data } (null when it wasn't listed), { data: null, kept } when
+ * the entry came from a source other than onlySource, or { error }
+ * @param {object} options - { source, reason, userId, onlySource }
+ */
+async function unsuppress(
+  organizationId,
+  type,
+  value,
+  { source = "MANUAL", reason = null, userId = null, onlySource = null } = {}
+) {
+  const normalized = normalizeValue(type, value);
+  if (!normalized) return { error: `Invalid ${type === "PHONE" ? "phone number" : "email"}` };
+
+  const existing = await prisma.suppression.findUnique({
+    where: { organizationId_type_value: { organizationId, type, value: normalized } },
+  });
+  if (!existing) return { data: null };
+  if (onlySource && existing.source !== onlySource) return { data: null, kept: existing };
+
+  await prisma.$transaction([
+    prisma.suppression.delete({ where: { id: existing.id } }),
+    prisma.suppressionEvent.create({
+      data: {
+        organizationId,
+        type,
+        value: normalized,
+        action: "removed",
+        source,
+        reason: reason ? String(reason).slice(0, 500) : null,
+        userId,
+      },
+    }),
+  ]);
+
+  if (type === "PHONE") await syncPhone(organizationId, normalized, false, existing.createdAt);
+
+  console.log(`✅ Removed ${type.toLowerCase()} ${normalized} from do-not-contact (${source})`);
+  return { data: existing };
+}
+
+/**
+ * Handle a STOP / START / HELP text
+ * @returns {string|null} Reply to send back, or null when the message isn't a keyword
+ */
+async function handleSmsKeyword(org, from, body) {
+  const keyword = parseKeyword(body);
+  if (!keyword) return null;
+
+  const reason = `Replied ${String(body).trim().toUpperCase()}`;
+  if (keyword === "STOP") {
+    await suppress(org.id, "PHONE", from, { source: "SMS_KEYWORD", reason });
+  } else if (keyword === "START") {
+    // START only undoes a STOP; entries added by the organization (call
+    // opt-outs, manual, imports) stay until the organization removes them
+    const result = await unsuppress(org.id, "PHONE", from, { source: "SMS_KEYWORD", reason, onlySource: "SMS_KEYWORD" });
+    if (result.kept) {
+      return `Your number is still on the do-not-contact list for ${org.name || "this sender"}. Please contact them directly to be removed.`;
+    }
+  }
+
+  return keywordReply(keyword, org);
+}
+
+/**
+ * Reply to STOP / HELP when the number can't be matched to an organization
+ * (or the lookup failed) - carriers still require the confirmation.
+ * START gets nothing: there's no opt-out to undo.
+ */
+function unmatchedKeywordReply(body) {
+  const keyword = parseKeyword(body);
+  return keyword === "STOP" || keyword === "HELP" ? keywordReply(keyword) : null;
+}
+
+/**
+ * Add parsed CSV entries in bulk
+ * @returns {object} { added, alreadySuppressed }
+ */
+async function importEntries(organizationId, entries, userId = null) {
+  const unique = [...new Map(entries.map((e) => [`${e.type}:${e.value}`, e])).values()];
+
+  const existing = await prisma.suppression.findMany({
+    where: { organizationId, value: { in: unique.map((e) => e.value) } },
+    select: { type: true, value: true },
+  });
+  const listed = new Set(existing.map((e) => `${e.type}:${e.value}`));
+  const fresh = unique.filter((e) => !listed.has(`${e.type}:${e.value}`));
+
+  const rows = fresh.map((e) => ({
+    organizationId,
+    type: e.type,
+    value: e.value,
+    source: "IMPORT",
+    reason: e.reason ? String(e.reason).slice(0, 500) : null,
+  }));
+  await prisma.$transaction([
+    prisma.suppression.createMany({
+      data: rows.map((r) => ({ ...r, createdById: userId })),
+      skipDuplicates: true,
+    }),
+    prisma.suppressionEvent.createMany({
+      data: rows.map((r) => ({ ...r, action: "added", userId })),
+    }),
+  ]);
+
+  const phones = fresh.filter((e) => e.type === "PHONE").map((e) => e.value);
+  if (phones.length > 0) {
+    await prisma.lead.updateMany({
+      where: { organizationId, phone: { in: phones }, doNotCall: false },
+      data: { doNotCall: true, doNotCallAt: new Date() },
+    });
+    await prisma.callCampaignContact.updateMany({
+      where: { phone: { in: phones }, status: "PENDING", campaign: { organizationId } },
+      data: { status: "SKIPPED", outcome: "do_not_call" },
+    });
+  }
+
+  return { added: fresh.length, alreadySuppressed: entries.length - fresh.length };
+}
+
+/**
+ * Every entry as CSV
+ */
+async function exportCSV(organizationId) {
+  const entries = await prisma.suppression.findMany({
+    where: { organizationId },
+    orderBy: { createdAt: "asc" },
+  });
+  return toCSV(entries);
+}
+
+module.exports = {
+  TYPES,
+  SOURCES,
+  KEYWORDS,
+  MAX_IMPORT_ROWS,
+  normalizeValue,
+  detectType,
+  parseKeyword,
+  keywordReply,
+  unmatchedKeywordReply,
+  parseImport,
+  toCSV,
+  isSuppressed,
+  listSuppressions,
+  listHistory,
+  suppress,
+  unsuppress,
+  handleSmsKeyword,
+  importEntries,
+  exportCSV,
+};
@@ -4,6 +4,10 @@
 // ============================================================================
 
 const prisma = require("../lib/prisma");
+const { cache, cacheKeys } = require("../lib/cache");
+const { RetrievalBackend, createBackend, KnowledgeIndex, toSourceEntries } = require("./retrieval");
+const { normalize } = require("./retrieval/text");
+const { getCredentials } = require("./credentials.service");
 
 /**
  * Get all training data for an organization
@@ -38,13 +42,16 @@ async function saveFAQ(organizationId, data) {
   const { id, question, answer, category, priority, keywords } = data;
 
   if (id) {
-    return prisma.aIFAQ.update({
+    const faq = await prisma.aIFAQ.update({
       where: { id, organizationId },
       data: { question, answer, category, priority, keywords },
     });
+
+    invalidateKnowledgeIndex(organizationId);
+    return faq;
   }
 
-  return prisma.aIFAQ.create({
+  const faq = await prisma.aIFAQ.create({
     data: {
       organizationId,
       question,
@@ -54,15 +61,21 @@ async function saveFAQ(organizationId, data) {
       keywords: keywords || [],
     },
   });
+
+  invalidateKnowledgeIndex(organizationId);
+  return faq;
 }
 
 /**
  * Delete an FAQ
  */
 async function deleteFAQ(id, organizationId) {
-  return prisma.aIFAQ.delete({
+  const faq = await prisma.aIFAQ.delete({
     where: { id, organizationId },
   });
+
+  invalidateKnowledgeIndex(organizationId);
+  return faq;
 }
 
 /**
@@ -138,7 +151,7 @@ async function deleteCustomResponse(id, organizationId) {
 async function addKnowledgeEntry(organizationId, data) {
   const { title, content, category, source, sourceUrl } = data;
 
-  return prisma.aIKnowledgeBase.create({
+  const entry = await prisma.aIKnowledgeBase.create({
     data: {
       organizationId,
       title,
@@ -148,25 +161,34 @@ async function addKnowledgeEntry(organizationId, data) {
       sourceUrl,
     },
   });
+
+  invalidateKnowledgeIndex(organizationId);
+  return entry;
 }
 
 /**
  * Update knowledge base entry
  */
 async function updateKnowledgeEntry(id, organizationId, data) {
-  return prisma.aIKnowledgeBase.update({
+  const entry = await prisma.aIKnowledgeBase.update({
     where: { id, organizationId },
     data,
   });
+
+  invalidateKnowledgeIndex(organizationId);
+  return entry;
 }
 
 /**
  * Delete knowledge base entry
  */
 async function deleteKnowledgeEntry(id, organizationId) {
-  return prisma.aIKnowledgeBase.delete({
+  const entry = await prisma.aIKnowledgeBase.delete({
     where: { id, organizationId },
   });
+
+  invalidateKnowledgeIndex(organizationId);
+  return entry;
 }
 
 /**
@@ -205,6 +227,10 @@ async function bulkImportFAQs(organizationId, faqs) {
     }
   }
 
+  if (results.imported > 0) {
+    invalidateKnowledgeIndex(organizationId);
+  }
+
   return results;
 }
 
@@ -304,6 +330,157 @@ async function getTrainingStats(organizationId) {
   };
 }
 
+// ============================================================================
+// RUNTIME (voice receptionist & channel AI)
+// ============================================================================
+
+// Indexes live in memory per org; edits invalidate, TTL catches other instances
+const KNOWLEDGE_INDEX_TTL = 600;
+
+/**
+ * Load the scripts and custom responses the receptionist uses during a call
+ * (FAQs and knowledge base are served through the retrieval index)
+ */
+async function getActiveTrainingData(organizationId) {
+  const [scripts, responses] = await Promise.all([
+    prisma.aIScript.findMany({
+      where: { organizationId, isActive: true },
+      orderBy: { name: "asc" },
+      take: 10,
+    }),
+    prisma.aICustomResponse.findMany({
+      where: { organizationId, isActive: true },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  return { scripts, responses };
+}
+
+/**
+ * Find the custom response triggered by what the caller said
+ * matchType: exact (whole utterance), contains (phrase anywhere), regex
+ * Returns the first matching response or null
+ */
+function matchCustomResponse(responses, text) {
+  if (!text || !responses?.length) return null;
+
+  const normalizedText = normalize(text);
+
+  for (const r of responses) {
+    if (r.isActive === false || !r.triggerPhrase) continue;
+
+    switch (r.matchType) {
+      case "exact":
+        if (normalizedText === normalize(r.triggerPhrase)) return r;
+        break;
+
+      case "regex":
+        try {
+          if (new RegExp(r.triggerPhrase, "i").test(text)) return r;
+        } catch (err) {
+          console.warn(`⚠️ Invalid custom response regex (${r.id}):`, err.message);
+        }
+        break;
+
+      case "contains":
+      default: {
+        const phrase = normalize(r.triggerPhrase);
+        if (phrase && ` ${normalizedText} `.includes(` ${phrase} `)) return r;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get (or build) the organization's FAQ + knowledge base retrieval index
+ * Backend: RETRIEVAL_BACKEND=bm25 (default) or embedding (on the org's
+ * OpenAI key, BYO when configured). BM25 drops English stop words only for
+ * English-only organizations.
+ */
+async function getKnowledgeIndex(organizationId) {
+  const key = cacheKeys.knowledgeIndex(organizationId);
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const [faqs, knowledgeBase, organization] = await Promise.all([
+    prisma.aIFAQ.findMany({ where: { organizationId } }),
+    prisma.aIKnowledgeBase.findMany({ where: { organizationId } }),
+    prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { language: true, autoDetectLanguage: true },
+    }),
+  ]);
+
+  const backendType = process.env.RETRIEVAL_BACKEND || RetrievalBackend.BM25;
+  const bm25Options = { language: organization?.autoDetectLanguage ? null : organization?.language };
+  let index;
+
+  try {
+    const options =
+      backendType === RetrievalBackend.EMBEDDING
+        ? { apiKey: (await getCredentials(organizationId)).openai?.apiKey }
+        : bm25Options;
+    index = await new KnowledgeIndex(createBackend(backendType, options)).build({ faqs, knowledgeBase });
+  } catch (err) {
+    // Embedding API unavailable - lexical ranking still works offline
+    console.error(`❌ ${backendType} index build failed, using bm25:`, err.message);
+    index = await new KnowledgeIndex(createBackend(RetrievalBackend.BM25, bm25Options)).build({ faqs, knowledgeBase });
+  }
+
+  console.log(`📚 Knowledge index built for ${organizationId}: ${index.size} passages (${index.backend.name})`);
+  cache.set(key, index, KNOWLEDGE_INDEX_TTL);
+  return index;
+}
+
+/**
+ * Drop the cached index after FAQs or knowledge entries change
+ */
+function invalidateKnowledgeIndex(organizationId) {
+  cache.delete(cacheKeys.knowledgeIndex(organizationId));
+}
+
+/**
+ * Top FAQ/knowledge passages for a caller utterance or message
+ */
+async function retrieveRelevant(organizationId, query, { limit = 4 } = {}) {
+  if (!organizationId || !query) return [];
+
+  try {
+    const index = await getKnowledgeIndex(organizationId);
+    return await index.search(query, { limit });
+  } catch (err) {
+    console.error("❌ Knowledge retrieval error:", err.message);
+    return [];
+  }
+}
+
+/**
+ * Format scripts and retrieved passages for a system prompt
+ */
+function buildTrainingPrompt({ scripts = [], passages = [] }) {
+  let prompt = "";
+
+  if (scripts.length > 0) {
+    prompt += "\n\nSCENARIO SCRIPTS (follow these when the situation applies):\n";
+    scripts.forEach((script) => {
+      prompt += `- ${script.name} — When: ${script.scenario}\n  Say/do: ${script.script}\n`;
+    });
+  }
+
+  if (passages.length > 0) {
+    prompt += "\n\nRELEVANT COMPANY INFORMATION (answer from this, in your own words):\n";
+    passages.forEach((p) => {
+      prompt += p.sourceType === "faq" ? `${p.text}\n\n` : `### ${p.title}\n${p.text}\n\n`;
+    });
+    prompt += "If the answer isn't covered above, don't guess - offer to take a message or transfer.";
+  }
+
+  return prompt;
+}
+
 module.exports = {
   getTrainingData,
   saveFAQ,
@@ -318,4 +495,11 @@ module.exports = {
   bulkImportFAQs,
   generateSystemPrompt,
   getTrainingStats,
+  getActiveTrainingData,
+  matchCustomResponse,
+  getKnowledgeIndex,
+  invalidateKnowledgeIndex,
+  retrieveRelevant,
+  buildTrainingPrompt,
+  toSourceEntries,
 };
@@ -0,0 +1,79 @@
+// ============================================================================
+// HEKAX Phone - TTS Audio Utilities
+// Telephony audio conversion shared by TTS providers
+// ============================================================================
+
+// Output formats a provider can be asked for
+const AudioFormat = {
+  MULAW_8000: "ulaw_8000", // Twilio media streams (calls)
+  MP3: "mp3", // Browser playback (previews)
+};
+
+/**
+ * Encode one signed 16-bit PCM sample as G.711 mu-law
+ */
+function linearToMulaw(sample) {
+  const MULAW_MAX = 0x1FFF;
+  const MULAW_BIAS = 33;
+
+  const sign = sample < 0 ? 0x80 : 0;
+  if (sample < 0) sample = -sample;
+
+  sample = Math.min(sample, MULAW_MAX);
+  sample += MULAW_BIAS;
+
+  let exponent = 7;
+  for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; exponent--, expMask >>= 1) {}
+
+  const mantissa = (sample >> (exponent + 3)) & 0x0F;
+  const mulawByte = ~(sign | (exponent << 4) | mantissa);
+
+  return mulawByte & 0xFF;
+}
+
+/**
+ * Convert 24kHz 16-bit PCM (OpenAI "pcm" output) to 8kHz mu-law
+ */
+function pcm24kToMulaw8k(pcmBuffer) {
+  const inputSamples = new Int16Array(
+    pcmBuffer.buffer,
+    pcmBuffer.byteOffset,
+    Math.floor(pcmBuffer.length / 2)
+  );
+  const outputLength = Math.floor(inputSamples.length / 3);
+  const mulawOutput = Buffer.alloc(outputLength);
+
+  for (let i = 0; i < outputLength; i++) {
+    mulawOutput[i] = linearToMulaw(inputSamples[i * 3]);
+  }
+
+  return mulawOutput;
+}
+
+/**
+ * Wrap 16-bit mono PCM in a WAV container
+ */
+function pcmToWav(pcmBuffer, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+module.exports = {
+  AudioFormat,
+  linearToMulaw,
+  pcm24kToMulaw8k,
+  pcmToWav,
+};
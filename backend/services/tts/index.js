@@ -0,0 +1,110 @@
+// ============================================================================
+// HEKAX Phone - Text-to-Speech Service
+// Pluggable TTS engines for the AI receptionist and voice previews
+// ============================================================================
+
+const OpenAITTSProvider = require("./providers/openai");
+const ElevenLabsTTSProvider = require("./providers/elevenlabs");
+const LocalTTSProvider = require("./providers/local");
+const { AudioFormat } = require("./audio");
+const { SentenceSegmenter, splitSentences } = require("./segmenter");
+const { resolveCredentials } = require("../credentials.service");
+
+// ============================================================================
+// TTS PROVIDER TYPES
+// ============================================================================
+const TTSProvider = {
+  OPENAI: "openai",
+  ELEVENLABS: "elevenlabs",
+  LOCAL: "local",
+};
+
+const PROVIDER_CLASSES = {
+  [TTSProvider.OPENAI]: OpenAITTSProvider,
+  [TTSProvider.ELEVENLABS]: ElevenLabsTTSProvider,
+  [TTSProvider.LOCAL]: LocalTTSProvider,
+};
+
+/**
+ * Create a provider instance
+ */
+function createTTSProvider(type, options = {}) {
+  const ProviderClass = PROVIDER_CLASSES[type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown TTS provider: ${type}`);
+  }
+  return new ProviderClass(options);
+}
+
+/**
+ * API key for a provider from resolved credentials (BYO or platform)
+ */
+function getProviderKey(type, credentials) {
+  if (type === TTSProvider.LOCAL) return { apiKey: null, byo: false };
+  return credentials[type] || null;
+}
+
+/**
+ * Pick the TTS provider for an organization
+ * TTS_PROVIDER env forces one (e.g. "local" in tests); otherwise the org's
+ * voiceProvider is used when a key is available, falling back to OpenAI
+ */
+function resolveTTSProvider(organization, { provider, credentials } = {}) {
+  const creds = credentials || resolveCredentials(organization);
+  const requested = process.env.TTS_PROVIDER || provider || organization?.voiceProvider || TTSProvider.OPENAI;
+  const candidates = [requested, TTSProvider.OPENAI, TTSProvider.LOCAL]
+    .filter((type, i, all) => PROVIDER_CLASSES[type] && all.indexOf(type) === i);
+
+  for (const type of candidates) {
+    const key = getProviderKey(type, creds);
+    if (!key) continue;
+
+    if (type !== requested) {
+      console.warn(`⚠️ TTS provider "${requested}" has no API key, using ${type}`);
+    }
+    const instance = createTTSProvider(type, { apiKey: key.apiKey });
+    instance.byo = key.byo;
+    return instance;
+  }
+
+  // Unreachable - the local provider never needs a key
+  return createTTSProvider(TTSProvider.LOCAL);
+}
+
+/**
+ * Engines an organization may choose - the local tone stub is for
+ * development and tests only
+ */
+function selectableProviders() {
+  return Object.values(TTSProvider).filter(
+    (type) => type !== TTSProvider.LOCAL || process.env.NODE_ENV !== "production"
+  );
+}
+
+/**
+ * Providers and their voices, with whether each can be used by the organization
+ */
+function listTTSProviders(organization) {
+  const creds = resolveCredentials(organization);
+  return selectableProviders().map((type) => {
+    const instance = createTTSProvider(type);
+    return {
+      id: type,
+      name: instance.label,
+      available: !!getProviderKey(type, creds),
+      defaultVoice: instance.defaultVoice,
+      voices: instance.voices.map(({ id, name, description, gender }) => ({ id, name, description, gender })),
+    };
+  });
+}
+
+module.exports = {
+  TTSProvider,
+  AudioFormat,
+  createTTSProvider,
+  resolveTTSProvider,
+  selectableProviders,
+  listTTSProviders,
+  SentenceSegmenter,
+  splitSentences,
+};
@@ -0,0 +1,43 @@
+// ============================================================================
+// HEKAX Phone - Base TTS Provider
+// Abstract class for all text-to-speech engines
+// ============================================================================
+
+class BaseTTSProvider {
+  constructor({ apiKey = null } = {}) {
+    this.apiKey = apiKey;
+    this.name = "base";
+    this.label = "Base";
+    this.voices = []; // [{ id, name, description, gender }]
+    this.defaultVoice = null;
+  }
+
+  // ===========================================================================
+  // VOICES
+  // ===========================================================================
+  isValidVoice(voiceId) {
+    return this.voices.some((v) => v.id === voiceId);
+  }
+
+  /**
+   * Use the requested voice if this provider has it, else the provider default
+   */
+  resolveVoice(voiceId) {
+    return voiceId && this.isValidVoice(voiceId) ? voiceId : this.defaultVoice;
+  }
+
+  // ===========================================================================
+  // SYNTHESIS
+  // ===========================================================================
+  /**
+   * Synthesize speech
+   * @param {string} text
+   * @param {{ voice: string, format: string }} options - format is an AudioFormat
+   * @returns {Promise<{ audio: Buffer, contentType: string }>}
+   */
+  async synthesize(text, options) {
+    throw new Error("synthesize must be implemented by subclass");
+  }
+}
+
+module.exports = BaseTTSProvider;
@@ -0,0 +1,71 @@
+// ============================================================================
+// HEKAX Phone - ElevenLabs TTS Provider
+// ============================================================================
+
+const BaseTTSProvider = require("./base");
+const { AudioFormat } = require("../audio");
+
+const API_URL = "https://api.elevenlabs.io/v1";
+
+// Premade voices available on every ElevenLabs account
+const VOICES = [
+  { id: "21m00Tcm4TlvDq8ikWAM", name: "Rachel", description: "Calm & clear", gender: "female" },
+  { id: "EXAVITQu4vr4xnJSgVu8", name: "Sarah", description: "Soft & warm", gender: "female" },
+  { id: "XB0fDUnXU5powFXDhCwa", name: "Charlotte", description: "Polished & friendly", gender: "female" },
+  { id: "pNInz6obpgDQGcFMmE5O", name: "Adam", description: "Deep & confident", gender: "male" },
+  { id: "TxGEqnHWrfWFTfGW9XZX", name: "Josh", description: "Young & upbeat", gender: "male" },
+  { id: "ErXwobaYiN019PkySvjV", name: "Antoni", description: "Well-rounded & warm", gender: "male" },
+];
+
+// Cloned/library voice IDs are 20 alphanumeric characters
+const VOICE_ID_PATTERN = /^[A-Za-z0-9]{20}$/;
+
+class ElevenLabsTTSProvider extends BaseTTSProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "elevenlabs";
+    this.label = "ElevenLabs";
+    this.voices = VOICES;
+    this.defaultVoice = VOICES[0].id;
+    // Turbo model keeps first-audio latency low enough for live calls
+    this.model = options.model || "eleven_turbo_v2_5";
+  }
+
+  isValidVoice(voiceId) {
+    return super.isValidVoice(voiceId) || VOICE_ID_PATTERN.test(voiceId || "");
+  }
+
+  async synthesize(text, { voice, format = AudioFormat.MULAW_8000 } = {}) {
+    const telephony = format === AudioFormat.MULAW_8000;
+    const outputFormat = telephony ? "ulaw_8000" : "mp3_44100_128";
+
+    const response = await fetch(
+      `${API_URL}/text-to-speech/${this.resolveVoice(voice)}?output_format=${outputFormat}`,
+      {
+        method: "POST",
+        headers: {
+          "xi-api-key": this.apiKey,
+          "Content-Type": "application/json",
+          Accept: telephony ? "audio/basic" : "audio/mpeg",
+        },
+        body: JSON.stringify({
+          text,
+          model_id: this.model,
+          voice_settings: { stability: 0.5, similarity_boost: 0.75 },
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`ElevenLabs TTS failed (${response.status}): ${detail.substring(0, 200)}`);
+    }
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      contentType: telephony ? "audio/basic" : "audio/mpeg",
+    };
+  }
+}
+
+module.exports = ElevenLabsTTSProvider;
@@ -0,0 +1,51 @@
+// ============================================================================
+// HEKAX Phone - Local TTS Provider
+// Offline stub for tests and development - emits a tone sized to the text
+// ============================================================================
+
+const BaseTTSProvider = require("./base");
+const { AudioFormat, linearToMulaw, pcmToWav } = require("../audio");
+
+const SAMPLE_RATE = 8000;
+const MS_PER_CHAR = 50;
+const MAX_SECONDS = 10;
+
+const VOICES = [
+  { id: "low", name: "Low Tone", description: "220 Hz test tone", gender: "neutral", frequency: 220 },
+  { id: "mid", name: "Mid Tone", description: "440 Hz test tone", gender: "neutral", frequency: 440 },
+  { id: "high", name: "High Tone", description: "880 Hz test tone", gender: "neutral", frequency: 880 },
+];
+
+class LocalTTSProvider extends BaseTTSProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "local";
+    this.label = "Local (offline)";
+    this.voices = VOICES;
+    this.defaultVoice = "mid";
+  }
+
+  async synthesize(text, { voice, format = AudioFormat.MULAW_8000 } = {}) {
+    const { frequency } = VOICES.find((v) => v.id === this.resolveVoice(voice));
+    const seconds = Math.min(MAX_SECONDS, (String(text || "").length * MS_PER_CHAR) / 1000);
+    const samples = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * 4000), i * 2);
+    }
+
+    if (format === AudioFormat.MULAW_8000) {
+      const mulaw = Buffer.alloc(samples);
+      for (let i = 0; i < samples; i++) {
+        mulaw[i] = linearToMulaw(pcm.readInt16LE(i * 2));
+      }
+      return { audio: mulaw, contentType: "audio/basic" };
+    }
+
+    // No MP3 encoder offline - browsers play WAV just as well
+    return { audio: pcmToWav(pcm, SAMPLE_RATE), contentType: "audio/wav" };
+  }
+}
+
+module.exports = LocalTTSProvider;
@@ -0,0 +1,56 @@
+// ============================================================================
+// HEKAX Phone - OpenAI TTS Provider
+// ============================================================================
+
+const OpenAI = require("openai");
+const BaseTTSProvider = require("./base");
+const { AudioFormat, pcm24kToMulaw8k } = require("../audio");
+
+const VOICES = [
+  { id: "nova", name: "Nova", description: "Calm & professional", gender: "female" },
+  { id: "sage", name: "Sage", description: "Warm & wise", gender: "female" },
+  { id: "alloy", name: "Alloy", description: "Neutral & balanced", gender: "neutral" },
+  { id: "echo", name: "Echo", description: "Friendly & warm", gender: "male" },
+  { id: "fable", name: "Fable", description: "Expressive storyteller", gender: "neutral" },
+  { id: "onyx", name: "Onyx", description: "Deep & authoritative", gender: "male" },
+  { id: "shimmer", name: "Shimmer", description: "Soft & gentle", gender: "female" },
+];
+
+class OpenAITTSProvider extends BaseTTSProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "openai";
+    this.label = "OpenAI";
+    this.voices = VOICES;
+    this.defaultVoice = "nova";
+    this.model = options.model || "tts-1";
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async synthesize(text, { voice, format = AudioFormat.MULAW_8000 } = {}) {
+    const telephony = format === AudioFormat.MULAW_8000;
+
+    const response = await this.getClient().audio.speech.create({
+      model: this.model,
+      voice: this.resolveVoice(voice),
+      input: text,
+      // Raw 24kHz PCM is resampled to 8kHz mu-law for calls
+      response_format: telephony ? "pcm" : "mp3",
+      speed: 1.0,
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return telephony
+      ? { audio: pcm24kToMulaw8k(buffer), contentType: "audio/basic" }
+      : { audio: buffer, contentType: "audio/mpeg" };
+  }
+}
+
+module.exports = OpenAITTSProvider;
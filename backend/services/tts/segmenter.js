@@ -0,0 +1,86 @@
+// ============================================================================
+// HEKAX Phone - Sentence Segmenter
+// Splits streamed LLM tokens into speakable pieces for incremental TTS
+// ============================================================================
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATIONS = new Set([
+  "mr", "mrs", "ms", "dr", "prof", "sr", "jr", "st", "ave", "blvd", "rd",
+  "inc", "ltd", "co", "corp", "etc", "vs", "approx", "apt", "no", "dept",
+  "a.m", "p.m", "e.g", "i.e", "u.s",
+]);
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+const CLAUSE_END = /[,;:—]$/;
+
+class SentenceSegmenter {
+  /**
+   * @param {object} options
+   * @param {number} options.minChars - Don't cut pieces shorter than this (avoids choppy audio)
+   * @param {number} options.maxChars - Cut at a clause boundary once a piece gets this long
+   */
+  constructor({ minChars = 20, maxChars = 160 } = {}) {
+    this.minChars = minChars;
+    this.maxChars = maxChars;
+    this.buffer = "";
+  }
+
+  /**
+   * Add streamed text, returning any pieces that are ready to speak
+   */
+  push(text) {
+    this.buffer += text;
+    const pieces = [];
+
+    // Only cut at whitespace - the next token may still extend the current word
+    let searchFrom = 0;
+    let match;
+    const whitespace = /\s+/g;
+    whitespace.lastIndex = 0;
+
+    while ((match = whitespace.exec(this.buffer)) !== null) {
+      const candidate = this.buffer.slice(searchFrom, match.index).trim();
+      if (this.isBoundary(candidate)) {
+        pieces.push(candidate);
+        searchFrom = match.index + match[0].length;
+      }
+    }
+
+    this.buffer = this.buffer.slice(searchFrom);
+    return pieces;
+  }
+
+  /**
+   * Whatever is left once the stream ends
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = "";
+    return rest ? [rest] : [];
+  }
+
+  isBoundary(candidate) {
+    if (candidate.length < this.minChars) return false;
+
+    if (SENTENCE_END.test(candidate)) {
+      const lastWord = candidate.split(/\s+/).pop().replace(/[.!?…"')\]]+$/, "").toLowerCase();
+      // "Dr." / "p.m." aren't sentence ends; "3." before "5" can't happen here (no whitespace)
+      return !(candidate.endsWith(".") && ABBREVIATIONS.has(lastWord));
+    }
+
+    return candidate.length >= this.maxChars && CLAUSE_END.test(candidate);
+  }
+}
+
+/**
+ * Split complete text into speakable pieces
+ */
+function splitSentences(text, options) {
+  const segmenter = new SentenceSegmenter(options);
+  return [...segmenter.push(String(text || "")), ...segmenter.flush()];
+}
+
+module.exports = {
+  SentenceSegmenter,
+  splitSentences,
+};
@@ -327,11 +327,22 @@ function generateVoicemailGreeting(organization) {
   const VoiceResponse = twilio.twiml.VoiceResponse;
   const twiml = new VoiceResponse();
 
-  const greeting =
+  appendVoicemailRecording(twiml, organization);
+
+  return twiml.toString();
+}
+
+/**
+ * Append voicemail greeting + recording to an existing TwiML response
+ * greeting overrides the organization's after-hours greeting
+ */
+function appendVoicemailRecording(twiml, organization, greeting) {
+  const message =
+    greeting ||
     organization?.afterHoursGreeting ||
     `Thank you for calling ${organization?.name || "us"}. We're currently unavailable. Please leave a message after the beep and we'll get back to you as soon as possible.`;
 
-  twiml.say({ voice: "Polly.Amy" }, greeting);
+  twiml.say({ voice: "Polly.Amy" }, message);
   twiml.record({
     maxLength: 120,
     transcribe: true,
@@ -343,7 +354,7 @@ function generateVoicemailGreeting(organization) {
   twiml.say({ voice: "Polly.Amy" }, "We did not receive your message. Goodbye.");
   twiml.hangup();
 
-  return twiml.toString();
+  return twiml;
 }
 
 module.exports = {
@@ -354,4 +365,5 @@ module.exports = {
   markVoicemailAsRead,
   deleteVoicemail,
   generateVoicemailGreeting,
+  appendVoicemailRecording,
 };
@@ -0,0 +1,519 @@
+// ============================================================================
+// HEKAX Phone - Webhook Subscriptions
+// Signed event delivery with retries, dead-lettering and a delivery log
+// ============================================================================
+
+const crypto = require("crypto");
+const prisma = require("../lib/prisma");
+const { encrypt, decrypt } = require("../lib/encryption");
+const { assertPublicUrl, publicFetch } = require("../lib/outbound");
+
+const PING_EVENT = "webhook:ping";
+const ALL_EVENTS = "*";
+
+// Retry schedule: 1m, 2m, 4m ... capped at 6h; dead after MAX_ATTEMPTS
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+// Dead deliveries in a row before a subscription is switched off
+const AUTO_DISABLE_AFTER = 10;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BYTES = 4 * 1024;
+const RETRY_BATCH_SIZE = 50;
+
+// A claimed retry that never records an outcome (crash mid-attempt) is
+// picked up again after this long
+const RETRY_LEASE_MS = 5 * 60 * 1000;
+
+// How old a signed timestamp receivers should accept
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The start of a receiver's response (up to MAX_RESPONSE_BYTES), with our
+ * signing secret masked if the receiver echoes it back
+ */
+async function readResponseBody(response, secret) {
+  if (!response.body) return null;
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < MAX_RESPONSE_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  await reader.cancel();
+
+  const text = Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString("utf8");
+  return secret ? text.split(secret).join("[redacted]") : text;
+}
+
+/**
+ * Event types a subscription may choose (automation EVENTS values)
+ */
+function availableEvents() {
+  const { EVENTS } = require("./automation.service");
+  return Object.values(EVENTS);
+}
+
+/**
+ * HMAC-SHA256 of the raw body, hex - same scheme as the CRM webhook provider
+ */
+function signPayload(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Signature header value: HMAC of "<timestamp>.<body>" so a captured delivery
+ * can't be replayed with a fresh timestamp
+ */
+function signDelivery(secret, timestamp, body) {
+  return signPayload(secret, `${timestamp}.${body}`);
+}
+
+/**
+ * Receiver-side check, also used in tests: signature matches and the
+ * timestamp (unix seconds) is within the tolerance window
+ */
+function verifySignature(secret, timestamp, body, signature, options = {}) {
+  const { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = options;
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signDelivery(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Delay before the next attempt, or null when the delivery is out of attempts
+ * @param {number} attempts - Attempts made so far
+ */
+function nextRetryDelay(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+function subscribesTo(subscription, event) {
+  return subscription.events.includes(ALL_EVENTS) || subscription.events.includes(event);
+}
+
+/**
+ * Validate create/update input into Prisma data
+ * Returns { data } or { error }. The address check needs DNS, so it happens
+ * in checkUrl.
+ */
+function validateSubscription(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(input.url || ""));
+    } catch {
+      return { error: "url must be a valid URL" };
+    }
+    if (!["https:", "http:"].includes(url.protocol)) {
+      return { error: "url must use https" };
+    }
+    if (url.protocol === "http:" && process.env.NODE_ENV === "production") {
+      return { error: "url must use https" };
+    }
+    data.url = url.toString();
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events.map(String))] : [];
+    if (events.length === 0) return { error: "Choose at least one event" };
+
+    const allowed = [ALL_EVENTS, ...availableEvents()];
+    const unknown = events.filter((e) => !allowed.includes(e));
+    if (unknown.length > 0) return { error: `Unknown events: ${unknown.join(", ")}` };
+    data.events = events;
+  }
+
+  if (input.description !== undefined) {
+    data.description = input.description ? String(input.description).trim().slice(0, 200) : null;
+  }
+  if (input.enabled !== undefined) data.enabled = !!input.enabled;
+
+  return { data };
+}
+
+/**
+ * Reject URLs that resolve to loopback, private or link-local addresses
+ * Returns { error } or {}
+ */
+async function checkUrl(data) {
+  if (!data.url) return {};
+  try {
+    await assertPublicUrl(data.url);
+    return {};
+  } catch (err) {
+    return { error: `url is not allowed: ${err.message}` };
+  }
+}
+
+/**
+ * Subscription without its secret, for the API
+ */
+function shapeSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+async function listSubscriptions(organizationId) {
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    where: { organizationId },
+    orderBy: { createdAt: "desc" },
+  });
+  return subscriptions.map(shapeSubscription);
+}
+
+function getSubscription(organizationId, id) {
+  return prisma.webhookSubscription.findFirst({ where: { id, organizationId } });
+}
+
+/**
+ * Create a subscription. The plain secret is returned once.
+ * @returns {object} { data, secret } or { error }
+ */
+async function createSubscription(organizationId, input, userId = null) {
+  const { data, error } = validateSubscription(input);
+  if (error) return { error };
+
+  const urlCheck = await checkUrl(data);
+  if (urlCheck.error) return urlCheck;
+
+  const secret = generateSecret();
+  const subscription = await prisma.webhookSubscription.create({
+    data: { ...data, secret: encrypt(secret), organizationId, createdById: userId },
+  });
+
+  console.log(`🪝 Webhook subscription created: ${subscription.url}`);
+  return { data: shapeSubscription(subscription), secret };
+}
+
+async function updateSubscription(subscription, input) {
+  const { data, error } = validateSubscription(input, { partial: true });
+  if (error) return { error };
+
+  const urlCheck = await checkUrl(data);
+  if (urlCheck.error) return urlCheck;
+
+  // Re-enabling starts the failure count over
+  if (data.enabled && !subscription.enabled) data.consecutiveFailures = 0;
+
+  const updated = await prisma.webhookSubscription.update({ where: { id: subscription.id }, data });
+  return { data: shapeSubscription(updated) };
+}
+
+function deleteSubscription(subscription) {
+  return prisma.webhookSubscription.delete({ where: { id: subscription.id } });
+}
+
+async function rotateSecret(subscription) {
+  const secret = generateSecret();
+  await prisma.webhookSubscription.update({
+    where: { id: subscription.id },
+    data: { secret: encrypt(secret) },
+  });
+  return secret;
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * POST a delivery and record the outcome: SUCCEEDED on 2xx, otherwise
+ * RETRYING with backoff until MAX_ATTEMPTS, then DEAD (pings are never retried).
+ * Redirects are not followed, and the address is re-checked on every attempt.
+ * The first 4 KB of the response is kept so failures can be explained.
+ */
+async function attemptDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const secret = decrypt(subscription.secret);
+    const response = await publicFetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "HEKAX-Phone-Webhook/1.0",
+        "X-HEKAX-Event": delivery.event,
+        "X-HEKAX-Delivery": delivery.id,
+        "X-HEKAX-Timestamp": String(timestamp),
+        ...(secret && { "X-HEKAX-Signature": signDelivery(secret, timestamp, body) }),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = await readResponseBody(response, secret);
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === "TimeoutError" ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const ping = delivery.event === PING_EVENT;
+  const attempts = delivery.attempts + 1;
+  const delay = error && !ping ? nextRetryDelay(attempts) : null;
+  const status = !error ? "SUCCEEDED" : delay ? "RETRYING" : "DEAD";
+
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status,
+      attempts,
+      responseStatus,
+      responseBody,
+      error,
+      durationMs: Date.now() - started,
+      nextAttemptAt: delay ? new Date(Date.now() + delay) : null,
+      ...(status === "SUCCEEDED" && { deliveredAt: new Date() }),
+    },
+  });
+
+  if (!ping) await recordOutcome(subscription, status);
+
+  if (status === "DEAD") {
+    console.log(`☠️ Webhook ${delivery.event} to ${subscription.url} dead after ${attempts} attempts: ${error}`);
+  }
+  return updated;
+}
+
+/**
+ * Track consecutive dead deliveries and switch off endpoints that keep failing
+ */
+async function recordOutcome(subscription, status) {
+  if (status === "SUCCEEDED") {
+    await prisma.webhookSubscription.update({
+      where: { id: subscription.id },
+      data: { lastDeliveryAt: new Date(), consecutiveFailures: 0 },
+    });
+  } else if (status === "DEAD") {
+    const updated = await prisma.webhookSubscription.update({
+      where: { id: subscription.id },
+      data: { consecutiveFailures: { increment: 1 } },
+    });
+    if (updated.enabled && updated.consecutiveFailures >= AUTO_DISABLE_AFTER) {
+      await prisma.webhookSubscription.update({ where: { id: subscription.id }, data: { enabled: false } });
+      console.log(`⚠️ Webhook subscription ${subscription.url} disabled after ${AUTO_DISABLE_AFTER} dead deliveries`);
+    }
+  }
+}
+
+function buildPayload(eventId, event, organizationId, data) {
+  return {
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    organizationId,
+    data,
+  };
+}
+
+/**
+ * Queue an event for every enabled subscription that wants it and make the
+ * first attempt right away. Called for every automation event; never throws.
+ */
+async function dispatch(organizationId, event, data) {
+  if (!organizationId) return;
+
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { organizationId, enabled: true },
+    });
+    const targets = subscriptions.filter((s) => subscribesTo(s, event));
+    if (targets.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = buildPayload(eventId, event, organizationId, data);
+
+    for (const subscription of targets) {
+      const delivery = await prisma.webhookDelivery.create({
+        data: { eventId, event, payload, subscriptionId: subscription.id, organizationId },
+      });
+      attemptDelivery(delivery, subscription).catch((err) =>
+        console.error("❌ Webhook delivery error:", err.message)
+      );
+    }
+  } catch (err) {
+    console.error("❌ Webhook dispatch error:", err.message);
+  }
+}
+
+/**
+ * Send a ping to one subscription and wait for the result
+ */
+async function sendTestPing(subscription) {
+  const eventId = crypto.randomUUID();
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      eventId,
+      event: PING_EVENT,
+      payload: buildPayload(eventId, PING_EVENT, subscription.organizationId, {
+        message: "Test ping from HEKAX Phone",
+        subscriptionId: subscription.id,
+      }),
+      subscriptionId: subscription.id,
+      organizationId: subscription.organizationId,
+    },
+  });
+  return attemptDelivery(delivery, subscription);
+}
+
+/**
+ * Send a delivery again as a new log entry (same event id and payload)
+ */
+async function redeliver(delivery) {
+  const subscription = await prisma.webhookSubscription.findUnique({ where: { id: delivery.subscriptionId } });
+  const copy = await prisma.webhookDelivery.create({
+    data: {
+      eventId: delivery.eventId,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOfId: delivery.id,
+      subscriptionId: delivery.subscriptionId,
+      organizationId: delivery.organizationId,
+    },
+  });
+  return attemptDelivery(copy, subscription);
+}
+
+/**
+ * Retry deliveries that are due (scheduler job)
+ */
+async function processRetries() {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: "RETRYING", nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: "asc" },
+    take: RETRY_BATCH_SIZE,
+    include: { subscription: true },
+  });
+
+  let sent = 0;
+  for (const delivery of due) {
+    // Claim it with a lease so an overlapping run doesn't send it twice, and
+    // a run that dies mid-attempt leaves it to be retried later
+    const claimed = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: "RETRYING", nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + RETRY_LEASE_MS) },
+    });
+    if (claimed.count === 0) continue;
+
+    if (!delivery.subscription.enabled) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: "DEAD", error: "Subscription disabled" },
+      });
+      continue;
+    }
+
+    try {
+      await attemptDelivery(delivery, delivery.subscription);
+      sent++;
+    } catch (err) {
+      // Outcome couldn't be recorded; the lease expires and it's retried
+      console.error(`❌ Webhook retry error for ${delivery.id}:`, err.message);
+    }
+  }
+
+  if (sent > 0) console.log(`🪝 Retried ${sent} webhook deliveries`);
+  return { retried: sent };
+}
+
+// ============================================================================
+// DELIVERY LOG
+// ============================================================================
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Deliveries for a subscription, newest first, without bodies
+ * Returns { deliveries, nextCursor }
+ */
+async function listDeliveries(subscriptionId, { status, cursor, limit } = {}) {
+  const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const deliveries = await prisma.webhookDelivery.findMany({
+    where: { subscriptionId, ...(status && { status }) },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: take + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    select: {
+      id: true,
+      eventId: true,
+      event: true,
+      status: true,
+      attempts: true,
+      nextAttemptAt: true,
+      responseStatus: true,
+      error: true,
+      durationMs: true,
+      deliveredAt: true,
+      redeliveryOfId: true,
+      createdAt: true,
+    },
+  });
+
+  const hasMore = deliveries.length > take;
+  if (hasMore) deliveries.pop();
+
+  return { deliveries, nextCursor: hasMore ? deliveries[deliveries.length - 1].id : null };
+}
+
+function getDelivery(organizationId, id) {
+  return prisma.webhookDelivery.findFirst({ where: { id, organizationId } });
+}
+
+module.exports = {
+  PING_EVENT,
+  ALL_EVENTS,
+  MAX_ATTEMPTS,
+  SIGNATURE_TOLERANCE_SECONDS,
+  availableEvents,
+  signPayload,
+  signDelivery,
+  verifySignature,
+  nextRetryDelay,
+  subscribesTo,
+  validateSubscription,
+  shapeSubscription,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSecret,
+  dispatch,
+  sendTestPing,
+  redeliver,
+  attemptDelivery,
+  processRetries,
+  listDeliveries,
+  getDelivery,
+};
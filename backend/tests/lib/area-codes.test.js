@@ -0,0 +1,45 @@
+// ============================================================================
+// HEKAX Phone - Recipient Timezone Tests
+// ============================================================================
+
+const { timezonesForPhone, timezonesForRegion, recipientTimezones } = require('../../lib/area-codes');
+const { isValidTimezone } = require('../../lib/timezone');
+
+describe('Recipient Timezones', () => {
+  it('should map area codes to their zones', () => {
+    expect(timezonesForPhone('+12125550100')).toEqual(['America/New_York']);
+    expect(timezonesForPhone('(310) 555-0100')).toEqual(['America/Los_Angeles']);
+    expect(timezonesForPhone('+19155550100')).toEqual(['America/Denver']);
+    expect(timezonesForPhone('+18505550100')).toEqual(['America/New_York', 'America/Chicago']);
+    expect(timezonesForPhone('+14165550100')).toEqual(['America/Toronto']);
+  });
+
+  it('should assume any continental zone for unplaceable numbers and skip other countries', () => {
+    expect(timezonesForPhone('+18005550100')).toHaveLength(4);
+    expect(timezonesForPhone('+442071234567')).toBeNull();
+    expect(timezonesForPhone('+4420712345')).toBeNull();
+  });
+
+  it('should only read North American states', () => {
+    expect(timezonesForRegion('tx')).toEqual(['America/Chicago', 'America/Denver']);
+    expect(timezonesForRegion('ON', 'Canada')).toEqual(['America/Toronto', 'America/Winnipeg']);
+    expect(timezonesForRegion('CA', 'Mexico')).toBeNull();
+    expect(timezonesForRegion('Narnia')).toBeNull();
+  });
+
+  it('should combine the number and the state, or fall back', () => {
+    expect(recipientTimezones({ phone: '+12125550100', state: 'CA' }, 'UTC')).toEqual([
+      'America/New_York',
+      'America/Los_Angeles',
+    ]);
+    expect(recipientTimezones({ phone: '+442071234567' }, 'Europe/London')).toEqual(['Europe/London']);
+  });
+
+  it('should only use valid IANA zones', () => {
+    const zones = new Set();
+    for (let code = 200; code < 1000; code++) {
+      (timezonesForPhone(`+1${code}5550100`) || []).forEach(zone => zones.add(zone));
+    }
+    [...zones].forEach(zone => expect(isValidTimezone(zone)).toBe(true));
+  });
+});
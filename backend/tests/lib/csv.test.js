@@ -0,0 +1,29 @@
+// ============================================================================
+// HEKAX Phone - CSV Parsing Tests
+// ============================================================================
+
+const { parseCSV, detectDelimiter } = require('../../lib/csv');
+
+describe('CSV Parsing', () => {
+  it('should parse quoted fields with commas, quotes and newlines', () => {
+    const rows = parseCSV('name,notes\r\n"Doe, Jane","Said ""call me""\nafter 5"\n');
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'Said "call me"\nafter 5'],
+    ]);
+  });
+
+  it('should strip a BOM and skip blank lines', () => {
+    expect(parseCSV('\uFEFFa,b\n\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should keep empty trailing cells', () => {
+    expect(parseCSV('a,b,c\n1,,')).toEqual([['a', 'b', 'c'], ['1', '', '']]);
+  });
+
+  it('should detect semicolon and tab delimiters', () => {
+    expect(detectDelimiter('name;phone;email')).toBe(';');
+    expect(detectDelimiter('name\tphone')).toBe('\t');
+    expect(parseCSV('name;phone\nJane;555')).toEqual([['name', 'phone'], ['Jane', '555']]);
+  });
+});
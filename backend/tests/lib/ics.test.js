@@ -0,0 +1,125 @@
+// ============================================================================
+// HEKAX Phone - iCalendar Builder and Parser Tests
+// ============================================================================
+
+const { escapeText, formatDateTime, foldLine, buildCalendar, unescapeText, parseDuration, parseCalendar } = require('../../lib/ics');
+
+describe('ICS', () => {
+  it('should escape text and format UTC times', () => {
+    expect(escapeText('Cut, color; style\nthen \\ done')).toBe('Cut\\, color\\; style\\nthen \\\\ done');
+    expect(formatDateTime(new Date('2026-10-20T14:05:09.123Z'))).toBe('20261020T140509Z');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'é'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach((part, i) => {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      if (i > 0) expect(part.startsWith(' ')).toBe(true);
+    });
+    expect(folded.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(line);
+  });
+
+  it('should build a calendar with events', () => {
+    const ics = buildCalendar([
+      {
+        uid: 'abc@hekaxphone.com',
+        start: new Date('2026-10-20T14:00:00Z'),
+        end: new Date('2026-10-20T14:30:00Z'),
+        summary: 'Consultation - Jane',
+        location: 'Phone Call',
+        status: 'TENTATIVE',
+        attendees: [{ name: 'Jane "JD" Doe', email: 'jane@example.com' }, { name: 'No email' }],
+        updatedAt: new Date('2026-10-19T12:00:00Z'),
+      },
+    ], { name: 'Acme Dental' });
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    const lines = ics.trim().split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('METHOD:PUBLISH');
+    expect(lines).toContain('X-WR-CALNAME:Acme Dental');
+    expect(lines).toContain('UID:abc@hekaxphone.com');
+    expect(lines).toContain('DTSTAMP:20261019T120000Z');
+    expect(lines).toContain('DTSTART:20261020T140000Z');
+    expect(lines).toContain('DTEND:20261020T143000Z');
+    expect(lines).toContain('STATUS:TENTATIVE');
+    expect(lines).toContain('ATTENDEE;CN="Jane JD Doe";ROLE=REQ-PARTICIPANT:mailto:jane@example.com');
+    expect(lines.filter(l => l.startsWith('ATTENDEE'))).toHaveLength(1);
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+  });
+
+  it('should leave METHOD out when asked (CalDAV objects)', () => {
+    const ics = buildCalendar([], { method: null });
+    expect(ics).not.toMatch(/METHOD:/);
+  });
+
+  it('should unescape text and parse durations', () => {
+    expect(unescapeText('Cut\\, color\\; style\\nthen \\\\ done')).toBe('Cut, color; style\nthen \\ done');
+    expect(parseDuration('PT1H30M')).toBe(90 * 60000);
+    expect(parseDuration('P1W')).toBe(7 * 24 * 3600000);
+    expect(parseDuration('-PT15M')).toBe(-15 * 60000);
+    expect(parseDuration('soon')).toBeNull();
+  });
+
+  it('should parse events and free/busy periods', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:a1',
+      'SUMMARY:Cut\\, color',
+      'DTSTART;TZID=America/Chicago:20261020T090000',
+      'DURATION:PT1H',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:b2',
+      'DTSTART;VALUE=DATE:20261021',
+      'TRANSP:TRANSPARENT',
+      'DESCRIPTION:Long line',
+      ' continued',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:c3',
+      'DTSTART;TZID="Eastern Standard Time":20261022T090000',
+      'DTEND:20261022T150000Z',
+      'END:VEVENT',
+      'BEGIN:VFREEBUSY',
+      'FREEBUSY;FBTYPE=BUSY:20261020T140000Z/PT30M,20261020T160000Z/20261020T170000Z',
+      'FREEBUSY;FBTYPE=FREE:20261020T180000Z/PT30M',
+      'END:VFREEBUSY',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const { events, busy } = parseCalendar(ics, { timezone: 'America/Chicago' });
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        uid: 'a1',
+        summary: 'Cut, color',
+        start: new Date('2026-10-20T14:00:00Z'),
+        end: new Date('2026-10-20T15:00:00Z'),
+        allDay: false,
+      }),
+      expect.objectContaining({
+        uid: 'b2',
+        description: 'Long linecontinued',
+        transparent: true,
+        allDay: true,
+        start: new Date('2026-10-21T05:00:00Z'),
+        end: new Date('2026-10-22T05:00:00Z'),
+      }),
+      // Windows zone names aren't IANA: read in the fallback timezone
+      expect.objectContaining({ uid: 'c3', start: new Date('2026-10-22T14:00:00Z') }),
+    ]);
+    expect(events[0].description).toBeUndefined();
+    expect(busy).toEqual([
+      { start: new Date('2026-10-20T14:00:00Z'), end: new Date('2026-10-20T14:30:00Z'), type: 'BUSY' },
+      { start: new Date('2026-10-20T16:00:00Z'), end: new Date('2026-10-20T17:00:00Z'), type: 'BUSY' },
+    ]);
+  });
+});
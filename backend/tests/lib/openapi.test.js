@@ -0,0 +1,81 @@
+// ============================================================================
+// HEKAX Phone - OpenAPI Generator Tests
+// ============================================================================
+
+const { toOpenApiPath, pathParams, buildOpenApiDocument } = require('../../lib/openapi');
+
+const ROUTES = [
+  {
+    method: 'get',
+    path: '/calls',
+    operationId: 'listCalls',
+    tag: 'Calls',
+    summary: 'List calls',
+    permission: 'calls:read',
+    paginated: true,
+    schema: 'Call',
+    query: [{ name: 'q' }],
+  },
+  {
+    method: 'get',
+    path: '/calls/:id/transcript',
+    operationId: 'getCallTranscript',
+    tag: 'Transcripts',
+    summary: 'Get transcript',
+    permission: 'transcripts:read',
+  },
+  {
+    method: 'post',
+    path: '/calls',
+    operationId: 'queueCall',
+    tag: 'Calls',
+    summary: 'Queue call',
+    permission: 'calls:write',
+    status: 202,
+    errors: [409],
+    body: { type: 'object', required: ['leadId'], properties: { leadId: { type: 'string' } } },
+  },
+];
+
+describe('OpenAPI Generator', () => {
+  it('should convert Express params to OpenAPI path templates', () => {
+    expect(toOpenApiPath('/calls/:id/transcript')).toBe('/calls/{id}/transcript');
+    expect(pathParams('/a/:first/b/:second')).toEqual(['first', 'second']);
+    expect(pathParams('/calls')).toEqual([]);
+  });
+
+  it('should group methods under one path and collect tags', () => {
+    const doc = buildOpenApiDocument(ROUTES, { title: 'API', version: '1.0.0', serverUrl: 'https://x/v1' });
+
+    expect(Object.keys(doc.paths)).toEqual(['/calls', '/calls/{id}/transcript']);
+    expect(Object.keys(doc.paths['/calls'])).toEqual(['get', 'post']);
+    expect(doc.tags).toEqual([{ name: 'Calls' }, { name: 'Transcripts' }]);
+    expect(doc.servers).toEqual([{ url: 'https://x/v1' }]);
+  });
+
+  it('should add pagination params and the page envelope to list routes', () => {
+    const op = buildOpenApiDocument(ROUTES, {}).paths['/calls'].get;
+
+    expect(op.parameters.map((p) => p.name)).toEqual(['q', 'limit', 'cursor']);
+    expect(op.responses[200].content['application/json'].schema.properties).toEqual({
+      data: { type: 'array', items: { $ref: '#/components/schemas/Call' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+    });
+    expect(op['x-permission']).toBe('calls:read');
+  });
+
+  it('should document path params, request bodies and error responses', () => {
+    const doc = buildOpenApiDocument(ROUTES, {});
+    const transcript = doc.paths['/calls/{id}/transcript'].get;
+    const queue = doc.paths['/calls'].post;
+
+    expect(transcript.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+    expect(Object.keys(transcript.responses)).toEqual(['200', '401', '403', '404', '429']);
+
+    expect(queue.requestBody.content['application/json'].schema.required).toEqual(['leadId']);
+    expect(Object.keys(queue.responses)).toEqual(['202', '400', '401', '403', '409', '429']);
+    expect(doc.components.responses[409].content['application/json'].schema).toEqual({
+      $ref: '#/components/schemas/Error',
+    });
+  });
+});
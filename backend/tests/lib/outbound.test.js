@@ -0,0 +1,83 @@
+// ============================================================================
+// HEKAX Phone - Outbound URL Guard Tests
+// ============================================================================
+
+jest.mock('undici', () => {
+  const actual = jest.requireActual('undici');
+  return { ...actual, Agent: jest.fn(options => new actual.Agent(options)) };
+});
+
+const dns = require('dns').promises;
+const { Agent } = require('undici');
+const { isPrivateAddress, assertPublicUrl, publicFetch } = require('../../lib/outbound');
+
+describe('Outbound URL Guard', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('should flag loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0'].forEach(ip =>
+      expect(isPrivateAddress(ip)).toBe(true)
+    );
+    ['::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'].forEach(ip =>
+      expect(isPrivateAddress(ip)).toBe(true)
+    );
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'].forEach(ip => expect(isPrivateAddress(ip)).toBe(false));
+    expect(isPrivateAddress('not-an-ip')).toBe(true);
+  });
+
+  it('should reject private hosts after resolving them', async () => {
+    await expect(assertPublicUrl('http://169.254.169.254/latest')).rejects.toThrow(/not a public address/);
+    await expect(assertPublicUrl('http://[::1]:8080/')).rejects.toThrow(/not a public address/);
+    await expect(assertPublicUrl('http://localhost:3000/')).rejects.toThrow(/not a public address/);
+    await expect(assertPublicUrl('ftp://8.8.8.8/')).rejects.toThrow(/https/);
+    await expect(assertPublicUrl('https://8.8.8.8/dns')).resolves.toBeInstanceOf(URL);
+  });
+
+  it('should require https in production', async () => {
+    process.env.NODE_ENV = 'production';
+    await expect(assertPublicUrl('http://8.8.8.8/')).rejects.toThrow(/https/);
+  });
+
+  it('should allow private hosts when configured', async () => {
+    process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+    await expect(assertPublicUrl('http://127.0.0.1:5232/')).resolves.toBeInstanceOf(URL);
+  });
+
+  it('should check every redirect hop', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(null, { status: 302, headers: { Location: 'http://127.0.0.1/admin' } })
+    );
+
+    await expect(publicFetch('https://8.8.8.8/', {}, { maxRedirects: 2 })).rejects.toThrow(/not a public address/);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].redirect).toBe('manual');
+
+    // Not followed: the redirect itself comes back
+    const response = await publicFetch('https://8.8.8.8/');
+    expect(response.status).toBe(302);
+  });
+
+  it('should connect to the address it checked when DNS changes its answer', async () => {
+    // Public for the check, then rebinds to loopback for anyone resolving again
+    jest
+      .spyOn(dns, 'lookup')
+      .mockResolvedValueOnce([{ address: '93.184.215.14', family: 4 }])
+      .mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('ok'));
+
+    await publicFetch('https://rebind.example/hook');
+
+    expect(fetch.mock.calls[0][1].dispatcher).toBeInstanceOf(jest.requireActual('undici').Agent);
+    const { lookup } = Agent.mock.calls[Agent.mock.calls.length - 1][0].connect;
+    const resolved = await new Promise(resolve => lookup('rebind.example', { all: true }, (err, entries) => resolve(entries)));
+    expect(resolved).toEqual([{ address: '93.184.215.14', family: 4 }]);
+    const single = await new Promise(resolve => lookup('rebind.example', {}, (err, address) => resolve(address)));
+    expect(single).toBe('93.184.215.14');
+    expect(dns.lookup).toHaveBeenCalledTimes(1);
+  });
+});
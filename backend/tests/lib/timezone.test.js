@@ -0,0 +1,42 @@
+// ============================================================================
+// HEKAX Phone - Timezone Utility Tests
+// ============================================================================
+
+const {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toLocalDate,
+  toLocalDateTime,
+  addDays,
+  weekdayOf,
+} = require('../../lib/timezone');
+
+describe('Timezone', () => {
+  it('should validate IANA timezones', () => {
+    expect(isValidTimezone('America/Chicago')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+
+  it('should convert wall-clock time to UTC across offsets and DST', () => {
+    expect(zonedTimeToUtc('2026-07-01', 9 * 60, 'America/New_York').toISOString()).toBe('2026-07-01T13:00:00.000Z');
+    expect(zonedTimeToUtc('2026-01-15', 9 * 60, 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-01', 9 * 60, 'Asia/Kolkata').toISOString()).toBe('2026-07-01T03:30:00.000Z');
+    // Day after spring-forward (2026-03-08) is already on EDT
+    expect(zonedTimeToUtc('2026-03-09', 9 * 60, 'America/New_York').toISOString()).toBe('2026-03-09T13:00:00.000Z');
+  });
+
+  it('should read local dates and times of an instant', () => {
+    const instant = new Date('2026-07-01T02:30:00Z');
+    expect(toLocalDate(instant, 'America/Los_Angeles')).toBe('2026-06-30');
+    expect(toLocalDate(instant, 'Asia/Tokyo')).toBe('2026-07-01');
+    expect(toLocalDateTime(instant, 'America/Los_Angeles')).toBe('2026-06-30T19:30:00');
+    expect(getZonedParts(instant, 'America/Los_Angeles')).toMatchObject({ hour: 19, minute: 30, weekday: 2 });
+  });
+
+  it('should do calendar arithmetic on local dates', () => {
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(weekdayOf('2026-10-19')).toBe(1);
+  });
+});
@@ -0,0 +1,53 @@
+// ============================================================================
+// HEKAX Phone - TOTP Utility Tests
+// ============================================================================
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  timeStep,
+  buildOtpauthUri,
+} = require('../../lib/totp');
+
+// RFC 6238 appendix B SHA-1 seed ("12345678901234567890"), last 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('should accept codes one step either side and return the step', () => {
+    const time = 1234567890 * 1000;
+    const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, '005924', { time })).toBe(timeStep(time));
+    expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(timeStep(time) - 1);
+    expect(verifyTotp(RFC_SECRET, previous, { time, window: 0 })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'jo@example.com', issuer: 'HEKAX Phone' });
+
+    expect(uri.startsWith('otpauth://totp/HEKAX%20Phone%3Ajo%40example.com?')).toBe(true);
+    expect(new URL(uri).searchParams.get('secret')).toBe('ABC');
+    expect(new URL(uri).searchParams.get('issuer')).toBe('HEKAX Phone');
+  });
+});
@@ -0,0 +1,87 @@
+// ============================================================================
+// HEKAX Phone - AI Receptionist Settings Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const { AIReceptionist, resolveAISettings, AI_SETTINGS_DEFAULTS } = require('../../services/ai-receptionist');
+
+describe('AI Receptionist', () => {
+  describe('resolveAISettings', () => {
+    it('should fall back to the defaults', () => {
+      expect(resolveAISettings(null)).toEqual({ ...AI_SETTINGS_DEFAULTS, systemPrompt: null });
+      expect(resolveAISettings({ aiModel: '', aiTemperature: null, maxTurns: undefined })).toMatchObject({
+        model: AI_SETTINGS_DEFAULTS.model,
+        temperature: AI_SETTINGS_DEFAULTS.temperature,
+        maxTurns: AI_SETTINGS_DEFAULTS.maxTurns,
+      });
+    });
+
+    it('should use the organization settings', () => {
+      const settings = resolveAISettings({
+        aiModel: 'gpt-4o',
+        aiTemperature: 0.2,
+        maxTurns: 40,
+        maxCallDuration: 900,
+        personality: 'friendly',
+        systemPrompt: 'Never quote prices.',
+      });
+      expect(settings).toEqual({
+        model: 'gpt-4o',
+        temperature: 0.2,
+        maxTurns: 40,
+        maxCallDuration: 900,
+        personality: 'friendly',
+        systemPrompt: 'Never quote prices.',
+      });
+    });
+
+    it('should clamp limits to safe ranges', () => {
+      const settings = resolveAISettings({ aiTemperature: 5, maxTurns: 0, maxCallDuration: 10 });
+      expect(settings.temperature).toBe(2);
+      expect(settings.maxTurns).toBe(1);
+      expect(settings.maxCallDuration).toBe(60);
+      expect(resolveAISettings({ maxCallDuration: 99999 }).maxCallDuration).toBe(7200);
+    });
+
+    it('should let the route personality win over the organization', () => {
+      expect(resolveAISettings({ personality: 'formal' }, { aiPersonality: 'empathetic' }).personality).toBe('empathetic');
+      expect(resolveAISettings({ personality: 'formal' }, {}).personality).toBe('formal');
+    });
+
+    it('should use the route instructions over the organization prompt', () => {
+      const organization = { personality: 'formal', systemPrompt: 'Never quote prices.' };
+      const callRoute = { aiPersonality: 'friendly', aiSystemPrompt: 'Only book consultations.' };
+
+      expect(resolveAISettings(organization, {}, callRoute)).toMatchObject({
+        personality: 'friendly',
+        systemPrompt: 'Only book consultations.',
+      });
+      expect(resolveAISettings(organization, {}, { aiPersonality: null, aiSystemPrompt: null })).toMatchObject({
+        personality: 'formal',
+        systemPrompt: 'Never quote prices.',
+      });
+    });
+  });
+
+  describe('getLimitContext', () => {
+    const context = (overrides) =>
+      AIReceptionist.prototype.getLimitContext.call({
+        maxTurns: 20,
+        maxCallDuration: 600,
+        turnCount: 5,
+        callStartTime: Date.now(),
+        ...overrides,
+      });
+
+    it('should stay quiet away from the limits', () => {
+      expect(context()).toBe('');
+    });
+
+    it('should name the limit that is close', () => {
+      expect(context({ turnCount: 19 })).toMatch(/limit of 20 exchanges/);
+      expect(context({ callStartTime: Date.now() - 570 * 1000 })).toMatch(/its time limit/);
+      expect(context({ turnCount: 19, callStartTime: Date.now() - 570 * 1000 })).toMatch(/time and turn limits/);
+    });
+  });
+});
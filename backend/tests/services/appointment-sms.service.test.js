@@ -0,0 +1,186 @@
+// ============================================================================
+// HEKAX Phone - Appointment SMS Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  appointmentSmsSession: { findUnique: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+  calendarBooking: { findFirst: jest.fn() },
+}));
+
+jest.mock('../../services/calendar', () => {
+  const calendar = {
+    findUpcomingBookings: jest.fn(),
+    findRescheduleOptions: jest.fn(),
+    rescheduleBooking: jest.fn(),
+    cancelBooking: jest.fn(),
+  };
+  return { CalendarService: jest.fn(() => calendar), calendar };
+});
+
+const prisma = require('../../lib/prisma');
+const { calendar } = require('../../services/calendar');
+const {
+  parseStart,
+  parseChoice,
+  isDate,
+  handleAppointmentSms,
+  optOutNote,
+} = require('../../services/appointment-sms.service');
+
+const org = { id: 'org-1', twilioNumber: '+15550000000' };
+const PHONE = '+15551234567';
+
+const booking = (overrides = {}) => ({
+  id: 'bk-1',
+  scheduledAt: new Date('2026-10-20T15:00:00Z'),
+  timezone: 'America/Chicago',
+  duration: 30,
+  status: 'CONFIRMED',
+  ...overrides,
+});
+
+const session = (overrides = {}) => ({
+  organizationId: 'org-1',
+  phone: PHONE,
+  expiresAt: new Date(Date.now() + 60000),
+  ...overrides,
+});
+
+const slot = iso => ({ start: new Date(iso), end: new Date(new Date(iso).getTime() + 30 * 60000) });
+
+describe('Appointment SMS Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(null);
+  });
+
+  it('should parse keywords, choices and days', () => {
+    expect(parseStart(' Reschedule ')).toBe('RESCHEDULE');
+    expect(parseStart('cancel appt.')).toBe('CANCEL');
+    // Bare CANCEL is a carrier opt-out, not an appointment cancellation
+    expect(parseStart('CANCEL')).toBeNull();
+
+    expect(parseChoice('2', 3)).toBe(2);
+    expect(parseChoice('#1', 3)).toBe(1);
+    expect(parseChoice('4', 3)).toBeNull();
+    expect(parseChoice('two', 3)).toBeNull();
+
+    expect(isDate('next friday')).toBe(true);
+    expect(isDate('2026-10-23')).toBe(true);
+    expect(isDate('friday afternoon')).toBe(false);
+  });
+
+  it('should ignore texts outside an exchange', async () => {
+    expect(await handleAppointmentSms(org, PHONE, 'Hello there')).toBeNull();
+    expect(calendar.findUpcomingBookings).not.toHaveBeenCalled();
+  });
+
+  it('should offer times and reschedule to the chosen one', async () => {
+    calendar.findUpcomingBookings.mockResolvedValue([booking()]);
+    calendar.findRescheduleOptions.mockResolvedValue([slot('2026-10-21T14:00:00Z'), slot('2026-10-21T15:00:00Z')]);
+
+    const offer = await handleAppointmentSms(org, PHONE, 'RESCHEDULE');
+    expect(offer).toMatch(/1\) Wednesday, October 21 at 9:00 AM 2\) Wednesday, October 21 at 10:00 AM/);
+
+    const saved = prisma.appointmentSmsSession.upsert.mock.calls[0][0].create;
+    expect(saved).toMatchObject({
+      step: 'SELECT_TIME',
+      bookingId: 'bk-1',
+      options: ['2026-10-21T14:00:00.000Z', '2026-10-21T15:00:00.000Z'],
+    });
+
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(session(saved));
+    prisma.calendarBooking.findFirst.mockResolvedValue(booking());
+    calendar.rescheduleBooking.mockResolvedValue({
+      success: true,
+      booking: booking({ scheduledAt: new Date('2026-10-21T15:00:00Z') }),
+    });
+
+    const reply = await handleAppointmentSms(org, PHONE, '2');
+
+    expect(calendar.rescheduleBooking).toHaveBeenCalledWith('org-1', 'bk-1', new Date('2026-10-21T15:00:00Z'), {
+      source: 'sms',
+    });
+    expect(reply).toBe('Done! Your appointment is now Wednesday, October 21 at 10:00 AM.');
+    expect(prisma.appointmentSmsSession.deleteMany).toHaveBeenCalledWith({ where: { organizationId: 'org-1', phone: PHONE } });
+  });
+
+  it('should ask which booking when there are several', async () => {
+    calendar.findUpcomingBookings.mockResolvedValue([
+      booking(),
+      booking({ id: 'bk-2', scheduledAt: new Date('2026-10-22T15:00:00Z'), appointmentType: { name: 'Color' } }),
+    ]);
+
+    const reply = await handleAppointmentSms(org, PHONE, 'CANCEL APPT');
+
+    expect(reply).toMatch(/Which appointment would you like to cancel\?/);
+    expect(reply).toMatch(/2\) Thursday, October 22 at 10:00 AM \(Color\)/);
+    expect(prisma.appointmentSmsSession.upsert.mock.calls[0][0].create).toMatchObject({
+      action: 'CANCEL',
+      step: 'SELECT_BOOKING',
+      options: ['bk-1', 'bk-2'],
+    });
+
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(
+      session({ action: 'CANCEL', step: 'SELECT_BOOKING', options: ['bk-1', 'bk-2'] })
+    );
+    expect(await handleAppointmentSms(org, PHONE, '5')).toMatch(/number of the appointment \(1-2\)/);
+  });
+
+  it('should cancel only after YES', async () => {
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(
+      session({ action: 'CANCEL', step: 'CONFIRM_CANCEL', bookingId: 'bk-1' })
+    );
+    prisma.calendarBooking.findFirst.mockResolvedValue(booking());
+
+    expect(await handleAppointmentSms(org, PHONE, 'maybe')).toMatch(/Reply YES/);
+    expect(calendar.cancelBooking).not.toHaveBeenCalled();
+
+    calendar.cancelBooking.mockResolvedValue({ success: true });
+    const reply = await handleAppointmentSms(org, PHONE, 'yes');
+
+    expect(calendar.cancelBooking).toHaveBeenCalledWith('org-1', 'bk-1', 'Cancelled by text message', { source: 'sms' });
+    expect(reply).toMatch(/has been cancelled/);
+  });
+
+  it('should end expired exchanges and EXIT', async () => {
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(
+      session({ step: 'CONFIRM_CANCEL', bookingId: 'bk-1', expiresAt: new Date(Date.now() - 1000) })
+    );
+    expect(await handleAppointmentSms(org, PHONE, 'YES')).toBeNull();
+    expect(prisma.appointmentSmsSession.deleteMany).toHaveBeenCalled();
+
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(session({ step: 'SELECT_TIME', bookingId: 'bk-1' }));
+    expect(await handleAppointmentSms(org, PHONE, 'exit')).toBe('OK, your appointment is unchanged.');
+    expect(calendar.rescheduleBooking).not.toHaveBeenCalled();
+  });
+
+  it('should re-offer times when the chosen one was taken', async () => {
+    prisma.appointmentSmsSession.findUnique.mockResolvedValue(
+      session({ step: 'SELECT_TIME', bookingId: 'bk-1', options: ['2026-10-21T14:00:00.000Z'] })
+    );
+    prisma.calendarBooking.findFirst.mockResolvedValue(booking());
+    calendar.rescheduleBooking.mockResolvedValue({ success: false, unavailable: true, error: 'Taken' });
+    calendar.findRescheduleOptions.mockResolvedValue([slot('2026-10-21T16:00:00Z')]);
+
+    const reply = await handleAppointmentSms(org, PHONE, '1');
+
+    expect(reply).toMatch(/^Sorry, that time was just taken\. .*1\) Wednesday, October 21 at 11:00 AM/);
+  });
+
+  it('should remind opted-out callers of upcoming appointments', async () => {
+    calendar.findUpcomingBookings.mockResolvedValue([booking()]);
+    expect(await optOutNote(org, PHONE)).toBe(
+      'Your appointment on Tuesday, October 20 at 10:00 AM is still booked; call +15550000000 to change it.'
+    );
+
+    calendar.findUpcomingBookings.mockResolvedValue([]);
+    expect(await optOutNote(org, PHONE)).toBeNull();
+  });
+
+  it('should format times in the organization language', async () => {
+    calendar.findUpcomingBookings.mockResolvedValue([booking()]);
+    const reply = await optOutNote({ ...org, language: 'es-MX' }, PHONE);
+    expect(reply).toMatch(/^Your appointment on martes, 20 de octubre/);
+  });
+});
@@ -0,0 +1,149 @@
+// ============================================================================
+// HEKAX Phone - Appointment Type Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  appointmentType: { findMany: jest.fn(), findFirst: jest.fn() },
+  appointmentTypeStaff: { deleteMany: jest.fn(), upsert: jest.fn() },
+  userOrganization: { findMany: jest.fn() },
+  $transaction: jest.fn(),
+}));
+
+const prisma = require('../../lib/prisma');
+const { buildBookingRules } = require('../../services/booking.service');
+const {
+  validateAppointmentType,
+  missingIntakeAnswers,
+  findAppointmentType,
+  setAppointmentTypeStaff,
+  mergeStaffSlots,
+  rankStaff,
+  pickStaff,
+  formatPrice,
+} = require('../../services/appointment-type.service');
+
+// Monday 2026-10-19 08:00 in Chicago
+const NOW = new Date('2026-10-19T13:00:00Z');
+
+const rules = buildBookingRules({
+  timezone: 'America/Chicago',
+  businessHours: { tue: { enabled: true, start: '10:00', end: '12:00' } },
+});
+
+const type = (overrides = {}) => ({
+  id: 'type-1',
+  name: 'Consultation',
+  duration: 60,
+  bufferMinutes: null,
+  priceCents: null,
+  currency: 'usd',
+  intakeQuestions: [],
+  assignmentMode: 'ROUND_ROBIN',
+  staff: [],
+  ...overrides,
+});
+
+describe('Appointment Type Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should validate appointment types', () => {
+    expect(validateAppointmentType({ name: '  Haircut ', duration: 45, intakeQuestions: ['Length? ', ''] })).toEqual({
+      data: { name: 'Haircut', duration: 45, intakeQuestions: ['Length?'] },
+    });
+    expect(validateAppointmentType({ duration: 30 }).error).toMatch(/name is required/);
+    expect(validateAppointmentType({ name: 'X', duration: 2 }).error).toMatch(/duration/);
+    expect(validateAppointmentType({ name: 'X', priceCents: 12.5 }).error).toMatch(/priceCents/);
+    expect(validateAppointmentType({ name: 'X', assignmentMode: 'RANDOM' }).error).toMatch(/assignmentMode/);
+
+    // Partial updates only touch the fields given; null clears the buffer override
+    expect(validateAppointmentType({ bufferMinutes: null }, { partial: true })).toEqual({
+      data: { bufferMinutes: null },
+    });
+  });
+
+  it('should list unanswered intake questions', () => {
+    const consult = type({ intakeQuestions: ['What is your date of birth?', 'Is this your first visit?'] });
+
+    expect(missingIntakeAnswers(consult, { 'what is your date of birth?': '1990-04-01' })).toEqual([
+      'Is this your first visit?',
+    ]);
+    expect(missingIntakeAnswers(consult, { 'Is this your first visit?': ' ' })).toHaveLength(2);
+  });
+
+  it('should combine staff slots and record who is free', () => {
+    const busy = [{ start: new Date('2026-10-20T15:00:00Z'), end: new Date('2026-10-20T16:00:00Z') }];
+    const slots = mergeStaffSlots(
+      '2026-10-20',
+      type(),
+      [
+        { userId: 'ana', busy },
+        { userId: 'ben', busy: [] },
+      ],
+      rules,
+      NOW
+    );
+
+    expect(slots.map(s => [s.start.toISOString(), s.staffIds])).toEqual([
+      ['2026-10-20T15:00:00.000Z', ['ben']],
+      ['2026-10-20T15:30:00.000Z', ['ben']],
+      ['2026-10-20T16:00:00.000Z', ['ana', 'ben']],
+    ]);
+  });
+
+  it("should apply the type's own buffer", () => {
+    const busy = [{ start: new Date('2026-10-20T15:00:00Z'), end: new Date('2026-10-20T15:30:00Z') }];
+    const slots = mergeStaffSlots('2026-10-20', type({ duration: 30, bufferMinutes: 30 }), [{ userId: 'ana', busy }], rules, NOW);
+
+    expect(slots.map(s => s.start.toISOString())).toEqual(['2026-10-20T16:00:00.000Z', '2026-10-20T16:30:00.000Z']);
+  });
+
+  it('should pick staff round-robin or by priority', () => {
+    const staff = [
+      { userId: 'ana', priority: 0, lastAssignedAt: new Date('2026-10-19T10:00:00Z') },
+      { userId: 'ben', priority: 1, lastAssignedAt: new Date('2026-10-18T10:00:00Z') },
+      { userId: 'cy', priority: 2, lastAssignedAt: null },
+    ];
+
+    expect(pickStaff(type({ staff }), ['ana', 'ben', 'cy'])).toBe('cy');
+    expect(pickStaff(type({ staff }), ['ana', 'ben'])).toBe('ben');
+    expect(pickStaff(type({ staff, assignmentMode: 'PRIORITY' }), ['ana', 'ben', 'cy'])).toBe('ana');
+    expect(pickStaff(type({ staff }), [])).toBeNull();
+    expect(rankStaff(type({ staff }), ['ana', 'ben', 'cy'])).toEqual(['cy', 'ben', 'ana']);
+  });
+
+  it('should match the type a caller names', async () => {
+    prisma.appointmentType.findMany.mockResolvedValue([
+      type({ id: 't1', name: 'Haircut & Style' }),
+      type({ id: 't2', name: 'Color' }),
+    ]);
+
+    expect((await findAppointmentType('org-1', 'color')).id).toBe('t2');
+    expect((await findAppointmentType('org-1', 'haircut')).id).toBe('t1');
+    expect(await findAppointmentType('org-1', 'massage')).toBeNull();
+    expect(prisma.appointmentType.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { organizationId: 'org-1', enabled: true } })
+    );
+  });
+
+  it('should only assign active members as staff', async () => {
+    prisma.appointmentType.findFirst.mockResolvedValue(type({ staff: [] }));
+    prisma.userOrganization.findMany.mockResolvedValue([{ userId: 'ana' }]);
+
+    await setAppointmentTypeStaff('org-1', 'type-1', [{ userId: 'ana', priority: 2 }, { userId: 'gone' }]);
+
+    expect(prisma.appointmentTypeStaff.deleteMany).toHaveBeenCalledWith({
+      where: { appointmentTypeId: 'type-1', userId: { notIn: ['ana'] } },
+    });
+    expect(prisma.appointmentTypeStaff.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.appointmentTypeStaff.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ create: { appointmentTypeId: 'type-1', userId: 'ana', priority: 2 } })
+    );
+  });
+
+  it('should format prices', () => {
+    expect(formatPrice(type({ priceCents: 4500 }))).toBe('$45.00');
+    expect(formatPrice(type())).toBeNull();
+  });
+});
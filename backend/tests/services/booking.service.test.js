@@ -0,0 +1,87 @@
+// ============================================================================
+// HEKAX Phone - Booking Rules Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const {
+  buildBookingRules,
+  generateSlots,
+  checkSlot,
+  parseDateTime,
+  formatDateTime,
+  validateBookingSettings,
+  validateClosure,
+} = require('../../services/booking.service');
+
+// Monday 2026-10-19 08:00 in Chicago
+const NOW = new Date('2026-10-19T13:00:00Z');
+
+const rules = (overrides = {}, closures = []) =>
+  buildBookingRules({ timezone: 'America/Chicago', language: 'en-US', ...overrides }, closures);
+
+describe('Booking Service', () => {
+  it('should generate slots from business hours in the organization timezone', () => {
+    const slots = generateSlots('2026-10-20', 60, [], rules({
+      businessHours: { tue: { enabled: true, start: '10:00', end: '12:00' } },
+    }), NOW);
+
+    expect(slots.map(s => s.start.toISOString())).toEqual([
+      '2026-10-20T15:00:00.000Z',
+      '2026-10-20T15:30:00.000Z',
+      '2026-10-20T16:00:00.000Z',
+    ]);
+    expect(slots[0].formatted).toBe('10:00 AM - 11:00 AM');
+    expect(generateSlots('2026-10-24', 30, [], rules(), NOW)).toEqual([]); // Saturday
+  });
+
+  it('should skip closures, short notice and days past the horizon', () => {
+    const closed = rules({}, [{ name: 'Thanksgiving', startDate: '2026-11-26', endDate: '2026-11-27' }]);
+    expect(generateSlots('2026-11-26', 30, [], closed, NOW)).toEqual([]);
+    expect(checkSlot(new Date('2026-11-27T16:00:00Z'), 30, closed, [], NOW)).toMatch(/closed.*Thanksgiving/);
+
+    // 09:00 is an hour out: allowed with 60 min notice, not with 120
+    const nine = new Date('2026-10-19T14:00:00Z');
+    expect(checkSlot(nine, 30, rules(), [], NOW)).toBeNull();
+    expect(checkSlot(nine, 30, rules({ bookingMinNoticeMinutes: 120 }), [], NOW)).toMatch(/too soon/);
+
+    expect(checkSlot(new Date('2026-10-27T15:00:00Z'), 30, rules({ bookingMaxDaysAhead: 7 }), [], NOW)).toMatch(/7 days/);
+    expect(checkSlot(new Date('2026-10-20T23:00:00Z'), 30, rules(), [], NOW)).toMatch(/outside business hours/);
+  });
+
+  it('should keep the buffer around existing events', () => {
+    const busy = [{ start: '2026-10-20T15:00:00Z', end: '2026-10-20T16:00:00Z' }]; // 10-11 AM
+    const starts = (bufferMinutes) =>
+      generateSlots('2026-10-20', 30, busy, rules({ bookingBufferMinutes: bufferMinutes }), NOW)
+        .map(s => s.formatted.split(' - ')[0]);
+
+    expect(starts(0)).toEqual(expect.arrayContaining(['9:30 AM', '11:00 AM']));
+    expect(starts(15)).not.toContain('9:30 AM');
+    expect(starts(15)).not.toContain('11:00 AM');
+    expect(starts(15)).toContain('11:30 AM');
+  });
+
+  it('should parse spoken dates and times in the given timezone', () => {
+    expect(parseDateTime('tomorrow', '2pm', 'America/Chicago', NOW).toISOString()).toBe('2026-10-20T19:00:00.000Z');
+    expect(parseDateTime('next monday', '9:30 a.m.', 'America/New_York', NOW).toISOString()).toBe('2026-10-26T13:30:00.000Z');
+    expect(parseDateTime('friday', 'afternoon', 'Europe/London', NOW).toISOString()).toBe('2026-10-23T13:00:00.000Z');
+    expect(parseDateTime('2026-11-03', '14:15', 'America/Chicago', NOW).toISOString()).toBe('2026-11-03T20:15:00.000Z');
+    // Just after midnight UTC it's still the previous day in Los Angeles
+    expect(parseDateTime('today', 'noon', 'America/Los_Angeles', new Date('2026-10-20T03:00:00Z')).toISOString())
+      .toBe('2026-10-19T19:00:00.000Z');
+
+    expect(formatDateTime(new Date('2026-10-20T19:00:00Z'), rules())).toBe('Tuesday, October 20 at 2:00 PM');
+  });
+
+  it('should validate settings and closures', () => {
+    expect(validateBookingSettings({ bookingBufferMinutes: '15' })).toEqual({ data: { bookingBufferMinutes: 15 } });
+    expect(validateBookingSettings({ bookingMaxDaysAhead: 0 }).error).toMatch(/bookingMaxDaysAhead/);
+    expect(validateBookingSettings({ bookingSlotInterval: 7.5 }).error).toMatch(/whole number/);
+
+    expect(validateClosure({ name: ' Christmas ', startDate: '2026-12-25' })).toEqual({
+      data: { name: 'Christmas', startDate: '2026-12-25', endDate: '2026-12-25' },
+    });
+    expect(validateClosure({ name: 'Trip', startDate: '2026-12-25', endDate: '2026-12-20' }).error).toMatch(/on or after/);
+    expect(validateClosure({ name: 'Trip', startDate: '12/25/2026' }).error).toMatch(/YYYY-MM-DD/);
+  });
+});
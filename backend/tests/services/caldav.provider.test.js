@@ -0,0 +1,304 @@
+// ============================================================================
+// HEKAX Phone - CalDAV Provider Tests
+// Runs against a small in-process CalDAV server stand-in
+// ============================================================================
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-caldav';
+// The stand-in listens on loopback
+process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const http = require('http');
+const CalDavCalendarProvider = require('../../services/calendar/providers/caldav');
+const { encrypt } = require('../../lib/encryption');
+const { buildBookingRules } = require('../../services/booking.service');
+const { parseCalendar } = require('../../lib/ics');
+const { toLocalDate, addDays, zonedTimeToUtc } = require('../../lib/timezone');
+
+const USER = 'ana';
+const PASSWORD = 'app-pass-1234';
+const CALENDAR = '/dav/calendars/ana/work/';
+
+// ============================================================================
+// STAND-IN SERVER
+// Discovery, free-busy and calendar queries, and PUT/GET/DELETE of objects
+// with ETags (enough of RFC 4791 for the provider)
+// ============================================================================
+
+const escapeXml = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const multistatus = responses =>
+  '<?xml version="1.0" encoding="utf-8"?><D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+  responses
+    .map(
+      ({ href, props }) =>
+        `<D:response><D:href>${href}</D:href><D:propstat><D:prop>${props}</D:prop>` +
+        '<D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>'
+    )
+    .join('') +
+  '</D:multistatus>';
+
+function createServer() {
+  const objects = new Map(); // path → { body, etag }
+  const requests = [];
+  let version = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="dav"' });
+        return res.end();
+      }
+
+      const send = (status, payload, type = 'application/xml; charset=utf-8', headers = {}) => {
+        res.writeHead(status, { 'Content-Type': type, ...headers });
+        res.end(payload);
+      };
+
+      if (req.method === 'PROPFIND') {
+        if (req.url === '/.well-known/caldav') {
+          res.writeHead(301, { Location: '/dav/' });
+          return res.end();
+        }
+        if (req.url === '/dav/') {
+          return send(207, multistatus([
+            { href: '/dav/', props: '<D:current-user-principal><D:href>/dav/principals/ana/</D:href></D:current-user-principal>' },
+          ]));
+        }
+        if (req.url === '/elsewhere/') {
+          return send(207, multistatus([
+            { href: req.url, props: '<D:current-user-principal><D:href>http://169.254.169.254/latest/</D:href></D:current-user-principal>' },
+          ]));
+        }
+        if (req.url === '/dav/principals/ana/') {
+          return send(207, multistatus([
+            { href: req.url, props: '<C:calendar-home-set><D:href>/dav/calendars/ana/</D:href></C:calendar-home-set>' },
+          ]));
+        }
+        if (req.url === '/dav/calendars/ana/') {
+          return send(207, multistatus([
+            { href: '/dav/calendars/ana/', props: '<D:resourcetype><D:collection/></D:resourcetype>' },
+            {
+              href: CALENDAR,
+              props:
+                '<D:resourcetype><D:collection/><C:calendar/></D:resourcetype><D:displayname>Work &amp; Clinic</D:displayname>' +
+                '<C:supported-calendar-component-set><C:comp name="VEVENT"/></C:supported-calendar-component-set>',
+            },
+            {
+              href: '/dav/calendars/ana/tasks/',
+              props:
+                '<D:resourcetype><D:collection/><C:calendar/></D:resourcetype><D:displayname>Tasks</D:displayname>' +
+                '<C:supported-calendar-component-set><C:comp name="VTODO"/></C:supported-calendar-component-set>',
+            },
+          ]));
+        }
+        return send(404, '<error>internal server detail</error>');
+      }
+
+      if (req.method === 'REPORT' && req.url === CALENDAR) {
+        const events = [...objects.values()].flatMap(o => parseCalendar(o.body).events);
+
+        if (body.includes('free-busy-query')) {
+          const periods = events.map(e => `${fmt(e.start)}/${fmt(e.end)}`).join(',');
+          return send(
+            200,
+            `BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VFREEBUSY\r\n${periods ? `FREEBUSY;FBTYPE=BUSY:${periods}\r\n` : ''}END:VFREEBUSY\r\nEND:VCALENDAR\r\n`,
+            'text/calendar'
+          );
+        }
+        return send(207, multistatus([...objects.entries()].map(([path, o]) => ({
+          href: path,
+          props: `<D:getetag>${o.etag}</D:getetag><C:calendar-data>${escapeXml(o.body)}</C:calendar-data>`,
+        }))));
+      }
+
+      if (req.url.startsWith(CALENDAR) && req.url.endsWith('.ics')) {
+        const existing = objects.get(req.url);
+
+        if (req.method === 'GET') {
+          return existing ? send(200, existing.body, 'text/calendar', { ETag: existing.etag }) : send(404, '');
+        }
+        if (req.method === 'PUT') {
+          if (req.headers['if-none-match'] === '*' && existing) return send(412, '');
+          if (req.headers['if-match'] && req.headers['if-match'] !== existing?.etag) return send(412, '');
+          const etag = `"v${++version}"`;
+          objects.set(req.url, { body, etag });
+          return send(existing ? 204 : 201, '', 'text/plain', { ETag: etag });
+        }
+        if (req.method === 'DELETE') {
+          if (!existing) return send(404, '');
+          objects.delete(req.url);
+          return send(204, '');
+        }
+      }
+
+      send(405, '');
+    });
+  });
+
+  return { server, objects, requests };
+}
+
+const fmt = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('CalDAV Provider', () => {
+  let stand;
+  let baseUrl;
+
+  // Two days ahead, 09:00-12:00 every day in Chicago
+  const rules = buildBookingRules({
+    timezone: 'America/Chicago',
+    bookingMinNoticeMinutes: 0,
+    businessHours: Object.fromEntries(
+      ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, { enabled: true, start: '09:00', end: '12:00' }])
+    ),
+  });
+  const day = addDays(toLocalDate(new Date(), 'America/Chicago'), 2);
+  const at = hour => zonedTimeToUtc(day, hour * 60, 'America/Chicago');
+
+  const connect = async () => {
+    const provider = new CalDavCalendarProvider();
+    await provider.initialize({
+      accessToken: encrypt(PASSWORD),
+      serverUrl: baseUrl,
+      username: USER,
+      calendarId: `${baseUrl}${CALENDAR}`,
+      organizationId: 'org-1',
+      bookingRules: rules,
+    });
+    return provider;
+  };
+
+  beforeAll(done => {
+    stand = createServer();
+    stand.server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${stand.server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    stand.server.close(done);
+  });
+
+  beforeEach(() => {
+    stand.objects.clear();
+    stand.requests.length = 0;
+  });
+
+  it('should discover event calendars from the server URL', async () => {
+    const calendars = await CalDavCalendarProvider.discover({ serverUrl: `${baseUrl}/`, username: USER, password: PASSWORD });
+
+    expect(calendars).toEqual([{ url: `${baseUrl}${CALENDAR}`, name: 'Work & Clinic' }]);
+    expect(stand.requests.map(r => r.url)).toEqual(['/.well-known/caldav', '/dav/', '/dav/principals/ana/', '/dav/calendars/ana/']);
+    expect(stand.requests[3].headers.depth).toBe('1');
+  });
+
+  it('should report a wrong app password', async () => {
+    await expect(
+      CalDavCalendarProvider.discover({ serverUrl: `${baseUrl}/dav/`, username: USER, password: 'wrong' })
+    ).rejects.toThrow(/sign-in failed/);
+  });
+
+  it('should refuse private servers unless allowed', async () => {
+    delete process.env.ALLOW_PRIVATE_OUTBOUND_URLS;
+    try {
+      await expect(
+        CalDavCalendarProvider.discover({ serverUrl: `${baseUrl}/dav/`, username: USER, password: PASSWORD })
+      ).rejects.toThrow(/not a public address/);
+      expect(stand.requests).toHaveLength(0);
+    } finally {
+      process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+    }
+  });
+
+  it('should not follow hrefs to another host', async () => {
+    await expect(
+      CalDavCalendarProvider.discover({ serverUrl: `${baseUrl}/elsewhere/`, username: USER, password: PASSWORD })
+    ).rejects.toThrow(/another host \(169\.254\.169\.254\)/);
+    expect(stand.requests.map(r => r.url)).toEqual(['/elsewhere/']);
+  });
+
+  it('should keep response bodies out of errors', async () => {
+    await expect(
+      CalDavCalendarProvider.discover({ serverUrl: `${baseUrl}/missing/`, username: USER, password: PASSWORD })
+    ).rejects.toThrow(/^CalDAV PROPFIND failed \(HTTP 404\)$/);
+  });
+
+  it('should create events and read them back', async () => {
+    const provider = await connect();
+
+    const result = await provider.createEvent({
+      title: 'Consultation with Jane',
+      description: 'Phone: +15551234567',
+      startTime: at(10),
+      endTime: at(10.5),
+    });
+
+    const [path] = stand.objects.keys();
+    expect(path).toBe(`${CALENDAR}${result.eventId}.ics`);
+    const put = stand.requests.find(r => r.method === 'PUT');
+    expect(put.headers['if-none-match']).toBe('*');
+    expect(put.headers['content-type']).toMatch(/^text\/calendar/);
+    // Objects stored on a CalDAV server must not carry a METHOD
+    expect(put.body).not.toMatch(/METHOD:/);
+
+    const events = await provider.getEvents(at(0), at(24));
+    expect(events).toEqual([
+      expect.objectContaining({ id: result.eventId, title: 'Consultation with Jane', start: at(10), end: at(10.5), isAllDay: false }),
+    ]);
+  });
+
+  it('should leave busy times out of available slots', async () => {
+    const provider = await connect();
+    await provider.createEvent({ title: 'Busy', startTime: at(10), endTime: at(11) });
+
+    const { slots } = await provider.getAvailableSlots(day, 30);
+
+    expect(stand.requests.some(r => r.method === 'REPORT' && r.body.includes('free-busy-query'))).toBe(true);
+    expect(slots.map(s => s.start.getTime())).toEqual([at(9), at(9.5), at(11), at(11.5)].map(d => d.getTime()));
+  });
+
+  it('should move events keeping what the calendar app added', async () => {
+    const provider = await connect();
+    const { eventId } = await provider.createEvent({ title: 'Haircut', startTime: at(9), endTime: at(9.5) });
+
+    // A calendar app adds an alarm
+    const [path] = stand.objects.keys();
+    const stored = stand.objects.get(path);
+    stand.objects.set(path, {
+      ...stored,
+      body: stored.body.replace('END:VEVENT', 'BEGIN:VALARM\r\nACTION:DISPLAY\r\nTRIGGER:-PT15M\r\nEND:VALARM\r\nEND:VEVENT'),
+    });
+
+    await provider.updateEvent(eventId, { startTime: at(11), duration: 45 });
+
+    const put = stand.requests.filter(r => r.method === 'PUT').pop();
+    expect(put.headers['if-match']).toBe(stored.etag);
+
+    const body = stand.objects.get(path).body;
+    expect(body).toMatch(/TRIGGER:-PT15M/);
+    expect(body).toMatch(/SEQUENCE:1/);
+    expect(parseCalendar(body).events[0]).toMatchObject({ start: at(11), end: at(11.75), summary: 'Haircut' });
+  });
+
+  it('should delete events, ignoring ones already gone', async () => {
+    const provider = await connect();
+    const { eventId } = await provider.createEvent({ title: 'Color', startTime: at(9), endTime: at(10) });
+
+    await provider.deleteEvent(eventId, 'Cancelled by caller');
+    expect(stand.objects.size).toBe(0);
+
+    await expect(provider.deleteEvent(eventId)).resolves.toBeUndefined();
+  });
+});
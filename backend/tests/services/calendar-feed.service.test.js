@@ -0,0 +1,76 @@
+// ============================================================================
+// HEKAX Phone - Calendar Feed Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  calendarFeed: { findUnique: jest.fn(), update: jest.fn() },
+  calendarBooking: { findMany: jest.fn() },
+  userOrganization: { findFirst: jest.fn() },
+}));
+
+const prisma = require('../../lib/prisma');
+const { bookingToEvent, renderFeed } = require('../../services/calendar-feed.service');
+
+const booking = {
+  id: 'bk1',
+  callerName: 'Jane Doe',
+  callerPhone: '+15551234567',
+  callerEmail: 'jane@example.com',
+  purpose: 'Cleaning',
+  scheduledAt: new Date('2026-10-20T14:00:00Z'),
+  duration: 45,
+  status: 'CONFIRMED',
+  bookedByAI: true,
+  staff: { name: 'Dr. Lee' },
+  updatedAt: new Date('2026-10-19T12:00:00Z'),
+};
+
+describe('Calendar Feed Service', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should map a booking to an event with a stable UID', () => {
+    const event = bookingToEvent({ ...booking, status: 'PENDING' });
+
+    expect(event).toMatchObject({
+      uid: 'bk1@hekaxphone.com',
+      summary: 'Cleaning - Jane Doe',
+      status: 'TENTATIVE',
+      location: 'Phone Call',
+    });
+    expect(event.end.toISOString()).toBe('2026-10-20T14:45:00.000Z');
+    expect(event.description).toContain('Staff: Dr. Lee');
+    expect(bookingToEvent({ ...booking, status: 'CANCELLED' }).status).toBe('CANCELLED');
+  });
+
+  it('should render a staff feed filtered to their bookings', async () => {
+    prisma.calendarFeed.findUnique.mockResolvedValue({
+      id: 'feed1',
+      organizationId: 'org1',
+      userId: 'user1',
+      organization: { name: 'Acme Dental' },
+      user: { name: 'Dr. Lee' },
+    });
+    prisma.userOrganization.findFirst.mockResolvedValue({ id: 'm1' });
+    prisma.calendarBooking.findMany.mockResolvedValue([booking]);
+
+    const result = await renderFeed('token');
+
+    expect(prisma.calendarBooking.findMany.mock.calls[0][0].where).toMatchObject({
+      organizationId: 'org1',
+      staffId: 'user1',
+    });
+    expect(result.data).toContain('X-WR-CALNAME:Acme Dental - Dr. Lee');
+    expect(result.data).toContain('UID:bk1@hekaxphone.com');
+    expect(prisma.calendarFeed.update).toHaveBeenCalled();
+  });
+
+  it('should reject unknown tokens and feeds of former members', async () => {
+    prisma.calendarFeed.findUnique.mockResolvedValueOnce(null);
+    expect(await renderFeed('nope')).toEqual({ error: 'Feed not found' });
+
+    prisma.calendarFeed.findUnique.mockResolvedValueOnce({ id: 'feed1', organizationId: 'org1', userId: 'gone' });
+    prisma.userOrganization.findFirst.mockResolvedValueOnce(null);
+    expect(await renderFeed('token')).toEqual({ error: 'Feed not found' });
+    expect(prisma.calendarBooking.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,254 @@
+// ============================================================================
+// HEKAX Phone - Calendar Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  userOrganization: { updateMany: jest.fn() },
+  appointmentTypeStaff: { updateMany: jest.fn() },
+}));
+jest.mock('../../services/automation.service', () => ({
+  EVENTS: { APPOINTMENT_CANCELLED: 'appointment.cancelled', APPOINTMENT_RESCHEDULED: 'appointment.rescheduled' },
+  emit: jest.fn(),
+}));
+jest.mock('../../services/email', () => ({ emailService: { sendAppointmentConfirmation: jest.fn() } }));
+
+const sharedPrisma = require('../../lib/prisma');
+const bookingService = require('../../services/booking.service');
+const appointmentTypeService = require('../../services/appointment-type.service');
+const automationService = require('../../services/automation.service');
+const { emailService } = require('../../services/email');
+const { CalendarService } = require('../../services/calendar');
+
+describe('Calendar Service', () => {
+  describe('cancelBooking', () => {
+    const prisma = {
+      calendarBooking: { findFirst: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+    };
+    const calendar = new CalendarService(prisma);
+
+    const booking = (overrides = {}) => ({
+      id: 'bk-1',
+      organizationId: 'org-1',
+      status: 'CONFIRMED',
+      eventId: null,
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.calendarBooking.updateMany.mockResolvedValue({ count: 1 });
+      prisma.calendarBooking.findUnique.mockResolvedValue(booking({ status: 'CANCELLED' }));
+    });
+
+    it('should cancel an upcoming booking and emit the event', async () => {
+      prisma.calendarBooking.findFirst.mockResolvedValue(booking({ status: 'PENDING' }));
+
+      const result = await calendar.cancelBooking('org-1', 'bk-1', 'Changed plans', { source: 'dashboard' });
+      expect(result.success).toBe(true);
+      expect(prisma.calendarBooking.updateMany).toHaveBeenCalledWith({
+        where: { id: 'bk-1', status: { in: ['PENDING', 'CONFIRMED'] } },
+        data: expect.objectContaining({ status: 'CANCELLED', cancelReason: 'Changed plans' }),
+      });
+      expect(automationService.emit).toHaveBeenCalledWith(
+        'appointment.cancelled',
+        'org-1',
+        expect.objectContaining({ bookingId: 'bk-1', source: 'dashboard' })
+      );
+    });
+
+    it('should not cancel completed or no-show bookings', async () => {
+      for (const status of ['COMPLETED', 'NO_SHOW']) {
+        prisma.calendarBooking.findFirst.mockResolvedValueOnce(booking({ status }));
+        expect(await calendar.cancelBooking('org-1', 'bk-1', 'Oops')).toEqual({
+          success: false,
+          error: 'Only upcoming appointments can be cancelled',
+        });
+      }
+      expect(prisma.calendarBooking.updateMany).not.toHaveBeenCalled();
+      expect(automationService.emit).not.toHaveBeenCalled();
+    });
+
+    it('should not emit twice when another request cancelled first', async () => {
+      prisma.calendarBooking.findFirst.mockResolvedValue(booking());
+      prisma.calendarBooking.updateMany.mockResolvedValue({ count: 0 });
+
+      expect((await calendar.cancelBooking('org-1', 'bk-1', 'Again')).success).toBe(false);
+      expect(automationService.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rescheduleBooking', () => {
+    const prisma = {
+      organization: { findUnique: jest.fn() },
+      calendarBooking: { findFirst: jest.fn(), findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+    };
+    const calendar = new CalendarService(prisma);
+    const provider = { updateEvent: jest.fn() };
+
+    const scheduledAt = new Date('2026-10-20T15:00:00Z');
+    const startTime = new Date('2026-10-21T15:00:00Z');
+    const booking = {
+      id: 'bk-1',
+      status: 'CONFIRMED',
+      scheduledAt,
+      duration: 30,
+      eventId: 'evt-1',
+      eventLink: null,
+      timezone: 'America/Chicago',
+      callerName: 'Jo',
+      callerEmail: 'jo@example.com',
+      reminderSent: true,
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(calendar, 'getBookingProvider').mockResolvedValue(provider);
+      jest.spyOn(calendar, 'checkReschedule').mockResolvedValue(null);
+      prisma.calendarBooking.findFirst.mockResolvedValue(booking);
+      prisma.calendarBooking.findUnique.mockResolvedValue({ ...booking, scheduledAt: startTime, reminderSent: false });
+      prisma.organization.findUnique.mockResolvedValue({ name: 'Acme', language: 'en-US', timezone: 'America/Chicago' });
+      provider.updateEvent.mockResolvedValue({});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should claim the booking before moving the event and send a new invite', async () => {
+      prisma.calendarBooking.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await calendar.rescheduleBooking('org-1', 'bk-1', startTime, { source: 'sms' });
+      expect(result.success).toBe(true);
+      expect(prisma.calendarBooking.updateMany).toHaveBeenCalledWith({
+        where: { id: 'bk-1', status: { in: ['PENDING', 'CONFIRMED'] }, scheduledAt },
+        data: { scheduledAt: startTime, reminderSent: false },
+      });
+      expect(provider.updateEvent).toHaveBeenCalledWith('evt-1', expect.objectContaining({ startTime }));
+      expect(automationService.emit).toHaveBeenCalledWith(
+        'appointment.rescheduled',
+        'org-1',
+        expect.objectContaining({ previousTime: scheduledAt, source: 'sms' })
+      );
+      const email = emailService.sendAppointmentConfirmation.mock.calls[0][0];
+      expect(email.to).toBe('jo@example.com');
+      expect(email.ics).toMatch(/SEQUENCE:[1-9]\d*/);
+    });
+
+    it('should leave a booking cancelled in the meantime alone', async () => {
+      prisma.calendarBooking.updateMany.mockResolvedValue({ count: 0 });
+
+      expect((await calendar.rescheduleBooking('org-1', 'bk-1', startTime)).success).toBe(false);
+      expect(provider.updateEvent).not.toHaveBeenCalled();
+      expect(automationService.emit).not.toHaveBeenCalled();
+      expect(emailService.sendAppointmentConfirmation).not.toHaveBeenCalled();
+    });
+
+    it('should put the time back when the calendar refuses the move', async () => {
+      prisma.calendarBooking.updateMany.mockResolvedValue({ count: 1 });
+      provider.updateEvent.mockRejectedValue(new Error('Calendar unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await calendar.rescheduleBooking('org-1', 'bk-1', startTime)).toMatchObject({ success: false });
+      expect(prisma.calendarBooking.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'bk-1', scheduledAt: startTime },
+        data: { scheduledAt, reminderSent: true },
+      });
+      expect(automationService.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bookAppointmentType', () => {
+    const startTime = new Date('2026-10-21T15:00:00Z');
+    const rules = bookingService.buildBookingRules({});
+    const type = {
+      id: 'type-1',
+      name: 'Consultation',
+      duration: 30,
+      assignmentMode: 'ROUND_ROBIN',
+      intakeQuestions: [],
+      staff: [
+        { userId: 'ana', name: 'Ana', priority: 0, lastAssignedAt: null },
+        { userId: 'ben', name: 'Ben', priority: 0, lastAssignedAt: new Date('2026-10-01T00:00:00Z') },
+      ],
+    };
+
+    let holds;
+    let bookings;
+    const prisma = { calendarBooking: { findMany: jest.fn() } };
+    const calendar = new CalendarService(prisma);
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+      holds = new Map();
+      bookings = [];
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(bookingService, 'loadBookingRules').mockResolvedValue(rules);
+      jest.spyOn(bookingService, 'checkSlot').mockImplementation((start, duration, rules, busy = []) =>
+        busy.some(b => b.start < new Date(start.getTime() + duration * 60000) && b.end > start) ? 'Taken' : null
+      );
+      jest.spyOn(appointmentTypeService, 'getEligibleStaff').mockResolvedValue(type.staff);
+      jest.spyOn(calendar, 'getStaffProvider').mockResolvedValue(null);
+      jest.spyOn(calendar, 'getProvider').mockResolvedValue({ timezone: rules.timezone });
+      jest.spyOn(calendar, 'findNextTypeAvailable').mockResolvedValue([]);
+
+      // Bookings land in the database a moment after the calendar call starts
+      jest.spyOn(calendar, 'createBooking').mockImplementation(async (orgId, provider, appointment) => {
+        await tick();
+        bookings.push({ staffId: appointment.staffId, scheduledAt: appointment.startTime, duration: appointment.duration });
+        return { success: true, bookingId: `bk-${bookings.length}` };
+      });
+      prisma.calendarBooking.findMany.mockImplementation(async ({ where }) =>
+        bookings.filter(b => b.staffId === where.staffId)
+      );
+      sharedPrisma.userOrganization.updateMany.mockImplementation(async ({ where, data }) => {
+        if (where.OR) {
+          const until = holds.get(where.userId);
+          if (until && until >= where.OR[1].bookingHoldUntil.lt) return { count: 0 };
+        }
+        holds.set(where.userId, data.bookingHoldUntil);
+        return { count: 1 };
+      });
+      sharedPrisma.appointmentTypeStaff.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should give two interleaved bookings for the same time different staff', async () => {
+      const [first, second] = await Promise.all([
+        calendar.bookAppointmentType('org-1', type, { startTime, callerName: 'Jo' }),
+        calendar.bookAppointmentType('org-1', type, { startTime, callerName: 'Sam' }),
+      ]);
+
+      expect(first).toMatchObject({ success: true, staffId: 'ana' });
+      expect(second).toMatchObject({ success: true, staffId: 'ben' });
+      expect([...holds.values()]).toEqual([null, null]);
+    });
+
+    it('should not double-book the only free member', async () => {
+      const [first, second] = await Promise.all([
+        calendar.bookAppointmentType('org-1', type, { startTime, callerName: 'Jo', staffId: 'ana' }),
+        calendar.bookAppointmentType('org-1', type, { startTime, callerName: 'Sam', staffId: 'ana' }),
+      ]);
+
+      expect(first).toMatchObject({ success: true, staffId: 'ana' });
+      expect(second).toMatchObject({ success: false, unavailable: true });
+      expect(bookings).toHaveLength(1);
+    });
+  });
+
+  describe('sendConfirmation', () => {
+    it('should format the time in the organization language', async () => {
+      const prisma = {
+        organization: { findUnique: jest.fn().mockResolvedValue({ name: 'Acme', language: 'fr-FR', timezone: 'Europe/Paris' }) },
+      };
+      const appointment = {
+        startTime: new Date('2026-10-20T08:00:00Z'),
+        duration: 30,
+        callerName: 'Jo',
+        callerEmail: 'jo@example.com',
+      };
+
+      await new CalendarService(prisma).sendConfirmation('org-1', 'bk-1', appointment);
+      expect(emailService.sendAppointmentConfirmation.mock.calls[0][0].when).toMatch(/^mardi 20 octobre .*10:00/);
+    });
+  });
+});
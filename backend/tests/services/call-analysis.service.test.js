@@ -0,0 +1,134 @@
+// ============================================================================
+// HEKAX Phone - Call Analysis Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  transcript: { findMany: jest.fn(), findUnique: jest.fn() },
+  callLog: { findMany: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+}));
+
+const prisma = require('../../lib/prisma');
+const {
+  MAX_ANALYSIS_ATTEMPTS,
+  sentimentLabel,
+  normalizeAnalysis,
+  utterancesToMessages,
+  nextAnalysisAttemptAt,
+  enqueueAnalysis,
+  analyzePendingCalls,
+} = require('../../services/call-analysis.service');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Call Analysis Service', () => {
+  describe('sentimentLabel', () => {
+    it('should bucket scores into labels', () => {
+      expect(sentimentLabel(0.8)).toBe('positive');
+      expect(sentimentLabel(0.1)).toBe('neutral');
+      expect(sentimentLabel(-0.5)).toBe('negative');
+    });
+  });
+
+  describe('normalizeAnalysis', () => {
+    it('should clamp scores and derive the sentiment label', () => {
+      const result = normalizeAnalysis({ sentimentScore: -3, intentConfidence: 1.7 });
+      expect(result.sentimentScore).toBe(-1);
+      expect(result.sentiment).toBe('negative');
+      expect(result.intentConfidence).toBe(1);
+    });
+
+    it('should map unknown intents to other', () => {
+      expect(normalizeAnalysis({ primaryIntent: 'book_flight' }).primaryIntent).toBe('other');
+      expect(normalizeAnalysis({ primaryIntent: 'appointment_booking' }).primaryIntent).toBe('appointment_booking');
+    });
+
+    it('should clean topics, entities and action items', () => {
+      const result = normalizeAnalysis({
+        topics: ['Parking', 'parking ', '', 42, 'Hours', 'a', 'b', 'c', 'd'],
+        entities: { people: ['Jane Doe', 'Jane Doe'], dates: [], spaceships: ['x'] },
+        actionItems: [
+          { task: 'Call back with a quote', owner: 'business', dueDate: '2026-03-01' },
+          { task: 'Send insurance card', owner: 'caller', dueDate: 'next week' },
+          { owner: 'business' },
+        ],
+      });
+
+      expect(result.topics).toEqual(['parking', 'hours', 'a', 'b', 'c']);
+      expect(result.entities).toEqual({ people: ['Jane Doe'] });
+      expect(result.actionItems).toEqual([
+        { task: 'Call back with a quote', owner: 'business', dueDate: '2026-03-01' },
+        { task: 'Send insurance card', owner: 'caller', dueDate: null },
+      ]);
+    });
+  });
+
+  describe('utterancesToMessages', () => {
+    const utterances = [
+      { channel: 1, start: 2.4, transcript: 'Thanks for calling, this is Sam.' },
+      { channel: 0, start: 0.5, transcript: 'Hello?' },
+      { channel: 0, start: 5.1, transcript: ' ' },
+    ];
+
+    it('should order utterances and label the caller channel on inbound calls', () => {
+      expect(utterancesToMessages(utterances, 'INBOUND')).toEqual([
+        { role: 'user', content: 'Hello?', offsetSeconds: 0.5 },
+        { role: 'agent', content: 'Thanks for calling, this is Sam.', offsetSeconds: 2.4 },
+      ]);
+    });
+
+    it('should treat channel 0 as the agent on outbound calls', () => {
+      expect(utterancesToMessages(utterances, 'OUTBOUND').map((m) => m.role)).toEqual(['agent', 'user']);
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should back off and give up after the last attempt', () => {
+      const now = Date.parse('2026-07-01T12:00:00Z');
+      expect(nextAnalysisAttemptAt(1, now).toISOString()).toBe('2026-07-01T12:15:00.000Z');
+      expect(nextAnalysisAttemptAt(2, now).toISOString()).toBe('2026-07-01T12:30:00.000Z');
+      expect(nextAnalysisAttemptAt(3, now).toISOString()).toBe('2026-07-01T13:00:00.000Z');
+      expect(nextAnalysisAttemptAt(MAX_ANALYSIS_ATTEMPTS, now)).toBeNull();
+    });
+
+    it('should count a failed job and schedule its retry', async () => {
+      prisma.transcript.findUnique.mockRejectedValue(new Error('database down'));
+      prisma.callLog.update.mockResolvedValueOnce({ analysisAttempts: 1 }).mockResolvedValueOnce({});
+
+      enqueueAnalysis('CA-fail');
+      await flush();
+      await flush();
+
+      expect(prisma.callLog.update).toHaveBeenNthCalledWith(1, {
+        where: { callSid: 'CA-fail' },
+        data: { analysisAttempts: { increment: 1 } },
+        select: { analysisAttempts: true },
+      });
+      expect(prisma.callLog.update.mock.calls[1][0].data.analysisRetryAt).toBeInstanceOf(Date);
+    });
+
+    it('should sweep due transcripts and failed recordings only', async () => {
+      prisma.transcript.findMany.mockResolvedValue([]);
+      prisma.callLog.findMany.mockResolvedValue([]);
+
+      await analyzePendingCalls();
+      expect(prisma.transcript.findMany.mock.calls[0][0].where.call).toMatchObject({
+        analysisAttempts: { lt: MAX_ANALYSIS_ATTEMPTS },
+      });
+      expect(prisma.callLog.findMany.mock.calls[0][0].where).toMatchObject({
+        analysisAttempts: { gt: 0, lt: MAX_ANALYSIS_ATTEMPTS },
+        recordingUrl: { not: null },
+        transcript: null,
+      });
+    });
+  });
+});
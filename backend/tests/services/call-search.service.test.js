@@ -0,0 +1,103 @@
+// ============================================================================
+// HEKAX Phone - Call Search Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const {
+  periodStart,
+  buildCallWhere,
+  cleanViewFilters,
+} = require('../../services/call-search.service');
+
+describe('Call Search Service', () => {
+  describe('buildCallWhere', () => {
+    it('should translate filters into a where clause', () => {
+      const where = buildCallWhere('org1', {
+        sentiment: 'Negative,unknown',
+        handledBy: 'ai',
+        transferred: 'false',
+        direction: 'inbound',
+        status: 'all',
+        minDuration: '60',
+        tags: 'Billing,urgent',
+        phoneNumberId: 'pn1',
+      });
+
+      expect(where).toEqual({
+        organizationId: 'org1',
+        sentiment: { in: ['negative'] },
+        handledByAI: true,
+        transferredToHuman: false,
+        direction: { in: ['INBOUND'] },
+        duration: { gte: 60 },
+        phoneNumberId: 'pn1',
+        tags: { hasSome: ['billing', 'urgent'] },
+      });
+    });
+
+    it('should search numbers, caller name, summary, transcript and tags', () => {
+      const { AND } = buildCallWhere('org1', { q: 'refund' });
+      expect(AND[0].OR).toEqual([
+        { lead: { name: { contains: 'refund', mode: 'insensitive' } } },
+        { transcript: { summary: { contains: 'refund', mode: 'insensitive' } } },
+        { transcript: { fullText: { contains: 'refund', mode: 'insensitive' } } },
+        { tags: { has: 'refund' } },
+      ]);
+
+      const byNumber = buildCallWhere('org1', { q: '(555) 12' });
+      expect(byNumber.AND[0].OR).toContainEqual({ fromNumber: { contains: '55512' } });
+    });
+
+    it('should combine transcript and summary filters', () => {
+      expect(buildCallWhere('org1', { transcript: 'cancel', summary: 'angry' }).transcript).toEqual({
+        fullText: { contains: 'cancel', mode: 'insensitive' },
+        summary: { contains: 'angry', mode: 'insensitive' },
+      });
+    });
+
+    it('should prefer a relative period over explicit dates', () => {
+      const now = new Date('2026-06-30T12:00:00');
+      const where = buildCallWhere('org1', { period: '7d', startDate: '2020-01-01', endDate: '2020-02-01' }, now);
+      expect(where.createdAt).toEqual({ gte: new Date('2026-06-23T12:00:00') });
+
+      const explicit = buildCallWhere('org1', { startDate: '2026-01-01', endDate: 'not a date' });
+      expect(explicit.createdAt).toEqual({ gte: new Date('2026-01-01') });
+    });
+  });
+
+  describe('periodStart', () => {
+    it('should resolve calendar periods from the reference time', () => {
+      const now = new Date('2026-07-02T15:30:00Z'); // Thursday
+      expect(periodStart('today', now, 'UTC')).toEqual(new Date('2026-07-02T00:00:00Z'));
+      expect(periodStart('this_week', now, 'UTC')).toEqual(new Date('2026-06-29T00:00:00Z'));
+      expect(periodStart('this_month', now, 'UTC')).toEqual(new Date('2026-07-01T00:00:00Z'));
+      expect(periodStart('forever', now, 'UTC')).toBeNull();
+    });
+
+    it('should start calendar periods at midnight in the organization timezone', () => {
+      // Still Wednesday evening in Los Angeles
+      const now = new Date('2026-07-02T03:00:00Z');
+      expect(periodStart('today', now, 'America/Los_Angeles')).toEqual(new Date('2026-07-01T07:00:00Z'));
+      expect(periodStart('this_week', now, 'America/Los_Angeles')).toEqual(new Date('2026-06-29T07:00:00Z'));
+      expect(periodStart('this_month', now, 'Asia/Tokyo')).toEqual(new Date('2026-06-30T15:00:00Z'));
+      expect(buildCallWhere('org1', { period: 'today' }, now, 'Asia/Tokyo').createdAt).toEqual({
+        gte: new Date('2026-07-01T15:00:00Z'),
+      });
+    });
+  });
+
+  describe('cleanViewFilters', () => {
+    it('should keep known, non-empty params only', () => {
+      expect(cleanViewFilters({
+        sentiment: 'negative',
+        handledBy: 'ai',
+        period: ' this_week ',
+        q: '',
+        organizationId: 'other-org',
+      })).toEqual({ sentiment: 'negative', handledBy: 'ai', period: 'this_week' });
+
+      expect(cleanViewFilters(['q'])).toEqual({});
+    });
+  });
+});
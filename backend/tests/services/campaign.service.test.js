@@ -0,0 +1,239 @@
+// ============================================================================
+// HEKAX Phone - Outbound Campaign Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  callCampaignContact: { findMany: jest.fn(), count: jest.fn(), findUnique: jest.fn() },
+  callCampaign: { update: jest.fn() },
+  organization: { findUnique: jest.fn() },
+}));
+
+const prisma = require('../../lib/prisma');
+const LocalTTSProvider = require('../../services/tts/providers/local');
+const {
+  isWithinCallingHours,
+  isContactCallable,
+  dialCampaign,
+  voicemailAudio,
+  voicemailUrl,
+  isValidVoicemailSignature,
+  dialCapacity,
+  classifyAnsweredBy,
+  resolveAttempt,
+  canTransition,
+  validateCampaign,
+  renderCampaignText,
+} = require('../../services/campaign.service');
+
+const campaign = {
+  timezone: 'America/New_York',
+  callingHoursStart: '09:00',
+  callingHoursEnd: '17:00',
+  callingDays: [1, 2, 3, 4, 5],
+  maxConcurrentCalls: 3,
+  callsPerMinute: 5,
+  maxAttempts: 2,
+  retryDelayMinutes: 60,
+  voicemailMessage: 'Hi {{firstName}}, please call us back.',
+};
+
+describe('Campaign Service', () => {
+  describe('isWithinCallingHours', () => {
+    it('should use local time in the campaign timezone', () => {
+      // Wednesday 2026-07-01, 14:30 UTC = 10:30 in New York
+      expect(isWithinCallingHours(campaign, new Date('2026-07-01T14:30:00Z'))).toBe(true);
+      // 12:30 UTC = 08:30 in New York
+      expect(isWithinCallingHours(campaign, new Date('2026-07-01T12:30:00Z'))).toBe(false);
+      // 21:00 UTC = 17:00 in New York - the end is exclusive
+      expect(isWithinCallingHours(campaign, new Date('2026-07-01T21:00:00Z'))).toBe(false);
+    });
+
+    it('should skip days that are not calling days', () => {
+      // Saturday 2026-07-04, 10:30 in New York
+      expect(isWithinCallingHours(campaign, new Date('2026-07-04T14:30:00Z'))).toBe(false);
+      expect(isWithinCallingHours({ ...campaign, callingDays: [6] }, new Date('2026-07-04T14:30:00Z'))).toBe(true);
+    });
+  });
+
+  describe('isContactCallable', () => {
+    // Wednesday 2026-07-01, 13:30 UTC = 09:30 in New York, 06:30 in Los Angeles
+    const now = new Date('2026-07-01T13:30:00Z');
+
+    it('should use the called party\'s local time, not the campaign\'s', () => {
+      expect(isContactCallable(campaign, { phone: '+12125550100' }, now)).toBe(true);
+      expect(isContactCallable(campaign, { phone: '+13105550100' }, now)).toBe(false);
+      // 17:30 UTC: 13:30 in New York, 10:30 in Los Angeles
+      expect(isContactCallable(campaign, { phone: '+13105550100' }, new Date('2026-07-01T17:30:00Z'))).toBe(true);
+    });
+
+    it('should hold in every zone the lead may be in', () => {
+      // A New York number whose lead lives in California
+      expect(isContactCallable(campaign, { phone: '+12125550100', lead: { state: 'CA', country: 'US' } }, now)).toBe(false);
+      // Toll-free: any continental zone
+      expect(isContactCallable(campaign, { phone: '+18005550100' }, now)).toBe(false);
+      // Outside North America: the campaign timezone
+      expect(isContactCallable(campaign, { phone: '+442071234567' }, now)).toBe(true);
+    });
+  });
+
+  describe('dialCampaign', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should not complete a campaign that has no contacts yet', async () => {
+      prisma.callCampaignContact.findMany.mockResolvedValue([]);
+      prisma.callCampaignContact.count.mockResolvedValue(0);
+
+      expect(await dialCampaign({ ...campaign, id: 'c1', name: 'Promo' })).toBe(0);
+      expect(prisma.callCampaign.update).not.toHaveBeenCalled();
+    });
+
+    it('should complete once every contact is done', async () => {
+      prisma.callCampaignContact.findMany.mockResolvedValue([]);
+      prisma.callCampaignContact.count.mockResolvedValueOnce(3).mockResolvedValueOnce(0);
+
+      await dialCampaign({ ...campaign, id: 'c1', name: 'Promo' });
+      expect(prisma.callCampaign.update).toHaveBeenCalledWith({
+        where: { id: 'c1' },
+        data: expect.objectContaining({ status: 'COMPLETED' }),
+      });
+    });
+  });
+
+  describe('voicemailAudio', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.restoreAllMocks();
+    });
+
+    it('should speak with the organization voice for its language', async () => {
+      process.env.TTS_PROVIDER = 'local';
+      prisma.organization.findUnique.mockResolvedValue(null);
+      prisma.callCampaignContact.findUnique.mockResolvedValue({
+        id: 'cc1',
+        status: 'DIALING',
+        lead: { name: 'Ana Ruiz' },
+        campaign: {
+          voicemailMessage: 'Hola {{firstName}}, llámenos.',
+          organization: { id: 'org-vm', name: 'Acme', voiceId: 'low', language: 'es-MX', languageVoices: { es: 'high' } },
+        },
+      });
+      const synthesize = jest.spyOn(LocalTTSProvider.prototype, 'synthesize');
+
+      const result = await voicemailAudio('cc1');
+
+      expect(synthesize).toHaveBeenCalledWith('Hola Ana, llámenos.', expect.objectContaining({ voice: 'high' }));
+      expect(result.audio.length).toBeGreaterThan(0);
+    });
+
+    it('should only serve contacts being dialed', async () => {
+      prisma.callCampaignContact.findUnique.mockResolvedValue({ status: 'COMPLETED', campaign: { voicemailMessage: 'Hi' } });
+      expect(await voicemailAudio('cc1')).toBeNull();
+    });
+  });
+
+  describe('voicemailUrl', () => {
+    it('should sign the audio URL for its own contact only', () => {
+      process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+      const url = new URL(voicemailUrl('cc1'));
+
+      expect(url.pathname).toBe('/twilio/campaign/voicemail');
+      expect(isValidVoicemailSignature('cc1', url.searchParams.get('sig'))).toBe(true);
+      expect(isValidVoicemailSignature('cc2', url.searchParams.get('sig'))).toBe(false);
+      expect(isValidVoicemailSignature('cc1', undefined)).toBe(false);
+      expect(isValidVoicemailSignature('cc1', 'f'.repeat(64))).toBe(false);
+    });
+  });
+
+  describe('dialCapacity', () => {
+    it('should respect concurrency and calls per minute', () => {
+      expect(dialCapacity(campaign, { inFlight: 0, dialedLastMinute: 0 })).toBe(3);
+      expect(dialCapacity(campaign, { inFlight: 1, dialedLastMinute: 4 })).toBe(1);
+      expect(dialCapacity(campaign, { inFlight: 5, dialedLastMinute: 0 })).toBe(0);
+    });
+  });
+
+  describe('classifyAnsweredBy', () => {
+    it('should group Twilio AMD results', () => {
+      expect(classifyAnsweredBy('human')).toBe('human');
+      expect(classifyAnsweredBy('machine_end_beep')).toBe('machine');
+      expect(classifyAnsweredBy('fax')).toBe('fax');
+      expect(classifyAnsweredBy(undefined)).toBe('unknown');
+    });
+  });
+
+  describe('resolveAttempt', () => {
+    const now = new Date('2026-07-01T15:00:00Z');
+
+    it('should finish on a person or a voicemail drop', () => {
+      expect(resolveAttempt({ attempts: 1 }, campaign, { callStatus: 'completed', answeredBy: 'human' }, now))
+        .toEqual({ status: 'COMPLETED', outcome: 'answered', nextAttemptAt: null });
+      expect(resolveAttempt({ attempts: 1 }, campaign, { callStatus: 'completed', answeredBy: 'machine_end_beep' }, now))
+        .toEqual({ status: 'COMPLETED', outcome: 'voicemail', nextAttemptAt: null });
+      expect(resolveAttempt({ attempts: 1 }, campaign, { callStatus: 'completed', answeredBy: 'unknown' }, now).outcome)
+        .toBe('answered');
+    });
+
+    it('should retry unanswered calls until maxAttempts', () => {
+      expect(resolveAttempt({ attempts: 1 }, campaign, { callStatus: 'no-answer' }, now)).toEqual({
+        status: 'PENDING',
+        outcome: 'no_answer',
+        nextAttemptAt: new Date('2026-07-01T16:00:00Z'),
+      });
+      expect(resolveAttempt({ attempts: 2 }, campaign, { callStatus: 'busy' }, now))
+        .toEqual({ status: 'FAILED', outcome: 'busy', nextAttemptAt: null });
+    });
+
+    it('should retry machines when there is no voicemail message', () => {
+      const noDrop = { ...campaign, voicemailMessage: null };
+      expect(resolveAttempt({ attempts: 1 }, noDrop, { callStatus: 'completed', answeredBy: 'machine_start' }, now))
+        .toMatchObject({ status: 'PENDING', outcome: 'machine' });
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should only allow valid status changes', () => {
+      expect(canTransition('DRAFT', 'start')).toBe(true);
+      expect(canTransition('PAUSED', 'start')).toBe(true);
+      expect(canTransition('DRAFT', 'pause')).toBe(false);
+      expect(canTransition('COMPLETED', 'cancel')).toBe(false);
+      expect(canTransition('RUNNING', 'delete')).toBe(false);
+    });
+  });
+
+  describe('validateCampaign', () => {
+    it('should fill defaults', () => {
+      const { data } = validateCampaign({ name: ' Spring promo ', script: 'Offer the spring discount.' });
+      expect(data).toMatchObject({
+        name: 'Spring promo',
+        timezone: 'America/New_York',
+        callingHoursStart: '09:00',
+        callingHoursEnd: '20:00',
+        callingDays: [1, 2, 3, 4, 5],
+        maxConcurrentCalls: 2,
+        maxAttempts: 2,
+      });
+    });
+
+    it('should reject bad settings', () => {
+      const base = { name: 'Promo', script: 'Hello' };
+      expect(validateCampaign({ script: 'Hello' }).error).toMatch(/name/);
+      expect(validateCampaign({ ...base, timezone: 'Mars/Base' }).error).toMatch(/timezone/);
+      expect(validateCampaign({ ...base, callingHoursStart: '9am' }).error).toMatch(/HH:MM/);
+      expect(validateCampaign({ ...base, callingHoursStart: '07:00' }).error).toMatch(/between/);
+      expect(validateCampaign({ ...base, callingHoursStart: '18:00', callingHoursEnd: '10:00' }).error).toMatch(/end after/);
+      expect(validateCampaign({ ...base, callingDays: [7] }).error).toMatch(/callingDays/);
+      expect(validateCampaign({ ...base, maxAttempts: 9 }).error).toMatch(/maxAttempts/);
+    });
+  });
+
+  describe('renderCampaignText', () => {
+    it('should fill lead and organization names', () => {
+      expect(renderCampaignText('Hi {{firstName}}, {{organization.name}} here.', {
+        lead: { name: 'Jane Doe' },
+        organization: { name: 'Acme Dental' },
+      })).toBe('Hi Jane, Acme Dental here.');
+    });
+  });
+});
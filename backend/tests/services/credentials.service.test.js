@@ -0,0 +1,72 @@
+// ============================================================================
+// HEKAX Phone - Credentials Service Tests
+// ============================================================================
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-credentials';
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const { encrypt } = require('../../lib/encryption');
+const { resolveCredentials } = require('../../services/credentials.service');
+
+describe('Credentials Service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'sk-platform';
+    process.env.DEEPGRAM_API_KEY = 'dg-platform';
+    process.env.TWILIO_ACCOUNT_SID = 'ACplatform';
+    process.env.TWILIO_AUTH_TOKEN = 'platform-token';
+    delete process.env.ELEVENLABS_API_KEY;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  const byoOrg = {
+    byoKeysEnabled: true,
+    byoOpenaiKey: encrypt('sk-byo'),
+    byoDeepgramKey: encrypt('dg-byo'),
+    byoElevenlabsKey: encrypt('el-byo'),
+    byoTwilioAccountSid: 'ACbyo',
+    byoTwilioAuthToken: encrypt('byo-token'),
+    byoTwilioNumber: '+15550001111',
+  };
+
+  describe('resolveCredentials', () => {
+    it('should use platform keys without an organization', () => {
+      const creds = resolveCredentials(null);
+      expect(creds.openai).toEqual({ apiKey: 'sk-platform', byo: false });
+      expect(creds.twilio.byo).toBe(false);
+      expect(creds.elevenlabs).toBeNull();
+    });
+
+    it('should decrypt BYO keys when enabled', () => {
+      const creds = resolveCredentials(byoOrg);
+      expect(creds.openai).toEqual({ apiKey: 'sk-byo', byo: true });
+      expect(creds.deepgram).toEqual({ apiKey: 'dg-byo', byo: true });
+      expect(creds.elevenlabs).toEqual({ apiKey: 'el-byo', byo: true });
+      expect(creds.twilio).toEqual({
+        accountSid: 'ACbyo',
+        authToken: 'byo-token',
+        phoneNumber: '+15550001111',
+        byo: true,
+      });
+    });
+
+    it('should ignore stored keys while BYO is disabled', () => {
+      const creds = resolveCredentials({ ...byoOrg, byoKeysEnabled: false });
+      expect(creds.openai.byo).toBe(false);
+      expect(creds.twilio.accountSid).toBe('ACplatform');
+    });
+
+    it('should fall back to platform keys when a key cannot be decrypted', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const creds = resolveCredentials({ ...byoOrg, byoOpenaiKey: 'garbage' });
+      expect(creds.openai).toEqual({ apiKey: 'sk-platform', byo: false });
+      expect(creds.deepgram.byo).toBe(true);
+      console.warn.mockRestore();
+    });
+  });
+});
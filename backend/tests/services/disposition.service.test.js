@@ -0,0 +1,76 @@
+// ============================================================================
+// HEKAX Phone - Disposition Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+jest.mock('../../services/automation.service', () => ({ EVENTS: {}, emit: jest.fn() }));
+
+const {
+  DEFAULT_DISPOSITIONS,
+  toCode,
+  normalizeTags,
+  validateDispositions,
+  autoDisposition,
+} = require('../../services/disposition.service');
+
+describe('Disposition Service', () => {
+  describe('toCode', () => {
+    it('should slugify labels', () => {
+      expect(toCode('Left Voicemail!')).toBe('left_voicemail');
+      expect(toCode('  --Follow-up / Q3  ')).toBe('follow_up_q3');
+      expect(toCode(null)).toBe('');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should lowercase, trim and de-duplicate', () => {
+      expect(normalizeTags(['Billing', ' billing ', 'VIP', ''])).toEqual(['billing', 'vip']);
+      expect(normalizeTags('Urgent, follow up,,')).toEqual(['urgent', 'follow up']);
+    });
+
+    it('should cap tag count and length', () => {
+      const many = Array.from({ length: 30 }, (_, i) => `tag${i}`);
+      expect(normalizeTags(many)).toHaveLength(20);
+      expect(normalizeTags(['x'.repeat(60)])[0]).toHaveLength(40);
+    });
+  });
+
+  describe('validateDispositions', () => {
+    it('should derive codes from labels and keep order', () => {
+      const { codes } = validateDispositions([
+        { label: 'Sale', category: 'positive' },
+        { code: 'Wrong Number', label: 'Wrong number', category: 'bogus', enabled: false },
+      ]);
+
+      expect(codes).toEqual([
+        { code: 'sale', label: 'Sale', description: null, category: 'positive', enabled: true, position: 0 },
+        { code: 'wrong_number', label: 'Wrong number', description: null, category: 'neutral', enabled: false, position: 1 },
+      ]);
+    });
+
+    it('should reject missing labels and duplicates', () => {
+      expect(validateDispositions('sale').error).toMatch(/array/);
+      expect(validateDispositions([{ label: '' }]).error).toMatch(/label/);
+      expect(validateDispositions([{ label: 'Sale' }, { label: 'sale!' }]).error).toMatch(/Duplicate/);
+    });
+  });
+
+  describe('autoDisposition', () => {
+    it('should pick the most significant outcome', () => {
+      const codes = DEFAULT_DISPOSITIONS;
+      expect(autoDisposition({ appointmentBooked: true, leadCaptured: true }, codes)).toBe('appointment_booked');
+      expect(autoDisposition({ transferred: true, leadCaptured: true }, codes)).toBe('transferred');
+      expect(autoDisposition({ leadCaptured: true }, codes)).toBe('lead_captured');
+      expect(autoDisposition({}, codes)).toBe('question_answered');
+    });
+
+    it('should only return enabled codes', () => {
+      const codes = [
+        { code: 'appointment_booked', enabled: false },
+        { code: 'lead_captured', enabled: true },
+      ];
+      expect(autoDisposition({ appointmentBooked: true, leadCaptured: true }, codes)).toBe('lead_captured');
+      expect(autoDisposition({ appointmentBooked: true }, codes)).toBeNull();
+    });
+  });
+});
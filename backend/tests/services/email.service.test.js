@@ -0,0 +1,50 @@
+// ============================================================================
+// HEKAX Phone - Email Service Tests
+// ============================================================================
+
+const { buildRawMessage } = require('../../services/email');
+
+describe('Email Service', () => {
+  describe('buildRawMessage', () => {
+    const message = (overrides = {}) => ({
+      from: 'HEKAX Phone <noreply@example.com>',
+      to: 'jo@example.com',
+      replyTo: 'support@example.com',
+      subject: 'Your appointment',
+      html: '<p>Booked</p>',
+      text: 'Booked',
+      attachments: [{ filename: 'invite.ics', content: 'BEGIN:VCALENDAR', contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }],
+      ...overrides,
+    });
+    const headers = raw => raw.split('\r\n').filter(line => /^[\w-]+: /.test(line));
+
+    it('should refuse addresses with line breaks', () => {
+      expect(() => buildRawMessage(message({ to: 'jo@example.com\r\nBcc: all@example.com' }))).toThrow(/line break/);
+      expect(() => buildRawMessage(message({ to: ['jo@example.com', 'x@example.com\nBcc: y@example.com'] }))).toThrow();
+      expect(() => buildRawMessage(message({ replyTo: 'a@example.com\rX: y' }))).toThrow();
+    });
+
+    it('should quote or encode display names', () => {
+      const lines = headers(buildRawMessage(message({ to: ['José <jose@example.com>', 'Ana "A" <ana@example.com>'] })));
+
+      expect(lines).toContain('From: "HEKAX Phone" <noreply@example.com>');
+      expect(lines).toContain('To: =?UTF-8?B?Sm9zw6k=?= <jose@example.com>, "Ana \\"A\\"" <ana@example.com>');
+    });
+
+    it('should keep attachment filenames inside their header', () => {
+      const raw = buildRawMessage(
+        message({ attachments: [{ filename: 'Cita "é"\r\nX-Evil: 1.ics', content: 'x', contentType: 'text/calendar\r\nX-Evil: 1' }] })
+      );
+
+      expect(raw).not.toMatch(/^X-Evil/m);
+      expect(headers(raw)).toContain(
+        'Content-Disposition: attachment; filename="Cita ___  X-Evil: 1.ics"; filename*=UTF-8\'\'Cita%20%22%C3%A9%22%20%20X-Evil%3A%201.ics'
+      );
+      expect(raw).toContain('Content-Type: application/octet-stream; name=');
+    });
+
+    it('should keep a well-formed content type with parameters', () => {
+      expect(buildRawMessage(message())).toContain('Content-Type: text/calendar; charset=utf-8; method=PUBLISH; name="invite.ics"');
+    });
+  });
+});
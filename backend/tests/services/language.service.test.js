@@ -0,0 +1,60 @@
+// ============================================================================
+// HEKAX Phone - Language Service Tests
+// ============================================================================
+
+const {
+  normalizeLanguage,
+  getPhrase,
+  getDeepgramLanguageOptions,
+  detectLanguage,
+  resolveAllowedLanguages,
+} = require('../../services/language.service');
+
+describe('Language Service', () => {
+  describe('normalizeLanguage', () => {
+    it('should reduce locales to supported base languages', () => {
+      expect(normalizeLanguage('en-US')).toBe('en');
+      expect(normalizeLanguage('es_MX')).toBe('es');
+      expect(normalizeLanguage('FR')).toBe('fr');
+    });
+
+    it('should fall back to English for unknown languages', () => {
+      expect(normalizeLanguage('xx')).toBe('en');
+      expect(normalizeLanguage(undefined)).toBe('en');
+    });
+  });
+
+  describe('detectLanguage', () => {
+    it('should detect Spanish, French and English callers', () => {
+      expect(detectLanguage('Hola, quiero hacer una cita para el martes')?.language).toBe('es');
+      expect(detectLanguage("Bonjour, je voudrais prendre un rendez-vous s'il vous plaît")?.language).toBe('fr');
+      expect(detectLanguage('Hello, I would like to book an appointment for my car')?.language).toBe('en');
+    });
+
+    it('should return null without enough signal', () => {
+      expect(detectLanguage('Okay')).toBeNull();
+      expect(detectLanguage('')).toBeNull();
+    });
+
+    it('should only consider candidate languages', () => {
+      expect(detectLanguage('Hola, quiero hacer una cita', ['en', 'fr'])).toBeNull();
+    });
+  });
+
+  describe('getDeepgramLanguageOptions', () => {
+    it('should use multilingual mode while auto-detecting', () => {
+      expect(getDeepgramLanguageOptions('es', { autoDetect: true }).language).toBe('multi');
+      expect(getDeepgramLanguageOptions('es-MX').language).toBe('es');
+    });
+  });
+
+  it('should localize phrases', () => {
+    expect(getPhrase('fr', 'greeting', 'Acme')).toContain('Acme');
+    expect(getPhrase('es', 'repeat')).toMatch(/repetir/);
+  });
+
+  it('should resolve allowed languages from the organization', () => {
+    expect(resolveAllowedLanguages({ supportedLanguages: ['es-MX', 'es', 'fr'] })).toEqual(['es', 'fr']);
+    expect(resolveAllowedLanguages({ supportedLanguages: [] })).toContain('en');
+  });
+});
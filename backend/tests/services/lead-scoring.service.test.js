@@ -0,0 +1,118 @@
+// ============================================================================
+// HEKAX Phone - Lead Scoring Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const {
+  DEFAULT_RULES,
+  computeScore,
+  temperatureFor,
+  explainScore,
+  validateScoringModel,
+} = require('../../services/lead-scoring.service');
+
+const now = new Date('2026-06-30T00:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('Lead Scoring Service', () => {
+  describe('computeScore', () => {
+    it('should explain each rule that contributed', () => {
+      const { score, breakdown } = computeScore(
+        [
+          { signal: 'appointment_booked', weight: 20 },
+          { signal: 'negative_sentiment', weight: -10 },
+          { signal: 'has_company', weight: 10 },
+        ],
+        {
+          lead: { email: 'jane@example.com' },
+          calls: [{ direction: 'INBOUND', duration: 60, sentiment: 'negative', createdAt: now }],
+          bookings: [{ status: 'CONFIRMED', createdAt: now }],
+        },
+        { now }
+      );
+
+      expect(score).toBe(10);
+      expect(breakdown).toEqual([
+        { signal: 'appointment_booked', label: 'Appointment booked', count: 1, points: 20 },
+        { signal: 'negative_sentiment', label: 'Negative sentiment', count: 1, points: -10 },
+      ]);
+      expect(explainScore(breakdown)).toBe('+20 appointment booked, -10 negative sentiment');
+    });
+
+    it('should be deterministic instead of accumulating across runs', () => {
+      const context = { lead: { email: 'a@b.co', company: 'Acme', urgency: 'HIGH' } };
+      const first = computeScore(DEFAULT_RULES, context, { now });
+      const second = computeScore(DEFAULT_RULES, { lead: { ...context.lead, score: first.score } }, { now });
+
+      expect(first).toEqual(second);
+      expect(first.score).toBe(35);
+    });
+
+    it('should decay dated signals by half-life and cap the total', () => {
+      const calls = [
+        { direction: 'INBOUND', createdAt: now },
+        { direction: 'INBOUND', createdAt: daysAgo(14) },
+        { direction: 'INBOUND', createdAt: daysAgo(28) },
+      ];
+      const rule = { signal: 'inbound_call', weight: 8, decayDays: 14 };
+
+      // 8 + 4 + 2
+      expect(computeScore([rule], { lead: {}, calls }, { now }).score).toBe(14);
+      expect(computeScore([{ ...rule, maxPoints: 10 }], { lead: {}, calls }, { now }).score).toBe(10);
+    });
+
+    it('should apply thresholds and clamp to 0-100', () => {
+      const calls = [{ duration: 200, createdAt: now }, { duration: 100, createdAt: now }];
+
+      expect(computeScore([{ signal: 'long_call', weight: 60 }], { lead: {}, calls }, { now }).score).toBe(60);
+      expect(computeScore([{ signal: 'long_call', weight: 60, threshold: 90 }], { lead: {}, calls }, { now }).score).toBe(100);
+      expect(computeScore([{ signal: 'negative_sentiment', weight: -10 }], {
+        lead: {},
+        calls: [{ sentiment: 'NEGATIVE', createdAt: now }],
+      }, { now }).score).toBe(0);
+    });
+
+    it('should skip disabled and unknown rules', () => {
+      const context = { lead: { email: 'a@b.co' } };
+      expect(computeScore([
+        { signal: 'has_email', weight: 10, enabled: false },
+        { signal: 'made_up', weight: 10 },
+      ], context, { now })).toEqual({ score: 0, breakdown: [] });
+    });
+  });
+
+  describe('temperatureFor', () => {
+    it('should use the organization thresholds', () => {
+      expect(temperatureFor(70)).toBe('HOT');
+      expect(temperatureFor(40)).toBe('WARM');
+      expect(temperatureFor(39)).toBe('COLD');
+      expect(temperatureFor(55, { hotScore: 50, warmScore: 20 })).toBe('HOT');
+    });
+  });
+
+  describe('validateScoringModel', () => {
+    it('should normalize valid rules', () => {
+      const { data } = validateScoringModel({
+        rules: [{ signal: 'long_call', weight: 10, threshold: 120, decayDays: '' }],
+        hotScore: 80,
+        warmScore: 50,
+      });
+
+      expect(data).toEqual({
+        rules: [{
+          signal: 'long_call', weight: 10, threshold: 120, decayDays: null, maxPoints: null, enabled: true, position: 0,
+        }],
+        hotScore: 80,
+        warmScore: 50,
+      });
+    });
+
+    it('should reject bad rules and thresholds', () => {
+      expect(validateScoringModel({ rules: [{ signal: 'nope', weight: 1 }] }).error).toMatch(/signal/);
+      expect(validateScoringModel({ rules: [{ signal: 'vip', weight: 1.5 }] }).error).toMatch(/weight/);
+      expect(validateScoringModel({ rules: [{ signal: 'vip', weight: 5, decayDays: 0 }] }).error).toMatch(/decayDays/);
+      expect(validateScoringModel({ rules: [], hotScore: 40, warmScore: 40 }).error).toMatch(/Thresholds/);
+    });
+  });
+});
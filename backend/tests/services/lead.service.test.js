@@ -0,0 +1,205 @@
+// ============================================================================
+// HEKAX Phone - Lead Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  lead: { create: jest.fn(), findMany: jest.fn() },
+  leadActivity: { create: jest.fn() },
+  suppression: { count: jest.fn() },
+}));
+jest.mock('../../services/automation.service', () => ({
+  EVENTS: { LEAD_CREATED: 'lead_created' },
+  emit: jest.fn(),
+}));
+
+const prisma = require('../../lib/prisma');
+const automationService = require('../../services/automation.service');
+const {
+  normalizePhone,
+  validateLeadInput,
+  buildLeadWhere,
+  mergeLeadFields,
+  toTimelineEntries,
+  prepareImport,
+  mapImportRow,
+  importLeads,
+  mergeLeads,
+} = require('../../services/lead.service');
+
+describe('Lead Service', () => {
+  describe('normalizePhone', () => {
+    it('should normalize US numbers to E.164', () => {
+      expect(normalizePhone('(555) 123-4567')).toBe('+15551234567');
+      expect(normalizePhone('1-555-123-4567')).toBe('+15551234567');
+      expect(normalizePhone('+44 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('should reject numbers that are too short', () => {
+      expect(normalizePhone('12345')).toBeNull();
+      expect(normalizePhone('')).toBeNull();
+    });
+  });
+
+  describe('validateLeadInput', () => {
+    it('should require a phone number on create and fill defaults', () => {
+      expect(validateLeadInput({ name: 'Jane' }).error).toMatch(/phone/i);
+
+      const { data } = validateLeadInput({ phone: '555 123 4567', email: ' Jane@Example.com ' });
+      expect(data).toMatchObject({
+        phone: '+15551234567',
+        email: 'jane@example.com',
+        name: 'Unknown',
+        reason: 'Not specified',
+      });
+    });
+
+    it('should validate enums and score', () => {
+      expect(validateLeadInput({ status: 'maybe' }, { partial: true }).error).toMatch(/status/);
+      expect(validateLeadInput({ score: 150 }, { partial: true }).error).toMatch(/score/);
+      expect(validateLeadInput({ status: 'won', temperature: 'hot' }, { partial: true }).data).toEqual({
+        status: 'WON',
+        temperature: 'HOT',
+      });
+    });
+
+    it('should not allow clearing the name on update', () => {
+      expect(validateLeadInput({ name: '  ' }, { partial: true }).error).toBeDefined();
+    });
+  });
+
+  describe('buildLeadWhere', () => {
+    it('should translate list filters', () => {
+      const where = buildLeadWhere('org1', {
+        status: 'new,contacted,bogus',
+        assignedTo: 'me',
+        minScore: '40',
+        source: 'import,web_form',
+      }, 'user1');
+
+      expect(where).toEqual({
+        organizationId: 'org1',
+        status: { in: ['NEW', 'CONTACTED'] },
+        source: { in: ['import', 'web_form'] },
+        assignedToId: 'user1',
+        score: { gte: 40 },
+      });
+    });
+
+    it('should search text fields and phone digits', () => {
+      const where = buildLeadWhere('org1', { q: '555-12' });
+      expect(where.OR).toContainEqual({ phone: { contains: '55512' } });
+      expect(where.OR).toContainEqual({ name: { contains: '555-12', mode: 'insensitive' } });
+      expect(buildLeadWhere('org1', { assignedTo: 'unassigned' }).assignedToId).toBeNull();
+    });
+  });
+
+  describe('mergeLeadFields', () => {
+    it('should fill gaps from duplicates and keep the strongest signals', () => {
+      const target = {
+        id: 'a', name: 'Unknown Caller', phone: '+15551234567', email: null, notes: 'First call',
+        score: 20, urgency: 'LOW', isVIP: false, callSid: null, createdAt: '2026-02-01T00:00:00Z',
+      };
+      const source = {
+        id: 'b', name: 'Jane Doe', phone: '+15551234567', email: 'jane@example.com', notes: 'Web form',
+        score: 55, urgency: 'HIGH', isVIP: true, callSid: 'CA123', createdAt: '2026-01-15T00:00:00Z',
+      };
+
+      const data = mergeLeadFields(target, [source]);
+      expect(data).toMatchObject({
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        callSid: 'CA123',
+        notes: 'First call\n\nWeb form',
+        score: 55,
+        urgency: 'HIGH',
+        isVIP: true,
+      });
+      expect(data.createdAt.toISOString()).toBe('2026-01-15T00:00:00.000Z');
+      expect(data.phone).toBeUndefined();
+    });
+  });
+
+  describe('toTimelineEntries', () => {
+    it('should merge sources newest first', () => {
+      const entries = toTimelineEntries({
+        activities: [{ id: 'act', type: 'status_changed', title: 'Status changed to WON', createdAt: '2026-03-03T00:00:00Z' }],
+        calls: [{ id: 'call', direction: 'INBOUND', handledByAI: true, createdAt: '2026-03-01T00:00:00Z' }],
+        tasks: [{ id: 'task', title: 'Send quote', createdAt: '2026-03-01T12:00:00Z', completedAt: '2026-03-02T00:00:00Z' }],
+      });
+
+      expect(entries.map((e) => e.type)).toEqual(['status_changed', 'task_completed', 'task', 'call']);
+      expect(entries[3].title).toBe('Inbound call (AI)');
+    });
+  });
+
+  describe('CSV import mapping', () => {
+    it('should suggest a mapping from common headers', () => {
+      const { headers, rows, suggestedMapping } = prepareImport('Full Name,Mobile,E-mail,Favorite Color\nJane,5551234567,jane@x.com,blue');
+      expect(headers).toHaveLength(4);
+      expect(rows).toHaveLength(1);
+      expect(suggestedMapping).toEqual({ name: 0, phone: 1, email: 2 });
+    });
+
+    it('should map rows and ignore unknown fields', () => {
+      expect(mapImportRow(['Jane', ' 555 ', ''], { name: 0, phone: 1, email: 2, password: 0 })).toEqual({
+        name: 'Jane',
+        phone: '555',
+      });
+    });
+  });
+
+  describe('importLeads', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.lead.findMany.mockResolvedValue([]);
+      prisma.lead.create.mockImplementation(async ({ data }) => ({ id: 'lead-1', ...data }));
+    });
+
+    it('should create rows like any other lead, do-not-contact list included', async () => {
+      prisma.suppression.count.mockResolvedValue(1);
+
+      const result = await importLeads('org-1', [['Jane', '5551234567']], { name: 0, phone: 1 });
+      expect(result.created).toBe(1);
+      expect(prisma.lead.create.mock.calls[0][0].data).toMatchObject({
+        name: 'Jane',
+        phone: '+15551234567',
+        doNotCall: true,
+        organizationId: 'org-1',
+      });
+      expect(prisma.leadActivity.create.mock.calls[0][0].data).toMatchObject({ type: 'imported', title: 'Imported from CSV' });
+      expect(automationService.emit).toHaveBeenCalledWith('lead_created', 'org-1', expect.objectContaining({ id: 'lead-1' }));
+    });
+  });
+
+  describe('mergeLeads', () => {
+    it('should move campaign contacts to the target, one per campaign', async () => {
+      const tx = {
+        leadNote: { updateMany: jest.fn() },
+        leadActivity: { updateMany: jest.fn(), create: jest.fn() },
+        task: { updateMany: jest.fn() },
+        sequenceEnrollment: { updateMany: jest.fn() },
+        lead: { deleteMany: jest.fn(), update: jest.fn().mockResolvedValue({ id: 'target' }) },
+        callCampaignContact: {
+          findMany: jest.fn().mockResolvedValue([
+            { id: 'c-target', campaignId: 'camp-1', leadId: 'target', attempts: 0 },
+            { id: 'c-src-1', campaignId: 'camp-1', leadId: 'src', attempts: 2 },
+            { id: 'c-src-2', campaignId: 'camp-2', leadId: 'src', attempts: 0 },
+          ]),
+          deleteMany: jest.fn(),
+          updateMany: jest.fn(),
+        },
+      };
+      prisma.$transaction = jest.fn(fn => fn(tx));
+
+      const target = { id: 'target', name: 'Jane', createdAt: '2026-01-01T00:00:00Z' };
+      const source = { id: 'src', name: 'Jane D', createdAt: '2026-02-01T00:00:00Z' };
+      await mergeLeads('org-1', target, [source]);
+
+      expect(tx.callCampaignContact.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['c-target'] } } });
+      expect(tx.callCampaignContact.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['c-src-1', 'c-src-2'] }, leadId: { in: ['src'] } },
+        data: { leadId: 'target' },
+      });
+    });
+  });
+});
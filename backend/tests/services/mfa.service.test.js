@@ -0,0 +1,115 @@
+// ============================================================================
+// HEKAX Phone - MFA Service Tests
+// ============================================================================
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-mfa';
+
+jest.mock('../../lib/prisma', () => ({ user: { updateMany: jest.fn(), findUnique: jest.fn() } }));
+
+const prisma = require('../../lib/prisma');
+const { encrypt } = require('../../lib/encryption');
+const { generateTotp, timeStep } = require('../../lib/totp');
+const {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getStatus,
+  needsEnrollment,
+  verify,
+} = require('../../services/mfa.service');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+function enrolledUser(overrides = {}) {
+  return {
+    id: 'u1',
+    email: 'jo@example.com',
+    mfaEnabled: true,
+    mfaSecret: encrypt(SECRET),
+    mfaLastUsedStep: null,
+    mfaRecoveryCodes: [hashRecoveryCode('abcde-12345')],
+    ...overrides,
+  };
+}
+
+describe('MFA Service', () => {
+  beforeEach(() => {
+    prisma.user.updateMany.mockReset().mockResolvedValue({ count: 1 });
+    prisma.user.findUnique.mockReset().mockResolvedValue(null);
+  });
+
+  it('should generate unique recovery codes and hash them loosely', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashRecoveryCode('ABCDE 12345')).toBe(hashRecoveryCode('abcde-12345'));
+  });
+
+  it('should report status and enrollment policy', () => {
+    expect(getStatus(enrolledUser(), { requireMfa: true })).toEqual({
+      enabled: true,
+      enabledAt: undefined,
+      recoveryCodesRemaining: 1,
+      required: true,
+    });
+    expect(needsEnrollment({ mfaEnabled: false }, { requireMfa: true })).toBe(true);
+    expect(needsEnrollment({ mfaEnabled: true }, { requireMfa: true })).toBe(false);
+    expect(needsEnrollment({ mfaEnabled: false }, { requireMfa: false })).toBe(false);
+  });
+
+  it('should accept a current code and record its step', async () => {
+    const step = timeStep();
+    const result = await verify(enrolledUser(), { code: generateTotp(SECRET, step * 30 * 1000) });
+
+    expect(result).toEqual({ method: 'totp' });
+    expect(prisma.user.updateMany.mock.calls[0][0].data).toEqual({ mfaLastUsedStep: step });
+  });
+
+  it('should reject wrong and replayed codes', async () => {
+    const wrong = String((Number(generateTotp(SECRET)) + 1) % 1000000).padStart(6, '0');
+    expect(await verify(enrolledUser(), { code: wrong })).toEqual({
+      error: 'Invalid verification code',
+    });
+
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    expect(await verify(enrolledUser(), { code: generateTotp(SECRET) })).toEqual({
+      error: 'Verification code already used',
+    });
+  });
+
+  it('should spend a recovery code once', async () => {
+    const result = await verify(enrolledUser(), { recoveryCode: 'ABCDE-12345' });
+
+    expect(result).toEqual({ method: 'recovery', recoveryCodesRemaining: 0 });
+    expect(prisma.user.updateMany.mock.calls[0][0].data).toEqual({ mfaRecoveryCodes: { set: [] } });
+    expect(await verify(enrolledUser({ mfaRecoveryCodes: [] }), { recoveryCode: 'abcde-12345' })).toEqual({
+      error: 'Invalid recovery code',
+    });
+  });
+
+  it('should keep codes another request spent at the same time', async () => {
+    const other = hashRecoveryCode('fghij-67890');
+    const mine = hashRecoveryCode('abcde-12345');
+    // The other code was spent after this user row was read
+    prisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.user.findUnique.mockResolvedValueOnce({ mfaRecoveryCodes: [mine] });
+
+    const result = await verify(enrolledUser({ mfaRecoveryCodes: [mine, other] }), { recoveryCode: 'abcde-12345' });
+
+    expect(result).toEqual({ method: 'recovery', recoveryCodesRemaining: 0 });
+    expect(prisma.user.updateMany.mock.calls[0][0].where).toEqual({ id: 'u1', mfaRecoveryCodes: { equals: [mine, other] } });
+    expect(prisma.user.updateMany.mock.calls[1][0]).toEqual({
+      where: { id: 'u1', mfaRecoveryCodes: { equals: [mine] } },
+      data: { mfaRecoveryCodes: { set: [] } },
+    });
+  });
+
+  it('should not spend a code another request already used', async () => {
+    prisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.user.findUnique.mockResolvedValueOnce({ mfaRecoveryCodes: [] });
+
+    expect(await verify(enrolledUser(), { recoveryCode: 'abcde-12345' })).toEqual({ error: 'Invalid recovery code' });
+    expect(prisma.user.updateMany).toHaveBeenCalledTimes(1);
+  });
+});
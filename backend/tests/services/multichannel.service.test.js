@@ -0,0 +1,93 @@
+// ============================================================================
+// HEKAX Phone - Multi-Channel Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  channel: { findUnique: jest.fn() },
+  conversation: { findUnique: jest.fn() },
+  channelMessage: { create: jest.fn(), findFirst: jest.fn(), update: jest.fn() },
+}));
+jest.mock('../../services/sms.service', () => ({ sendSMS: jest.fn() }));
+
+const prisma = require('../../lib/prisma');
+const { sendSMS } = require('../../services/sms.service');
+const {
+  sendMessage,
+  parseMedia,
+  mediaKind,
+  nextMessageStatus,
+} = require('../../services/multichannel.service');
+
+describe('Multi-Channel Service', () => {
+  describe('parseMedia', () => {
+    it('should read numbered MMS media fields', () => {
+      expect(parseMedia({
+        NumMedia: '2',
+        MediaUrl0: 'https://api.twilio.com/media/ME1',
+        MediaContentType0: 'image/jpeg',
+        MediaUrl1: 'https://api.twilio.com/media/ME2',
+      })).toEqual([
+        { url: 'https://api.twilio.com/media/ME1', contentType: 'image/jpeg' },
+        { url: 'https://api.twilio.com/media/ME2', contentType: 'application/octet-stream' },
+      ]);
+    });
+
+    it('should return nothing for plain SMS', () => {
+      expect(parseMedia({ NumMedia: '0', Body: 'hi' })).toEqual([]);
+      expect(parseMedia({})).toEqual([]);
+    });
+  });
+
+  describe('mediaKind', () => {
+    it('should map MIME types to message content types', () => {
+      expect(mediaKind('image/png')).toBe('image');
+      expect(mediaKind('video/mp4')).toBe('video');
+      expect(mediaKind('audio/amr')).toBe('audio');
+      expect(mediaKind('text/vcard')).toBe('file');
+    });
+  });
+
+  describe('nextMessageStatus', () => {
+    it('should move delivery status forward', () => {
+      expect(nextMessageStatus('PENDING', 'sent')).toBe('SENT');
+      expect(nextMessageStatus('SENT', 'delivered')).toBe('DELIVERED');
+      expect(nextMessageStatus('SENT', 'undelivered')).toBe('FAILED');
+    });
+
+    it('should ignore late, repeated or unknown callbacks', () => {
+      expect(nextMessageStatus('DELIVERED', 'sent')).toBeNull();
+      expect(nextMessageStatus('SENT', 'queued')).toBeNull();
+      expect(nextMessageStatus('DELIVERED', 'delivered')).toBeNull();
+      expect(nextMessageStatus('FAILED', 'delivered')).toBeNull();
+      expect(nextMessageStatus('SENT', 'bogus')).toBeNull();
+    });
+  });
+
+  describe('sendMessage (SMS)', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.channel.findUnique.mockResolvedValue({ id: 'ch-1', type: 'SMS', organizationId: 'org-1' });
+      prisma.conversation.findUnique.mockResolvedValue({ id: 'conv-1', participantPhone: '+15551234567', assignedToId: 'u-1' });
+      prisma.channelMessage.create.mockImplementation(async ({ data }) => ({ id: 'msg-1', ...data }));
+      sendSMS.mockResolvedValue({ success: true, messageSid: 'SM1' });
+    });
+
+    it('should reply from the number the customer texted', async () => {
+      prisma.channelMessage.findFirst.mockResolvedValue({ metadata: { to: '+15550002222' } });
+
+      await sendMessage('ch-1', 'conv-1', 'On our way');
+      expect(sendSMS).toHaveBeenCalledWith('org-1', '+15551234567', 'On our way', expect.objectContaining({ from: '+15550002222' }));
+      expect(prisma.channelMessage.update).toHaveBeenCalledWith({
+        where: { id: 'msg-1' },
+        data: { status: 'SENT', externalId: 'SM1' },
+      });
+    });
+
+    it('should use the default number when the customer never texted in', async () => {
+      prisma.channelMessage.findFirst.mockResolvedValue(null);
+
+      await sendMessage('ch-1', 'conv-1', 'Hello');
+      expect(sendSMS.mock.calls[0][3].from).toBeUndefined();
+    });
+  });
+});
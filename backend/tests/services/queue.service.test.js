@@ -0,0 +1,281 @@
+// ============================================================================
+// HEKAX Phone - Call Queue Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  queuedCall: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    count: jest.fn(),
+    aggregate: jest.fn(),
+  },
+  callQueue: { findUnique: jest.fn() },
+  callQueueMember: { findMany: jest.fn() },
+  userOrganization: { findFirst: jest.fn(), updateMany: jest.fn(), count: jest.fn(), groupBy: jest.fn() },
+}));
+jest.mock('../../services/realtime.service', () => ({ notifyQueueUpdate: jest.fn() }));
+jest.mock('../../services/twilio.service', () => ({ getClientForOrganization: jest.fn() }));
+jest.mock('../../services/routing.service', () => ({
+  buildRoutingTwiml: jest.fn(decision => ({ toString: () => `<Response>${decision.action}</Response>` })),
+}));
+
+const prisma = require('../../lib/prisma');
+const { getClientForOrganization } = require('../../services/twilio.service');
+const {
+  MAX_RING_ATTEMPTS,
+  handleWait,
+  handleQueueResult,
+  handleAgentResult,
+  handleCallEnded,
+  dispatchQueue,
+  sweepQueues,
+  getQueueStats,
+  MISSED_RING_COOLDOWN_MS,
+} = require('../../services/queue.service');
+
+const queue = {
+  id: 'queue-1',
+  name: 'Support',
+  organizationId: 'org-1',
+  greeting: 'Thanks for calling.',
+  announcePosition: true,
+  announceWaitTime: false,
+  announceInterval: 60,
+  ringTimeout: 20,
+  overflowAction: 'voicemail',
+  enabled: true,
+  members: [{ userId: 'user-1' }],
+  organization: { id: 'org-1', slug: 'acme' },
+};
+
+const rungAt = new Date('2026-07-01T12:00:00Z');
+
+function queuedCall(overrides = {}) {
+  return {
+    id: 'qc-1',
+    callSid: 'CA123',
+    fromNumber: '+15551234567',
+    toNumber: '+15550001111',
+    status: 'WAITING',
+    maxWaitTime: 300,
+    enqueuedAt: new Date(Date.now() - 30 * 1000),
+    lastAnnouncedAt: null,
+    agentId: null,
+    agentRungAt: null,
+    attempts: 0,
+    queueId: queue.id,
+    organizationId: 'org-1',
+    queue,
+    ...overrides,
+  };
+}
+
+describe('Queue Service', () => {
+  const update = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+    prisma.queuedCall.updateMany.mockResolvedValue({ count: 1 });
+    prisma.queuedCall.count.mockResolvedValue(0);
+    prisma.queuedCall.findMany.mockResolvedValue([]);
+    prisma.queuedCall.findFirst.mockResolvedValue(null);
+    prisma.callQueue.findUnique.mockResolvedValue(null);
+    prisma.callQueueMember.findMany.mockResolvedValue([]);
+    prisma.userOrganization.updateMany.mockResolvedValue({ count: 1 });
+    getClientForOrganization.mockResolvedValue({ calls: () => ({ update }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handleWait', () => {
+    it('should greet and announce on the first wait', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(queuedCall());
+
+      const twiml = await handleWait('qc-1');
+      expect(twiml).toContain('Thanks for calling.');
+      expect(twiml).toContain('You are caller number 1 in line.');
+      expect(twiml).toContain('<Play>');
+    });
+
+    it('should claim the overflow before leaving the queue', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(queuedCall({ enqueuedAt: new Date(Date.now() - 400 * 1000) }));
+
+      expect(await handleWait('qc-1')).toContain('<Leave/>');
+      expect(prisma.queuedCall.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qc-1', status: { in: ['WAITING'] } },
+        data: expect.objectContaining({ status: 'OVERFLOW', overflowAction: 'voicemail' }),
+      });
+    });
+
+    it('should keep a caller an agent just claimed in the queue', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(queuedCall({ enqueuedAt: new Date(Date.now() - 400 * 1000) }));
+      prisma.queuedCall.updateMany.mockResolvedValue({ count: 0 });
+      expect(await handleWait('qc-1')).not.toContain('<Leave/>');
+
+      prisma.queuedCall.findUnique.mockResolvedValue(queuedCall({ status: 'CONNECTING', agentId: 'user-1' }));
+      expect(await handleWait('qc-1')).toMatch(/<Pause length="2"\/>/);
+    });
+
+    it('should put a caller back from an announcement redirect into the line', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(
+        queuedCall({ status: 'CONNECTING', lastAnnouncedAt: new Date(Date.now() - 90 * 1000) })
+      );
+
+      const twiml = await handleWait('qc-1');
+      expect(prisma.queuedCall.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qc-1', status: 'CONNECTING', agentId: null },
+        data: { status: 'WAITING' },
+      });
+      expect(twiml).toContain('You are caller number 1 in line.');
+      expect(twiml).not.toContain('Thanks for calling.');
+    });
+  });
+
+  describe('handleQueueResult', () => {
+    it('should not overflow a caller that is being connected', async () => {
+      // Claimed by an agent between the <Leave> and this callback
+      prisma.queuedCall.findUnique
+        .mockResolvedValueOnce(queuedCall())
+        .mockResolvedValueOnce({ status: 'CONNECTING' });
+      prisma.queuedCall.updateMany.mockResolvedValue({ count: 0 });
+
+      const twiml = await handleQueueResult('qc-1', { queueResult: 'leave' });
+      expect(twiml).toContain('<Enqueue');
+    });
+
+    it('should route a caller that left for overflow', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(queuedCall({ status: 'OVERFLOW' }));
+
+      expect(await handleQueueResult('qc-1', { queueResult: 'leave' })).toBe('<Response>voicemail</Response>');
+      expect(prisma.queuedCall.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAgentResult', () => {
+    it('should set an agent who missed the call away and re-enqueue the caller', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(
+        queuedCall({ status: 'CONNECTING', agentId: 'user-1', agentRungAt: rungAt, attempts: 1 })
+      );
+
+      const twiml = await handleAgentResult('qc-1', { dialCallStatus: 'no-answer' });
+      expect(prisma.userOrganization.updateMany).toHaveBeenCalledWith({
+        where: { organizationId: 'org-1', userId: 'user-1', agentStatus: 'BUSY', agentStatusAt: rungAt },
+        data: expect.objectContaining({ agentStatus: 'AWAY' }),
+      });
+      const { agentStatusAt, agentAwayUntil } = prisma.userOrganization.updateMany.mock.calls[0][0].data;
+      expect(agentAwayUntil - agentStatusAt).toBe(MISSED_RING_COOLDOWN_MS);
+      expect(prisma.queuedCall.update).toHaveBeenCalledWith({
+        where: { id: 'qc-1' },
+        data: { status: 'WAITING', agentId: null, agentRungAt: null },
+      });
+      expect(twiml).toContain('<Enqueue');
+    });
+
+    it('should overflow after the last unanswered ring', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(
+        queuedCall({ status: 'CONNECTING', agentId: 'user-1', agentRungAt: rungAt, attempts: MAX_RING_ATTEMPTS })
+      );
+
+      expect(await handleAgentResult('qc-1', { dialCallStatus: 'no-answer' })).toBe('<Response>voicemail</Response>');
+      expect(prisma.queuedCall.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qc-1', status: { in: ['CONNECTING'] } },
+        data: expect.objectContaining({ status: 'OVERFLOW' }),
+      });
+    });
+
+    it('should only free the BUSY status the queue set', async () => {
+      prisma.queuedCall.findUnique.mockResolvedValue(
+        queuedCall({ status: 'CONNECTING', agentId: 'user-1', agentRungAt: rungAt })
+      );
+
+      await handleCallEnded('CA123');
+      expect(prisma.userOrganization.updateMany).toHaveBeenCalledWith({
+        where: { organizationId: 'org-1', userId: 'user-1', agentStatus: 'BUSY', agentStatusAt: rungAt },
+        data: expect.objectContaining({ agentStatus: 'AVAILABLE' }),
+      });
+    });
+  });
+
+  describe('dispatchQueue', () => {
+    it('should only ring agents that are still available', async () => {
+      prisma.callQueue.findUnique.mockResolvedValueOnce(queue);
+      prisma.queuedCall.findFirst.mockResolvedValueOnce(queuedCall());
+      prisma.userOrganization.findFirst
+        .mockResolvedValueOnce({ user: { id: 'user-1', name: 'Ana', phone: '+15552223333' } })
+        .mockResolvedValueOnce(null);
+      prisma.userOrganization.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await dispatchQueue('queue-1')).toEqual([]);
+      expect(prisma.queuedCall.update).toHaveBeenCalledWith({
+        where: { id: 'qc-1' },
+        data: { status: 'WAITING', agentId: null, agentRungAt: null, attempts: { decrement: 1 } },
+      });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should ring an agent without a phone on their own softphone identity', async () => {
+      prisma.callQueue.findUnique.mockResolvedValueOnce(queue);
+      prisma.queuedCall.findFirst.mockResolvedValueOnce(queuedCall());
+      prisma.userOrganization.findFirst.mockReset().mockResolvedValueOnce({ user: { id: 'user-1', name: 'Ana', phone: null } });
+
+      expect(await dispatchQueue('queue-1')).toEqual([{ callSid: 'CA123', agentId: 'user-1' }]);
+      expect(update.mock.calls[0][0].twiml).toContain('<Client>acme-agent-user-1</Client>');
+    });
+  });
+
+  describe('getQueueStats', () => {
+    it('should count today from midnight in the organization timezone', async () => {
+      jest.useFakeTimers({ now: new Date('2026-07-01T03:00:00Z') });
+      prisma.callQueue.findUnique.mockResolvedValueOnce({ ...queue, organization: { timezone: 'America/Los_Angeles' } });
+      prisma.queuedCall.aggregate.mockResolvedValueOnce({ _avg: { waitTime: null }, _count: 0 });
+      prisma.userOrganization.groupBy.mockResolvedValueOnce([]);
+
+      await getQueueStats('queue-1');
+      jest.useRealTimers();
+      expect(prisma.queuedCall.aggregate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { queueId: 'queue-1', status: 'COMPLETED', endedAt: { gte: new Date('2026-06-30T07:00:00Z') } },
+        })
+      );
+    });
+  });
+
+  describe('sweepQueues', () => {
+    it('should make agents available again once their cool-down is over', async () => {
+      await sweepQueues();
+      expect(prisma.userOrganization.updateMany).toHaveBeenCalledWith({
+        where: { agentStatus: 'AWAY', agentAwayUntil: { lte: expect.any(Date) } },
+        data: expect.objectContaining({ agentStatus: 'AVAILABLE', agentAwayUntil: null }),
+      });
+    });
+
+    it('should redirect callers past their max wait to the overflow action', async () => {
+      prisma.queuedCall.findMany.mockResolvedValueOnce([queuedCall({ enqueuedAt: new Date(Date.now() - 400 * 1000) })]);
+
+      await sweepQueues();
+      expect(update).toHaveBeenCalledWith({ twiml: '<Response>voicemail</Response>' });
+    });
+
+    it('should redirect callers due an announcement back into the queue', async () => {
+      prisma.queuedCall.findMany.mockResolvedValueOnce([
+        queuedCall({ lastAnnouncedAt: new Date(Date.now() - 90 * 1000) }),
+        queuedCall({ id: 'qc-2', callSid: 'CA456', lastAnnouncedAt: new Date(Date.now() - 10 * 1000) }),
+      ]);
+
+      await sweepQueues();
+      expect(prisma.queuedCall.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qc-1', status: 'WAITING' },
+        data: { status: 'CONNECTING', agentId: null },
+      });
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0].twiml).toContain('queue/wait?queuedCallId=qc-1');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// ============================================================================
+// HEKAX Phone - Knowledge Retrieval Tests
+// ============================================================================
+
+const {
+  KnowledgeIndex,
+  RetrievalBackend,
+  createBackend,
+  buildDocuments,
+  toSourceEntries,
+} = require('../../services/retrieval');
+const { chunkText, normalize, tokenize, stopWordsFor } = require('../../services/retrieval/text');
+
+const trainingData = {
+  faqs: [
+    { id: 'f1', question: 'What are your opening hours?', answer: 'Monday to Friday, 9am to 5pm.', keywords: ['hours', 'open'] },
+    { id: 'f2', question: 'Do you accept insurance?', answer: 'We accept most major plans.', keywords: [] },
+  ],
+  knowledgeBase: [
+    { id: 'k1', title: 'Parking', content: 'There is a free parking lot behind the building. Street parking is metered.' },
+    { id: 'k2', title: 'Pricing', content: 'A standard cleaning costs $120. Whitening starts at $300.' },
+  ],
+};
+
+describe('Knowledge Retrieval', () => {
+  describe('normalize', () => {
+    it('should keep letters of every language', () => {
+      expect(normalize('¿Atención al cliente?')).toBe('atención al cliente');
+      expect(normalize('Montréal, QC')).toBe('montréal qc');
+      expect(normalize('Ｗｉｆｉ パスワード')).toBe('wifi パスワード');
+    });
+
+    it('should only drop English stop words for English', () => {
+      expect(tokenize('Do you have parking?', stopWordsFor('en-US'))).toEqual(['parking']);
+      expect(tokenize('No me gusta', stopWordsFor('es'))).toEqual(['no', 'me', 'gusta']);
+      expect(tokenize('No me gusta', stopWordsFor(null))).toEqual(['no', 'me', 'gusta']);
+    });
+  });
+
+  describe('chunkText', () => {
+    it('should keep short content as one chunk', () => {
+      expect(chunkText('One sentence.')).toEqual(['One sentence.']);
+    });
+
+    it('should split long content on sentence boundaries within the limit', () => {
+      const text = Array.from({ length: 20 }, (_, i) => `This is sentence number ${i}.`).join(' ');
+      const chunks = chunkText(text, { maxChars: 120, overlapChars: 30 });
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach((c) => expect(c.length).toBeLessThanOrEqual(150));
+      expect(chunks[0].startsWith('This is sentence number 0.')).toBe(true);
+    });
+  });
+
+  describe('buildDocuments', () => {
+    it('should create one document per FAQ and per knowledge chunk', () => {
+      const docs = buildDocuments(trainingData);
+      expect(docs.map((d) => d.id)).toEqual(['faq:f1', 'faq:f2', 'knowledge:k1:0', 'knowledge:k2:0']);
+    });
+  });
+
+  describe('BM25 index', () => {
+    let index;
+
+    beforeAll(async () => {
+      index = await new KnowledgeIndex(createBackend(RetrievalBackend.BM25)).build(trainingData);
+    });
+
+    it('should rank the matching passage first', async () => {
+      const [top] = await index.search('where can I park my car? is there parking');
+      expect(top.sourceId).toBe('k1');
+
+      const [hours] = await index.search('what time are you open');
+      expect(hours.sourceId).toBe('f1');
+    });
+
+    it('should respect the limit and return nothing for unrelated queries', async () => {
+      expect(await index.search('insurance pricing parking hours', { limit: 2 })).toHaveLength(2);
+      expect(await index.search('hello there')).toEqual([]);
+    });
+  });
+
+  describe('BM25 index in other languages', () => {
+    it('should match accented words whole', async () => {
+      const index = await new KnowledgeIndex(createBackend(RetrievalBackend.BM25, { language: 'es' })).build({
+        faqs: [
+          { id: 'f1', question: '¿Cuál es el horario de atención?', answer: 'De lunes a viernes.', keywords: [] },
+          { id: 'f2', question: '¿Dónde puedo estacionar?', answer: 'Detrás del edificio.', keywords: [] },
+        ],
+      });
+
+      const [top] = await index.search('horario de atención');
+      expect(top.sourceId).toBe('f1');
+    });
+  });
+
+  describe('toSourceEntries', () => {
+    it('should collapse chunks of the same entry', () => {
+      const sources = toSourceEntries([
+        { sourceType: 'knowledge', sourceId: 'k1', title: 'Parking', score: 2 },
+        { sourceType: 'knowledge', sourceId: 'k1', title: 'Parking', score: 1 },
+        { sourceType: 'faq', sourceId: 'f1', title: 'Hours?', score: 0.5 },
+      ]);
+      expect(sources).toEqual([
+        { type: 'knowledge', id: 'k1', title: 'Parking', score: 2 },
+        { type: 'faq', id: 'f1', title: 'Hours?', score: 0.5 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// ============================================================================
+// HEKAX Phone - Call Routing Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  organization: { findUnique: jest.fn() },
+  lead: { findFirst: jest.fn() },
+  userOrganization: { findMany: jest.fn() },
+  callLog: { upsert: jest.fn() },
+}));
+jest.mock('../../services/voicemail.service', () => ({
+  appendVoicemailRecording: jest.fn((twiml, organization, greeting) => twiml.say(greeting || 'Leave a message')),
+}));
+jest.mock('../../services/queue.service', () => ({
+  appendEnqueue: jest.fn((twiml, queuedCall) => twiml.enqueue(queuedCall.id)),
+}));
+
+const prisma = require('../../lib/prisma');
+const { appendEnqueue } = require('../../services/queue.service');
+const { routeCall, buildRoutingTwiml, recordRoutingDecision } = require('../../services/routing.service');
+
+const CALLER = '+15551234567';
+const CALLED = '+15550001111';
+
+const organization = { id: 'org-1', slug: 'acme' };
+
+function org(overrides = {}) {
+  return {
+    id: 'org-1',
+    aiEnabled: true,
+    businessHours: null,
+    timezone: 'America/New_York',
+    afterHoursMode: 'ai',
+    afterHoursGreeting: 'We are closed.',
+    callRoutes: [],
+    ...overrides,
+  };
+}
+
+// Closed every day, so the call is always after hours
+const CLOSED = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, { enabled: false }]));
+
+const route = (overrides = {}) => ({ id: 'route-1', name: 'Sales', enabled: true, priority: 0, ...overrides });
+
+const render = decision =>
+  buildRoutingTwiml(decision, { organization, callerNumber: CALLER, calledNumber: CALLED, wsHost: 'api.example.com' }).toString();
+
+describe('Routing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+    prisma.lead.findFirst.mockResolvedValue(null);
+    prisma.userOrganization.findMany.mockResolvedValue([]);
+  });
+
+  describe('routeCall', () => {
+    it('should send VIP callers to their assigned agent', async () => {
+      prisma.organization.findUnique.mockResolvedValue(org());
+      prisma.lead.findFirst.mockResolvedValue({
+        id: 'lead-1',
+        name: 'Dana',
+        phone: CALLER,
+        assignedToId: 'user-1',
+        assignedTo: { id: 'user-1', name: 'Ana', phone: '+15552223333' },
+      });
+
+      const decision = await routeCall('org-1', CALLER, CALLED);
+      expect(decision).toMatchObject({
+        action: 'transfer',
+        target: 'user-1',
+        agents: [{ id: 'user-1', phone: '+15552223333' }],
+        context: { isVIP: true },
+      });
+    });
+
+    it('should follow the first matching route', async () => {
+      prisma.organization.findUnique.mockResolvedValue(
+        org({
+          callRoutes: [
+            route({ id: 'route-vip', vipOnly: true, action: 'FORWARD', forwardNumber: '+15559990000' }),
+            route({ id: 'route-ai', action: 'AI', aiPersonality: 'friendly', callerPattern: '^\\+1555' }),
+          ],
+        })
+      );
+
+      const decision = await routeCall('org-1', CALLER, CALLED);
+      expect(decision).toMatchObject({ action: 'ai', personality: 'friendly', reason: 'Matched route: Sales' });
+      expect(decision.context.matchedRoute.id).toBe('route-ai');
+    });
+
+    it('should ring the department of a department route', async () => {
+      prisma.organization.findUnique.mockResolvedValue(org({ callRoutes: [route({ action: 'DEPARTMENT', department: 'sales' })] }));
+      prisma.userOrganization.findMany.mockResolvedValue([
+        { userId: 'user-2', user: { name: 'Bo', phone: '+15554445555' } },
+      ]);
+
+      const decision = await routeCall('org-1', CALLER, CALLED);
+      expect(decision).toMatchObject({
+        action: 'department',
+        department: 'sales',
+        agents: [{ id: 'user-2', name: 'Bo', phone: '+15554445555' }],
+      });
+    });
+
+    it('should use a queue route with its wait limit', async () => {
+      prisma.organization.findUnique.mockResolvedValue(
+        org({ callRoutes: [route({ action: 'QUEUE', queueId: 'queue-1', queue: { maxWaitTime: 120 } })] })
+      );
+
+      expect(await routeCall('org-1', CALLER, CALLED)).toMatchObject({ action: 'queue', queueId: 'queue-1', maxWaitTime: 120 });
+    });
+
+    it('should apply the after-hours mode outside business hours', async () => {
+      prisma.organization.findUnique.mockResolvedValue(org({ businessHours: CLOSED, afterHoursMode: 'voicemail' }));
+      expect(await routeCall('org-1', CALLER, CALLED)).toMatchObject({
+        action: 'voicemail',
+        greeting: 'We are closed.',
+        context: { isBusinessHours: false },
+      });
+
+      prisma.organization.findUnique.mockResolvedValue(
+        org({ businessHours: CLOSED, afterHoursMode: 'forward', afterHoursForwardNumber: '+15557778888' })
+      );
+      expect(await routeCall('org-1', CALLER, CALLED)).toMatchObject({ action: 'forward', target: '+15557778888' });
+    });
+
+    it('should ring the team when AI is turned off for the number', async () => {
+      prisma.organization.findUnique.mockResolvedValue(org());
+
+      expect((await routeCall('org-1', CALLER, CALLED)).action).toBe('ai');
+      expect((await routeCall('org-1', CALLER, CALLED, { aiEnabled: false })).action).toBe('client');
+    });
+  });
+
+  describe('buildRoutingTwiml', () => {
+    it('should connect AI calls with the route personality', () => {
+      const twiml = render({ action: 'ai', personality: 'friendly', context: { matchedRoute: { id: 'route-1' } } });
+
+      expect(twiml).toContain('<Stream url="wss://api.example.com/media-stream">');
+      expect(twiml).toContain('<Parameter name="aiPersonality" value="friendly"/>');
+      expect(twiml).toContain('<Parameter name="callRouteId" value="route-1"/>');
+    });
+
+    it('should dial agents and the web client together', () => {
+      const twiml = render({ action: 'department', agents: [{ phone: '+15554445555' }, { phone: null }] });
+
+      expect(twiml).toContain(`callerId="${CALLER}"`);
+      expect(twiml).toContain('<Number>+15554445555</Number>');
+      expect(twiml).toContain('<Client>acme-web</Client>');
+    });
+
+    it('should fall back to voicemail when there is nowhere to send the call', () => {
+      expect(render({ action: 'forward', target: null, greeting: 'Nobody is in.' })).toContain('<Say>Nobody is in.</Say>');
+      expect(render({ action: 'queue', queueId: 'queue-1' })).toContain('<Say>Leave a message</Say>');
+      expect(appendEnqueue).not.toHaveBeenCalled();
+    });
+
+    it('should enqueue a registered queue caller', () => {
+      const queuedCall = { id: 'qc-1' };
+      expect(render({ action: 'queue', queuedCall })).toContain('<Enqueue>qc-1</Enqueue>');
+      expect(appendEnqueue).toHaveBeenCalledWith(expect.anything(), queuedCall);
+    });
+  });
+
+  describe('recordRoutingDecision', () => {
+    it('should save the route taken on the call log', async () => {
+      const decision = {
+        action: 'queue',
+        queueId: 'queue-1',
+        maxWaitTime: 120,
+        reason: 'Matched route: Support',
+        context: { isBusinessHours: true, isVIP: false, matchedRoute: { id: 'route-1' } },
+      };
+
+      await recordRoutingDecision('CA123', decision, {
+        organizationId: 'org-1',
+        phoneNumberId: 'pn-1',
+        fromNumber: CALLER,
+        toNumber: CALLED,
+      });
+
+      const routing = {
+        routeAction: 'queue',
+        routeReason: 'Matched route: Support',
+        routeTarget: 'queue-1',
+        routingContext: { isBusinessHours: true, isVIP: false, personality: null, maxWaitTime: 120 },
+        callRouteId: 'route-1',
+      };
+      expect(prisma.callLog.upsert).toHaveBeenCalledWith({
+        where: { callSid: 'CA123' },
+        update: { ...routing, organizationId: 'org-1' },
+        create: expect.objectContaining({
+          ...routing,
+          callSid: 'CA123',
+          direction: 'INBOUND',
+          status: 'RINGING',
+          fromNumber: CALLER,
+          phoneNumberId: 'pn-1',
+        }),
+      });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// ============================================================================
+// HEKAX Phone - Sentence Segmenter Tests
+// ============================================================================
+
+const { SentenceSegmenter, splitSentences } = require('../../services/tts/segmenter');
+
+describe('Sentence Segmenter', () => {
+  it('should emit sentences as streamed tokens complete them', () => {
+    const segmenter = new SentenceSegmenter();
+    const tokens = ['Thanks for calling', ' Acme Dental.', ' We are open', ' until five today.', ' Anything else?'];
+    const emitted = tokens.map((t) => segmenter.push(t));
+
+    expect(emitted[1]).toEqual([]); // no whitespace after the period yet
+    expect(emitted[2]).toEqual(['Thanks for calling Acme Dental.']);
+    expect(emitted[4]).toEqual(['We are open until five today.']);
+    expect(segmenter.flush()).toEqual(['Anything else?']);
+  });
+
+  it('should not cut at abbreviations or very short sentences', () => {
+    expect(splitSentences('Sure. Dr. Patel can see you at 3 p.m. tomorrow. Does that work for you?')).toEqual([
+      'Sure. Dr. Patel can see you at 3 p.m. tomorrow.',
+      'Does that work for you?',
+    ]);
+  });
+
+  it('should cut long run-on text at clause boundaries', () => {
+    const segmenter = new SentenceSegmenter({ minChars: 10, maxChars: 40 });
+    const pieces = segmenter.push('We have openings on Monday, Tuesday and Wednesday morning, and also Friday ');
+    expect(pieces).toEqual(['We have openings on Monday, Tuesday and Wednesday morning,']);
+  });
+
+  it('should return nothing for empty text', () => {
+    expect(splitSentences('')).toEqual([]);
+  });
+});
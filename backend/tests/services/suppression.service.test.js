@@ -0,0 +1,134 @@
+// ============================================================================
+// HEKAX Phone - Do-Not-Contact Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({
+  suppression: { findUnique: jest.fn(), delete: jest.fn() },
+  suppressionEvent: { create: jest.fn() },
+  lead: { updateMany: jest.fn() },
+  $transaction: jest.fn(ops => Promise.all(ops)),
+}));
+
+const prisma = require('../../lib/prisma');
+const {
+  detectType,
+  normalizeValue,
+  parseKeyword,
+  keywordReply,
+  unmatchedKeywordReply,
+  parseImport,
+  toCSV,
+  handleSmsKeyword,
+} = require('../../services/suppression.service');
+
+describe('Suppression Service', () => {
+  describe('parseKeyword', () => {
+    it('should match whole-message keywords in any case', () => {
+      expect(parseKeyword('STOP')).toBe('STOP');
+      expect(parseKeyword('  stop. ')).toBe('STOP');
+      expect(parseKeyword('Unsubscribe')).toBe('STOP');
+      expect(parseKeyword('start')).toBe('START');
+      expect(parseKeyword('UNSTOP')).toBe('START');
+      expect(parseKeyword('help')).toBe('HELP');
+    });
+
+    it('should ignore ordinary messages', () => {
+      expect(parseKeyword('Please stop by tomorrow')).toBeNull();
+      expect(parseKeyword('YES')).toBeNull();
+      expect(parseKeyword('')).toBeNull();
+      expect(parseKeyword(undefined)).toBeNull();
+    });
+  });
+
+  describe('keywordReply', () => {
+    it('should name the organization and how to opt back in or out', () => {
+      const org = { name: 'Acme Dental', twilioNumber: '+15550001111' };
+      expect(keywordReply('STOP', org)).toMatch(/unsubscribed from Acme Dental.*Reply START/);
+      expect(keywordReply('START', org)).toMatch(/resubscribed.*Reply STOP/);
+      expect(keywordReply('HELP', org)).toMatch(/Acme Dental: for help call \+15550001111/);
+    });
+  });
+
+  describe('unmatchedKeywordReply', () => {
+    it('should still confirm STOP and HELP without an organization', () => {
+      expect(unmatchedKeywordReply(' stop ')).toMatch(/unsubscribed from us.*Reply START/);
+      expect(unmatchedKeywordReply('HELP')).toMatch(/Reply STOP to unsubscribe/);
+      expect(unmatchedKeywordReply('START')).toBeNull();
+      expect(unmatchedKeywordReply('Running late')).toBeNull();
+    });
+  });
+
+  describe('normalizeValue', () => {
+    it('should normalize by type', () => {
+      expect(detectType('Jane@Example.com')).toBe('EMAIL');
+      expect(detectType('(555) 123-4567')).toBe('PHONE');
+      expect(normalizeValue('PHONE', '(555) 123-4567')).toBe('+15551234567');
+      expect(normalizeValue('EMAIL', ' Jane@Example.com ')).toBe('jane@example.com');
+      expect(normalizeValue('EMAIL', 'not-an-email')).toBeNull();
+    });
+  });
+
+  describe('parseImport', () => {
+    it('should read phone and email columns', () => {
+      const { entries, invalid } = parseImport(
+        'Name,Phone,Email,Reason\nJane,555-123-4567,jane@example.com,Complained\nBob,12,,\n'
+      );
+      expect(entries).toEqual([
+        { type: 'PHONE', value: '+15551234567', reason: 'Complained' },
+        { type: 'EMAIL', value: 'jane@example.com', reason: 'Complained' },
+      ]);
+      expect(invalid).toBe(1);
+    });
+
+    it('should read a value column and detect types', () => {
+      const { entries } = parseImport('value\n+44 20 7946 0958\nBOB@example.com\n');
+      expect(entries).toEqual([
+        { type: 'PHONE', value: '+442079460958', reason: null },
+        { type: 'EMAIL', value: 'bob@example.com', reason: null },
+      ]);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should export rows that import back', () => {
+      const csv = toCSV([
+        { type: 'PHONE', value: '+15551234567', source: 'SMS_KEYWORD', reason: 'Replied STOP, twice', createdAt: new Date('2026-07-01T00:00:00Z') },
+      ]);
+      expect(csv).toBe(
+        'type,value,source,reason,createdAt\nPHONE,+15551234567,SMS_KEYWORD,"Replied STOP, twice",2026-07-01T00:00:00.000Z\n'
+      );
+      expect(parseImport(csv).entries).toEqual([
+        { type: 'PHONE', value: '+15551234567', reason: 'Replied STOP, twice' },
+      ]);
+    });
+  });
+
+  describe('handleSmsKeyword', () => {
+    const org = { id: 'org-1', name: 'Acme Dental' };
+    const listedAt = new Date('2026-07-01T00:00:00Z');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should let START undo a STOP and only clear leads flagged by it', async () => {
+      prisma.suppression.findUnique.mockResolvedValue({ id: 's-1', source: 'SMS_KEYWORD', createdAt: listedAt });
+
+      expect(await handleSmsKeyword(org, '+15551234567', 'start')).toMatch(/resubscribed/);
+      expect(prisma.suppression.delete).toHaveBeenCalledWith({ where: { id: 's-1' } });
+      expect(prisma.lead.updateMany).toHaveBeenCalledWith({
+        where: { organizationId: 'org-1', phone: '+15551234567', doNotCall: true, doNotCallAt: { gte: listedAt } },
+        data: { doNotCall: false, doNotCallAt: null },
+      });
+    });
+
+    it('should keep entries the organization added', async () => {
+      prisma.suppression.findUnique.mockResolvedValue({ id: 's-1', source: 'CALL', createdAt: listedAt });
+
+      expect(await handleSmsKeyword(org, '+15551234567', 'START')).toMatch(/still on the do-not-contact list for Acme Dental/);
+      expect(prisma.suppression.delete).not.toHaveBeenCalled();
+      expect(prisma.lead.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+// ============================================================================
+// HEKAX Phone - AI Training Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const {
+  matchCustomResponse,
+  buildTrainingPrompt,
+} = require('../../services/training.service');
+
+describe('Training Service', () => {
+  describe('matchCustomResponse', () => {
+    const responses = [
+      { id: 'r1', triggerPhrase: 'Are you open?', response: 'Yes, 9 to 5.', matchType: 'exact', isActive: true },
+      { id: 'r2', triggerPhrase: 'parking', response: 'Free parking out back.', matchType: 'contains', isActive: true },
+      { id: 'r3', triggerPhrase: '\\bwi-?fi\\b', response: 'The password is on the wall.', matchType: 'regex', isActive: true },
+      { id: 'r4', triggerPhrase: 'refund', response: 'Disabled.', matchType: 'contains', isActive: false },
+    ];
+
+    it('should match exact phrases ignoring case and punctuation', () => {
+      expect(matchCustomResponse(responses, 'are you open')?.id).toBe('r1');
+      expect(matchCustomResponse(responses, 'are you open on sundays')).toBeNull();
+    });
+
+    it('should match contains on whole words', () => {
+      expect(matchCustomResponse(responses, 'Where is the parking lot?')?.id).toBe('r2');
+      expect(matchCustomResponse(responses, 'I was parkingly confused')).toBeNull();
+    });
+
+    it('should match accented phrases', () => {
+      const spanish = [{ id: 'r5', triggerPhrase: 'atención', response: 'Sí.', matchType: 'contains', isActive: true }];
+      expect(matchCustomResponse(spanish, '¿Horario de atención?')?.id).toBe('r5');
+      expect(matchCustomResponse(spanish, 'atenci')).toBeNull();
+    });
+
+    it('should match regex triggers', () => {
+      expect(matchCustomResponse(responses, 'Do you have WiFi?')?.id).toBe('r3');
+    });
+
+    it('should skip inactive responses and invalid regexes', () => {
+      const withBadRegex = [{ id: 'bad', triggerPhrase: '([', matchType: 'regex' }, ...responses];
+      expect(matchCustomResponse(withBadRegex, 'I want a refund')).toBeNull();
+    });
+  });
+
+  describe('buildTrainingPrompt', () => {
+    it('should be empty without training data', () => {
+      expect(buildTrainingPrompt({})).toBe('');
+    });
+
+    it('should include retrieved passages', () => {
+      const prompt = buildTrainingPrompt({
+        passages: [
+          { sourceType: 'faq', text: 'Q: Hours?\nA: 9-5' },
+          { sourceType: 'knowledge', title: 'Parking', text: 'Free lot behind the building.' },
+        ],
+      });
+      expect(prompt).toContain('Q: Hours?');
+      expect(prompt).toContain('### Parking');
+    });
+  });
+});
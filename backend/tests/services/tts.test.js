@@ -0,0 +1,82 @@
+// ============================================================================
+// HEKAX Phone - TTS Service Tests
+// ============================================================================
+
+jest.mock('../../lib/prisma', () => ({}));
+
+const {
+  TTSProvider,
+  AudioFormat,
+  createTTSProvider,
+  resolveTTSProvider,
+  selectableProviders,
+} = require('../../services/tts');
+const { linearToMulaw, pcm24kToMulaw8k } = require('../../services/tts/audio');
+
+describe('TTS Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('resolveTTSProvider', () => {
+    it('should use the organization voice provider when a key is available', () => {
+      process.env.ELEVENLABS_API_KEY = 'xi-test';
+      delete process.env.TTS_PROVIDER;
+      const tts = resolveTTSProvider({ voiceProvider: 'elevenlabs' });
+      expect(tts.name).toBe('elevenlabs');
+      expect(tts.apiKey).toBe('xi-test');
+    });
+
+    it('should fall back to OpenAI when the provider has no key', () => {
+      delete process.env.ELEVENLABS_API_KEY;
+      delete process.env.TTS_PROVIDER;
+      process.env.OPENAI_API_KEY = 'sk-test';
+      expect(resolveTTSProvider({ voiceProvider: 'elevenlabs' }).name).toBe('openai');
+    });
+
+    it('should honor the TTS_PROVIDER override', () => {
+      process.env.TTS_PROVIDER = 'local';
+      expect(resolveTTSProvider({ voiceProvider: 'elevenlabs' }).name).toBe('local');
+    });
+
+    it('should only offer the local stub outside production', () => {
+      expect(selectableProviders()).toContain('local');
+      process.env.NODE_ENV = 'production';
+      expect(selectableProviders()).toEqual(['openai', 'elevenlabs']);
+    });
+  });
+
+  describe('voices', () => {
+    it('should fall back to the provider default for unknown voices', () => {
+      const elevenlabs = createTTSProvider(TTSProvider.ELEVENLABS);
+      expect(elevenlabs.resolveVoice('nova')).toBe(elevenlabs.defaultVoice);
+      expect(elevenlabs.isValidVoice('AbCdEfGhIjKlMnOpQrSt')).toBe(true);
+      expect(createTTSProvider(TTSProvider.OPENAI).resolveVoice('onyx')).toBe('onyx');
+    });
+  });
+
+  describe('local provider', () => {
+    it('should produce mu-law audio sized to the text', async () => {
+      const tts = createTTSProvider(TTSProvider.LOCAL);
+      const { audio, contentType } = await tts.synthesize('Hello there', { format: AudioFormat.MULAW_8000 });
+      expect(contentType).toBe('audio/basic');
+      expect(audio.length).toBe(Math.round(11 * 0.05 * 8000));
+    });
+
+    it('should produce WAV audio for previews', async () => {
+      const tts = createTTSProvider(TTSProvider.LOCAL);
+      const { audio, contentType } = await tts.synthesize('Hi', { voice: 'low', format: AudioFormat.MP3 });
+      expect(contentType).toBe('audio/wav');
+      expect(audio.toString('ascii', 0, 4)).toBe('RIFF');
+    });
+  });
+
+  describe('audio conversion', () => {
+    it('should encode the sign bit and downsample 24kHz PCM', () => {
+      expect(linearToMulaw(1000) ^ linearToMulaw(-1000)).toBe(0x80);
+      expect(pcm24kToMulaw8k(Buffer.alloc(24000 * 2)).length).toBe(8000);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// ============================================================================
+// HEKAX Phone - Webhook Subscription Service Tests
+// ============================================================================
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-webhooks';
+
+jest.mock('../../lib/prisma', () => ({
+  webhookDelivery: { findMany: jest.fn(), updateMany: jest.fn(), update: jest.fn() },
+  webhookSubscription: { update: jest.fn() },
+}));
+
+const prisma = require('../../lib/prisma');
+const { encrypt } = require('../../lib/encryption');
+
+const WebhookProvider = require('../../services/crm/providers/webhook');
+const {
+  MAX_ATTEMPTS,
+  signPayload,
+  signDelivery,
+  verifySignature,
+  attemptDelivery,
+  processRetries,
+  nextRetryDelay,
+  subscribesTo,
+  validateSubscription,
+  shapeSubscription,
+} = require('../../services/webhook.service');
+
+describe('Webhook Service', () => {
+  describe('signPayload', () => {
+    it('should match the CRM webhook provider signature scheme', () => {
+      const provider = new WebhookProvider();
+      provider.webhookSecret = 'whsec_test';
+      const body = JSON.stringify({ event: 'lead:created', data: { id: 'l1' } });
+
+      expect(signPayload('whsec_test', body)).toBe(provider.generateSignature(body));
+      expect(signPayload('whsec_test', body)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('nextRetryDelay', () => {
+    it('should back off exponentially from one minute', () => {
+      expect(nextRetryDelay(1)).toBe(60 * 1000);
+      expect(nextRetryDelay(2)).toBe(2 * 60 * 1000);
+      expect(nextRetryDelay(4)).toBe(8 * 60 * 1000);
+    });
+
+    it('should stop once the attempts run out', () => {
+      expect(nextRetryDelay(MAX_ATTEMPTS - 1)).toBeGreaterThan(0);
+      expect(nextRetryDelay(MAX_ATTEMPTS)).toBeNull();
+    });
+  });
+
+  describe('subscribesTo', () => {
+    it('should match listed events or the wildcard', () => {
+      expect(subscribesTo({ events: ['lead:created'] }, 'lead:created')).toBe(true);
+      expect(subscribesTo({ events: ['lead:created'] }, 'call:completed')).toBe(false);
+      expect(subscribesTo({ events: ['*'] }, 'call:completed')).toBe(true);
+    });
+  });
+
+  describe('validateSubscription', () => {
+    it('should require a URL and known events on create', () => {
+      expect(validateSubscription({ events: ['lead:created'] }).error).toMatch(/url/);
+      expect(validateSubscription({ url: 'ftp://example.com', events: ['lead:created'] }).error).toMatch(/https/);
+      expect(validateSubscription({ url: 'https://example.com/hook' }).error).toMatch(/at least one event/);
+      expect(validateSubscription({ url: 'https://example.com/hook', events: ['nope'] }).error).toMatch(/Unknown events: nope/);
+    });
+
+    it('should accept automation events and dedupe them', () => {
+      const { data, error } = validateSubscription({
+        url: 'https://example.com/hook',
+        events: ['lead:created', 'lead:created', 'call:completed'],
+        description: '  CRM sync  ',
+      });
+
+      expect(error).toBeUndefined();
+      expect(data).toEqual({
+        url: 'https://example.com/hook',
+        events: ['lead:created', 'call:completed'],
+        description: 'CRM sync',
+      });
+    });
+
+    it('should only validate given fields on update', () => {
+      expect(validateSubscription({ enabled: false }, { partial: true })).toEqual({ data: { enabled: false } });
+      expect(validateSubscription({ events: [] }, { partial: true }).error).toMatch(/at least one event/);
+    });
+  });
+
+  it('should never expose the secret', () => {
+    expect(shapeSubscription({ id: 's1', url: 'https://x', secret: 'enc' })).toEqual({ id: 's1', url: 'https://x' });
+  });
+
+  describe('verifySignature', () => {
+    const body = JSON.stringify({ event: 'lead:created' });
+    const now = 1701849600 * 1000;
+
+    it('should sign the timestamp with the body', () => {
+      const signature = signDelivery('whsec_test', 1701849600, body);
+
+      expect(signature).toBe(signPayload('whsec_test', `1701849600.${body}`));
+      expect(verifySignature('whsec_test', '1701849600', body, signature, { now })).toBe(true);
+      expect(verifySignature('whsec_test', '1701849601', body, signature, { now })).toBe(false);
+      expect(verifySignature('whsec_other', '1701849600', body, signature, { now })).toBe(false);
+    });
+
+    it('should reject timestamps outside the tolerance window', () => {
+      const signature = signDelivery('whsec_test', 1701849600, body);
+
+      expect(verifySignature('whsec_test', '1701849600', body, signature, { now: now + 4 * 60000 })).toBe(true);
+      expect(verifySignature('whsec_test', '1701849600', body, signature, { now: now + 6 * 60000 })).toBe(false);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    const subscription = { id: 'sub-1', url: 'http://169.254.169.254/latest/meta-data', secret: encrypt('whsec_test') };
+    const delivery = { id: 'd1', event: 'lead:created', payload: { id: 'e1' }, attempts: 0 };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      global.fetch = jest.fn();
+      prisma.webhookDelivery.update.mockImplementation(({ data }) => Promise.resolve({ id: 'd1', ...data }));
+    });
+
+    it('should refuse private addresses without sending', async () => {
+      const result = await attemptDelivery(delivery, subscription);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'RETRYING', attempts: 1, error: expect.stringMatching(/not a public address/) });
+    });
+
+    it('should keep the status and the start of the response body', async () => {
+      global.fetch.mockResolvedValue(new Response(`Bad signature whsec_test ${'x'.repeat(5000)}`, { status: 500 }));
+
+      const result = await attemptDelivery(delivery, { ...subscription, url: 'https://93.184.215.14/hook' });
+
+      const [, init] = global.fetch.mock.calls[0];
+      expect(init.redirect).toBe('manual');
+      expect(init.headers['X-HEKAX-Signature']).toBe(
+        signDelivery('whsec_test', init.headers['X-HEKAX-Timestamp'], init.body)
+      );
+      expect(result).toMatchObject({ status: 'RETRYING', responseStatus: 500, error: 'HTTP 500' });
+      expect(result.responseBody).toMatch(/^Bad signature \[redacted\] x+$/);
+      expect(Buffer.byteLength(result.responseBody)).toBeLessThanOrEqual(4096);
+    });
+  });
+
+  describe('processRetries', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should claim deliveries with a lease and survive failed attempts', async () => {
+      const due = new Date(Date.now() - 1000);
+      prisma.webhookDelivery.findMany.mockResolvedValue([
+        { id: 'd1', nextAttemptAt: due, attempts: 1, subscription: { id: 'sub-1', enabled: true, secret: 'not-encrypted' } },
+      ]);
+      prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+      prisma.webhookDelivery.update.mockRejectedValue(new Error('database unavailable'));
+
+      await expect(processRetries()).resolves.toEqual({ retried: 0 });
+
+      const { where, data } = prisma.webhookDelivery.updateMany.mock.calls[0][0];
+      expect(where).toMatchObject({ id: 'd1', status: 'RETRYING', nextAttemptAt: due });
+      expect(data.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+});
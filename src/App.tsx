@@ -16,6 +16,7 @@ const DashboardPage = lazy(() => import('./pages/Dashboard').then(m => ({ defaul
 const CallsPage = lazy(() => import('./pages/Calls').then(m => ({ default: m.CallsPage })));
 const LeadsPage = lazy(() => import('./pages/Leads').then(m => ({ default: m.LeadsPage })));
 const SoftphonePage = lazy(() => import('./pages/Softphone').then(m => ({ default: m.SoftphonePage })));
+const CampaignsPage = lazy(() => import('./pages/Campaigns').then(m => ({ default: m.CampaignsPage })));
 const TeamPage = lazy(() => import('./pages/Team').then(m => ({ default: m.TeamPage })));
 const SettingsPage = lazy(() => import('./pages/Settings').then(m => ({ default: m.SettingsPage })));
 const PhoneNumbersPage = lazy(() => import('./pages/PhoneNumbers').then(m => ({ default: m.PhoneNumbersPage })));
@@ -45,6 +46,7 @@ const pathToPage: Record<string, Page> = {
   '/calls': 'calls',
   '/leads': 'leads',
   '/softphone': 'softphone',
+  '/campaigns': 'campaigns',
   '/team': 'team',
   '/settings': 'settings',
   '/settings/integrations': 'settings',
@@ -64,6 +66,7 @@ const pageToPath: Record<Page, string> = {
   'calls': '/calls',
   'leads': '/leads',
   'softphone': '/softphone',
+  'campaigns': '/campaigns',
   'team': '/team',
   'settings': '/settings',
   'phone-numbers': '/phone-numbers',
@@ -188,6 +191,8 @@ function AppContent() {
         return <LeadsPage />;
       case 'softphone':
         return <SoftphonePage />;
+      case 'campaigns':
+        return <CampaignsPage />;
       case 'team':
         return <TeamPage />;
       case 'settings':
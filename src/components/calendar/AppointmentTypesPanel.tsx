@@ -0,0 +1,381 @@
+// ============================================================================
+// HEKAX Phone - Appointment Types Panel
+// Bookable services, their intake questions and the staff who take them
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { ClipboardList, Plus, Pencil, Trash2, Loader2, Users } from 'lucide-react';
+import { Button, Modal } from '../common';
+import { useAuth } from '../../context/AuthContext';
+import { bookingApi, teamApi } from '../../utils/api';
+import type { AppointmentType, AppointmentAssignmentMode, TeamMember } from '../../types';
+
+interface AppointmentTypesPanelProps {
+  setMessage: (msg: { type: 'success' | 'error'; text: string } | null) => void;
+}
+
+interface TypeForm {
+  name: string;
+  description: string;
+  duration: number;
+  bufferMinutes: string; // Empty uses the organization's buffer
+  price: string; // Dollars; empty for no price
+  intakeQuestions: string; // One per line
+  assignmentMode: AppointmentAssignmentMode;
+  enabled: boolean;
+  staffIds: string[]; // In priority order
+}
+
+const EMPTY_FORM: TypeForm = {
+  name: '',
+  description: '',
+  duration: 30,
+  bufferMinutes: '',
+  price: '',
+  intakeQuestions: '',
+  assignmentMode: 'ROUND_ROBIN',
+  enabled: true,
+  staffIds: [],
+};
+
+const ASSIGNMENT_LABELS: Record<AppointmentAssignmentMode, string> = {
+  ROUND_ROBIN: 'Round-robin (spread evenly)',
+  PRIORITY: 'Priority (first free in list order)',
+};
+
+const inputClass =
+  'w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500';
+
+function toForm(type: AppointmentType): TypeForm {
+  return {
+    name: type.name,
+    description: type.description || '',
+    duration: type.duration,
+    bufferMinutes: type.bufferMinutes === null ? '' : String(type.bufferMinutes),
+    price: type.priceCents === null ? '' : (type.priceCents / 100).toFixed(2),
+    intakeQuestions: type.intakeQuestions.join('\n'),
+    assignmentMode: type.assignmentMode,
+    enabled: type.enabled,
+    staffIds: [...type.staff].sort((a, b) => a.priority - b.priority).map(s => s.userId),
+  };
+}
+
+function formatPrice(type: AppointmentType) {
+  if (type.priceCents === null) return null;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: type.currency.toUpperCase() }).format(
+    type.priceCents / 100
+  );
+}
+
+export function AppointmentTypesPanel({ setMessage }: AppointmentTypesPanelProps) {
+  const { user } = useAuth();
+  const [types, setTypes] = useState<AppointmentType[]>([]);
+  const [members, setMembers] = useState<TeamMember[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState<AppointmentType | 'new' | null>(null);
+  const [form, setForm] = useState<TypeForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = user?.role === 'OWNER' || user?.role === 'ADMIN';
+
+  useEffect(() => {
+    fetchTypes();
+    if (canEdit) {
+      teamApi
+        .list()
+        .then(team => setMembers(team.filter(m => m.status === 'ACTIVE')))
+        .catch(err => console.error('Failed to load team:', err));
+    }
+  }, [canEdit]);
+
+  const fetchTypes = async () => {
+    try {
+      const { appointmentTypes } = await bookingApi.appointmentTypes();
+      setTypes(appointmentTypes);
+    } catch (err) {
+      console.error('Failed to load appointment types:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (type: AppointmentType | 'new') => {
+    setForm(type === 'new' ? EMPTY_FORM : toForm(type));
+    setEditing(type);
+  };
+
+  const toggleStaff = (userId: string) => {
+    setForm(prev => ({
+      ...prev,
+      staffIds: prev.staffIds.includes(userId)
+        ? prev.staffIds.filter(id => id !== userId)
+        : [...prev.staffIds, userId],
+    }));
+  };
+
+  const saveType = async () => {
+    if (!editing) return;
+    setSaving(true);
+    try {
+      const data = {
+        name: form.name,
+        description: form.description || null,
+        duration: form.duration,
+        bufferMinutes: form.bufferMinutes === '' ? null : parseInt(form.bufferMinutes),
+        priceCents: form.price === '' ? null : Math.round(parseFloat(form.price) * 100),
+        intakeQuestions: form.intakeQuestions.split('\n').map(q => q.trim()).filter(Boolean),
+        assignmentMode: form.assignmentMode,
+        enabled: form.enabled,
+      };
+      const staff = form.staffIds.map((userId, priority) => ({ userId, priority }));
+
+      if (editing === 'new') {
+        await bookingApi.createAppointmentType({ ...data, staff });
+      } else {
+        await bookingApi.updateAppointmentType(editing.id, data);
+        await bookingApi.setAppointmentTypeStaff(editing.id, staff);
+      }
+
+      setEditing(null);
+      setMessage({ type: 'success', text: `${form.name} saved` });
+      await fetchTypes();
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to save appointment type' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeType = async (type: AppointmentType) => {
+    if (!confirm(`Delete ${type.name}? Existing bookings are kept.`)) return;
+
+    try {
+      await bookingApi.removeAppointmentType(type.id);
+      setTypes(prev => prev.filter(t => t.id !== type.id));
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to delete appointment type' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 size={24} className="animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ClipboardList size={20} className="text-emerald-400" />
+          Appointment Types
+        </h3>
+        {canEdit && (
+          <Button size="sm" onClick={() => openEditor('new')}>
+            <Plus size={14} />
+            New Type
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-slate-400 mb-4">
+        Services callers can book. The AI receptionist offers open times across the staff assigned to each type and
+        asks its intake questions before booking.
+      </p>
+
+      {types.length === 0 ? (
+        <p className="text-sm text-slate-500">No appointment types yet. Callers are offered general appointment slots.</p>
+      ) : (
+        <div className="space-y-2 max-w-2xl">
+          {types.map(type => (
+            <div
+              key={type.id}
+              className="flex items-center justify-between gap-4 p-4 rounded-xl bg-slate-800/30 border border-slate-700/50"
+            >
+              <div>
+                <p className="text-sm font-medium text-white">
+                  {type.name}
+                  {!type.enabled && <span className="ml-2 text-xs text-slate-500">(disabled)</span>}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {[`${type.duration} min`, formatPrice(type), `${type.intakeQuestions.length} intake questions`]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </p>
+                <p className="text-xs text-slate-500 flex items-center gap-1 mt-1">
+                  <Users size={12} />
+                  {type.staff.length
+                    ? `${type.staff.map(s => s.name).join(', ')} · ${type.assignmentMode === 'PRIORITY' ? 'priority' : 'round-robin'}`
+                    : 'Any time on the organization calendar'}
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => openEditor(type)}
+                    className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                    aria-label={`Edit ${type.name}`}
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => removeType(type)}
+                    className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                    aria-label={`Delete ${type.name}`}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Modal
+        isOpen={editing !== null}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'New Appointment Type' : 'Edit Appointment Type'}
+        size="lg"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button onClick={saveType} disabled={!form.name || saving}>
+              {saving && <Loader2 size={14} className="animate-spin" />}
+              Save
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g., Initial Consultation"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="What callers are booking"
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Duration (min)</label>
+              <input
+                type="number"
+                min={5}
+                value={form.duration}
+                onChange={(e) => setForm({ ...form, duration: parseInt(e.target.value) || 0 })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Buffer (min)</label>
+              <input
+                type="number"
+                min={0}
+                value={form.bufferMinutes}
+                onChange={(e) => setForm({ ...form, bufferMinutes: e.target.value })}
+                placeholder="Default"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Price ($)</label>
+              <input
+                type="number"
+                min={0}
+                step="0.01"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                placeholder="None"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Intake questions (one per line)</label>
+            <textarea
+              rows={3}
+              value={form.intakeQuestions}
+              onChange={(e) => setForm({ ...form, intakeQuestions: e.target.value })}
+              placeholder="Is this your first visit?"
+              className={inputClass}
+            />
+            <p className="mt-1 text-xs text-slate-500">Callers must answer every question before they are booked</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Staff</label>
+            {members.length === 0 ? (
+              <p className="text-sm text-slate-500">No team members</p>
+            ) : (
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {members.map(member => {
+                  const position = form.staffIds.indexOf(member.id);
+                  return (
+                    <label
+                      key={member.id}
+                      className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-800/50 cursor-pointer"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={position !== -1}
+                        onChange={() => toggleStaff(member.id)}
+                        className="rounded border-slate-600"
+                      />
+                      <span className="text-sm text-white flex-1">{member.name}</span>
+                      {position !== -1 && form.assignmentMode === 'PRIORITY' && (
+                        <span className="text-xs text-slate-500">#{position + 1}</span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+            )}
+            <p className="mt-1 text-xs text-slate-500">
+              Without staff, this type is booked on the organization calendar
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Assignment</label>
+              <select
+                value={form.assignmentMode}
+                onChange={(e) => setForm({ ...form, assignmentMode: e.target.value as AppointmentAssignmentMode })}
+                className={inputClass}
+              >
+                {Object.entries(ASSIGNMENT_LABELS).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 mt-7 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                className="rounded border-slate-600"
+              />
+              Bookable
+            </label>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+// ============================================================================
+// HEKAX Phone - Booking Rules Panel
+// Buffer, minimum notice, booking horizon and holiday closures for booked slots
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { Clock, Plus, Trash2, Loader2, Save } from 'lucide-react';
+import { Button } from '../common';
+import { useAuth } from '../../context/AuthContext';
+import { bookingApi } from '../../utils/api';
+import type { BookingRules, BookingSettings } from '../../types';
+
+interface BookingRulesPanelProps {
+  setMessage: (msg: { type: 'success' | 'error'; text: string } | null) => void;
+}
+
+const RULE_FIELDS: { key: keyof BookingRules; label: string; hint: string }[] = [
+  { key: 'bookingBufferMinutes', label: 'Buffer (minutes)', hint: 'Gap kept before and after existing events' },
+  { key: 'bookingMinNoticeMinutes', label: 'Minimum notice (minutes)', hint: 'Earliest bookable time from now' },
+  { key: 'bookingMaxDaysAhead', label: 'Book up to (days ahead)', hint: 'Latest day callers can book' },
+  { key: 'bookingSlotInterval', label: 'Slot interval (minutes)', hint: 'Time between offered start times' },
+];
+
+const inputClass =
+  'w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 disabled:opacity-60';
+
+export function BookingRulesPanel({ setMessage }: BookingRulesPanelProps) {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState<BookingSettings | null>(null);
+  const [rules, setRules] = useState<BookingRules | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [closure, setClosure] = useState({ name: '', startDate: '', endDate: '' });
+  const [adding, setAdding] = useState(false);
+
+  const canEdit = user?.role === 'OWNER' || user?.role === 'ADMIN';
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const data = await bookingApi.settings();
+      setSettings(data);
+      setRules({
+        bookingBufferMinutes: data.bookingBufferMinutes,
+        bookingMinNoticeMinutes: data.bookingMinNoticeMinutes,
+        bookingMaxDaysAhead: data.bookingMaxDaysAhead,
+        bookingSlotInterval: data.bookingSlotInterval,
+      });
+    } catch (err) {
+      console.error('Failed to load booking settings:', err);
+    }
+  };
+
+  const saveRules = async () => {
+    if (!rules) return;
+    setSaving(true);
+    try {
+      setRules(await bookingApi.updateSettings(rules));
+      setMessage({ type: 'success', text: 'Booking rules saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to save booking rules' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addClosure = async () => {
+    setAdding(true);
+    try {
+      await bookingApi.addClosure({
+        name: closure.name,
+        startDate: closure.startDate,
+        endDate: closure.endDate || undefined,
+      });
+      setClosure({ name: '', startDate: '', endDate: '' });
+      await fetchSettings();
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to add closure' });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const removeClosure = async (id: string) => {
+    try {
+      await bookingApi.removeClosure(id);
+      await fetchSettings();
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to remove closure' });
+    }
+  };
+
+  if (!settings || !rules) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 size={24} className="animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <Clock size={20} className="text-emerald-400" />
+        Booking Rules
+      </h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Appointments are offered within your business hours in {settings.timezone}. Callers who give a time in
+        another timezone are booked at the matching time.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {RULE_FIELDS.map(field => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium text-slate-300 mb-2">{field.label}</label>
+            <input
+              type="number"
+              min={0}
+              value={rules[field.key]}
+              disabled={!canEdit}
+              onChange={(e) => setRules({ ...rules, [field.key]: parseInt(e.target.value) || 0 })}
+              className={inputClass}
+            />
+            <p className="mt-1 text-xs text-slate-500">{field.hint}</p>
+          </div>
+        ))}
+      </div>
+
+      {canEdit && (
+        <Button size="sm" onClick={saveRules} disabled={saving}>
+          {saving ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+          Save Rules
+        </Button>
+      )}
+
+      {/* Closures */}
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-white mb-2">Holidays & Closures</h4>
+        {settings.closures.length === 0 ? (
+          <p className="text-sm text-slate-500 mb-3">No upcoming closures</p>
+        ) : (
+          <div className="space-y-2 mb-3 max-w-2xl">
+            {settings.closures.map(c => (
+              <div
+                key={c.id}
+                className="flex items-center justify-between p-3 rounded-lg bg-slate-800/30 border border-slate-700/50"
+              >
+                <div>
+                  <p className="text-sm text-white">{c.name}</p>
+                  <p className="text-xs text-slate-500">
+                    {c.startDate === c.endDate ? c.startDate : `${c.startDate} – ${c.endDate}`}
+                  </p>
+                </div>
+                {canEdit && (
+                  <button
+                    onClick={() => removeClosure(c.id)}
+                    className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                    aria-label={`Remove ${c.name}`}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {canEdit && (
+          <div className="flex flex-col sm:flex-row gap-2 max-w-2xl">
+            <input
+              type="text"
+              value={closure.name}
+              onChange={(e) => setClosure({ ...closure, name: e.target.value })}
+              placeholder="e.g., Thanksgiving"
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={closure.startDate}
+              onChange={(e) => setClosure({ ...closure, startDate: e.target.value })}
+              className={inputClass}
+              aria-label="First day closed"
+            />
+            <input
+              type="date"
+              value={closure.endDate}
+              min={closure.startDate}
+              onChange={(e) => setClosure({ ...closure, endDate: e.target.value })}
+              className={inputClass}
+              aria-label="Last day closed (optional)"
+            />
+            <Button size="sm" onClick={addClosure} disabled={!closure.name || !closure.startDate || adding}>
+              <Plus size={14} />
+              Add
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
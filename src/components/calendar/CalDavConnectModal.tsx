@@ -0,0 +1,129 @@
+// ============================================================================
+// HEKAX Phone - CalDAV Connect Modal
+// Nextcloud, Fastmail, iCloud and other CalDAV servers sign in with a
+// username and app password instead of an OAuth redirect
+// ============================================================================
+
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Modal, Button } from '../common';
+import { bookingApi } from '../../utils/api';
+
+interface CalDavConnectModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onConnected: (calendarName: string) => void;
+  // The signed-in member's own calendar instead of the organization's
+  personal?: boolean;
+}
+
+const SERVER_EXAMPLES = [
+  { name: 'iCloud', url: 'https://caldav.icloud.com' },
+  { name: 'Fastmail', url: 'https://caldav.fastmail.com' },
+  { name: 'Nextcloud', url: 'https://cloud.example.com/remote.php/dav' },
+];
+
+const INPUT_CLASS =
+  'w-full px-4 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500';
+
+export function CalDavConnectModal({ isOpen, onClose, onConnected, personal = false }: CalDavConnectModalProps) {
+  const [serverUrl, setServerUrl] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const close = () => {
+    setPassword('');
+    setError(null);
+    onClose();
+  };
+
+  const connect = async () => {
+    setConnecting(true);
+    setError(null);
+    try {
+      const { integration } = await bookingApi.connectCalDav({ serverUrl: serverUrl.trim(), username, password }, personal);
+      setPassword('');
+      onConnected(integration.calendarName);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to connect');
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={close}
+      title="Connect a CalDAV Calendar"
+      size="lg"
+      footer={
+        <>
+          <Button variant="secondary" onClick={close}>
+            Cancel
+          </Button>
+          <Button onClick={connect} disabled={!serverUrl.trim() || !username || !password || connecting}>
+            {connecting && <Loader2 size={16} className="animate-spin" />}
+            Connect
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Server URL *</label>
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            placeholder="https://caldav.fastmail.com"
+            className={INPUT_CLASS}
+          />
+          <div className="flex flex-wrap gap-2 mt-2">
+            {SERVER_EXAMPLES.map(example => (
+              <button
+                key={example.name}
+                type="button"
+                onClick={() => setServerUrl(example.url)}
+                className="text-xs px-2 py-0.5 rounded bg-slate-700/50 text-slate-400 hover:text-white hover:bg-slate-700"
+              >
+                {example.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Username *</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="you@example.com"
+            autoComplete="off"
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">App password *</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="new-password"
+            className={INPUT_CLASS}
+          />
+          <p className="mt-1 text-xs text-slate-500">
+            Create an app-specific password in your account's security settings rather than using your main password.
+            It is stored encrypted.
+          </p>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+      </div>
+    </Modal>
+  );
+}
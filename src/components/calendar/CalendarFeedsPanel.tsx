@@ -0,0 +1,155 @@
+// ============================================================================
+// HEKAX Phone - Calendar Feeds Panel
+// Secret ICS subscription URLs for your bookings and the organization's
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { Rss, Copy, Check, RotateCw, Trash2, Loader2 } from 'lucide-react';
+import { Button } from '../common';
+import { bookingApi } from '../../utils/api';
+import { formatRelativeTime } from '../../utils/formatters';
+import type { CalendarFeed, CalendarFeedScope } from '../../types';
+
+interface CalendarFeedsPanelProps {
+  setMessage: (msg: { type: 'success' | 'error'; text: string } | null) => void;
+}
+
+const FEED_LABELS: Record<CalendarFeedScope, { title: string; description: string }> = {
+  personal: { title: 'My appointments', description: 'Bookings assigned to you' },
+  organization: { title: 'All appointments', description: 'Every booking in your organization' },
+};
+
+export function CalendarFeedsPanel({ setMessage }: CalendarFeedsPanelProps) {
+  const [feeds, setFeeds] = useState<Record<CalendarFeedScope, CalendarFeed | null>>({
+    personal: null,
+    organization: null,
+  });
+  const [canManageOrganization, setCanManageOrganization] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState<CalendarFeedScope | null>(null);
+  const [copied, setCopied] = useState<CalendarFeedScope | null>(null);
+
+  useEffect(() => {
+    fetchFeeds();
+  }, []);
+
+  const fetchFeeds = async () => {
+    try {
+      const data = await bookingApi.feeds();
+      setFeeds({ personal: data.personal, organization: data.organization });
+      setCanManageOrganization(data.canManageOrganization);
+    } catch (err) {
+      console.error('Failed to load calendar feeds:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createFeed = async (scope: CalendarFeedScope) => {
+    if (feeds[scope] && !confirm('Create a new link? Calendars subscribed to the old one will stop updating.')) return;
+
+    setBusy(scope);
+    try {
+      const { feed } = await bookingApi.createFeed(scope);
+      setFeeds(prev => ({ ...prev, [scope]: feed }));
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to create feed' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const removeFeed = async (scope: CalendarFeedScope) => {
+    setBusy(scope);
+    try {
+      await bookingApi.removeFeed(scope);
+      setFeeds(prev => ({ ...prev, [scope]: null }));
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to remove feed' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const copyUrl = (scope: CalendarFeedScope, url: string) => {
+    navigator.clipboard.writeText(url);
+    setCopied(scope);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 size={24} className="animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  const scopes: CalendarFeedScope[] = canManageOrganization ? ['personal', 'organization'] : ['personal'];
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <Rss size={20} className="text-emerald-400" />
+        Calendar Subscriptions
+      </h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Subscribe from Google Calendar, Apple Calendar or Outlook to see bookings there. Anyone with the link can see
+        the appointments, so keep it private.
+      </p>
+
+      <div className="space-y-3 max-w-2xl">
+        {scopes.map(scope => {
+          const feed = feeds[scope];
+          return (
+            <div key={scope} className="p-4 rounded-xl bg-slate-800/30 border border-slate-700/50 space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-white">{FEED_LABELS[scope].title}</p>
+                  <p className="text-xs text-slate-500">
+                    {FEED_LABELS[scope].description}
+                    {feed?.lastAccessedAt && ` · last synced ${formatRelativeTime(feed.lastAccessedAt)}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="secondary" onClick={() => createFeed(scope)} disabled={busy === scope}>
+                    {busy === scope ? <Loader2 size={14} className="animate-spin" /> : <RotateCw size={14} />}
+                    {feed ? 'New link' : 'Create link'}
+                  </Button>
+                  {feed && (
+                    <button
+                      onClick={() => removeFeed(scope)}
+                      className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                      aria-label={`Remove ${FEED_LABELS[scope].title} feed`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {feed && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={feed.url}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-xs text-slate-300 font-mono"
+                  />
+                  <button
+                    onClick={() => copyUrl(scope, feed.url)}
+                    className="p-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors"
+                    aria-label="Copy feed URL"
+                  >
+                    {copied === scope ? <Check size={16} className="text-emerald-400" /> : <Copy size={16} />}
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
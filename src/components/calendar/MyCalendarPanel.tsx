@@ -0,0 +1,141 @@
+// ============================================================================
+// HEKAX Phone - My Calendar Panel
+// A team member's own calendar: its events block their appointment-type slots
+// and their bookings are added to it
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { CalendarCheck, ExternalLink, Trash2, Loader2 } from 'lucide-react';
+import { Button } from '../common';
+import { useAuth } from '../../context/AuthContext';
+import { api, bookingApi } from '../../utils/api';
+import { CalDavConnectModal } from './CalDavConnectModal';
+
+interface MyCalendarPanelProps {
+  setMessage: (msg: { type: 'success' | 'error'; text: string } | null) => void;
+}
+
+interface PersonalIntegration {
+  id: string;
+  provider: string;
+  ownerId?: string | null;
+  calendarName?: string;
+}
+
+const PERSONAL_PROVIDERS = [
+  { id: 'google', name: 'Google Calendar' },
+  { id: 'outlook', name: 'Microsoft Outlook' },
+  { id: 'caldav', name: 'CalDAV' },
+];
+
+export function MyCalendarPanel({ setMessage }: MyCalendarPanelProps) {
+  const { user } = useAuth();
+  const [integration, setIntegration] = useState<PersonalIntegration | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [connecting, setConnecting] = useState<string | null>(null);
+  const [showCalDav, setShowCalDav] = useState(false);
+
+  useEffect(() => {
+    fetchIntegration();
+  }, [user?.id]);
+
+  const fetchIntegration = async () => {
+    try {
+      const { integrations } = await api.get<{ integrations: PersonalIntegration[] }>('/api/calendar/integrations');
+      setIntegration(integrations.find(i => i.ownerId === user?.id) || null);
+    } catch (err) {
+      console.error('Failed to load your calendar:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const connect = async (providerId: string) => {
+    // CalDAV signs in with an app password instead of an OAuth redirect
+    if (providerId === 'caldav') {
+      setShowCalDav(true);
+      return;
+    }
+
+    setConnecting(providerId);
+    try {
+      const { authUrl } = await bookingApi.connectPersonalCalendar(providerId);
+      if (authUrl) {
+        window.location.href = authUrl;
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : `Failed to connect ${providerId}` });
+    } finally {
+      setConnecting(null);
+    }
+  };
+
+  const disconnect = async () => {
+    if (!integration || !confirm('Disconnect your calendar?')) return;
+
+    try {
+      await api.delete(`/api/calendar/integrations/${integration.id}`);
+      setIntegration(null);
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to disconnect' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 size={24} className="animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  const provider = PERSONAL_PROVIDERS.find(p => p.id === integration?.provider.toLowerCase());
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <CalendarCheck size={20} className="text-emerald-400" />
+        My Calendar
+      </h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Connect your own calendar so callers are only offered times you're free for the appointment types you take.
+        Your bookings are added to it.
+      </p>
+
+      {integration ? (
+        <div className="flex items-center justify-between gap-4 p-4 max-w-2xl rounded-xl bg-slate-800/30 border border-emerald-500/30">
+          <div>
+            <p className="text-sm font-medium text-white">{provider?.name || integration.provider}</p>
+            <p className="text-xs text-slate-500">{integration.calendarName || 'Primary calendar'}</p>
+          </div>
+          <button
+            onClick={disconnect}
+            className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+            aria-label="Disconnect your calendar"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          {PERSONAL_PROVIDERS.map(p => (
+            <Button key={p.id} size="sm" variant="secondary" onClick={() => connect(p.id)} disabled={connecting !== null}>
+              {connecting === p.id ? <Loader2 size={14} className="animate-spin" /> : <ExternalLink size={14} />}
+              {p.name}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <CalDavConnectModal
+        isOpen={showCalDav}
+        personal
+        onClose={() => setShowCalDav(false)}
+        onConnected={() => {
+          setShowCalDav(false);
+          fetchIntegration();
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+// ============================================================================
+// HEKAX Phone - Calendar Components Index
+// ============================================================================
+
+export { BookingRulesPanel } from './BookingRulesPanel';
+export { CalendarFeedsPanel } from './CalendarFeedsPanel';
+export { AppointmentTypesPanel } from './AppointmentTypesPanel';
+export { MyCalendarPanel } from './MyCalendarPanel';
+export { CalDavConnectModal } from './CalDavConnectModal';
@@ -0,0 +1,355 @@
+// ============================================================================
+// HEKAX Phone - Conversation Inbox
+// Channel conversations (SMS, WhatsApp, Webchat) with agent replies
+// ============================================================================
+
+import { useState, useEffect, useRef } from 'react';
+import { MessageSquare, Send, Bot, CheckCheck, Check, AlertCircle, Clock, Paperclip, XCircle } from 'lucide-react';
+import { Card, Badge } from '../common';
+import { api, getAuthHeaders } from '../../utils/api';
+import { API_BASE } from '../../utils/constants';
+import { formatRelativeTime, formatPhoneNumber } from '../../utils/formatters';
+
+interface InboxChannel {
+  id: string;
+  type: string;
+  name: string;
+}
+
+interface Attachment {
+  id: string;
+  contentType: string;
+  size: number | null;
+}
+
+interface Message {
+  id: string;
+  direction: 'INBOUND' | 'OUTBOUND';
+  content: string;
+  contentType: string;
+  status: 'PENDING' | 'SENT' | 'DELIVERED' | 'READ' | 'FAILED';
+  metadata?: { aiGenerated?: boolean; sentBy?: string; error?: string; errorCode?: string } | null;
+  attachments?: Attachment[];
+  createdAt: string;
+}
+
+interface Conversation {
+  id: string;
+  externalId: string | null;
+  participantName: string | null;
+  participantPhone: string | null;
+  status: 'ACTIVE' | 'CLOSED' | 'TRANSFERRED' | 'PENDING';
+  assignedToId: string | null;
+  messages: Message[];
+  updatedAt: string;
+}
+
+const POLL_INTERVAL = 15000;
+
+interface ConversationInboxProps {
+  channels: InboxChannel[];
+}
+
+export function ConversationInbox({ channels }: ConversationInboxProps) {
+  const [channelId, setChannelId] = useState<string>(
+    () => (channels.find(c => c.type === 'SMS') || channels[0])?.id || ''
+  );
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [messages, setMessages] = useState<Message[]>([]);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const threadEndRef = useRef<HTMLDivElement>(null);
+
+  const selected = conversations.find(c => c.id === selectedId) || null;
+
+  useEffect(() => {
+    if (!channelId) return;
+    setSelectedId(null);
+    fetchConversations();
+    const interval = setInterval(fetchConversations, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [channelId]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setMessages([]);
+      return;
+    }
+    fetchMessages(selectedId);
+    const interval = setInterval(() => fetchMessages(selectedId), POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [selectedId]);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const fetchConversations = async () => {
+    try {
+      const data = await api.get<{ conversations: Conversation[] }>(`/api/channels/${channelId}/conversations`);
+      setConversations(data.conversations);
+    } catch (err) {
+      console.error('Failed to fetch conversations:', err);
+    }
+  };
+
+  const fetchMessages = async (conversationId: string) => {
+    try {
+      const data = await api.get<{ messages: Message[] }>(`/api/channels/conversations/${conversationId}/messages`);
+      setMessages(data.messages);
+    } catch (err) {
+      console.error('Failed to fetch messages:', err);
+    }
+  };
+
+  const sendReply = async () => {
+    if (!selected || !reply.trim()) return;
+    setSending(true);
+    setError('');
+    try {
+      await api.post(`/api/channels/conversations/${selected.id}/messages`, { content: reply.trim() });
+      setReply('');
+      await Promise.all([fetchMessages(selected.id), fetchConversations()]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const closeConversation = async () => {
+    if (!selected) return;
+    try {
+      await api.post(`/api/channels/conversations/${selected.id}/close`, { resolution: 'Closed from inbox' });
+      fetchConversations();
+    } catch (err) {
+      console.error('Failed to close conversation:', err);
+    }
+  };
+
+  const displayName = (conversation: Conversation) =>
+    conversation.participantName ||
+    (conversation.participantPhone ? formatPhoneNumber(conversation.participantPhone) : conversation.externalId) ||
+    'Unknown';
+
+  if (channels.length === 0) {
+    return (
+      <Card className="text-center py-12">
+        <MessageSquare size={48} className="mx-auto text-slate-600 mb-4" />
+        <p className="text-slate-400">Conversations appear here once a channel receives messages</p>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Conversation List */}
+      <Card className="lg:col-span-1">
+        <select
+          value={channelId}
+          onChange={(e) => setChannelId(e.target.value)}
+          className="w-full mb-4 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+        >
+          {channels.map(channel => (
+            <option key={channel.id} value={channel.id}>{channel.name} ({channel.type})</option>
+          ))}
+        </select>
+
+        {conversations.length === 0 ? (
+          <p className="text-sm text-slate-500 text-center py-8">No conversations yet</p>
+        ) : (
+          <div className="space-y-2 max-h-[600px] overflow-y-auto">
+            {conversations.map(conversation => {
+              const last = conversation.messages[0];
+              return (
+                <div
+                  key={conversation.id}
+                  onClick={() => setSelectedId(conversation.id)}
+                  className={`
+                    p-3 rounded-lg cursor-pointer border transition-all
+                    ${selectedId === conversation.id
+                      ? 'bg-blue-500/10 border-blue-500/50'
+                      : 'bg-slate-900/50 border-transparent hover:border-slate-600'
+                    }
+                  `}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <p className="text-sm font-medium text-white truncate">{displayName(conversation)}</p>
+                    <span className="text-xs text-slate-500 flex-shrink-0">{formatRelativeTime(conversation.updatedAt)}</span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-xs text-slate-400 truncate">
+                      {last?.direction === 'OUTBOUND' && 'You: '}
+                      {last?.content || (last?.attachments?.length ? 'Attachment' : '')}
+                    </p>
+                    {conversation.status === 'CLOSED' && <Badge>closed</Badge>}
+                    {conversation.status !== 'CLOSED' && conversation.assignedToId && <Badge variant="info">agent</Badge>}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </Card>
+
+      {/* Thread */}
+      <Card className="lg:col-span-2 flex flex-col min-h-[500px]">
+        {selected ? (
+          <>
+            <div className="flex items-center justify-between pb-4 mb-4 border-b border-slate-700/50">
+              <div>
+                <h3 className="font-semibold text-white">{displayName(selected)}</h3>
+                {selected.participantName && selected.participantPhone && (
+                  <p className="text-xs text-slate-400">{formatPhoneNumber(selected.participantPhone)}</p>
+                )}
+              </div>
+              {selected.status !== 'CLOSED' && (
+                <button
+                  onClick={closeConversation}
+                  className="flex items-center gap-1 text-sm text-slate-400 hover:text-white"
+                  title="Close conversation (the AI answers new messages again)"
+                >
+                  <XCircle size={16} /> Close
+                </button>
+              )}
+            </div>
+
+            <div className="flex-1 space-y-3 overflow-y-auto max-h-[480px] pr-1">
+              {messages.map(message => (
+                <MessageBubble key={message.id} message={message} />
+              ))}
+              <div ref={threadEndRef} />
+            </div>
+
+            {error && <div className="mt-3 text-sm text-red-400">{error}</div>}
+
+            {selected.status === 'CLOSED' ? (
+              <p className="mt-4 text-sm text-slate-500 text-center">
+                This conversation is closed. A new message from the customer starts a new one.
+              </p>
+            ) : (
+              <div className="mt-4 flex gap-2">
+                <textarea
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                      e.preventDefault();
+                      sendReply();
+                    }
+                  }}
+                  placeholder="Type a reply..."
+                  rows={2}
+                  className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm resize-none"
+                />
+                <button
+                  onClick={sendReply}
+                  disabled={sending || !reply.trim()}
+                  className="px-4 rounded-lg bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+                >
+                  <Send size={18} />
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="flex-1 flex flex-col items-center justify-center text-slate-500">
+            <MessageSquare size={32} className="mb-3 opacity-50" />
+            <p>Select a conversation</p>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+// Helper components
+function MessageBubble({ message }: { message: Message }) {
+  const outbound = message.direction === 'OUTBOUND';
+
+  return (
+    <div className={`flex ${outbound ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-[75%] rounded-xl px-3 py-2 ${outbound ? 'bg-blue-600/80' : 'bg-slate-700'}`}>
+        {message.attachments?.map(attachment => (
+          <AttachmentPreview key={attachment.id} attachment={attachment} />
+        ))}
+        {message.content && <p className="text-sm text-white whitespace-pre-wrap">{message.content}</p>}
+        <div className="flex items-center justify-end gap-1 mt-1 text-[10px] text-slate-300/70">
+          {message.metadata?.aiGenerated && <Bot size={10} />}
+          <span>{formatRelativeTime(message.createdAt)}</span>
+          {outbound && <StatusIcon message={message} />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StatusIcon({ message }: { message: Message }) {
+  switch (message.status) {
+    case 'PENDING':
+      return <Clock size={10} />;
+    case 'SENT':
+      return <Check size={10} />;
+    case 'DELIVERED':
+    case 'READ':
+      return <CheckCheck size={10} />;
+    case 'FAILED':
+      return (
+        <span title={message.metadata?.error || (message.metadata?.errorCode && `Error ${message.metadata.errorCode}`) || 'Failed'}>
+          <AlertCircle size={10} className="text-red-300" />
+        </span>
+      );
+    default:
+      return null;
+  }
+}
+
+function AttachmentPreview({ attachment }: { attachment: Attachment }) {
+  const [url, setUrl] = useState<string | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  // Attachments need the auth header, so load them as blobs
+  useEffect(() => {
+    let objectUrl: string | null = null;
+    fetch(`${API_BASE}/api/channels/attachments/${attachment.id}`, { headers: getAuthHeaders() })
+      .then(response => (response.ok ? response.blob() : Promise.reject(new Error(String(response.status)))))
+      .then(blob => {
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => setFailed(true));
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.id]);
+
+  if (failed) {
+    return <p className="text-xs text-slate-400 italic mb-1">Attachment unavailable</p>;
+  }
+  if (!url) {
+    return <div className="w-40 h-24 mb-1 rounded-lg bg-slate-600/50 animate-pulse" />;
+  }
+
+  if (attachment.contentType.startsWith('image/')) {
+    return (
+      <a href={url} target="_blank" rel="noreferrer">
+        <img src={url} alt="Attachment" className="max-w-full max-h-64 rounded-lg mb-1" />
+      </a>
+    );
+  }
+  if (attachment.contentType.startsWith('video/')) {
+    return <video src={url} controls className="max-w-full max-h-64 rounded-lg mb-1" />;
+  }
+  if (attachment.contentType.startsWith('audio/')) {
+    return <audio src={url} controls className="mb-1" />;
+  }
+
+  return (
+    <a href={url} download className="flex items-center gap-1 text-sm text-blue-200 underline mb-1">
+      <Paperclip size={14} /> {attachment.contentType}
+    </a>
+  );
+}
@@ -0,0 +1,5 @@
+// ============================================================================
+// HEKAX Phone - Channel Components Index
+// ============================================================================
+
+export { ConversationInbox } from './ConversationInbox';
@@ -18,9 +18,11 @@ import {
   WifiOff,
   RefreshCw,
   Volume2,
+  ListOrdered,
 } from 'lucide-react';
 import { Card } from '../common';
 import { api } from '../../utils/api';
+import { STORAGE_KEYS } from '../../utils/constants';
 
 interface ActiveCall {
   id?: string;
@@ -47,6 +49,21 @@ interface DashboardStats {
   avgDurationSeconds: number;
 }
 
+interface QueueStats {
+  queueId: string;
+  name: string;
+  enabled: boolean;
+  depth: number;
+  connecting: number;
+  longestWaitSeconds: number;
+  averageWaitSeconds: number;
+  answeredToday: number;
+  availableAgents: number;
+  busyAgents: number;
+  totalAgents: number;
+  maxWaitTime: number;
+}
+
 interface RecentActivity {
   recentCalls: Array<{
     id: string;
@@ -72,6 +89,7 @@ export function LiveCallDashboard() {
   const [activeCalls, setActiveCalls] = useState<ActiveCall[]>([]);
   const [stats, setStats] = useState<DashboardStats | null>(null);
   const [recentActivity, setRecentActivity] = useState<RecentActivity | null>(null);
+  const [queues, setQueues] = useState<QueueStats[]>([]);
   const [isConnected, setIsConnected] = useState(false);
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null);
   const wsRef = useRef<WebSocket | null>(null);
@@ -81,15 +99,17 @@ export function LiveCallDashboard() {
   // Fetch initial data
   const fetchData = useCallback(async () => {
     try {
-      const [activeCallsRes, statsRes, activityRes] = await Promise.all([
+      const [activeCallsRes, statsRes, activityRes, queuesRes] = await Promise.all([
         api.get<{ activeCalls: ActiveCall[] }>('/api/realtime/active-calls'),
         api.get<{ stats: DashboardStats }>('/api/realtime/stats'),
         api.get<RecentActivity>('/api/realtime/recent-activity'),
+        api.get<{ queues: QueueStats[] }>('/api/queues/live').catch(() => ({ queues: [] })),
       ]);
 
       setActiveCalls(activeCallsRes.activeCalls || []);
       setStats(statsRes.stats || null);
       setRecentActivity(activityRes);
+      setQueues(queuesRes.queues || []);
       setLastUpdate(new Date());
     } catch (err) {
       console.error('Failed to fetch realtime data:', err);
@@ -98,7 +118,7 @@ export function LiveCallDashboard() {
 
   // Connect to WebSocket for real-time updates
   const connectWebSocket = useCallback(() => {
-    const token = localStorage.getItem('accessToken');
+    const token = localStorage.getItem(STORAGE_KEYS.TOKEN);
     if (!token) return;
 
     const wsUrl = `${import.meta.env.VITE_WS_URL || 'ws://localhost:3000'}/realtime?token=${token}`;
@@ -173,6 +193,16 @@ export function LiveCallDashboard() {
         // Refresh activity to show new lead
         fetchData();
         break;
+
+      case 'queue_update': {
+        const update = message.data as QueueStats;
+        setQueues(prev =>
+          prev.some(q => q.queueId === update.queueId)
+            ? prev.map(q => (q.queueId === update.queueId ? update : q))
+            : [...prev, update]
+        );
+        break;
+      }
     }
 
     setLastUpdate(new Date());
@@ -311,6 +341,61 @@ export function LiveCallDashboard() {
         </Card>
       </div>
 
+      {/* Call Queues */}
+      {queues.length > 0 && (
+        <Card padding="none" className="overflow-hidden">
+          <div className="px-4 py-3 border-b border-slate-700 bg-slate-800/50">
+            <h3 className="font-semibold text-white flex items-center gap-2">
+              <ListOrdered size={18} className="text-blue-400" />
+              Call Queues
+            </h3>
+          </div>
+          <div className="divide-y divide-slate-800">
+            {queues.map((queue) => (
+              <div
+                key={queue.queueId}
+                className="px-4 py-3 flex items-center justify-between"
+              >
+                <div>
+                  <p className="font-medium text-white">
+                    {queue.name}
+                    {!queue.enabled && (
+                      <span className="ml-2 text-xs text-slate-500">disabled</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {queue.availableAgents} available • {queue.busyAgents} busy • {queue.totalAgents} agents
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-6 text-right">
+                  <div>
+                    <p className={`font-mono text-lg ${queue.depth > 0 ? 'text-amber-400' : 'text-white'}`}>
+                      {queue.depth}
+                    </p>
+                    <p className="text-xs text-slate-500">waiting</p>
+                  </div>
+                  <div>
+                    <p className={`font-mono text-lg ${
+                      queue.longestWaitSeconds >= queue.maxWaitTime * 0.75 ? 'text-red-400' : 'text-white'
+                    }`}>
+                      {formatDuration(queue.longestWaitSeconds)}
+                    </p>
+                    <p className="text-xs text-slate-500">longest</p>
+                  </div>
+                  <div>
+                    <p className="font-mono text-lg text-white">
+                      {formatDuration(queue.averageWaitSeconds)}
+                    </p>
+                    <p className="text-xs text-slate-500">avg wait</p>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
       {/* Active Calls List */}
       {activeCalls.length > 0 && (
         <Card padding="none" className="overflow-hidden">
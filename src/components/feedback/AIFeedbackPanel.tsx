@@ -15,15 +15,30 @@ import {
   AlertCircle,
   CheckCircle,
   Lightbulb,
+  BookOpen,
 } from 'lucide-react';
 import { api } from '../../utils/api';
 
+interface SourceEntry {
+  type: 'faq' | 'knowledge' | 'custom_response';
+  id: string;
+  title: string;
+  score?: number;
+}
+
 interface Message {
   role: 'user' | 'assistant';
   content: string;
   timestamp?: string;
+  sources?: SourceEntry[];
 }
 
+const SOURCE_LABELS: Record<SourceEntry['type'], string> = {
+  faq: 'FAQ',
+  knowledge: 'Knowledge Base',
+  custom_response: 'Custom Response',
+};
+
 interface AIFeedbackPanelProps {
   callId: string;
   transcriptId?: string;
@@ -84,6 +99,7 @@ export function AIFeedbackPanel({
         originalResponse: messages[selectedMessage]?.content,
         correctedResponse: feedbackType === 'correction' ? correctedResponse : undefined,
         notes: notes || undefined,
+        sourceEntries: messages[selectedMessage]?.sources,
       });
 
       setSubmitted(true);
@@ -198,6 +214,27 @@ export function AIFeedbackPanel({
         </div>
       </div>
 
+      {/* Answer Sources */}
+      {selectedMessage !== null && (messages[selectedMessage]?.sources?.length ?? 0) > 0 && (
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-slate-400 mb-2">
+            Answer based on
+          </label>
+          <div className="space-y-1.5">
+            {messages[selectedMessage].sources!.map((source) => (
+              <div
+                key={`${source.type}:${source.id}`}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700/50 text-sm"
+              >
+                <BookOpen size={14} className="text-purple-400 flex-shrink-0" />
+                <span className="text-xs text-slate-500">{SOURCE_LABELS[source.type]}</span>
+                <span className="text-slate-300 truncate">{source.title}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Rating Section */}
       {feedbackType === 'rating' && (
         <div className="mb-6">
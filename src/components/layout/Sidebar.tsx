@@ -25,6 +25,7 @@ import {
   Brain,
   MessageSquare,
   Zap,
+  Megaphone,
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { OrganizationSwitcher } from './OrganizationSwitcher';
@@ -41,6 +42,7 @@ const navItems: { id: Page; label: string; icon: typeof Phone }[] = [
   { id: 'calls', label: 'Calls', icon: PhoneCall },
   { id: 'leads', label: 'Leads', icon: Target },
   { id: 'softphone', label: 'Softphone', icon: Phone },
+  { id: 'campaigns', label: 'Campaigns', icon: Megaphone },
   { id: 'phone-numbers', label: 'Phone Numbers', icon: PhoneForwarded },
   { id: 'channels', label: 'Channels', icon: MessageSquare },
   { id: 'analytics', label: 'Analytics', icon: BarChart3 },
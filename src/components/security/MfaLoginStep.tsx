@@ -0,0 +1,169 @@
+// ============================================================================
+// HEKAX Phone - MFA Login Step
+// Second sign-in step: enter a code, or enroll when the organization requires it
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { ShieldCheck, KeyRound, Loader2 } from 'lucide-react';
+import { authApi, type LoginResponse, type MfaChallengeResponse } from '../../utils/api';
+import { RecoveryCodes } from './RecoveryCodes';
+import type { MfaSetup } from '../../types';
+
+interface MfaLoginStepProps {
+  challenge: MfaChallengeResponse;
+  onComplete: (response: LoginResponse) => void;
+  onCancel: () => void;
+}
+
+const inputClass = `
+  w-full px-4 py-3 rounded-xl
+  bg-slate-900/50 border border-slate-700
+  text-white placeholder-slate-500 text-center tracking-widest
+  focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500
+  transition-colors
+`;
+
+const submitClass = `
+  w-full py-3 rounded-xl font-semibold
+  bg-blue-600 hover:bg-blue-700 text-white
+  disabled:opacity-50 disabled:cursor-not-allowed
+  transition-colors
+`;
+
+export function MfaLoginStep({ challenge, onComplete, onCancel }: MfaLoginStepProps) {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState<MfaSetup | null>(null);
+  const [session, setSession] = useState<LoginResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  // Enrollment: fetch a secret and QR code as soon as the step opens
+  useEffect(() => {
+    if (!challenge.mfaSetupRequired) return;
+    authApi.setupMfa(challenge.mfaToken)
+      .then(setSetup)
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to start MFA setup'));
+  }, [challenge]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      if (challenge.mfaSetupRequired) {
+        // Show the recovery codes before entering the app
+        setSession(await authApi.enableMfa(challenge.mfaToken, code));
+      } else {
+        const factor = useRecoveryCode ? { recoveryCode: code } : { code };
+        onComplete(await authApi.verifyMfa(challenge.mfaToken, factor));
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Verification failed');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (session) {
+    return (
+      <div className="space-y-5">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ShieldCheck size={20} className="text-emerald-400" />
+          Multi-factor authentication enabled
+        </h2>
+        <RecoveryCodes codes={session.recoveryCodes || []} />
+        <button type="button" onClick={() => onComplete(session)} className={submitClass}>
+          Continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/20 rounded-lg text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {challenge.mfaSetupRequired ? (
+        <div className="space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+              <ShieldCheck size={20} className="text-blue-400" />
+              Set up multi-factor authentication
+            </h2>
+            <p className="text-sm text-slate-400 mt-1">
+              Your organization requires it. Scan the QR code with an authenticator app, then enter the 6-digit code.
+            </p>
+          </div>
+          {setup ? (
+            <div className="text-center space-y-3">
+              <img src={setup.qrCode} alt="Authenticator QR code" className="mx-auto w-44 h-44 rounded-lg bg-white p-2" />
+              <p className="text-xs text-slate-500">
+                Can't scan? Enter this key: <code className="text-slate-300 break-all">{setup.secret}</code>
+              </p>
+            </div>
+          ) : (
+            !error && (
+              <div className="flex justify-center py-8">
+                <Loader2 size={24} className="animate-spin text-slate-400" />
+              </div>
+            )
+          )}
+        </div>
+      ) : (
+        <div>
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <KeyRound size={20} className="text-blue-400" />
+            Two-step verification
+          </h2>
+          <p className="text-sm text-slate-400 mt-1">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+        </div>
+      )}
+
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+        required
+        className={inputClass}
+      />
+
+      <button type="submit" disabled={loading || !code || (challenge.mfaSetupRequired && !setup)} className={submitClass}>
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={onCancel} className="text-slate-400 hover:text-slate-300">
+          Back to sign in
+        </button>
+        {challenge.mfaRequired && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+              setError(null);
+            }}
+            className="text-blue-400 hover:text-blue-300 font-medium"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
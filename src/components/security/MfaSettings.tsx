@@ -0,0 +1,312 @@
+// ============================================================================
+// HEKAX Phone - MFA Settings
+// Enroll in TOTP MFA, manage recovery codes and the organization MFA policy
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, KeyRound, Loader2 } from 'lucide-react';
+import { Button, Badge, Modal } from '../common';
+import { useAuth } from '../../context/AuthContext';
+import { mfaApi } from '../../utils/api';
+import { formatRelativeTime } from '../../utils/formatters';
+import { RecoveryCodes } from './RecoveryCodes';
+import type { MfaStatus, MfaSetup } from '../../types';
+
+interface MfaSettingsProps {
+  setMessage: (msg: { type: 'success' | 'error'; text: string } | null) => void;
+}
+
+const inputClass =
+  'w-full px-4 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500';
+
+export function MfaSettings({ setMessage }: MfaSettingsProps) {
+  const { user, org, updateOrg } = useAuth();
+  const [status, setStatus] = useState<MfaStatus | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  // Enrollment
+  const [setup, setSetup] = useState<MfaSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  // Disable / regenerate modals share the code field
+  const [modal, setModal] = useState<'disable' | 'regenerate' | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [modalError, setModalError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const isOwner = user?.role === 'OWNER';
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await mfaApi.status());
+    } catch (err) {
+      console.error('Failed to load MFA status:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startSetup = async () => {
+    setBusy(true);
+    try {
+      setSetup(await mfaApi.setup());
+      setCode('');
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to start MFA setup' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmSetup = async () => {
+    setBusy(true);
+    try {
+      const data = await mfaApi.enable(code);
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      setMessage({ type: 'success', text: 'Multi-factor authentication enabled' });
+      await fetchStatus();
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Invalid verification code' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openModal = (type: 'disable' | 'regenerate') => {
+    setModal(type);
+    setCode('');
+    setPassword('');
+    setModalError('');
+  };
+
+  const submitModal = async () => {
+    setBusy(true);
+    setModalError('');
+    try {
+      if (modal === 'disable') {
+        await mfaApi.disable(password, code.includes('-') ? { recoveryCode: code } : { code });
+        setMessage({ type: 'success', text: 'Multi-factor authentication disabled' });
+      } else {
+        const data = await mfaApi.regenerateRecoveryCodes(code);
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      setModal(null);
+      await fetchStatus();
+    } catch (err) {
+      setModalError(err instanceof Error ? err.message : 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePolicy = async () => {
+    const requireMfa = !org?.requireMfa;
+    try {
+      const result = await mfaApi.setPolicy(requireMfa);
+      updateOrg({ ...org!, requireMfa: result.requireMfa });
+      setMessage({
+        type: 'success',
+        text: requireMfa
+          ? `MFA is now required. ${result.unenrolledMembers} member(s) will be asked to set it up.`
+          : 'MFA is no longer required for members',
+      });
+      await fetchStatus();
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to update MFA policy' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 size={24} className="animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <ShieldCheck size={20} className="text-blue-400" />
+        Security
+      </h3>
+
+      {/* Personal MFA */}
+      <div className="max-w-2xl p-4 rounded-xl bg-slate-800/30 border border-slate-700/50 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-white">Multi-factor authentication</label>
+              {status?.enabled ? <Badge variant="success">On</Badge> : <Badge variant="default">Off</Badge>}
+            </div>
+            <p className="text-sm text-slate-500">
+              {status?.enabled
+                ? `Enabled ${status.enabledAt ? formatRelativeTime(status.enabledAt) : ''} · ${status.recoveryCodesRemaining} recovery codes left`
+                : 'Require a code from an authenticator app when you sign in'}
+            </p>
+          </div>
+          {status?.enabled ? (
+            <div className="flex gap-2">
+              <Button size="sm" variant="secondary" onClick={() => openModal('regenerate')}>
+                <KeyRound size={14} />
+                New recovery codes
+              </Button>
+              <Button
+                size="sm"
+                variant="danger"
+                disabled={status.required}
+                onClick={() => openModal('disable')}
+              >
+                <ShieldOff size={14} />
+                Disable
+              </Button>
+            </div>
+          ) : (
+            !setup && (
+              <Button size="sm" onClick={startSetup} disabled={busy}>
+                Enable
+              </Button>
+            )
+          )}
+        </div>
+
+        {status?.enabled && status.required && (
+          <p className="text-xs text-slate-500">Your organization requires MFA, so it can't be turned off.</p>
+        )}
+
+        {setup && (
+          <div className="pt-4 border-t border-slate-700/50 space-y-4">
+            <p className="text-sm text-slate-400">
+              Scan the QR code with an authenticator app (Google Authenticator, 1Password, Authy...), then enter the
+              6-digit code it shows.
+            </p>
+            <div className="flex flex-col sm:flex-row items-center gap-6">
+              <img src={setup.qrCode} alt="Authenticator QR code" className="w-40 h-40 rounded-lg bg-white p-2" />
+              <div className="flex-1 space-y-3 w-full">
+                <p className="text-xs text-slate-500">
+                  Can't scan? Enter this key: <code className="text-slate-300 break-all">{setup.secret}</code>
+                </p>
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  className={inputClass}
+                />
+                <div className="flex gap-2">
+                  <Button size="sm" onClick={confirmSetup} disabled={!code || busy}>
+                    {busy && <Loader2 size={14} className="animate-spin" />}
+                    Verify & Enable
+                  </Button>
+                  <Button size="sm" variant="secondary" onClick={() => setSetup(null)}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Organization policy */}
+      {isOwner && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 max-w-2xl p-4 rounded-xl bg-slate-800/30 border border-slate-700/50">
+          <div>
+            <label className="text-sm font-medium text-white">Require MFA for all members</label>
+            <p className="text-sm text-slate-500">
+              {status?.enabled
+                ? 'Members without MFA must set it up before they can use the dashboard'
+                : 'Enable MFA on your own account first'}
+            </p>
+          </div>
+          <label className="relative inline-block w-12 h-6 cursor-pointer flex-shrink-0">
+            <input
+              type="checkbox"
+              checked={!!org?.requireMfa}
+              disabled={!status?.enabled && !org?.requireMfa}
+              onChange={togglePolicy}
+              className="sr-only peer"
+            />
+            <div className="w-12 h-6 rounded-full bg-slate-700 peer-checked:bg-emerald-600 peer-disabled:opacity-50 transition-colors" />
+            <div className="absolute left-1 top-1 w-4 h-4 rounded-full bg-white transition-transform peer-checked:translate-x-6" />
+          </label>
+        </div>
+      )}
+
+      {/* Disable / regenerate */}
+      <Modal
+        isOpen={!!modal}
+        onClose={() => setModal(null)}
+        title={modal === 'disable' ? 'Disable MFA' : 'New Recovery Codes'}
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setModal(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant={modal === 'disable' ? 'danger' : 'primary'}
+              onClick={submitModal}
+              disabled={!code || (modal === 'disable' && !password) || busy}
+            >
+              {busy && <Loader2 size={16} className="animate-spin" />}
+              {modal === 'disable' ? 'Disable' : 'Generate'}
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          {modal === 'disable' ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Authenticator or recovery code</label>
+                <input type="text" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} />
+              </div>
+            </>
+          ) : (
+            <div>
+              <p className="text-sm text-slate-400 mb-3">Your existing recovery codes will stop working.</p>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Authenticator code</label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                className={inputClass}
+              />
+            </div>
+          )}
+          {modalError && <p className="text-sm text-red-400">{modalError}</p>}
+        </div>
+      </Modal>
+
+      {/* Recovery codes (shown once) */}
+      <Modal
+        isOpen={!!recoveryCodes}
+        onClose={() => setRecoveryCodes(null)}
+        title="Recovery Codes"
+        footer={<Button onClick={() => setRecoveryCodes(null)}>Done</Button>}
+      >
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+      </Modal>
+    </div>
+  );
+}
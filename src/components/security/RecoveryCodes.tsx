@@ -0,0 +1,64 @@
+// ============================================================================
+// HEKAX Phone - MFA Recovery Codes
+// One-time display of recovery codes with copy and download
+// ============================================================================
+
+import { useState } from 'react';
+import { Copy, Check, Download, AlertTriangle } from 'lucide-react';
+
+export function RecoveryCodes({ codes }: { codes: string[] }) {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = () => {
+    navigator.clipboard.writeText(codes.join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([`HEKAX Phone recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'hekax-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-amber-500/10 border border-amber-500/20 rounded-lg">
+        <p className="text-sm text-amber-400">
+          <AlertTriangle size={16} className="inline mr-2" />
+          Save these recovery codes somewhere safe. Each one works once if you lose your authenticator — they won't be
+          shown again.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 p-4 bg-slate-900 rounded-lg">
+        {codes.map(code => (
+          <code key={code} className="text-sm text-emerald-400 text-center">{code}</code>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 text-sm text-slate-200 hover:bg-slate-600 transition-colors"
+        >
+          {copied ? <Check size={16} className="text-emerald-400" /> : <Copy size={16} />}
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-700 text-sm text-slate-200 hover:bg-slate-600 transition-colors"
+        >
+          <Download size={16} />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
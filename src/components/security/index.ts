@@ -0,0 +1,7 @@
+// ============================================================================
+// HEKAX Phone - Security Components Index
+// ============================================================================
+
+export { MfaLoginStep } from './MfaLoginStep';
+export { MfaSettings } from './MfaSettings';
+export { RecoveryCodes } from './RecoveryCodes';
@@ -0,0 +1,490 @@
+// ============================================================================
+// HEKAX Phone - Webhooks Panel
+// Webhook subscriptions, delivery log, redelivery and test pings
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import {
+  Plus,
+  Trash2,
+  Send,
+  RotateCw,
+  KeyRound,
+  Loader2,
+  Copy,
+  Check,
+  AlertTriangle,
+  Webhook,
+} from 'lucide-react';
+import { Card, CardHeader, Button, Badge, Modal } from '../common';
+import { webhooksApi } from '../../utils/api';
+import { formatRelativeTime } from '../../utils/formatters';
+import type { WebhookSubscription, WebhookDelivery, WebhookDeliveryStatus } from '../../types';
+
+const ALL_EVENTS = '*';
+
+const STATUS_VARIANTS: Record<WebhookDeliveryStatus, 'default' | 'success' | 'warning' | 'danger'> = {
+  PENDING: 'default',
+  RETRYING: 'warning',
+  SUCCEEDED: 'success',
+  DEAD: 'danger',
+};
+
+export function WebhooksPanel() {
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [availableEvents, setAvailableEvents] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  // Create modal
+  const [showCreate, setShowCreate] = useState(false);
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState<string[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [createError, setCreateError] = useState('');
+
+  // Shown once after create / rotate
+  const [secret, setSecret] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+
+  const selected = subscriptions.find(s => s.id === selectedId) || null;
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  const fetchSubscriptions = async () => {
+    try {
+      const data = await webhooksApi.list();
+      setSubscriptions(data.subscriptions);
+      setAvailableEvents(data.availableEvents);
+    } catch (err) {
+      console.error('Failed to fetch webhooks:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setUrl('');
+    setDescription('');
+    setEvents([]);
+    setCreateError('');
+    setShowCreate(true);
+  };
+
+  const createSubscription = async () => {
+    setSaving(true);
+    setCreateError('');
+    try {
+      const data = await webhooksApi.create({ url, events, description: description || undefined });
+      setShowCreate(false);
+      setSecret(data.secret);
+      setSelectedId(data.subscription.id);
+      await fetchSubscriptions();
+    } catch (err) {
+      setCreateError(err instanceof Error ? err.message : 'Failed to create webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Run an action on one subscription, then refresh
+  const withSubscription = async (id: string, action: () => Promise<unknown>) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await action();
+      await fetchSubscriptions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleEnabled = (subscription: WebhookSubscription) =>
+    withSubscription(subscription.id, () => webhooksApi.update(subscription.id, { enabled: !subscription.enabled }));
+
+  const rotateSecret = (subscription: WebhookSubscription) => {
+    if (!confirm('Rotate the signing secret? Your endpoint must switch to the new secret.')) return;
+    withSubscription(subscription.id, async () => {
+      const data = await webhooksApi.rotateSecret(subscription.id);
+      setSecret(data.secret);
+    });
+  };
+
+  const removeSubscription = (subscription: WebhookSubscription) => {
+    if (!confirm(`Delete the webhook to ${subscription.url} and its delivery log?`)) return;
+    withSubscription(subscription.id, async () => {
+      await webhooksApi.remove(subscription.id);
+      if (selectedId === subscription.id) setSelectedId(null);
+    });
+  };
+
+  const toggleEvent = (event: string) => {
+    setEvents(events.includes(event) ? events.filter(e => e !== event) : [...events, event]);
+  };
+
+  const copySecret = () => {
+    if (!secret) return;
+    navigator.clipboard.writeText(secret);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader
+          title="Webhooks"
+          description="Send signed events to your endpoints, with retries and a delivery log"
+          action={
+            <Button onClick={openCreate}>
+              <Plus size={18} />
+              Add Endpoint
+            </Button>
+          }
+        />
+
+        {error && <p className="mb-3 text-sm text-red-400">{error}</p>}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 size={24} className="animate-spin text-slate-400" />
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <div className="text-center py-8 text-slate-400">
+            No webhooks yet. Add an endpoint to receive call, lead and appointment events.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {subscriptions.map(subscription => (
+              <div
+                key={subscription.id}
+                onClick={() => setSelectedId(subscription.id)}
+                className={`
+                  p-4 rounded-lg cursor-pointer border transition-all
+                  ${selectedId === subscription.id
+                    ? 'bg-blue-500/10 border-blue-500/50'
+                    : 'bg-slate-900/50 border-transparent hover:border-slate-600'
+                  }
+                `}
+              >
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <code className="text-sm text-white truncate">{subscription.url}</code>
+                      {!subscription.enabled && <Badge variant="danger">disabled</Badge>}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+                      {subscription.description && <span>{subscription.description}</span>}
+                      <span>
+                        {subscription.events.includes(ALL_EVENTS) ? 'All events' : `${subscription.events.length} events`}
+                      </span>
+                      {subscription.lastDeliveryAt && (
+                        <span>Last delivered {formatRelativeTime(subscription.lastDeliveryAt)}</span>
+                      )}
+                      {subscription.consecutiveFailures > 0 && (
+                        <span className="text-amber-400">
+                          <AlertTriangle size={12} className="inline mr-1" />
+                          {subscription.consecutiveFailures} dead in a row
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-1 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                    {busyId === subscription.id && <Loader2 size={16} className="animate-spin text-slate-400" />}
+                    <Button
+                      size="sm"
+                      variant="secondary"
+                      disabled={busyId === subscription.id}
+                      onClick={() => {
+                        setSelectedId(subscription.id);
+                        withSubscription(subscription.id, () => webhooksApi.test(subscription.id));
+                      }}
+                    >
+                      <Send size={14} />
+                      Test
+                    </Button>
+                    <Button size="sm" variant="secondary" onClick={() => toggleEnabled(subscription)}>
+                      {subscription.enabled ? 'Disable' : 'Enable'}
+                    </Button>
+                    <button
+                      onClick={() => rotateSecret(subscription)}
+                      className="p-2 text-slate-500 hover:text-white transition-colors"
+                      title="Rotate signing secret"
+                    >
+                      <KeyRound size={16} />
+                    </button>
+                    <button
+                      onClick={() => removeSubscription(subscription)}
+                      className="p-2 text-slate-500 hover:text-red-400 transition-colors"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <p className="mt-4 text-xs text-slate-500">
+          Each request carries <code>X-HEKAX-Event</code>, <code>X-HEKAX-Delivery</code> and{' '}
+          <code>X-HEKAX-Signature</code> (hex HMAC-SHA256 of the raw body with your secret). Failed deliveries are
+          retried with exponential backoff before being marked dead.
+        </p>
+      </Card>
+
+      {selected && <DeliveryLog key={`${selected.id}-${selected.lastDeliveryAt}-${busyId}`} subscription={selected} />}
+
+      {/* Create Modal */}
+      <Modal
+        isOpen={showCreate}
+        onClose={() => setShowCreate(false)}
+        title="Add Webhook Endpoint"
+        size="lg"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCreate(false)}>
+              Cancel
+            </Button>
+            <Button onClick={createSubscription} disabled={!url || events.length === 0 || saving}>
+              {saving && <Loader2 size={16} className="animate-spin" />}
+              Add Endpoint
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Endpoint URL *</label>
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/hekax-webhook"
+              className="w-full px-4 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Description</label>
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="e.g. CRM sync"
+              className="w-full px-4 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Events *</label>
+            <label className="flex items-center gap-2 mb-2">
+              <input
+                type="checkbox"
+                checked={events.includes(ALL_EVENTS)}
+                onChange={() => setEvents(events.includes(ALL_EVENTS) ? [] : [ALL_EVENTS])}
+                className="w-4 h-4 rounded border-slate-600 bg-slate-800 text-blue-500 focus:ring-blue-500"
+              />
+              <span className="text-sm text-white">All events</span>
+            </label>
+            {!events.includes(ALL_EVENTS) && (
+              <div className="grid grid-cols-2 gap-2 max-h-60 overflow-y-auto">
+                {availableEvents.map(event => (
+                  <label key={event} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={events.includes(event)}
+                      onChange={() => toggleEvent(event)}
+                      className="w-4 h-4 rounded border-slate-600 bg-slate-800 text-blue-500 focus:ring-blue-500"
+                    />
+                    <code className="text-xs text-slate-300">{event}</code>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {createError && <p className="text-sm text-red-400">{createError}</p>}
+        </div>
+      </Modal>
+
+      {/* Secret Modal */}
+      <Modal
+        isOpen={!!secret}
+        onClose={() => setSecret(null)}
+        title="Signing Secret"
+        footer={<Button onClick={() => setSecret(null)}>Done</Button>}
+      >
+        <div className="space-y-4">
+          <div className="p-4 bg-amber-500/10 border border-amber-500/20 rounded-lg">
+            <p className="text-sm text-amber-400">
+              <AlertTriangle size={16} className="inline mr-2" />
+              Copy this secret now — it won't be shown again!
+            </p>
+          </div>
+          <div className="relative">
+            <code className="block w-full p-4 bg-slate-900 rounded-lg text-sm text-emerald-400 break-all pr-12">
+              {secret}
+            </code>
+            <button
+              onClick={copySecret}
+              className="absolute right-3 top-1/2 -translate-y-1/2 p-2 text-slate-400 hover:text-white transition-colors"
+            >
+              {copied ? <Check size={18} className="text-emerald-400" /> : <Copy size={18} />}
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+// Helper components
+function DeliveryLog({ subscription }: { subscription: WebhookSubscription }) {
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [statusFilter, setStatusFilter] = useState<WebhookDeliveryStatus | ''>('');
+  const [expanded, setExpanded] = useState<WebhookDelivery | null>(null);
+  const [redelivering, setRedelivering] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [statusFilter]);
+
+  const fetchDeliveries = async (cursor?: string) => {
+    try {
+      const data = await webhooksApi.deliveries(subscription.id, { status: statusFilter || undefined, cursor });
+      setDeliveries(cursor ? [...deliveries, ...data.deliveries] : data.deliveries);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch deliveries:', err);
+    }
+  };
+
+  const toggleDetails = async (delivery: WebhookDelivery) => {
+    if (expanded?.id === delivery.id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const data = await webhooksApi.delivery(delivery.id);
+      setExpanded(data.delivery);
+    } catch (err) {
+      console.error('Failed to load delivery:', err);
+    }
+  };
+
+  const redeliver = async (delivery: WebhookDelivery) => {
+    setRedelivering(delivery.id);
+    try {
+      await webhooksApi.redeliver(delivery.id);
+      await fetchDeliveries();
+    } catch (err) {
+      console.error('Failed to redeliver:', err);
+    } finally {
+      setRedelivering(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        title="Delivery Log"
+        description={subscription.url}
+        action={
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value as WebhookDeliveryStatus | '')}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_VARIANTS).map(status => (
+              <option key={status} value={status}>{status.toLowerCase()}</option>
+            ))}
+          </select>
+        }
+      />
+
+      {deliveries.length === 0 ? (
+        <div className="text-center py-8 text-slate-500">
+          <Webhook size={32} className="mx-auto mb-3 opacity-50" />
+          <p>No deliveries yet. Send a test ping to check the endpoint.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {deliveries.map(delivery => (
+            <div key={delivery.id} className="rounded-lg bg-slate-900/50">
+              <div
+                onClick={() => toggleDetails(delivery)}
+                className="flex items-center gap-3 p-3 cursor-pointer text-sm"
+              >
+                <Badge variant={STATUS_VARIANTS[delivery.status]}>{delivery.status.toLowerCase()}</Badge>
+                <code className="text-slate-300 flex-1 truncate">{delivery.event}</code>
+                <span className="text-xs text-slate-500">
+                  {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error || '-'}
+                </span>
+                <span className="text-xs text-slate-500 w-16 text-right">
+                  {delivery.attempts} {delivery.attempts === 1 ? 'try' : 'tries'}
+                </span>
+                <span className="text-xs text-slate-500 w-24 text-right">{formatRelativeTime(delivery.createdAt)}</span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    redeliver(delivery);
+                  }}
+                  disabled={redelivering === delivery.id}
+                  className="p-1.5 text-slate-500 hover:text-white transition-colors disabled:opacity-50"
+                  title="Redeliver"
+                >
+                  <RotateCw size={14} className={redelivering === delivery.id ? 'animate-spin' : ''} />
+                </button>
+              </div>
+
+              {expanded?.id === delivery.id && (
+                <div className="px-3 pb-3 space-y-3 text-xs">
+                  {expanded.status === 'RETRYING' && expanded.nextAttemptAt && (
+                    <p className="text-amber-400">Next attempt {formatRelativeTime(expanded.nextAttemptAt)}</p>
+                  )}
+                  {expanded.error && <p className="text-red-400">{expanded.error}</p>}
+                  <div>
+                    <p className="text-slate-500 uppercase mb-1">Request</p>
+                    <pre className="p-3 bg-slate-950 rounded-lg text-slate-300 overflow-x-auto max-h-64">
+                      {JSON.stringify(expanded.payload, null, 2)}
+                    </pre>
+                  </div>
+                  <div>
+                    <p className="text-slate-500 uppercase mb-1">
+                      Response{expanded.responseStatus ? ` · HTTP ${expanded.responseStatus}` : ''}
+                      {expanded.durationMs != null && ` · ${expanded.durationMs} ms`}
+                    </p>
+                    <pre className="p-3 bg-slate-950 rounded-lg text-slate-300 overflow-x-auto max-h-64 whitespace-pre-wrap">
+                      {expanded.responseBody || (expanded.responseStatus ? '(empty)' : 'No response')}
+                    </pre>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {nextCursor && (
+            <button
+              onClick={() => fetchDeliveries(nextCursor)}
+              className="w-full py-2 text-sm text-slate-400 hover:text-white"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
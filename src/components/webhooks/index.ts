@@ -0,0 +1,5 @@
+// ============================================================================
+// HEKAX Phone - Webhook Components Index
+// ============================================================================
+
+export { WebhooksPanel } from './WebhooksPanel';
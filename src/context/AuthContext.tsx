@@ -5,7 +5,7 @@
 
 import { createContext, useContext, useState, useEffect, useCallback, type ReactNode } from 'react';
 import { STORAGE_KEYS } from '../utils/constants';
-import { authApi, type LoginResponse } from '../utils/api';
+import { authApi, type LoginResponse, type MfaChallengeResponse } from '../utils/api';
 import type { AuthUser, AuthOrg } from '../types';
 
 interface AuthContextType {
@@ -13,7 +13,8 @@ interface AuthContextType {
   org: AuthOrg | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<MfaChallengeResponse | null>;
+  completeLogin: (response: LoginResponse) => void;
   logout: () => void;
   updateOrg: (org: AuthOrg) => void;
   refreshUser: () => Promise<void>;
@@ -60,10 +61,8 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     setOrg(null);
   };
 
-  const login = useCallback(async (email: string, password: string) => {
-    const response = await authApi.login(email, password);
-
-    // Tokens are already stored by authApi.login
+  // Tokens are already stored by authApi
+  const completeLogin = useCallback((response: LoginResponse) => {
     localStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(response.user));
     localStorage.setItem(STORAGE_KEYS.ORG, JSON.stringify(response.organization));
 
@@ -71,6 +70,18 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     setOrg(response.organization);
   }, []);
 
+  // Returns the MFA challenge when a second step is needed
+  const login = useCallback(async (email: string, password: string) => {
+    const response = await authApi.login(email, password);
+
+    if ('mfaToken' in response) {
+      return response;
+    }
+
+    completeLogin(response);
+    return null;
+  }, [completeLogin]);
+
   const logout = useCallback(async () => {
     try {
       await authApi.logout();
@@ -105,6 +116,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         isAuthenticated: !!user && !!org,
         isLoading,
         login,
+        completeLogin,
         logout,
         updateOrg,
         refreshUser,
@@ -14,6 +14,13 @@ export type TwilioStatus =
   | 'disconnected' 
   | 'error';
 
+export interface EndedCall {
+  callSid: string;
+  from?: string;
+  to?: string;
+  duration: number;
+}
+
 interface UseTwilioReturn {
   device: TwilioDevice | null;
   activeCall: TwilioCall | null;
@@ -24,6 +31,7 @@ interface UseTwilioReturn {
   callDuration: number;
   incomingCall: TwilioCall | null;
   volume: number;
+  endedCall: EndedCall | null;
   // Actions
   makeCall: (phoneNumber: string) => Promise<void>;
   hangup: () => void;
@@ -32,6 +40,7 @@ interface UseTwilioReturn {
   rejectIncoming: () => void;
   sendDigits: (digits: string) => void;
   setVolume: (volume: number) => void;
+  clearEndedCall: () => void;
 }
 
 interface UseTwilioOptions {
@@ -50,9 +59,12 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
   const [isMuted, setIsMuted] = useState(false);
   const [callDuration, setCallDuration] = useState(0);
   const [volume, setVolumeState] = useState(100);
+  const [endedCall, setEndedCall] = useState<EndedCall | null>(null);
 
   const timerRef = useRef<number | null>(null);
+  const acceptedAtRef = useRef<number | null>(null);
   const deviceRef = useRef<TwilioDevice | null>(null);
+  const agentDeviceRef = useRef<TwilioDevice | null>(null);
   const audioContextRef = useRef<AudioContext | null>(null);
   const gainNodeRef = useRef<GainNode | null>(null);
 
@@ -85,10 +97,11 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
         setStatusMessage('Connecting to Twilio...');
 
         // Create device
-        const twilioDevice = new Device(token, {
+        const deviceOptions: ConstructorParameters<typeof Device>[1] = {
           logLevel: 1,
           codecPreferences: ['opus', 'pcmu'],
-        });
+        };
+        const twilioDevice = new Device(token, deviceOptions);
 
         // Setup event handlers
         twilioDevice.on('registered', () => {
@@ -114,13 +127,14 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
           setStatusMessage(`Error: ${error.message}`);
         });
 
-        twilioDevice.on('incoming', (call: TwilioCall) => {
+        const handleIncoming = (call: TwilioCall) => {
           if (!mounted) return;
           console.log('📞 Incoming call from:', call.parameters.From);
           setIncomingCall(call);
           setStatus('connecting');
           setStatusMessage(`Incoming: ${call.parameters.From || 'Unknown'}`);
-        });
+        };
+        twilioDevice.on('incoming', handleIncoming);
 
         // Register the device
         await twilioDevice.register();
@@ -128,6 +142,19 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
         deviceRef.current = twilioDevice;
         setDevice(twilioDevice);
 
+        // Queue calls ring only the chosen agent, on their own identity
+        try {
+          const agent = await getTwilioToken('agent');
+          if (!mounted) return;
+
+          const agentDevice = new Device(agent.token, deviceOptions);
+          agentDevice.on('incoming', handleIncoming);
+          await agentDevice.register();
+          agentDeviceRef.current = agentDevice;
+        } catch (error) {
+          console.error('⚠️ Agent softphone registration failed:', error);
+        }
+
       } catch (error) {
         if (!mounted) return;
         console.error('Failed to setup Twilio:', error);
@@ -146,6 +173,9 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
       if (deviceRef.current) {
         deviceRef.current.destroy();
       }
+      if (agentDeviceRef.current) {
+        agentDeviceRef.current.destroy();
+      }
     };
   }, [enabled]);
 
@@ -156,6 +186,8 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
       setStatus('connected');
       setStatusMessage('Connected');
       setCallDuration(0);
+      setEndedCall(null);
+      acceptedAtRef.current = Date.now();
       
       // Start duration timer
       timerRef.current = window.setInterval(() => {
@@ -165,6 +197,18 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
 
     call.on('disconnect', () => {
       console.log('📴 Call disconnected');
+
+      // Answered calls get a wrap-up (disposition, tags, notes)
+      if (acceptedAtRef.current && call.parameters.CallSid) {
+        setEndedCall({
+          callSid: call.parameters.CallSid,
+          from: call.parameters.From,
+          to: call.parameters.To,
+          duration: Math.round((Date.now() - acceptedAtRef.current) / 1000),
+        });
+      }
+      acceptedAtRef.current = null;
+
       setActiveCall(null);
       setIncomingCall(null);
       setStatus('ready');
@@ -287,6 +331,8 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
     }
   }, []);
 
+  const clearEndedCall = useCallback(() => setEndedCall(null), []);
+
   // Apply volume when call becomes active
   useEffect(() => {
     if (activeCall) {
@@ -308,6 +354,7 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
     callDuration,
     incomingCall,
     volume,
+    endedCall,
     makeCall,
     hangup,
     toggleMute,
@@ -315,5 +362,6 @@ export function useTwilio(options: UseTwilioOptions = {}): UseTwilioReturn {
     rejectIncoming,
     sendDigits,
     setVolume,
+    clearEndedCall,
   };
 }
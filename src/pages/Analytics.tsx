@@ -24,7 +24,10 @@ import {
   Activity,
   PieChart,
   HelpCircle,
+  Globe,
+  Tag,
 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
 import { PageHeader } from '../components/layout';
 import { Card, StatCard, LoadingSpinner } from '../components/common';
 import { api } from '../utils/api';
@@ -87,6 +90,8 @@ interface AnalyticsData {
     positiveOutcomeRate: number;
     avgDuration: number;
     transferReasons: { reason: string; count: number }[];
+    avgResponseLatency?: number;
+    p95ResponseLatency?: number;
   };
   leadConversion: {
     totalLeads: number;
@@ -103,6 +108,15 @@ interface AnalyticsData {
     human: number;
     timeline: { date: string; avgDuration: number }[];
   };
+  callOutcomes?: {
+    byStatus: { status: string; count: number }[];
+    byDisposition: { disposition: string | null; label: string; category: string | null; count: number }[];
+  };
+  languages?: {
+    totalCalls: number;
+    detectedCalls: number;
+    languages: { language: string; name: string; count: number; detected: number; percentage: number }[];
+  };
 }
 
 // ============================================================================
@@ -240,6 +254,25 @@ interface InsightsViewProps {
 }
 
 function InsightsView({ analytics, dateRange, setDateRange, formatDuration, formatCurrency }: InsightsViewProps) {
+  const { user } = useAuth();
+  const [reprocessMessage, setReprocessMessage] = useState<string | null>(null);
+  const canManage = user?.role === 'OWNER' || user?.role === 'ADMIN';
+
+  const handleReprocess = async () => {
+    if (!analytics) return;
+    try {
+      const result = await api.post<{ queued: number }>('/api/analytics/reprocess', {
+        startDate: analytics.period.startDate,
+        endDate: analytics.period.endDate,
+      });
+      setReprocessMessage(
+        result.queued > 0 ? `${result.queued} calls queued for analysis` : 'All calls already analyzed'
+      );
+    } catch (err) {
+      setReprocessMessage(err instanceof Error ? err.message : 'Failed to queue analysis');
+    }
+  };
+
   if (!analytics) {
     return (
       <Card className="text-center py-12">
@@ -249,7 +282,7 @@ function InsightsView({ analytics, dateRange, setDateRange, formatDuration, form
     );
   }
 
-  const { callMetrics, sentimentAnalysis, topTopics, peakHours, aiPerformance, leadConversion, avgHandleTime } = analytics;
+  const { callMetrics, sentimentAnalysis, topTopics, peakHours, aiPerformance, leadConversion, avgHandleTime, languages, callOutcomes } = analytics;
 
   // Calculate sentiment percentages
   const totalSentiment = sentimentAnalysis.distribution.positive + sentimentAnalysis.distribution.neutral + sentimentAnalysis.distribution.negative;
@@ -417,6 +450,17 @@ function InsightsView({ analytics, dateRange, setDateRange, formatDuration, form
                   {aiPerformance.transferRate}%
                 </span>
               </div>
+              {!!aiPerformance.avgResponseLatency && (
+                <div className="flex justify-between text-sm mt-2">
+                  <span className="text-slate-400">Avg Response Time</span>
+                  <span
+                    className={`font-medium ${aiPerformance.avgResponseLatency > 1500 ? 'text-amber-400' : 'text-emerald-400'}`}
+                    title={`95th percentile: ${aiPerformance.p95ResponseLatency}ms`}
+                  >
+                    {(aiPerformance.avgResponseLatency / 1000).toFixed(1)}s
+                  </span>
+                </div>
+              )}
             </div>
           </div>
         </Card>
@@ -528,7 +572,18 @@ function InsightsView({ analytics, dateRange, setDateRange, formatDuration, form
           <div className="flex items-center gap-3 mb-6">
             <PieChart size={20} className="text-amber-400" />
             <h3 className="font-semibold text-white">Top Topics & Intents</h3>
+            {canManage && (
+              <button
+                onClick={handleReprocess}
+                className="ml-auto text-xs text-slate-400 hover:text-white transition-colors"
+              >
+                Re-analyze calls
+              </button>
+            )}
           </div>
+          {reprocessMessage && (
+            <p className="text-xs text-slate-500 -mt-4 mb-4">{reprocessMessage}</p>
+          )}
 
           <div className="grid grid-cols-2 gap-4">
             <div>
@@ -550,7 +605,7 @@ function InsightsView({ analytics, dateRange, setDateRange, formatDuration, form
               <div className="space-y-2">
                 {topTopics.intents.slice(0, 5).map((intent, i) => (
                   <div key={i} className="flex items-center justify-between">
-                    <span className="text-sm text-slate-300 truncate">{intent.name}</span>
+                    <span className="text-sm text-slate-300 truncate capitalize">{intent.name.replace(/_/g, ' ')}</span>
                     <span className="text-xs text-slate-500 bg-slate-700 px-2 py-0.5 rounded">{intent.count}</span>
                   </div>
                 ))}
@@ -714,6 +769,73 @@ function InsightsView({ analytics, dateRange, setDateRange, formatDuration, form
           </div>
         </div>
       </Card>
+
+      {/* Call Dispositions */}
+      {callOutcomes && callOutcomes.byDisposition.some((d) => d.disposition) && (
+        <Card>
+          <div className="flex items-center gap-3 mb-6">
+            <Tag size={20} className="text-amber-400" />
+            <h3 className="font-semibold text-white">Call Dispositions</h3>
+          </div>
+
+          <div className="space-y-3">
+            {callOutcomes.byDisposition.map((item) => {
+              const total = callOutcomes.byDisposition.reduce((sum, d) => sum + d.count, 0);
+              const percentage = total > 0 ? Math.round((item.count / total) * 100) : 0;
+              return (
+                <div key={item.disposition || 'none'} className="flex items-center gap-3">
+                  <span className="text-sm text-slate-300 w-40 truncate">{item.label}</span>
+                  <div className="flex-1 h-2 bg-slate-700 rounded-full">
+                    <div
+                      className={`h-full rounded-full ${
+                        item.category === 'positive' ? 'bg-emerald-500' :
+                        item.category === 'negative' ? 'bg-red-500' :
+                        item.disposition ? 'bg-blue-500' : 'bg-slate-500'
+                      }`}
+                      style={{ width: `${percentage}%` }}
+                    />
+                  </div>
+                  <span className="text-xs text-slate-500 w-20 text-right">
+                    {item.count} ({percentage}%)
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+      )}
+
+      {/* Caller Languages */}
+      {languages && languages.totalCalls > 0 && (
+        <Card>
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <Globe size={20} className="text-cyan-400" />
+              <h3 className="font-semibold text-white">Caller Languages</h3>
+            </div>
+            <span className="text-xs text-slate-500">
+              {languages.detectedCalls} of {languages.totalCalls} AI calls auto-detected
+            </span>
+          </div>
+
+          <div className="space-y-3">
+            {languages.languages.map((lang) => (
+              <div key={lang.language} className="flex items-center gap-3">
+                <span className="text-sm text-slate-300 w-24">{lang.name}</span>
+                <div className="flex-1 h-2 bg-slate-700 rounded-full">
+                  <div
+                    className="h-full rounded-full bg-cyan-500"
+                    style={{ width: `${lang.percentage}%` }}
+                  />
+                </div>
+                <span className="text-xs text-slate-500 w-20 text-right">
+                  {lang.count} ({lang.percentage}%)
+                </span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
     </div>
   );
 }
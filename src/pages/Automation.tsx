@@ -1,6 +1,7 @@
 // ============================================================================
 // HEKAX Phone - Automation Management Page
-// Manage automation rules, view logs, and access templates
+// Manage automation rules, view logs, access templates, tune lead scoring
+// and edit call disposition codes
 // ============================================================================
 
 import { useState, useEffect } from "react";
@@ -54,18 +55,45 @@ interface SchedulerJob {
   intervalHuman: string;
 }
 
-type Tab = "rules" | "logs" | "templates" | "scheduler";
+interface ScoringRule {
+  signal: string;
+  weight: number;
+  threshold?: number | null;
+  decayDays?: number | null;
+  maxPoints?: number | null;
+  enabled?: boolean;
+}
+
+interface ScoringSignal {
+  key: string;
+  label: string;
+  description: string;
+  threshold: { unit: string; default: number } | null;
+}
+
+interface DispositionCode {
+  code?: string;
+  label: string;
+  category: "positive" | "neutral" | "negative";
+  enabled: boolean;
+}
+
+type Tab = "rules" | "logs" | "templates" | "scheduler" | "scoring" | "dispositions";
 
 const EVENTS = [
   { key: "CALL_STARTED", value: "call:started", label: "Call Started" },
   { key: "CALL_COMPLETED", value: "call:completed", label: "Call Completed" },
   { key: "CALL_MISSED", value: "call:missed", label: "Call Missed" },
+  { key: "CALL_DISPOSITIONED", value: "call:dispositioned", label: "Call Dispositioned" },
+  { key: "CAMPAIGN_CALL_COMPLETED", value: "campaign:callCompleted", label: "Campaign Call Completed" },
+  { key: "RECEPTIONIST_EVENT", value: "receptionist:event", label: "AI Receptionist Event" },
   { key: "LEAD_CREATED", value: "lead:created", label: "Lead Created" },
   { key: "LEAD_UPDATED", value: "lead:updated", label: "Lead Updated" },
   { key: "LEAD_STATUS_CHANGED", value: "lead:statusChanged", label: "Lead Status Changed" },
   { key: "APPOINTMENT_BOOKED", value: "appointment:booked", label: "Appointment Booked" },
   { key: "APPOINTMENT_REMINDER", value: "appointment:reminder", label: "Appointment Reminder" },
   { key: "APPOINTMENT_CANCELLED", value: "appointment:cancelled", label: "Appointment Cancelled" },
+  { key: "APPOINTMENT_RESCHEDULED", value: "appointment:rescheduled", label: "Appointment Rescheduled" },
   { key: "APPOINTMENT_NO_SHOW", value: "appointment:noShow", label: "Appointment No-Show" },
   { key: "FEEDBACK_SUBMITTED", value: "feedback:submitted", label: "Feedback Submitted" },
   { key: "FEEDBACK_APPROVED", value: "feedback:approved", label: "Feedback Approved" },
@@ -117,6 +145,19 @@ export function AutomationPage() {
   const [actions, setActions] = useState<Action[]>([]);
   const [priority, setPriority] = useState(0);
 
+  // Lead scoring state
+  const [scoringRules, setScoringRules] = useState<ScoringRule[]>([]);
+  const [scoringSignals, setScoringSignals] = useState<ScoringSignal[]>([]);
+  const [hotScore, setHotScore] = useState(70);
+  const [warmScore, setWarmScore] = useState(40);
+  const [scoringIsDefault, setScoringIsDefault] = useState(false);
+  const [scoringMessage, setScoringMessage] = useState("");
+
+  // Disposition state
+  const [dispositionCodes, setDispositionCodes] = useState<DispositionCode[]>([]);
+  const [wrapUpEnabled, setWrapUpEnabled] = useState(true);
+  const [dispositionMessage, setDispositionMessage] = useState("");
+
   const API = import.meta.env.VITE_API_URL || "http://localhost:3000";
 
   useEffect(() => {
@@ -124,6 +165,8 @@ export function AutomationPage() {
     else if (activeTab === "logs") fetchLogs();
     else if (activeTab === "templates") fetchTemplates();
     else if (activeTab === "scheduler") fetchSchedulerStatus();
+    else if (activeTab === "scoring") fetchScoring();
+    else if (activeTab === "dispositions") fetchDispositions();
   }, [activeTab]);
 
   async function fetchRules() {
@@ -296,6 +339,131 @@ export function AutomationPage() {
     }
   }
 
+  function applyScoringModel(data: {
+    rules?: ScoringRule[];
+    signals?: ScoringSignal[];
+    hotScore?: number;
+    warmScore?: number;
+    isDefault?: boolean;
+  }) {
+    setScoringRules(data.rules || []);
+    setScoringSignals(data.signals || []);
+    setHotScore(data.hotScore ?? 70);
+    setWarmScore(data.warmScore ?? 40);
+    setScoringIsDefault(!!data.isDefault);
+  }
+
+  async function fetchScoring() {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/api/leads/scoring`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      applyScoringModel(await res.json());
+    } catch (err) {
+      console.error("Failed to fetch scoring rules:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function saveScoring() {
+    setScoringMessage("");
+    try {
+      const res = await fetch(`${API}/api/leads/scoring`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ rules: scoringRules, hotScore, warmScore }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setScoringMessage(data.error || "Failed to save scoring rules");
+        return;
+      }
+      applyScoringModel(data);
+      setScoringMessage("Scoring rules saved. Rescore leads to apply them now.");
+    } catch (err) {
+      console.error("Failed to save scoring rules:", err);
+    }
+  }
+
+  async function rescoreLeads() {
+    setScoringMessage("Rescoring leads...");
+    try {
+      const res = await fetch(`${API}/api/leads/scoring/rescore`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      setScoringMessage(
+        res.ok
+          ? `Rescored ${data.scored} leads (${data.updated} changed)`
+          : data.error || "Failed to rescore leads"
+      );
+    } catch (err) {
+      console.error("Failed to rescore leads:", err);
+    }
+  }
+
+  function updateScoringRule(index: number, changes: Partial<ScoringRule>) {
+    const updated = [...scoringRules];
+    updated[index] = { ...updated[index], ...changes };
+    setScoringRules(updated);
+  }
+
+  function parseOptionalNumber(value: string) {
+    return value === "" ? null : Number(value);
+  }
+
+  async function fetchDispositions() {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/api/calls/dispositions`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      setDispositionCodes(data.codes || []);
+      setWrapUpEnabled(data.wrapUpEnabled ?? true);
+    } catch (err) {
+      console.error("Failed to fetch dispositions:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function saveDispositions() {
+    setDispositionMessage("");
+    try {
+      const res = await fetch(`${API}/api/calls/dispositions`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ codes: dispositionCodes, wrapUpEnabled }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setDispositionMessage(data.error || "Failed to save dispositions");
+        return;
+      }
+      setDispositionCodes(data.codes || []);
+      setWrapUpEnabled(data.wrapUpEnabled ?? true);
+      setDispositionMessage("Dispositions saved.");
+    } catch (err) {
+      console.error("Failed to save dispositions:", err);
+    }
+  }
+
+  function updateDispositionCode(index: number, changes: Partial<DispositionCode>) {
+    const updated = [...dispositionCodes];
+    updated[index] = { ...updated[index], ...changes };
+    setDispositionCodes(updated);
+  }
+
   function addCondition() {
     setConditions([...conditions, { field: "", operator: "equals", value: "" }]);
   }
@@ -349,6 +517,8 @@ export function AutomationPage() {
           { id: "logs", label: "Execution Logs", icon: "📜" },
           { id: "templates", label: "Templates", icon: "📦" },
           { id: "scheduler", label: "Scheduler", icon: "⏰" },
+          { id: "scoring", label: "Lead Scoring", icon: "🎯" },
+          { id: "dispositions", label: "Dispositions", icon: "🏷️" },
         ].map((tab) => (
           <button
             key={tab.id}
@@ -631,6 +801,262 @@ export function AutomationPage() {
         </div>
       )}
 
+      {/* Lead Scoring Tab */}
+      {activeTab === "scoring" && (
+        <div>
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-white">Lead Scoring Rules</h2>
+              <p className="text-gray-400 text-sm">
+                Scores are recomputed from scratch every 6 hours. Decay halves a signal's
+                points every N days; the cap limits a rule's total.
+                {scoringIsDefault && " You're using the default rules."}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={rescoreLeads}
+                className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600"
+              >
+                Rescore All Leads
+              </button>
+              <button
+                onClick={saveScoring}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Save Rules
+              </button>
+            </div>
+          </div>
+
+          {scoringMessage && (
+            <div className="mb-4 text-sm text-gray-300">{scoringMessage}</div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-12 text-gray-400">Loading...</div>
+          ) : (
+            <div className="space-y-3">
+              <div className="bg-gray-800 rounded-lg p-4 border border-gray-700 flex gap-6">
+                <label className="text-sm text-gray-300">
+                  Hot at score
+                  <input
+                    type="number"
+                    value={hotScore}
+                    onChange={(e) => setHotScore(parseInt(e.target.value) || 0)}
+                    className="ml-2 w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                    min="1"
+                    max="100"
+                  />
+                </label>
+                <label className="text-sm text-gray-300">
+                  Warm at score
+                  <input
+                    type="number"
+                    value={warmScore}
+                    onChange={(e) => setWarmScore(parseInt(e.target.value) || 0)}
+                    className="ml-2 w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                    min="0"
+                    max="100"
+                  />
+                </label>
+              </div>
+
+              {scoringRules.map((rule, index) => {
+                const signal = scoringSignals.find((s) => s.key === rule.signal);
+                return (
+                  <div
+                    key={index}
+                    className={`bg-gray-800 rounded-lg p-4 border border-gray-700 grid grid-cols-6 gap-3 items-end ${
+                      rule.enabled === false ? "opacity-60" : ""
+                    }`}
+                  >
+                    <div className="col-span-2">
+                      <label className="block text-xs text-gray-400 mb-1">Signal</label>
+                      <select
+                        value={rule.signal}
+                        onChange={(e) => updateScoringRule(index, { signal: e.target.value, threshold: null })}
+                        className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                        title={signal?.description}
+                      >
+                        {scoringSignals.map((s) => (
+                          <option key={s.key} value={s.key}>
+                            {s.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1">Points</label>
+                      <input
+                        type="number"
+                        value={rule.weight}
+                        onChange={(e) => updateScoringRule(index, { weight: parseInt(e.target.value) || 0 })}
+                        className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1">
+                        {signal?.threshold ? `Threshold (${signal.threshold.unit})` : "Threshold"}
+                      </label>
+                      <input
+                        type="number"
+                        value={rule.threshold ?? ""}
+                        disabled={!signal?.threshold}
+                        placeholder={signal?.threshold ? String(signal.threshold.default) : "-"}
+                        onChange={(e) => updateScoringRule(index, { threshold: parseOptionalNumber(e.target.value) })}
+                        className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm disabled:opacity-40"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-400 mb-1">Decay (days)</label>
+                      <input
+                        type="number"
+                        value={rule.decayDays ?? ""}
+                        placeholder="None"
+                        onChange={(e) => updateScoringRule(index, { decayDays: parseOptionalNumber(e.target.value) })}
+                        className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                      />
+                    </div>
+                    <div className="flex gap-2 items-end">
+                      <div className="flex-1">
+                        <label className="block text-xs text-gray-400 mb-1">Cap</label>
+                        <input
+                          type="number"
+                          value={rule.maxPoints ?? ""}
+                          placeholder="None"
+                          onChange={(e) => updateScoringRule(index, { maxPoints: parseOptionalNumber(e.target.value) })}
+                          className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                        />
+                      </div>
+                      <button
+                        onClick={() => updateScoringRule(index, { enabled: rule.enabled === false })}
+                        className="px-2 py-1 bg-gray-700 text-white rounded text-sm hover:bg-gray-600"
+                        title={rule.enabled === false ? "Enable" : "Disable"}
+                      >
+                        {rule.enabled === false ? "▶️" : "⏸️"}
+                      </button>
+                      <button
+                        onClick={() => setScoringRules(scoringRules.filter((_, i) => i !== index))}
+                        className="px-2 py-1 bg-red-600/20 text-red-400 rounded text-sm hover:bg-red-600/30"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+
+              <button
+                onClick={() =>
+                  setScoringRules([
+                    ...scoringRules,
+                    { signal: scoringSignals[0]?.key || "has_email", weight: 10 },
+                  ])
+                }
+                className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600"
+              >
+                + Add Signal
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Dispositions Tab */}
+      {activeTab === "dispositions" && (
+        <div>
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-white">Call Dispositions</h2>
+              <p className="text-gray-400 text-sm">
+                Outcome codes agents pick after a call. The AI receptionist sets one
+                automatically, and rules can match the <code>disposition</code> field.
+              </p>
+            </div>
+            <button
+              onClick={saveDispositions}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              Save Dispositions
+            </button>
+          </div>
+
+          {dispositionMessage && (
+            <div className="mb-4 text-sm text-gray-300">{dispositionMessage}</div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-12 text-gray-400">Loading...</div>
+          ) : (
+            <div className="space-y-3">
+              <label className="bg-gray-800 rounded-lg p-4 border border-gray-700 flex items-center gap-3 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={wrapUpEnabled}
+                  onChange={(e) => setWrapUpEnabled(e.target.checked)}
+                />
+                Show the wrap-up form in the Softphone after each call
+              </label>
+
+              {dispositionCodes.map((code, index) => (
+                <div
+                  key={index}
+                  className={`bg-gray-800 rounded-lg p-4 border border-gray-700 flex gap-3 items-center ${
+                    code.enabled ? "" : "opacity-60"
+                  }`}
+                >
+                  <input
+                    type="text"
+                    value={code.label}
+                    onChange={(e) => updateDispositionCode(index, { label: e.target.value })}
+                    className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                    placeholder="Label"
+                  />
+                  <span className="text-xs text-gray-500 w-40 truncate">{code.code || "new"}</span>
+                  <select
+                    value={code.category}
+                    onChange={(e) =>
+                      updateDispositionCode(index, { category: e.target.value as DispositionCode["category"] })
+                    }
+                    className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                  >
+                    <option value="positive">Positive</option>
+                    <option value="neutral">Neutral</option>
+                    <option value="negative">Negative</option>
+                  </select>
+                  <button
+                    onClick={() => updateDispositionCode(index, { enabled: !code.enabled })}
+                    className="px-2 py-1 bg-gray-700 text-white rounded text-sm hover:bg-gray-600"
+                    title={code.enabled ? "Disable" : "Enable"}
+                  >
+                    {code.enabled ? "⏸️" : "▶️"}
+                  </button>
+                  <button
+                    onClick={() => setDispositionCodes(dispositionCodes.filter((_, i) => i !== index))}
+                    className="px-2 py-1 bg-red-600/20 text-red-400 rounded text-sm hover:bg-red-600/30"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+
+              <button
+                onClick={() =>
+                  setDispositionCodes([
+                    ...dispositionCodes,
+                    { label: "", category: "neutral", enabled: true },
+                  ])
+                }
+                className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600"
+              >
+                + Add Disposition
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Rule Form Modal */}
       {showRuleForm && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -730,7 +1156,7 @@ export function AutomationPage() {
                             updateCondition(index, "field", e.target.value)
                           }
                           className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm"
-                          placeholder="Field (e.g., phone)"
+                          placeholder="Field (e.g., phone, disposition)"
                         />
                         <select
                           value={condition.operator}
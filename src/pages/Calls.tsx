@@ -10,39 +10,82 @@ import {
   Play,
   Filter,
   RefreshCw,
+  Bookmark,
+  X,
 } from 'lucide-react';
 import { PageHeader } from '../components/layout';
 import { Card, LoadingSpinner, AIBadge, HumanBadge, EmptyState, Badge, AudioPlayer } from '../components/common';
 import { callsApi, type CallDetailsResponse } from '../utils/api';
 import { formatDuration, formatRelativeTime, formatDateTime } from '../utils/formatters';
-import type { CallRecord, TranscriptRecord } from '../types';
+import type { CallRecord, CallListParams, CallPeriod, DispositionCode, SavedView, TranscriptRecord } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
 type CallFilter = 'all' | 'ai' | 'human';
 
+const PERIOD_OPTIONS: { value: CallPeriod | ''; label: string }[] = [
+  { value: '', label: 'Any time' },
+  { value: 'today', label: 'Today' },
+  { value: 'this_week', label: 'This week' },
+  { value: 'this_month', label: 'This month' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+];
+
+const selectClass = `
+  px-3 py-2.5 rounded-lg text-sm
+  bg-slate-800 border border-slate-700 text-slate-300
+  focus:outline-none focus:border-blue-500
+`;
+
 export function CallsPage() {
   const [calls, setCalls] = useState<CallRecord[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState<CallFilter>('all');
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filters, setFilters] = useState<CallListParams>({});
   const [searchTerm, setSearchTerm] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [views, setViews] = useState<SavedView[]>([]);
+  const [activeViewId, setActiveViewId] = useState<string | null>(null);
+  const [dispositions, setDispositions] = useState<DispositionCode[]>([]);
   const [selectedCall, setSelectedCall] = useState<CallRecord | null>(null);
   const [callDetails, setCallDetails] = useState<CallDetailsResponse | null>(null);
   const [detailsLoading, setDetailsLoading] = useState(false);
 
   useEffect(() => {
-    fetchCalls();
+    fetchViews();
+    callsApi.dispositions()
+      .then(data => setDispositions(data.codes))
+      .catch(err => console.error('Dispositions fetch error:', err));
   }, []);
 
-  const fetchCalls = async () => {
+  useEffect(() => {
+    fetchCalls();
+  }, [filters]);
+
+  const fetchCalls = async (cursor?: string) => {
     try {
-      setLoading(true);
-      const data = await callsApi.list({ limit: 50 });
-      setCalls(data);
+      if (cursor) setLoadingMore(true);
+      else setLoading(true);
+      const data = await callsApi.list({ ...filters, limit: 50, cursor });
+      setCalls(prev => (cursor ? [...prev, ...data.calls] : data.calls));
+      setNextCursor(data.nextCursor);
     } catch (err) {
       console.error('Calls fetch error:', err);
     } finally {
       setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const fetchViews = async () => {
+    try {
+      const data = await callsApi.views();
+      setViews(data.views);
+    } catch (err) {
+      console.error('Saved views fetch error:', err);
     }
   };
 
@@ -60,25 +103,63 @@ export function CallsPage() {
     }
   };
 
-  // Filter calls
-  const filteredCalls = calls.filter(call => {
-    // Filter by handler type
-    if (filter === 'ai' && !call.handledByAI) return false;
-    if (filter === 'human' && call.handledByAI) return false;
-    
-    // Filter by search term
-    if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      return (
-        call.fromNumber.toLowerCase().includes(search) ||
-        call.toNumber.toLowerCase().includes(search)
-      );
+  const handleDispositionChange = async (call: CallRecord, disposition: string) => {
+    try {
+      const updated = await callsApi.updateDisposition(call.id, { disposition: disposition || null });
+      const merged = { ...call, disposition: updated.disposition, tags: updated.tags };
+      setCalls(prev => prev.map(c => (c.id === call.id ? merged : c)));
+      setSelectedCall(merged);
+    } catch (err) {
+      console.error('Disposition update error:', err);
     }
-    
-    return true;
-  });
+  };
+
+  const dispositionLabel = (code?: string | null) =>
+    dispositions.find(d => d.code === code)?.label || code;
+
+  const updateFilter = (changes: Partial<CallListParams>) => {
+    setActiveViewId(null);
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
+  const applyView = (view: SavedView | null) => {
+    setActiveViewId(view?.id || null);
+    setFilters(view?.filters || {});
+    setSearchTerm(view?.filters.q || '');
+  };
+
+  const handleSaveView = async () => {
+    const name = window.prompt('Name this view (shared with your team)');
+    if (!name?.trim()) return;
+
+    try {
+      const view = await callsApi.createView(name.trim(), filters);
+      setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+      setActiveViewId(view.id);
+    } catch (err) {
+      console.error('Save view error:', err);
+      alert(err instanceof Error ? err.message : 'Failed to save view');
+    }
+  };
+
+  const handleDeleteView = async (view: SavedView) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    try {
+      await callsApi.deleteView(view.id);
+      setViews(prev => prev.filter(v => v.id !== view.id));
+      if (activeViewId === view.id) applyView(null);
+    } catch (err) {
+      console.error('Delete view error:', err);
+      alert(err instanceof Error ? err.message : 'Failed to delete view');
+    }
+  };
 
-  if (loading) {
+  const handlerFilter: CallFilter = filters.handledBy || 'all';
+  const hasFilters = Object.values(filters).some(value => value !== undefined && value !== '');
+  const activeView = views.find(v => v.id === activeViewId);
+
+  if (loading && calls.length === 0) {
     return <LoadingSpinner text="Loading calls..." />;
   }
 
@@ -86,10 +167,10 @@ export function CallsPage() {
     <div>
       <PageHeader 
         title="Call History" 
-        subtitle={`${calls.length} total calls`}
+        subtitle={activeView ? activeView.name : `${calls.length}${nextCursor ? '+' : ''} calls`}
         actions={
           <button 
-            onClick={fetchCalls}
+            onClick={() => fetchCalls()}
             className="p-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 transition-colors"
           >
             <RefreshCw size={18} />
@@ -97,14 +178,59 @@ export function CallsPage() {
         }
       />
 
+      {/* Saved Views */}
+      {(views.length > 0 || hasFilters) && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <Bookmark size={16} className="text-slate-500" />
+          {views.map(view => (
+            <span
+              key={view.id}
+              className={`
+                flex items-center gap-1 pl-3 pr-2 py-1.5 rounded-full text-sm border
+                ${activeViewId === view.id
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-slate-800 border-slate-700 text-slate-300'
+                }
+              `}
+            >
+              <button onClick={() => applyView(activeViewId === view.id ? null : view)}>
+                {view.name}
+              </button>
+              {!view.shared && <span className="text-xs opacity-60">(private)</span>}
+              <button
+                onClick={() => handleDeleteView(view)}
+                className="opacity-60 hover:opacity-100"
+                title="Delete view"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+          {hasFilters && !activeViewId && (
+            <button
+              onClick={handleSaveView}
+              className="px-3 py-1.5 rounded-full text-sm border border-dashed border-slate-600 text-slate-400 hover:text-white"
+            >
+              + Save current filters
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Filters */}
-      <div className="flex flex-wrap gap-4 mb-6">
+      <div className="flex flex-wrap gap-4 mb-4">
         {/* Search */}
-        <div className="flex-1 min-w-[200px] max-w-md relative">
+        <form
+          className="flex-1 min-w-[200px] max-w-md relative"
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter({ q: searchTerm.trim() || undefined });
+          }}
+        >
           <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
           <input
             type="text"
-            placeholder="Search by phone number..."
+            placeholder="Search number, caller, transcript or summary..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="
@@ -114,18 +240,18 @@ export function CallsPage() {
               focus:outline-none focus:border-blue-500
             "
           />
-        </div>
+        </form>
 
         {/* Filter Buttons */}
         <div className="flex gap-2">
           {(['all', 'ai', 'human'] as CallFilter[]).map(f => (
             <button
               key={f}
-              onClick={() => setFilter(f)}
+              onClick={() => updateFilter({ handledBy: f === 'all' ? undefined : f })}
               className={`
                 px-4 py-2.5 rounded-lg font-medium text-sm capitalize
                 transition-colors border
-                ${filter === f
+                ${handlerFilter === f
                   ? 'bg-blue-600 border-blue-600 text-white'
                   : 'bg-slate-800 border-slate-700 text-slate-400 hover:border-blue-500'
                 }
@@ -134,23 +260,124 @@ export function CallsPage() {
               {f === 'ai' ? 'AI Handled' : f}
             </button>
           ))}
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`
+              px-3 py-2.5 rounded-lg border transition-colors
+              ${showFilters
+                ? 'bg-slate-700 border-slate-600 text-white'
+                : 'bg-slate-800 border-slate-700 text-slate-400 hover:border-blue-500'
+              }
+            `}
+            title="More filters"
+          >
+            <Filter size={18} />
+          </button>
         </div>
       </div>
 
+      {showFilters && (
+        <div className="flex flex-wrap gap-3 mb-6">
+          <select
+            value={filters.period || ''}
+            onChange={(e) => updateFilter({ period: (e.target.value || undefined) as CallPeriod | undefined })}
+            className={selectClass}
+          >
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.sentiment || ''}
+            onChange={(e) => updateFilter({ sentiment: e.target.value || undefined })}
+            className={selectClass}
+          >
+            <option value="">Any sentiment</option>
+            <option value="positive">Positive</option>
+            <option value="neutral">Neutral</option>
+            <option value="negative">Negative</option>
+          </select>
+          <select
+            value={filters.disposition || ''}
+            onChange={(e) => updateFilter({ disposition: e.target.value || undefined })}
+            className={selectClass}
+          >
+            <option value="">Any disposition</option>
+            <option value="none">No disposition</option>
+            {dispositions.map(d => (
+              <option key={d.code} value={d.code}>{d.label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.direction || ''}
+            onChange={(e) => updateFilter({ direction: e.target.value || undefined })}
+            className={selectClass}
+          >
+            <option value="">Any direction</option>
+            <option value="INBOUND">Inbound</option>
+            <option value="OUTBOUND">Outbound</option>
+          </select>
+          <select
+            value={filters.transferred || ''}
+            onChange={(e) => updateFilter({ transferred: (e.target.value || undefined) as CallListParams['transferred'] })}
+            className={selectClass}
+          >
+            <option value="">Transferred or not</option>
+            <option value="true">Transferred</option>
+            <option value="false">Not transferred</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            placeholder="Min sec"
+            value={filters.minDuration ?? ''}
+            onChange={(e) => updateFilter({ minDuration: e.target.value ? Number(e.target.value) : undefined })}
+            className={`${selectClass} w-28`}
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder="Max sec"
+            value={filters.maxDuration ?? ''}
+            onChange={(e) => updateFilter({ maxDuration: e.target.value ? Number(e.target.value) : undefined })}
+            className={`${selectClass} w-28`}
+          />
+          <input
+            type="text"
+            placeholder="Tags (comma separated)"
+            defaultValue={filters.tags || ''}
+            onBlur={(e) => {
+              if ((e.target.value.trim() || undefined) !== filters.tags) {
+                updateFilter({ tags: e.target.value.trim() || undefined });
+              }
+            }}
+            className={`${selectClass} w-48`}
+          />
+          {hasFilters && (
+            <button
+              onClick={() => applyView(null)}
+              className="px-3 py-2.5 text-sm text-slate-400 hover:text-white"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Main Content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Calls List */}
         <div className="lg:col-span-2 space-y-2">
-          {filteredCalls.length === 0 ? (
+          {calls.length === 0 ? (
             <Card>
               <EmptyState 
                 icon={<Phone size={24} />}
                 title="No calls found"
-                description={searchTerm ? 'Try a different search term' : 'Calls will appear here'}
+                description={hasFilters ? 'Try different filters' : 'Calls will appear here'}
               />
             </Card>
           ) : (
-            filteredCalls.map(call => (
+            calls.map(call => (
               <div
                 key={call.id}
                 onClick={() => handleSelectCall(call)}
@@ -182,10 +409,11 @@ export function CallsPage() {
                 {/* Call Info */}
                 <div className="flex-1 min-w-0">
                   <p className="font-medium text-white">
-                    {call.direction === 'INBOUND' ? call.fromNumber : call.toNumber}
+                    {call.callerName || (call.direction === 'INBOUND' ? call.fromNumber : call.toNumber)}
                   </p>
-                  <p className="text-sm text-slate-500">
+                  <p className="text-sm text-slate-500 truncate">
                     {formatRelativeTime(call.createdAt)}
+                    {call.summary && ` · ${call.summary}`}
                   </p>
                 </div>
 
@@ -208,6 +436,16 @@ export function CallsPage() {
               </div>
             ))
           )}
+
+          {nextCursor && (
+            <button
+              onClick={() => fetchCalls(nextCursor)}
+              disabled={loadingMore}
+              className="w-full py-3 rounded-xl text-sm text-slate-400 bg-slate-800/50 border border-slate-700/50 hover:text-white disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
         </div>
 
         {/* Call Details Panel */}
@@ -229,6 +467,34 @@ export function CallsPage() {
                     label="Handled By" 
                     value={selectedCall.handledByAI ? 'AI Receptionist' : 'Human Agent'} 
                   />
+                  <div>
+                    <span className="text-xs text-slate-500 uppercase block mb-0.5">Disposition</span>
+                    <select
+                      value={selectedCall.disposition || ''}
+                      onChange={(e) => handleDispositionChange(selectedCall, e.target.value)}
+                      className="w-full px-2 py-1.5 rounded-lg text-sm bg-slate-900/50 border border-slate-700 text-white"
+                    >
+                      <option value="">None</option>
+                      {selectedCall.disposition && !dispositions.some(d => d.code === selectedCall.disposition) && (
+                        <option value={selectedCall.disposition}>{dispositionLabel(selectedCall.disposition)}</option>
+                      )}
+                      {dispositions.filter(d => d.enabled).map(d => (
+                        <option key={d.code} value={d.code}>{d.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {selectedCall.dispositionNotes && (
+                    <DetailRow label="Wrap-Up Notes" value={selectedCall.dispositionNotes} />
+                  )}
+                  {selectedCall.sentiment && (
+                    <DetailRow label="Sentiment" value={selectedCall.sentiment} />
+                  )}
+                  {selectedCall.tags && selectedCall.tags.length > 0 && (
+                    <DetailRow label="Tags" value={selectedCall.tags.join(', ')} />
+                  )}
+                  {selectedCall.routeAction && (
+                    <DetailRow label="Routing" value={selectedCall.routeReason || selectedCall.routeAction} />
+                  )}
                   <DetailRow label="Date" value={formatDateTime(selectedCall.createdAt)} />
 
                   {/* Transcript */}
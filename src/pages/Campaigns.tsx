@@ -0,0 +1,608 @@
+// ============================================================================
+// HEKAX Phone - Outbound Campaigns Page
+// AI calling campaigns: script, calling window, pacing and dial list results
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import {
+  Megaphone,
+  Plus,
+  Play,
+  Pause,
+  XCircle,
+  Trash2,
+  Pencil,
+  UserPlus,
+  RefreshCw,
+  Clock,
+} from 'lucide-react';
+import { PageHeader } from '../components/layout';
+import { Card, LoadingSpinner, EmptyState, Modal, Button, Badge } from '../components/common';
+import { campaignsApi, phoneNumbersApi } from '../utils/api';
+import { formatRelativeTime, formatPhoneNumber } from '../utils/formatters';
+import type {
+  Campaign,
+  CampaignInput,
+  CampaignContact,
+  CampaignStatus,
+  CampaignContactStatus,
+  PhoneNumber,
+} from '../types';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const LEAD_STATUSES = ['NEW', 'CONTACTED', 'QUALIFIED', 'PROPOSAL', 'NEGOTIATION'];
+
+const STATUS_VARIANTS: Record<CampaignStatus, 'default' | 'success' | 'warning' | 'info' | 'danger'> = {
+  DRAFT: 'default',
+  RUNNING: 'success',
+  PAUSED: 'warning',
+  COMPLETED: 'info',
+  CANCELLED: 'danger',
+};
+
+const CONTACT_VARIANTS: Record<CampaignContactStatus, 'default' | 'success' | 'warning' | 'info' | 'danger'> = {
+  PENDING: 'default',
+  DIALING: 'info',
+  COMPLETED: 'success',
+  FAILED: 'danger',
+  SKIPPED: 'warning',
+};
+
+const EMPTY_FORM: CampaignInput = {
+  name: '',
+  script: '',
+  greeting: '',
+  voicemailMessage: '',
+  phoneNumberId: null,
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York',
+  callingHoursStart: '09:00',
+  callingHoursEnd: '20:00',
+  callingDays: [1, 2, 3, 4, 5],
+  maxConcurrentCalls: 2,
+  callsPerMinute: 5,
+  maxAttempts: 2,
+  retryDelayMinutes: 60,
+};
+
+export function CampaignsPage() {
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [phoneNumbers, setPhoneNumbers] = useState<PhoneNumber[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [contacts, setContacts] = useState<CampaignContact[]>([]);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Create/edit form
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<CampaignInput>(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Add leads
+  const [addStatus, setAddStatus] = useState('NEW');
+
+  const selected = campaigns.find(c => c.id === selectedId) || null;
+
+  useEffect(() => {
+    fetchCampaigns();
+    phoneNumbersApi.list()
+      .then(numbers => setPhoneNumbers(Array.isArray(numbers) ? numbers : []))
+      .catch(err => console.error('Phone numbers fetch error:', err));
+  }, []);
+
+  useEffect(() => {
+    if (selectedId) fetchContacts(selectedId);
+    else setContacts([]);
+  }, [selectedId]);
+
+  const fetchCampaigns = async () => {
+    try {
+      setLoading(true);
+      const data = await campaignsApi.list();
+      setCampaigns(data.campaigns);
+      if (selectedId) fetchContacts(selectedId);
+    } catch (err) {
+      console.error('Campaigns fetch error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchContacts = async (id: string) => {
+    try {
+      const data = await campaignsApi.contacts(id);
+      setContacts(data.contacts);
+    } catch (err) {
+      console.error('Campaign contacts fetch error:', err);
+    }
+  };
+
+  const replaceCampaign = (campaign: Campaign) => {
+    setCampaigns(prev => {
+      const exists = prev.some(c => c.id === campaign.id);
+      return exists ? prev.map(c => (c.id === campaign.id ? campaign : c)) : [campaign, ...prev];
+    });
+  };
+
+  const openForm = (campaign?: Campaign) => {
+    setEditingId(campaign?.id || null);
+    setForm(campaign ? {
+      name: campaign.name,
+      script: campaign.script,
+      greeting: campaign.greeting || '',
+      voicemailMessage: campaign.voicemailMessage || '',
+      phoneNumberId: campaign.phoneNumberId || null,
+      timezone: campaign.timezone,
+      callingHoursStart: campaign.callingHoursStart,
+      callingHoursEnd: campaign.callingHoursEnd,
+      callingDays: campaign.callingDays,
+      maxConcurrentCalls: campaign.maxConcurrentCalls,
+      callsPerMinute: campaign.callsPerMinute,
+      maxAttempts: campaign.maxAttempts,
+      retryDelayMinutes: campaign.retryDelayMinutes,
+    } : EMPTY_FORM);
+    setFormError('');
+    setFormOpen(true);
+  };
+
+  const saveForm = async () => {
+    setSaving(true);
+    setFormError('');
+    try {
+      const { campaign } = editingId
+        ? await campaignsApi.update(editingId, form)
+        : await campaignsApi.create(form);
+      replaceCampaign(campaign);
+      setSelectedId(campaign.id);
+      setFormOpen(false);
+    } catch (err) {
+      setFormError(err instanceof Error ? err.message : 'Failed to save campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeStatus = async (action: 'start' | 'pause' | 'cancel') => {
+    if (!selected) return;
+    if (action === 'cancel' && !confirm(`Cancel "${selected.name}"? Leads not yet called will be skipped.`)) return;
+    setError('');
+    try {
+      const { campaign } = await campaignsApi.setStatus(selected.id, action);
+      replaceCampaign(campaign);
+      fetchContacts(campaign.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update campaign');
+    }
+  };
+
+  const deleteCampaign = async () => {
+    if (!selected || !confirm(`Delete "${selected.name}"?`)) return;
+    setError('');
+    try {
+      await campaignsApi.remove(selected.id);
+      setCampaigns(prev => prev.filter(c => c.id !== selected.id));
+      setSelectedId(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete campaign');
+    }
+  };
+
+  const addLeads = async () => {
+    if (!selected) return;
+    setError('');
+    setMessage('');
+    try {
+      const result = await campaignsApi.addContacts(selected.id, { filter: { status: addStatus } });
+      setMessage(
+        `Added ${result.added} leads` +
+        (result.doNotCall ? `, ${result.doNotCall} skipped (do not call)` : '') +
+        (result.alreadyAdded ? `, ${result.alreadyAdded} already on the list` : '')
+      );
+      const { campaign } = await campaignsApi.get(selected.id);
+      replaceCampaign(campaign);
+      fetchContacts(selected.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add leads');
+    }
+  };
+
+  const removeContact = async (contact: CampaignContact) => {
+    if (!selected) return;
+    try {
+      await campaignsApi.removeContact(selected.id, contact.id);
+      setContacts(prev => prev.filter(c => c.id !== contact.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove lead');
+    }
+  };
+
+  const toggleDay = (day: number) => {
+    const days = form.callingDays || [];
+    setForm({
+      ...form,
+      callingDays: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort(),
+    });
+  };
+
+  if (loading && campaigns.length === 0) {
+    return <LoadingSpinner text="Loading campaigns..." />;
+  }
+
+  return (
+    <div>
+      <PageHeader
+        title="Campaigns"
+        subtitle="Outbound AI calling to your leads"
+        actions={
+          <div className="flex gap-2">
+            <button
+              onClick={fetchCampaigns}
+              className="p-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 transition-colors"
+            >
+              <RefreshCw size={18} />
+            </button>
+            <Button onClick={() => openForm()}>
+              <Plus size={16} /> New Campaign
+            </Button>
+          </div>
+        }
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Campaign List */}
+        <div className="lg:col-span-1 space-y-3">
+          {campaigns.length === 0 ? (
+            <Card>
+              <EmptyState
+                icon={<Megaphone size={24} />}
+                title="No campaigns yet"
+                description="Create a campaign to have the AI call a list of leads"
+              />
+            </Card>
+          ) : (
+            campaigns.map(campaign => {
+              const done = campaign.stats.COMPLETED + campaign.stats.FAILED + campaign.stats.SKIPPED;
+              const progress = campaign.stats.total > 0 ? Math.round((done / campaign.stats.total) * 100) : 0;
+
+              return (
+                <div
+                  key={campaign.id}
+                  onClick={() => setSelectedId(campaign.id)}
+                  className={`
+                    p-4 rounded-xl cursor-pointer border transition-all
+                    ${selectedId === campaign.id
+                      ? 'bg-blue-500/10 border-blue-500/50'
+                      : 'bg-slate-800/50 border-slate-700/50 hover:border-blue-500/30'
+                    }
+                  `}
+                >
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="font-medium text-white truncate">{campaign.name}</p>
+                    <Badge variant={STATUS_VARIANTS[campaign.status]}>{campaign.status}</Badge>
+                  </div>
+                  <div className="h-1.5 rounded-full bg-slate-700 overflow-hidden mb-2">
+                    <div className="h-full bg-blue-500" style={{ width: `${progress}%` }} />
+                  </div>
+                  <p className="text-xs text-slate-500">
+                    {done} / {campaign.stats.total} leads done · {campaign.stats.COMPLETED} reached
+                  </p>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {/* Campaign Details */}
+        <div className="lg:col-span-2">
+          {selected ? (
+            <Card>
+              <div className="flex items-start justify-between gap-4 mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">{selected.name}</h3>
+                  <p className="text-sm text-slate-400 flex items-center gap-1 mt-1">
+                    <Clock size={14} />
+                    {selected.callingDays.map(d => WEEKDAYS[d]).join(', ')} · {selected.callingHoursStart}–{selected.callingHoursEnd} in each lead's local time
+                  </p>
+                  <p className="text-xs text-slate-500 mt-1">
+                    From {selected.phoneNumber ? formatPhoneNumber(selected.phoneNumber.number) : 'default number'} ·
+                    {' '}{selected.maxConcurrentCalls} at a time, {selected.callsPerMinute}/min ·
+                    {' '}{selected.maxAttempts} attempts, {selected.retryDelayMinutes} min apart
+                  </p>
+                </div>
+                <div className="flex gap-2 flex-shrink-0">
+                  {['DRAFT', 'PAUSED'].includes(selected.status) && (
+                    <Button size="sm" onClick={() => changeStatus('start')}>
+                      <Play size={14} /> Start
+                    </Button>
+                  )}
+                  {selected.status === 'RUNNING' && (
+                    <Button size="sm" variant="secondary" onClick={() => changeStatus('pause')}>
+                      <Pause size={14} /> Pause
+                    </Button>
+                  )}
+                  {!['COMPLETED', 'CANCELLED'].includes(selected.status) && (
+                    <>
+                      <Button size="sm" variant="secondary" onClick={() => openForm(selected)}>
+                        <Pencil size={14} />
+                      </Button>
+                      <Button size="sm" variant="secondary" onClick={() => changeStatus('cancel')}>
+                        <XCircle size={14} />
+                      </Button>
+                    </>
+                  )}
+                  {selected.status !== 'RUNNING' && (
+                    <Button size="sm" variant="danger" onClick={deleteCampaign}>
+                      <Trash2 size={14} />
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {error && <div className="mb-4 text-sm text-red-400">{error}</div>}
+              {message && <div className="mb-4 text-sm text-emerald-400">{message}</div>}
+
+              {/* Stats */}
+              <div className="grid grid-cols-5 gap-2 mb-4">
+                {(['PENDING', 'DIALING', 'COMPLETED', 'FAILED', 'SKIPPED'] as CampaignContactStatus[]).map(status => (
+                  <div key={status} className="p-3 rounded-lg bg-slate-900/50 text-center">
+                    <p className="text-lg font-semibold text-white">{selected.stats[status]}</p>
+                    <p className="text-xs text-slate-500">{status.toLowerCase()}</p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Script */}
+              <div className="mb-4">
+                <span className="text-xs text-slate-500 uppercase block mb-1">Script</span>
+                <p className="text-sm text-slate-300 whitespace-pre-wrap">{selected.script}</p>
+                {selected.voicemailMessage && (
+                  <>
+                    <span className="text-xs text-slate-500 uppercase block mt-3 mb-1">Voicemail drop</span>
+                    <p className="text-sm text-slate-300">{selected.voicemailMessage}</p>
+                  </>
+                )}
+              </div>
+
+              {/* Add leads */}
+              {!['COMPLETED', 'CANCELLED'].includes(selected.status) && (
+                <div className="flex items-center gap-2 mb-4 pt-4 border-t border-slate-700">
+                  <span className="text-sm text-slate-400">Add leads with status</span>
+                  <select
+                    value={addStatus}
+                    onChange={e => setAddStatus(e.target.value)}
+                    className="px-2 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                  >
+                    {LEAD_STATUSES.map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                  <Button size="sm" variant="secondary" onClick={addLeads}>
+                    <UserPlus size={14} /> Add
+                  </Button>
+                </div>
+              )}
+
+              {/* Dial list */}
+              {contacts.length === 0 ? (
+                <p className="text-sm text-slate-500 text-center py-6">No leads on this campaign yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500 uppercase">
+                        <th className="py-2">Lead</th>
+                        <th className="py-2">Phone</th>
+                        <th className="py-2">Status</th>
+                        <th className="py-2">Outcome</th>
+                        <th className="py-2">Attempts</th>
+                        <th className="py-2">Last call</th>
+                        <th className="py-2" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {contacts.map(contact => (
+                        <tr key={contact.id} className="border-t border-slate-700/50">
+                          <td className="py-2 text-white">{contact.lead.name}</td>
+                          <td className="py-2 text-slate-400">{formatPhoneNumber(contact.phone)}</td>
+                          <td className="py-2">
+                            <Badge variant={CONTACT_VARIANTS[contact.status]}>{contact.status}</Badge>
+                          </td>
+                          <td className="py-2 text-slate-400" title={contact.lastError || undefined}>
+                            {contact.outcome?.replace(/_/g, ' ') || '-'}
+                          </td>
+                          <td className="py-2 text-slate-400">{contact.attempts}</td>
+                          <td className="py-2 text-slate-500">
+                            {contact.lastAttemptAt ? formatRelativeTime(contact.lastAttemptAt) : '-'}
+                          </td>
+                          <td className="py-2 text-right">
+                            {contact.status === 'PENDING' && (
+                              <button
+                                onClick={() => removeContact(contact)}
+                                className="text-slate-500 hover:text-red-400"
+                                title="Remove from campaign"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+          ) : (
+            <Card className="text-center text-slate-500 py-12">
+              <Megaphone size={32} className="mx-auto mb-3 opacity-50" />
+              <p>Select a campaign to view its dial list</p>
+            </Card>
+          )}
+        </div>
+      </div>
+
+      {/* Create / Edit Modal */}
+      <Modal
+        isOpen={formOpen}
+        onClose={() => setFormOpen(false)}
+        title={editingId ? 'Edit Campaign' : 'New Campaign'}
+        size="xl"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setFormOpen(false)}>Cancel</Button>
+            <Button onClick={saveForm} disabled={saving}>{saving ? 'Saving...' : 'Save'}</Button>
+          </>
+        }
+      >
+        <div className="space-y-4 max-h-[65vh] overflow-y-auto pr-1">
+          {formError && <div className="text-sm text-red-400">{formError}</div>}
+
+          <FormField label="Name">
+            <input
+              type="text"
+              value={form.name || ''}
+              onChange={e => setForm({ ...form, name: e.target.value })}
+              className={inputClass}
+              placeholder="Spring check-up reminders"
+            />
+          </FormField>
+
+          <FormField label="Script for the AI" hint="What the call is about and what the AI should try to achieve">
+            <textarea
+              value={form.script || ''}
+              onChange={e => setForm({ ...form, script: e.target.value })}
+              className={`${inputClass} h-28`}
+              placeholder="Remind {{firstName}} they're due for a check-up and offer to book an appointment."
+            />
+          </FormField>
+
+          <FormField label="Opening line" hint="Optional - {{firstName}} and {{organization.name}} are filled in">
+            <input
+              type="text"
+              value={form.greeting || ''}
+              onChange={e => setForm({ ...form, greeting: e.target.value })}
+              className={inputClass}
+              placeholder="Hi {{firstName}}, this is the assistant from {{organization.name}}."
+            />
+          </FormField>
+
+          <FormField label="Voicemail message" hint="Left when a machine answers. Leave empty to hang up and retry later">
+            <textarea
+              value={form.voicemailMessage || ''}
+              onChange={e => setForm({ ...form, voicemailMessage: e.target.value })}
+              className={`${inputClass} h-20`}
+            />
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Caller ID">
+              <select
+                value={form.phoneNumberId || ''}
+                onChange={e => setForm({ ...form, phoneNumberId: e.target.value || null })}
+                className={inputClass}
+              >
+                <option value="">Default number</option>
+                {phoneNumbers.map(number => (
+                  <option key={number.id} value={number.id}>
+                    {formatPhoneNumber(number.number)}
+                  </option>
+                ))}
+              </select>
+            </FormField>
+            <FormField label="Timezone" hint="Calling hours follow each lead's area code and state; this zone is used for numbers outside North America">
+              <input
+                type="text"
+                value={form.timezone || ''}
+                onChange={e => setForm({ ...form, timezone: e.target.value })}
+                className={inputClass}
+              />
+            </FormField>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Call from">
+              <input
+                type="time"
+                value={form.callingHoursStart || ''}
+                onChange={e => setForm({ ...form, callingHoursStart: e.target.value })}
+                className={inputClass}
+              />
+            </FormField>
+            <FormField label="Call until">
+              <input
+                type="time"
+                value={form.callingHoursEnd || ''}
+                onChange={e => setForm({ ...form, callingHoursEnd: e.target.value })}
+                className={inputClass}
+              />
+            </FormField>
+          </div>
+
+          <FormField label="Calling days">
+            <div className="flex gap-1">
+              {WEEKDAYS.map((day, index) => (
+                <button
+                  key={day}
+                  type="button"
+                  onClick={() => toggleDay(index)}
+                  className={`
+                    px-3 py-1.5 rounded-lg text-sm border transition-colors
+                    ${form.callingDays?.includes(index)
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'bg-slate-800 border-slate-700 text-slate-400'
+                    }
+                  `}
+                >
+                  {day}
+                </button>
+              ))}
+            </div>
+          </FormField>
+
+          <div className="grid grid-cols-4 gap-4">
+            <FormField label="Concurrent calls">
+              <NumberInput value={form.maxConcurrentCalls} onChange={v => setForm({ ...form, maxConcurrentCalls: v })} />
+            </FormField>
+            <FormField label="Calls / minute">
+              <NumberInput value={form.callsPerMinute} onChange={v => setForm({ ...form, callsPerMinute: v })} />
+            </FormField>
+            <FormField label="Attempts">
+              <NumberInput value={form.maxAttempts} onChange={v => setForm({ ...form, maxAttempts: v })} />
+            </FormField>
+            <FormField label="Retry after (min)">
+              <NumberInput value={form.retryDelayMinutes} onChange={v => setForm({ ...form, retryDelayMinutes: v })} />
+            </FormField>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+const inputClass = 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm';
+
+// Helper components
+function FormField({ label, hint, children }: { label: string; hint?: string; children: React.ReactNode }) {
+  return (
+    <div>
+      <label className="text-xs text-slate-500 uppercase block mb-1">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-slate-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function NumberInput({ value, onChange }: { value?: number; onChange: (value: number) => void }) {
+  return (
+    <input
+      type="number"
+      min={1}
+      value={value ?? ''}
+      onChange={e => onChange(parseInt(e.target.value, 10) || 0)}
+      className={inputClass}
+    />
+  );
+}
@@ -28,6 +28,7 @@ import {
 } from 'lucide-react';
 import { PageHeader } from '../components/layout';
 import { Card, StatCard, LoadingSpinner } from '../components/common';
+import { ConversationInbox } from '../components/channels';
 import { api } from '../utils/api';
 
 // Types
@@ -73,6 +74,7 @@ export function ChannelsPage() {
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingChannel, setEditingChannel] = useState<Channel | null>(null);
+  const [view, setView] = useState<'channels' | 'inbox'>('channels');
 
   useEffect(() => {
     fetchData();
@@ -124,7 +126,7 @@ export function ChannelsPage() {
     <div>
       <PageHeader
         title="Channels"
-        subtitle="Manage WhatsApp, Webchat, and other communication channels"
+        subtitle="Manage WhatsApp, Webchat, SMS and other communication channels"
         actions={
           <div className="flex items-center gap-3">
             <button
@@ -172,129 +174,156 @@ export function ChannelsPage() {
         />
       </div>
 
-      {/* Channel Form */}
-      {showForm && (
-        <ChannelForm
-          channel={editingChannel}
-          onSave={() => {
-            setShowForm(false);
-            setEditingChannel(null);
-            fetchData();
-          }}
-          onCancel={() => {
-            setShowForm(false);
-            setEditingChannel(null);
-          }}
-        />
-      )}
+      {/* View Toggle */}
+      <div className="flex gap-2 mb-6">
+        {[
+          { id: 'channels', label: 'Channels', icon: Settings },
+          { id: 'inbox', label: 'Inbox', icon: MessageSquare },
+        ].map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id as 'channels' | 'inbox')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${
+              view === tab.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-slate-800 text-slate-400 hover:text-white'
+            }`}
+          >
+            <tab.icon size={18} />
+            {tab.label}
+          </button>
+        ))}
+      </div>
 
-      {/* Channels Grid */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {channels.map((channel) => {
-          const Icon = channelIcons[channel.type] || MessageSquare;
-          const color = channelColors[channel.type] || 'blue';
-
-          return (
-            <Card key={channel.id} className={`border ${channel.enabled ? `border-${color}-500/30` : 'border-slate-700'}`}>
-              <div className="flex items-start justify-between mb-4">
-                <div className="flex items-center gap-4">
-                  <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${
-                    channel.enabled ? `bg-${color}-500/20` : 'bg-slate-700'
-                  }`}>
-                    <Icon size={24} className={channel.enabled ? `text-${color}-400` : 'text-slate-400'} />
-                  </div>
-                  <div>
-                    <h3 className="font-semibold text-white">{channel.name}</h3>
-                    <div className="flex items-center gap-2 mt-1">
-                      <span className={`text-xs px-2 py-0.5 rounded ${
-                        channel.enabled
-                          ? `bg-${color}-500/20 text-${color}-400`
-                          : 'bg-slate-700 text-slate-400'
+      {view === 'inbox' && <ConversationInbox channels={channels} />}
+
+      {view === 'channels' && (
+        <>
+          {/* Channel Form */}
+          {showForm && (
+            <ChannelForm
+              channel={editingChannel}
+              onSave={() => {
+                setShowForm(false);
+                setEditingChannel(null);
+                fetchData();
+              }}
+              onCancel={() => {
+                setShowForm(false);
+                setEditingChannel(null);
+              }}
+            />
+          )}
+
+          {/* Channels Grid */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {channels.map((channel) => {
+              const Icon = channelIcons[channel.type] || MessageSquare;
+              const color = channelColors[channel.type] || 'blue';
+
+              return (
+                <Card key={channel.id} className={`border ${channel.enabled ? `border-${color}-500/30` : 'border-slate-700'}`}>
+                  <div className="flex items-start justify-between mb-4">
+                    <div className="flex items-center gap-4">
+                      <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${
+                        channel.enabled ? `bg-${color}-500/20` : 'bg-slate-700'
                       }`}>
-                        {channel.type}
-                      </span>
-                      <span className={`w-2 h-2 rounded-full ${
-                        channel.enabled ? 'bg-emerald-500' : 'bg-slate-500'
-                      }`} />
-                      <span className="text-xs text-slate-400">
-                        {channel.enabled ? 'Active' : 'Disabled'}
-                      </span>
+                        <Icon size={24} className={channel.enabled ? `text-${color}-400` : 'text-slate-400'} />
+                      </div>
+                      <div>
+                        <h3 className="font-semibold text-white">{channel.name}</h3>
+                        <div className="flex items-center gap-2 mt-1">
+                          <span className={`text-xs px-2 py-0.5 rounded ${
+                            channel.enabled
+                              ? `bg-${color}-500/20 text-${color}-400`
+                              : 'bg-slate-700 text-slate-400'
+                          }`}>
+                            {channel.type}
+                          </span>
+                          <span className={`w-2 h-2 rounded-full ${
+                            channel.enabled ? 'bg-emerald-500' : 'bg-slate-500'
+                          }`} />
+                          <span className="text-xs text-slate-400">
+                            {channel.enabled ? 'Active' : 'Disabled'}
+                          </span>
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => toggleChannel(channel)}
+                        className={`p-2 rounded-lg transition-colors ${
+                          channel.enabled
+                            ? 'text-emerald-400 hover:bg-emerald-500/20'
+                            : 'text-slate-400 hover:bg-slate-700'
+                        }`}
+                      >
+                        {channel.enabled ? <ToggleRight size={24} /> : <ToggleLeft size={24} />}
+                      </button>
+                      <button
+                        onClick={() => {
+                          setEditingChannel(channel);
+                          setShowForm(true);
+                        }}
+                        className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-white transition-colors"
+                      >
+                        <Settings size={18} />
+                      </button>
+                      <button
+                        onClick={() => deleteChannel(channel.id)}
+                        className="p-2 hover:bg-red-500/20 rounded-lg text-slate-400 hover:text-red-400 transition-colors"
+                      >
+                        <Trash2 size={18} />
+                      </button>
                     </div>
                   </div>
-                </div>
 
-                <div className="flex items-center gap-2">
-                  <button
-                    onClick={() => toggleChannel(channel)}
-                    className={`p-2 rounded-lg transition-colors ${
-                      channel.enabled
-                        ? 'text-emerald-400 hover:bg-emerald-500/20'
-                        : 'text-slate-400 hover:bg-slate-700'
-                    }`}
-                  >
-                    {channel.enabled ? <ToggleRight size={24} /> : <ToggleLeft size={24} />}
-                  </button>
-                  <button
-                    onClick={() => {
-                      setEditingChannel(channel);
-                      setShowForm(true);
-                    }}
-                    className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-white transition-colors"
-                  >
-                    <Settings size={18} />
-                  </button>
-                  <button
-                    onClick={() => deleteChannel(channel.id)}
-                    className="p-2 hover:bg-red-500/20 rounded-lg text-slate-400 hover:text-red-400 transition-colors"
-                  >
-                    <Trash2 size={18} />
-                  </button>
-                </div>
-              </div>
+                  {/* Channel Details */}
+                  <div className="space-y-3">
+                    {channel.greeting && (
+                      <div className="p-3 bg-slate-700/50 rounded-lg">
+                        <p className="text-xs text-slate-500 mb-1">Greeting</p>
+                        <p className="text-sm text-slate-300">{channel.greeting}</p>
+                      </div>
+                    )}
+
+                    <div className="flex items-center justify-between py-2 border-t border-slate-700">
+                      <span className="text-sm text-slate-400">AI Enabled</span>
+                      <span className={`text-sm font-medium ${channel.aiEnabled ? 'text-emerald-400' : 'text-slate-500'}`}>
+                        {channel.aiEnabled ? 'Yes' : 'No'}
+                      </span>
+                    </div>
+
+                    {channel.type === 'WEBCHAT' && (
+                      <WebchatWidget channelId={channel.id} />
+                    )}
 
-              {/* Channel Details */}
-              <div className="space-y-3">
-                {channel.greeting && (
-                  <div className="p-3 bg-slate-700/50 rounded-lg">
-                    <p className="text-xs text-slate-500 mb-1">Greeting</p>
-                    <p className="text-sm text-slate-300">{channel.greeting}</p>
+                    {channel.type === 'WHATSAPP' && (
+                      <WhatsAppConfig channel={channel} />
+                    )}
                   </div>
-                )}
-
-                <div className="flex items-center justify-between py-2 border-t border-slate-700">
-                  <span className="text-sm text-slate-400">AI Enabled</span>
-                  <span className={`text-sm font-medium ${channel.aiEnabled ? 'text-emerald-400' : 'text-slate-500'}`}>
-                    {channel.aiEnabled ? 'Yes' : 'No'}
-                  </span>
-                </div>
-
-                {channel.type === 'WEBCHAT' && (
-                  <WebchatWidget channelId={channel.id} />
-                )}
-
-                {channel.type === 'WHATSAPP' && (
-                  <WhatsAppConfig channel={channel} />
-                )}
-              </div>
-            </Card>
-          );
-        })}
-
-        {channels.length === 0 && (
-          <Card className="lg:col-span-2 text-center py-12">
-            <MessageSquare size={48} className="mx-auto text-slate-600 mb-4" />
-            <h3 className="text-lg font-medium text-white mb-2">No channels configured</h3>
-            <p className="text-slate-400 mb-4">Add WhatsApp, Webchat, or other channels to communicate with customers</p>
-            <button
-              onClick={() => setShowForm(true)}
-              className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white font-medium transition-colors"
-            >
-              <Plus size={18} />
-              Add Your First Channel
-            </button>
-          </Card>
-        )}
-      </div>
+                </Card>
+              );
+            })}
+
+            {channels.length === 0 && (
+              <Card className="lg:col-span-2 text-center py-12">
+                <MessageSquare size={48} className="mx-auto text-slate-600 mb-4" />
+                <h3 className="text-lg font-medium text-white mb-2">No channels configured</h3>
+                <p className="text-slate-400 mb-4">Add WhatsApp, Webchat, or other channels to communicate with customers</p>
+                <button
+                  onClick={() => setShowForm(true)}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white font-medium transition-colors"
+                >
+                  <Plus size={18} />
+                  Add Your First Channel
+                </button>
+              </Card>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -51,11 +51,11 @@ export function DashboardPage() {
       ]);
 
       if (callsData.status === 'fulfilled') {
-        setRecentCalls(callsData.value);
+        setRecentCalls(callsData.value.calls);
       }
 
       if (leadsData.status === 'fulfilled') {
-        setRecentLeads(leadsData.value);
+        setRecentLeads(leadsData.value.leads);
       }
 
       if (statsData.status === 'fulfilled') {
@@ -63,7 +63,7 @@ export function DashboardPage() {
       } else {
         // Calculate basic stats from calls if stats endpoint fails
         if (callsData.status === 'fulfilled') {
-          const calls = callsData.value;
+          const calls = callsData.value.calls;
           const today = new Date();
           today.setHours(0, 0, 0, 0);
           
@@ -18,11 +18,16 @@ import {
   Archive,
   Calendar,
   Shield,
+  Ban,
+  Upload,
+  Search,
+  Plus,
 } from 'lucide-react';
 import { PageHeader } from '../components/layout';
 import { Card, CardHeader, Button, Badge, Modal } from '../components/common';
-import { api } from '../utils/api';
+import { api, doNotContactApi } from '../utils/api';
 import { formatRelativeTime } from '../utils/formatters';
+import type { Suppression, SuppressionEvent, SuppressionSource, SuppressionType } from '../types';
 
 interface RetentionSettings {
   retentionEnabled: boolean;
@@ -79,7 +84,7 @@ const RETENTION_OPTIONS = [
 ];
 
 export function DataManagementPage() {
-  const [activeTab, setActiveTab] = useState<'retention' | 'export' | 'cleanup'>('retention');
+  const [activeTab, setActiveTab] = useState<'retention' | 'export' | 'cleanup' | 'do-not-contact'>('retention');
   const [stats, setStats] = useState<CleanupStats | null>(null);
   const [exports, setExports] = useState<ExportRequest[]>([]);
   const [loading, setLoading] = useState(true);
@@ -208,6 +213,7 @@ export function DataManagementPage() {
           { id: 'retention', label: 'Retention Settings', icon: Clock },
           { id: 'export', label: 'Data Export', icon: Download },
           { id: 'cleanup', label: 'Cleanup History', icon: Trash2 },
+          { id: 'do-not-contact', label: 'Do Not Contact', icon: Ban },
         ].map((tab) => (
           <button
             key={tab.id}
@@ -544,6 +550,9 @@ export function DataManagementPage() {
         </Card>
       )}
 
+      {/* Do Not Contact Tab */}
+      {activeTab === 'do-not-contact' && <DoNotContactTab />}
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -604,3 +613,259 @@ export function DataManagementPage() {
     </div>
   );
 }
+
+// ============================================================================
+// Do Not Contact
+// ============================================================================
+
+const SOURCE_LABELS: Record<SuppressionSource, string> = {
+  SMS_KEYWORD: 'SMS reply',
+  CALL: 'Asked on call',
+  MANUAL: 'Manual',
+  IMPORT: 'Import',
+};
+
+function DoNotContactTab() {
+  const [entries, setEntries] = useState<Suppression[]>([]);
+  const [history, setHistory] = useState<SuppressionEvent[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [typeFilter, setTypeFilter] = useState<SuppressionType | ''>('');
+  const [search, setSearch] = useState('');
+  const [newValue, setNewValue] = useState('');
+  const [newReason, setNewReason] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchEntries();
+  }, [typeFilter]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  const fetchEntries = async (cursor?: string) => {
+    setLoading(true);
+    try {
+      const data = await doNotContactApi.list({ type: typeFilter || undefined, q: search, cursor });
+      setEntries(prev => (cursor ? [...prev, ...data.entries] : data.entries));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch do-not-contact list:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const data = await doNotContactApi.history();
+      setHistory(data.events);
+    } catch (err) {
+      console.error('Failed to fetch do-not-contact history:', err);
+    }
+  };
+
+  const addEntry = async () => {
+    if (!newValue.trim()) return;
+    setError('');
+    setMessage('');
+    try {
+      const { created } = await doNotContactApi.add(newValue.trim(), newReason.trim() || undefined);
+      setMessage(created ? `${newValue.trim()} added` : `${newValue.trim()} is already on the list`);
+      setNewValue('');
+      setNewReason('');
+      await Promise.all([fetchEntries(), fetchHistory()]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add entry');
+    }
+  };
+
+  const removeEntry = async (entry: Suppression) => {
+    const reason = prompt(`Remove ${entry.value} from the do-not-contact list? Enter a reason:`);
+    if (reason === null) return;
+    setError('');
+    try {
+      await doNotContactApi.remove(entry.id, reason || undefined);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      fetchHistory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove entry');
+    }
+  };
+
+  const importFile = async (file: File) => {
+    setError('');
+    setMessage('');
+    try {
+      const result = await doNotContactApi.import(await file.text());
+      setMessage(
+        `Imported ${result.added} entries` +
+        (result.alreadySuppressed ? `, ${result.alreadySuppressed} already listed` : '') +
+        (result.invalid ? `, ${result.invalid} invalid` : '')
+      );
+      await Promise.all([fetchEntries(), fetchHistory()]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to import CSV');
+    }
+  };
+
+  const exportFile = async () => {
+    try {
+      const csv = await doNotContactApi.exportCsv();
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'do-not-contact.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to export CSV');
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader
+          title="Do Not Contact"
+          description="Numbers and emails that are never texted, emailed or called. STOP replies are added automatically."
+          action={
+            <div className="flex gap-2">
+              <label className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm cursor-pointer">
+                <Upload size={14} /> Import
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (file) importFile(file);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+              <Button size="sm" variant="secondary" onClick={exportFile}>
+                <FileSpreadsheet size={14} /> Export
+              </Button>
+            </div>
+          }
+        />
+
+        {error && <div className="mb-4 text-sm text-red-400">{error}</div>}
+        {message && <div className="mb-4 text-sm text-emerald-400">{message}</div>}
+
+        {/* Add */}
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={newValue}
+            onChange={(e) => setNewValue(e.target.value)}
+            placeholder="Phone number or email"
+            className="flex-1 px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white text-sm placeholder-slate-500"
+          />
+          <input
+            type="text"
+            value={newReason}
+            onChange={(e) => setNewReason(e.target.value)}
+            placeholder="Reason (optional)"
+            className="flex-1 px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white text-sm placeholder-slate-500"
+          />
+          <Button size="sm" onClick={addEntry} disabled={!newValue.trim()}>
+            <Plus size={14} /> Add
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex gap-2 mb-4">
+          <div className="relative flex-1">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && fetchEntries()}
+              placeholder="Search"
+              className="w-full pl-9 pr-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white text-sm placeholder-slate-500"
+            />
+          </div>
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value as SuppressionType | '')}
+            className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white text-sm"
+          >
+            <option value="">All</option>
+            <option value="PHONE">Phone numbers</option>
+            <option value="EMAIL">Emails</option>
+          </select>
+        </div>
+
+        {entries.length === 0 && !loading ? (
+          <div className="text-center py-8 text-slate-400">No one is on the do-not-contact list.</div>
+        ) : (
+          <div className="space-y-2">
+            {entries.map((entry) => (
+              <div key={entry.id} className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg">
+                <div>
+                  <p className="text-white text-sm">{entry.value}</p>
+                  <p className="text-xs text-slate-500">
+                    {SOURCE_LABELS[entry.source]}
+                    {entry.reason ? ` · ${entry.reason}` : ''}
+                    {entry.createdBy ? ` · ${entry.createdBy.name}` : ''}
+                    {' · '}{formatRelativeTime(entry.createdAt)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <Badge variant={entry.type === 'PHONE' ? 'info' : 'purple'}>{entry.type.toLowerCase()}</Badge>
+                  <button
+                    onClick={() => removeEntry(entry)}
+                    className="text-slate-500 hover:text-red-400"
+                    title="Remove from list"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            {nextCursor && (
+              <button
+                onClick={() => fetchEntries(nextCursor)}
+                className="w-full py-2 text-sm text-blue-400 hover:text-blue-300"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        )}
+      </Card>
+
+      {/* History */}
+      <Card>
+        <CardHeader title="History" description="Every addition and removal" />
+        {history.length === 0 ? (
+          <div className="text-center py-8 text-slate-400 text-sm">No changes yet.</div>
+        ) : (
+          <div className="space-y-3">
+            {history.map((event) => (
+              <div key={event.id} className="text-sm">
+                <p className="text-white">
+                  <span className={event.action === 'added' ? 'text-red-400' : 'text-emerald-400'}>
+                    {event.action === 'added' ? 'Added' : 'Removed'}
+                  </span>{' '}
+                  {event.value}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {SOURCE_LABELS[event.source]}
+                  {event.user ? ` · ${event.user.name}` : ''}
+                  {event.reason ? ` · ${event.reason}` : ''}
+                  {' · '}{formatRelativeTime(event.createdAt)}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -19,9 +19,11 @@ import {
   RefreshCw,
   Lock,
   Zap,
+  Webhook,
 } from 'lucide-react';
 import { PageHeader } from '../components/layout';
 import { Card, CardHeader, Button, Badge, Modal } from '../components/common';
+import { WebhooksPanel } from '../components/webhooks';
 import { api } from '../utils/api';
 import { useAuth } from '../context/AuthContext';
 
@@ -67,14 +69,21 @@ interface ApiKey {
   name: string;
   keyPrefix: string;
   permissions: string[];
+  rateLimit: number | null;
   lastUsedAt: string | null;
   expiresAt: string | null;
   createdAt: string;
 }
 
+interface ApiPermission {
+  id: string;
+  name: string;
+  description: string;
+}
+
 export function EnterprisePage() {
   const { org } = useAuth();
-  const [activeTab, setActiveTab] = useState<'byo-keys' | 'api-keys'>('byo-keys');
+  const [activeTab, setActiveTab] = useState<'byo-keys' | 'api-keys' | 'webhooks'>('byo-keys');
   
   // BYO Keys state
   const [byoStatus, setByoStatus] = useState<ByoKeysStatus | null>(null);
@@ -93,6 +102,10 @@ export function EnterprisePage() {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newApiKeyName, setNewApiKeyName] = useState('');
   const [newApiKeyPermissions, setNewApiKeyPermissions] = useState<string[]>([]);
+  const [newApiKeyRateLimit, setNewApiKeyRateLimit] = useState('');
+  const [availablePermissions, setAvailablePermissions] = useState<ApiPermission[]>([]);
+  const [defaultRateLimit, setDefaultRateLimit] = useState<number | null>(null);
+  const [createError, setCreateError] = useState('');
   const [createdKey, setCreatedKey] = useState<string | null>(null);
   const [copied, setCopied] = useState(false);
 
@@ -117,8 +130,15 @@ export function EnterprisePage() {
 
   const fetchApiKeys = async () => {
     try {
-      const data = await api.get<{ apiKeys: ApiKey[]; isEnterprise: boolean }>('/api/api-keys');
+      const data = await api.get<{
+        apiKeys: ApiKey[];
+        isEnterprise: boolean;
+        availablePermissions: ApiPermission[];
+        defaultRateLimit: number;
+      }>('/api/api-keys');
       setApiKeys(data.apiKeys || []);
+      setAvailablePermissions(data.availablePermissions || []);
+      setDefaultRateLimit(data.defaultRateLimit ?? null);
     } catch (err) {
       console.error('Failed to fetch API keys:', err);
     } finally {
@@ -198,15 +218,18 @@ export function EnterprisePage() {
     if (!newApiKeyName) return;
     
     setSaving(true);
+    setCreateError('');
     try {
       const data = await api.post<{ key: string }>('/api/api-keys', {
         name: newApiKeyName,
         permissions: newApiKeyPermissions,
+        ...(newApiKeyRateLimit && { rateLimit: parseInt(newApiKeyRateLimit, 10) }),
       });
       setCreatedKey(data.key);
       await fetchApiKeys();
     } catch (err) {
       console.error('Failed to create API key:', err);
+      setCreateError(err instanceof Error ? err.message : 'Failed to create API key');
     } finally {
       setSaving(false);
     }
@@ -260,7 +283,7 @@ export function EnterprisePage() {
     <div>
       <PageHeader
         title="Advanced Settings"
-        description="Manage BYO keys and platform API access"
+        description="Manage BYO keys, platform API access and webhooks"
       />
 
       {/* Tabs */}
@@ -287,6 +310,17 @@ export function EnterprisePage() {
           <Shield size={18} className="inline mr-2" />
           API Keys
         </button>
+        <button
+          onClick={() => setActiveTab('webhooks')}
+          className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+            activeTab === 'webhooks'
+              ? 'bg-blue-600 text-white'
+              : 'bg-slate-800 text-slate-400 hover:text-white'
+          }`}
+        >
+          <Webhook size={18} className="inline mr-2" />
+          Webhooks
+        </button>
       </div>
 
       {/* BYO Keys Tab */}
@@ -493,6 +527,8 @@ export function EnterprisePage() {
                   setShowCreateModal(true);
                   setNewApiKeyName('');
                   setNewApiKeyPermissions([]);
+                  setNewApiKeyRateLimit('');
+                  setCreateError('');
                   setCreatedKey(null);
                 }}>
                   <Plus size={18} />
@@ -525,6 +561,7 @@ export function EnterprisePage() {
                       </div>
                       <div className="flex items-center gap-3 text-xs text-slate-500">
                         <span>{key.permissions.length} permissions</span>
+                        <span>{key.rateLimit ?? defaultRateLimit ?? '-'} req/min</span>
                         {key.lastUsedAt && (
                           <span>Last used {new Date(key.lastUsedAt).toLocaleDateString()}</span>
                         )}
@@ -547,6 +584,9 @@ export function EnterprisePage() {
         </div>
       )}
 
+      {/* Webhooks Tab */}
+      {activeTab === 'webhooks' && <WebhooksPanel />}
+
       {/* Create API Key Modal */}
       <Modal
         isOpen={showCreateModal}
@@ -617,14 +657,7 @@ export function EnterprisePage() {
                 Permissions
               </label>
               <div className="space-y-2">
-                {[
-                  { id: 'calls:read', name: 'Read Calls' },
-                  { id: 'calls:write', name: 'Manage Calls' },
-                  { id: 'leads:read', name: 'Read Leads' },
-                  { id: 'leads:write', name: 'Manage Leads' },
-                  { id: 'transcripts:read', name: 'Read Transcripts' },
-                  { id: 'analytics:read', name: 'Read Analytics' },
-                ].map((perm) => (
+                {availablePermissions.map((perm) => (
                   <label key={perm.id} className="flex items-center gap-2">
                     <input
                       type="checkbox"
@@ -638,11 +671,31 @@ export function EnterprisePage() {
                       }}
                       className="w-4 h-4 rounded border-slate-600 bg-slate-800 text-blue-500 focus:ring-blue-500"
                     />
-                    <span className="text-sm text-slate-300">{perm.name}</span>
+                    <span className="text-sm text-slate-300" title={perm.description}>{perm.name}</span>
                   </label>
                 ))}
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Rate Limit (requests per minute)
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={1000}
+                value={newApiKeyRateLimit}
+                onChange={(e) => setNewApiKeyRateLimit(e.target.value)}
+                placeholder={defaultRateLimit ? `Default: ${defaultRateLimit}` : 'Default'}
+                className="w-full px-4 py-2 rounded-lg bg-slate-900 border border-slate-700 text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+              />
+              <p className="text-xs text-slate-500 mt-1">
+                Applies to the public API at /v1. See /v1/openapi.json for the endpoints.
+              </p>
+            </div>
+
+            {createError && <p className="text-sm text-red-400">{createError}</p>}
           </div>
         )}
       </Modal>
@@ -36,7 +36,7 @@ export function LeadsPage() {
     try {
       setLoading(true);
       const data = await leadsApi.list({ limit: 50 });
-      setLeads(data);
+      setLeads(data.leads);
     } catch (err) {
       console.error('Leads fetch error:', err);
     } finally {
@@ -197,6 +197,9 @@ export function LeadsPage() {
                   >
                     {selectedLead.phone}
                   </a>
+                  {selectedLead.doNotCall && (
+                    <span className="ml-2 text-xs text-red-400">Do not call</span>
+                  )}
                 </DetailRow>
                 {selectedLead.email && (
                   <DetailRow label="Email">
@@ -217,6 +220,24 @@ export function LeadsPage() {
                     {selectedLead.urgency}
                   </span>
                 </DetailRow>
+                <DetailRow label="Score">
+                  <span className="text-sm text-white">
+                    {selectedLead.score ?? 0} · {selectedLead.temperature || '-'}
+                  </span>
+                  {selectedLead.scoreBreakdown && selectedLead.scoreBreakdown.length > 0 && (
+                    <ul className="mt-1 space-y-0.5">
+                      {selectedLead.scoreBreakdown.map((item, i) => (
+                        <li
+                          key={`${item.signal}-${i}`}
+                          className={`text-xs ${item.points > 0 ? 'text-green-400' : 'text-red-400'}`}
+                        >
+                          {item.points > 0 ? '+' : ''}{item.points} {item.label.toLowerCase()}
+                          {item.count > 1 ? ` (×${item.count})` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </DetailRow>
                 <DetailRow label="Status">
                   <span style={{ color: getStatusColor(selectedLead.status) }}>
                     {selectedLead.status}
@@ -258,6 +258,7 @@ export function OnboardingWizard({ onComplete }: { onComplete: () => void }) {
       if (!audioUrl) {
         const response = await api.post<{ audioUrl: string }>('/api/voice/preview', {
           voiceId,
+          provider: 'openai',
           text: VOICE_PREVIEW_TEXT,
         });
         audioUrl = response.audioUrl;
@@ -374,6 +375,7 @@ export function OnboardingWizard({ onComplete }: { onComplete: () => void }) {
         afterHoursMessage: data.afterHoursMessage,
         aiGreeting: data.greeting,
         aiVoiceId: data.voiceId,
+        voiceProvider: 'openai', // Onboarding offers OpenAI voices; other engines are set in Settings
         aiPersonality: data.personality,
       });
       return true;
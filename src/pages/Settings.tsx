@@ -36,11 +36,34 @@ import {
 import { useAuth } from '../context/AuthContext';
 import { PageHeader } from '../components/layout';
 import { Card, Button } from '../components/common';
+import { MfaSettings } from '../components/security';
+import {
+  AppointmentTypesPanel,
+  BookingRulesPanel,
+  CalDavConnectModal,
+  CalendarFeedsPanel,
+  MyCalendarPanel,
+} from '../components/calendar';
 import { orgApi, api } from '../utils/api';
 import { usePreferences } from '../context/PreferencesContext';
 
-// Voice options with descriptions
-const VOICE_OPTIONS = [
+interface VoiceOption {
+  id: string;
+  name: string;
+  description: string;
+  gender: string;
+}
+
+interface VoiceProviderOption {
+  id: string;
+  name: string;
+  available: boolean;
+  defaultVoice: string;
+  voices: VoiceOption[];
+}
+
+// Voice options with descriptions (OpenAI, shown until providers load)
+const VOICE_OPTIONS: VoiceOption[] = [
   { id: 'nova', name: 'Nova', description: 'Calm & professional', gender: 'female' },
   { id: 'sage', name: 'Sage', description: 'Warm & wise', gender: 'female' },
   { id: 'alloy', name: 'Alloy', description: 'Neutral & balanced', gender: 'neutral' },
@@ -49,6 +72,33 @@ const VOICE_OPTIONS = [
   { id: 'shimmer', name: 'Shimmer', description: 'Soft & gentle', gender: 'female' },
 ];
 
+// Assistant personality presets (CallRoute aiPersonality can override per route)
+const PERSONALITY_OPTIONS = [
+  { id: 'professional', name: 'Professional' },
+  { id: 'friendly', name: 'Friendly' },
+  { id: 'formal', name: 'Formal' },
+  { id: 'empathetic', name: 'Empathetic' },
+  { id: 'enthusiastic', name: 'Enthusiastic' },
+  { id: 'helpful', name: 'Helpful' },
+];
+
+// Caller languages (auto-detection can switch between the selected ones mid-call)
+const LANGUAGE_OPTIONS = [
+  { id: 'en', name: 'English' },
+  { id: 'es', name: 'Spanish' },
+  { id: 'fr', name: 'French' },
+  { id: 'de', name: 'German' },
+  { id: 'pt', name: 'Portuguese' },
+  { id: 'it', name: 'Italian' },
+];
+
+const AI_MODEL_OPTIONS = [
+  { id: 'gpt-4o-mini', name: 'GPT-4o mini', description: 'Fastest, lowest cost' },
+  { id: 'gpt-4o', name: 'GPT-4o', description: 'Best quality' },
+  { id: 'gpt-4.1-mini', name: 'GPT-4.1 mini', description: 'Fast, strong instruction following' },
+  { id: 'gpt-4.1', name: 'GPT-4.1', description: 'Highest accuracy' },
+];
+
 // CRM Provider definitions
 const CRM_PROVIDERS = [
   {
@@ -104,12 +154,19 @@ const CALENDAR_PROVIDERS = [
     color: '#006bff',
     features: ['Event Types', 'Scheduling', 'Bookings'],
   },
+  {
+    id: 'caldav',
+    name: 'CalDAV',
+    description: 'iCloud, Fastmail, Nextcloud and other CalDAV calendars',
+    color: '#64748b',
+    features: ['Events', 'Availability', 'App Password'],
+  },
 ];
 
 // Voice preview cache
 const voicePreviewCache: Record<string, string> = {};
 
-type SettingsTab = 'general' | 'ai' | 'integrations' | 'notifications' | 'sms' | 'preferences';
+type SettingsTab = 'general' | 'ai' | 'integrations' | 'notifications' | 'sms' | 'security' | 'preferences';
 
 interface CRMIntegration {
   id: string;
@@ -140,6 +197,7 @@ interface CalendarIntegration {
   calendarName?: string;
   defaultDuration?: number;
   lastSyncAt?: string;
+  ownerId?: string | null; // Set on team members' personal calendars
   connectedBy?: { name: string; email: string };
 }
 
@@ -162,6 +220,18 @@ export function SettingsPage() {
   const [greeting, setGreeting] = useState(org?.greeting || '');
   const [aiEnabled, setAiEnabled] = useState(org?.aiEnabled !== false);
   const [voiceId, setVoiceId] = useState(org?.voiceId || 'nova');
+  const [voiceProvider, setVoiceProvider] = useState(org?.voiceProvider || 'openai');
+  const [voiceProviders, setVoiceProviders] = useState<VoiceProviderOption[]>([]);
+  const [personality, setPersonality] = useState(org?.personality || 'professional');
+  const [aiModel, setAiModel] = useState(org?.aiModel || 'gpt-4o');
+  const [aiTemperature, setAiTemperature] = useState(org?.aiTemperature ?? 0.7);
+  const [maxTurns, setMaxTurns] = useState(org?.maxTurns ?? 20);
+  const [maxCallMinutes, setMaxCallMinutes] = useState(Math.round((org?.maxCallDuration ?? 600) / 60));
+  const [systemPrompt, setSystemPrompt] = useState(org?.systemPrompt || '');
+  const [language, setLanguage] = useState((org?.language || 'en').split('-')[0]);
+  const [autoDetectLanguage, setAutoDetectLanguage] = useState(org?.autoDetectLanguage ?? false);
+  const [supportedLanguages, setSupportedLanguages] = useState<string[]>(org?.supportedLanguages || []);
+  const [languageVoices, setLanguageVoices] = useState<Record<string, string>>(org?.languageVoices || {});
   const [slackWebhook, setSlackWebhook] = useState(org?.slackWebhookUrl || '');
 
   // Voice preview state
@@ -197,6 +267,24 @@ export function SettingsPage() {
     }
   }, []);
 
+  // Load TTS providers and their voices
+  useEffect(() => {
+    api.get<{ providers: VoiceProviderOption[] }>('/api/voice/providers')
+      .then((data) => setVoiceProviders(data.providers))
+      .catch(() => setVoiceProviders([]));
+  }, []);
+
+  const currentVoiceProvider = voiceProviders.find((p) => p.id === voiceProvider);
+  const voiceOptions = currentVoiceProvider?.voices || VOICE_OPTIONS;
+
+  const handleVoiceProviderChange = (providerId: string) => {
+    setVoiceProvider(providerId);
+    const provider = voiceProviders.find((p) => p.id === providerId);
+    if (provider && !provider.voices.some((v) => v.id === voiceId)) {
+      setVoiceId(provider.defaultVoice);
+    }
+  };
+
   // Cleanup audio on unmount
   useEffect(() => {
     return () => {
@@ -222,11 +310,13 @@ export function SettingsPage() {
     setMessage(null);
 
     try {
-      let audioUrl = voicePreviewCache[voice];
+      const cacheKey = `${voiceProvider}:${voice}`;
+      let audioUrl = voicePreviewCache[cacheKey];
 
       if (!audioUrl) {
         const response = await api.post<{ audioUrl: string }>('/api/voice/preview', {
           voiceId: voice,
+          provider: voiceProvider,
           text: 'Hi, thank you for calling. How may I help you today?',
         });
 
@@ -235,7 +325,7 @@ export function SettingsPage() {
         }
 
         audioUrl = response.audioUrl;
-        voicePreviewCache[voice] = audioUrl;
+        voicePreviewCache[cacheKey] = audioUrl;
       }
 
       const audio = new Audio();
@@ -257,7 +347,7 @@ export function SettingsPage() {
       setLoadingVoice(null);
     } catch (err) {
       setLoadingVoice(null);
-      delete voicePreviewCache[voice];
+      delete voicePreviewCache[`${voiceProvider}:${voice}`];
       const errorMessage = err instanceof Error ? err.message : 'Failed to load voice preview';
       setMessage({ type: 'error', text: errorMessage });
     }
@@ -272,6 +362,17 @@ export function SettingsPage() {
         greeting,
         aiEnabled,
         voiceId,
+        voiceProvider,
+        personality,
+        aiModel,
+        aiTemperature,
+        maxTurns,
+        maxCallDuration: maxCallMinutes * 60,
+        systemPrompt,
+        language,
+        autoDetectLanguage,
+        supportedLanguages,
+        languageVoices,
         slackWebhookUrl: slackWebhook || undefined,
       });
 
@@ -290,6 +391,7 @@ export function SettingsPage() {
     { id: 'integrations', label: 'Integrations', icon: Link },
     { id: 'notifications', label: 'Notifications', icon: Bell },
     { id: 'sms', label: 'SMS', icon: MessageSquare },
+    { id: 'security', label: 'Security', icon: Shield },
     { id: 'preferences', label: 'Preferences', icon: Palette },
   ] as const;
 
@@ -458,8 +560,31 @@ export function SettingsPage() {
               <label className="block text-sm font-medium text-slate-300 mb-3">
                 Voice
               </label>
+              {voiceProviders.length > 0 && (
+                <div className="mb-4">
+                  <select
+                    value={voiceProvider}
+                    onChange={(e) => handleVoiceProviderChange(e.target.value)}
+                    className="
+                      w-full max-w-xs px-4 py-2.5 rounded-lg
+                      bg-slate-900 border border-slate-700
+                      text-white
+                      focus:outline-none focus:border-blue-500
+                    "
+                  >
+                    {voiceProviders.map((provider) => (
+                      <option key={provider.id} value={provider.id}>{provider.name}</option>
+                    ))}
+                  </select>
+                  {currentVoiceProvider && !currentVoiceProvider.available && (
+                    <p className="mt-1.5 text-sm text-amber-400">
+                      No {currentVoiceProvider.name} API key configured - calls will use OpenAI voices until one is added
+                    </p>
+                  )}
+                </div>
+              )}
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 max-w-2xl">
-                {VOICE_OPTIONS.map((voice) => (
+                {voiceOptions.map((voice) => (
                   <div
                     key={voice.id}
                     onClick={() => setVoiceId(voice.id)}
@@ -518,6 +643,230 @@ export function SettingsPage() {
                 ))}
               </div>
             </div>
+
+            {/* Caller Language */}
+            <div className="space-y-5 max-w-2xl">
+              <h4 className="text-sm font-semibold text-white">Caller Language</h4>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Default Language
+                </label>
+                <select
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  className="
+                    w-full max-w-xs px-4 py-2.5 rounded-lg
+                    bg-slate-900 border border-slate-700
+                    text-white
+                    focus:outline-none focus:border-blue-500
+                  "
+                >
+                  {LANGUAGE_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 max-w-md p-4 rounded-xl bg-slate-800/30 border border-slate-700/50">
+                <div>
+                  <label className="text-sm font-medium text-white">
+                    Detect Caller Language
+                  </label>
+                  <p className="text-sm text-slate-500">
+                    Switch language after the caller's first sentence
+                  </p>
+                </div>
+                <label className="relative inline-block w-12 h-6 cursor-pointer flex-shrink-0">
+                  <input
+                    type="checkbox"
+                    checked={autoDetectLanguage}
+                    onChange={(e) => setAutoDetectLanguage(e.target.checked)}
+                    className="sr-only peer"
+                  />
+                  <div className="w-12 h-6 rounded-full bg-slate-700 peer-checked:bg-emerald-600 transition-colors" />
+                  <div className="absolute left-1 top-1 w-4 h-4 rounded-full bg-white transition-transform peer-checked:translate-x-6" />
+                </label>
+              </div>
+
+              {autoDetectLanguage && (
+                <div className="space-y-3">
+                  <p className="text-sm text-slate-500">
+                    Languages the assistant may switch to (none selected = all), and the voice to use for each
+                  </p>
+                  {LANGUAGE_OPTIONS.map((option) => {
+                    const enabled = supportedLanguages.includes(option.id);
+                    return (
+                      <div key={option.id} className="flex items-center gap-4">
+                        <label className="flex items-center gap-2 w-36 text-sm text-slate-300">
+                          <input
+                            type="checkbox"
+                            checked={enabled}
+                            onChange={(e) =>
+                              setSupportedLanguages(
+                                e.target.checked
+                                  ? [...supportedLanguages, option.id]
+                                  : supportedLanguages.filter((l) => l !== option.id)
+                              )
+                            }
+                            className="accent-blue-500"
+                          />
+                          {option.name}
+                        </label>
+                        <select
+                          value={languageVoices[option.id] || ''}
+                          onChange={(e) => setLanguageVoices({ ...languageVoices, [option.id]: e.target.value })}
+                          className="
+                            px-3 py-1.5 rounded-lg text-sm
+                            bg-slate-900 border border-slate-700
+                            text-white
+                            focus:outline-none focus:border-blue-500
+                          "
+                        >
+                          <option value="">Default voice</option>
+                          {voiceOptions.map((voice) => (
+                            <option key={voice.id} value={voice.id}>{voice.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {/* Assistant Behavior */}
+            <div className="space-y-5 max-w-2xl">
+              <h4 className="text-sm font-semibold text-white">Assistant Behavior</h4>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Personality
+                  </label>
+                  <select
+                    value={personality}
+                    onChange={(e) => setPersonality(e.target.value)}
+                    className="
+                      w-full px-4 py-2.5 rounded-lg
+                      bg-slate-900 border border-slate-700
+                      text-white
+                      focus:outline-none focus:border-blue-500
+                    "
+                  >
+                    {PERSONALITY_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    AI Model
+                  </label>
+                  <select
+                    value={aiModel}
+                    onChange={(e) => setAiModel(e.target.value)}
+                    className="
+                      w-full px-4 py-2.5 rounded-lg
+                      bg-slate-900 border border-slate-700
+                      text-white
+                      focus:outline-none focus:border-blue-500
+                    "
+                  >
+                    {AI_MODEL_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.name} - {option.description}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Creativity ({aiTemperature.toFixed(1)})
+                </label>
+                <input
+                  type="range"
+                  min={0}
+                  max={1.5}
+                  step={0.1}
+                  value={aiTemperature}
+                  onChange={(e) => setAiTemperature(parseFloat(e.target.value))}
+                  className="w-full max-w-md accent-blue-500"
+                />
+                <p className="mt-1.5 text-sm text-slate-500">
+                  Lower is more predictable, higher is more varied
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Max Conversation Turns
+                  </label>
+                  <input
+                    type="number"
+                    min={5}
+                    max={100}
+                    value={maxTurns}
+                    onChange={(e) => setMaxTurns(parseInt(e.target.value, 10) || 5)}
+                    className="
+                      w-full px-4 py-2.5 rounded-lg
+                      bg-slate-900 border border-slate-700
+                      text-white
+                      focus:outline-none focus:border-blue-500
+                    "
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Max Call Length (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={60}
+                    value={maxCallMinutes}
+                    onChange={(e) => setMaxCallMinutes(parseInt(e.target.value, 10) || 1)}
+                    className="
+                      w-full px-4 py-2.5 rounded-lg
+                      bg-slate-900 border border-slate-700
+                      text-white
+                      focus:outline-none focus:border-blue-500
+                    "
+                  />
+                </div>
+              </div>
+              <p className="-mt-2 text-sm text-slate-500">
+                Near either limit the assistant wraps up politely, promises a follow-up and ends the call
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Custom Instructions
+                </label>
+                <textarea
+                  value={systemPrompt}
+                  onChange={(e) => setSystemPrompt(e.target.value)}
+                  placeholder="e.g. Never quote prices over the phone. Always offer our free consultation."
+                  rows={4}
+                  maxLength={8000}
+                  className="
+                    w-full px-4 py-3 rounded-lg
+                    bg-slate-900 border border-slate-700
+                    text-white placeholder-slate-500
+                    focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500
+                    resize-none transition-all
+                  "
+                />
+                <p className="mt-1.5 text-sm text-slate-500">
+                  Added to the assistant's instructions on every call
+                </p>
+              </div>
+            </div>
           </div>
         )}
 
@@ -577,6 +926,9 @@ export function SettingsPage() {
         {/* SMS Tab */}
         {activeTab === 'sms' && <SMSSettingsTab setMessage={setMessage} />}
 
+        {/* Security Tab */}
+        {activeTab === 'security' && <MfaSettings setMessage={setMessage} />}
+
         {/* Preferences Tab */}
         {activeTab === 'preferences' && <PreferencesTab />}
 
@@ -614,6 +966,7 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
   const [loading, setLoading] = useState(true);
   const [connecting, setConnecting] = useState<string | null>(null);
   const [showWebhookModal, setShowWebhookModal] = useState(false);
+  const [showCalDavModal, setShowCalDavModal] = useState(false);
   const [webhookUrl, setWebhookUrl] = useState('');
   const [webhookSecret, setWebhookSecret] = useState('');
   const [savingWebhook, setSavingWebhook] = useState(false);
@@ -634,7 +987,8 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
       setProviders(providersRes.providers || []);
       setIntegrations(integrationsRes.integrations || []);
       setCalendarProviders(calProvidersRes.providers || []);
-      setCalendarIntegrations(calIntegrationsRes.integrations || []);
+      // Team members' personal calendars are managed under My Calendar
+      setCalendarIntegrations((calIntegrationsRes.integrations || []).filter(i => !i.ownerId));
     } catch (err) {
       console.error('Failed to load integration data:', err);
     } finally {
@@ -676,6 +1030,12 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
   };
 
   const connectCalendar = async (providerId: string) => {
+    // CalDAV signs in with an app password instead of an OAuth redirect
+    if (providerId === 'caldav') {
+      setShowCalDavModal(true);
+      return;
+    }
+
     setConnecting(`cal-${providerId}`);
     try {
       const response = await api.get<{ authUrl: string }>(`/api/calendar/connect/${providerId}`);
@@ -916,9 +1276,10 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
           Calendar Integrations
         </h3>
         <p className="text-sm text-slate-400 mb-4">
-          Connect your calendar for appointment scheduling and availability management
+          Connect your calendar for appointment scheduling and availability management. Until you do, appointments
+          are booked on the built-in HEKAX calendar.
         </p>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
           {CALENDAR_PROVIDERS.map((provider) => {
             const isConnected = calendarIntegrations.some(i => i.provider.toLowerCase() === provider.id);
             const apiProvider = calendarProviders.find(p => p.id === provider.id);
@@ -1017,6 +1378,16 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
         </div>
       </div>
 
+      {/* Booking Rules (apply to every calendar, including the built-in one) */}
+      <BookingRulesPanel setMessage={setMessage} />
+
+      {/* Appointment types and the signed-in member's own calendar */}
+      <AppointmentTypesPanel setMessage={setMessage} />
+      <MyCalendarPanel setMessage={setMessage} />
+
+      {/* ICS subscription feeds */}
+      <CalendarFeedsPanel setMessage={setMessage} />
+
       {/* Webhook Integration */}
       <div>
         <h3 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
@@ -1067,6 +1438,16 @@ function IntegrationsTab({ setMessage }: { setMessage: (msg: { type: 'success' |
         </div>
       </div>
 
+      <CalDavConnectModal
+        isOpen={showCalDavModal}
+        onClose={() => setShowCalDavModal(false)}
+        onConnected={(calendarName) => {
+          setShowCalDavModal(false);
+          setMessage({ type: 'success', text: `CalDAV calendar "${calendarName}" connected` });
+          fetchData();
+        }}
+      />
+
       {/* Webhook Modal */}
       {showWebhookModal && (
         <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
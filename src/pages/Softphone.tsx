@@ -2,7 +2,7 @@
 // HEKAX Phone - Softphone Page
 // ============================================================================
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
   Phone,
   PhoneOff,
@@ -21,9 +21,11 @@ import {
 } from 'lucide-react';
 import { PageHeader } from '../components/layout';
 import { Card, Button } from '../components/common';
-import { useTwilio } from '../hooks/useTwilio';
+import { useTwilio, type EndedCall } from '../hooks/useTwilio';
 import { useAuth } from '../context/AuthContext';
 import { formatDuration } from '../utils/formatters';
+import { callsApi } from '../utils/api';
+import type { DispositionCode } from '../types';
 
 const DIAL_PAD = [
   ['1', '2', '3'],
@@ -56,8 +58,23 @@ export function SoftphonePage() {
     rejectIncoming,
     sendDigits,
     setVolume,
+    endedCall,
+    clearEndedCall,
   } = useTwilio({ enabled: twilioEnabled });
 
+  const [dispositions, setDispositions] = useState<DispositionCode[]>([]);
+  const [wrapUpEnabled, setWrapUpEnabled] = useState(false);
+
+  useEffect(() => {
+    if (!twilioEnabled) return;
+    callsApi.dispositions()
+      .then(data => {
+        setDispositions(data.codes.filter(c => c.enabled));
+        setWrapUpEnabled(data.wrapUpEnabled);
+      })
+      .catch(err => console.error('Dispositions fetch error:', err));
+  }, [twilioEnabled]);
+
   const [showVolumeSlider, setShowVolumeSlider] = useState(false);
 
   const [phoneNumber, setPhoneNumber] = useState('');
@@ -195,8 +212,14 @@ export function SoftphonePage() {
           </div>
         )}
 
-        {/* Active Call View */}
-        {activeCall && !incomingCall ? (
+        {/* Wrap-Up After Hangup */}
+        {endedCall && wrapUpEnabled && dispositions.length > 0 && !activeCall && !incomingCall ? (
+          <WrapUpForm
+            call={endedCall}
+            dispositions={dispositions}
+            onDone={clearEndedCall}
+          />
+        ) : activeCall && !incomingCall ? (
           <div className="text-center">
             {/* Call Timer */}
             <div className="mb-8">
@@ -359,3 +382,89 @@ export function SoftphonePage() {
     </div>
   );
 }
+
+// Disposition, tags and notes for the call that just ended (skippable)
+function WrapUpForm({ call, dispositions, onDone }: {
+  call: EndedCall;
+  dispositions: DispositionCode[];
+  onDone: () => void;
+}) {
+  const [disposition, setDisposition] = useState('');
+  const [tags, setTags] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    if (!disposition) return;
+    setSaving(true);
+    setError('');
+    try {
+      await callsApi.wrapUp(call.callSid, {
+        disposition,
+        tags: tags.split(',').map(t => t.trim()).filter(Boolean),
+        notes: notes.trim() || undefined,
+      });
+      onDone();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save wrap-up');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="text-center mb-4">
+        <p className="font-medium text-white">Call wrap-up</p>
+        <p className="text-sm text-slate-400">
+          {call.to || call.from || 'Call'} · {formatDuration(call.duration)}
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <select
+          value={disposition}
+          onChange={(e) => setDisposition(e.target.value)}
+          className="w-full px-3 py-2.5 rounded-lg bg-slate-900/50 border border-slate-700 text-white focus:outline-none focus:border-blue-500"
+        >
+          <option value="">Select outcome...</option>
+          {dispositions.map(d => (
+            <option key={d.code} value={d.code}>{d.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags (comma separated)"
+          className="w-full px-3 py-2.5 rounded-lg bg-slate-900/50 border border-slate-700 text-white placeholder-slate-600 focus:outline-none focus:border-blue-500"
+        />
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Notes"
+          rows={3}
+          className="w-full px-3 py-2.5 rounded-lg bg-slate-900/50 border border-slate-700 text-white placeholder-slate-600 focus:outline-none focus:border-blue-500"
+        />
+        {error && <p className="text-sm text-red-400">{error}</p>}
+      </div>
+
+      <div className="flex gap-3 mt-4">
+        <button
+          onClick={onDone}
+          className="flex-1 py-2.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-white font-medium"
+        >
+          Skip
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!disposition || saving}
+          className="flex-1 py-2.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import {
   RefreshCw,
   AlertCircle,
   Check,
+  ShieldCheck,
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { PageHeader } from '../components/layout';
@@ -20,7 +21,7 @@ import { USER_ROLES } from '../utils/constants';
 import type { TeamMember, UserRole } from '../types';
 
 export function TeamPage() {
-  const { user } = useAuth();
+  const { user, org } = useAuth();
   const [members, setMembers] = useState<TeamMember[]>([]);
   const [loading, setLoading] = useState(true);
   const [showInviteModal, setShowInviteModal] = useState(false);
@@ -147,6 +148,15 @@ export function TeamPage() {
                 {member.role}
               </span>
 
+              {/* MFA */}
+              {member.mfaEnabled ? (
+                <span title="MFA enabled">
+                  <ShieldCheck size={18} className="text-emerald-400" />
+                </span>
+              ) : (
+                org?.requireMfa && member.status === 'ACTIVE' && <Badge variant="warning">MFA pending</Badge>
+              )}
+
               {/* Status */}
               <span 
                 className={`
@@ -7,6 +7,7 @@ export { DashboardPage } from './Dashboard';
 export { CallsPage } from './Calls';
 export { LeadsPage } from './Leads';
 export { SoftphonePage } from './Softphone';
+export { CampaignsPage } from './Campaigns';
 export { TeamPage } from './Team';
 export { SettingsPage } from './Settings';
 
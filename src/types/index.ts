@@ -10,6 +10,7 @@ export interface AuthUser {
   role: UserRole;
   phone?: string;
   avatar?: string;
+  mfaEnabled?: boolean;
 }
 
 export interface AuthOrg {
@@ -28,6 +29,14 @@ export interface AuthOrg {
   voiceProvider?: string;
   personality?: string;
   language?: string;
+  autoDetectLanguage?: boolean;
+  supportedLanguages?: string[];
+  languageVoices?: Record<string, string>;
+  aiModel?: string;
+  aiTemperature?: number;
+  maxTurns?: number;
+  maxCallDuration?: number;
+  systemPrompt?: string | null;
   // Branding
   logoUrl?: string;
   primaryColor?: string;
@@ -48,6 +57,22 @@ export interface AuthOrg {
   afterHoursMode?: 'ai' | 'voicemail' | 'forward';
   // SMS Settings
   smsSettings?: string; // JSON string
+  // Security
+  requireMfa?: boolean;
+}
+
+// MFA Types
+export interface MfaStatus {
+  enabled: boolean;
+  enabledAt?: string;
+  recoveryCodesRemaining: number;
+  required: boolean;
+}
+
+export interface MfaSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string; // PNG data URL
 }
 
 export type UserRole = 'OWNER' | 'ADMIN' | 'MANAGER' | 'AGENT' | 'VIEWER';
@@ -84,6 +109,77 @@ export interface CallRecord {
   organizationId?: string;
   organizationName?: string;
   cost?: number;
+  routeAction?: string | null;
+  routeReason?: string | null;
+  callerName?: string | null;
+  leadId?: string | null;
+  summary?: string | null;
+  tags?: string[];
+  phoneNumberId?: string | null;
+  disposition?: string | null;
+  dispositionNotes?: string | null;
+}
+
+export interface DispositionCode {
+  code: string;
+  label: string;
+  description?: string | null;
+  category: 'positive' | 'neutral' | 'negative';
+  enabled: boolean;
+}
+
+export interface DispositionsResponse {
+  codes: DispositionCode[];
+  isDefault: boolean;
+  wrapUpEnabled: boolean;
+}
+
+export interface CallWrapUp {
+  disposition?: string | null;
+  tags?: string[];
+  notes?: string;
+}
+
+export interface CallListResponse {
+  calls: CallRecord[];
+  nextCursor: string | null;
+}
+
+export type CallPeriod = 'today' | 'this_week' | 'this_month' | '7d' | '30d' | '90d';
+
+export interface CallListParams {
+  limit?: number;
+  cursor?: string;
+  q?: string;
+  from?: string;
+  to?: string;
+  callerName?: string;
+  transcript?: string;
+  summary?: string;
+  sentiment?: string;
+  handledBy?: 'ai' | 'human';
+  transferred?: 'true' | 'false';
+  direction?: string;
+  status?: string;
+  minDuration?: number;
+  maxDuration?: number;
+  period?: CallPeriod;
+  startDate?: string;
+  endDate?: string;
+  phoneNumberId?: string;
+  tags?: string;
+  disposition?: string;
+}
+
+export interface SavedView {
+  id: string;
+  name: string;
+  page: string;
+  filters: CallListParams;
+  shared: boolean;
+  createdById?: string | null;
+  createdBy?: { id: string; name: string } | null;
+  createdAt: string;
 }
 
 export type CallDirection = 'INBOUND' | 'OUTBOUND';
@@ -101,7 +197,7 @@ export type CallStatus =
 // Lead Types
 export interface LeadRecord {
   id: string;
-  callSid: string;
+  callSid?: string | null;
   name: string;
   phone: string;
   email?: string;
@@ -115,15 +211,80 @@ export interface LeadRecord {
   urgency: LeadUrgency;
   status: LeadStatus;
   score?: number;
+  scoreBreakdown?: LeadScoreItem[] | null;
   temperature?: LeadTemp;
+  doNotCall?: boolean;
+  doNotCallAt?: string | null;
   notes?: string;
   referralSource?: string;
   assignedToId?: string;
+  assignedTo?: { id: string; name: string; email: string } | null;
+  source?: string;
   organizationId?: string;
   createdAt: string;
   updatedAt?: string;
 }
 
+export interface LeadScoreItem {
+  signal: string;
+  label: string;
+  count: number;
+  points: number;
+}
+
+export interface LeadListResponse {
+  leads: LeadRecord[];
+  nextCursor: string | null;
+}
+
+export interface LeadListParams {
+  limit?: number;
+  cursor?: string;
+  status?: string;
+  temperature?: string;
+  urgency?: string;
+  source?: string;
+  assignedTo?: string;
+  minScore?: number;
+  maxScore?: number;
+  q?: string;
+}
+
+export interface LeadNote {
+  id: string;
+  body: string;
+  parentId?: string | null;
+  author?: { id: string; name: string } | null;
+  createdAt: string;
+  updatedAt: string;
+  replies: LeadNote[];
+}
+
+export interface LeadTimelineEntry {
+  id: string;
+  type: string;
+  title: string;
+  at: string;
+  actorId?: string | null;
+  data: Record<string, unknown> | null;
+}
+
+export interface LeadImportPreview {
+  importId: string;
+  headers: string[];
+  rowCount: number;
+  sample: string[][];
+  suggestedMapping: Record<string, number>;
+  fields: string[];
+}
+
+export interface LeadImportResult {
+  created: number;
+  updated: number;
+  skipped: number;
+  errors: { row: number; error: string }[];
+}
+
 export type LeadStatus = 
   | 'NEW' 
   | 'CONTACTED' 
@@ -137,6 +298,202 @@ export type LeadStatus =
 export type LeadUrgency = 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
 export type LeadTemp = 'HOT' | 'WARM' | 'COLD';
 
+// Campaign Types
+export type CampaignStatus = 'DRAFT' | 'RUNNING' | 'PAUSED' | 'COMPLETED' | 'CANCELLED';
+export type CampaignContactStatus = 'PENDING' | 'DIALING' | 'COMPLETED' | 'FAILED' | 'SKIPPED';
+
+export interface Campaign {
+  id: string;
+  name: string;
+  status: CampaignStatus;
+  script: string;
+  greeting?: string | null;
+  voicemailMessage?: string | null;
+  phoneNumberId?: string | null;
+  phoneNumber?: { id: string; number: string; friendlyName?: string | null } | null;
+  timezone: string;
+  callingHoursStart: string;
+  callingHoursEnd: string;
+  callingDays: number[];
+  maxConcurrentCalls: number;
+  callsPerMinute: number;
+  maxAttempts: number;
+  retryDelayMinutes: number;
+  stats: Record<CampaignContactStatus, number> & { total: number };
+  createdBy?: { id: string; name: string } | null;
+  startedAt?: string | null;
+  completedAt?: string | null;
+  createdAt: string;
+}
+
+export type CampaignInput = Partial<Omit<Campaign, 'id' | 'status' | 'stats' | 'phoneNumber' | 'createdBy'>>;
+
+export interface CampaignContact {
+  id: string;
+  phone: string;
+  status: CampaignContactStatus;
+  outcome?: string | null;
+  attempts: number;
+  lastAttemptAt?: string | null;
+  nextAttemptAt?: string | null;
+  lastError?: string | null;
+  lead: { id: string; name: string; company?: string | null; status: LeadStatus; doNotCall: boolean };
+}
+
+export interface CampaignAddResult {
+  added: number;
+  doNotCall: number;
+  alreadyAdded: number;
+}
+
+// Do-Not-Contact Types
+export type SuppressionType = 'PHONE' | 'EMAIL';
+
+export type SuppressionSource = 'SMS_KEYWORD' | 'CALL' | 'MANUAL' | 'IMPORT';
+
+export interface Suppression {
+  id: string;
+  type: SuppressionType;
+  value: string;
+  source: SuppressionSource;
+  reason?: string | null;
+  createdBy?: { id: string; name: string } | null;
+  createdAt: string;
+}
+
+export interface SuppressionEvent {
+  id: string;
+  type: SuppressionType;
+  value: string;
+  action: 'added' | 'removed';
+  source: SuppressionSource;
+  reason?: string | null;
+  user?: { id: string; name: string } | null;
+  createdAt: string;
+}
+
+export interface SuppressionImportResult {
+  added: number;
+  alreadySuppressed: number;
+  invalid: number;
+}
+
+// Webhook Types
+export type WebhookDeliveryStatus = 'PENDING' | 'RETRYING' | 'SUCCEEDED' | 'DEAD';
+
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  description?: string | null;
+  events: string[];
+  enabled: boolean;
+  lastDeliveryAt?: string | null;
+  consecutiveFailures: number;
+  createdAt: string;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  eventId: string;
+  event: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  nextAttemptAt?: string | null;
+  responseStatus?: number | null;
+  error?: string | null;
+  durationMs?: number | null;
+  deliveredAt?: string | null;
+  redeliveryOfId?: string | null;
+  createdAt: string;
+  // Detail only
+  payload?: unknown;
+  responseBody?: string | null;
+}
+
+// Booking Types
+export interface BusinessClosure {
+  id: string;
+  name: string;
+  startDate: string; // YYYY-MM-DD, organization timezone
+  endDate: string; // Inclusive
+}
+
+export interface BookingRules {
+  bookingBufferMinutes: number;
+  bookingMinNoticeMinutes: number;
+  bookingMaxDaysAhead: number;
+  bookingSlotInterval: number;
+}
+
+export type CalendarFeedScope = 'personal' | 'organization';
+
+export interface CalendarFeed {
+  id: string;
+  url: string;
+  lastAccessedAt?: string | null;
+  createdAt: string;
+}
+
+export interface BookingSettings extends BookingRules {
+  timezone: string;
+  businessHours: BusinessHours;
+  closures: BusinessClosure[];
+}
+
+export type AppointmentAssignmentMode = 'ROUND_ROBIN' | 'PRIORITY';
+
+export interface AppointmentTypeStaff {
+  userId: string;
+  name?: string;
+  email?: string;
+  priority: number; // Lower goes first in PRIORITY mode
+  lastAssignedAt?: string | null;
+}
+
+export interface AppointmentType {
+  id: string;
+  name: string;
+  description?: string | null;
+  duration: number;
+  bufferMinutes: number | null; // Null uses the organization's buffer
+  priceCents: number | null;
+  currency: string;
+  intakeQuestions: string[];
+  assignmentMode: AppointmentAssignmentMode;
+  enabled: boolean;
+  staff: AppointmentTypeStaff[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type AppointmentTypeInput = Partial<
+  Pick<
+    AppointmentType,
+    | 'name'
+    | 'description'
+    | 'duration'
+    | 'bufferMinutes'
+    | 'priceCents'
+    | 'currency'
+    | 'intakeQuestions'
+    | 'assignmentMode'
+    | 'enabled'
+  >
+>;
+
+// CalDAV (Nextcloud, Fastmail, iCloud...) - signs in with an app password
+export interface CalDavConnectInput {
+  serverUrl: string;
+  username: string;
+  password: string;
+  calendarUrl?: string;
+}
+
+export interface CalDavCalendar {
+  url: string;
+  name: string;
+}
+
 // Transcript Types
 export interface TranscriptRecord {
   id: string;
@@ -168,6 +525,7 @@ export interface TeamMember {
   phone?: string;
   avatar?: string;
   lastLoginAt?: string;
+  mfaEnabled?: boolean;
   createdAt: string;
 }
 
@@ -271,7 +629,8 @@ export type Page =
   | 'data-management'
   | 'ai-training'
   | 'channels'
-  | 'automation';
+  | 'automation'
+  | 'campaigns';
 
 // Twilio Types
 export interface TwilioDevice {
@@ -142,13 +142,19 @@ async function handleResponse<T>(response: Response, retryFn?: () => Promise<Res
   }
 
   if (response.status === 401) {
-    const isAuthRoute = response.url.includes('/auth/login') || response.url.includes('/auth/register');
+    const isAuthRoute = response.url.includes('/auth/login') || response.url.includes('/auth/register') || response.url.includes('/auth/mfa');
     if (!isAuthRoute) {
       clearAuth();
     }
     throw new Error(data.error || 'Session expired. Please login again.');
   }
 
+  // Organization requires MFA and this user hasn't enrolled - sign in again to set it up
+  if (response.status === 403 && data.code === 'MFA_SETUP_REQUIRED') {
+    clearAuth();
+    throw new Error(data.message || 'Multi-factor authentication is required.');
+  }
+
   // Handle account lockout
   if (response.status === 423) {
     throw new Error(data.message || 'Account temporarily locked. Please try again later.');
@@ -247,7 +253,42 @@ import type {
   AuthUser,
   AuthOrg,
   CallRecord,
+  CallListParams,
+  CallListResponse,
+  SavedView,
+  DispositionCode,
+  DispositionsResponse,
+  CallWrapUp,
   LeadRecord,
+  LeadListParams,
+  LeadListResponse,
+  LeadNote,
+  LeadTimelineEntry,
+  LeadImportPreview,
+  LeadImportResult,
+  Campaign,
+  CampaignInput,
+  CampaignContact,
+  CampaignContactStatus,
+  CampaignAddResult,
+  Suppression,
+  SuppressionEvent,
+  SuppressionImportResult,
+  SuppressionType,
+  WebhookSubscription,
+  WebhookDelivery,
+  WebhookDeliveryStatus,
+  MfaStatus,
+  MfaSetup,
+  BookingRules,
+  BookingSettings,
+  BusinessClosure,
+  CalendarFeed,
+  CalendarFeedScope,
+  AppointmentType,
+  AppointmentTypeInput,
+  CalDavConnectInput,
+  CalDavCalendar,
   TranscriptRecord,
   TeamMember,
   DashboardStats,
@@ -261,6 +302,15 @@ export interface LoginResponse {
   expiresIn: number;
   user: AuthUser;
   organization: AuthOrg;
+  recoveryCodes?: string[]; // After enrolling during login
+  recoveryCodesRemaining?: number; // After signing in with a recovery code
+}
+
+// Password accepted, second step needed: verify a code, or enroll first
+export interface MfaChallengeResponse {
+  mfaRequired?: boolean;
+  mfaSetupRequired?: boolean;
+  mfaToken: string;
 }
 
 export interface RegisterResponse {
@@ -271,22 +321,40 @@ export interface RegisterResponse {
   organization: AuthOrg;
 }
 
-export const authApi = {
-  login: async (email: string, password: string): Promise<LoginResponse> => {
-    const response = await fetch(`${API_BASE}/auth/login`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password }),
-    });
+/**
+ * POST to an unauthenticated /auth endpoint and store tokens if a session came back
+ */
+async function postAuth<T>(endpoint: string, body: unknown): Promise<T> {
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const data = await handleResponse<T>(response);
+
+  // Store tokens
+  const session = data as Partial<LoginResponse>;
+  if (session.accessToken && session.refreshToken) {
+    localStorage.setItem(STORAGE_KEYS.TOKEN, session.accessToken);
+    localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, session.refreshToken);
+  }
 
-    const data = await handleResponse<LoginResponse>(response);
+  return data;
+}
 
-    // Store tokens
-    localStorage.setItem(STORAGE_KEYS.TOKEN, data.accessToken);
-    localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, data.refreshToken);
+export const authApi = {
+  login: (email: string, password: string) =>
+    postAuth<LoginResponse | MfaChallengeResponse>('/auth/login', { email, password }),
 
-    return data;
-  },
+  // Second login step with an authenticator or recovery code
+  verifyMfa: (mfaToken: string, factor: { code?: string; recoveryCode?: string }) =>
+    postAuth<LoginResponse>('/auth/mfa/verify', { mfaToken, ...factor }),
+
+  // Enrollment during login when the organization requires MFA
+  setupMfa: (mfaToken: string) => postAuth<MfaSetup>('/auth/mfa/setup', { mfaToken }),
+  enableMfa: (mfaToken: string, code: string) =>
+    postAuth<LoginResponse>('/auth/mfa/enable', { mfaToken, code }),
 
   register: async (orgName: string, email: string, password: string, name: string): Promise<RegisterResponse> => {
     const response = await fetch(`${API_BASE}/auth/register`, {
@@ -326,32 +394,151 @@ export interface CallDetailsResponse {
 }
 
 export const callsApi = {
-  list: (params?: { limit?: number; status?: string }) => {
+  list: (params?: CallListParams) => {
     const query = new URLSearchParams();
-    if (params?.limit) query.set('limit', params.limit.toString());
-    if (params?.status) query.set('status', params.status);
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.set(key, String(value));
+    });
     const queryString = query.toString();
-    return api.get<CallRecord[]>(`/api/calls${queryString ? `?${queryString}` : ''}`);
+    return api.get<CallListResponse>(`/api/calls${queryString ? `?${queryString}` : ''}`);
   },
 
   get: (id: string) => api.get<CallDetailsResponse>(`/api/calls/${id}/details`),
+
+  views: () => api.get<{ views: SavedView[] }>('/api/calls/views'),
+
+  createView: (name: string, filters: CallListParams, shared = true) =>
+    api.post<SavedView>('/api/calls/views', { name, filters, shared }),
+
+  deleteView: (id: string) => api.delete<{ success: boolean }>(`/api/calls/views/${id}`),
+
+  dispositions: () => api.get<DispositionsResponse>('/api/calls/dispositions'),
+
+  saveDispositions: (codes: Partial<DispositionCode>[], wrapUpEnabled?: boolean) =>
+    api.put<DispositionsResponse>('/api/calls/dispositions', { codes, wrapUpEnabled }),
+
+  wrapUp: (callSid: string, data: CallWrapUp) =>
+    api.post<CallRecord>('/api/calls/wrap-up', { callSid, ...data }),
+
+  updateDisposition: (id: string, data: CallWrapUp) =>
+    api.patch<CallRecord>(`/api/calls/${id}/disposition`, data),
 };
 
 // Leads
 export const leadsApi = {
-  list: (params?: { limit?: number; status?: string; urgency?: string }) => {
+  list: (params?: LeadListParams) => {
     const query = new URLSearchParams();
-    if (params?.limit) query.set('limit', params.limit.toString());
-    if (params?.status) query.set('status', params.status);
-    if (params?.urgency) query.set('urgency', params.urgency);
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.set(key, String(value));
+    });
     const queryString = query.toString();
-    return api.get<LeadRecord[]>(`/api/leads${queryString ? `?${queryString}` : ''}`);
+    return api.get<LeadListResponse>(`/api/leads${queryString ? `?${queryString}` : ''}`);
   },
 
   get: (id: string) => api.get<LeadRecord>(`/api/leads/${id}`),
 
+  create: (data: Partial<LeadRecord> & { allowDuplicate?: boolean }) =>
+    api.post<LeadRecord>('/api/leads', data),
+
   update: (id: string, data: Partial<LeadRecord>) =>
     api.patch<LeadRecord>(`/api/leads/${id}`, data),
+
+  remove: (id: string) => api.delete<{ message: string }>(`/api/leads/${id}`),
+
+  bulkUpdate: (ids: string[], data: { status?: string; assignedToId?: string | null }) =>
+    api.post<{ updated: number }>('/api/leads/bulk', { ids, ...data }),
+
+  merge: (targetId: string, sourceIds: string[]) =>
+    api.post<LeadRecord>('/api/leads/merge', { targetId, sourceIds }),
+
+  duplicates: (id: string) => api.get<LeadRecord[]>(`/api/leads/${id}/duplicates`),
+
+  timeline: (id: string) => api.get<LeadTimelineEntry[]>(`/api/leads/${id}/timeline`),
+
+  notes: (id: string) => api.get<LeadNote[]>(`/api/leads/${id}/notes`),
+
+  addNote: (id: string, body: string, parentId?: string) =>
+    api.post<LeadNote>(`/api/leads/${id}/notes`, { body, parentId }),
+
+  previewImport: async (csv: string) => {
+    const makeRequest = () => fetch(`${API_BASE}/api/leads/import/preview`, {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'text/csv' },
+      body: csv,
+    });
+    return handleResponse<LeadImportPreview>(await makeRequest(), makeRequest);
+  },
+
+  import: (importId: string, mapping: Record<string, number>, duplicates: 'skip' | 'update' = 'skip') =>
+    api.post<LeadImportResult>('/api/leads/import', { importId, mapping, duplicates }),
+};
+
+// Outbound campaigns
+export const campaignsApi = {
+  list: () => api.get<{ campaigns: Campaign[] }>('/api/campaigns'),
+
+  get: (id: string) => api.get<{ campaign: Campaign }>(`/api/campaigns/${id}`),
+
+  create: (data: CampaignInput) => api.post<{ campaign: Campaign }>('/api/campaigns', data),
+
+  update: (id: string, data: CampaignInput) =>
+    api.patch<{ campaign: Campaign }>(`/api/campaigns/${id}`, data),
+
+  remove: (id: string) => api.delete<{ success: boolean }>(`/api/campaigns/${id}`),
+
+  setStatus: (id: string, action: 'start' | 'pause' | 'cancel') =>
+    api.post<{ campaign: Campaign }>(`/api/campaigns/${id}/${action}`),
+
+  contacts: (id: string, status?: CampaignContactStatus) =>
+    api.get<{ contacts: CampaignContact[] }>(`/api/campaigns/${id}/contacts${status ? `?status=${status}` : ''}`),
+
+  addContacts: (id: string, body: { leadIds: string[] } | { filter: LeadListParams }) =>
+    api.post<CampaignAddResult>(`/api/campaigns/${id}/contacts`, body),
+
+  removeContact: (id: string, contactId: string) =>
+    api.delete<{ success: boolean }>(`/api/campaigns/${id}/contacts/${contactId}`),
+};
+
+// Do-not-contact list
+export const doNotContactApi = {
+  list: (params: { type?: SuppressionType; q?: string; cursor?: string } = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value) as [string, string][]
+    ).toString();
+    return api.get<{ entries: Suppression[]; nextCursor: string | null }>(
+      `/api/do-not-contact${query ? `?${query}` : ''}`
+    );
+  },
+
+  add: (value: string, reason?: string, type?: SuppressionType) =>
+    api.post<{ entry: Suppression; created: boolean }>('/api/do-not-contact', { value, reason, type }),
+
+  remove: (id: string, reason?: string) =>
+    api.delete<{ success: boolean }>(
+      `/api/do-not-contact/${id}${reason ? `?reason=${encodeURIComponent(reason)}` : ''}`
+    ),
+
+  history: (value?: string) =>
+    api.get<{ events: SuppressionEvent[] }>(
+      `/api/do-not-contact/history${value ? `?value=${encodeURIComponent(value)}` : ''}`
+    ),
+
+  import: async (csv: string) => {
+    const makeRequest = () => fetch(`${API_BASE}/api/do-not-contact/import`, {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'text/csv' },
+      body: csv,
+    });
+    return handleResponse<SuppressionImportResult>(await makeRequest(), makeRequest);
+  },
+
+  exportCsv: async () => {
+    const response = await fetch(`${API_BASE}/api/do-not-contact/export`, { headers: getAuthHeaders() });
+    if (!response.ok) {
+      throw new Error('Failed to export do-not-contact list');
+    }
+    return response.text();
+  },
 };
 
 // Team
@@ -395,7 +582,106 @@ export const phoneNumbersApi = {
     api.patch<PhoneNumber>(`/api/phone-numbers/${id}`, data),
 };
 
-// Twilio Token
-export const getTwilioToken = async (): Promise<{ token: string; identity: string }> => {
-  return api.get('/token');
+// Webhook subscriptions
+export const webhooksApi = {
+  list: () =>
+    api.get<{ subscriptions: WebhookSubscription[]; availableEvents: string[]; maxAttempts: number }>('/api/webhooks'),
+
+  create: (data: { url: string; events: string[]; description?: string }) =>
+    api.post<{ subscription: WebhookSubscription; secret: string }>('/api/webhooks', data),
+
+  update: (id: string, data: Partial<Pick<WebhookSubscription, 'url' | 'events' | 'description' | 'enabled'>>) =>
+    api.patch<{ subscription: WebhookSubscription }>(`/api/webhooks/${id}`, data),
+
+  remove: (id: string) => api.delete<{ message: string }>(`/api/webhooks/${id}`),
+
+  rotateSecret: (id: string) => api.post<{ secret: string }>(`/api/webhooks/${id}/rotate-secret`),
+
+  test: (id: string) => api.post<{ delivery: WebhookDelivery }>(`/api/webhooks/${id}/test`),
+
+  deliveries: (id: string, params: { status?: WebhookDeliveryStatus; cursor?: string } = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value) as [string, string][]
+    ).toString();
+    return api.get<{ deliveries: WebhookDelivery[]; nextCursor: string | null }>(
+      `/api/webhooks/${id}/deliveries${query ? `?${query}` : ''}`
+    );
+  },
+
+  delivery: (deliveryId: string) =>
+    api.get<{ delivery: WebhookDelivery }>(`/api/webhooks/deliveries/${deliveryId}`),
+
+  redeliver: (deliveryId: string) =>
+    api.post<{ delivery: WebhookDelivery }>(`/api/webhooks/deliveries/${deliveryId}/redeliver`),
+};
+
+// MFA (signed-in user)
+export const mfaApi = {
+  status: () => api.get<MfaStatus>('/auth/mfa/status'),
+
+  setup: () => api.post<MfaSetup>('/auth/mfa/setup'),
+
+  enable: (code: string) => api.post<{ recoveryCodes: string[] }>('/auth/mfa/enable', { code }),
+
+  disable: (password: string, factor: { code?: string; recoveryCode?: string }) =>
+    api.post<{ message: string }>('/auth/mfa/disable', { password, ...factor }),
+
+  regenerateRecoveryCodes: (code: string) =>
+    api.post<{ recoveryCodes: string[] }>('/auth/mfa/recovery-codes', { code }),
+
+  // Owner only
+  setPolicy: (requireMfa: boolean) =>
+    api.put<{ requireMfa: boolean; unenrolledMembers: number }>('/api/organization/mfa-policy', { requireMfa }),
+};
+
+// Booking rules (calendar)
+export const bookingApi = {
+  settings: () => api.get<BookingSettings>('/api/calendar/booking-settings'),
+
+  updateSettings: (data: Partial<BookingRules>) => api.put<BookingRules>('/api/calendar/booking-settings', data),
+
+  addClosure: (data: { name: string; startDate: string; endDate?: string }) =>
+    api.post<{ closure: BusinessClosure }>('/api/calendar/closures', data),
+
+  removeClosure: (id: string) => api.delete<{ success: boolean }>(`/api/calendar/closures/${id}`),
+
+  // ICS subscription feeds
+  feeds: () =>
+    api.get<{ personal: CalendarFeed | null; organization: CalendarFeed | null; canManageOrganization: boolean }>(
+      '/api/calendar/feeds'
+    ),
+
+  createFeed: (scope: CalendarFeedScope) => api.post<{ feed: CalendarFeed }>('/api/calendar/feeds', { scope }),
+
+  removeFeed: (scope: CalendarFeedScope) => api.delete<{ success: boolean }>(`/api/calendar/feeds/${scope}`),
+
+  // Appointment types
+  appointmentTypes: () => api.get<{ appointmentTypes: AppointmentType[] }>('/api/calendar/appointment-types'),
+
+  createAppointmentType: (data: AppointmentTypeInput & { staff?: { userId: string; priority?: number }[] }) =>
+    api.post<{ appointmentType: AppointmentType }>('/api/calendar/appointment-types', data),
+
+  updateAppointmentType: (id: string, data: AppointmentTypeInput) =>
+    api.put<{ appointmentType: AppointmentType }>(`/api/calendar/appointment-types/${id}`, data),
+
+  setAppointmentTypeStaff: (id: string, staff: { userId: string; priority?: number }[]) =>
+    api.put<{ appointmentType: AppointmentType }>(`/api/calendar/appointment-types/${id}/staff`, { staff }),
+
+  removeAppointmentType: (id: string) => api.delete<{ message: string }>(`/api/calendar/appointment-types/${id}`),
+
+  // The signed-in member's own calendar (busy times for appointment types)
+  connectPersonalCalendar: (provider: string) =>
+    api.get<{ authUrl: string }>(`/api/calendar/connect/${provider}?scope=personal`),
+
+  // CalDAV signs in directly instead of redirecting to OAuth
+  connectCalDav: (data: CalDavConnectInput, personal = false) =>
+    api.post<{ integration: { id: string; calendarName: string }; calendars: CalDavCalendar[] }>(
+      `/api/calendar/connect/caldav${personal ? '?scope=personal' : ''}`,
+      data
+    ),
+};
+
+// Twilio Token ('agent': this user's own identity, rung by call queues)
+export const getTwilioToken = async (scope?: 'agent'): Promise<{ token: string; identity: string }> => {
+  return api.get(scope ? `/token?scope=${scope}` : '/token');
 };